@@ -24,10 +24,17 @@
  *   - ./src/db: MongoDB connection and schemas.
  *   - ./src/socket: Socket.IO setup.
  *   - ./src/utils/logUtils: MongoDB logging.
+ *   - ./src/utils/jobQueue: Background task processing queue.
  *   - ./src/routes/taskRoutes: Task management routes.
  *   - ./src/routes/auth/index: Authentication routes.
  *   - ./src/routes/systemRoutes: System utilities (sponsors, client errors, Repomix).
  *   - ./src/routes/proposalRoutes: Backend proposal routes.
+ *   - ./src/routes/templateRoutes: Prompt template library routes.
+ *   - ./src/routes/visualRoutes: Visual regression settings, baselines, and images.
+ *   - ./src/routes/analyticsRoutes: Pipeline analytics.
+ *   - ./src/routes/eventRoutes: Task and proposal event history.
+ *   - ./src/routes/feedbackRoutes: Feedback capture, triage, and conversion to tasks.
+ *   - ./src/routes/logRoutes: Log queries with filters and cursor pagination.
  *   - ./src/handlers/errorHandlers: notFound and errorHandler middleware.
  * Dependents:
  *   - None (entry point for the backend).
@@ -46,6 +53,34 @@
  *     - Why: MongoDB connection failed due to invalid writeConcern (User, 05/08/2025).
  *     - How: Added URI logging, ensured dotenv and correct module paths.
  *     - Test: Run `npm start`, verify "MongoDB connected" and URI in grok.log.
+ *   - 10/19/2026: Started the task job queue after Socket.IO.
+ *     - Why: Task processing moved from POST /edit into jobQueue.js workers.
+ *     - How: startQueue recovers jobs left running by the previous process, then polls; Job added to validated models.
+ *     - Test: Run `npm start`, verify "Job queue started" in idurar_db.logs.
+ *   - 10/19/2026: Mounted templateRoutes at /api/grok.
+ *     - Why: Prompt templates are stored in MongoDB and managed from TaskInput.jsx.
+ *     - How: Loaded with the other routers, PromptTemplate added to model validation.
+ *     - Test: `npm start`, GET /api/grok/templates with a token, verify 200 and { templates: [] }.
+ *   - 10/19/2026: Mounted visualRoutes at /api/grok.
+ *     - Why: Visual regression results need their images and an editable threshold.
+ *     - How: Loaded with the other routers, VisualBaseline added to model validation.
+ *     - Test: `npm start`, GET /api/grok/visual/settings with a token, verify 200 and { threshold: 0.01 }.
+ *   - 10/19/2026: Mounted analyticsRoutes at /api/grok.
+ *     - Why: The console's Analytics tab reads GET /api/grok/analytics.
+ *     - How: Loaded with the other routers.
+ *     - Test: `npm start`, GET /api/grok/analytics with a token, verify 200 and tasks.total.
+ *   - 10/19/2026: Mounted eventRoutes at /api/grok and validated the Event and Counter models.
+ *     - Why: Socket.IO events are persisted for replay; the live feed pages through them.
+ *     - How: Loaded with the other routers; models added to the startup validation list.
+ *     - Test: `npm start`, GET /api/grok/events with a token, verify 200 and an events array.
+ *   - 10/19/2026: Mounted feedbackRoutes at /api/grok and validated the Feedback model.
+ *     - Why: FeedbackButton.jsx posts structured feedback with screenshots; the console triages it.
+ *     - How: Loaded with the other routers; screenshots arrive through the existing fileUpload() middleware.
+ *     - Test: `npm start`, GET /api/grok/feedback with a token, verify 200 and a feedback array.
+ *   - 10/19/2026: Mounted logRoutes at /api/logs, validated DebugLog, and applied log retention at startup.
+ *     - Why: Logs expire per level, debug logs live in a capped collection, and logs are queried over HTTP.
+ *     - How: applyLogRetention after MongoDB connects; the request logger's headers and body are redacted by logUtils.js.
+ *     - Test: `npm start`, GET /api/logs?level=error with a token, verify 200 and a logs array without Authorization values.
  * Test Instructions:
  *   - Apply updated app.js, ensure backend/.env includes DATABASE_URI=mongodb://localhost:27017/idurar_db.
  *   - Run `npm start`, check grok.log for “MongoDB connected” and correct URI.
@@ -69,11 +104,12 @@ const http = require('http');
 const path = require('path');
 const { initializeDB, getModel } = require('./src/db');
 const { initSocket } = require('./src/socket');
-const { logInfo, logDebug, logError } = require('./src/utils/logUtils');
+const { startQueue } = require('./src/utils/jobQueue');
+const { logInfo, logDebug, logError, applyLogRetention } = require('./src/utils/logUtils');
 const fileUpload = require('express-fileupload');
 
 // Load routes with error handling
-let taskRoutes, authRouter, systemRoutes, proposalRoutes, errorHandlers;
+let taskRoutes, authRouter, systemRoutes, proposalRoutes, templateRoutes, visualRoutes, analyticsRoutes, eventRoutes, feedbackRoutes, logRoutes, errorHandlers;
 try {
   taskRoutes = require('./src/routes/taskRoutes');
   console.log('app.js: taskRoutes loaded', { timestamp: new Date().toISOString() });
@@ -102,6 +138,48 @@ try {
   console.error('app.js: Failed to load proposalRoutes', { error: err.message, stack: err.stack, timestamp: new Date().toISOString() });
   throw err;
 }
+try {
+  templateRoutes = require('./src/routes/templateRoutes');
+  console.log('app.js: templateRoutes loaded', { timestamp: new Date().toISOString() });
+} catch (err) {
+  console.error('app.js: Failed to load templateRoutes', { error: err.message, stack: err.stack, timestamp: new Date().toISOString() });
+  throw err;
+}
+try {
+  visualRoutes = require('./src/routes/visualRoutes');
+  console.log('app.js: visualRoutes loaded', { timestamp: new Date().toISOString() });
+} catch (err) {
+  console.error('app.js: Failed to load visualRoutes', { error: err.message, stack: err.stack, timestamp: new Date().toISOString() });
+  throw err;
+}
+try {
+  analyticsRoutes = require('./src/routes/analyticsRoutes');
+  console.log('app.js: analyticsRoutes loaded', { timestamp: new Date().toISOString() });
+} catch (err) {
+  console.error('app.js: Failed to load analyticsRoutes', { error: err.message, stack: err.stack, timestamp: new Date().toISOString() });
+  throw err;
+}
+try {
+  eventRoutes = require('./src/routes/eventRoutes');
+  console.log('app.js: eventRoutes loaded', { timestamp: new Date().toISOString() });
+} catch (err) {
+  console.error('app.js: Failed to load eventRoutes', { error: err.message, stack: err.stack, timestamp: new Date().toISOString() });
+  throw err;
+}
+try {
+  feedbackRoutes = require('./src/routes/feedbackRoutes');
+  console.log('app.js: feedbackRoutes loaded', { timestamp: new Date().toISOString() });
+} catch (err) {
+  console.error('app.js: Failed to load feedbackRoutes', { error: err.message, stack: err.stack, timestamp: new Date().toISOString() });
+  throw err;
+}
+try {
+  logRoutes = require('./src/routes/logRoutes');
+  console.log('app.js: logRoutes loaded', { timestamp: new Date().toISOString() });
+} catch (err) {
+  console.error('app.js: Failed to load logRoutes', { error: err.message, stack: err.stack, timestamp: new Date().toISOString() });
+  throw err;
+}
 try {
   errorHandlers = require('./src/handlers/errorHandlers');
   console.log('app.js: errorHandlers loaded', { timestamp: new Date().toISOString() });
@@ -133,6 +211,12 @@ console.log('app.js: Loading modules', {
   authRouter: !!authRouter,
   systemRoutes: !!systemRoutes,
   proposalRoutes: !!proposalRoutes,
+  templateRoutes: !!templateRoutes,
+  visualRoutes: !!visualRoutes,
+  analyticsRoutes: !!analyticsRoutes,
+  eventRoutes: !!eventRoutes,
+  feedbackRoutes: !!feedbackRoutes,
+  logRoutes: !!logRoutes,
   errorHandlers: !!errorHandlers,
   fileUpload: !!fileUpload,
   timestamp: new Date().toISOString(),
@@ -172,10 +256,11 @@ async function startServer() {
     console.log('app.js: Connecting to MongoDB', { uri: process.env.DATABASE_URI });
     await initializeDB();
     await logInfo('MongoDB connected', 'app.js', { timestamp: new Date().toISOString() });
+    await applyLogRetention().catch(err => console.error('app.js: Failed to apply log retention:', err.message));
 
     // Validate models
     console.log('app.js: Validating models');
-    const models = ['Task', 'Admin', 'Sponsor', 'Memory', 'BackendProposal', 'Setting', 'Log'];
+    const models = ['Task', 'Admin', 'Sponsor', 'Memory', 'BackendProposal', 'Setting', 'Job', 'PromptTemplate', 'VisualBaseline', 'Event', 'Counter', 'Feedback', 'Log', 'DebugLog'];
     for (const modelName of models) {
       const model = await getModel(modelName);
       if (typeof model.create !== 'function' || typeof model.findOne !== 'function') {
@@ -191,6 +276,12 @@ async function startServer() {
       { path: '/api/auth', router: authRouter, name: 'authRouter' },
       { path: '/api', router: systemRoutes, name: 'systemRoutes' },
       { path: '/api/grok', router: proposalRoutes, name: 'proposalRoutes' },
+      { path: '/api/grok', router: templateRoutes, name: 'templateRoutes' },
+      { path: '/api/grok', router: visualRoutes, name: 'visualRoutes' },
+      { path: '/api/grok', router: analyticsRoutes, name: 'analyticsRoutes' },
+      { path: '/api/grok', router: eventRoutes, name: 'eventRoutes' },
+      { path: '/api/grok', router: feedbackRoutes, name: 'feedbackRoutes' },
+      { path: '/api/logs', router: logRoutes, name: 'logRoutes' },
     ];
 
     for (const { path, router, name } of routes) {
@@ -252,6 +343,10 @@ async function startServer() {
     await initSocket(server);
     await logInfo('Socket.IO initialized', 'app.js', { timestamp: new Date().toISOString() });
 
+    // Start task job queue; requeues jobs interrupted by the last shutdown
+    console.log('app.js: Starting job queue');
+    await startQueue();
+
     // Start server
     server.listen(port, () => {
       console.log(`app.js: Server running on port ${port}`);
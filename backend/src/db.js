@@ -3,7 +3,7 @@
  * Purpose: Initializes MongoDB connection and registers Mongoose schemas for Allur Space Console.
  * How It Works:
  *   - Connects to MongoDB (idurar_db) with mongoose and retry logic.
- *   - Defines schemas for Task, Admin, AdminPassword, Sponsor, Memory, BackendProposal, Setting, Log.
+ *   - Defines schemas for Task, Admin, AdminPassword, Sponsor, Memory, BackendProposal, Setting, Job, PromptTemplate, VisualBaseline, Event, Counter, Feedback, Log, DebugLog.
  *   - Registers schemas with unique indexes and provides getModel for safe access.
  *   - Prevents model overwrite errors by checking existing models.
  * Mechanics:
@@ -33,6 +33,99 @@
  *     - Why: Persistent MongoParseError due to malformed DATABASE_URI with .env content (User, 05/06/2025).
  *     - How: Added explicit space check first, clarified error message, preserved all functionality.
  *     - Test: Run `npm start`, verify "MongoDB connected to idurar_db" in grok.log, no MongoParseError.
+ *   - 10/19/2026: Added llmProvider, llmUsage, and llmCalls to Task schema.
+ *     - Why: Token and cost accounting per task for the pluggable LLM provider layer.
+ *     - How: Aggregate usage object incremented by fileGeneratorV18.js, per-call history array.
+ *     - Test: POST /api/grok/edit, verify task.llmUsage.calls is 1 and llmCalls has one entry.
+ *   - 10/19/2026: Added baseHash, patch, isNewFile, stats to stagedFiles and mergeConflicts to Task.
+ *     - Why: Staged changes are unified diffs against a recorded base, apply detects conflicts.
+ *     - How: Subdocument fields written by patchUtils.js via taskManager.js.
+ *     - Test: POST /api/grok/edit, verify stagedFiles[0].baseHash and stagedFiles[0].patch.
+ *   - 10/19/2026: Added commitSha, commitBranch, baseCommitSha, revertCommitSha, gitHistory to Task.
+ *     - Why: Apply commits per task and rollback reverts that exact commit.
+ *     - How: Written by taskManager.js via gitUtils.js; commitSha indexed for history lookups.
+ *     - Test: Approve a task, verify task.commitSha and gitHistory[0].action "apply".
+ *   - 10/19/2026: Added workspace (path, status, previewUrl, checks) to Task.
+ *     - Why: Staged files are checked and tested in a per-task sandbox before they reach the repo.
+ *     - How: Written by taskTesterV18.js runTests via workspaceUtils.js, status "destroyed" after cleanup.
+ *     - Test: POST /api/grok/test/<taskId>, verify task.workspace.checks lists lint, syntax, build.
+ *   - 10/19/2026: Added intent and clarifyingQuestions to Task.
+ *     - Why: promptParser.js produces a validated intent and questions for ambiguous prompts.
+ *     - How: Written by taskManager.js processTask after parsePrompt.
+ *     - Test: POST /api/grok/edit with "Add a new button to SponsorHub", verify task.intent.targetModule "sponsor".
+ *   - 10/19/2026: Added user and plan fields (parentTaskId, planStep, planOrder, dependsOn, blockedBy, subtasks, planProgress) to Task.
+ *     - Why: Large prompts become a parent task with dependent subtasks; user was dropped on save, so owner lookups missed existing tasks.
+ *     - How: Written by taskPlanner.js createPlan/advancePlan; parentTaskId and user indexed.
+ *     - Test: POST /api/grok/edit with "Build an inventory system with stock alerts and supplier management", verify five tasks with parentTaskId set.
+ *   - 10/19/2026: Added Job schema for the task processing queue.
+ *     - Why: Task processing ran inline in POST /edit and was lost on restart.
+ *     - How: jobQueue.js claims queued jobs with findOneAndUpdate, retries with backoff via runAt, requeues running jobs on startup.
+ *     - Test: POST /api/grok/edit, verify a jobs document with status "queued" then "completed".
+ *   - 10/19/2026: Added PromptTemplate schema and Task.template.
+ *     - Why: Users retyped the same prompts (dozens of EmployeeLog iterations) and their test instructions.
+ *     - How: Templates hold a {{variable}} body, variable definitions, default test instructions, and prior versions; tasks record the template, version, and values used.
+ *     - Test: POST /api/grok/templates, then POST /api/grok/edit with its templateId, verify task.template.version and task.testInstructions.
+ *   - 10/19/2026: Added contextFiles to Task.
+ *     - Why: Generation context comes from codeIndex.js retrieval; the task records which files were used, not their contents.
+ *     - How: Written by taskManager.js processTask as { path, score, reason } entries.
+ *     - Test: POST /api/grok/edit, verify task.contextFiles is a short list of paths.
+ *   - 10/19/2026: Added validation (status, counts, per-file findings) to Task.
+ *     - Why: Staged files are parsed, linted, import-checked, and scanned for forbidden APIs before approval.
+ *     - How: Written by taskManager.js processTask from staticValidator.js validateStagedFiles.
+ *     - Test: POST /api/grok/edit, verify task.validation.files[0].findings and validation.status.
+ *   - 10/19/2026: Added description, user, securityReview, and approvals to BackendProposal.
+ *     - Why: description and user were set by createProposals but dropped on save; high-risk proposals need two approvals.
+ *     - How: securityReview written by securityReview.js reviewProposal, approvals by recordApproval.
+ *     - Test: Create a proposal with eval(), verify securityReview.riskLevel "high" in idurar_db.backendproposals.
+ *   - 10/19/2026: Added policyViolations to Task.
+ *     - Why: Generated paths escaping allowed roots or targeting protected files are rejected and must stay visible on the task.
+ *     - How: Pushed by fileGeneratorV18.js, taskManager.js, and proposalRoutes.js from pathPolicy.js checkFiles/checkPath.
+ *     - Test: Stage backend/app.js, verify a { rule: "protected", stage: "generate" } entry.
+ *   - 10/19/2026: Added edit, preview, and applied to BackendProposal.
+ *     - Why: Proposals are applied as structured AST edits, previewed as a diff, and reverted exactly.
+ *     - How: edit.kind is insert_route, add_middleware, modify_function, or add_schema_field (proposalTransforms.js); applied keeps the patch and hashes for revert.
+ *     - Test: Approve an insert_route proposal, verify applied.patch and applied.appliedHash; deny it, verify status "reverted".
+ *   - 10/19/2026: Added area, reviewers, approvalsRequired, comments, and history to BackendProposal.
+ *     - Why: Proposals get threaded and per-line comments, assigned reviewers, per-area approval counts, and a review timeline.
+ *     - How: Maintained by proposalReview.js; comments reply through parentId, line pins a comment to a line of the preview diff.
+ *     - Test: Comment on a proposal, verify comments[0] and a "commented" history entry.
+ *   - 10/19/2026: Added repairIterations to Task.
+ *     - Why: Every run of the test repair loop is kept so users can see how a fix evolved.
+ *     - How: Pushed by testRepair.js recordRepairIteration with result, failure, console errors, screenshot path, and fix diff.
+ *     - Test: Fail a task test once, verify a failed iteration with fix.patch followed by a passed one.
+ *   - 10/19/2026: Added acceptanceTests to Task.
+ *     - Why: Generated tests assert the prompt's acceptance criteria and are stored with the task, not loose in tests/ and src/utils.
+ *     - How: acceptanceTests.js stores the planned checks, the rendered spec and its path, and per-criterion results.
+ *     - Test: Run a task test, verify acceptanceTests.checks has one entry per intent.acceptanceCriteria and results after the run.
+ *   - 10/19/2026: Added apiTests and testReport to Task.
+ *     - Why: Routes a task adds are tested through supertest, and reviewers want one report across UI and API tests.
+ *     - How: apiTests.js stores planned route checks and per-route results; testReport merges them with acceptance results.
+ *     - Test: Submit "Add MFA to login", verify apiTests.results has POST /mfa and testReport.suites lists "api".
+ *   - 10/19/2026: Added Task.visualTests and the VisualBaseline model.
+ *     - Why: Pages touched by a task are compared with the screenshots of the last approved task on the same route.
+ *     - How: visualRegression.js stores per-route results on the task and one VisualBaseline per approved task and route.
+ *     - Test: Approve a task for /employee-log, verify a VisualBaseline { route: "/employee-log", taskId }.
+ *   - 10/19/2026: Added stageTimings and errorDetails to Task.
+ *     - Why: analytics.js aggregates time per pipeline stage and failure reasons.
+ *     - How: taskManager.js pushes one timing per processTask stage and stores the errorDetails of failed events.
+ *     - Test: Run a task, verify stageTimings starts with { stage: "parse" } and every entry has durationMs.
+ *   - 10/19/2026: Added the Event and Counter models.
+ *     - Why: Task and proposal Socket.IO events are persisted for replay after a reconnect and for the live feed history.
+ *     - How: eventStore.js numbers events from the "events" Counter; Event keeps type, task, recipients, and payload for 30 days.
+ *     - Test: Submit a task, verify idurar_db.events has its taskUpdate events and counters has { _id: "events", seq }.
+ *   - 10/19/2026: Added the Feedback model.
+ *     - Why: Feedback was a free-text socket message that was never stored; it now needs triage and a path to a task.
+ *     - How: Category, severity, page URL, optional screenshot, linked task/proposal, triage status with history, convertedTaskId.
+ *     - Test: Submit feedback from the console, verify idurar_db.feedbacks has it with status "new".
+ *   - 10/19/2026: Added log retention, the capped DebugLog model, and redaction on write.
+ *     - Why: Logs were kept forever with request headers; logUtils.js registered its own Log schema with a Date timestamp.
+ *     - How: Log.expiresAt TTL index set per level (logPolicy.js), DebugLog capped collection, pre-validate hook that redacts
+ *       details and copies details.taskId to an indexed taskId; timestamp is a Date, matching the stored logs.
+ *     - Test: logError("x", "test", { taskId: "t1", password: "p" }), verify taskId "t1", "[REDACTED]", and expiresAt in 90 days.
+ *   - 10/19/2026: Added commitError to Task.
+ *     - Why: A task whose git commit failed after its files were written must show that it cannot be rolled back.
+ *     - How: Set by applyApprovedChanges from the commitTaskChanges error, cleared on a successful commit.
+ *     - Test: Approve a task while .git/index.lock exists, verify commitError is set and commitSha is missing.
  * Test Instructions:
  *   - Apply updated db.js, ensure backend/.env includes DATABASE_URI=mongodb://localhost:27017/idurar_db.
  *   - Run `npm start`: Verify console shows "MongoDB connected to idurar_db", "Task schema registered", no OverwriteModelError.
@@ -51,6 +144,7 @@
  */
 
 const mongoose = require('mongoose');
+const { DEBUG_LOG_CAP_BYTES, expiresAtFor, redact } = require('./utils/logPolicy');
 
 const MONGODB_URI = process.env.DATABASE_URI || 'mongodb://localhost:27017/idurar_db?w=1&journal=true&wtimeoutMS=30000';
 const registeredModels = new Map();
@@ -96,13 +190,31 @@ function validateMongoDBUri(uri) {
   }
 }
 
+// Shared by the Log collection (info, warn, error) and the capped DebugLog collection
+const logFields = {
+  level: { type: String, required: true, index: true },
+  message: { type: String, required: true },
+  context: { type: String, index: true },
+  taskId: { type: String, index: true },
+  details: { type: Object },
+  timestamp: { type: Date, default: Date.now, index: true },
+};
+
 const schemas = {
   Task: new mongoose.Schema({
     taskId: { type: String, required: true, unique: true },
     prompt: { type: String, required: true },
     status: { type: String, default: 'pending' },
+    user: { type: String, index: true },
     files: [{ type: String }],
-    stagedFiles: [{ path: String, content: String }],
+    stagedFiles: [{
+      path: String,
+      content: String,
+      baseHash: String,
+      patch: String,
+      isNewFile: Boolean,
+      stats: { hunks: Number, additions: Number, deletions: Number },
+    }],
     error: { type: String },
     originalContent: { type: Object, default: {} },
     newContent: { type: Object, default: {} },
@@ -112,6 +224,194 @@ const schemas = {
     proposedChanges: [{ type: String }],
     createdAt: { type: Date, default: Date.now },
     geolocation: { latitude: Number, longitude: Number },
+    mergeConflicts: [{
+      path: String,
+      reason: String,
+      hunks: [{ baseStart: Number, baseEnd: Number, ours: String, theirs: String }],
+    }],
+    commitSha: { type: String, index: true },
+    commitBranch: { type: String },
+    baseCommitSha: { type: String },
+    revertCommitSha: { type: String },
+    commitError: { type: String }, // Set when the files were applied but the git commit failed, so rollback is manual
+    gitHistory: [{
+      action: { type: String, enum: ['apply', 'rollback'] },
+      sha: String,
+      branch: String,
+      files: [String],
+      user: String,
+      createdAt: { type: Date, default: Date.now },
+    }],
+    intent: {
+      action: String,
+      targetModule: String,
+      affectedFiles: [{ path: String, isNewFile: Boolean }],
+      entities: [{ name: String, kind: String }],
+      acceptanceCriteria: [String],
+      confidence: Number,
+      ambiguities: [String],
+      source: { type: String, enum: ['rules', 'llm'] },
+    },
+    clarifyingQuestions: [{ type: String }],
+    contextFiles: [{ path: String, score: Number, reason: String }],
+    validation: {
+      status: { type: String, enum: ['passed', 'failed'] },
+      errorCount: Number,
+      warningCount: Number,
+      files: [{
+        path: String,
+        status: { type: String, enum: ['passed', 'failed'] },
+        findings: [{
+          kind: { type: String, enum: ['parse', 'lint', 'import', 'forbidden'] },
+          rule: String,
+          severity: { type: String, enum: ['error', 'warning'] },
+          message: String,
+          line: Number,
+          column: Number,
+        }],
+      }],
+      checkedAt: Date,
+    },
+    policyViolations: [{
+      path: String,
+      rule: { type: String, enum: ['traversal', 'outside-root', 'protected', 'extension', 'size'] },
+      message: String,
+      stage: { type: String, enum: ['generate', 'proposal', 'apply', 'approve'] },
+      detectedAt: { type: Date, default: Date.now },
+    }],
+    jobId: { type: String },
+    template: {
+      templateId: String,
+      name: String,
+      version: Number,
+      variables: { type: Object, default: undefined },
+      testInstructions: String,
+    },
+    parentTaskId: { type: String, index: true },
+    planStep: { type: String, enum: ['model', 'controller', 'routes', 'ui', 'tests'] },
+    planOrder: { type: Number },
+    dependsOn: [{ type: String }],
+    blockedBy: [{ type: String }],
+    subtasks: [{ type: String }],
+    planProgress: {
+      total: Number,
+      applied: Number,
+      pendingApproval: Number,
+      inProgress: Number,
+      waiting: Number,
+      failed: Number,
+      blocked: Number,
+      percent: Number,
+    },
+    workspace: {
+      path: String,
+      status: { type: String, enum: ['checking', 'passed', 'failed', 'destroyed'] },
+      previewUrl: String,
+      checks: [{ name: String, status: { type: String, enum: ['passed', 'failed', 'skipped'] }, output: String, durationMs: Number }],
+      updatedAt: Date,
+    },
+    repairIterations: [{
+      runId: String,
+      iteration: Number,
+      status: { type: String, enum: ['passed', 'failed'] },
+      failure: String,
+      consoleErrors: [String],
+      screenshotPath: String,
+      fix: {
+        kind: { type: String, enum: ['code', 'test', 'none'], default: 'none' },
+        files: [String],
+        patch: String,
+        provider: String,
+        model: String,
+        error: String,
+      },
+      startedAt: Date,
+      finishedAt: Date,
+    }],
+    acceptanceTests: {
+      specPath: String,
+      spec: String,
+      checks: [{ criterion: String, kind: String, generic: Boolean, steps: [Object] }],
+      results: [{ criterion: String, status: { type: String, enum: ['passed', 'failed', 'skipped'] }, error: String, durationMs: Number }],
+      generatedAt: Date,
+      ranAt: Date,
+    },
+    apiTests: {
+      specPath: String,
+      checks: [{ name: String, file: String, method: String, route: String, path: String, source: String, proposalId: String }],
+      results: [{
+        name: String,
+        file: String,
+        method: String,
+        route: String,
+        source: String,
+        proposalId: String,
+        status: { type: String, enum: ['passed', 'failed', 'skipped'] },
+        error: String,
+        durationMs: Number,
+      }],
+      ranAt: Date,
+    },
+    testReport: {
+      status: { type: String, enum: ['passed', 'failed'] },
+      passed: Number,
+      failed: Number,
+      skipped: Number,
+      suites: [{ name: String, passed: Number, failed: Number, skipped: Number }],
+      cases: [{ suite: String, name: String, status: String, error: String, durationMs: Number }],
+      updatedAt: Date,
+    },
+    visualTests: {
+      threshold: Number,
+      results: [{
+        route: String,
+        routeKey: String,
+        status: { type: String, enum: ['passed', 'failed', 'new', 'skipped'] },
+        mismatchRatio: Number,
+        diffPixels: Number,
+        threshold: Number,
+        outline: [String],
+        structure: { added: [String], removed: [String] },
+        imagePath: String,
+        baselinePath: String,
+        diffPath: String,
+        baselineTaskId: String,
+        error: String,
+      }],
+      ranAt: Date,
+    },
+    stageTimings: [{
+      stage: String,
+      startedAt: Date,
+      finishedAt: Date,
+      durationMs: Number,
+      status: { type: String, enum: ['completed', 'failed', 'cancelled'] },
+    }],
+    errorDetails: {
+      reason: String,
+      context: String,
+      at: Date,
+    },
+    llmProvider: { type: String },
+    llmUsage: {
+      promptTokens: { type: Number, default: 0 },
+      completionTokens: { type: Number, default: 0 },
+      totalTokens: { type: Number, default: 0 },
+      costUsd: { type: Number, default: 0 },
+      calls: { type: Number, default: 0 },
+    },
+    llmCalls: [{
+      provider: String,
+      model: String,
+      promptTokens: Number,
+      completionTokens: Number,
+      totalTokens: Number,
+      costUsd: Number,
+      durationMs: Number,
+      fallbackFrom: String,
+      error: String,
+      createdAt: { type: Date, default: Date.now },
+    }],
   }, { timestamps: true }),
 
   Admin: new mongoose.Schema({
@@ -154,6 +454,70 @@ const schemas = {
     file: { type: String, required: true },
     content: { type: String, required: true },
     status: { type: String, default: 'pending' },
+    description: { type: String },
+    user: { type: String },
+    securityReview: {
+      riskLevel: { type: String, enum: ['low', 'medium', 'high'] },
+      findings: [{
+        rule: String,
+        severity: { type: String, enum: ['low', 'medium', 'high'] },
+        message: String,
+        line: Number,
+      }],
+      requiresSecondApproval: { type: Boolean, default: false },
+      reviewedAt: { type: Date },
+    },
+    approvals: [{
+      user: String,
+      approvedAt: { type: Date, default: Date.now },
+      acknowledgedRisks: { type: Boolean, default: false },
+    }],
+    edit: {
+      kind: { type: String, enum: ['insert_route', 'add_middleware', 'modify_function', 'add_schema_field'] },
+      method: String,
+      route: String,
+      handler: String,
+      middleware: [String],
+      importFrom: String,
+      name: String,
+      code: String,
+      schema: String,
+      field: String,
+      definition: String,
+    },
+    preview: {
+      baseHash: String,
+      patch: String,
+      stats: { hunks: Number, additions: Number, deletions: Number },
+      error: String,
+      generatedAt: Date,
+    },
+    applied: {
+      patch: String,
+      baseHash: String,
+      appliedHash: String,
+      isNewFile: Boolean,
+      commitSha: String,
+      appliedAt: Date,
+      revertedAt: Date,
+      revertCommitSha: String,
+    },
+    area: { type: String, enum: ['backend', 'frontend'], default: 'backend' },
+    reviewers: [String],
+    approvalsRequired: { type: Number, default: 1 },
+    comments: [{
+      author: String,
+      body: { type: String, required: true },
+      line: Number,
+      parentId: { type: mongoose.Schema.Types.ObjectId },
+      createdAt: { type: Date, default: Date.now },
+    }],
+    history: [{
+      action: { type: String, enum: ['created', 'commented', 'reviewers_assigned', 'approved', 'applied', 'denied', 'reverted'] },
+      actor: String,
+      details: String,
+      at: { type: Date, default: Date.now },
+    }],
     createdAt: { type: Date, default: Date.now },
   }, { timestamps: true }),
 
@@ -163,15 +527,127 @@ const schemas = {
     settingValue: { type: String, required: true },
   }, { timestamps: true }),
 
-  Log: new mongoose.Schema({
-    level: { type: String, required: true },
+  Job: new mongoose.Schema({
+    jobId: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    taskId: { type: String, index: true },
+    payload: { type: Object, default: {} },
+    status: { type: String, enum: ['queued', 'running', 'completed', 'failed', 'cancelled'], default: 'queued', index: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAt: { type: Date, default: Date.now, index: true },
+    lockedAt: { type: Date },
+    lockedBy: { type: String },
+    lastError: { type: String },
+    completedAt: { type: Date },
+    user: { type: String },
+  }, { timestamps: true }),
+
+  PromptTemplate: new mongoose.Schema({
+    templateId: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    description: { type: String, default: '' },
+    body: { type: String, required: true },
+    variables: [{
+      name: { type: String, required: true },
+      label: String,
+      required: { type: Boolean, default: true },
+      defaultValue: String,
+    }],
+    testInstructions: { type: String, default: '' },
+    version: { type: Number, default: 1 },
+    versions: [{
+      version: Number,
+      body: String,
+      variables: [{ name: String, label: String, required: Boolean, defaultValue: String }],
+      testInstructions: String,
+      updatedBy: String,
+      updatedAt: { type: Date, default: Date.now },
+    }],
+    owner: { type: String, index: true },
+    shared: { type: Boolean, default: false, index: true },
+    archived: { type: Boolean, default: false },
+    usageCount: { type: Number, default: 0 },
+  }, { timestamps: true }),
+
+  VisualBaseline: new mongoose.Schema({
+    route: { type: String, required: true, index: true },
+    routeKey: { type: String, required: true },
+    taskId: { type: String, required: true },
+    imagePath: { type: String, required: true },
+    width: Number,
+    height: Number,
+    outline: [String],
+    approvedBy: String,
+    approvedAt: { type: Date, default: Date.now, index: true },
+  }, { timestamps: true }),
+
+  Event: new mongoose.Schema({
+    seq: { type: Number, required: true, unique: true },
+    type: { type: String, required: true, index: true },
+    taskId: { type: String, index: true },
+    users: { type: [String], index: true },
+    status: String,
+    message: String,
+    error: String,
+    eventId: String,
+    truncated: { type: Boolean, default: false },
+    data: { type: Object, default: {} },
+    createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 30 },
+  }),
+
+  Counter: new mongoose.Schema({
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  }),
+
+  Feedback: new mongoose.Schema({
+    feedbackId: { type: String, required: true, unique: true },
     message: { type: String, required: true },
-    context: { type: String },
-    details: { type: Object },
-    timestamp: { type: String, required: true, index: true },
+    category: { type: String, enum: ['bug', 'feature', 'ux', 'performance', 'other'], default: 'other', index: true },
+    severity: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium', index: true },
+    status: { type: String, enum: ['new', 'triaged', 'in_progress', 'resolved', 'dismissed'], default: 'new', index: true },
+    pageUrl: String,
+    userAgent: String,
+    taskId: { type: String, index: true },
+    proposalId: String,
+    screenshot: {
+      path: String,
+      originalName: String,
+      mimetype: String,
+      size: Number,
+    },
+    triageNote: String,
+    triagedBy: String,
+    triagedAt: Date,
+    convertedTaskId: String,
+    user: { type: String, index: true },
+    history: [{
+      status: String,
+      note: String,
+      by: String,
+      at: { type: Date, default: Date.now },
+    }],
   }, { timestamps: true }),
+
+  Log: new mongoose.Schema({
+    ...logFields,
+    expiresAt: { type: Date, index: { expires: 0 } },
+  }),
+
+  DebugLog: new mongoose.Schema(logFields, { capped: { size: DEBUG_LOG_CAP_BYTES } }),
 };
 
+// Every write to the log collections, through logUtils.js or Log.create, is redacted and gets its taskId and expiry
+function prepareLogEntry() {
+  this.message = redact(this.message);
+  this.details = redact(this.details);
+  if (!this.taskId && typeof this.details?.taskId === 'string') this.taskId = this.details.taskId;
+  if (this.schema.path('expiresAt') && !this.expiresAt) this.expiresAt = expiresAtFor(this.level, this.timestamp);
+}
+schemas.Log.pre('validate', prepareLogEntry);
+schemas.DebugLog.pre('validate', prepareLogEntry);
+
 async function initializeDB() {
   try {
     console.info('db.js: Initializing MongoDB connection', {
@@ -295,4 +771,4 @@ function isSchemaRegistered() {
   return registeredModels.size > 0;
 }
 
-module.exports = { initializeDB, getModel, isSchemaRegistered };
+module.exports = { initializeDB, getModel, isSchemaRegistered, schemas };
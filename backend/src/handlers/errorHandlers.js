@@ -30,10 +30,14 @@
  *     - Why: Persistent 401 errors due to invalid token signature (User, 05/08/2025).
  *     - How: Added logging of token payload and JWT_SECRET (redacted), preserved logic.
  *     - Test: Run `npm start`, call /api/grok/tasks with invalid token, verify detailed log in grok.log.
+ *   - 10/19/2026: Stopped logging JWT_SECRET characters and decoded token payloads.
+ *     - Why: Logs are kept for weeks and queried through /api/logs; secret fragments and payloads do not belong there.
+ *     - How: Removed secret and payload from the verifyToken log details; logPolicy.js redacts the token prefix as well.
+ *     - Test: Call GET /api/grok/tasks with an invalid token, verify the "Token verification failed" log has no secret field.
  * Test Instructions:
  *   - Apply updated errorHandlers.js, run `npm start` in backend/.
  *   - Call GET /api/grok/tasks with invalid Authorization header, verify 401 response.
- *   - Check grok.log for "Token verification failed" with token payload and secret details.
+ *   - Check grok.log for "Token verification failed" with the error message and request URL.
  *   - Call /api/grok/edit with valid token, verify 200 or 400 response, no 401 errors.
  * Rollback Instructions:
  *   - Revert to errorHandlers.js.bak (`copy backend\src\handlers\errorHandlers.js.bak backend\src\handlers\errorHandlers.js`).
@@ -96,8 +100,6 @@ const verifyToken = async (req, res, next) => {
     await logDebug('Token verified successfully', 'verifyToken', {
       token: token.slice(0, 20) + '...',
       userEmail: req.user.email,
-      payload: decoded,
-      secret: process.env.JWT_SECRET.slice(0, 5) + '...',
       method: req.method,
       url: req.originalUrl,
       timestamp: new Date().toISOString(),
@@ -107,7 +109,6 @@ const verifyToken = async (req, res, next) => {
     await logError('Token verification failed', 'verifyToken', {
       error: err.message,
       token: token.slice(0, 20) + '...',
-      secret: process.env.JWT_SECRET.slice(0, 5) + '...',
       method: req.method,
       url: req.originalUrl,
       stack: err.stack,
@@ -0,0 +1,60 @@
+/*
+ * File Path: backend/src/routes/analyticsRoutes.js
+ * Purpose: Express route for AI pipeline analytics in Allur Space Console.
+ * How It Works:
+ *   - GET /analytics returns task, stage, approval, and log metrics from analytics.js for the current user.
+ * Mechanics:
+ *   - GET /analytics?days=30: days is clamped to 1-365 by analytics.js.
+ * Dependencies:
+ *   - express: Router (version 5.1.0).
+ *   - analytics.js: getPipelineAnalytics.
+ *   - errorHandlers.js: catchErrors, verifyToken.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - app.js: Mounts routes at /api/grok.
+ *   - useAnalytics.js: Loads metrics for AnalyticsDashboard.jsx.
+ * Why It’s Here:
+ *   - The console's Analytics tab needs one endpoint with all pipeline aggregations (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created analytics route.
+ *     - Why: Success rate, attempts, failure reasons, stage timings, and approval rates were not visible anywhere.
+ *     - How: Thin handler over analytics.js, scoped to the user like the task list.
+ *     - Test: GET /api/grok/analytics?days=7 with a token, verify 200 and { analytics: { range: { days: 7 } } }.
+ * Test Instructions:
+ *   - GET /api/grok/analytics without a token, verify 401.
+ *   - GET /api/grok/analytics?days=1000, verify range.days is 365.
+ * Rollback Instructions:
+ *   - Delete analyticsRoutes.js and remove it from app.js.
+ * Future Enhancements:
+ *   - Cache results for a minute; aggregations scan the whole window on every request (Sprint 5).
+ */
+
+const express = require('express');
+const { getPipelineAnalytics } = require('../utils/analytics');
+const { catchErrors, verifyToken } = require('../handlers/errorHandlers');
+const { logError } = require('../utils/logUtils');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// GET /grok/analytics - Pipeline metrics for the last `days` days
+router.get(
+  '/analytics',
+  catchErrors(async (req, res) => {
+    try {
+      const analytics = await getPipelineAnalytics({ userEmail: req.user.email, days: req.query.days });
+      res.json({ success: true, analytics });
+    } catch (err) {
+      await logError(`Failed to load analytics: ${err.message}`, 'analyticsRoutes', {
+        days: req.query.days,
+        stack: err.stack || 'No stack trace',
+        user: req.user.email,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/*
+ * File Path: backend/src/routes/eventRoutes.js
+ * Purpose: Express route for the task and proposal event history in Allur Space Console.
+ * How It Works:
+ *   - GET /events pages through the user's stored Socket.IO events (eventStore.js), newest first.
+ * Mechanics:
+ *   - Query: before (seq cursor), limit (1-200, default 50), taskId, type, status, q (search in message, error, taskId).
+ *   - Response: { success, events, nextBefore, hasMore }; pass nextBefore as `before` for the next page.
+ * Dependencies:
+ *   - express: Router (version 5.1.0).
+ *   - eventStore.js: listEvents.
+ *   - errorHandlers.js: catchErrors, verifyToken.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - app.js: Mounts routes at /api/grok.
+ *   - useEventHistory.js: History, search, and filters for LiveFeed.jsx.
+ * Why It’s Here:
+ *   - The live feed loads its history after a page refresh and searches older events (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created event history route.
+ *     - Why: Events are persisted with sequence numbers; LiveFeed.jsx needs paginated access to them.
+ *     - How: Thin handler over eventStore.listEvents, scoped to the requesting user.
+ *     - Test: GET /api/grok/events?limit=10 with a token, verify ten events with decreasing seq and nextBefore.
+ * Test Instructions:
+ *   - GET /api/grok/events?type=backendProposal, verify only proposal events.
+ *   - GET /api/grok/events?q=failed, verify every event mentions "failed" in its message, error, or taskId.
+ * Rollback Instructions:
+ *   - Delete eventRoutes.js and remove it from app.js.
+ * Future Enhancements:
+ *   - Date range filters (Sprint 5).
+ */
+
+const express = require('express');
+const { listEvents } = require('../utils/eventStore');
+const { catchErrors, verifyToken } = require('../handlers/errorHandlers');
+const { logError } = require('../utils/logUtils');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// GET /grok/events - Event history, newest first
+router.get(
+  '/events',
+  catchErrors(async (req, res) => {
+    const { before, limit, taskId, type, status, q } = req.query;
+    try {
+      const page = await listEvents({ userEmail: req.user.email, before, limit, taskId, type, status, q });
+      res.json({ success: true, ...page });
+    } catch (err) {
+      await logError(`Failed to list events: ${err.message}`, 'eventRoutes', {
+        query: req.query,
+        stack: err.stack || 'No stack trace',
+        user: req.user.email,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+module.exports = router;
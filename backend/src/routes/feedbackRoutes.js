@@ -0,0 +1,192 @@
+/*
+ * File Path: backend/src/routes/feedbackRoutes.js
+ * Purpose: Express routes for feedback capture and triage in Allur Space Console.
+ * How It Works:
+ *   - Submits feedback with an optional screenshot (multipart, parsed by express-fileupload in app.js).
+ *   - Lists and triages the shared feedback queue and converts items into tasks through feedback.js.
+ * Mechanics:
+ *   - GET /feedback: Newest first; filters status, category, severity, taskId, mine, limit.
+ *   - GET /feedback/:feedbackId: One item with its triage history.
+ *   - POST /feedback: Fields message, category, severity, pageUrl, taskId, proposalId; file field "screenshot".
+ *   - PATCH /feedback/:feedbackId: { status, category, severity, triageNote }.
+ *   - GET /feedback/:feedbackId/screenshot: The screenshot, served only from uploads/feedback.
+ *   - GET /feedback/:feedbackId/task-draft: { prompt } prefilled from the feedback and its context.
+ *   - POST /feedback/:feedbackId/convert: { prompt } (optional, edited draft) → { feedback, task, jobId }.
+ * Dependencies:
+ *   - express: Router (version 5.1.0).
+ *   - path: Screenshot paths (Node.js built-in).
+ *   - feedback.js: Feedback CRUD, task drafts, conversion.
+ *   - is-path-inside.js: Containment check for served screenshots.
+ *   - errorHandlers.js: catchErrors, verifyToken.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - app.js: Mounts routes at /api/grok.
+ *   - FeedbackButton.jsx: Submits feedback.
+ *   - useFeedback.js: Feedback queue, triage, and conversion for FeedbackTriage.jsx.
+ * Why It’s Here:
+ *   - Feedback is stored, triaged, and turned into tasks instead of being rebroadcast over the socket (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created feedback routes.
+ *     - Why: FeedbackButton.jsx sends structured feedback with screenshots; the console triages it.
+ *     - How: Thin handlers over feedback.js; 404 for unknown items, 409 for repeated conversion, 400 for validation errors.
+ *     - Test: POST /api/grok/feedback with message "Diff viewer is blank", GET /api/grok/feedback, verify status "new".
+ * Test Instructions:
+ *   - POST /api/grok/feedback without message, verify 400 "Feedback message is required".
+ *   - POST /api/grok/feedback with a PDF as screenshot, verify 400 "Screenshot must be a PNG, JPEG, or WebP image".
+ *   - GET /api/grok/feedback/<feedbackId>/screenshot without a token, verify 401.
+ *   - POST /api/grok/feedback/<feedbackId>/convert twice, verify 201 then 409.
+ * Rollback Instructions:
+ *   - Delete feedbackRoutes.js and remove it from app.js.
+ * Future Enhancements:
+ *   - Cursor pagination for long feedback queues (Sprint 5).
+ */
+
+const express = require('express');
+const path = require('path');
+const { FEEDBACK_DIR, createFeedback, listFeedback, getFeedback, updateFeedback, buildTaskDraft, convertToTask } = require('../utils/feedback');
+const { isPathInside } = require('../utils/is-path-inside');
+const { catchErrors, verifyToken } = require('../handlers/errorHandlers');
+const { logError } = require('../utils/logUtils');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+/**
+ * Maps feedback.js errors to HTTP status codes.
+ * @param {Error} err - Error thrown by feedback.js.
+ * @returns {number} HTTP status.
+ */
+function statusFor(err) {
+  if (/not found/.test(err.message)) return 404;
+  if (/already converted/.test(err.message)) return 409;
+  if (/required|Invalid|exceeds|must be|validation failed/i.test(err.message)) return 400;
+  return 500;
+}
+
+/**
+ * Logs a failed feedback request and sends the error response.
+ * @param {Object} res - Express response.
+ * @param {Error} err - Error.
+ * @param {string} action - Action name for the log message.
+ * @param {Object} details - Extra log fields.
+ * @returns {Promise<void>}
+ */
+async function sendError(res, err, action, details) {
+  await logError(`Feedback ${action} failed: ${err.message}`, 'feedbackRoutes', {
+    ...details,
+    stack: err.stack || 'No stack trace',
+    timestamp: new Date().toISOString(),
+  });
+  res.status(statusFor(err)).json({ success: false, message: err.message });
+}
+
+// GET /grok/feedback - Feedback queue, newest first
+router.get(
+  '/feedback',
+  catchErrors(async (req, res) => {
+    try {
+      const feedback = await listFeedback({ ...req.query, user: req.user });
+      res.json({ success: true, feedback });
+    } catch (err) {
+      await sendError(res, err, 'list', { query: req.query, user: req.user?.email });
+    }
+  })
+);
+
+// GET /grok/feedback/:feedbackId - One feedback item with its triage history
+router.get(
+  '/feedback/:feedbackId',
+  catchErrors(async (req, res) => {
+    const { feedbackId } = req.params;
+    try {
+      const feedback = await getFeedback(feedbackId);
+      res.json({ success: true, feedback });
+    } catch (err) {
+      await sendError(res, err, 'fetch', { feedbackId, user: req.user?.email });
+    }
+  })
+);
+
+// POST /grok/feedback - Submit feedback with an optional screenshot
+router.post(
+  '/feedback',
+  catchErrors(async (req, res) => {
+    try {
+      const feedback = await createFeedback(
+        { ...req.body, userAgent: req.get('user-agent') },
+        { user: req.user, screenshot: req.files?.screenshot }
+      );
+      res.status(201).json({ success: true, feedback });
+    } catch (err) {
+      await sendError(res, err, 'create', { category: req.body?.category, user: req.user?.email });
+    }
+  })
+);
+
+// PATCH /grok/feedback/:feedbackId - Triage: status, category, severity, note
+router.patch(
+  '/feedback/:feedbackId',
+  catchErrors(async (req, res) => {
+    const { feedbackId } = req.params;
+    try {
+      const feedback = await updateFeedback(feedbackId, req.body || {}, { user: req.user });
+      res.json({ success: true, feedback });
+    } catch (err) {
+      await sendError(res, err, 'update', { feedbackId, user: req.user?.email });
+    }
+  })
+);
+
+// GET /grok/feedback/:feedbackId/screenshot - Screenshot attached to a feedback item
+router.get(
+  '/feedback/:feedbackId/screenshot',
+  catchErrors(async (req, res) => {
+    const { feedbackId } = req.params;
+    try {
+      const feedback = await getFeedback(feedbackId);
+      if (!feedback.screenshot?.path) {
+        return res.status(404).json({ success: false, message: 'Screenshot not found' });
+      }
+      const file = path.join(FEEDBACK_DIR, '../..', feedback.screenshot.path);
+      if (!isPathInside(file, FEEDBACK_DIR)) {
+        return res.status(400).json({ success: false, message: 'Invalid screenshot path' });
+      }
+      res.sendFile(file, err => {
+        if (err && !res.headersSent) res.status(404).json({ success: false, message: 'Screenshot not found' });
+      });
+    } catch (err) {
+      await sendError(res, err, 'screenshot', { feedbackId, user: req.user?.email });
+    }
+  })
+);
+
+// GET /grok/feedback/:feedbackId/task-draft - Task prompt prefilled from the feedback
+router.get(
+  '/feedback/:feedbackId/task-draft',
+  catchErrors(async (req, res) => {
+    const { feedbackId } = req.params;
+    try {
+      const { prompt } = await buildTaskDraft(feedbackId, { user: req.user });
+      res.json({ success: true, prompt });
+    } catch (err) {
+      await sendError(res, err, 'draft', { feedbackId, user: req.user?.email });
+    }
+  })
+);
+
+// POST /grok/feedback/:feedbackId/convert - Create a task from the feedback
+router.post(
+  '/feedback/:feedbackId/convert',
+  catchErrors(async (req, res) => {
+    const { feedbackId } = req.params;
+    try {
+      const { feedback, task, jobId } = await convertToTask(feedbackId, { user: req.user, prompt: req.body?.prompt });
+      res.status(201).json({ success: true, feedback, task, jobId });
+    } catch (err) {
+      await sendError(res, err, 'convert', { feedbackId, user: req.user?.email });
+    }
+  })
+);
+
+module.exports = router;
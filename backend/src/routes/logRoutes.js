@@ -0,0 +1,77 @@
+/*
+ * File Path: backend/src/routes/logRoutes.js
+ * Purpose: Express route for querying stored logs in Allur Space Console.
+ * How It Works:
+ *   - GET /api/logs returns logs newest first through logQuery.js, with filters and cursor pagination.
+ *   - Only the requester's logs are returned: those of tasks they can see and of their own requests.
+ *   - GET /api/logs/retention reports the retention days per level and the debug tier's cap.
+ * Mechanics:
+ *   - Query parameters: level (one or comma-separated), context, taskId, from, to, q, before, limit (max 200).
+ *   - Response: { success, logs, nextBefore, hasMore }; stored details are already redacted.
+ * Dependencies:
+ *   - express: Router (version 5.1.0).
+ *   - logQuery.js: listLogs.
+ *   - logPolicy.js: retentionDays, DEBUG_LOG_CAP_BYTES.
+ *   - errorHandlers.js: catchErrors, verifyToken.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - app.js: Mounts routes at /api/logs.
+ * Why It’s Here:
+ *   - Logs are queried over HTTP instead of in MongoDB directly (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created log routes.
+ *     - Why: Filtered, paginated access to idurar_db.logs and the capped debug tier.
+ *     - How: Thin handler over logQuery.js; 400 for invalid filters or cursors.
+ *     - Test: GET /api/logs?level=warn,error&context=taskManager, verify only warnings and errors from taskManager.
+ *   - 10/19/2026: Passed the requester to listLogs.
+ *     - Why: A valid token was enough to read every user's task logs.
+ *     - How: listLogs scopes the query to req.user.email.
+ *     - Test: Sign in as a second admin, GET /api/logs, verify no logs of the first admin's tasks.
+ * Test Instructions:
+ *   - GET /api/logs without a token, verify 401.
+ *   - GET /api/logs?from=yesterday, verify 400 "Invalid from: yesterday".
+ *   - GET /api/logs/retention, verify { error: 90, warn: 30, info: 14, debug: 2 } without overrides.
+ * Rollback Instructions:
+ *   - Delete logRoutes.js and remove it from app.js.
+ * Future Enhancements:
+ *   - Log viewer tab in the console (Sprint 5).
+ */
+
+const express = require('express');
+const { listLogs } = require('../utils/logQuery');
+const { retentionDays, DEBUG_LOG_CAP_BYTES } = require('../utils/logPolicy');
+const { catchErrors, verifyToken } = require('../handlers/errorHandlers');
+const { logError } = require('../utils/logUtils');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// GET /logs - Logs newest first, filtered and paginated by cursor
+router.get(
+  '/',
+  catchErrors(async (req, res) => {
+    try {
+      const result = await listLogs(req.query, { userEmail: req.user?.email });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      await logError(`Log query failed: ${err.message}`, 'logRoutes', {
+        query: req.query,
+        user: req.user?.email,
+        stack: err.stack || 'No stack trace',
+        timestamp: new Date().toISOString(),
+      });
+      res.status(/^Invalid/.test(err.message) ? 400 : 500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// GET /logs/retention - Retention days per level and the debug tier's size cap
+router.get(
+  '/retention',
+  catchErrors(async (req, res) => {
+    res.json({ success: true, retentionDays: retentionDays(), debugCapBytes: DEBUG_LOG_CAP_BYTES });
+  })
+);
+
+module.exports = router;
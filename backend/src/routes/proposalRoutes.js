@@ -2,7 +2,7 @@
  * File Path: backend/src/routes/proposalRoutes.js
  * Purpose: Defines Express routes for managing backend proposals in Allur Space Console, supporting CRUD operations and approval/rollback workflows.
  * How It Works:
- *   - Provides endpoints: GET /backend-proposals, POST /approve-backend, POST /rollback, POST /test.
+ *   - Provides endpoints: GET /backend-proposals, GET /backend-proposals/:proposalId/preview, POST /approve-backend, POST /rollback, POST /test.
  *   - Uses BackendProposal and Task models for MongoDB operations.
  *   - Validates proposalId and taskId to prevent errors.
  *   - Integrates taskManager.js for applying/rolling back proposal changes.
@@ -11,19 +11,26 @@
  *   - Logs operations to idurar_db.logs using Log model.
  * Mechanics:
  *   - GET /backend-proposals: Fetches all proposals, sorted by creation date.
- *   - POST /approve-backend: Approves a proposal, applies changes via taskManager.js.
- *   - POST /rollback: Rolls back a proposal, updates task status to denied.
+ *   - GET /backend-proposals/:proposalId/preview: Recomputes the proposal's diff against the current target file.
+ *   - POST /approve-backend: Approves a proposal, applies changes via taskManager.js; high-risk proposals (securityReview.js)
+ *     need { acknowledgeRisks: true } and a second approval from a different reviewer, answering 202 after the first.
+ *   - POST /rollback: Reverts an applied proposal exactly (status reverted) or denies a pending one with an optional reason; the task is untouched.
+ *   - GET /reviewers, POST /backend-proposals/:proposalId/comments, PUT /backend-proposals/:proposalId/reviewers: Review workflow (proposalReview.js).
+ *   - Approval counts come from the review_policy Setting per area; once reviewers are assigned only they may approve (403).
  *   - POST /test: Runs Playwright tests for a task’s staged files in manual or auto mode.
  *   - Validates inputs with custom isValidProposalId and isValidTaskId functions.
  * Dependencies:
  *   - express: Router for defining endpoints (version 5.1.0).
  *   - mongoose: BackendProposal, Task, Log models for MongoDB operations (version 8.13.2).
- *   - socket.js: getIO for Socket.IO emissions (version 4.8.1).
- *   - taskManager.js: applyApprovedChanges, rollbackChanges for proposal actions.
+ *   - socket.js: emitTaskEvent for Socket.IO emissions (version 4.8.1).
+ *   - taskManager.js: applyBackendProposal, revertBackendProposal, previewEdit for proposal actions.
  *   - playwrightUtils.js: runPlaywrightTests for test execution.
  *   - db.js: getModel for schema access.
  *   - uuid: Generates unique eventId for Socket.IO events (version 11.1.0).
- *   - errorHandlers.js: catchErrors for error handling.
+ *   - errorHandlers.js: catchErrors for error handling, verifyToken for approvals.
+ *   - securityReview.js: recordApproval for the second approval on high-risk proposals.
+ *   - pathPolicy.js: checkFiles refuses proposals targeting paths outside the allowed roots or protected files.
+ *   - proposalReview.js: Comments, reviewers, required approvals, and history.
  * Dependents:
  *   - app.js: Mounts routes at /api/grok.
  *   - GrokUI.jsx: Consumes API responses via useProposals.js, useProposalSocket.js.
@@ -46,6 +53,28 @@
  *     - Why: 500 errors on POST /rollback due to taskManager errors (User, 05/08/2025).
  *     - How: Added detailed logging for rollbackChanges, preserved route logic.
  *     - Test: POST /api/grok/rollback with { proposalId }, verify 200 or detailed error in grok.log.
+ *   - 10/19/2026: Required a second approval for high-risk proposals.
+ *     - Why: A single click appended generated backend code flagged for child_process, eval, or unauthenticated routes.
+ *     - How: /approve-backend uses verifyToken to know the reviewer, records approvals via securityReview.js recordApproval,
+ *       answers 202 with status "awaiting_second_approval" until the second reviewer approves; 400 without acknowledged risks, 409 for the same reviewer.
+ *     - Test: Approve a high-risk proposal twice as the same user, verify 202 then 409.
+ *   - 10/19/2026: Enforced the path policy on proposal approval.
+ *     - Why: Proposals were appended to any path joined onto the repo root, including backend/app.js and .env.
+ *     - How: /approve-backend checks proposal.file with pathPolicy.js, pushes violations to Task.policyViolations, answers 403.
+ *     - Test: Set a proposal's file to "backend/app.js", approve it, verify 403 and a "protected" violation on its task.
+ *   - 10/19/2026: Applied and reverted single proposals through structured edits.
+ *     - Why: Approve ran applyApprovedChanges for the whole task and appended the proposal as a comment; rollback reverted the whole task.
+ *     - How: /approve-backend calls applyBackendProposal, /rollback calls revertBackendProposal, new preview endpoint; edit failures answer 409.
+ *     - Test: GET /api/grok/backend-proposals/<id>/preview, verify a patch; approve, verify the edit on disk; rollback, verify the file restored.
+ *   - 10/19/2026: Added the proposal review workflow.
+ *     - Why: Only approve, rollback, and test existed; denying set a status with no reason and nobody could discuss or be assigned a proposal.
+ *     - How: Comment and reviewer endpoints, assigned-reviewer check and per-area approvalsRequired on /approve-backend,
+ *       verifyToken and an optional reason on /rollback, history entries via proposalReview.js.
+ *     - Test: Assign reviewer A, approve as B, verify 403; comment with { line: 3 }, verify the comment in the response.
+ *   - 10/19/2026: Proposal events go to the task's rooms and the requester.
+ *     - Why: Proposal decisions were broadcast to every admin.
+ *     - How: getIO().emit replaced by emitTaskEvent with { user: req.user.email }.
+ *     - Test: Approve a proposal, verify backendProposalUpdate reaches the approver and the task's owner only.
  * Test Instructions:
  *   - Apply updated proposalRoutes.js, ensure backend/.env includes DATABASE_URI=mongodb://localhost:27017/idurar_db.
  *   - Run `npm start` in backend/, `npm run dev` in frontend/.
@@ -73,9 +102,9 @@ const express = require('express');
 console.log('proposalRoutes.js: Loading mongoose');
 const mongoose = require('mongoose');
 console.log('proposalRoutes.js: Loading socket');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 console.log('proposalRoutes.js: Loading taskManager');
-const { applyApprovedChanges, rollbackChanges } = require('../utils/taskManager');
+const { applyBackendProposal, revertBackendProposal, previewEdit } = require('../utils/taskManager');
 console.log('proposalRoutes.js: Loading playwrightUtils');
 const { runPlaywrightTests } = require('../utils/playwrightUtils');
 console.log('proposalRoutes.js: Loading db');
@@ -83,7 +112,21 @@ const { getModel } = require('../db');
 console.log('proposalRoutes.js: Loading uuid');
 const { v4: uuidv4 } = require('uuid');
 console.log('proposalRoutes.js: Loading errorHandlers');
-const { catchErrors } = require('../handlers/errorHandlers');
+const { catchErrors, verifyToken } = require('../handlers/errorHandlers');
+console.log('proposalRoutes.js: Loading securityReview');
+const { recordApproval } = require('../utils/securityReview');
+console.log('proposalRoutes.js: Loading pathPolicy');
+const { checkFiles } = require('../utils/pathPolicy');
+console.log('proposalRoutes.js: Loading proposalReview');
+const {
+  getReviewPolicy,
+  approvalsRequiredFor,
+  addHistory,
+  addComment,
+  listReviewers,
+  assignReviewers,
+  assertReviewer,
+} = require('../utils/proposalReview');
 
 const router = express.Router();
 
@@ -123,11 +166,11 @@ router.get(
         details: { sort: 'createdAt DESC', user: req.user?.email },
         timestamp: new Date().toISOString(),
       });
-      getIO().emit('backendProposal', {
+      emitTaskEvent('backendProposal', {
         taskId: 'system',
         proposals,
         eventId: uuidv4(),
-      });
+      }, { user: req.user?.email });
       res.status(200).json(proposals);
     } catch (error) {
       await Log.create({
@@ -137,7 +180,7 @@ router.get(
         details: { stack: error.stack, user: req.user?.email },
         timestamp: new Date().toISOString(),
       });
-      getIO().emit('taskUpdate', {
+      emitTaskEvent('taskUpdate', {
         taskId: 'system',
         status: 'failed',
         error: `Failed to fetch BackendProposals: ${error.message}`,
@@ -145,17 +188,132 @@ router.get(
         timestamp: new Date().toISOString(),
         eventId: uuidv4(),
         errorDetails: { reason: error.message, context: 'backend-proposals' },
-      });
+      }, { user: req.user?.email });
       res.status(500).json({ error: `Failed to fetch BackendProposals: ${error.message}` });
     }
   })
 );
 
+// GET /grok/backend-proposals/:proposalId/preview - Diff of the proposal's edit against the current file
+router.get(
+  '/backend-proposals/:proposalId/preview',
+  catchErrors(async (req, res) => {
+    const { proposalId } = req.params;
+    if (!isValidProposalId(proposalId)) {
+      return res.status(400).json({ error: `Invalid BackendProposal ID: ${proposalId}` });
+    }
+    const BackendProposal = await getModel('BackendProposal');
+    const proposal = await BackendProposal.findById(proposalId);
+    if (!proposal) {
+      return res.status(404).json({ error: 'BackendProposal not found' });
+    }
+    // Applied proposals show what was written; pending ones are recomputed against the file as it is now
+    if (proposal.applied?.patch) {
+      return res.status(200).json({ file: proposal.file, edit: proposal.edit, preview: { patch: proposal.applied.patch, generatedAt: proposal.applied.appliedAt }, applied: true });
+    }
+    if (!proposal.edit?.kind) {
+      return res.status(409).json({ error: 'BackendProposal has no structured edit' });
+    }
+    proposal.preview = await previewEdit(proposal);
+    await proposal.save();
+    res.status(200).json({ file: proposal.file, edit: proposal.edit, preview: proposal.preview, applied: false });
+  })
+);
+
+// GET /grok/reviewers - Admins that can be assigned to review proposals
+router.get(
+  '/reviewers',
+  verifyToken,
+  catchErrors(async (req, res) => {
+    const reviewers = await listReviewers();
+    res.status(200).json(reviewers);
+  })
+);
+
+// POST /grok/backend-proposals/:proposalId/comments - Comment on a proposal, a diff line, or reply to a comment
+router.post(
+  '/backend-proposals/:proposalId/comments',
+  verifyToken,
+  catchErrors(async (req, res) => {
+    const { proposalId } = req.params;
+    const { body, line, parentId } = req.body;
+    if (!isValidProposalId(proposalId)) {
+      return res.status(400).json({ error: `Invalid BackendProposal ID: ${proposalId}` });
+    }
+    const BackendProposal = await getModel('BackendProposal');
+    const proposal = await BackendProposal.findById(proposalId);
+    if (!proposal) {
+      return res.status(404).json({ error: 'BackendProposal not found' });
+    }
+    let comment;
+    try {
+      comment = addComment(proposal, { author: req.user?.email, body, line, parentId });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    await proposal.save();
+    const Log = await getModel('Log');
+    await Log.create({
+      level: 'info',
+      message: 'Commented on BackendProposal',
+      context: 'proposalRoutes',
+      details: { proposalId, taskId: proposal.taskId, line, parentId, user: req.user?.email },
+      timestamp: new Date().toISOString(),
+    });
+    emitTaskEvent('backendProposalUpdate', {
+      proposalId,
+      status: proposal.status,
+      taskId: proposal.taskId,
+      comment,
+      message: `${req.user?.email} commented on proposal${line ? ` line ${line}` : ''}`,
+      logColor: 'blue',
+      timestamp: new Date().toISOString(),
+      eventId: uuidv4(),
+    }, { user: req.user?.email });
+    res.status(201).json({ comment, proposal });
+  })
+);
+
+// PUT /grok/backend-proposals/:proposalId/reviewers - Assign reviewers from the Admin list
+router.put(
+  '/backend-proposals/:proposalId/reviewers',
+  verifyToken,
+  catchErrors(async (req, res) => {
+    const { proposalId } = req.params;
+    if (!isValidProposalId(proposalId)) {
+      return res.status(400).json({ error: `Invalid BackendProposal ID: ${proposalId}` });
+    }
+    const BackendProposal = await getModel('BackendProposal');
+    const proposal = await BackendProposal.findById(proposalId);
+    if (!proposal) {
+      return res.status(404).json({ error: 'BackendProposal not found' });
+    }
+    try {
+      await assignReviewers(proposal, req.body.reviewers, { actor: req.user?.email });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    await proposal.save();
+    emitTaskEvent('backendProposalUpdate', {
+      proposalId,
+      status: proposal.status,
+      taskId: proposal.taskId,
+      reviewers: proposal.reviewers,
+      message: `Reviewers assigned: ${proposal.reviewers.join(', ') || 'none'}`,
+      logColor: 'blue',
+      timestamp: new Date().toISOString(),
+      eventId: uuidv4(),
+    }, { user: req.user?.email });
+    res.status(200).json({ reviewers: proposal.reviewers, proposal });
+  })
+);
+
 // POST /grok/approve-backend - Approve a backend proposal
 router.post(
   '/approve-backend',
+  verifyToken,
   catchErrors(async (req, res) => {
-    const { proposalId } = req.body;
+    const { proposalId, acknowledgeRisks = false } = req.body;
     const Log = await getModel('Log');
 
     if (!isValidProposalId(proposalId)) {
@@ -183,7 +341,7 @@ router.post(
         return res.status(404).json({ error: 'BackendProposal not found' });
       }
 
-      if (proposal.status !== 'pending') {
+      if (!['pending', 'awaiting_second_approval'].includes(proposal.status)) {
         await Log.create({
           level: 'warn',
           message: 'Cannot approve BackendProposal: Invalid status',
@@ -194,10 +352,65 @@ router.post(
         return res.status(400).json({ error: `BackendProposal is not in pending status: ${proposal.status}` });
       }
 
-      await applyApprovedChanges(proposal.taskId);
-      proposal.status = 'approved';
-      proposal.updatedAt = new Date();
-      await proposal.save();
+      const { violations } = await checkFiles([{ path: proposal.file, content: proposal.content }], { taskId: proposal.taskId, stage: 'approve' });
+      if (violations.length) {
+        const Task = await getModel('Task');
+        await Task.updateOne({ taskId: proposal.taskId }, { $push: { policyViolations: { $each: violations } } });
+        await Log.create({
+          level: 'warn',
+          message: 'BackendProposal approval refused by path policy',
+          context: 'proposalRoutes',
+          details: { proposalId, file: proposal.file, rules: violations.map(v => v.rule), user: req.user?.email },
+          timestamp: new Date().toISOString(),
+        });
+        return res.status(403).json({ error: `Path policy violation: ${violations.map(v => v.message).join('; ')}` });
+      }
+
+      try {
+        assertReviewer(proposal, req.user?.email);
+      } catch (err) {
+        return res.status(403).json({ error: err.message });
+      }
+
+      let approval;
+      try {
+        const approvalsRequired = approvalsRequiredFor(proposal, await getReviewPolicy());
+        approval = recordApproval(proposal, { user: req.user?.email, acknowledgeRisks, approvalsRequired });
+        addHistory(proposal, 'approved', req.user?.email, `${approval.approvalCount}/${approval.approvalsRequired} approvals`);
+      } catch (err) {
+        await Log.create({
+          level: 'warn',
+          message: `BackendProposal approval refused: ${err.message}`,
+          context: 'proposalRoutes',
+          details: { proposalId, riskLevel: proposal.securityReview?.riskLevel, user: req.user?.email },
+          timestamp: new Date().toISOString(),
+        });
+        return res.status(/different reviewer/.test(err.message) ? 409 : 400).json({ error: err.message });
+      }
+
+      if (!approval.approved) {
+        proposal.updatedAt = new Date();
+        await proposal.save();
+        await Log.create({
+          level: 'info',
+          message: `BackendProposal awaiting approval ${approval.approvalCount + 1} of ${approval.approvalsRequired}`,
+          context: 'proposalRoutes',
+          details: { proposalId, taskId: proposal.taskId, riskLevel: proposal.securityReview?.riskLevel, user: req.user?.email },
+          timestamp: new Date().toISOString(),
+        });
+        emitTaskEvent('backendProposalUpdate', {
+          proposalId,
+          status: proposal.status,
+          taskId: proposal.taskId,
+          message: `Proposal approved by ${req.user?.email}, ${approval.approvalCount}/${approval.approvalsRequired} approvals`,
+          logColor: 'orange',
+          timestamp: new Date().toISOString(),
+          eventId: uuidv4(),
+        }, { user: req.user?.email });
+        return res.status(202).json({ message: `BackendProposal awaiting ${approval.approvalsRequired - approval.approvalCount} more approval(s)`, proposal });
+      }
+
+      await applyBackendProposal(proposal, { user: req.user });
 
       await Log.create({
         level: 'debug',
@@ -206,7 +419,7 @@ router.post(
         details: { proposalId, taskId: proposal.taskId, user: req.user?.email },
         timestamp: new Date().toISOString(),
       });
-      getIO().emit('backendProposalUpdate', {
+      emitTaskEvent('backendProposalUpdate', {
         proposalId,
         status: 'approved',
         taskId: proposal.taskId,
@@ -214,7 +427,7 @@ router.post(
         logColor: 'green',
         timestamp: new Date().toISOString(),
         eventId: uuidv4(),
-      });
+      }, { user: req.user?.email });
       res.status(200).json({ message: 'BackendProposal approved', proposal });
     } catch (error) {
       await Log.create({
@@ -224,7 +437,7 @@ router.post(
         details: { proposalId, stack: error.stack, user: req.user?.email },
         timestamp: new Date().toISOString(),
       });
-      getIO().emit('taskUpdate', {
+      emitTaskEvent('taskUpdate', {
         taskId: 'system',
         status: 'failed',
         error: `Failed to approve BackendProposal: ${error.message}`,
@@ -232,8 +445,8 @@ router.post(
         timestamp: new Date().toISOString(),
         eventId: uuidv4(),
         errorDetails: { reason: error.message, context: 'approve-backend' },
-      });
-      res.status(500).json({ error: `Failed to approve BackendProposal: ${error.message}` });
+      }, { user: req.user?.email });
+      res.status(/^Cannot apply proposal/.test(error.message) ? 409 : 500).json({ error: `Failed to approve BackendProposal: ${error.message}` });
     }
   })
 );
@@ -241,8 +454,9 @@ router.post(
 // POST /grok/rollback - Rollback a backend proposal
 router.post(
   '/rollback',
+  verifyToken,
   catchErrors(async (req, res) => {
-    const { proposalId } = req.body;
+    const { proposalId, reason } = req.body;
     const Log = await getModel('Log');
 
     if (!isValidProposalId(proposalId)) {
@@ -277,27 +491,24 @@ router.post(
         timestamp: new Date().toISOString(),
       });
 
-      await rollbackChanges(proposal.taskId);
-      proposal.status = 'denied';
-      proposal.updatedAt = new Date();
-      await proposal.save();
+      await revertBackendProposal(proposal, { user: req.user, reason: typeof reason === 'string' ? reason.trim() || undefined : undefined });
 
       await Log.create({
         level: 'debug',
-        message: 'Updated BackendProposal to denied',
+        message: `Updated BackendProposal to ${proposal.status}`,
         context: 'proposalRoutes',
         details: { proposalId, taskId: proposal.taskId, user: req.user?.email },
         timestamp: new Date().toISOString(),
       });
-      getIO().emit('backendProposalUpdate', {
+      emitTaskEvent('backendProposalUpdate', {
         proposalId,
-        status: 'denied',
+        status: proposal.status,
         taskId: proposal.taskId,
-        message: `Proposal denied and changes rolled back`,
+        message: proposal.status === 'reverted' ? `Proposal reverted in ${proposal.file}` : `Proposal denied`,
         logColor: 'red',
         timestamp: new Date().toISOString(),
         eventId: uuidv4(),
-      });
+      }, { user: req.user?.email });
       res.status(200).json({ message: 'BackendProposal rolled back', proposal });
     } catch (error) {
       console.error('proposalRoutes: Rollback failed', {
@@ -314,7 +525,7 @@ router.post(
         details: { proposalId, stack: error.stack, user: req.user?.email },
         timestamp: new Date().toISOString(),
       });
-      getIO().emit('taskUpdate', {
+      emitTaskEvent('taskUpdate', {
         taskId: 'system',
         status: 'failed',
         error: `Failed to rollback BackendProposal: ${error.message}`,
@@ -322,8 +533,8 @@ router.post(
         timestamp: new Date().toISOString(),
         eventId: uuidv4(),
         errorDetails: { reason: error.message, context: 'rollback' },
-      });
-      res.status(500).json({ error: `Failed to rollback BackendProposal: ${error.message}` });
+      }, { user: req.user?.email });
+      res.status(/^Cannot revert proposal/.test(error.message) ? 409 : 500).json({ error: `Failed to rollback BackendProposal: ${error.message}` });
     }
   })
 );
@@ -379,7 +590,7 @@ router.post(
         details: { taskId, manual, stagedFiles: task.stagedFiles.length, user: req.user?.email },
         timestamp: new Date().toISOString(),
       });
-      getIO().emit('taskUpdate', {
+      emitTaskEvent('taskUpdate', {
         taskId,
         status: 'tested',
         message: `Test ${manual ? 'manual' : 'auto'} completed`,
@@ -387,7 +598,7 @@ router.post(
         timestamp: new Date().toISOString(),
         eventId: uuidv4(),
         testUrl: result.testUrl,
-      });
+      }, { user: req.user?.email });
       res.status(200).json({ message: 'Test executed successfully', testUrl: result.testUrl });
     } catch (error) {
       await Log.create({
@@ -397,7 +608,7 @@ router.post(
         details: { taskId, stack: error.stack, user: req.user?.email },
         timestamp: new Date().toISOString(),
       });
-      getIO().emit('taskUpdate', {
+      emitTaskEvent('taskUpdate', {
         taskId,
         status: 'failed',
         error: `Failed to run test: ${error.message}`,
@@ -405,7 +616,7 @@ router.post(
         timestamp: new Date().toISOString(),
         eventId: uuidv4(),
         errorDetails: { reason: error.message, context: 'test' },
-      });
+      }, { user: req.user?.email });
       res.status(500).json({ error: `Failed to run test: ${error.message}` });
     }
   })
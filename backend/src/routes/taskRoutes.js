@@ -2,16 +2,16 @@
  * File Path: backend/src/routes/taskRoutes.js
  * Purpose: Defines API routes for task management in Allur Space Console.
  * How It Works:
- *   - Provides endpoints for task creation, deletion, fetching, testing, token refresh, and rollback.
+ *   - Provides endpoints for task creation, deletion, fetching, testing, token refresh, approve/deny, rollback, and commit history.
  *   - Integrates with taskManager.js, taskTesterV18.js, and socket.js.
  *   - Handles file uploads in /edit with FormData.
  *   - Supports wristband tasks via programManager.js.
  * Mechanics:
  *   - Validates inputs and uses catchErrors for error handling.
  *   - Emits taskUpdate events via Socket.IO with unique eventId.
- *   - Deduplicates POST /edit requests and taskUpdate emissions using requestId and event cache.
+ *   - Deduplicates POST /edit requests using requestId; clients deduplicate taskUpdate events by eventId.
  * Dependencies:
- *   - express@5.1.0, uuid@11.1.0, taskManager.js, socket.js, logUtils.js, errorHandlers.js, taskTesterV18.js, db.js, programManager.js, jwt.
+ *   - express@5.1.0, uuid@11.1.0, taskManager.js, socket.js, logUtils.js, errorHandlers.js, taskTesterV18.js, db.js, programManager.js, taskPlanner.js, jobQueue.js, promptTemplates.js, testRepair.js, patchUtils.js, is-path-inside.js, path, jwt.
  * Dependents:
  *   - app.js: Mounts routes at /api/grok.
  *   - GrokUI.jsx, useTasks.js, useTaskSocket.js, TaskList.jsx.
@@ -35,6 +35,68 @@
  *     - Why: 500 error on /rollback, 401 on /refresh-token (User, 05/08/2025).
  *     - How: Added POST /rollback to call taskManager.rollbackChanges, fixed token validation in /refresh-token, ensured consistent userEmail handling.
  *     - Test: POST /api/grok/rollback with { proposalId: "681927c8f7e4fda3f32f5ec1" }, POST /api/grok/refresh-token, verify 200 responses, no 500 or 401 errors.
+ *   - 10/19/2026: Accepted optional provider in POST /edit.
+ *     - Why: Per-task LLM provider selection (xai, openai, local, mock).
+ *     - How: Read req.body.provider for JSON and multipart bodies, passed to processTask.
+ *     - Test: POST /api/grok/edit with { prompt: "Create an inventory system", provider: "local" }, verify task.llmProvider is "local".
+ *   - 10/19/2026: Returned mergeConflicts from GET /file-content.
+ *     - Why: Diff view shows hunks from stagedFiles[].patch and conflicts detected on apply.
+ *     - How: Added mergeConflicts to the response; stagedFiles already carries patch and baseHash.
+ *     - Test: GET /api/grok/file-content?taskId=<id>, verify stagedFiles[0].patch and mergeConflicts array.
+ *   - 10/19/2026: Added POST /approve/:taskId, /deny/:taskId, /tasks/:taskId/rollback and GET /history.
+ *     - Why: Apply commits per task, rollback reverts that commit; useTaskActions.js already called approve/deny routes that did not exist.
+ *     - How: runTaskAction wraps applyApprovedChanges/rollbackChanges, returns commit fields; /history lists tasks with commitSha plus git commit info.
+ *     - Test: POST /api/grok/approve/<taskId>, verify commitSha in response; POST /api/grok/tasks/<taskId>/rollback, verify status "rolled_back".
+ *   - 10/19/2026: Accepted plan in POST /edit and added GET /tasks/:taskId/plan.
+ *     - Why: Large prompts are decomposed into dependent subtasks by taskPlanner.js.
+ *     - How: plan ("true"/"false" or boolean) forces or disables planning; the plan route returns the parent, subtasks, and planProgress.
+ *     - Test: POST /api/grok/edit with { prompt: "Build an inventory system with stock alerts and supplier management" }, GET /api/grok/tasks/<taskId>/plan, verify five subtasks.
+ *   - 10/19/2026: Queued POST /edit through jobQueue.js, added POST /tasks/:taskId/cancel and GET /queue.
+ *     - Why: Processing inline in the request tied tasks to the request lifetime and was lost on restart.
+ *     - How: /edit calls queueTask and returns 202 with jobId; cancel returns 409 for running or finished tasks; /queue returns getQueueStats.
+ *     - Test: POST /api/grok/edit, verify 202 and status "queued"; POST /api/grok/tasks/<taskId>/cancel while queued, verify "cancelled".
+ *   - 10/19/2026: Cancel running tasks, added POST /tasks/:taskId/pause and /resume.
+ *     - Why: A task could not be stopped once a worker started it.
+ *     - How: cancel calls taskManager cancelTask (running tasks return "cancelling" and emit "cancelled" once stopped); pause/resume return 409 unless running/paused.
+ *     - Test: POST /api/grok/tasks/<taskId>/pause while processing, verify "paused"; /resume, verify "processing"; /cancel, verify "cancelled".
+ *   - 10/19/2026: POST /edit accepts templateId, templateVariables, templateVersion.
+ *     - Why: Tasks can start from saved prompt templates.
+ *     - How: promptTemplates.js renders the prompt (an edited prompt in the body wins) and the template test instructions, passed to queueTask as template; 400 for missing variables, 404 for unknown templates.
+ *     - Test: POST /api/grok/edit with { templateId, templateVariables: '{"entityName":"EmployeeLog"}' }, verify the rendered prompt on the task.
+ *   - 10/19/2026: Approve returns 409 for tasks that failed static validation.
+ *     - Why: applyApprovedChanges refuses staged files with parse, import, lint, or forbidden API errors.
+ *     - How: "Static validation failed" joins merge conflicts in the 409 mapping of the approve/deny handler.
+ *     - Test: POST /api/grok/approve/<taskId> for a task with validation.status "failed", verify 409.
+ *   - 10/19/2026: Approve returns 409 for path policy violations.
+ *     - Why: applyApprovedChanges refuses staged files and proposals that pathPolicy.js rejects.
+ *     - How: "Path policy violation" joins the 409 mapping of the approve/deny handler.
+ *     - Test: POST /api/grok/approve/<taskId> for a task staging backend/app.js, verify 409.
+ *   - 10/19/2026: Added GET /tasks/:taskId/repairs/:runId/:iteration/screenshot.
+ *     - Why: Test repair iterations (testRepair.js) keep a screenshot of each failed run for the task list.
+ *     - How: Looks up the iteration on Task.repairIterations for the user, sends the PNG from REPAIR_DIR (isPathInside checked).
+ *     - Test: Fail a task test, GET the screenshot of iteration 0, verify image/png; a made-up runId returns 404.
+ *   - 10/19/2026: Route events go to the task's rooms and the requester.
+ *     - Why: Failures and status changes were broadcast to every admin.
+ *     - How: getIO().emit replaced by emitTaskEvent with { user: req.user.email }, so errors without a task (taskId "unknown") reach the requester only.
+ *     - Test: POST /api/grok/edit with an empty prompt, verify only the requesting user's LiveFeed shows the failure.
+ *   - 10/19/2026: Removed deduplicateTaskUpdate.
+ *     - Why: It dropped a repeated taskId + message pair for 60s, so a second identical failure (e.g. two empty prompts)
+ *       never reached the client; the frontend's shared socket now deduplicates once by eventId.
+ *     - How: Every emit goes straight to emitTaskEvent with its own eventId.
+ *     - Test: POST /api/grok/edit with an empty prompt twice, verify two failure entries in LiveFeed.jsx.
+ *   - 10/19/2026: POST /test/:taskId keeps repaired files.
+ *     - Why: A manual test run discarded the code the repair loop fixed, so approval applied the failing version.
+ *     - How: When runTests reports repaired, re-stages result.stagedFiles against their original base (restageFilePatches) and
+ *       saves stagedFiles and newContent.
+ *     - Test: Test a task whose failure the provider repairs, verify task.stagedFiles holds the repaired content and patch.
+ *   - 10/19/2026: POST /deny/:taskId returns 409 for applied tasks.
+ *     - Why: Deny only discards staged changes; it used to git revert applied tasks like the rollback route.
+ *     - How: Calls rollbackChanges with stagedOnly; "already applied" joins the 409 mapping.
+ *     - Test: POST /api/grok/deny/<taskId> for an applied task, verify 409; POST /api/grok/tasks/<taskId>/rollback, verify "rolled_back".
+ *   - 10/19/2026: Approve, deny, and rollback return 409 for tasks in the wrong status.
+ *     - Why: taskManager.js refuses to approve or deny tasks without staged changes and to roll back tasks that are not applied.
+ *     - How: "Cannot approve|deny|roll back a task in status" and "roll back manually" join the 409 mapping.
+ *     - Test: POST /api/grok/approve/<taskId> for a rolled back task, verify 409.
  * Test Instructions:
  *   - Apply updated taskRoutes.js, ensure backend/.env includes DATABASE_URI=mongodb://localhost:27017/idurar_db and JWT_SECRET=secret.
  *   - Run `npm start` in backend/, `npm run dev` in frontend/.
@@ -60,19 +122,27 @@
  */
 
 const express = require('express');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken');
-const { processTask, deleteTask, getTasks, clearTasks, rollbackChanges } = require('../utils/taskManager');
+const { queueTask, cancelTask, pauseTask, resumeTask, deleteTask, getTasks, clearTasks, rollbackChanges, applyApprovedChanges } = require('../utils/taskManager');
+const { getQueueStats } = require('../utils/jobQueue');
+const { getCommitInfo } = require('../utils/gitUtils');
+const { getPlan } = require('../utils/taskPlanner');
+const { resolveTemplatePrompt } = require('../utils/promptTemplates');
+const { isValidTaskId } = require('../utils/taskValidator');
 const { processWristbandTask } = require('../utils/programManager');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { logInfo, logError, logDebug } = require('../utils/logUtils');
 const { catchErrors, verifyToken } = require('../handlers/errorHandlers');
 const { runTests } = require('../utils/taskTesterV18');
+const { restageFilePatches } = require('../utils/patchUtils');
 const { getModel } = require('../db');
+const { REPAIR_DIR } = require('../utils/testRepair');
+const { isPathInside } = require('../utils/is-path-inside');
 
 const router = express.Router();
 const seenRequests = new Map(); // Cache for requestId deduplication
-const seenEvents = new Map(); // Cache for taskUpdate deduplication
 
 // Log middleware loading
 console.log('taskRoutes: Loading verifyToken middleware', {
@@ -91,25 +161,6 @@ if (typeof verifyToken === 'function') {
   throw new Error('verifyToken middleware is not defined or not a function');
 }
 
-// Deduplicate taskUpdate emissions
-function deduplicateTaskUpdate(taskId, message) {
-  const eventKey = `${taskId}_${message}`;
-  const now = Date.now();
-  const entry = seenEvents.get(eventKey);
-  if (entry && now - entry.timestamp < 60 * 1000) {
-    logDebug('Skipped duplicate taskUpdate emission', 'taskRoutes', {
-      eventKey,
-      taskId,
-      message,
-      timestamp: new Date().toISOString(),
-    });
-    return false; // Duplicate within 60s
-  }
-  seenEvents.set(eventKey, { timestamp: now });
-  setTimeout(() => seenEvents.delete(eventKey), 60 * 1000);
-  return true;
-}
-
 // POST /grok/refresh-token - Refresh JWT token
 router.post(
   '/refresh-token',
@@ -151,7 +202,7 @@ router.post(
   '/edit',
   catchErrors(async (req, res) => {
     const contentType = req.headers['content-type'];
-    let prompt, files = [], requestId, taskId, userEmail;
+    let prompt, files = [], requestId, taskId, userEmail, provider, plan, templateId, templateVariables, templateVersion, template;
 
     console.log('taskRoutes: POST /edit received', {
       contentType,
@@ -168,12 +219,24 @@ router.post(
         requestId = req.body.requestId;
         taskId = req.body.taskId;
         userEmail = req.body.userEmail || req.user.email;
+        provider = req.body.provider;
+        plan = req.body.plan;
+        templateId = req.body.templateId;
+        templateVariables = req.body.templateVariables;
+        templateVersion = req.body.templateVersion;
       } else {
         prompt = req.body.prompt;
         requestId = req.body.requestId;
         taskId = req.body.taskId;
         userEmail = req.body.userEmail || req.user.email;
+        provider = req.body.provider;
+        plan = req.body.plan;
+        templateId = req.body.templateId;
+        templateVariables = req.body.templateVariables;
+        templateVersion = req.body.templateVersion;
       }
+      // Multipart bodies send the flag as a string; anything else leaves planning to the intent
+      plan = plan === true || plan === 'true' ? true : plan === false || plan === 'false' ? false : undefined;
 
       if (requestId && seenRequests.has(requestId)) {
         await logInfo('Duplicate request rejected', 'taskRoutes', {
@@ -190,6 +253,26 @@ router.post(
         setTimeout(() => seenRequests.delete(requestId), 60 * 1000);
       }
 
+      // Template tasks: the rendered template is the prompt unless the user edited it before submitting
+      if (templateId) {
+        try {
+          const values = typeof templateVariables === 'string' ? JSON.parse(templateVariables || '{}') : templateVariables || {};
+          const resolved = await resolveTemplatePrompt(templateId, values, { user: userEmail ? { email: userEmail } : undefined, version: templateVersion });
+          template = resolved.template;
+          if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+            prompt = resolved.prompt;
+          }
+        } catch (templateErr) {
+          await logError(`Template resolution failed: ${templateErr.message}`, 'taskRoutes', {
+            templateId,
+            user: userEmail,
+            timestamp: new Date().toISOString(),
+          });
+          const status = /not found/.test(templateErr.message) ? 404 : 400;
+          return res.status(status).json({ success: false, message: templateErr.message });
+        }
+      }
+
       if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
         await logError('Invalid prompt provided', 'taskRoutes', {
           prompt: prompt || 'missing',
@@ -197,16 +280,14 @@ router.post(
           user: userEmail,
           timestamp: new Date().toISOString(),
         });
-        if (deduplicateTaskUpdate('unknown', 'Prompt is required')) {
-          getIO().emit('taskUpdate', {
-            taskId: 'unknown',
-            status: 'failed',
-            error: 'Prompt is required and must be a non-empty string',
-            logColor: 'red',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-          });
-        }
+        emitTaskEvent('taskUpdate', {
+          taskId: 'unknown',
+          status: 'failed',
+          error: 'Prompt is required and must be a non-empty string',
+          logColor: 'red',
+          timestamp: new Date().toISOString(),
+          eventId: uuidv4(),
+        }, { user: req.user?.email });
         return res.status(400).json({ success: false, message: 'Prompt is required and must be a non-empty string' });
       }
 
@@ -227,16 +308,14 @@ router.post(
             user: userEmail,
             timestamp: new Date().toISOString(),
           });
-          if (deduplicateTaskUpdate(taskId, 'Wristband task created')) {
-            getIO().emit('taskUpdate', {
-              taskId,
-              status: 'created',
-              message: `Wristband task created successfully`,
-              logColor: 'green',
-              timestamp: new Date().toISOString(),
-              eventId: uuidv4(),
-            });
-          }
+          emitTaskEvent('taskUpdate', {
+            taskId,
+            status: 'created',
+            message: `Wristband task created successfully`,
+            logColor: 'green',
+            timestamp: new Date().toISOString(),
+            eventId: uuidv4(),
+          }, { user: req.user?.email });
           return res.json({ success: true, task });
         } catch (wristbandErr) {
           await logError(`Wristband task processing failed: ${wristbandErr.message}`, 'taskRoutes', {
@@ -246,66 +325,40 @@ router.post(
             user: userEmail,
             timestamp: new Date().toISOString(),
           });
-          if (deduplicateTaskUpdate(taskId || 'unknown', `Wristband task processing failed: ${wristbandErr.message}`)) {
-            getIO().emit('taskUpdate', {
-              taskId: taskId || 'unknown',
-              status: 'failed',
-              error: `Wristband task processing failed: ${wristbandErr.message}`,
-              logColor: 'red',
-              timestamp: new Date().toISOString(),
-              eventId: uuidv4(),
-            });
-          }
+          emitTaskEvent('taskUpdate', {
+            taskId: taskId || 'unknown',
+            status: 'failed',
+            error: `Wristband task processing failed: ${wristbandErr.message}`,
+            logColor: 'red',
+            timestamp: new Date().toISOString(),
+            eventId: uuidv4(),
+          }, { user: req.user?.email });
           return res.status(400).json({ success: false, message: `Wristband task processing failed: ${wristbandErr.message}` });
         }
       }
 
-      // Handle regular tasks
+      // Handle regular tasks: queued for a jobQueue.js worker, progress arrives over taskUpdate
       try {
-        const task = await processTask({
+        const { task, jobId } = await queueTask({
           taskId,
           prompt,
-          action: 'create',
-          target: 'crm',
-          features: [],
-          isMultiFile: false,
-          backendChanges: [],
           uploadedFiles: files,
           user: userEmail ? { email: userEmail } : undefined,
+          provider,
+          plan,
+          template,
         });
-        await logInfo('Task created successfully', 'taskRoutes', {
+        await logInfo('Task queued successfully', 'taskRoutes', {
           taskId,
+          jobId,
           prompt,
           files: files.map(f => f.originalname || 'unknown'),
           user: userEmail,
-          status: task.status,
           timestamp: new Date().toISOString(),
         });
-        if (task.status === 'completed' && deduplicateTaskUpdate(taskId, 'Task completed')) {
-          getIO().emit('taskUpdate', {
-            taskId,
-            status: 'completed',
-            message: `Task completed successfully`,
-            logColor: 'green',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-          });
-        } else if (task.status === 'failed' && deduplicateTaskUpdate(taskId, 'Task failed')) {
-          getIO().emit('taskUpdate', {
-            taskId,
-            status: 'failed',
-            error: task.error || 'Task processing failed',
-            logColor: 'red',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-          });
-        }
-        if (task.status === 'failed' && task.error?.includes('test failed')) {
-          return res.status(400).json({ success: false, message: `Task processing failed due to test error: ${task.error}` });
-        }
-        res.json({ success: true, task });
+        res.status(202).json({ success: true, task, jobId });
       } catch (taskErr) {
-        await logError(`Task processing failed: ${taskErr.message}`, 'taskRoutes', {
+        await logError(`Task queueing failed: ${taskErr.message}`, 'taskRoutes', {
           taskId,
           prompt,
           files: files.map(f => f.originalname || 'unknown'),
@@ -313,19 +366,16 @@ router.post(
           user: userEmail,
           timestamp: new Date().toISOString(),
         });
-        if (deduplicateTaskUpdate(taskId || 'unknown', `Task processing failed: ${taskErr.message}`)) {
-          getIO().emit('taskUpdate', {
-            taskId: taskId || 'unknown',
-            status: 'failed',
-            error: `Task processing failed: ${taskErr.message}`,
-            logColor: 'red',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-            errorDetails: { reason: taskErr.message, context: 'edit' },
-          });
-        }
-        const status = taskErr.message.includes('test failed') ? 400 : 500;
-        res.status(status).json({ success: false, message: `Failed to process task: ${taskErr.message}` });
+        emitTaskEvent('taskUpdate', {
+          taskId: taskId || 'unknown',
+          status: 'failed',
+          error: `Task queueing failed: ${taskErr.message}`,
+          logColor: 'red',
+          timestamp: new Date().toISOString(),
+          eventId: uuidv4(),
+          errorDetails: { reason: taskErr.message, context: 'edit' },
+        }, { user: req.user?.email });
+        res.status(500).json({ success: false, message: `Failed to queue task: ${taskErr.message}` });
       }
     } catch (err) {
       await logError(`Unexpected error in /edit: ${err.message}`, 'taskRoutes', {
@@ -335,17 +385,15 @@ router.post(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId || 'unknown', `Unexpected error: ${err.message}`)) {
-        getIO().emit('taskUpdate', {
-          taskId: taskId || 'unknown',
-          status: 'failed',
-          error: `Unexpected error: ${err.message}`,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          errorDetails: { reason: err.message, context: 'edit' },
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: taskId || 'unknown',
+        status: 'failed',
+        error: `Unexpected error: ${err.message}`,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        errorDetails: { reason: err.message, context: 'edit' },
+      }, { user: req.user?.email });
       res.status(500).json({ success: false, message: `Unexpected error: ${err.message}` });
     }
   })
@@ -363,16 +411,14 @@ router.delete(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate('unknown', 'Invalid taskId')) {
-        getIO().emit('taskUpdate', {
-          taskId: 'unknown',
-          status: 'failed',
-          error: 'Valid task ID is required',
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: 'unknown',
+        status: 'failed',
+        error: 'Valid task ID is required',
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       return res.status(400).json({ success: false, message: 'Valid task ID is required' });
     }
 
@@ -384,16 +430,14 @@ router.delete(
         user: userEmail || 'undefined',
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId, 'Task deleted')) {
-        getIO().emit('taskUpdate', {
-          taskId,
-          status: 'deleted',
-          message: `Task deleted`,
-          logColor: 'green',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId,
+        status: 'deleted',
+        message: `Task deleted`,
+        logColor: 'green',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       res.json({ success: true });
     } catch (err) {
       await logError(`Task deletion failed: ${err.message}`, 'taskRoutes', {
@@ -402,17 +446,15 @@ router.delete(
         user: userEmail || 'undefined',
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId, `Task deletion failed: ${err.message}`)) {
-        getIO().emit('taskUpdate', {
-          taskId,
-          status: 'failed',
-          error: `Task deletion failed: ${err.message}`,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          errorDetails: { reason: err.message, context: 'delete' },
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId,
+        status: 'failed',
+        error: `Task deletion failed: ${err.message}`,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        errorDetails: { reason: err.message, context: 'delete' },
+      }, { user: req.user?.email });
       res.status(500).json({ success: false, message: err.message });
     }
   })
@@ -430,16 +472,14 @@ router.delete(
         user: userEmail || 'undefined',
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate('all', 'All tasks cleared')) {
-        getIO().emit('taskUpdate', {
-          taskId: 'all',
-          status: 'cleared',
-          message: `All tasks cleared`,
-          logColor: 'green',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: 'all',
+        status: 'cleared',
+        message: `All tasks cleared`,
+        logColor: 'green',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       res.json({ success: true });
     } catch (err) {
       await logError(`Clear tasks failed: ${err.message}`, 'taskRoutes', {
@@ -447,17 +487,15 @@ router.delete(
         user: userEmail || 'undefined',
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate('all', `Clear tasks failed: ${err.message}`)) {
-        getIO().emit('taskUpdate', {
-          taskId: 'all',
-          status: 'failed',
-          error: `Clear tasks failed: ${err.message}`,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          errorDetails: { reason: err.message, context: 'clearTasks' },
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: 'all',
+        status: 'failed',
+        error: `Clear tasks failed: ${err.message}`,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        errorDetails: { reason: err.message, context: 'clearTasks' },
+      }, { user: req.user?.email });
       res.status(500).json({ success: false, message: err.message });
     }
   })
@@ -486,16 +524,14 @@ router.get(
         user: userEmail || 'undefined',
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId || 'all', `Fetched ${tasks.length} tasks`)) {
-        getIO().emit('taskUpdate', {
-          taskId: taskId || 'all',
-          status: 'fetched',
-          message: `Fetched ${tasks.length} tasks`,
-          logColor: 'green',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: taskId || 'all',
+        status: 'fetched',
+        message: `Fetched ${tasks.length} tasks`,
+        logColor: 'green',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       res.json({ success: true, tasks });
     } catch (err) {
       console.error('taskRoutes: Fetch tasks failed', {
@@ -511,17 +547,15 @@ router.get(
         user: userEmail || 'undefined',
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId || 'all', `Fetch tasks failed: ${err.message}`)) {
-        getIO().emit('taskUpdate', {
-          taskId: taskId || 'all',
-          status: 'failed',
-          error: `Failed to fetch tasks: ${err.message}`,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          errorDetails: { reason: err.message, context: 'fetchTasks' },
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: taskId || 'all',
+        status: 'failed',
+        error: `Failed to fetch tasks: ${err.message}`,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        errorDetails: { reason: err.message, context: 'fetchTasks' },
+      }, { user: req.user?.email });
       res.status(500).json({ success: false, message: err.message });
     }
   })
@@ -547,16 +581,14 @@ router.post(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate('unknown', 'Invalid taskId for test')) {
-        getIO().emit('taskUpdate', {
-          taskId: 'unknown',
-          status: 'failed',
-          error: 'Valid task ID is required',
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: 'unknown',
+        status: 'failed',
+        error: 'Valid task ID is required',
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       return res.status(400).json({ success: false, message: 'Valid task ID is required' });
     }
 
@@ -572,16 +604,14 @@ router.post(
           user: userEmail,
           timestamp: new Date().toISOString(),
         });
-        if (deduplicateTaskUpdate(taskId, 'Task not found')) {
-          getIO().emit('taskUpdate', {
-            taskId,
-            status: 'failed',
-            error: 'Task not found',
-            logColor: 'red',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-          });
-        }
+        emitTaskEvent('taskUpdate', {
+          taskId,
+          status: 'failed',
+          error: 'Task not found',
+          logColor: 'red',
+          timestamp: new Date().toISOString(),
+          eventId: uuidv4(),
+        }, { user: req.user?.email });
         return res.status(404).json({ success: false, message: 'Task not found' });
       }
       if (!task.stagedFiles || task.stagedFiles.length === 0) {
@@ -590,43 +620,50 @@ router.post(
           user: userEmail,
           timestamp: new Date().toISOString(),
         });
-        if (deduplicateTaskUpdate(taskId, 'No staged files to test')) {
-          getIO().emit('taskUpdate', {
-            taskId,
-            status: 'failed',
-            error: 'No staged files to test',
-            logColor: 'red',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-          });
-        }
+        emitTaskEvent('taskUpdate', {
+          taskId,
+          status: 'failed',
+          error: 'No staged files to test',
+          logColor: 'red',
+          timestamp: new Date().toISOString(),
+          eventId: uuidv4(),
+        }, { user: req.user?.email });
         return res.status(400).json({ success: false, message: 'No staged files to test' });
       }
 
       const result = await runTests(null, task.stagedFiles, taskId, manual);
+      // Keep code patched by the repair loop, re-diffed against the base the task was first staged on
+      if (result.repaired && Array.isArray(result.stagedFiles)) {
+        const { stagedFiles } = await restageFilePatches(result.stagedFiles, task.stagedFiles.map(f => f.toObject()), { taskId });
+        await Task.updateOne({ taskId }, {
+          $set: {
+            stagedFiles,
+            newContent: Object.fromEntries(stagedFiles.map(f => [f.path, f.content || ''])),
+          },
+        });
+      }
       await logInfo('Task tested successfully', 'taskRoutes', {
         taskId,
         testUrl: result.testUrl || 'N/A',
         manual,
         user: userEmail,
         success: result.success,
+        repaired: Boolean(result.repaired),
         error: result.error,
         timestamp: new Date().toISOString(),
       });
       const updatedTask = await Task.findOne({ taskId });
-      if (deduplicateTaskUpdate(taskId, 'Task tested')) {
-        getIO().emit('taskUpdate', {
-          taskId,
-          status: result.success ? 'tested' : 'failed',
-          files: updatedTask.files,
-          stagedFilesCount: updatedTask.stagedFiles.length,
-          error: result.error,
-          logColor: manual ? 'blue' : (result.success ? 'green' : 'red'),
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          testUrl: result.testUrl,
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId,
+        status: result.success ? 'tested' : 'failed',
+        files: updatedTask.files,
+        stagedFilesCount: updatedTask.stagedFiles.length,
+        error: result.error,
+        logColor: manual ? 'blue' : (result.success ? 'green' : 'red'),
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        testUrl: result.testUrl,
+      }, { user: req.user?.email });
       if (!result.success) {
         return res.status(400).json({ success: false, message: `Test failed: ${result.error || 'Unknown error'}`, testUrl: result.testUrl });
       }
@@ -638,19 +675,17 @@ router.post(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId, `Task test failed: ${err.message}`)) {
-        getIO().emit('taskUpdate', {
-          taskId,
-          status: 'failed',
-          files: [],
-          stagedFilesCount: 0,
-          error: err.message,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          errorDetails: { reason: err.message, context: 'test' },
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId,
+        status: 'failed',
+        files: [],
+        stagedFilesCount: 0,
+        error: err.message,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        errorDetails: { reason: err.message, context: 'test' },
+      }, { user: req.user?.email });
       res.status(500).json({ success: false, message: `Failed to run test: ${err.message}` });
     }
   })
@@ -669,16 +704,14 @@ router.get(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate('unknown', 'Invalid taskId or testId')) {
-        getIO().emit('taskUpdate', {
-          taskId: 'unknown',
-          status: 'failed',
-          error: 'Valid task ID and test ID are required',
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: 'unknown',
+        status: 'failed',
+        error: 'Valid task ID and test ID are required',
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       return res.status(400).json({ success: false, message: 'Valid task ID and test ID are required' });
     }
 
@@ -695,16 +728,14 @@ router.get(
           user: userEmail,
           timestamp: new Date().toISOString(),
         });
-        if (deduplicateTaskUpdate(taskId, 'Test results not found')) {
-          getIO().emit('taskUpdate', {
-            taskId,
-            status: 'failed',
-            error: 'Test results not found',
-            logColor: 'red',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-          });
-        }
+        emitTaskEvent('taskUpdate', {
+          taskId,
+          status: 'failed',
+          error: 'Test results not found',
+          logColor: 'red',
+          timestamp: new Date().toISOString(),
+          eventId: uuidv4(),
+        }, { user: req.user?.email });
         return res.status(404).json({ success: false, message: 'Test results not found' });
       }
 
@@ -738,17 +769,15 @@ router.get(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId, `Failed to serve test results: ${err.message}`)) {
-        getIO().emit('taskUpdate', {
-          taskId,
-          status: 'failed',
-          error: `Failed to serve test results: ${err.message}`,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          errorDetails: { reason: err.message, context: 'testResults' },
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId,
+        status: 'failed',
+        error: `Failed to serve test results: ${err.message}`,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        errorDetails: { reason: err.message, context: 'testResults' },
+      }, { user: req.user?.email });
       res.status(500).json({ success: false, message: `Failed to serve test results: ${err.message}` });
     }
   })
@@ -766,16 +795,14 @@ router.get(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate('unknown', 'Invalid taskId for file content')) {
-        getIO().emit('taskUpdate', {
-          taskId: 'unknown',
-          status: 'failed',
-          error: 'Valid task ID is required',
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: 'unknown',
+        status: 'failed',
+        error: 'Valid task ID is required',
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       return res.status(400).json({ success: false, message: 'Valid task ID is required' });
     }
 
@@ -791,16 +818,14 @@ router.get(
           user: userEmail,
           timestamp: new Date().toISOString(),
         });
-        if (deduplicateTaskUpdate(taskId, 'Task not found')) {
-          getIO().emit('taskUpdate', {
-            taskId,
-            status: 'failed',
-            error: 'Task not found',
-            logColor: 'red',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-          });
-        }
+        emitTaskEvent('taskUpdate', {
+          taskId,
+          status: 'failed',
+          error: 'Task not found',
+          logColor: 'red',
+          timestamp: new Date().toISOString(),
+          eventId: uuidv4(),
+        }, { user: req.user?.email });
         return res.status(404).json({ success: false, message: 'Task not found' });
       }
 
@@ -820,6 +845,7 @@ router.get(
         proposedChanges: task.proposedChanges || [],
         testInstructions: task.testInstructions || 'No test instructions available',
         uploadedFiles: task.uploadedFiles || [],
+        mergeConflicts: task.mergeConflicts || [],
       });
     } catch (err) {
       await logError(`Failed to fetch file content: ${err.message}`, 'taskRoutes', {
@@ -828,17 +854,15 @@ router.get(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId, `Failed to fetch file content: ${err.message}`)) {
-        getIO().emit('taskUpdate', {
-          taskId,
-          status: 'failed',
-          error: `Failed to fetch file content: ${err.message}`,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          errorDetails: { reason: err.message, context: 'fileContent' },
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId,
+        status: 'failed',
+        error: `Failed to fetch file content: ${err.message}`,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        errorDetails: { reason: err.message, context: 'fileContent' },
+      }, { user: req.user?.email });
       res.status(500).json({ success: false, message: `Failed to fetch file content: ${err.message}` });
     }
   })
@@ -862,16 +886,14 @@ router.post(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate('unknown', 'Invalid proposalId')) {
-        getIO().emit('taskUpdate', {
-          taskId: 'unknown',
-          status: 'failed',
-          error: 'Valid proposal ID is required',
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId: 'unknown',
+        status: 'failed',
+        error: 'Valid proposal ID is required',
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       return res.status(400).json({ success: false, message: 'Valid proposal ID is required' });
     }
 
@@ -887,16 +909,14 @@ router.post(
           user: userEmail,
           timestamp: new Date().toISOString(),
         });
-        if (deduplicateTaskUpdate(proposal.taskId || 'unknown', 'Proposal not found')) {
-          getIO().emit('taskUpdate', {
-            taskId: proposal.taskId || 'unknown',
-            status: 'failed',
-            error: 'Proposal not found',
-            logColor: 'red',
-            timestamp: new Date().toISOString(),
-            eventId: uuidv4(),
-          });
-        }
+        emitTaskEvent('taskUpdate', {
+          taskId: proposal.taskId || 'unknown',
+          status: 'failed',
+          error: 'Proposal not found',
+          logColor: 'red',
+          timestamp: new Date().toISOString(),
+          eventId: uuidv4(),
+        }, { user: req.user?.email });
         return res.status(404).json({ success: false, message: 'Proposal not found' });
       }
 
@@ -908,16 +928,14 @@ router.post(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate(taskId, 'Task changes rolled back')) {
-        getIO().emit('taskUpdate', {
-          taskId,
-          status: 'denied',
-          message: `Task changes rolled back`,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-        });
-      }
+      emitTaskEvent('taskUpdate', {
+        taskId,
+        status: 'denied',
+        message: `Task changes rolled back`,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+      }, { user: req.user?.email });
       res.json({ success: true });
     } catch (err) {
       await logError(`Task rollback failed: ${err.message}`, 'taskRoutes', {
@@ -926,17 +944,293 @@ router.post(
         user: userEmail,
         timestamp: new Date().toISOString(),
       });
-      if (deduplicateTaskUpdate('unknown', `Task rollback failed: ${err.message}`)) {
-        getIO().emit('taskUpdate', {
-          taskId: 'unknown',
-          status: 'failed',
-          error: `Task rollback failed: ${err.message}`,
-          logColor: 'red',
-          timestamp: new Date().toISOString(),
-          eventId: uuidv4(),
-          errorDetails: { reason: err.message, context: 'rollback' },
-        });
+      emitTaskEvent('taskUpdate', {
+        taskId: 'unknown',
+        status: 'failed',
+        error: `Task rollback failed: ${err.message}`,
+        logColor: 'red',
+        timestamp: new Date().toISOString(),
+        eventId: uuidv4(),
+        errorDetails: { reason: err.message, context: 'rollback' },
+      }, { user: req.user?.email });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+/**
+ * Runs an apply/deny/rollback action for a task and reports failures over Socket.IO.
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {string} action - Action name for logs.
+ * @param {Function} fn - async (taskId, { user }) => void.
+ */
+async function runTaskAction(req, res, action, fn) {
+  const { taskId } = req.params;
+  const userEmail = req.body?.userEmail || req.user.email;
+  if (!isValidTaskId(taskId)) {
+    await logError(`Invalid taskId for ${action}`, 'taskRoutes', {
+      taskId: taskId || 'missing',
+      user: userEmail,
+      timestamp: new Date().toISOString(),
+    });
+    return res.status(400).json({ success: false, message: 'Valid task ID is required' });
+  }
+
+  try {
+    await fn(taskId, { user: userEmail ? { email: userEmail } : undefined });
+    const Task = await getModel('Task');
+    const task = await Task.findOne({ taskId }).select('taskId status commitSha commitBranch revertCommitSha gitHistory').lean();
+    await logInfo(`Task ${action} succeeded`, 'taskRoutes', {
+      taskId,
+      status: task?.status,
+      commitSha: task?.commitSha,
+      user: userEmail,
+      timestamp: new Date().toISOString(),
+    });
+    res.json({ success: true, task });
+  } catch (err) {
+    await logError(`Task ${action} failed: ${err.message}`, 'taskRoutes', {
+      taskId,
+      stack: err.stack || 'No stack trace',
+      user: userEmail,
+      timestamp: new Date().toISOString(),
+    });
+    emitTaskEvent('taskUpdate', {
+      taskId,
+      status: 'failed',
+      error: `Task ${action} failed: ${err.message}`,
+      logColor: 'red',
+      timestamp: new Date().toISOString(),
+      eventId: uuidv4(),
+      errorDetails: { reason: err.message, context: action },
+    }, { user: req.user?.email });
+    const status = /Merge conflicts|Static validation failed|Path policy violation|already applied|roll back manually|^Cannot (approve|deny|roll back) a task in status/.test(err.message) ? 409 : err.message === 'Task not found' ? 404 : 500;
+    res.status(status).json({ success: false, message: err.message });
+  }
+}
+
+// POST /grok/approve/:taskId - Apply staged changes and commit them to git
+router.post(
+  '/approve/:taskId',
+  catchErrors(async (req, res) => runTaskAction(req, res, 'approve', applyApprovedChanges))
+);
+
+// POST /grok/deny/:taskId - Discard staged changes; applied tasks are reverted by /tasks/:taskId/rollback instead
+router.post(
+  '/deny/:taskId',
+  catchErrors(async (req, res) => runTaskAction(req, res, 'deny', (taskId, options) => rollbackChanges(taskId, { ...options, stagedOnly: true })))
+);
+
+// POST /grok/tasks/:taskId/rollback - Revert the git commit of an applied task
+router.post(
+  '/tasks/:taskId/rollback',
+  catchErrors(async (req, res) => runTaskAction(req, res, 'rollback', rollbackChanges))
+);
+
+// GET /grok/history - Applied and rolled-back tasks with their commits
+router.get(
+  '/history',
+  catchErrors(async (req, res) => {
+    const userEmail = req.user.email;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    try {
+      const Task = await getModel('Task');
+      const tasks = await Task.find({
+        commitSha: { $exists: true, $ne: null },
+        user: { $in: [userEmail, null, undefined, 'admin@idurarapp.com'] },
+      })
+        .select('taskId prompt status commitSha commitBranch baseCommitSha revertCommitSha gitHistory generatedFiles updatedAt')
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .lean();
+      const history = await Promise.all(tasks.map(async task => ({
+        ...task,
+        commit: await getCommitInfo(task.commitSha),
+      })));
+      await logDebug('Fetched task history', 'taskRoutes', {
+        count: history.length,
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
+      res.json({ success: true, history });
+    } catch (err) {
+      await logError(`Failed to fetch task history: ${err.message}`, 'taskRoutes', {
+        stack: err.stack || 'No stack trace',
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// POST /grok/tasks/:taskId/cancel - Cancel a queued task, or stop a running one at its next stage
+router.post(
+  '/tasks/:taskId/cancel',
+  catchErrors(async (req, res) => {
+    const { taskId } = req.params;
+    const userEmail = req.body?.userEmail || req.user.email;
+    if (!isValidTaskId(taskId)) {
+      return res.status(400).json({ success: false, message: 'Valid task ID is required' });
+    }
+    try {
+      const task = await cancelTask(taskId, { user: userEmail ? { email: userEmail } : undefined });
+      await logInfo('Task cancel succeeded', 'taskRoutes', { taskId, user: userEmail, timestamp: new Date().toISOString() });
+      res.json({ success: true, task: { taskId: task.taskId, status: task.status } });
+    } catch (err) {
+      await logError(`Task cancel failed: ${err.message}`, 'taskRoutes', {
+        taskId,
+        stack: err.stack || 'No stack trace',
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
+      const status = err.message === 'Task not found' ? 404 : /not queued or running/.test(err.message) ? 409 : 500;
+      res.status(status).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// POST /grok/tasks/:taskId/pause - Pause a running task at its next stage
+router.post(
+  '/tasks/:taskId/pause',
+  catchErrors(async (req, res) => {
+    const { taskId } = req.params;
+    const userEmail = req.body?.userEmail || req.user.email;
+    if (!isValidTaskId(taskId)) {
+      return res.status(400).json({ success: false, message: 'Valid task ID is required' });
+    }
+    try {
+      const task = await pauseTask(taskId, { user: userEmail ? { email: userEmail } : undefined });
+      await logInfo('Task pause succeeded', 'taskRoutes', { taskId, user: userEmail, timestamp: new Date().toISOString() });
+      res.json({ success: true, task: { taskId: task.taskId, status: task.status } });
+    } catch (err) {
+      await logError(`Task pause failed: ${err.message}`, 'taskRoutes', {
+        taskId,
+        stack: err.stack || 'No stack trace',
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
+      const status = err.message === 'Task not found' ? 404 : /not running/.test(err.message) ? 409 : 500;
+      res.status(status).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// POST /grok/tasks/:taskId/resume - Resume a paused task
+router.post(
+  '/tasks/:taskId/resume',
+  catchErrors(async (req, res) => {
+    const { taskId } = req.params;
+    const userEmail = req.body?.userEmail || req.user.email;
+    if (!isValidTaskId(taskId)) {
+      return res.status(400).json({ success: false, message: 'Valid task ID is required' });
+    }
+    try {
+      const task = await resumeTask(taskId, { user: userEmail ? { email: userEmail } : undefined });
+      await logInfo('Task resume succeeded', 'taskRoutes', { taskId, user: userEmail, timestamp: new Date().toISOString() });
+      res.json({ success: true, task: { taskId: task.taskId, status: task.status } });
+    } catch (err) {
+      await logError(`Task resume failed: ${err.message}`, 'taskRoutes', {
+        taskId,
+        stack: err.stack || 'No stack trace',
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
+      const status = err.message === 'Task not found' ? 404 : /not paused/.test(err.message) ? 409 : 500;
+      res.status(status).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// GET /grok/queue - Job queue depth and worker status
+router.get(
+  '/queue',
+  catchErrors(async (req, res) => {
+    try {
+      const queue = await getQueueStats();
+      res.json({ success: true, queue });
+    } catch (err) {
+      await logError(`Failed to fetch queue status: ${err.message}`, 'taskRoutes', {
+        stack: err.stack || 'No stack trace',
+        user: req.user?.email,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// GET /grok/tasks/:taskId/plan - Plan parent with its subtasks and aggregate progress
+router.get(
+  '/tasks/:taskId/plan',
+  catchErrors(async (req, res) => {
+    const { taskId } = req.params;
+    const userEmail = req.user.email;
+    if (!isValidTaskId(taskId)) {
+      return res.status(400).json({ success: false, message: 'Invalid taskId' });
+    }
+    try {
+      const plan = await getPlan(taskId);
+      if (!plan || ![userEmail, null, undefined, 'admin@idurarapp.com'].includes(plan.parent.user)) {
+        return res.status(404).json({ success: false, message: 'Task not found' });
+      }
+      if (!plan.subtasks.length) {
+        return res.status(404).json({ success: false, message: 'Task has no plan' });
       }
+      await logDebug('Fetched task plan', 'taskRoutes', {
+        taskId: plan.parent.taskId,
+        subtasks: plan.subtasks.length,
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
+      res.json({ success: true, task: plan.parent, subtasks: plan.subtasks, planProgress: plan.parent.planProgress });
+    } catch (err) {
+      await logError(`Failed to fetch task plan: ${err.message}`, 'taskRoutes', {
+        taskId,
+        stack: err.stack || 'No stack trace',
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// GET /grok/tasks/:taskId/repairs/:runId/:iteration/screenshot - Failure screenshot of a repair loop iteration
+router.get(
+  '/tasks/:taskId/repairs/:runId/:iteration/screenshot',
+  catchErrors(async (req, res) => {
+    const { taskId, runId, iteration } = req.params;
+    const userEmail = req.user.email;
+    if (!isValidTaskId(taskId) || !isValidTaskId(runId) || !/^\d+$/.test(iteration)) {
+      return res.status(400).json({ success: false, message: 'Invalid taskId, runId, or iteration' });
+    }
+    try {
+      const Task = await getModel('Task');
+      const task = await Task.findOne({ taskId, user: { $in: [userEmail, null, undefined, 'admin@idurarapp.com'] } })
+        .select('repairIterations')
+        .lean();
+      const entry = task?.repairIterations?.find(item => item.runId === runId && item.iteration === Number(iteration));
+      if (!entry?.screenshotPath) {
+        return res.status(404).json({ success: false, message: 'Screenshot not found' });
+      }
+      const file = path.join(REPAIR_DIR, taskId, `${runId}-${Number(iteration)}.png`);
+      if (!isPathInside(file, REPAIR_DIR)) {
+        return res.status(400).json({ success: false, message: 'Invalid screenshot path' });
+      }
+      res.sendFile(file, err => {
+        if (err && !res.headersSent) res.status(404).json({ success: false, message: 'Screenshot not found' });
+      });
+    } catch (err) {
+      await logError(`Failed to fetch repair screenshot: ${err.message}`, 'taskRoutes', {
+        taskId,
+        runId,
+        iteration,
+        stack: err.stack || 'No stack trace',
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
       res.status(500).json({ success: false, message: err.message });
     }
   })
@@ -0,0 +1,159 @@
+/*
+ * File Path: backend/src/routes/templateRoutes.js
+ * Purpose: Express routes for the prompt template library in Allur Space Console.
+ * How It Works:
+ *   - CRUD for PromptTemplate documents through promptTemplates.js, scoped to the owner plus shared templates.
+ *   - POST /templates/:templateId/render previews a filled prompt without creating a task.
+ * Mechanics:
+ *   - GET /templates: Visible templates, most used first, without version history.
+ *   - GET /templates/:templateId: One template with versions.
+ *   - POST /templates: Create; PUT /templates/:templateId: update (new version when content changes).
+ *   - DELETE /templates/:templateId: Archive (owner only).
+ *   - POST /templates/:templateId/render: { variables, version } → { prompt, testInstructions, variables, version }.
+ * Dependencies:
+ *   - express: Router (version 5.1.0).
+ *   - promptTemplates.js: Template CRUD and rendering.
+ *   - errorHandlers.js: catchErrors, verifyToken.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - app.js: Mounts routes at /api/grok.
+ *   - usePromptTemplates.js: Template list, save, and delete for TaskInput.jsx.
+ * Why It’s Here:
+ *   - Saved, versioned, shareable prompts instead of retyping them for every task (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created template routes.
+ *     - Why: TaskInput.jsx needs to list, save, and version prompt templates.
+ *     - How: Thin handlers over promptTemplates.js; 404 for unknown templates, 403 for non-owners, 400 for validation errors.
+ *     - Test: POST /api/grok/templates, GET /api/grok/templates, verify the template and version 1.
+ * Test Instructions:
+ *   - POST /api/grok/templates with { name: "CRUD page", body: "Create an {{entityName}} page" }, verify 201 and variables [entityName].
+ *   - PUT /api/grok/templates/<templateId> with { body: "Create an {{entityName}} page with search" }, verify version 2.
+ *   - POST /api/grok/templates/<templateId>/render with { variables: {} }, verify 400 "Missing template variables: entityName".
+ *   - DELETE /api/grok/templates/<templateId> as another admin, verify 403.
+ * Rollback Instructions:
+ *   - Delete templateRoutes.js and remove it from app.js.
+ * Future Enhancements:
+ *   - Import/export templates as JSON (Sprint 5).
+ */
+
+const express = require('express');
+const { listTemplates, getTemplate, createTemplate, updateTemplate, archiveTemplate, previewTemplate } = require('../utils/promptTemplates');
+const { catchErrors, verifyToken } = require('../handlers/errorHandlers');
+const { logError } = require('../utils/logUtils');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+/**
+ * Maps promptTemplates.js errors to HTTP status codes.
+ * @param {Error} err - Error thrown by promptTemplates.js.
+ * @returns {number} HTTP status.
+ */
+function statusFor(err) {
+  if (/not found/.test(err.message)) return 404;
+  if (/^Only the template owner/.test(err.message)) return 403;
+  if (/required|Missing template variables|validation failed/i.test(err.message)) return 400;
+  return 500;
+}
+
+/**
+ * Logs a failed template request and sends the error response.
+ * @param {Object} res - Express response.
+ * @param {Error} err - Error.
+ * @param {string} action - Action name for the log message.
+ * @param {Object} details - Extra log fields.
+ * @returns {Promise<void>}
+ */
+async function sendError(res, err, action, details) {
+  await logError(`Template ${action} failed: ${err.message}`, 'templateRoutes', {
+    ...details,
+    stack: err.stack || 'No stack trace',
+    timestamp: new Date().toISOString(),
+  });
+  res.status(statusFor(err)).json({ success: false, message: err.message });
+}
+
+// GET /grok/templates - Templates visible to the current user
+router.get(
+  '/templates',
+  catchErrors(async (req, res) => {
+    try {
+      const templates = await listTemplates({ user: req.user });
+      res.json({ success: true, templates });
+    } catch (err) {
+      await sendError(res, err, 'list', { user: req.user?.email });
+    }
+  })
+);
+
+// GET /grok/templates/:templateId - One template with its version history
+router.get(
+  '/templates/:templateId',
+  catchErrors(async (req, res) => {
+    const { templateId } = req.params;
+    try {
+      const template = await getTemplate(templateId, { user: req.user });
+      res.json({ success: true, template });
+    } catch (err) {
+      await sendError(res, err, 'fetch', { templateId, user: req.user?.email });
+    }
+  })
+);
+
+// POST /grok/templates - Create a template
+router.post(
+  '/templates',
+  catchErrors(async (req, res) => {
+    try {
+      const template = await createTemplate(req.body || {}, { user: req.user });
+      res.status(201).json({ success: true, template });
+    } catch (err) {
+      await sendError(res, err, 'create', { name: req.body?.name, user: req.user?.email });
+    }
+  })
+);
+
+// PUT /grok/templates/:templateId - Update a template, creating a new version when its content changes
+router.put(
+  '/templates/:templateId',
+  catchErrors(async (req, res) => {
+    const { templateId } = req.params;
+    try {
+      const template = await updateTemplate(templateId, req.body || {}, { user: req.user });
+      res.json({ success: true, template });
+    } catch (err) {
+      await sendError(res, err, 'update', { templateId, user: req.user?.email });
+    }
+  })
+);
+
+// DELETE /grok/templates/:templateId - Archive a template
+router.delete(
+  '/templates/:templateId',
+  catchErrors(async (req, res) => {
+    const { templateId } = req.params;
+    try {
+      await archiveTemplate(templateId, { user: req.user });
+      res.json({ success: true, message: 'Template deleted' });
+    } catch (err) {
+      await sendError(res, err, 'delete', { templateId, user: req.user?.email });
+    }
+  })
+);
+
+// POST /grok/templates/:templateId/render - Preview a filled template
+router.post(
+  '/templates/:templateId/render',
+  catchErrors(async (req, res) => {
+    const { templateId } = req.params;
+    try {
+      const rendered = await previewTemplate(templateId, req.body?.variables || {}, { user: req.user, version: req.body?.version });
+      res.json({ success: true, ...rendered });
+    } catch (err) {
+      await sendError(res, err, 'render', { templateId, user: req.user?.email });
+    }
+  })
+);
+
+module.exports = router;
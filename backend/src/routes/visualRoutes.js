@@ -0,0 +1,169 @@
+/*
+ * File Path: backend/src/routes/visualRoutes.js
+ * Purpose: Express routes for visual regression baselines and settings in Allur Space Console.
+ * How It Works:
+ *   - Reads and updates the visual diff threshold used by visualRegression.js.
+ *   - Lists the approved baseline of each route.
+ *   - Serves the capture, baseline, and diff images of a task's visual checks for the before/after viewer.
+ * Mechanics:
+ *   - GET /visual/settings: { threshold }; PUT /visual/settings with { threshold } (0-1).
+ *   - GET /visual/baselines: Latest baseline per route with the approving task.
+ *   - GET /tasks/:taskId/visual/:routeKey/:image: image is actual, baseline, or diff; files are served only from test-results/visual.
+ * Dependencies:
+ *   - express: Router (version 5.1.0).
+ *   - path: Image paths (Node.js built-in).
+ *   - visualRegression.js: getThreshold, setThreshold, VISUAL_DIR.
+ *   - is-path-inside.js: Containment check for served images.
+ *   - taskValidator.js: isValidTaskId.
+ *   - db.js: getModel for the Task and VisualBaseline models.
+ *   - errorHandlers.js: catchErrors, verifyToken.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - app.js: Mounts routes at /api/grok.
+ *   - VisualDiffs.jsx: Threshold control and side-by-side images.
+ * Why It’s Here:
+ *   - Visual regression results need their images and a threshold reviewers can tune (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created visual regression routes.
+ *     - Why: VisualDiffs.jsx shows baseline and capture side by side and edits the threshold.
+ *     - How: Thin handlers over visualRegression.js; images looked up on Task.visualTests and sent with sendFile.
+ *     - Test: PUT /api/grok/visual/settings with { threshold: 0.05 }, GET it back, verify 0.05.
+ * Test Instructions:
+ *   - PUT /api/grok/visual/settings with { threshold: 2 }, verify 400.
+ *   - GET /api/grok/tasks/<taskId>/visual/employee-log/diff for a compared task, verify image/png.
+ * Rollback Instructions:
+ *   - Delete visualRoutes.js and remove it from app.js.
+ * Future Enhancements:
+ *   - Per-route thresholds (Sprint 5).
+ */
+
+const express = require('express');
+const path = require('path');
+const { getThreshold, setThreshold, VISUAL_DIR } = require('../utils/visualRegression');
+const { isPathInside } = require('../utils/is-path-inside');
+const { isValidTaskId } = require('../utils/taskValidator');
+const { getModel } = require('../db');
+const { catchErrors, verifyToken } = require('../handlers/errorHandlers');
+const { logError } = require('../utils/logUtils');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+const IMAGE_FIELDS = {
+  actual: 'imagePath',
+  baseline: 'baselinePath',
+  diff: 'diffPath',
+};
+
+// GET /grok/visual/settings - Current visual diff threshold
+router.get(
+  '/visual/settings',
+  catchErrors(async (req, res) => {
+    try {
+      res.json({ success: true, threshold: await getThreshold() });
+    } catch (err) {
+      await logError(`Failed to read visual settings: ${err.message}`, 'visualRoutes', {
+        stack: err.stack || 'No stack trace',
+        user: req.user.email,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// PUT /grok/visual/settings - Update the visual diff threshold
+router.put(
+  '/visual/settings',
+  catchErrors(async (req, res) => {
+    try {
+      const threshold = await setThreshold(req.body?.threshold, { user: req.user.email });
+      res.json({ success: true, threshold });
+    } catch (err) {
+      await logError(`Failed to update visual settings: ${err.message}`, 'visualRoutes', {
+        threshold: req.body?.threshold,
+        stack: err.stack || 'No stack trace',
+        user: req.user.email,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(/^Threshold must/.test(err.message) ? 400 : 500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// GET /grok/visual/baselines - Latest approved baseline per route
+router.get(
+  '/visual/baselines',
+  catchErrors(async (req, res) => {
+    try {
+      const VisualBaseline = await getModel('VisualBaseline');
+      const baselines = await VisualBaseline.aggregate([
+        { $sort: { approvedAt: -1 } },
+        { $group: { _id: '$route', baseline: { $first: '$$ROOT' }, versions: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]);
+      res.json({
+        success: true,
+        baselines: baselines.map(({ baseline, versions }) => ({
+          route: baseline.route,
+          routeKey: baseline.routeKey,
+          taskId: baseline.taskId,
+          width: baseline.width,
+          height: baseline.height,
+          approvedBy: baseline.approvedBy,
+          approvedAt: baseline.approvedAt,
+          versions,
+        })),
+      });
+    } catch (err) {
+      await logError(`Failed to list visual baselines: ${err.message}`, 'visualRoutes', {
+        stack: err.stack || 'No stack trace',
+        user: req.user.email,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+// GET /grok/tasks/:taskId/visual/:routeKey/:image - Capture, baseline, or diff image of a visual check
+router.get(
+  '/tasks/:taskId/visual/:routeKey/:image',
+  catchErrors(async (req, res) => {
+    const { taskId, routeKey, image } = req.params;
+    const userEmail = req.user.email;
+    if (!isValidTaskId(taskId) || !/^[a-zA-Z0-9_-]+$/.test(routeKey) || !IMAGE_FIELDS[image]) {
+      return res.status(400).json({ success: false, message: 'Invalid taskId, routeKey, or image' });
+    }
+    try {
+      const Task = await getModel('Task');
+      const task = await Task.findOne({ taskId, user: { $in: [userEmail, null, undefined, 'admin@idurarapp.com'] } })
+        .select('visualTests.results')
+        .lean();
+      const relative = task?.visualTests?.results?.find(r => r.routeKey === routeKey)?.[IMAGE_FIELDS[image]];
+      if (!relative) {
+        return res.status(404).json({ success: false, message: 'Image not found' });
+      }
+      const file = path.join(VISUAL_DIR, '../..', relative);
+      if (!isPathInside(file, VISUAL_DIR)) {
+        return res.status(400).json({ success: false, message: 'Invalid image path' });
+      }
+      res.sendFile(file, err => {
+        if (err && !res.headersSent) res.status(404).json({ success: false, message: 'Image not found' });
+      });
+    } catch (err) {
+      await logError(`Failed to fetch visual image: ${err.message}`, 'visualRoutes', {
+        taskId,
+        routeKey,
+        image,
+        stack: err.stack || 'No stack trace',
+        user: userEmail,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(500).json({ success: false, message: err.message });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/*
+ * File Path: backend/src/setup/checkIntents.js
+ * Purpose: Checks intentSchema.js's rule-based extraction against a prompt corpus for Allur Space Console.
+ * How It Works:
+ *   - Loads the prompts of a tasks.json corpus (default src/tasks.json), extracts and validates an intent for each unique one.
+ *   - Asserts the documented examples: DataTable fix, sponsor modal, and a vague prompt that asks a clarifying question.
+ * Mechanics:
+ *   - Run `npm run check-intents [-- path/to/tasks.json]` or `node src/setup/checkIntents.js [tasks.json]` from backend/.
+ *   - assert.strict throws on the first failure (exit 1); a passing run prints only a summary.
+ * Dependencies:
+ *   - intentSchema.js: buildFileIndex, extractIntent, validateIntent, clarifyingQuestions.
+ *   - fs, path, assert: Corpus loading and assertions (Node.js built-in).
+ * Dependents:
+ *   - package.json: check-intents script.
+ * Why It’s Here:
+ *   - The corpus check ran from intentSchema.js under require.main; the runtime module now only holds schema code (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Moved the corpus check out of intentSchema.js.
+ *     - Why: Review asked to keep test code out of the production module.
+ *     - How: Same assertions, requiring intentSchema.js's exports.
+ *     - Test: `npm run check-intents`, verify "all intents valid" and exit code 0.
+ * Test Instructions:
+ *   - From backend/, run `node src/setup/checkIntents.js src/tasks.json`, verify "all intents valid" and exit code 0.
+ *   - Run it against a file containing {}, verify "No prompts in" and exit code 1.
+ * Rollback Instructions:
+ *   - Delete checkIntents.js and the check-intents script.
+ * Future Enhancements:
+ *   - Expected intents per corpus prompt instead of validity only (Sprint 5).
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const { buildFileIndex, extractIntent, validateIntent, clarifyingQuestions } = require('../utils/intentSchema');
+
+const corpusPath = path.resolve(process.argv[2] || path.join(__dirname, '../tasks.json'));
+const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+const prompts = [...new Set(Object.values(corpus).map(task => task?.prompt).filter(p => typeof p === 'string' && p.trim()))];
+const fileIndex = buildFileIndex();
+assert.ok(prompts.length, `No prompts in ${corpusPath}`);
+
+const invalid = prompts
+  .map(prompt => ({ prompt: prompt.trim(), ...validateIntent(extractIntent(prompt, { fileIndex })) }))
+  .filter(result => !result.valid);
+assert.deepEqual(invalid.map(({ prompt, errors }) => ({ prompt, errors })), [], `${invalid.length} of ${prompts.length} prompts produced invalid intents`);
+
+const dataTable = extractIntent('Fix DataTable useCrudContext error', { fileIndex });
+assert.equal(dataTable.action, 'fix');
+assert.ok(dataTable.affectedFiles.some(f => f.path === 'frontend/src/pages/DataTable.jsx'), 'DataTable.jsx not in affectedFiles');
+const modal = extractIntent('Add a sponsor delete confirmation modal', { fileIndex });
+assert.equal(modal.action, 'create');
+assert.equal(modal.targetModule, 'sponsor');
+assert.ok(modal.entities.some(e => e.kind === 'ui' && e.name === 'modal'), 'modal entity missing');
+assert.ok(clarifyingQuestions(extractIntent('Test Grok functionality', { fileIndex })).length, 'vague prompt asked no question');
+
+console.log(`${prompts.length} unique prompts, all intents valid`);
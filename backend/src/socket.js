@@ -4,12 +4,13 @@
  * How It Works:
  *   - Delegates Socket.IO setup to socketUtils.js for modularity.
  *   - Provides initSocket and getIO for compatibility with taskRoutes.js, proposalRoutes.js.
+ *   - emitTaskEvent sends task events to the task's and its owner's rooms (socketUtils.js).
  *   - Ensures stable WebSocket connections for frontend updates.
  * Mechanics:
  *   - Wraps socketUtils.js setupSocket and getSocket functions.
  *   - Logs initialization to idurar_db.logs for traceability.
  * Dependencies:
- *   - socketUtils.js: Core Socket.IO logic (setupSocket, getSocket).
+ *   - socketUtils.js: Core Socket.IO logic (setupSocket, getSocket, emitTaskEvent).
  *   - logUtils.js: MongoDB logging.
  * Why It's Here:
  *   - Maintains compatibility after moving Socket.IO logic to socketUtils.js, fixing net::ERR_CONNECTION_REFUSED (User, 04/30/2025).
@@ -21,6 +22,10 @@
  *     - Why: Debug Socket.IO 400 errors in useLiveFeed.js (User, 05/08/2025).
  *     - How: Added detailed logging for handshake failures, preserved existing functionality.
  *     - Test: Run `npm start`, load /grok, verify WebSocket connects, check grok.log for handshake logs.
+ *   - 10/19/2026: Added emitTaskEvent.
+ *     - Why: getIO().emit broadcast every task event to every connected admin.
+ *     - How: Wraps socketUtils.emitTaskEvent with the same error logging as getIO.
+ *     - Test: Submit a task as one user, verify a second user's socket receives no taskUpdate.
  * Test Instructions:
  *   - Run `npm start`: Verify "Socket.IO initialized" in idurar_db.logs, no errors.
  *   - Load frontend (npm run dev): Confirm no net::ERR_CONNECTION_REFUSED in browser console.
@@ -33,7 +38,7 @@
  *   - Add Socket.IO namespaces for task/proposal events (Sprint 4).
  */
 
-const { setupSocket, getSocket } = require('./utils/socketUtils');
+const { setupSocket, getSocket, emitTaskEvent: emitToRooms } = require('./utils/socketUtils');
 const { logInfo, logError } = require('./utils/logUtils');
 
 async function initSocket(server) {
@@ -71,4 +76,25 @@ function getIO() {
   }
 }
 
-module.exports = { initSocket, getIO };
+/**
+ * Emits a task event to the rooms of its task and owner; see socketUtils.emitTaskEvent.
+ * @param {string} event - Event name.
+ * @param {Object} data - Event payload with taskId.
+ * @param {Object} [options] - { user }: also send to this user's room.
+ */
+function emitTaskEvent(event, data, options) {
+  try {
+    emitToRooms(event, data, options);
+  } catch (err) {
+    logError('Failed to emit task event', 'socket.js', {
+      event,
+      taskId: data?.taskId,
+      error: err.message,
+      stack: err.stack,
+      timestamp: new Date().toISOString(),
+    });
+    throw err;
+  }
+}
+
+module.exports = { initSocket, getIO, emitTaskEvent };
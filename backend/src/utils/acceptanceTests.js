@@ -0,0 +1,472 @@
+/*
+ * File Path: backend/src/utils/acceptanceTests.js
+ * Purpose: Turns a task's acceptance criteria into Playwright checks, runs them, and cleans up generated tests in Allur Space Console.
+ * How It Works:
+ *   - Criteria come from task.intent.acceptanceCriteria (intentSchema.js), e.g. "Clock-in button records time".
+ *   - Each criterion becomes a check: a list of steps (goto, expectVisible, click, expectText, expectHidden,
+ *     clickAddsRow, noConsoleErrors) aimed at the page the staged files render.
+ *   - The checks are stored on Task.acceptanceTests and rendered as one spec per task under tests/generated/<taskId>/,
+ *     runnable with `npx playwright test tests/generated/<taskId>`.
+ *   - taskTesterV18.js runs the same steps on its logged-in page so each criterion gets its own result.
+ *   - Deleting a task removes its generated spec, repair screenshots, and legacy per-task test files.
+ * Mechanics:
+ *   - `planChecks`: Pattern rules per criterion: buttons ("X button records time", "click X"), inputs, visible text,
+ *     data-testid, removed elements, console errors; anything else is a generic page-load check (generic: true).
+ *     Endpoint criteria are skipped here (kind "api").
+ *   - `generateAcceptanceTests`: planChecks + renderSpec, writes the spec, $set Task.acceptanceTests.
+ *   - `runAcceptanceChecks`: Executes the steps with a 10s timeout per step, returns { criterion, status, error, durationMs } per check.
+ *   - `removeGeneratedTests`: Removes GENERATED_DIR/<taskId>, REPAIR_DIR/<taskId>, tests/task-<taskId>.spec.js, utils/test-<taskId>-*.js.
+ *   - `collectStaleTests`: Removes generated and legacy per-task tests whose task no longer exists.
+ * Dependencies:
+ *   - fs.promises, path: Spec storage (Node.js built-in).
+ *   - db.js: getModel for the Task model.
+ *   - testRepair.js: REPAIR_DIR for failure screenshots.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - testUtils.js: generatePlaywrightTest delegates to generateAcceptanceTests.
+ *   - taskTesterV18.js: Runs the checks after the test instructions; resolveRoute picks the page for visual checks.
+ *   - taskManager.js: deleteTask and clearTasks garbage-collect generated tests.
+ *   - apiTests.js: Writes API specs into GENERATED_DIR, so they are removed with the task.
+ * Why It’s Here:
+ *   - generatePlaywrightTest produced page-loads tests picked by prompt keywords, written to tests/task-<taskId>.spec.js and
+ *     never removed, next to dozens of stale backend/src/utils/test-*.js scripts (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created acceptance criteria test generation.
+ *     - Why: Tests should assert what the prompt asked for, live with the task, and go away with it.
+ *     - How: Criteria to step checks, spec per task in tests/generated/<taskId>/, results on Task.acceptanceTests, cleanup on delete.
+ *     - Test: Submit "Add a clock-in button to the employee log. The clock-in button should record the time.", verify a check
+ *       with clickAddsRow or expectText steps for /clock[\s-]?in/i and a spec in tests/generated/<taskId>/.
+ * Test Instructions:
+ *   - Run a task, open tests/generated/<taskId>/acceptance.spec.js, verify one test() per acceptance criterion.
+ *   - Delete the task, verify tests/generated/<taskId>/ and test-results/repair/<taskId>/ are gone.
+ * Rollback Instructions:
+ *   - Delete acceptanceTests.js and restore the keyword templates in testUtils.js.
+ * Future Enhancements:
+ *   - Let the language model propose steps for generic criteria (Sprint 5).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getModel } = require('../db');
+const { REPAIR_DIR } = require('./testRepair');
+const { logInfo, logWarn, logDebug } = require('./logUtils');
+
+const TESTS_DIR = path.join(__dirname, '../../../tests');
+const GENERATED_DIR = path.join(TESTS_DIR, 'generated');
+const LEGACY_UTILS_DIR = __dirname;
+const SPEC_NAME = 'acceptance.spec.js';
+const STEP_TIMEOUT = 10000;
+const TASK_ID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+const ARTICLES = /^(?:the|a|an|new|each|every)\s+/i;
+const ACTION_VERBS = /\b(records?|adds?|saves?|creates?|submits?|updates?|deletes?|removes?|starts?|stops?|logs?|sends?|opens?|toggles?|clears?)\b\s*(.*)$/i;
+const DISPLAY_VERBS = /\b(?:shows?|displays?|lists?|renders?|contains?|appears? with|includes?)\s+(.+)$/i;
+const ROW_WORDS = /^(?:row|rows|entry|entries|item|items|record|records|line|lines)\b/i;
+const TIME_WORDS = /\b(?:time|timestamp|clock|hours?)\b/i;
+const DATE_WORDS = /\bdates?\b/i;
+const ROWS_SELECTOR = 'table tbody tr, [role="row"], ul li, ol li';
+const UI_SELECTORS = {
+  table: 'table, [role="table"]',
+  form: 'form',
+  modal: '[role="dialog"]',
+  dialog: '[role="dialog"]',
+  chart: 'canvas, svg',
+  list: 'ul, ol, [role="list"]',
+  card: '.ant-card, [class*="card"]',
+  input: 'input',
+  button: 'button',
+  menu: '[role="menu"], nav',
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// "clock-in" and "clock in" should both match the rendered label
+function namePattern(name) {
+  return name.trim().split(/[\s_-]+/).filter(Boolean).map(escapeRegex).join('[\\s_-]?');
+}
+
+function cleanPhrase(text) {
+  return String(text || '')
+    .replace(/["'`]/g, '')
+    .replace(/[.!?,;:]+$/, '')
+    .trim()
+    .replace(ARTICLES, '')
+    .split(/\s+(?:and|when|after|so|with|to|for|on|in)\s+/i)[0]
+    .split(/\s+/)
+    .slice(0, 4)
+    .join(' ');
+}
+
+function toKebabCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase();
+}
+
+/**
+ * Picks the route the checks open: a "Navigate to" instruction, else the first staged page.
+ * @param {Array} stagedFiles - Staged files with path and testInstructions.
+ * @returns {string} Route path such as /employee-log.
+ */
+function resolveRoute(stagedFiles = []) {
+  for (const file of stagedFiles) {
+    const navigate = String(file.testInstructions || '').match(/navigate to\s+(\S+)/i);
+    if (navigate) return navigate[1].replace(/^https?:\/\/[^/]+/, '') || '/';
+  }
+  const page = stagedFiles.map(f => String(f.path || '').replace(/\\/g, '/')).find(p => /^frontend\/src\/pages\/.+\.jsx?$/.test(p));
+  if (!page) return '/dashboard';
+  const name = path.basename(page).replace(/\.jsx?$/, '').replace(/-v\d+$/i, '');
+  return name === 'GrokUI' ? '/grok' : `/${toKebabCase(name)}`;
+}
+
+/**
+ * Expected result of an action phrase such as "records time" or "adds a row".
+ * @param {string} object - Words after the verb.
+ * @returns {Object|null} Step asserting the result.
+ */
+function resultStep(object) {
+  const phrase = cleanPhrase(object);
+  if (!phrase) return null;
+  if (TIME_WORDS.test(phrase)) return { action: 'expectText', pattern: '\\d{1,2}:\\d{2}' };
+  if (DATE_WORDS.test(phrase)) return { action: 'expectText', pattern: '\\d{1,4}[/.-]\\d{1,2}[/.-]\\d{1,4}' };
+  return { action: 'expectText', pattern: namePattern(phrase) };
+}
+
+/**
+ * Turns one acceptance criterion into a check.
+ * @param {string} criterion - Acceptance criterion text.
+ * @param {string} route - Route the check opens.
+ * @returns {Object} { criterion, kind, generic, steps }.
+ */
+function planCheck(criterion, route) {
+  const text = String(criterion || '').trim();
+  const lower = text.toLowerCase();
+  const goto = { action: 'goto', path: route };
+  const check = (kind, steps, generic = false) => ({ criterion: text, kind, generic, steps: [goto, ...steps] });
+
+  if (/\bendpoint\b|\bresponds with status\b|\bapi\b/.test(lower)) {
+    return { criterion: text, kind: 'api', generic: false, steps: [] };
+  }
+  if (/console errors|no errors|no longer throws?|without errors|reported error/.test(lower)) {
+    return check('console', [{ action: 'noConsoleErrors' }]);
+  }
+
+  const testId = text.match(/data-testid=["']?([\w-]+)/i);
+  const removed = /\b(?:no longer (?:rendered|shown|visible|displayed)|is removed|are removed|is hidden|not (?:be )?(?:visible|shown))\b/.test(lower);
+  const button = text.match(/(?:^|\s)(?:the\s+|a\s+|an\s+)?["']?([\w-]+(?:\s[\w-]+)?)["']?\s+button\b/i)
+    || text.match(/\bbutton\s+(?:labeled|named|called)?\s*["']?([\w-]+(?:\s[\w-]+)?)["']?/i)
+    || text.match(/\bclick(?:ing)?\s+(?:on\s+)?(?:the\s+)?["']?([\w-]+(?:\s[\w-]+)?)["']?/i);
+  const field = text.match(/(?:^|\s)(?:the\s+|a\s+|an\s+)?([\w-]+(?:\s[\w-]+)?)\s+(?:field|input|textbox)\b/i);
+
+  if (testId) {
+    return check(removed ? 'removed' : 'testid', [{ action: removed ? 'expectHidden' : 'expectVisible', testId: testId[1] }]);
+  }
+  if (button) {
+    const name = cleanPhrase(button[1]);
+    const target = { role: 'button', name: namePattern(name) };
+    if (removed) return check('removed', [{ action: 'expectHidden', ...target }]);
+    const after = text.slice(button.index + button[0].length);
+    const verb = after.match(ACTION_VERBS);
+    const steps = [{ action: 'expectVisible', ...target }];
+    if (verb) {
+      const object = cleanPhrase(verb[2]);
+      if (ROW_WORDS.test(object)) {
+        steps.push({ action: 'clickAddsRow', ...target });
+      } else {
+        steps.push({ action: 'click', ...target });
+        const result = resultStep(verb[2]);
+        if (result) steps.push(result);
+      }
+    }
+    steps.push({ action: 'noConsoleErrors' });
+    return check('button', steps);
+  }
+  if (field) {
+    return check('input', [{ action: 'expectVisible', role: 'textbox', name: namePattern(cleanPhrase(field[1])) }]);
+  }
+  const ui = lower.match(/\b(table|form|modal|dialog|chart|list|card|menu)\b/);
+  if (ui && !removed) {
+    return check('element', [{ action: 'expectVisible', selector: UI_SELECTORS[ui[1]] }, { action: 'noConsoleErrors' }]);
+  }
+  const display = text.match(DISPLAY_VERBS);
+  if (display && cleanPhrase(display[1])) {
+    const step = resultStep(display[1]);
+    return check('text', removed ? [{ action: 'expectHidden', text: step.pattern }] : [step]);
+  }
+  return check('page', [{ action: 'expectVisible', selector: 'body' }, { action: 'noConsoleErrors' }], true);
+}
+
+/**
+ * Plans one check per acceptance criterion.
+ * @param {Array<string>} criteria - Acceptance criteria.
+ * @param {Object} options - { stagedFiles }.
+ * @returns {Array<Object>} Checks.
+ */
+function planChecks(criteria = [], { stagedFiles = [] } = {}) {
+  const route = resolveRoute(stagedFiles);
+  const list = criteria.map(c => String(c || '').trim()).filter(Boolean);
+  if (!list.length) list.push(`${route} renders without console errors`);
+  return list.map(criterion => planCheck(criterion, route));
+}
+
+function locatorCode(step) {
+  if (step.testId) return `page.getByTestId(${JSON.stringify(step.testId)}).first()`;
+  if (step.role) return `page.getByRole(${JSON.stringify(step.role)}, { name: /${step.name}/i }).first()`;
+  if (step.text) return `page.getByText(/${step.text}/i)`;
+  return `page.locator(${JSON.stringify(step.selector)}).first()`;
+}
+
+function stepCode(step) {
+  switch (step.action) {
+    case 'goto':
+      return `await page.goto(\`\${BASE_URL}${step.path}\`);`;
+    case 'expectVisible':
+      return `await expect(${locatorCode(step)}).toBeVisible();`;
+    case 'expectHidden':
+      return `await expect(${locatorCode(step).replace(/\.first\(\)$/, '')}).toHaveCount(0);`;
+    case 'click':
+      return `await ${locatorCode(step)}.click();`;
+    case 'expectText':
+      return `await expect(page.getByText(/${step.pattern}/i).first()).toBeVisible();`;
+    case 'clickAddsRow':
+      return [
+        `const rowsBefore = await page.locator(${JSON.stringify(ROWS_SELECTOR)}).count();`,
+        `await ${locatorCode(step)}.click();`,
+        `await expect.poll(() => page.locator(${JSON.stringify(ROWS_SELECTOR)}).count()).toBeGreaterThan(rowsBefore);`,
+      ].join('\n    ');
+    case 'noConsoleErrors':
+      return 'expect(consoleErrors).toEqual([]);';
+    default:
+      return `// Unsupported step: ${JSON.stringify(step)}`;
+  }
+}
+
+/**
+ * Renders the checks as a Playwright spec with one test per criterion.
+ * @param {string} taskId - The task ID.
+ * @param {Array<Object>} checks - Checks from planChecks.
+ * @returns {string} Spec source.
+ */
+function renderSpec(taskId, checks) {
+  const tests = checks.map(check => {
+    const title = JSON.stringify(check.criterion);
+    if (check.kind === 'api') return `  test.skip(${title}, async () => {\n    // Endpoint criteria are covered by API tests\n  });`;
+    const body = check.steps.map(step => `    ${stepCode(step)}`).join('\n');
+    return `  test(${title}, async ({ page }) => {\n${body}\n  });`;
+  });
+  return [
+    `// Generated from the acceptance criteria of task ${taskId}; removed when the task is deleted.`,
+    "const { test, expect } = require('@playwright/test');",
+    '',
+    "const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';",
+    '',
+    `test.describe(${JSON.stringify(`Task ${taskId} acceptance criteria`)}, () => {`,
+    '  let consoleErrors = [];',
+    '',
+    '  test.beforeEach(async ({ page }) => {',
+    '    consoleErrors = [];',
+    "    page.on('console', msg => { if (msg.type() === 'error') consoleErrors.push(msg.text()); });",
+    "    page.on('pageerror', err => consoleErrors.push(`Uncaught: ${err.message}`));",
+    '    await page.goto(`${BASE_URL}/login`);',
+    "    await page.fill('input[name=\"email\"]', 'admin@idurarapp.com');",
+    "    await page.fill('input[name=\"password\"]', 'admin123');",
+    "    await page.click('button[type=\"submit\"]');",
+    '    await page.waitForURL(`${BASE_URL}/**`);',
+    '  });',
+    '',
+    tests.join('\n\n'),
+    '});',
+    '',
+  ].join('\n');
+}
+
+function specPathFor(taskId) {
+  return path.join(GENERATED_DIR, taskId, SPEC_NAME);
+}
+
+/**
+ * Plans checks from the task's acceptance criteria, writes the spec, and stores both on the task.
+ * @param {string} taskId - The task ID.
+ * @param {Array} stagedFiles - Staged files the checks target.
+ * @param {Object} options - { criteria } to override task.intent.acceptanceCriteria.
+ * @returns {Promise<Object>} { specPath, checks }.
+ */
+async function generateAcceptanceTests(taskId, stagedFiles, { criteria } = {}) {
+  const Task = await getModel('Task');
+  const task = await Task.findOne({ taskId }).select('intent.acceptanceCriteria').lean();
+  const checks = planChecks(criteria || task?.intent?.acceptanceCriteria || [], { stagedFiles });
+  const spec = renderSpec(taskId, checks);
+  const specPath = specPathFor(taskId);
+  await fs.mkdir(path.dirname(specPath), { recursive: true });
+  await fs.writeFile(specPath, spec, 'utf8');
+  const relativePath = path.relative(path.join(TESTS_DIR, '..'), specPath).split(path.sep).join('/');
+  await Task.updateOne({ taskId }, {
+    $set: {
+      'acceptanceTests.specPath': relativePath,
+      'acceptanceTests.spec': spec,
+      'acceptanceTests.checks': checks,
+      'acceptanceTests.generatedAt': new Date(),
+    },
+  });
+  await logInfo('Generated acceptance tests', 'acceptanceTests', {
+    taskId,
+    specPath: relativePath,
+    criteria: checks.map(c => c.criterion),
+    generic: checks.filter(c => c.generic).length,
+    timestamp: new Date().toISOString(),
+  });
+  return { specPath, checks };
+}
+
+async function runStep(page, step, { baseUrl, consoleErrors, errorsBefore }) {
+  const locate = () => {
+    if (step.testId) return page.getByTestId(step.testId).first();
+    if (step.role) return page.getByRole(step.role, { name: new RegExp(step.name, 'i') }).first();
+    if (step.text) return page.getByText(new RegExp(step.text, 'i'));
+    return page.locator(step.selector).first();
+  };
+  switch (step.action) {
+    case 'goto':
+      await page.goto(`${baseUrl}${step.path}`);
+      return;
+    case 'expectVisible':
+      await locate().waitFor({ state: 'visible', timeout: STEP_TIMEOUT });
+      return;
+    case 'expectHidden': {
+      const count = await (step.testId ? page.getByTestId(step.testId) : step.role ? page.getByRole(step.role, { name: new RegExp(step.name, 'i') }) : step.text ? page.getByText(new RegExp(step.text, 'i')) : page.locator(step.selector)).count();
+      if (count) throw new Error(`Expected no element for ${step.testId || step.name || step.text || step.selector}, found ${count}`);
+      return;
+    }
+    case 'click':
+      await locate().click({ timeout: STEP_TIMEOUT });
+      return;
+    case 'expectText':
+      await page.getByText(new RegExp(step.pattern, 'i')).first().waitFor({ state: 'visible', timeout: STEP_TIMEOUT });
+      return;
+    case 'clickAddsRow': {
+      const rows = page.locator(ROWS_SELECTOR);
+      const before = await rows.count();
+      await locate().click({ timeout: STEP_TIMEOUT });
+      const deadline = Date.now() + STEP_TIMEOUT;
+      while (Date.now() < deadline) {
+        if (await rows.count() > before) return;
+        await page.waitForTimeout(250);
+      }
+      throw new Error(`Clicking ${step.name} did not add a row (still ${before})`);
+    }
+    case 'noConsoleErrors': {
+      const errors = consoleErrors.slice(errorsBefore);
+      if (errors.length) throw new Error(`Console errors: ${errors.slice(0, 3).join('; ')}`);
+      return;
+    }
+    default:
+      throw new Error(`Unsupported acceptance step: ${step.action}`);
+  }
+}
+
+/**
+ * Runs acceptance checks on a logged-in page.
+ * @param {Object} page - Playwright page.
+ * @param {Array<Object>} checks - Checks from generateAcceptanceTests.
+ * @param {Object} options - { taskId, baseUrl, consoleErrors } where consoleErrors is the page's live error list.
+ * @returns {Promise<Array<Object>>} { criterion, status, error, durationMs } per check.
+ */
+async function runAcceptanceChecks(page, checks = [], { taskId, baseUrl, consoleErrors = [] } = {}) {
+  const results = [];
+  for (const check of checks) {
+    const started = Date.now();
+    if (check.kind === 'api' || !check.steps?.length) {
+      results.push({ criterion: check.criterion, status: 'skipped', error: 'Endpoint criteria are covered by API tests', durationMs: 0 });
+      continue;
+    }
+    const errorsBefore = consoleErrors.length;
+    try {
+      for (const step of check.steps) {
+        await runStep(page, step, { baseUrl, consoleErrors, errorsBefore });
+      }
+      results.push({ criterion: check.criterion, status: 'passed', durationMs: Date.now() - started });
+    } catch (err) {
+      results.push({ criterion: check.criterion, status: 'failed', error: err.message.split('\n')[0], durationMs: Date.now() - started });
+    }
+  }
+  await logDebug('Ran acceptance checks', 'acceptanceTests', {
+    taskId,
+    results: results.map(r => ({ criterion: r.criterion, status: r.status })),
+    timestamp: new Date().toISOString(),
+  });
+  return results;
+}
+
+/**
+ * Removes every generated test artifact of a task.
+ * @param {string} taskId - The task ID.
+ * @returns {Promise<Array<string>>} Removed paths.
+ */
+async function removeGeneratedTests(taskId) {
+  const removed = [];
+  const remove = async (target) => {
+    try {
+      await fs.rm(target, { recursive: true, force: false });
+      removed.push(target);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  };
+  await remove(path.join(GENERATED_DIR, taskId));
+  await remove(path.join(REPAIR_DIR, taskId));
+  await remove(path.join(TESTS_DIR, `task-${taskId}.spec.js`));
+  const utilsFiles = await fs.readdir(LEGACY_UTILS_DIR).catch(() => []);
+  for (const name of utilsFiles.filter(n => n.startsWith(`test-${taskId}-`) && n.endsWith('.js'))) {
+    await remove(path.join(LEGACY_UTILS_DIR, name));
+  }
+  if (removed.length) {
+    await logInfo('Removed generated tests', 'acceptanceTests', {
+      taskId,
+      removed: removed.map(p => path.relative(path.join(TESTS_DIR, '..'), p)),
+      timestamp: new Date().toISOString(),
+    });
+  }
+  return removed;
+}
+
+/**
+ * Removes generated and legacy per-task tests whose task no longer exists.
+ * @returns {Promise<Array<string>>} Task IDs whose tests were removed.
+ */
+async function collectStaleTests() {
+  const idPattern = new RegExp(`^(?:task-|test-)?(${TASK_ID_PATTERN})(?:[.-]|$)`, 'i');
+  const found = new Set();
+  for (const dir of [GENERATED_DIR, REPAIR_DIR, TESTS_DIR, LEGACY_UTILS_DIR]) {
+    const names = await fs.readdir(dir).catch(() => []);
+    for (const name of names) {
+      const match = name.match(idPattern);
+      if (match) found.add(match[1]);
+    }
+  }
+  if (!found.size) return [];
+  const Task = await getModel('Task');
+  const existing = new Set((await Task.find({ taskId: { $in: [...found] } }).select('taskId').lean()).map(t => t.taskId));
+  const stale = [...found].filter(taskId => !existing.has(taskId));
+  for (const taskId of stale) {
+    try {
+      await removeGeneratedTests(taskId);
+    } catch (err) {
+      await logWarn(`Failed to remove stale tests: ${err.message}`, 'acceptanceTests', {
+        taskId,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+  return stale;
+}
+
+module.exports = {
+  resolveRoute,
+  planChecks,
+  renderSpec,
+  generateAcceptanceTests,
+  runAcceptanceChecks,
+  removeGeneratedTests,
+  collectStaleTests,
+  GENERATED_DIR,
+};
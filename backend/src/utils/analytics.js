@@ -0,0 +1,179 @@
+/*
+ * File Path: backend/src/utils/analytics.js
+ * Purpose: Aggregates AI pipeline metrics over tasks, backend proposals, and logs for Allur Space Console.
+ * How It Works:
+ *   - Runs MongoDB aggregations over Task, BackendProposal, and Log for a time window (tasks and proposals by createdAt,
+ *     logs by timestamp) and the requesting user's records.
+ *   - Task metrics: counts by status, success rate, average test runs, failure reasons, tasks per day, and stage timings
+ *     recorded by taskManager.js.
+ *   - Approval metrics: applied vs denied tasks and approved vs denied backend proposals.
+ *   - Log metrics: counts per level and the contexts logging the most errors.
+ * Mechanics:
+ *   - Success rate: (tested + pending_approval + applied) / (those + failed); cancelled, denied, and running tasks are left
+ *     out. Denials are reviewer decisions and show up in the approval rate instead.
+ *   - Average attempts: test runs per tested task (repairIterations or testUrl set). Every run, the first included, is a
+ *     repairIteration, so attempts are 1 + repairs = its length, and at least 1 for tasks tested before the repair loop.
+ *   - Failure reasons: failed tasks grouped by errorDetails.context, with the latest reason as an example.
+ *   - Stages: Task.stageTimings grouped by stage in pipeline order with count, average and max duration, and failures.
+ *   - Log metrics only count the requester's logs, scoped by logQuery.js's logScopeFilter like GET /api/logs.
+ *   - Days are UTC; `days` is clamped to 1-365 (default 30).
+ * Dependencies:
+ *   - db.js: getModel for the Task, BackendProposal, and Log models.
+ *   - logQuery.js: logScopeFilter for the requester's logs.
+ * Dependents:
+ *   - analyticsRoutes.js: GET /api/grok/analytics.
+ * Why It’s Here:
+ *   - There was no view of how the pipeline performs: success rate, retries, where tasks fail, and how reviewers decide (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created pipeline analytics.
+ *     - Why: The console gets an Analytics tab with charts over the task pipeline.
+ *     - How: Parallel aggregations over Task, BackendProposal, and Log scoped to user and window.
+ *     - Test: GET /api/grok/analytics?days=7, verify tasks.successRate, stages, approvals, and logs.
+ *   - 10/19/2026: Matched Log.timestamp as a Date.
+ *     - Why: Logs store timestamp as a Date (now also in the db.js schema); aggregations do not cast, so ISO strings matched nothing.
+ *     - How: $match on the window start Date instead of its ISO string.
+ *     - Test: GET /api/grok/analytics?days=7 after a failed task, verify logs.byLevel.error is above 0.
+ *   - 10/19/2026: Averaged test attempts over every tested task.
+ *     - Why: Tasks with a testUrl but no repairIterations were left out of both averageAttempts and testedTasks.
+ *     - How: Tested tasks match repairIterations or testUrl; attempts per task are max(repairIterations length, 1).
+ *     - Test: Set testUrl on a task without repairIterations, verify testedTasks counts it and averageAttempts moves toward 1.
+ *   - 10/19/2026: Stopped counting denied tasks as successes and scoped log metrics to the user.
+ *     - Why: Denials inflated the success rate, and log counts covered every user's tasks.
+ *     - How: Dropped denied from SUCCESS_STATUSES; both Log aggregations $match logScopeFilter(userEmail).
+ *     - Test: Deny a task, verify successRate does not rise; as a second user, verify logs.byLevel excludes the first user's errors.
+ * Test Instructions:
+ *   - Fail a task on its tests, GET /api/grok/analytics, verify tasks.failureReasons has context "runTests".
+ *   - Run a task to pending_approval, verify stages lists parse, generate, save, validate, test, proposals in that order.
+ * Rollback Instructions:
+ *   - Delete analytics.js and analyticsRoutes.js and remove the route from app.js.
+ * Future Enhancements:
+ *   - Compare windows (this week vs last week) and per-provider breakdowns (Sprint 5).
+ */
+
+const { getModel } = require('../db');
+const { logScopeFilter } = require('./logQuery');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const STAGE_ORDER = ['parse', 'generate', 'save', 'validate', 'test', 'proposals'];
+const SUCCESS_STATUSES = ['tested', 'pending_approval', 'applied'];
+
+function clampDays(days) {
+  const value = Number.parseInt(days, 10);
+  if (!Number.isInteger(value) || value < 1) return DEFAULT_DAYS;
+  return Math.min(value, MAX_DAYS);
+}
+
+function ratio(part, total) {
+  return total ? part / total : null;
+}
+
+/**
+ * Aggregates pipeline metrics for a user over the last `days` days.
+ * @param {Object} params - { userEmail, days }.
+ * @returns {Promise<Object>} { range, tasks, stages, approvals, logs }.
+ */
+async function getPipelineAnalytics({ userEmail, days } = {}) {
+  const windowDays = clampDays(days);
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const owner = { $in: [userEmail, null, undefined, 'admin@idurarapp.com'] };
+  const taskMatch = { user: owner, createdAt: { $gte: since } };
+  const logScope = await logScopeFilter(userEmail);
+
+  const [Task, BackendProposal, Log] = await Promise.all([getModel('Task'), getModel('BackendProposal'), getModel('Log')]);
+  const [byStatus, attempts, failureReasons, daily, stages, proposalStatuses, logLevels, errorContexts] = await Promise.all([
+    Task.aggregate([
+      { $match: taskMatch },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+    Task.aggregate([
+      // Tested tasks from before the repair loop have a testUrl but no iterations; they ran tests at least once
+      { $match: { ...taskMatch, $or: [{ 'repairIterations.0': { $exists: true } }, { testUrl: { $nin: [null, ''] } }] } },
+      { $group: { _id: null, average: { $avg: { $max: [{ $size: { $ifNull: ['$repairIterations', []] } }, 1] } }, tasks: { $sum: 1 } } },
+    ]),
+    Task.aggregate([
+      { $match: { ...taskMatch, status: 'failed' } },
+      { $sort: { updatedAt: -1 } },
+      { $group: { _id: { $ifNull: ['$errorDetails.context', 'unknown'] }, count: { $sum: 1 }, example: { $first: { $ifNull: ['$errorDetails.reason', '$error'] } } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+    ]),
+    Task.aggregate([
+      { $match: taskMatch },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          created: { $sum: 1 },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    Task.aggregate([
+      { $match: taskMatch },
+      { $unwind: '$stageTimings' },
+      {
+        $group: {
+          _id: '$stageTimings.stage',
+          count: { $sum: 1 },
+          averageMs: { $avg: '$stageTimings.durationMs' },
+          maxMs: { $max: '$stageTimings.durationMs' },
+          failed: { $sum: { $cond: [{ $eq: ['$stageTimings.status', 'failed'] }, 1, 0] } },
+        },
+      },
+    ]),
+    BackendProposal.aggregate([
+      { $match: { user: owner, createdAt: { $gte: since } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+    Log.aggregate([
+      { $match: { ...logScope, timestamp: { $gte: since } } },
+      { $group: { _id: '$level', count: { $sum: 1 } } },
+    ]),
+    Log.aggregate([
+      { $match: { ...logScope, level: 'error', timestamp: { $gte: since } } },
+      { $group: { _id: { $ifNull: ['$context', 'unknown'] }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+    ]),
+  ]);
+
+  const statusCounts = Object.fromEntries(byStatus.map(s => [s._id || 'unknown', s.count]));
+  const count = status => statusCounts[status] || 0;
+  const succeeded = SUCCESS_STATUSES.reduce((sum, status) => sum + count(status), 0);
+  const proposalCounts = Object.fromEntries(proposalStatuses.map(s => [s._id || 'unknown', s.count]));
+  const proposalCount = status => proposalCounts[status] || 0;
+  const stageIndex = stage => (STAGE_ORDER.includes(stage) ? STAGE_ORDER.indexOf(stage) : STAGE_ORDER.length);
+
+  return {
+    range: { days: windowDays, since: since.toISOString() },
+    tasks: {
+      total: byStatus.reduce((sum, s) => sum + s.count, 0),
+      byStatus: statusCounts,
+      successRate: ratio(succeeded, succeeded + count('failed')),
+      averageAttempts: attempts[0]?.average ?? null,
+      testedTasks: attempts[0]?.tasks || 0,
+      failureReasons: failureReasons.map(r => ({ context: r._id, count: r.count, example: r.example || null })),
+      daily: daily.map(d => ({ date: d._id, created: d.created, failed: d.failed })),
+    },
+    stages: stages
+      .map(s => ({ stage: s._id, count: s.count, averageMs: Math.round(s.averageMs || 0), maxMs: s.maxMs || 0, failed: s.failed }))
+      .sort((a, b) => stageIndex(a.stage) - stageIndex(b.stage)),
+    approvals: {
+      tasks: { approved: count('applied'), denied: count('denied'), rate: ratio(count('applied'), count('applied') + count('denied')) },
+      proposals: {
+        approved: proposalCount('approved'),
+        denied: proposalCount('denied'),
+        pending: proposalCount('pending') + proposalCount('awaiting_second_approval'),
+        reverted: proposalCount('reverted'),
+        rate: ratio(proposalCount('approved'), proposalCount('approved') + proposalCount('denied')),
+      },
+    },
+    logs: {
+      byLevel: Object.fromEntries(logLevels.map(l => [l._id || 'unknown', l.count])),
+      topErrorContexts: errorContexts.map(c => ({ context: c._id, count: c.count })),
+    },
+  };
+}
+
+module.exports = { getPipelineAnalytics, STAGE_ORDER };
@@ -0,0 +1,367 @@
+/*
+ * File Path: backend/src/utils/apiTests.js
+ * Purpose: Generates and runs API tests for the Express routes a task adds, and merges them into the task's test report in Allur Space Console.
+ * How It Works:
+ *   - Routes come from staged files under backend/src/routes/ (routes that are new compared to the repo) and from the
+ *     task's backend changes (insert_route edits from promptParser.js, or pending BackendProposals on reruns).
+ *   - Backend change edits are applied to the task workspace copy of their file, never to the real tree.
+ *   - One supertest test per route is rendered into tests/generated/<taskId>/api.test.js. It mounts each route file on
+ *     its own in-memory Express app, connects mongoose to a mongodb-memory-server instance, and sends a signed JWT.
+ *   - The spec runs in a child node process (node:test, TAP reporter) against the workspace; results are parsed per test.
+ *   - UI acceptance results and API results are merged into Task.testReport.
+ * Mechanics:
+ *   - `planApiChecks`: { name, file, method, route, path, source, proposalId } per route; applies edits into the workspace.
+ *   - `renderApiSpec`: node:test + supertest spec; a route passes when it is mounted (not 404) and does not answer 5xx.
+ *   - `runApiTests`: Plans, writes, and runs the spec (API_TEST_TIMEOUT_MS, default 120s), stores Task.apiTests.
+ *     Skips every check when supertest or mongodb-memory-server is not installed.
+ *   - `buildTestReport`/`recordTestReport`: { status, passed, failed, skipped, suites, cases } from the ui, api, and visual
+ *     suites; visual routes without a baseline ("new") count as skipped.
+ * Dependencies:
+ *   - child_process.execFile, util.promisify, fs.promises, path: Spec storage and the test process (Node.js built-in).
+ *   - proposalTransforms.js: listRoutes, applyEditToSource.
+ *   - acceptanceTests.js: GENERATED_DIR.
+ *   - is-path-inside.js: Containment check for edited workspace files.
+ *   - db.js: getModel for the Task and BackendProposal models.
+ *   - logUtils.js: MongoDB logging.
+ *   - supertest, mongodb-memory-server: Used by the generated spec, resolved from backend/node_modules.
+ * Dependents:
+ *   - taskTesterV18.js: Runs API tests after the workspace checks and records the merged report.
+ * Why It’s Here:
+ *   - All generated tests targeted frontend pages; routes such as POST /mfa were only checked by a human after approval (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created API test generation.
+ *     - Why: Tasks that add Express routes need those routes exercised before approval.
+ *     - How: Route discovery from staged files and edits, supertest spec per task, mongodb-memory-server, TAP results in Task.apiTests and Task.testReport.
+ *     - Test: Submit "Add MFA to login", verify Task.apiTests.results has "POST /mfa in backend/src/routes/auth.js responds without a server error".
+ *   - 10/19/2026: Added the visual suite to the test report.
+ *     - Why: visualRegression.js compares touched pages with their approved baselines.
+ *     - How: buildTestReport takes visual results, one case per route named after it.
+ *     - Test: Run a task on a page with a baseline, verify testReport.suites includes "visual".
+ * Test Instructions:
+ *   - `npm install` in backend/, run a task that adds a route, verify tests/generated/<taskId>/api.test.js and Task.testReport.suites has "api".
+ *   - Run the spec by hand: `API_TEST_ROOT=tmp/workspaces/<taskId> node --test tests/generated/<taskId>/api.test.js`.
+ * Rollback Instructions:
+ *   - Delete apiTests.js and remove runApiTests/recordTestReport from taskTesterV18.js.
+ * Future Enhancements:
+ *   - Generate request bodies from the Mongoose schema a route writes to (Sprint 5).
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const { listRoutes, applyEditToSource } = require('./proposalTransforms');
+const { GENERATED_DIR } = require('./acceptanceTests');
+const { isPathInside } = require('./is-path-inside');
+const { getModel } = require('../db');
+const { logInfo, logWarn } = require('./logUtils');
+
+const execFileAsync = promisify(execFile);
+
+const repoRoot = path.join(__dirname, '../../..');
+const backendDir = path.join(repoRoot, 'backend');
+const SPEC_NAME = 'api.test.js';
+const DEFAULT_TIMEOUT = 120000;
+const ROUTE_FILE = /^backend\/src\/routes\/.+\.js$/;
+const REQUIRED_PACKAGES = ['supertest', 'mongodb-memory-server'];
+
+function getApiTestTimeout() {
+  const configured = Number.parseInt(process.env.API_TEST_TIMEOUT_MS, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_TIMEOUT;
+}
+
+function normalizePath(file) {
+  return String(file || '').replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+function routesOf(source, file) {
+  try {
+    return listRoutes(source, file);
+  } catch {
+    return [];
+  }
+}
+
+// Concrete request path for a route pattern: ids become an ObjectId, other params "test"
+function samplePath(route) {
+  return route
+    .replace(/[{}]/g, '')
+    .replace(/:(\w+)\??/g, (match, name) => (/id$/i.test(name) ? '000000000000000000000000' : 'test'))
+    .replace(/\*\w*/g, 'test');
+}
+
+function makeCheck({ method, route }, file, source, proposalId) {
+  return {
+    name: `${method.toUpperCase()} ${route} in ${file} responds without a server error`,
+    file,
+    method,
+    route,
+    path: samplePath(route),
+    source,
+    ...(proposalId && { proposalId: String(proposalId) }),
+  };
+}
+
+/**
+ * Finds the routes a task adds and writes backend change edits into the workspace.
+ * @param {string} workspaceDir - Task workspace (staged files already written).
+ * @param {Object} params - { taskId, stagedFiles, backendChanges } where changes are { file, edit, proposalId }.
+ * @returns {Promise<Object>} { checks, editErrors } with one check per added route.
+ */
+async function planApiChecks(workspaceDir, { taskId, stagedFiles = [], backendChanges = [] } = {}) {
+  const checks = [];
+  const editErrors = [];
+  const stagedByPath = new Map(stagedFiles.map(f => [normalizePath(f.path), f]));
+  const readRepoFile = file => fs.readFile(path.join(repoRoot, file), 'utf8').catch(() => null);
+
+  for (const [file, staged] of stagedByPath) {
+    if (!ROUTE_FILE.test(file)) continue;
+    const existing = routesOf((await readRepoFile(file)) || '', file);
+    for (const route of routesOf(staged.content || '', file)) {
+      if (!existing.some(r => r.method === route.method && r.route === route.route)) checks.push(makeCheck(route, file, 'staged'));
+    }
+  }
+
+  // Edits start from the staged or repo version of the file so reruns in the same workspace apply them once
+  const edited = new Map();
+  for (const change of backendChanges.filter(c => c?.edit && c.file)) {
+    const file = normalizePath(change.file);
+    const target = path.join(workspaceDir, file);
+    if (!isPathInside(target, workspaceDir)) {
+      editErrors.push({ file, error: 'Path escapes the workspace' });
+      continue;
+    }
+    try {
+      const base = edited.has(file) ? edited.get(file) : stagedByPath.get(file)?.content ?? (await readRepoFile(file)) ?? '';
+      edited.set(file, applyEditToSource(base, change.edit, { file }));
+    } catch (err) {
+      editErrors.push({ file, error: err.message });
+      continue;
+    }
+    if (change.edit.kind === 'insert_route' && ROUTE_FILE.test(file)) {
+      checks.push(makeCheck({ method: change.edit.method || 'get', route: change.edit.route }, file, 'proposal', change.proposalId));
+    }
+  }
+  for (const [file, content] of edited) {
+    const target = path.join(workspaceDir, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content, 'utf8');
+  }
+  if (editErrors.length) {
+    await logWarn('Backend change edits could not be applied to the workspace', 'apiTests', {
+      taskId,
+      editErrors,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  return { checks, editErrors };
+}
+
+/**
+ * Renders the supertest spec for the planned checks.
+ * @param {string} taskId - The task ID.
+ * @param {Array<Object>} checks - Checks from planApiChecks.
+ * @returns {string} Spec source.
+ */
+function renderApiSpec(taskId, checks) {
+  const files = [...new Set(checks.map(c => c.file))];
+  const tests = checks.map(check => [
+    `test(${JSON.stringify(check.name)}, async () => {`,
+    `  const res = await request(apps[${JSON.stringify(check.file)}]).${check.method}(${JSON.stringify(check.path)})`,
+    `    .set('Authorization', \`Bearer \${token}\`)${['post', 'put', 'patch'].includes(check.method) ? '\n    .send({})' : ''};`,
+    "  assert.notStrictEqual(res.status, 404, 'route is not mounted');",
+    '  assert.ok(res.status < 500, `status ${res.status}: ${JSON.stringify(res.body).slice(0, 300)}`);',
+    '});',
+  ].join('\n'));
+  return [
+    `// Generated API tests for the routes of task ${taskId}; removed when the task is deleted.`,
+    `// Run: API_TEST_ROOT=<workspace or repo root> node --test tests/generated/${taskId}/${SPEC_NAME}`,
+    "const path = require('path');",
+    "const { createRequire } = require('module');",
+    "const { test, before, after } = require('node:test');",
+    "const assert = require('node:assert');",
+    '',
+    "const ROOT = process.env.API_TEST_ROOT || path.resolve(__dirname, '../../..');",
+    "const backendRequire = createRequire(path.join(ROOT, 'backend/package.json'));",
+    "const express = backendRequire('express');",
+    "const request = backendRequire('supertest');",
+    "const mongoose = backendRequire('mongoose');",
+    "const jwt = backendRequire('jsonwebtoken');",
+    "const { MongoMemoryServer } = backendRequire('mongodb-memory-server');",
+    '',
+    `const ROUTE_FILES = ${JSON.stringify(files, null, 2)};`,
+    'const apps = {};',
+    'let mongod;',
+    'let token;',
+    '',
+    'before(async () => {',
+    '  mongod = await MongoMemoryServer.create();',
+    '  process.env.DATABASE_URI = mongod.getUri();',
+    "  process.env.JWT_SECRET = process.env.JWT_SECRET || 'api-test-secret';",
+    '  await mongoose.connect(mongod.getUri());',
+    "  token = jwt.sign({ email: 'admin@idurarapp.com' }, process.env.JWT_SECRET, { expiresIn: '10m' });",
+    '  for (const file of ROUTE_FILES) {',
+    '    const exported = require(path.join(ROOT, file));',
+    '    const router = typeof exported === \'function\' ? exported : exported?.router;',
+    "    if (typeof router !== 'function') throw new Error(`${file} does not export an express Router`);",
+    '    const app = express();',
+    '    app.use(express.json());',
+    '    app.use(router);',
+    '    apps[file] = app;',
+    '  }',
+    '});',
+    '',
+    'after(async () => {',
+    '  await mongoose.disconnect();',
+    '  if (mongod) await mongod.stop();',
+    '  // Route modules may hold sockets or timers open; leave time for the reporter, then exit',
+    '  setTimeout(() => process.exit(), 1000).unref();',
+    '});',
+    '',
+    tests.join('\n\n'),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Parses node:test TAP output into per-test results.
+ * @param {string} output - TAP text.
+ * @returns {Map<string, Object>} name -> { status, error, durationMs }.
+ */
+function parseTap(output) {
+  const results = new Map();
+  const lines = String(output || '').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(/^(not ok|ok) \d+ - (.+?)(?: # (SKIP|TODO)\b.*)?$/);
+    if (!match) continue;
+    const result = { status: match[3] ? 'skipped' : match[1] === 'ok' ? 'passed' : 'failed' };
+    for (let j = i + 1; j < lines.length && !/^(not ok|ok) \d+/.test(lines[j]) && lines[j].trim() !== '...'; j++) {
+      const duration = lines[j].match(/^\s+duration_ms: ([\d.]+)/);
+      if (duration) result.durationMs = Math.round(Number(duration[1]));
+      const error = lines[j].match(/^\s+error: (.*)$/);
+      if (error && !result.error) {
+        const value = /^[|>]-?$/.test(error[1].trim()) ? (lines[j + 1] || '').trim() : error[1];
+        result.error = value.replace(/^['"]|['"]$/g, '');
+      }
+    }
+    results.set(match[2], result);
+  }
+  return results;
+}
+
+async function missingPackages() {
+  const missing = [];
+  for (const name of REQUIRED_PACKAGES) {
+    try {
+      require.resolve(name, { paths: [backendDir] });
+    } catch {
+      missing.push(name);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Generates and runs the task's API tests against its workspace.
+ * @param {string} taskId - The task ID.
+ * @param {Object} params - { workspaceDir, stagedFiles, backendChanges }; without backendChanges the task's pending proposals are used.
+ * @returns {Promise<Array<Object>>} { name, file, method, route, source, status, error, durationMs } per route.
+ */
+async function runApiTests(taskId, { workspaceDir, stagedFiles = [], backendChanges } = {}) {
+  let changes = backendChanges;
+  if (!Array.isArray(changes)) {
+    const BackendProposal = await getModel('BackendProposal');
+    const proposals = await BackendProposal.find({ taskId, status: { $in: ['pending', 'awaiting_second_approval'] } }).select('file edit').lean();
+    changes = proposals.map(p => ({ file: p.file, edit: p.edit, proposalId: p._id }));
+  }
+  const { checks } = await planApiChecks(workspaceDir, { taskId, stagedFiles, backendChanges: changes });
+  const Task = await getModel('Task');
+  if (!checks.length) {
+    await Task.updateOne({ taskId }, { $set: { apiTests: { checks: [], results: [], ranAt: new Date() } } });
+    return [];
+  }
+
+  const specPath = path.join(GENERATED_DIR, taskId, SPEC_NAME);
+  await fs.mkdir(path.dirname(specPath), { recursive: true });
+  await fs.writeFile(specPath, renderApiSpec(taskId, checks), 'utf8');
+
+  let results;
+  const missing = await missingPackages();
+  if (missing.length) {
+    results = checks.map(check => ({ ...check, status: 'skipped', error: `${missing.join(', ')} not installed (npm install in backend/)`, durationMs: 0 }));
+  } else {
+    let output = '';
+    let runError = null;
+    try {
+      const { stdout } = await execFileAsync(process.execPath, ['--test-reporter=tap', specPath], {
+        cwd: path.join(workspaceDir, 'backend'),
+        env: { ...process.env, API_TEST_ROOT: workspaceDir, NODE_ENV: 'test' },
+        timeout: getApiTestTimeout(),
+        maxBuffer: 10 * 1024 * 1024,
+      });
+      output = stdout;
+    } catch (err) {
+      // Failing tests exit non-zero; the TAP output is still complete unless the run timed out
+      output = err.stdout || '';
+      runError = err.killed ? `API tests timed out after ${getApiTestTimeout()}ms` : (err.stderr || err.message).split('\n').filter(Boolean).slice(-3).join(' ');
+    }
+    const parsed = parseTap(output);
+    results = checks.map(check => ({
+      ...check,
+      ...(parsed.get(check.name) || { status: 'failed', error: runError || 'No result reported' }),
+    }));
+  }
+
+  const relativeSpec = path.relative(repoRoot, specPath).split(path.sep).join('/');
+  await Task.updateOne({ taskId }, { $set: { apiTests: { specPath: relativeSpec, checks, results, ranAt: new Date() } } });
+  await logInfo('Ran API tests', 'apiTests', {
+    taskId,
+    specPath: relativeSpec,
+    results: results.map(r => ({ name: r.name, status: r.status })),
+    timestamp: new Date().toISOString(),
+  });
+  return results;
+}
+
+/**
+ * Merges UI acceptance, API, and visual results into one report.
+ * @param {Object} parts - { acceptance, api, visual } result arrays.
+ * @returns {Object} { status, passed, failed, skipped, suites, cases, updatedAt }.
+ */
+function buildTestReport({ acceptance = [], api = [], visual = [] } = {}) {
+  const cases = [
+    ...acceptance.map(r => ({ suite: 'ui', name: r.criterion, status: r.status, error: r.error, durationMs: r.durationMs })),
+    ...api.map(r => ({ suite: 'api', name: r.name, status: r.status, error: r.error, durationMs: r.durationMs })),
+    ...visual.map(r => ({
+      suite: 'visual',
+      name: `${r.route} matches its baseline`,
+      status: r.status === 'new' ? 'skipped' : r.status,
+      error: r.error || (r.status === 'failed' ? `${(r.mismatchRatio * 100).toFixed(2)}% of pixels changed (threshold ${(r.threshold * 100).toFixed(2)}%)` : undefined),
+    })),
+  ];
+  const count = (list, status) => list.filter(c => c.status === status).length;
+  const suites = ['ui', 'api', 'visual']
+    .map(name => {
+      const list = cases.filter(c => c.suite === name);
+      return { name, passed: count(list, 'passed'), failed: count(list, 'failed'), skipped: count(list, 'skipped') };
+    })
+    .filter(suite => suite.passed + suite.failed + suite.skipped > 0);
+  return {
+    status: count(cases, 'failed') ? 'failed' : 'passed',
+    passed: count(cases, 'passed'),
+    failed: count(cases, 'failed'),
+    skipped: count(cases, 'skipped'),
+    suites,
+    cases,
+    updatedAt: new Date(),
+  };
+}
+
+async function recordTestReport(taskId, parts) {
+  const report = buildTestReport(parts);
+  const Task = await getModel('Task');
+  await Task.updateOne({ taskId }, { $set: { testReport: report } });
+  return report;
+}
+
+module.exports = { planApiChecks, renderApiSpec, parseTap, runApiTests, buildTestReport, recordTestReport };
@@ -0,0 +1,386 @@
+/*
+ * File Path: backend/src/utils/codeIndex.js
+ * Purpose: Local codebase index and prompt-relevant file retrieval for generation context in Allur Space Console.
+ * How It Works:
+ *   - Walks backend/src and frontend/src and records per file: summary (header "Purpose:" line), exported symbols, imports, size, lines.
+ *   - Relative, @/ (frontend alias), and bare-path imports are resolved to repo paths, giving an import graph in both directions.
+ *   - The index is saved to tmp/code-index.json; rebuilds reuse entries whose size and mtime are unchanged.
+ *   - retrieveContext scores indexed files against the prompt and intent, adds direct imports/importers of the best matches,
+ *     and returns only those files' contents within a byte budget.
+ * Mechanics:
+ *   - `buildCodeIndex`: Incremental index build and save; `force` re-reads every file.
+ *   - `getCodeIndex`: Cached index, rebuilt when older than CODE_INDEX_TTL_MS.
+ *   - `retrieveRelevantFiles`: Ranked [{ path, score, reason }] for a prompt; intent.affectedFiles always rank first.
+ *   - `retrieveContext`: retrieveRelevantFiles plus file contents capped per file and in total.
+ *   - `getDependencyGraph`/`getIndexStats`: Basename import graph and file/line counts for systemAnalyzer.js.
+ * Dependencies:
+ *   - fs.promises: File reads, stats, index persistence (Node.js built-in).
+ *   - path: Path manipulation (Node.js built-in).
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - taskManager.js: processTask retrieves context files before generateFiles.
+ *   - systemAnalyzer.js: Dependency graph and file counts instead of readSystemFiles and Repomix.
+ * Why It’s Here:
+ *   - Generation context and analysis read every repo file (up to 10MB) and reran Repomix on each analysis (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created code index and retrieval.
+ *     - Why: LLM requests need the few files a prompt touches, not the whole repo.
+ *     - How: Regex extraction of summaries, exports, and imports; term-overlap scoring with intent boosts and one-hop import expansion.
+ *     - Test: POST /api/grok/edit with "Add a search box to SponsorHub", verify task.contextFiles starts with frontend/src/pages/SponsorHub.jsx.
+ * Test Instructions:
+ *   - Run `npm start`, submit any prompt, verify tmp/code-index.json exists and lists backend/src/utils/taskManager.js with its exports.
+ *   - Edit a file, submit another prompt after CODE_INDEX_TTL_MS, verify only that entry's mtimeMs changed in tmp/code-index.json.
+ *   - GET /grok/analyze, verify dependencyGraph["taskManager.js"] includes "jobQueue.js".
+ * Rollback Instructions:
+ *   - Delete codeIndex.js, remove retrieveContext from taskManager.js, restore readSystemFiles/executeRepomix in systemAnalyzer.js.
+ * Future Enhancements:
+ *   - Embedding-based ranking alongside term overlap (Sprint 5).
+ *   - Watch mode to update entries on file change instead of on TTL (Sprint 5).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logInfo, logWarn, logDebug } = require('./logUtils');
+
+const repoRoot = path.join(__dirname, '../../../');
+const INDEX_ROOTS = ['backend/src', 'frontend/src'];
+const INDEX_PATH = process.env.CODE_INDEX_PATH || path.join(repoRoot, 'tmp/code-index.json');
+const INDEX_VERSION = 1;
+const INDEX_TTL = parseInt(process.env.CODE_INDEX_TTL_MS, 10) || 60000;
+const INDEXED_EXTENSIONS = new Set(['.js', '.jsx']);
+const SKIPPED_NAMES = new Set(['node_modules', '.git', 'tmp', 'temp', 'dist', 'coverage', 'test-results', 'playwright-report', 'uploads']);
+// Generated Playwright specs, backups, and versioned page copies (EmployeeLog-v42.jsx) are noise for retrieval
+const GENERATED_FILE_PATTERN = /^(test|manual-test)-|\.bak$|-v\d+\.jsx?$/;
+const MAX_INDEXED_SIZE = 512 * 1024;
+const DEFAULT_LIMIT = 8;
+const DEFAULT_MAX_BYTES = 60000;
+const MAX_FILE_BYTES = 12000;
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'add', 'new', 'create', 'update', 'make', 'fix',
+  'use', 'page', 'file', 'should', 'when', 'then', 'show', 'shows', 'all', 'can', 'are', 'has', 'have', 'not',
+]);
+
+let cachedIndex = null;
+let buildPromise = null;
+
+/**
+ * Splits text into lowercase search terms, including camelCase and path parts.
+ * @param {string} text - Prompt, path, or symbol text.
+ * @returns {Array<string>} Terms of three or more characters, stop words removed.
+ */
+function tokenize(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length >= 3 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Extracts a one-line summary from a file's header comment.
+ * @param {string} content - File content.
+ * @returns {string} Summary or empty string.
+ */
+function extractSummary(content) {
+  const purpose = content.match(/^\s*\*\s*Purpose:\s*(.+)$/m);
+  if (purpose) return purpose[1].trim().slice(0, 200);
+  const comment = content.match(/^\s*(?:\/\*+|\/\/)\s*([^\n*]+)/);
+  return comment ? comment[1].trim().slice(0, 200) : '';
+}
+
+/**
+ * Extracts exported symbol names from CommonJS and ES module syntax.
+ * @param {string} content - File content.
+ * @returns {Array<string>} Unique export names.
+ */
+function extractExports(content) {
+  const names = new Set();
+  const objectExport = content.match(/module\.exports\s*=\s*\{([^}]*)\}/);
+  if (objectExport) {
+    objectExport[1].split(',').forEach(part => {
+      const name = part.split(':')[0].trim();
+      if (/^[A-Za-z_$][\w$]*$/.test(name)) names.add(name);
+    });
+  }
+  const singleExport = content.match(/module\.exports\s*=\s*([A-Za-z_$][\w$]*)\s*;?\s*$/m);
+  if (singleExport) names.add(singleExport[1]);
+  for (const match of content.matchAll(/(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/g)) names.add(match[1]);
+  for (const match of content.matchAll(/export\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/g)) names.add(match[1]);
+  for (const match of content.matchAll(/export\s+default\s+([A-Za-z_$][\w$]*)\s*;?\s*$/gm)) {
+    if (!['function', 'class', 'async'].includes(match[1])) names.add(match[1]);
+  }
+  for (const match of content.matchAll(/export\s*\{([^}]*)\}/g)) {
+    match[1].split(',').forEach(part => {
+      const name = part.split(/\s+as\s+/).pop().trim();
+      if (/^[A-Za-z_$][\w$]*$/.test(name)) names.add(name);
+    });
+  }
+  return [...names];
+}
+
+/**
+ * Extracts import specifiers from require calls and import/export-from statements.
+ * @param {string} content - File content.
+ * @returns {Array<string>} Unique specifiers as written.
+ */
+function extractImports(content) {
+  const specifiers = new Set();
+  for (const match of content.matchAll(/require\(\s*['"]([^'"]+)['"]\s*\)/g)) specifiers.add(match[1]);
+  for (const match of content.matchAll(/(?:import|export)\s[^'";]*?from\s*['"]([^'"]+)['"]/g)) specifiers.add(match[1]);
+  for (const match of content.matchAll(/import\s*(?:\(\s*)?['"]([^'"]+)['"]/g)) specifiers.add(match[1]);
+  return [...specifiers];
+}
+
+/**
+ * Resolves an import specifier to an indexed repo-relative path.
+ * @param {string} fromPath - Importing file, repo-relative.
+ * @param {string} specifier - Import specifier.
+ * @param {Set<string>} knownPaths - Indexed repo-relative paths.
+ * @returns {string|null} Resolved path or null for packages and unindexed files.
+ */
+function resolveImport(fromPath, specifier, knownPaths) {
+  let base;
+  if (specifier.startsWith('.')) {
+    base = path.posix.join(path.posix.dirname(fromPath), specifier);
+  } else if (specifier.startsWith('@/')) {
+    base = path.posix.join('frontend/src', specifier.slice(2));
+  } else if (fromPath.startsWith('frontend/src/') && /^(components|hooks|pages|utils|config|context|modules|layout|redux|request|router|settings|forms|apps|auth|locale)\//.test(specifier)) {
+    base = path.posix.join('frontend/src', specifier);
+  } else {
+    return null;
+  }
+  const candidates = [base, `${base}.js`, `${base}.jsx`, `${base}/index.js`, `${base}/index.jsx`];
+  return candidates.find(candidate => knownPaths.has(candidate)) || null;
+}
+
+/**
+ * Lists indexable files under the index roots.
+ * @param {string} dir - Absolute directory.
+ * @param {Array<string>} files - Accumulator of absolute paths.
+ * @returns {Promise<Array<string>>} Absolute file paths.
+ */
+async function walk(dir, files = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return files;
+    throw err;
+  }
+  for (const entry of entries) {
+    if (SKIPPED_NAMES.has(entry.name) || GENERATED_FILE_PATTERN.test(entry.name)) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await walk(fullPath, files);
+    } else if (entry.isFile() && INDEXED_EXTENSIONS.has(path.extname(entry.name))) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Reads the saved index from disk.
+ * @returns {Promise<Object|null>} Index or null if missing, unreadable, or from another index version.
+ */
+async function loadCodeIndex() {
+  try {
+    const index = JSON.parse(await fs.readFile(INDEX_PATH, 'utf8'));
+    return index.version === INDEX_VERSION && index.files ? index : null;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      await logWarn(`Ignoring unreadable code index: ${err.message}`, 'codeIndex', { indexPath: INDEX_PATH, timestamp: new Date().toISOString() });
+    }
+    return null;
+  }
+}
+
+/**
+ * Builds or refreshes the code index and saves it to tmp/code-index.json.
+ * @param {Object} [options] - force (boolean) re-reads unchanged files.
+ * @returns {Promise<Object>} { version, builtAt, roots, files: { [path]: entry } }.
+ */
+async function buildCodeIndex({ force = false } = {}) {
+  const startedAt = Date.now();
+  const previous = force ? null : (cachedIndex || await loadCodeIndex());
+  const files = {};
+  let reused = 0;
+
+  for (const root of INDEX_ROOTS) {
+    for (const fullPath of await walk(path.join(repoRoot, root))) {
+      const relPath = path.relative(repoRoot, fullPath).split(path.sep).join('/');
+      const stats = await fs.stat(fullPath);
+      const prior = previous?.files[relPath];
+      if (prior && prior.size === stats.size && prior.mtimeMs === stats.mtimeMs) {
+        files[relPath] = prior;
+        reused++;
+        continue;
+      }
+      const entry = { path: relPath, size: stats.size, mtimeMs: stats.mtimeMs, lines: 0, summary: '', exports: [], imports: [], dependencies: [] };
+      if (stats.size <= MAX_INDEXED_SIZE) {
+        const content = await fs.readFile(fullPath, 'utf8');
+        entry.lines = content.split('\n').length;
+        entry.summary = extractSummary(content);
+        entry.exports = extractExports(content);
+        entry.imports = extractImports(content);
+      }
+      files[relPath] = entry;
+    }
+  }
+
+  const knownPaths = new Set(Object.keys(files));
+  for (const entry of Object.values(files)) {
+    entry.dependencies = [...new Set(entry.imports.map(spec => resolveImport(entry.path, spec, knownPaths)).filter(Boolean))];
+  }
+
+  const index = { version: INDEX_VERSION, builtAt: new Date().toISOString(), roots: INDEX_ROOTS, files };
+  await fs.mkdir(path.dirname(INDEX_PATH), { recursive: true });
+  await fs.writeFile(INDEX_PATH, JSON.stringify(index));
+  cachedIndex = index;
+  await logInfo('Code index built', 'codeIndex', {
+    fileCount: knownPaths.size,
+    reused,
+    durationMs: Date.now() - startedAt,
+    timestamp: new Date().toISOString(),
+  });
+  return index;
+}
+
+/**
+ * Returns the cached index, rebuilding it incrementally when stale.
+ * @returns {Promise<Object>} Code index.
+ */
+async function getCodeIndex() {
+  if (cachedIndex && Date.now() - new Date(cachedIndex.builtAt).getTime() < INDEX_TTL) {
+    return cachedIndex;
+  }
+  if (!buildPromise) {
+    buildPromise = buildCodeIndex().finally(() => { buildPromise = null; });
+  }
+  return buildPromise;
+}
+
+/**
+ * Ranks indexed files by relevance to a prompt.
+ * @param {string} prompt - Task prompt.
+ * @param {Object} [options] - intent (from promptParser.js), limit (default 8), index (defaults to getCodeIndex).
+ * @returns {Promise<Array<Object>>} [{ path, score, reason }] best first.
+ */
+async function retrieveRelevantFiles(prompt, { intent = null, limit = DEFAULT_LIMIT, index = null } = {}) {
+  const { files } = index || await getCodeIndex();
+  const terms = new Set(tokenize(`${prompt} ${(intent?.entities || []).map(e => e.name).join(' ')}`));
+  const moduleTerms = tokenize(intent?.targetModule);
+  const scores = new Map();
+
+  for (const entry of Object.values(files)) {
+    const pathTerms = new Set(tokenize(entry.path));
+    const exportTerms = new Set(entry.exports.flatMap(tokenize));
+    const summaryTerms = new Set(tokenize(entry.summary));
+    let score = 0;
+    for (const term of terms) {
+      if (pathTerms.has(term)) score += 3;
+      if (exportTerms.has(term)) score += 2;
+      if (summaryTerms.has(term)) score += 1;
+    }
+    if (moduleTerms.some(term => pathTerms.has(term))) score += 2;
+    if (score > 0) scores.set(entry.path, { path: entry.path, score, reason: 'matched prompt terms' });
+  }
+
+  for (const { path: filePath } of intent?.affectedFiles || []) {
+    if (files[filePath]) scores.set(filePath, { path: filePath, score: 100, reason: 'intent affected file' });
+  }
+
+  // Direct imports and importers of the best matches carry the shapes generated code has to fit
+  const seeds = [...scores.values()].sort((a, b) => b.score - a.score).slice(0, Math.ceil(limit / 2));
+  for (const seed of seeds) {
+    const neighbours = [
+      ...files[seed.path].dependencies.map(dep => [dep, `imported by ${seed.path}`]),
+      ...Object.values(files).filter(entry => entry.dependencies.includes(seed.path)).map(entry => [entry.path, `imports ${seed.path}`]),
+    ];
+    for (const [neighbour, reason] of neighbours) {
+      const score = Math.floor(seed.score / 2);
+      if (score > 0 && (!scores.has(neighbour) || scores.get(neighbour).score < score)) {
+        scores.set(neighbour, { path: neighbour, score, reason });
+      }
+    }
+  }
+
+  return [...scores.values()]
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+    .slice(0, limit);
+}
+
+/**
+ * Selects relevant files for a prompt and loads their contents within a byte budget.
+ * @param {string} prompt - Task prompt.
+ * @param {Object} [options] - intent, limit, maxBytes (total, default 60000), maxFileBytes (per file, default 12000).
+ * @returns {Promise<Object>} { files: [{ path, score, reason }], context: [{ path, content, truncated }], indexedFiles }.
+ */
+async function retrieveContext(prompt, { intent = null, limit = DEFAULT_LIMIT, maxBytes = DEFAULT_MAX_BYTES, maxFileBytes = MAX_FILE_BYTES } = {}) {
+  const index = await getCodeIndex();
+  const ranked = await retrieveRelevantFiles(prompt, { intent, limit, index });
+  const files = [];
+  const context = [];
+  let usedBytes = 0;
+
+  for (const file of ranked) {
+    const remaining = Math.min(maxFileBytes, maxBytes - usedBytes);
+    if (remaining <= 0) break;
+    let content;
+    try {
+      content = await fs.readFile(path.join(repoRoot, file.path), 'utf8');
+    } catch (err) {
+      await logWarn(`Skipping unreadable context file: ${err.message}`, 'codeIndex', { filePath: file.path, timestamp: new Date().toISOString() });
+      continue;
+    }
+    const truncated = content.length > remaining;
+    context.push({ path: file.path, content: truncated ? `${content.slice(0, remaining)}\n/* ...truncated */` : content, truncated });
+    files.push(file);
+    usedBytes += Math.min(content.length, remaining);
+  }
+
+  await logDebug('Retrieved context files', 'codeIndex', {
+    files: files.map(f => `${f.path} (${f.score})`),
+    usedBytes,
+    indexedFiles: Object.keys(index.files).length,
+    timestamp: new Date().toISOString(),
+  });
+  return { files, context, indexedFiles: Object.keys(index.files).length };
+}
+
+/**
+ * Builds the basename import graph used by systemAnalyzer.js.
+ * @param {Object} index - Code index.
+ * @returns {Object} { [basename]: [imported basenames] }.
+ */
+function getDependencyGraph(index) {
+  const graph = {};
+  for (const entry of Object.values(index.files)) {
+    graph[path.basename(entry.path)] = entry.dependencies.map(dep => path.basename(dep));
+  }
+  return graph;
+}
+
+/**
+ * Summarizes the index for analysis output.
+ * @param {Object} index - Code index.
+ * @returns {Object} { fileCount, totalLines, files: [{ path, lines }] }.
+ */
+function getIndexStats(index) {
+  const entries = Object.values(index.files);
+  return {
+    fileCount: entries.length,
+    totalLines: entries.reduce((sum, entry) => sum + entry.lines, 0),
+    files: entries.map(entry => ({ path: entry.path, lines: entry.lines })),
+  };
+}
+
+module.exports = {
+  buildCodeIndex,
+  loadCodeIndex,
+  getCodeIndex,
+  retrieveRelevantFiles,
+  retrieveContext,
+  getDependencyGraph,
+  getIndexStats,
+};
@@ -0,0 +1,149 @@
+/*
+ * File Path: backend/src/utils/eventStore.js
+ * Purpose: Persists task and proposal Socket.IO events with sequence numbers for replay and history in Allur Space Console.
+ * How It Works:
+ *   - recordEvent stores each event emitted through socketUtils.emitTaskEvent with the next sequence number.
+ *   - getEventsSince returns the events a reconnecting client missed after its last-seen sequence number.
+ *   - listEvents pages through the history, newest first, with search and filters for LiveFeed.jsx.
+ * Mechanics:
+ *   - Sequence numbers come from the "events" Counter document ($inc), so they increase across restarts and workers.
+ *   - Event.users holds the rooms' users the event was sent to (task owner and requester); history and replay match on it.
+ *     History also includes events of admin@idurarapp.com tasks, the same rule as GET /api/grok/tasks.
+ *   - Payloads above MAX_PAYLOAD_BYTES are stored without file contents and flagged truncated.
+ *   - Events expire after 30 days (TTL index on createdAt).
+ * Dependencies:
+ *   - db.js: getModel for the Event and Counter models.
+ * Dependents:
+ *   - socketUtils.js: recordEvent on emit, getEventsSince on reconnect and subscribe.
+ *   - eventRoutes.js: GET /api/grok/events.
+ * Why It’s Here:
+ *   - Events only lived in memory; a reconnect or page refresh lost everything the live feed had not shown (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created event store.
+ *     - Why: The live feed replays missed events and loads history with search and filters.
+ *     - How: Event documents with a Counter-based sequence, replay by seq, cursor pagination by seq.
+ *     - Test: Submit a task, GET /api/grok/events, verify its taskUpdate events with increasing seq.
+ * Test Instructions:
+ *   - Submit two tasks, verify Event seq values are consecutive and newest first in GET /api/grok/events.
+ *   - GET /api/grok/events?before=<seq>&limit=5, verify five events older than <seq> and nextBefore.
+ * Rollback Instructions:
+ *   - Delete eventStore.js and eventRoutes.js, remove recordEvent and replay from socketUtils.js.
+ * Future Enhancements:
+ *   - Configurable retention per event type (Sprint 5).
+ */
+
+const { getModel } = require('../db');
+
+const COUNTER_ID = 'events';
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const HEAVY_KEYS = ['stagedFiles', 'files', 'originalContent', 'newContent', 'proposedChanges'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const REPLAY_LIMIT = 500;
+const SHARED_OWNER = 'admin@idurarapp.com';
+
+function compactPayload(data) {
+  const payload = data || {};
+  if (JSON.stringify(payload).length <= MAX_PAYLOAD_BYTES) return { payload, truncated: false };
+  const compact = { ...payload };
+  HEAVY_KEYS.forEach(key => delete compact[key]);
+  return { payload: compact, truncated: true };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toClient(event) {
+  return {
+    seq: event.seq,
+    type: event.type,
+    taskId: event.taskId,
+    status: event.status,
+    message: event.message,
+    error: event.error,
+    eventId: event.eventId,
+    truncated: event.truncated,
+    data: event.data,
+    createdAt: event.createdAt,
+  };
+}
+
+/**
+ * Returns the next event sequence number.
+ * @returns {Promise<number>} Sequence number, starting at 1.
+ */
+async function nextSeq() {
+  const Counter = await getModel('Counter');
+  const counter = await Counter.findOneAndUpdate({ _id: COUNTER_ID }, { $inc: { seq: 1 } }, { new: true, upsert: true }).lean();
+  return counter.seq;
+}
+
+/**
+ * Stores an emitted event with the next sequence number.
+ * @param {Object} params - { type, data, users }.
+ * @returns {Promise<number>} The event's sequence number.
+ */
+async function recordEvent({ type, data, users = [] }) {
+  const seq = await nextSeq();
+  const { payload, truncated } = compactPayload(data);
+  const Event = await getModel('Event');
+  await Event.create({
+    seq,
+    type,
+    taskId: data?.taskId,
+    users: [...new Set(users.filter(Boolean))],
+    status: data?.status || data?.proposal?.status,
+    message: data?.message,
+    error: typeof data?.error === 'string' ? data.error : undefined,
+    eventId: data?.eventId,
+    truncated,
+    data: payload,
+  });
+  return seq;
+}
+
+/**
+ * Events sent to a user or to tasks after a sequence number, oldest first, for replay.
+ * @param {Object} params - { userEmail, taskIds, afterSeq }; pass userEmail, taskIds, or both.
+ * @returns {Promise<Object>} { events, truncated }; truncated when more than REPLAY_LIMIT events were missed.
+ */
+async function getEventsSince({ userEmail, taskIds = [], afterSeq }) {
+  const scopes = [];
+  if (userEmail) scopes.push({ users: userEmail });
+  if (taskIds.length) scopes.push({ taskId: { $in: taskIds } });
+  if (!scopes.length) return { events: [], truncated: false };
+  const Event = await getModel('Event');
+  const events = await Event.find({ seq: { $gt: afterSeq }, $or: scopes })
+    .sort({ seq: 1 })
+    .limit(REPLAY_LIMIT + 1)
+    .lean();
+  return { events: events.slice(0, REPLAY_LIMIT).map(toClient), truncated: events.length > REPLAY_LIMIT };
+}
+
+/**
+ * Pages through a user's event history, newest first.
+ * @param {Object} params - { userEmail, before, limit, taskId, type, status, q }.
+ * @returns {Promise<Object>} { events, nextBefore, hasMore }; pass nextBefore as `before` for the next page.
+ */
+async function listEvents({ userEmail, before, limit, taskId, type, status, q } = {}) {
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = { users: { $in: [userEmail, SHARED_OWNER] } };
+  const cursor = Number.parseInt(before, 10);
+  if (Number.isInteger(cursor)) filter.seq = { $lt: cursor };
+  if (taskId) filter.taskId = taskId;
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (q && q.trim()) {
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    filter.$or = [{ message: pattern }, { error: pattern }, { taskId: pattern }];
+  }
+
+  const Event = await getModel('Event');
+  const events = await Event.find(filter).sort({ seq: -1 }).limit(pageSize + 1).lean();
+  const page = events.slice(0, pageSize);
+  const hasMore = events.length > pageSize;
+  return { events: page.map(toClient), nextBefore: hasMore ? page[page.length - 1].seq : null, hasMore };
+}
+
+module.exports = { recordEvent, getEventsSince, listEvents };
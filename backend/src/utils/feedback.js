@@ -0,0 +1,317 @@
+/*
+ * File Path: backend/src/utils/feedback.js
+ * Purpose: Stores, triages, and converts user feedback for Allur Space Console.
+ * How It Works:
+ *   - Feedback documents carry a category, severity, the page it was sent from, an optional screenshot, and the task or proposal being viewed.
+ *   - Triage moves feedback through new → triaged → in_progress → resolved (or dismissed); every change is kept in history.
+ *   - A feedback item can be converted into a new task whose prompt is prefilled with the feedback and its context.
+ * Mechanics:
+ *   - `createFeedback`: Validates fields and linked task/proposal, saves the screenshot under uploads/feedback.
+ *   - `listFeedback`/`getFeedback`: The feedback queue is shared; every admin sees and triages all items.
+ *   - `updateFeedback`: Status, category, severity, and triage note; status changes are appended to history.
+ *   - `buildTaskDraft`: Prompt for a task built from the feedback, the linked task's prompt, and the linked proposal's file.
+ *   - `convertToTask`: Queues the (optionally edited) draft through taskManager.queueTask and stores convertedTaskId.
+ * Dependencies:
+ *   - mongoose: Feedback, Task, BackendProposal models (version 8.13.2).
+ *   - fs, path: Screenshot storage (Node.js built-in).
+ *   - uuid: feedbackId (version 11.1.0).
+ *   - taskManager.js: queueTask.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - feedbackRoutes.js: /api/grok/feedback endpoints.
+ *   - socketUtils.js: Legacy "feedback" socket messages.
+ * Why It’s Here:
+ *   - FeedbackButton.jsx sent a free-text string over the socket that was rebroadcast and never stored (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created feedback capture and triage.
+ *     - Why: Feedback needs categories, screenshots, context, triage, and a path to a task.
+ *     - How: Feedback model, screenshots on disk, status history, task draft from the linked task and proposal.
+ *     - Test: Submit a bug with a screenshot from /grok, convert it, verify the new task's prompt names the page and severity.
+ * Test Instructions:
+ *   - POST /api/grok/feedback (multipart) with message, category "bug", severity "high", screenshot, verify 201 and screenshot.size.
+ *   - PATCH /api/grok/feedback/<feedbackId> with { status: "triaged", triageNote: "Repro on Chrome" }, verify history has "triaged".
+ *   - POST /api/grok/feedback/<feedbackId>/convert, verify convertedTaskId and a queued task; convert again, verify 409.
+ * Rollback Instructions:
+ *   - Delete feedback.js and feedbackRoutes.js, remove them from app.js, restore the rebroadcast in socketUtils.js.
+ * Future Enhancements:
+ *   - Mark feedback resolved when its converted task is approved (Sprint 5).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { queueTask } = require('./taskManager');
+const { logInfo } = require('./logUtils');
+
+const FEEDBACK_DIR = path.join(__dirname, '../../uploads/feedback');
+const CATEGORIES = ['bug', 'feature', 'ux', 'performance', 'other'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const STATUSES = ['new', 'triaged', 'in_progress', 'resolved', 'dismissed'];
+const SCREENSHOT_TYPES = { 'image/png': '.png', 'image/jpeg': '.jpg', 'image/webp': '.webp' };
+const MAX_SCREENSHOT_BYTES = 5 * 1024 * 1024;
+const MAX_MESSAGE_LENGTH = 5000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const CATEGORY_LABELS = { bug: 'Bug', feature: 'Feature request', ux: 'UX issue', performance: 'Performance issue', other: 'Feedback' };
+
+/**
+ * Query for tasks a user can see, same rule as GET /api/grok/tasks.
+ * @param {string} userEmail - User email.
+ * @returns {Object} Mongo filter on Task.user.
+ */
+function visibleTasks(userEmail) {
+  return { user: { $in: [userEmail, null, undefined, 'admin@idurarapp.com'] } };
+}
+
+/**
+ * Checks a value against an allowed list, falling back to a default when it is empty.
+ * @param {string} value - Submitted value.
+ * @param {Array<string>} allowed - Allowed values.
+ * @param {string} field - Field name for the error message.
+ * @param {string} fallback - Value used when none was submitted.
+ * @returns {string} The value or fallback.
+ */
+function pick(value, allowed, field, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid ${field}: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Loads the task and proposal a feedback item refers to, if they exist and are visible.
+ * @param {Object} params - { taskId, proposalId, userEmail }.
+ * @returns {Promise<Object>} { task, proposal }; either may be null.
+ */
+async function loadContext({ taskId, proposalId, userEmail }) {
+  let proposal = null;
+  if (proposalId) {
+    if (!mongoose.isValidObjectId(proposalId)) {
+      throw new Error('Invalid proposalId');
+    }
+    proposal = await mongoose.model('BackendProposal').findById(proposalId).select('taskId file description status').lean();
+    if (!proposal) {
+      throw new Error('Proposal not found');
+    }
+  }
+  const linkedTaskId = taskId || proposal?.taskId;
+  let task = null;
+  if (linkedTaskId) {
+    task = await mongoose.model('Task').findOne({ taskId: linkedTaskId, ...visibleTasks(userEmail) }).select('taskId prompt status').lean();
+    if (!task) {
+      throw new Error('Task not found');
+    }
+  }
+  return { task, proposal };
+}
+
+/**
+ * Writes an uploaded screenshot (express-fileupload file) to FEEDBACK_DIR.
+ * @param {Object} file - { name, mimetype, size, mv }.
+ * @param {string} feedbackId - Feedback ID used as the file name.
+ * @returns {Promise<Object>} { path, originalName, mimetype, size } with path relative to backend/.
+ */
+async function saveScreenshot(file, feedbackId) {
+  if (Array.isArray(file)) {
+    throw new Error('Invalid screenshot: attach one image per feedback');
+  }
+  const extension = SCREENSHOT_TYPES[file.mimetype];
+  if (!extension) {
+    throw new Error('Screenshot must be a PNG, JPEG, or WebP image');
+  }
+  if (file.size > MAX_SCREENSHOT_BYTES) {
+    throw new Error(`Screenshot exceeds ${MAX_SCREENSHOT_BYTES / (1024 * 1024)} MB`);
+  }
+  await fs.mkdir(FEEDBACK_DIR, { recursive: true });
+  const fileName = `${feedbackId}${extension}`;
+  await file.mv(path.join(FEEDBACK_DIR, fileName));
+  return {
+    path: path.join('uploads/feedback', fileName),
+    originalName: file.name,
+    mimetype: file.mimetype,
+    size: file.size,
+  };
+}
+
+/**
+ * Creates a feedback item.
+ * @param {Object} fields - message, category, severity, pageUrl, userAgent, taskId, proposalId.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @param {Object} [params.screenshot] - Uploaded screenshot (express-fileupload file).
+ * @returns {Promise<Object>} Created feedback.
+ */
+async function createFeedback({ message, category, severity, pageUrl, userAgent, taskId, proposalId }, { user, screenshot } = {}) {
+  if (!message || typeof message !== 'string' || !message.trim()) {
+    throw new Error('Feedback message is required');
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Feedback message exceeds ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  const userEmail = user?.email || 'admin@idurarapp.com';
+  const { task, proposal } = await loadContext({ taskId, proposalId, userEmail });
+  const feedbackId = uuidv4();
+
+  const feedback = await mongoose.model('Feedback').create({
+    feedbackId,
+    message: message.trim(),
+    category: pick(category, CATEGORIES, 'category', 'other'),
+    severity: pick(severity, SEVERITIES, 'severity', 'medium'),
+    pageUrl: typeof pageUrl === 'string' ? pageUrl.slice(0, 2000) : undefined,
+    userAgent: typeof userAgent === 'string' ? userAgent.slice(0, 500) : undefined,
+    taskId: task?.taskId,
+    proposalId: proposal ? String(proposal._id) : undefined,
+    screenshot: screenshot ? await saveScreenshot(screenshot, feedbackId) : undefined,
+    user: userEmail,
+    history: [{ status: 'new', by: userEmail }],
+  });
+  await logInfo('Feedback created', 'feedback', {
+    feedbackId,
+    category: feedback.category,
+    severity: feedback.severity,
+    taskId: feedback.taskId,
+    hasScreenshot: Boolean(feedback.screenshot?.path),
+    user: userEmail,
+    timestamp: new Date().toISOString(),
+  });
+  return feedback;
+}
+
+/**
+ * Lists feedback, newest first.
+ * @param {Object} params - { status, category, severity, taskId, mine, limit, user }.
+ * @returns {Promise<Array>} Feedback without history.
+ */
+async function listFeedback({ status, category, severity, taskId, mine, limit, user } = {}) {
+  const filter = {};
+  if (status) filter.status = pick(status, STATUSES, 'status');
+  if (category) filter.category = pick(category, CATEGORIES, 'category');
+  if (severity) filter.severity = pick(severity, SEVERITIES, 'severity');
+  if (taskId) filter.taskId = taskId;
+  if (mine === true || mine === 'true') filter.user = user?.email;
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return mongoose.model('Feedback')
+    .find(filter)
+    .select('-history')
+    .sort({ createdAt: -1 })
+    .limit(pageSize)
+    .lean();
+}
+
+/**
+ * Fetches one feedback item with its history.
+ * @param {string} feedbackId - Feedback ID.
+ * @returns {Promise<Object>} Feedback document.
+ */
+async function getFeedback(feedbackId) {
+  const feedback = await mongoose.model('Feedback').findOne({ feedbackId });
+  if (!feedback) {
+    throw new Error('Feedback not found');
+  }
+  return feedback;
+}
+
+/**
+ * Triages a feedback item.
+ * @param {string} feedbackId - Feedback ID.
+ * @param {Object} fields - Any of status, category, severity, triageNote.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} Updated feedback.
+ */
+async function updateFeedback(feedbackId, { status, category, severity, triageNote } = {}, { user } = {}) {
+  const feedback = await getFeedback(feedbackId);
+  const userEmail = user?.email || 'admin@idurarapp.com';
+  const previousStatus = feedback.status;
+  feedback.status = pick(status, STATUSES, 'status', feedback.status);
+  feedback.category = pick(category, CATEGORIES, 'category', feedback.category);
+  feedback.severity = pick(severity, SEVERITIES, 'severity', feedback.severity);
+  if (triageNote !== undefined) feedback.triageNote = String(triageNote).slice(0, MAX_MESSAGE_LENGTH);
+  feedback.triagedBy = userEmail;
+  feedback.triagedAt = new Date();
+  if (feedback.status !== previousStatus || triageNote !== undefined) {
+    feedback.history.push({ status: feedback.status, note: triageNote, by: userEmail });
+  }
+  await feedback.save();
+  await logInfo('Feedback triaged', 'feedback', {
+    feedbackId,
+    from: previousStatus,
+    to: feedback.status,
+    user: userEmail,
+    timestamp: new Date().toISOString(),
+  });
+  return feedback;
+}
+
+/**
+ * Builds the prompt of a task created from a feedback item.
+ * @param {string} feedbackId - Feedback ID.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} { prompt, feedback }.
+ */
+async function buildTaskDraft(feedbackId, { user } = {}) {
+  const feedback = await getFeedback(feedbackId);
+  const { task, proposal } = await loadContext({
+    taskId: feedback.taskId,
+    proposalId: feedback.proposalId,
+    userEmail: user?.email || 'admin@idurarapp.com',
+  }).catch(() => ({ task: null, proposal: null }));
+
+  const lines = [
+    `${CATEGORY_LABELS[feedback.category]} (${feedback.severity} severity): ${feedback.message}`,
+    '',
+    'Context from user feedback:',
+  ];
+  if (feedback.pageUrl) lines.push(`- Reported on page: ${feedback.pageUrl}`);
+  if (task) lines.push(`- While viewing task ${task.taskId} (${task.status}): ${task.prompt}`);
+  else if (feedback.taskId) lines.push(`- While viewing task ${feedback.taskId}`);
+  if (proposal) lines.push(`- While viewing backend proposal for ${proposal.file}${proposal.description ? `: ${proposal.description}` : ''}`);
+  if (feedback.screenshot?.path) lines.push(`- Screenshot attached to feedback ${feedback.feedbackId}`);
+  if (feedback.triageNote) lines.push(`- Triage note: ${feedback.triageNote}`);
+  lines.push(`- Reported by ${feedback.user} on ${feedback.createdAt.toISOString().slice(0, 10)}`);
+  return { prompt: lines.join('\n'), feedback };
+}
+
+/**
+ * Creates a task from a feedback item and links the two.
+ * @param {string} feedbackId - Feedback ID.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @param {string} [params.prompt] - Edited prompt; defaults to buildTaskDraft.
+ * @returns {Promise<Object>} { feedback, task, jobId }.
+ */
+async function convertToTask(feedbackId, { user, prompt } = {}) {
+  const { prompt: draft, feedback } = await buildTaskDraft(feedbackId, { user });
+  if (feedback.convertedTaskId) {
+    throw new Error(`Feedback already converted to task ${feedback.convertedTaskId}`);
+  }
+  const userEmail = user?.email || 'admin@idurarapp.com';
+  const taskPrompt = typeof prompt === 'string' && prompt.trim() ? prompt.trim() : draft;
+  const { task, jobId } = await queueTask({ prompt: taskPrompt, user: { email: userEmail } });
+
+  feedback.convertedTaskId = task.taskId;
+  if (['new', 'triaged'].includes(feedback.status)) feedback.status = 'in_progress';
+  feedback.history.push({ status: feedback.status, note: `Converted to task ${task.taskId}`, by: userEmail });
+  await feedback.save();
+  await logInfo('Feedback converted to task', 'feedback', {
+    feedbackId,
+    taskId: task.taskId,
+    jobId,
+    user: userEmail,
+    timestamp: new Date().toISOString(),
+  });
+  return { feedback, task, jobId };
+}
+
+module.exports = {
+  FEEDBACK_DIR,
+  createFeedback,
+  listFeedback,
+  getFeedback,
+  updateFeedback,
+  buildTaskDraft,
+  convertToTask,
+};
@@ -2,17 +2,22 @@
  * File Path: backend/src/utils/fileGeneratorV18.js
  * Purpose: Generates and persists staged files for tasks in Allur Space Console, supporting dynamic file creation.
  * How It Works:
- *   - Generates staged files based on parsedPrompt from promptParser.js, using a mock Grok API.
+ *   - Generates staged files based on parsedPrompt from promptParser.js through the provider layer in llmProviders.js.
+ *   - Registers mockGrokAPI templates as the mock provider, used offline and as fallback when a real provider fails.
  *   - Persists files to MongoDB Task model with retries for reliability.
  *   - Optionally writes files to a temporary directory for Playwright tests.
  *   - Uses taskDedupeUtils.js to prevent redundant file generation.
  * Mechanics:
- *   - `generateFiles`: Generates files for a target, deduplicates using taskDedupeUtils, and saves to Task.stagedFiles.
- *   - `persistFilesToDisk`: Writes staged files to a temporary directory for testing.
+ *   - `generateFiles`: Generates files for a target via generateWithProvider, deduplicates using taskDedupeUtils, and saves to Task.stagedFiles.
+ *   - Records provider, token usage, and estimated cost on Task.llmProvider, Task.llmUsage, and Task.llmCalls.
+ *   - `persistFilesToDisk`: Writes staged files into the task workspace (tmp/workspaces/<taskId>) at their real paths.
  *   - `mockGrokAPI`: Simulates Grok API, generating rich UI components with Tailwind CSS and test instructions.
  * Dependencies:
  *   - mongoose@8.7.0: Task model for MongoDB persistence.
  *   - taskDedupeUtils.js: Deduplication logic.
+ *   - llmProviders.js: Provider registry, structured output parsing, usage accounting.
+ *   - workspaceUtils.js: Task workspace for persistFilesToDisk.
+ *   - pathPolicy.js: checkFiles drops generated files outside allowed roots or targeting protected files.
  *   - logUtils.js: MongoDB logging.
  *   - fileUtils.js: File operations and error logging.
  *   - db.js: Provides getModel for MongoDB models.
@@ -40,6 +45,26 @@
  *     - Why: taskManager.js failed to persist stagedFiles due to invalid return (User, 05/02/2025).
  *     - How: Ensured mockGrokAPI returns valid array, improved deduplication handling, added error checks.
  *     - Test: Submit "Create an inventory system", verify Inventory.jsx in stagedFiles, no errors.
+ *   - 10/19/2026: Routed generation through pluggable LLM providers.
+ *     - Why: mockGrokAPI was hardcoded, no way to use Grok/OpenAI or track token cost per task.
+ *     - How: Registered mockGrokAPI as the mock provider, called generateWithProvider, saved llmUsage/llmCalls with stagedFiles.
+ *     - Test: POST /api/grok/edit with { prompt: "Create an inventory system", provider: "local" }, verify llmProvider "local" on the task.
+ *   - 10/19/2026: persistFilesToDisk writes into the task workspace at real paths.
+ *     - Why: Flattening into tmp/tests/<taskId> by basename broke relative imports.
+ *     - How: createWorkspace + applyStagedFiles from workspaceUtils.js.
+ *     - Test: Call persistFilesToDisk(taskId, task.stagedFiles), verify tmp/workspaces/<taskId>/frontend/src/pages/Inventory.jsx.
+ *   - 10/19/2026: generateFiles accepts an AbortSignal.
+ *     - Why: Cancelled tasks must not wait for the LLM response.
+ *     - How: Forwards options.signal to generateWithProvider.
+ *     - Test: Cancel a task during generation, verify "Task cancelled during generate" in grok.log and no stagedFiles.
+ *   - 10/19/2026: Logged context file paths instead of contents.
+ *     - Why: parsedPrompt now carries codeIndex.js contextFiles with file contents.
+ *     - How: generateFiles logs a copy of parsedPrompt with contextFiles reduced to paths; providers still receive contents.
+ *     - Test: Force a provider error, verify the idurar_db.logs entry lists contextFiles as paths only.
+ *   - 10/19/2026: Enforced the path policy on generated files.
+ *     - Why: Providers can return paths like "../../etc/passwd", backend/app.js, or .env.
+ *     - How: generateFiles runs pathPolicy.js checkFiles before saving, stages only allowed files, pushes violations to Task.policyViolations; fails if nothing is allowed.
+ *     - Test: Return backend/app.js from the mock provider, verify it is missing from stagedFiles and listed in task.policyViolations.
  * Test Instructions:
  *   - Run `npm start`, POST /api/grok/edit with "Create an impressive inventory keeping system with AI features".
  *   - Verify idurar_db.tasks contains single Inventory.jsx in stagedFiles, testInstructions present.
@@ -49,7 +74,6 @@
  *   - Revert to fileGeneratorV18.js.bak (`copy backend\src\utils\fileGeneratorV18.js.bak backend\src\utils\fileGeneratorV18.js`).
  *   - Verify /api/grok/edit generates files post-rollback.
  * Future Enhancements:
- *   - Replace mockGrokAPI with real Grok API (Sprint 3).
  *   - Support file versioning with diffs (Sprint 5).
  */
 
@@ -58,6 +82,9 @@ const { hasGeneratedFile, recordGeneratedFile, clearGeneratedFile } = require('.
 const { logInfo, logError, logDebug, logWarn } = require('./logUtils');
 const { appendLog, errorLogPath } = require('./fileUtils');
 const { getModel } = require('../db');
+const { registerProvider, generateWithProvider } = require('./llmProviders');
+const { createWorkspace, applyStagedFiles } = require('./workspaceUtils');
+const { checkFiles } = require('./pathPolicy');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -462,11 +489,19 @@ async function mockGrokAPI(parsedPrompt) {
   return files;
 }
 
+registerProvider('mock', {
+  model: 'mock-templates',
+  async generate(parsedPrompt) {
+    const files = await mockGrokAPI(parsedPrompt);
+    return { files, usage: { promptTokens: 0, completionTokens: 0 }, model: 'mock-templates' };
+  },
+});
+
 /**
- * Writes staged files to a temporary directory for Playwright tests.
+ * Writes staged files into the task workspace at their repo-relative paths.
  * @param {string} taskId - The task ID.
  * @param {Array} stagedFiles - Array of staged files with path and content.
- * @returns {Promise<string>} Path to the temporary directory.
+ * @returns {Promise<string>} Path to the task workspace.
  */
 async function persistFilesToDisk(taskId, stagedFiles) {
   if (!isValidTaskId(taskId) || !stagedFiles || !Array.isArray(stagedFiles) || stagedFiles.length === 0) {
@@ -478,9 +513,10 @@ async function persistFilesToDisk(taskId, stagedFiles) {
     throw new Error('Invalid taskId or stagedFiles');
   }
 
-  const tempDir = path.join(__dirname, '../../../tmp/tests', taskId);
+  let workspaceDir;
   try {
-    await fs.mkdir(tempDir, { recursive: true });
+    workspaceDir = await createWorkspace(taskId);
+    const validFiles = [];
     for (const file of stagedFiles) {
       if (!file.path || !file.content || typeof file.path !== 'string' || typeof file.content !== 'string') {
         await logWarn('Skipping invalid staged file', 'fileGeneratorV18', {
@@ -490,25 +526,20 @@ async function persistFilesToDisk(taskId, stagedFiles) {
         });
         continue;
       }
-      const tempPath = path.join(tempDir, path.basename(file.path));
-      await fs.writeFile(tempPath, file.content, 'utf8');
-      await logDebug(`Persisted temporary file: ${tempPath}`, 'fileGeneratorV18', {
-        taskId,
-        contentLength: file.content.length,
-        timestamp: new Date().toISOString(),
-      });
+      validFiles.push(file);
     }
-    await logInfo('Persisted staged files to disk', 'fileGeneratorV18', {
+    const written = await applyStagedFiles(workspaceDir, validFiles, { taskId });
+    await logInfo('Persisted staged files to workspace', 'fileGeneratorV18', {
       taskId,
-      tempDir,
-      fileCount: stagedFiles.length,
+      workspaceDir,
+      files: written,
       timestamp: new Date().toISOString(),
     });
-    return tempDir;
+    return workspaceDir;
   } catch (err) {
     await logError(`Failed to persist files to disk: ${err.message}`, 'fileGeneratorV18', {
       taskId,
-      tempDir,
+      workspaceDir,
       stack: err.stack,
       timestamp: new Date().toISOString(),
     });
@@ -519,11 +550,14 @@ async function persistFilesToDisk(taskId, stagedFiles) {
 /**
  * Generates and persists staged files for a task.
  * @param {string} taskId - The task ID.
- * @param {Object} parsedPrompt - Parsed prompt with action, target, and features.
+ * @param {Object} parsedPrompt - Parsed prompt with action, target, features, and contextFiles from codeIndex.js.
+ * @param {Object} [options] - signal (AbortSignal) from taskControl.js to cancel the provider request.
  * @returns {Promise<Array>} Array of staged files.
  */
-async function generateFiles(taskId, parsedPrompt) {
-  console.log('fileGeneratorV18: generateFiles called with taskId:', taskId, 'parsedPrompt:', parsedPrompt);
+async function generateFiles(taskId, parsedPrompt, { signal } = {}) {
+  // Context file contents can be tens of kilobytes; logs keep only their paths
+  const loggedPrompt = parsedPrompt && { ...parsedPrompt, contextFiles: (parsedPrompt.contextFiles || []).map(f => f.path) };
+  console.log('fileGeneratorV18: generateFiles called with taskId:', taskId, 'parsedPrompt:', loggedPrompt);
   const target = parsedPrompt.target || 'crm';
   const dedupeKey = `${taskId}_${target}`;
 
@@ -581,28 +615,35 @@ async function generateFiles(taskId, parsedPrompt) {
   }
 
   try {
-    const stagedFiles = await mockGrokAPI({ ...parsedPrompt, target });
-    if (!stagedFiles || !Array.isArray(stagedFiles)) {
-      await logError('mockGrokAPI returned invalid stagedFiles', 'fileGeneratorV18', {
+    const { files: generatedFiles, usage } = await generateWithProvider({ ...parsedPrompt, target }, { taskId, signal });
+    if (!generatedFiles || !Array.isArray(generatedFiles)) {
+      await logError(`${usage?.provider || 'Provider'} returned invalid stagedFiles`, 'fileGeneratorV18', {
         taskId,
         target,
-        stagedFiles,
-        parsedPrompt,
+        stagedFiles: generatedFiles,
+        parsedPrompt: loggedPrompt,
         timestamp: new Date().toISOString(),
       });
-      throw new Error(`mockGrokAPI returned invalid stagedFiles: ${stagedFiles === null ? 'null' : typeof stagedFiles}`);
+      throw new Error(`${usage?.provider || 'Provider'} returned invalid stagedFiles: ${generatedFiles === null ? 'null' : typeof generatedFiles}`);
     }
-    if (stagedFiles.length === 0) {
-      await logWarn('No stagedFiles generated by mockGrokAPI', 'fileGeneratorV18', {
+    if (generatedFiles.length === 0) {
+      await logWarn(`No stagedFiles generated by ${usage.provider}`, 'fileGeneratorV18', {
         taskId,
         target,
-        parsedPrompt,
+        parsedPrompt: loggedPrompt,
         timestamp: new Date().toISOString(),
       });
       throw new Error('No stagedFiles generated');
     }
 
+    const { allowed, violations } = await checkFiles(generatedFiles, { taskId, stage: 'generate' });
     const Task = await getModel('Task');
+    if (allowed.length === 0) {
+      await Task.updateOne({ taskId }, { $push: { policyViolations: { $each: violations } } });
+      throw new Error(`Path policy rejected all generated files: ${violations.map(v => v.message).join('; ')}`);
+    }
+    const stagedFiles = allowed;
+
     let attempt = 0;
     const maxAttempts = 10;
     while (attempt < maxAttempts) {
@@ -614,7 +655,16 @@ async function generateFiles(taskId, parsedPrompt) {
               stagedFiles,
               files: stagedFiles.map(file => file.path || ''),
               testInstructions: stagedFiles.map(file => file.testInstructions || '').join('\n\n'),
+              llmProvider: usage.provider,
+            },
+            $inc: {
+              'llmUsage.promptTokens': usage.promptTokens,
+              'llmUsage.completionTokens': usage.completionTokens,
+              'llmUsage.totalTokens': usage.totalTokens,
+              'llmUsage.costUsd': usage.costUsd,
+              'llmUsage.calls': 1,
             },
+            $push: { llmCalls: usage, policyViolations: { $each: violations } },
           },
           { new: true }
         );
@@ -628,12 +678,15 @@ async function generateFiles(taskId, parsedPrompt) {
           taskId,
           target,
           stagedFilesCount: stagedFiles.length,
+          provider: usage.provider,
+          fallbackFrom: usage.fallbackFrom,
+          totalTokens: usage.totalTokens,
           files: stagedFiles.map(f => ({ path: f.path, contentLength: f.content.length })),
           testInstructions: task.testInstructions,
           attempt: attempt + 1,
           timestamp: new Date().toISOString(),
         });
-        await appendLog(errorLogPath, `# Staged Files Generated\nTask ID: ${taskId}\nTarget: ${target}\nFiles: ${stagedFiles.map(f => f.path).join(', ')}\nTest Instructions: ${task.testInstructions}`);
+        await appendLog(errorLogPath, `# Staged Files Generated\nTask ID: ${taskId}\nTarget: ${target}\nProvider: ${usage.provider}\nFiles: ${stagedFiles.map(f => f.path).join(', ')}\nTest Instructions: ${task.testInstructions}`);
         await recordGeneratedFile(dedupeKey);
         return stagedFiles;
       } catch (err) {
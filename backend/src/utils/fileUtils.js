@@ -18,7 +18,7 @@
  *   - child_process: npm installs (Node.js built-in).
  *   - logUtils.js: MongoDB logging.
  * Dependents:
- *   - systemAnalyzer.js: Uses readSystemFiles, appendLog, siteStructureLogs, errorLogPath.
+ *   - systemAnalyzer.js: Uses appendLog, siteStructureLogs, errorLogPath.
  *   - taskTesterV18.js, testUtils.js, selfEnhancer.js, testGenerator.js, testExecutionUtils.js: Use appendLog, errorLogPath.
  * Why It's Here:
  *   - Supports system analysis, maintenance, and dependency management for Sprint 2 (User, 04/30/2025).
@@ -28,6 +28,10 @@
  *   - 04/30/2025: Aligned with provided version, added MongoDB logging (Grok).
  *     - Why: Enhance system awareness with site-structure.json, ensure traceability (User, 04/30/2025).
  *     - How: Incorporated provided functions, added logUtils.js for MongoDB logging.
+ *   - 10/19/2026: Rotated pruneLog archives.
+ *     - Why: Every prune left a new grok.log.<time>.gz behind, so archives grew without bound.
+ *     - How: rotateLogArchives keeps the newest MAX_LOG_ARCHIVES (default 5, env override) archives per log file.
+ *     - Test: Prune grok.log seven times, verify five grok.log.*.gz archives remain.
  * Test Instructions:
  *   - Run `npm start`, GET /grok/analyze: Verify grok.log contains dependency graph, site-structure.json updates.
  *   - GET /grok/maintenance: Confirm ERROR_LOG.md, grok.log pruned, no permission errors.
@@ -66,6 +70,7 @@ const debugLogPath = path.join(logDir, 'DEBUG_LOG.md');
 const connectivityLogPath = path.join(logDir, 'CONNECTIVITY_LOG.md');
 const overviewLogPath = path.join(logDir, 'Comprehensive_Project_Overview.md');
 const siteStructurePath = path.join(logDir, 'site-structure.json');
+const MAX_LOG_ARCHIVES = Number(process.env.MAX_LOG_ARCHIVES) || 5;
 
 /**
  * Installs a dependency via npm if not present.
@@ -254,7 +259,23 @@ async function dedupeLog(filePath) {
 }
 
 /**
- * Prunes log file to keep last 1000 lines, archiving excess to .gz.
+ * Deletes the oldest .gz archives of a log file, keeping MAX_LOG_ARCHIVES.
+ * @param {string} filePath - Path to the log file.
+ * @returns {Promise<Array<string>>} Deleted archive paths.
+ */
+async function rotateLogArchives(filePath) {
+  const dir = path.dirname(filePath);
+  const prefix = `${path.basename(filePath)}.`;
+  const archives = (await fs.readdir(dir))
+    .filter(name => name.startsWith(prefix) && /^\d+\.gz$/.test(name.slice(prefix.length)))
+    .sort((a, b) => Number.parseInt(b.slice(prefix.length), 10) - Number.parseInt(a.slice(prefix.length), 10));
+  const expired = archives.slice(MAX_LOG_ARCHIVES).map(name => path.join(dir, name));
+  await Promise.all(expired.map(archive => fs.unlink(archive)));
+  return expired;
+}
+
+/**
+ * Prunes log file to keep last 1000 lines, archiving excess to .gz and keeping the newest MAX_LOG_ARCHIVES archives.
  * @param {string} filePath - Path to the log file.
  * @param {number} maxLines - Maximum lines to keep (default: 1000).
  * @returns {Promise<void>}
@@ -284,10 +305,12 @@ async function pruneLog(filePath, maxLines = 1000) {
     const compressed = zlib.gzipSync(await fs.readFile(filePath));
     await fs.writeFile(archivePath, compressed);
     await fs.writeFile(filePath, prunedContent);
+    const deletedArchives = await rotateLogArchives(filePath);
     await logInfo(`Pruned log file`, 'fileUtils', {
       filePath,
       keptLines: maxLines,
       archivedTo: archivePath,
+      deletedArchives,
       timestamp: new Date().toISOString(),
     });
   } catch (err) {
@@ -0,0 +1,195 @@
+/*
+ * File Path: backend/src/utils/gitUtils.js
+ * Purpose: Git-backed apply and rollback for approved tasks in Allur Space Console.
+ * How It Works:
+ *   - Commits only the files a task touched onto the current branch, leaving unrelated working-tree changes alone.
+ *   - Points a per-task branch (allur/task-<taskId>) at that commit so history survives later commits.
+ *   - Rolls back by reverting exactly that commit, so edits to existing files are restored instead of deleted.
+ * Mechanics:
+ *   - `runGit`: execFile wrapper (no shell) rooted at the repository, returns trimmed stdout.
+ *   - `commitTaskChanges`: git add + git commit --only for task paths, then git branch -f for the task branch.
+ *   - `revertTaskCommit`: git revert --no-edit <sha>, aborts and throws on conflict.
+ *   - `getCommitInfo`: Subject, author date, and changed files for a commit.
+ * Dependencies:
+ *   - child_process.execFile, util.promisify: Runs git (Node.js built-in).
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - taskManager.js: commitTaskChanges in applyApprovedChanges, revertTaskCommit in rollbackChanges.
+ *   - taskRoutes.js: getCommitInfo for GET /api/grok/history.
+ * Why It’s Here:
+ *   - rollbackChanges unlinked staged paths, destroying existing files an approved task had edited (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created per-task commit, branch, and revert helpers.
+ *     - Why: Apply wrote files directly and rollback deleted them, with no history.
+ *     - How: execFile git with --only commits scoped to task files, allur/task-<taskId> branch, git revert for rollback.
+ *     - Test: Approve a task, verify `git log -1` shows "[allur] Apply task <taskId>", roll back, verify a revert commit restores the file.
+ *   - 10/19/2026: Reported an empty commit as an error.
+ *     - Why: commitTaskChanges returned sha null without a reason, so the task showed a plain "applied" that could never be rolled back.
+ *     - How: The no-changes result carries error, which applyApprovedChanges stores as task.commitError.
+ *     - Test: Approve a task whose files already match HEAD, verify commitError "No changes to commit" and the NO COMMIT tag.
+ * Test Instructions:
+ *   - Approve a task editing an existing file, run `git branch --list "allur/task-*"`, confirm branch at task.commitSha.
+ *   - POST /api/grok/tasks/<taskId>/rollback, verify `git log -1` is a revert of task.commitSha and the file content is restored.
+ * Rollback Instructions:
+ *   - Delete gitUtils.js and revert taskManager.js applyApprovedChanges/rollbackChanges.
+ * Future Enhancements:
+ *   - Optional push of task branches to a remote for review (Sprint 5).
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+const { logInfo, logWarn, logError } = require('./logUtils');
+
+const execFileAsync = promisify(execFile);
+const repoRoot = path.join(__dirname, '../../../');
+const TASK_BRANCH_PREFIX = 'allur/task-';
+
+/**
+ * Runs a git command at the repository root.
+ * @param {Array<string>} args - git arguments.
+ * @param {Object} [options] - Extra execFile options.
+ * @returns {Promise<string>} Trimmed stdout.
+ */
+async function runGit(args, options = {}) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd: repoRoot,
+    maxBuffer: 10 * 1024 * 1024,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    ...options,
+  });
+  return stdout.trim();
+}
+
+/**
+ * Checks whether the repository root is a git work tree.
+ * @returns {Promise<boolean>} True if git is available and the root is a repo.
+ */
+async function isGitRepo() {
+  try {
+    return (await runGit(['rev-parse', '--is-inside-work-tree'])) === 'true';
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Returns the branch name for a task.
+ * @param {string} taskId - The task ID.
+ * @returns {string} Branch name.
+ */
+function taskBranchName(taskId) {
+  return `${TASK_BRANCH_PREFIX}${taskId}`;
+}
+
+/**
+ * Commits a task's files onto the current branch and tags them with a task branch.
+ * @param {string} taskId - The task ID.
+ * @param {Array<string>} files - Repo-relative paths the task wrote.
+ * @param {Object} [options] - message and user ({ email }).
+ * @returns {Promise<Object>} { sha, branch, parentSha, files }; sha is null and error set when nothing changed.
+ */
+async function commitTaskChanges(taskId, files, { message, user } = {}) {
+  const paths = [...new Set((files || []).filter(f => typeof f === 'string' && f.trim()))];
+  if (!paths.length) {
+    throw new Error('No files to commit');
+  }
+  if (!(await isGitRepo())) {
+    throw new Error(`Not a git repository: ${repoRoot}`);
+  }
+
+  const parentSha = await runGit(['rev-parse', 'HEAD']).catch(() => null);
+  await runGit(['add', '--', ...paths]);
+  const changed = await runGit(['diff', '--cached', '--name-only', '--', ...paths]);
+  if (!changed) {
+    await logWarn('No changes to commit for task', 'gitUtils', { taskId, paths, timestamp: new Date().toISOString() });
+    return { sha: null, branch: null, parentSha, files: [], error: 'No changes to commit, the files already match HEAD' };
+  }
+
+  const email = user?.email || 'admin@idurarapp.com';
+  await runGit([
+    '-c', `user.name=Allur Space Console`,
+    '-c', `user.email=${email}`,
+    'commit', '--only', '--no-verify',
+    '-m', message || `[allur] Apply task ${taskId}`,
+    '--', ...paths,
+  ]);
+  const sha = await runGit(['rev-parse', 'HEAD']);
+  const branch = taskBranchName(taskId);
+  await runGit(['branch', '-f', branch, sha]);
+
+  await logInfo('Committed task changes', 'gitUtils', {
+    taskId,
+    sha,
+    branch,
+    parentSha,
+    files: changed.split('\n'),
+    user: email,
+    timestamp: new Date().toISOString(),
+  });
+  return { sha, branch, parentSha, files: changed.split('\n') };
+}
+
+/**
+ * Reverts a task's commit on the current branch.
+ * @param {string} taskId - The task ID.
+ * @param {string} sha - Commit to revert.
+ * @param {Object} [options] - user ({ email }).
+ * @returns {Promise<Object>} { sha } of the revert commit.
+ */
+async function revertTaskCommit(taskId, sha, { user } = {}) {
+  if (!sha || !/^[0-9a-f]{7,40}$/i.test(sha)) {
+    throw new Error('Invalid commit SHA');
+  }
+  const email = user?.email || 'admin@idurarapp.com';
+  try {
+    await runGit([
+      '-c', `user.name=Allur Space Console`,
+      '-c', `user.email=${email}`,
+      'revert', '--no-edit', sha,
+    ]);
+  } catch (err) {
+    await runGit(['revert', '--abort']).catch(() => {});
+    await logError(`Failed to revert task commit: ${err.message}`, 'gitUtils', {
+      taskId,
+      sha,
+      stderr: err.stderr,
+      user: email,
+      timestamp: new Date().toISOString(),
+    });
+    throw new Error(`Failed to revert commit ${sha.slice(0, 8)}: ${(err.stderr || err.message).trim()}`);
+  }
+  const revertSha = await runGit(['rev-parse', 'HEAD']);
+  await logInfo('Reverted task commit', 'gitUtils', {
+    taskId,
+    sha,
+    revertSha,
+    user: email,
+    timestamp: new Date().toISOString(),
+  });
+  return { sha: revertSha };
+}
+
+/**
+ * Reads summary information for a commit.
+ * @param {string} sha - Commit SHA.
+ * @returns {Promise<Object|null>} { sha, subject, date, files } or null if unknown.
+ */
+async function getCommitInfo(sha) {
+  if (!sha) return null;
+  try {
+    const out = await runGit(['show', '--name-only', '--format=%H%n%s%n%aI', sha]);
+    const [fullSha, subject, date, ...files] = out.split('\n');
+    return { sha: fullSha, subject, date, files: files.filter(Boolean) };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  isGitRepo,
+  taskBranchName,
+  commitTaskChanges,
+  revertTaskCommit,
+  getCommitInfo,
+};
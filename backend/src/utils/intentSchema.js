@@ -0,0 +1,493 @@
+/*
+ * File Path: backend/src/utils/intentSchema.js
+ * Purpose: Intent schema, rule-based intent extraction, and validation for task prompts in Allur Space Console.
+ * How It Works:
+ *   - Turns a prompt into an intent object: action, targetModule, affectedFiles, entities, acceptanceCriteria.
+ *   - Scores how confident the rules are and lists ambiguities, which map to clarifying questions.
+ *   - Has no database, socket, or network dependencies so setup/checkIntents.js can run it against a prompt corpus.
+ * Mechanics:
+ *   - `extractIntent`: Keyword tables for actions, modules, features, and UI elements; identifier matching against a file index.
+ *   - `validateIntent`: Checks an intent (rule-based or model-produced) against INTENT_SCHEMA, returns { valid, errors }.
+ *   - `normalizeIntent`: Coerces loosely shaped model output into the intent shape before validation.
+ *   - `clarifyingQuestions`: Maps ambiguity codes to questions shown in the console.
+ *   - `buildFileIndex`: Lists repo-relative source files under frontend/src and backend/src for path resolution.
+ *   - `npm run check-intents` (setup/checkIntents.js) checks the corpus: every prompt must yield a valid intent and the
+ *     documented examples their expected fields; a failed assertion exits nonzero.
+ * Dependencies:
+ *   - fs, path: File index (Node.js built-in).
+ * Dependents:
+ *   - promptParser.js: extractIntent, validateIntent, normalizeIntent, clarifyingQuestions in parseIntent.
+ *   - setup/checkIntents.js: Corpus check.
+ * Why It’s Here:
+ *   - promptParser.js matched one action regex and a fixed feature list, with no notion of files, entities, or ambiguity (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created intent schema, extraction, and validation.
+ *     - Why: Prompts like "Fix DataTable useCrudContext error" parsed to target "datatable usecrudcontext error" with no files.
+ *     - How: Table-driven action/module/feature matching, identifier lookup in a file index, confidence and ambiguity codes.
+ *     - Test: `node src/utils/intentSchema.js src/tasks.json`, verify every prompt has a valid intent and "Test Grok functionality" asks a question.
+ *   - 10/19/2026: Turned the corpus run into assertions.
+ *     - Why: It printed every intent as JSON and had to be read by eye; nothing failed on a wrong intent.
+ *     - How: assert.strict on corpus validity and the DataTable, sponsor modal, and vague prompt examples; only a summary is printed.
+ *     - Test: Run it against a file containing {}, verify "No prompts in" and exit code 1.
+ *   - 10/19/2026: Moved the corpus check to setup/checkIntents.js.
+ *     - Why: The require.main block put test code in the runtime module.
+ *     - How: The assertions moved unchanged; this module only exports the schema, extraction, and validation.
+ *     - Test: `npm run check-intents`, verify "all intents valid"; require intentSchema.js, verify nothing runs.
+ * Test Instructions:
+ *   - From backend/, run `npm run check-intents`, verify "all intents valid" and exit code 0.
+ *   - Verify "Fix DataTable useCrudContext error" yields action "fix", affectedFiles frontend/src/pages/DataTable.jsx, entities DataTable and useCrudContext.
+ *   - Verify "Add a sponsor delete confirmation modal" yields action "create", targetModule "sponsor", a modal entity.
+ * Rollback Instructions:
+ *   - Delete intentSchema.js and revert promptParser.js to the regex parser.
+ * Future Enhancements:
+ *   - Learn module keywords from the codebase index (Sprint 5).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '../../../');
+
+const ACTIONS = ['create', 'update', 'delete', 'fix', 'enhance', 'test'];
+const ENTITY_KINDS = ['component', 'hook', 'model', 'route', 'feature', 'ui'];
+const INTENT_CONFIDENCE_THRESHOLD = 0.6;
+
+const ACTION_KEYWORDS = {
+  create: ['create', 'add', 'build', 'make', 'generate', 'implement', 'new'],
+  update: ['update', 'change', 'modify', 'edit', 'rename', 'move', 'refactor', 'replace'],
+  delete: ['delete', 'remove', 'drop'],
+  fix: ['fix', 'repair', 'resolve', 'debug', 'correct'],
+  enhance: ['enhance', 'improve', 'optimize', 'upgrade', 'polish'],
+  test: ['test', 'verify', 'check', 'validate'],
+};
+
+// Module keyword → default page for resolving files when the prompt names no component
+const MODULES = {
+  sponsor: { keywords: ['sponsor', 'sponsors', 'sponsorhub', 'sponsorship'], page: 'SponsorHub' },
+  employee: { keywords: ['employee', 'employees', 'staff', 'employeelog', 'timesheet'], page: 'EmployeeLog' },
+  inventory: { keywords: ['inventory', 'stock', 'warehouse'], page: 'Inventory' },
+  payroll: { keywords: ['payroll', 'salary', 'compensation'], page: 'Payroll' },
+  accounting: { keywords: ['accounting', 'finance', 'ledger'], page: 'Accounting' },
+  invoice: { keywords: ['invoice', 'invoices', 'billing'], page: 'Invoice' },
+  quote: { keywords: ['quote', 'quotes'], page: 'Quote' },
+  payment: { keywords: ['payment', 'payments'], page: 'Payment' },
+  customer: { keywords: ['customer', 'customers', 'client', 'clients'], page: 'Customer' },
+  settings: { keywords: ['settings', 'preferences', 'configuration'], page: 'Settings' },
+  dashboard: { keywords: ['dashboard'], page: 'Dashboard' },
+  auth: { keywords: ['login', 'logout', 'auth', 'authentication', 'password', 'mfa', '2fa'], page: 'Login' },
+  calendar: { keywords: ['calendar', 'schedule', 'event', 'events'], page: 'Calendar' },
+  console: { keywords: ['grok', 'console', 'allur', 'task', 'tasks'], page: 'GrokUI' },
+  crm: { keywords: ['crm'], page: 'Dashboard' },
+};
+
+// Legacy feature list kept for fileGeneratorV18.js and mockGrokAPI templates
+const FEATURES = {
+  login: ['login', 'sign in'],
+  dashboard: ['dashboard'],
+  sponsor: ['sponsor'],
+  employee: ['employee'],
+  payroll: ['payroll', 'salary', 'compensation'],
+  mfa: ['mfa', 'multi-factor authentication', '2fa', 'two-factor authentication'],
+  settings: ['settings'],
+  authentication: ['authentication'],
+  security: ['security'],
+  accounting: ['accounting', 'finance', 'ledger'],
+  ai: ['ai', 'artificial intelligence', 'machine learning'],
+  inventory: ['inventory', 'stock', 'warehouse'],
+};
+
+const UI_KEYWORDS = ['button', 'modal', 'form', 'table', 'page', 'chart', 'field', 'column', 'tab', 'card', 'menu', 'filter', 'search', 'dropdown', 'list', 'map'];
+const ROUTE_KEYWORDS = ['route', 'endpoint', 'api'];
+const MODEL_KEYWORDS = ['model', 'schema', 'collection'];
+const STOP_WORDS = new Set(['a', 'an', 'the', 'to', 'for', 'of', 'on', 'in', 'with', 'and', 'or', 'that', 'this', 'new', 'my', 'our', 'some', 'it', 'system', 'functionality', 'error']);
+
+const QUESTIONS = {
+  missing_action: 'What should happen: create something new, update or fix existing code, or remove it?',
+  missing_target: 'Which part of the app is this for (for example SponsorHub, EmployeeLog, Dashboard, or a new page)?',
+  multiple_targets: 'The prompt mentions several modules. Which one should this task change?',
+  missing_files: 'Which file or component should change? No existing file matched the names in the prompt.',
+  vague: 'Can you describe the expected result, for example what the user should see or be able to do?',
+};
+
+// Shape every intent must satisfy, whether it came from the rules or the model
+const INTENT_SCHEMA = {
+  action: { type: 'string', enum: ACTIONS, required: true },
+  targetModule: { type: 'string', required: true },
+  affectedFiles: { type: 'array', items: { path: 'string', isNewFile: 'boolean' } },
+  entities: { type: 'array', items: { name: 'string', kind: 'string' } },
+  acceptanceCriteria: { type: 'array', items: 'string' },
+  confidence: { type: 'number', min: 0, max: 1 },
+  ambiguities: { type: 'array', items: 'string' },
+  source: { type: 'string', enum: ['rules', 'llm'] },
+};
+
+/**
+ * Escapes a string for use in a RegExp.
+ * @param {string} value - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Checks whether a lowercase prompt contains a keyword as a whole word or phrase.
+ * @param {string} text - Lowercase prompt.
+ * @param {string} keyword - Keyword or phrase.
+ * @returns {boolean} True if present.
+ */
+function hasWord(text, keyword) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegex(keyword)}([^a-z0-9]|$)`).test(text);
+}
+
+/**
+ * Converts a name to PascalCase.
+ * @param {string} name - Raw name.
+ * @returns {string} PascalCase name.
+ */
+function toPascalCase(name) {
+  return String(name || '')
+    .replace(/[^a-zA-Z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+    .join('');
+}
+
+/**
+ * Lists repo-relative source files used to resolve names in prompts.
+ * @param {string} [root] - Repository root.
+ * @returns {Array<string>} Repo-relative paths with forward slashes.
+ */
+function buildFileIndex(root = repoRoot) {
+  const files = [];
+  const skip = new Set(['node_modules', '.git', 'dist', 'coverage', 'public', 'locale']);
+  const walk = dir => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (skip.has(entry.name)) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(fullPath);
+      else if (/\.(js|jsx)$/.test(entry.name)) files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+    }
+  };
+  walk(path.join(root, 'frontend/src'));
+  walk(path.join(root, 'backend/src'));
+  return files;
+}
+
+/**
+ * Finds the canonical file for a component or hook name, ignoring versioned copies (e.g. Login-v1.jsx).
+ * @param {string} name - Identifier such as DataTable or useCrudContext.
+ * @param {Array<string>} fileIndex - Repo-relative paths.
+ * @param {string} [under] - Only consider paths with this prefix.
+ * @returns {string|null} Best matching path or null.
+ */
+function findFileForName(name, fileIndex, under = '') {
+  const lower = name.toLowerCase();
+  const matches = fileIndex.filter(file => {
+    if (!file.startsWith(under)) return false;
+    const base = path.posix.basename(file).replace(/\.(js|jsx)$/, '');
+    return base.toLowerCase() === lower || (base.toLowerCase() === 'index' && path.posix.basename(path.posix.dirname(file)).toLowerCase() === lower);
+  });
+  if (!matches.length) return null;
+  // Prefer exact case, then frontend pages/components, then the shortest path
+  return matches.sort((a, b) => {
+    const exact = Number(path.posix.basename(b).startsWith(name)) - Number(path.posix.basename(a).startsWith(name));
+    const frontend = Number(b.startsWith('frontend/')) - Number(a.startsWith('frontend/'));
+    return exact || frontend || a.length - b.length;
+  })[0];
+}
+
+/**
+ * Extracts the action from a lowercase prompt.
+ * @param {string} text - Lowercase prompt.
+ * @returns {Object} { action, explicit } where explicit is false when defaulted.
+ */
+function extractAction(text) {
+  let best = null;
+  for (const [action, keywords] of Object.entries(ACTION_KEYWORDS)) {
+    for (const keyword of keywords) {
+      const match = new RegExp(`(^|[^a-z0-9])${escapeRegex(keyword)}([^a-z0-9]|$)`).exec(text);
+      if (match && (!best || match.index < best.index)) best = { action, index: match.index };
+    }
+  }
+  return best ? { action: best.action, explicit: true } : { action: 'create', explicit: false };
+}
+
+/**
+ * Extracts entities (components, hooks, UI elements, routes, models, features) from a prompt.
+ * @param {string} prompt - Original prompt.
+ * @param {string} text - Lowercase prompt.
+ * @returns {Array<Object>} Entities { name, kind }.
+ */
+function extractEntities(prompt, text) {
+  const entities = [];
+  const add = (name, kind) => {
+    if (!entities.some(e => e.name === name && e.kind === kind)) entities.push({ name, kind });
+  };
+  for (const [, hook] of prompt.matchAll(/\b(use[A-Z][A-Za-z0-9]*)\b/g)) add(hook, 'hook');
+  for (const [, component] of prompt.matchAll(/\b([A-Z][a-z0-9]+(?:[A-Z][A-Za-z0-9]*)+)\b/g)) add(component, 'component');
+  for (const [feature, keywords] of Object.entries(FEATURES)) {
+    if (keywords.some(keyword => hasWord(text, keyword))) add(feature, 'feature');
+  }
+  for (const keyword of UI_KEYWORDS) {
+    if (hasWord(text, keyword)) add(keyword, 'ui');
+  }
+  for (const keyword of ROUTE_KEYWORDS) {
+    const match = text.match(new RegExp(`([a-z0-9/_-]+)\\s+${keyword}\\b`));
+    if (match && !STOP_WORDS.has(match[1])) add(match[1], 'route');
+  }
+  for (const keyword of MODEL_KEYWORDS) {
+    const match = text.match(new RegExp(`([a-z0-9_-]+)\\s+${keyword}\\b`));
+    if (match && !STOP_WORDS.has(match[1])) add(toPascalCase(match[1]), 'model');
+  }
+  return entities;
+}
+
+/**
+ * Finds modules named in a prompt, in order of first mention.
+ * @param {string} text - Lowercase prompt.
+ * @param {Array<Object>} entities - Extracted entities.
+ * @returns {Array<string>} Module names.
+ */
+function extractModules(text, entities) {
+  const found = [];
+  for (const [name, { keywords }] of Object.entries(MODULES)) {
+    let index = -1;
+    for (const keyword of keywords) {
+      const match = new RegExp(`(^|[^a-z0-9])${escapeRegex(keyword)}`).exec(text);
+      if (match && (index === -1 || match.index < index)) index = match.index;
+    }
+    if (index !== -1) found.push({ name, index });
+  }
+  // Component names such as DataTable count as their own module when no keyword matched
+  for (const entity of entities.filter(e => e.kind === 'component')) {
+    const lower = entity.name.toLowerCase();
+    if (!found.some(f => MODULES[f.name].keywords.some(k => lower.startsWith(k)))) {
+      found.push({ name: lower, index: text.indexOf(lower) });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index).map(f => f.name);
+}
+
+/**
+ * Collects acceptance criteria from bullet lines and should/must sentences, or derives them from the intent.
+ * @param {string} prompt - Original prompt.
+ * @param {Object} intent - Partial intent with action, targetModule, affectedFiles, entities.
+ * @returns {Array<string>} Acceptance criteria.
+ */
+function extractAcceptanceCriteria(prompt, { action, targetModule, affectedFiles, entities }) {
+  const explicit = [];
+  for (const line of prompt.split(/\r?\n/)) {
+    const bullet = line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.+)$/);
+    if (bullet) explicit.push(bullet[1].trim());
+  }
+  for (const sentence of prompt.replace(/\r?\n/g, ' ').split(/(?<=[.!?])\s+/)) {
+    if (/\b(should|must|ensure|verify|so that)\b/i.test(sentence) && !explicit.includes(sentence.trim())) {
+      explicit.push(sentence.trim().replace(/[.!?]$/, ''));
+    }
+  }
+  if (explicit.length) return explicit;
+
+  const derived = [];
+  const files = affectedFiles.map(f => f.path);
+  const mainFile = files[0];
+  const ui = entities.filter(e => e.kind === 'ui').map(e => e.name);
+  const components = entities.filter(e => e.kind === 'component' || e.kind === 'hook').map(e => e.name);
+  if (action === 'fix') {
+    derived.push(`${components.join(' and ') || targetModule || 'The affected page'} no longer ${components.length > 1 ? 'throw' : 'throws'} the reported error`);
+    derived.push('No errors in the browser console on the affected page');
+  } else if (action === 'delete') {
+    derived.push(`${ui.join(', ') || targetModule || 'The named element'} is no longer rendered`);
+  } else if (action === 'test') {
+    derived.push(`Playwright test for ${targetModule || 'the app'} passes against the staged files`);
+  } else {
+    if (mainFile) derived.push(`${mainFile} renders without console errors`);
+    for (const element of ui) derived.push(`A ${element} for ${targetModule || 'the page'} is visible and has a data-testid attribute`);
+    for (const route of entities.filter(e => e.kind === 'route')) derived.push(`The ${route.name} endpoint responds with status 200`);
+  }
+  if (!derived.length) derived.push(`${targetModule || 'The requested change'} works as described in the prompt`);
+  return derived;
+}
+
+/**
+ * Extracts an intent from a prompt using keyword tables and a file index.
+ * @param {string} prompt - Task prompt.
+ * @param {Object} [options] - fileIndex (repo-relative paths), uploadedFiles (multer files).
+ * @returns {Object} Intent with action, targetModule, affectedFiles, entities, acceptanceCriteria, confidence, ambiguities, source.
+ */
+function extractIntent(prompt, { fileIndex = [], uploadedFiles = [] } = {}) {
+  const cleaned = String(prompt || '').trim().replace(/^["']+|["']+$/g, '');
+  const text = cleaned.toLowerCase();
+  const { action, explicit } = extractAction(text);
+  const entities = extractEntities(cleaned, text);
+
+  for (const file of uploadedFiles || []) {
+    const name = (file.originalname || '').toLowerCase();
+    for (const [feature, keywords] of Object.entries(FEATURES)) {
+      if (keywords.some(keyword => name.includes(keyword)) && !entities.some(e => e.name === feature)) {
+        entities.push({ name: feature, kind: 'feature' });
+      }
+    }
+  }
+
+  const modules = extractModules(text, entities);
+  const targetModule = modules[0] || '';
+  const ambiguities = [];
+  if (!explicit) ambiguities.push('missing_action');
+  if (!targetModule) ambiguities.push('missing_target');
+  if (modules.length > 2) ambiguities.push('multiple_targets');
+
+  const affectedFiles = [];
+  const addFile = (filePath, isNewFile) => {
+    if (filePath && !affectedFiles.some(f => f.path === filePath)) affectedFiles.push({ path: filePath, isNewFile });
+  };
+  for (const entity of entities.filter(e => e.kind === 'component' || e.kind === 'hook')) {
+    addFile(findFileForName(entity.name, fileIndex), false);
+  }
+  const hasRoutes = entities.some(e => e.kind === 'route');
+  if (hasRoutes && targetModule) {
+    const routesName = `${targetModule}Routes`;
+    const existing = findFileForName(routesName, fileIndex, 'backend/src/routes/');
+    if (existing) addFile(existing, false);
+    else if (action === 'create') addFile(`backend/src/routes/${routesName}.js`, true);
+  }
+  const wantsPage = !hasRoutes || entities.some(e => e.kind === 'ui');
+  if (wantsPage && !affectedFiles.some(f => f.path.startsWith('frontend/')) && targetModule && MODULES[targetModule]) {
+    const page = MODULES[targetModule].page;
+    const existing = findFileForName(page, fileIndex, 'frontend/src/pages/');
+    if (existing) addFile(existing, false);
+    else if (action === 'create') addFile(`frontend/src/pages/${page}.jsx`, true);
+  }
+  if (!affectedFiles.length && action === 'create' && targetModule) {
+    addFile(`frontend/src/pages/${toPascalCase(targetModule)}.jsx`, true);
+  }
+  if (!affectedFiles.length && targetModule && action !== 'create') ambiguities.push('missing_files');
+
+  const meaningfulWords = text.split(/[^a-z0-9]+/).filter(w => w && !STOP_WORDS.has(w));
+  if (meaningfulWords.length < 3 && !entities.some(e => e.kind === 'component' || e.kind === 'hook')) ambiguities.push('vague');
+
+  let confidence = 0;
+  if (explicit) confidence += 0.35;
+  if (targetModule) confidence += 0.3;
+  if (affectedFiles.length) confidence += 0.2;
+  if (entities.length) confidence += 0.15;
+  confidence -= 0.15 * ambiguities.filter(a => a === 'multiple_targets' || a === 'vague').length;
+  confidence = Math.max(0, Math.min(1, Number(confidence.toFixed(2))));
+
+  const intent = { action, targetModule, affectedFiles, entities, confidence, ambiguities, source: 'rules' };
+  intent.acceptanceCriteria = extractAcceptanceCriteria(cleaned, intent);
+  return intent;
+}
+
+/**
+ * Coerces model output into the intent shape; unknown fields are dropped.
+ * @param {Object} raw - Parsed JSON from the model.
+ * @returns {Object} Intent candidate for validateIntent.
+ */
+function normalizeIntent(raw = {}) {
+  const asArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+  const action = String(raw.action || '').toLowerCase().trim();
+  return {
+    action: ACTIONS.includes(action) ? action : Object.keys(ACTION_KEYWORDS).find(a => ACTION_KEYWORDS[a].includes(action)) || action,
+    targetModule: String(raw.targetModule || raw.target || '').toLowerCase().trim(),
+    affectedFiles: asArray(raw.affectedFiles).map(f => (typeof f === 'string' ? { path: f, isNewFile: false } : { path: String(f?.path || ''), isNewFile: Boolean(f?.isNewFile) }))
+      .map(f => ({ ...f, path: f.path.replace(/\\/g, '/').replace(/^\/+/, '') }))
+      .filter(f => f.path),
+    entities: asArray(raw.entities).map(e => (typeof e === 'string' ? { name: e, kind: 'component' } : { name: String(e?.name || ''), kind: String(e?.kind || 'component').toLowerCase() }))
+      .filter(e => e.name),
+    acceptanceCriteria: asArray(raw.acceptanceCriteria).map(String).filter(c => c.trim()),
+    confidence: typeof raw.confidence === 'number' ? raw.confidence : 0.7,
+    ambiguities: asArray(raw.ambiguities).map(String).filter(a => QUESTIONS[a]),
+    source: 'llm',
+  };
+}
+
+/**
+ * Validates an intent against INTENT_SCHEMA.
+ * @param {Object} intent - Intent to check.
+ * @returns {Object} { valid, errors }.
+ */
+function validateIntent(intent) {
+  const errors = [];
+  if (!intent || typeof intent !== 'object') return { valid: false, errors: ['Intent must be an object'] };
+  for (const [field, rule] of Object.entries(INTENT_SCHEMA)) {
+    const value = intent[field];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${field} is required`);
+      continue;
+    }
+    if (rule.type === 'array') {
+      if (!Array.isArray(value)) {
+        errors.push(`${field} must be an array`);
+        continue;
+      }
+      value.forEach((item, index) => {
+        if (typeof rule.items === 'string') {
+          if (typeof item !== rule.items) errors.push(`${field}[${index}] must be a ${rule.items}`);
+          return;
+        }
+        for (const [key, type] of Object.entries(rule.items)) {
+          if (typeof item?.[key] !== type) errors.push(`${field}[${index}].${key} must be a ${type}`);
+        }
+      });
+      continue;
+    }
+    if (typeof value !== rule.type) {
+      errors.push(`${field} must be a ${rule.type}`);
+      continue;
+    }
+    if (rule.enum && !rule.enum.includes(value)) errors.push(`${field} must be one of ${rule.enum.join(', ')}`);
+    if (rule.min !== undefined && value < rule.min) errors.push(`${field} must be >= ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) errors.push(`${field} must be <= ${rule.max}`);
+  }
+  for (const [index, entity] of (Array.isArray(intent.entities) ? intent.entities : []).entries()) {
+    if (entity && typeof entity.kind === 'string' && !ENTITY_KINDS.includes(entity.kind)) {
+      errors.push(`entities[${index}].kind must be one of ${ENTITY_KINDS.join(', ')}`);
+    }
+  }
+  for (const [index, file] of (Array.isArray(intent.affectedFiles) ? intent.affectedFiles : []).entries()) {
+    if (typeof file?.path === 'string' && (file.path.split('/').includes('..') || path.isAbsolute(file.path))) {
+      errors.push(`affectedFiles[${index}].path must be repo-relative`);
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Maps an intent's ambiguities to clarifying questions.
+ * @param {Object} intent - Intent with ambiguities.
+ * @returns {Array<string>} Questions for the user.
+ */
+function clarifyingQuestions(intent) {
+  return [...new Set((intent?.ambiguities || []).map(code => QUESTIONS[code]).filter(Boolean))];
+}
+
+/**
+ * Checks whether an intent is too ambiguous to generate files from.
+ * @param {Object} intent - Intent with ambiguities.
+ * @returns {boolean} True if the task should wait for clarification.
+ */
+function needsClarification(intent) {
+  const codes = intent?.ambiguities || [];
+  return codes.includes('missing_target') && (codes.includes('missing_action') || codes.includes('vague'));
+}
+
+module.exports = {
+  ACTIONS,
+  INTENT_SCHEMA,
+  INTENT_CONFIDENCE_THRESHOLD,
+  buildFileIndex,
+  extractIntent,
+  normalizeIntent,
+  validateIntent,
+  clarifyingQuestions,
+  needsClarification,
+};
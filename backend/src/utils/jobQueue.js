@@ -0,0 +1,351 @@
+/*
+ * File Path: backend/src/utils/jobQueue.js
+ * Purpose: MongoDB-backed job queue for background task processing in Allur Space Console.
+ * How It Works:
+ *   - Jobs are documents in idurar_db.jobs; no external broker is needed.
+ *   - Workers in this process claim queued jobs atomically, up to a concurrency limit, and run the handler registered for the job type.
+ *   - Failed jobs are requeued with exponential backoff until maxAttempts, then marked failed.
+ *   - On startup, jobs left "running" by a previous process are requeued (or failed if out of attempts) before polling starts.
+ *   - Queue depth and worker status are broadcast to the console as "queueStatus" Socket.IO events.
+ * Mechanics:
+ *   - `registerHandler`: Maps a job type to an async handler and optional onRecover/onRetry/onFailed hooks.
+ *   - `enqueueJob`: Inserts a queued job; an active job for the same type and taskId is returned instead of a duplicate.
+ *   - `claimNextJob`: findOneAndUpdate queued → running with $inc attempts, oldest runAt first.
+ *   - `startQueue`: Recovers stuck jobs, then polls every TASK_QUEUE_POLL_MS and after each enqueue/finish.
+ *   - `cancelJob`: Marks queued jobs for a task cancelled; with includeRunning, running jobs too (taskControl.js stops the handler).
+ *   - `getQueueStats`: Counts per status plus active workers and concurrency.
+ * Dependencies:
+ *   - mongoose: Job model (version 8.13.2).
+ *   - lodash/debounce: Debounces queueStatus emissions (version 4.17.21).
+ *   - os: Worker ID from hostname and PID (Node.js built-in).
+ *   - socket.js: getIO for queueStatus events.
+ *   - logUtils.js: MongoDB logging.
+ *   - uuid: jobId and eventId (version 11.1.0).
+ * Dependents:
+ *   - taskManager.js: Registers the processTask handler, queueTask enqueues, cancelTask cancels queued and running jobs.
+ *   - taskRoutes.js: getQueueStats for GET /api/grok/queue.
+ *   - app.js: startQueue after Socket.IO is initialized.
+ * Why It’s Here:
+ *   - processTask ran inline in POST /edit with in-memory retries; a restart mid-task left tasks stuck in "processing" (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created MongoDB job queue with concurrency, backoff, and stuck-job recovery.
+ *     - Why: Task processing must survive restarts and not block the /edit request.
+ *     - How: Job documents claimed with findOneAndUpdate, runAt-based backoff, requeue of running jobs on startup, queueStatus events.
+ *     - Test: POST /api/grok/edit, restart the backend while the task is processing, verify the job is requeued and the task completes.
+ *   - 10/19/2026: cancelJob can cancel running jobs.
+ *     - Why: Running tasks can now be cancelled from the console.
+ *     - How: includeRunning marks running jobs cancelled; runJob already leaves non-running jobs untouched when the handler returns or throws.
+ *     - Test: Cancel a running task, verify its job is "cancelled" with attempts unchanged and not requeued.
+ * Test Instructions:
+ *   - Set TASK_QUEUE_CONCURRENCY=1, submit three prompts, verify GET /api/grok/queue shows running 1, queued 2.
+ *   - Make the processTask handler throw for a task, verify job.attempts increments and runAt moves out 2s, then 4s, before status "failed".
+ *   - Kill the backend while a job is running, restart, verify the job returns to "queued" and runs again.
+ * Rollback Instructions:
+ *   - Delete jobQueue.js, call processTask directly from POST /edit, remove startQueue from app.js.
+ * Future Enhancements:
+ *   - Job priorities and per-user fairness (Sprint 5).
+ *   - Lease renewal so multiple backend instances can share the queue (Sprint 5).
+ */
+
+const mongoose = require('mongoose');
+const os = require('os');
+const debounce = require('lodash/debounce');
+const { v4: uuidv4 } = require('uuid');
+const { getIO } = require('../socket');
+const { logInfo, logWarn, logError, logDebug } = require('./logUtils');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.TASK_QUEUE_CONCURRENCY, 10) || 2;
+const POLL_INTERVAL = parseInt(process.env.TASK_QUEUE_POLL_MS, 10) || 2000;
+const BACKOFF_BASE = parseInt(process.env.TASK_QUEUE_BACKOFF_MS, 10) || 2000;
+const BACKOFF_MAX = 60000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const handlers = new Map();
+const activeJobs = new Map();
+const state = { started: false, pumping: false, timer: null, concurrency: DEFAULT_CONCURRENCY };
+
+/**
+ * Registers the handler for a job type.
+ * @param {string} type - Job type, e.g. "processTask".
+ * @param {Function} handler - async (payload, job) => result.
+ * @param {Object} [hooks] - onRecover(jobs), onRetry(job, err, delayMs), onFailed(job, err).
+ * @returns {void}
+ */
+function registerHandler(type, handler, hooks = {}) {
+  handlers.set(type, { handler, ...hooks });
+}
+
+/**
+ * Computes the delay before the next attempt.
+ * @param {number} attempts - Attempts made so far.
+ * @returns {number} Delay in milliseconds.
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX);
+}
+
+/**
+ * Counts jobs per status for the console.
+ * @returns {Promise<Object>} { queued, running, completed, failed, cancelled, active, concurrency, workerId }.
+ */
+async function getQueueStats() {
+  const counts = await mongoose.model('Job').aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  const stats = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+  for (const { _id, count } of counts) {
+    stats[_id] = count;
+  }
+  return { ...stats, active: activeJobs.size, concurrency: state.concurrency, workerId };
+}
+
+const emitQueueStatus = debounce(async () => {
+  try {
+    const stats = await getQueueStats();
+    getIO().emit('queueStatus', { ...stats, timestamp: new Date().toISOString(), eventId: uuidv4() });
+  } catch (err) {
+    await logWarn(`Failed to emit queue status: ${err.message}`, 'jobQueue', { timestamp: new Date().toISOString() });
+  }
+}, 250);
+
+/**
+ * Adds a job to the queue.
+ * @param {string} type - Registered job type.
+ * @param {Object} payload - Handler input; must be serializable.
+ * @param {Object} [options] - taskId, user (email), maxAttempts.
+ * @returns {Promise<Object>} Job document (existing active job for the same task if one exists).
+ */
+async function enqueueJob(type, payload, { taskId, user, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type ${type}`);
+  }
+  const Job = mongoose.model('Job');
+  if (taskId) {
+    const existing = await Job.findOne({ type, taskId, status: { $in: ACTIVE_JOB_STATUSES } });
+    if (existing) {
+      await logDebug('Job already queued for task', 'jobQueue', { jobId: existing.jobId, taskId, status: existing.status, timestamp: new Date().toISOString() });
+      return existing;
+    }
+  }
+  const job = await Job.create({
+    jobId: uuidv4(),
+    type,
+    taskId,
+    payload,
+    maxAttempts,
+    user: user || 'admin@idurarapp.com',
+    runAt: new Date(),
+  });
+  await logInfo('Job queued', 'jobQueue', { jobId: job.jobId, type, taskId, user: job.user, timestamp: new Date().toISOString() });
+  emitQueueStatus();
+  setImmediate(pump);
+  return job;
+}
+
+/**
+ * Atomically claims the oldest runnable job.
+ * @returns {Promise<Object|null>} Claimed job or null.
+ */
+async function claimNextJob() {
+  return mongoose.model('Job').findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: new Date() }, type: { $in: [...handlers.keys()] } },
+    { $set: { status: 'running', lockedAt: new Date(), lockedBy: workerId }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1, createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Runs a claimed job and records the outcome.
+ * @param {Object} job - Claimed job document.
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const Job = mongoose.model('Job');
+  const entry = handlers.get(job.type);
+  const startedAt = Date.now();
+  try {
+    await logDebug('Job started', 'jobQueue', { jobId: job.jobId, type: job.type, taskId: job.taskId, attempt: job.attempts, timestamp: new Date().toISOString() });
+    await entry.handler(job.payload, job);
+    // Only a job still marked running is ours to complete; a cancelled job keeps its status
+    await Job.updateOne({ jobId: job.jobId, status: 'running' }, { $set: { status: 'completed', completedAt: new Date(), lockedAt: null, lockedBy: null } });
+    await logInfo('Job completed', 'jobQueue', { jobId: job.jobId, taskId: job.taskId, durationMs: Date.now() - startedAt, timestamp: new Date().toISOString() });
+  } catch (err) {
+    if (job.attempts < job.maxAttempts) {
+      const delay = backoffDelay(job.attempts);
+      const result = await Job.updateOne(
+        { jobId: job.jobId, status: 'running' },
+        { $set: { status: 'queued', runAt: new Date(Date.now() + delay), lastError: err.message, lockedAt: null, lockedBy: null } }
+      );
+      await logWarn(`Job attempt ${job.attempts}/${job.maxAttempts} failed, retrying in ${delay}ms: ${err.message}`, 'jobQueue', {
+        jobId: job.jobId,
+        taskId: job.taskId,
+        timestamp: new Date().toISOString(),
+      });
+      if (result.modifiedCount && entry.onRetry) await entry.onRetry(job, err, delay);
+    } else {
+      const result = await Job.updateOne(
+        { jobId: job.jobId, status: 'running' },
+        { $set: { status: 'failed', lastError: err.message, completedAt: new Date(), lockedAt: null, lockedBy: null } }
+      );
+      await logError(`Job failed after ${job.attempts} attempts: ${err.message}`, 'jobQueue', {
+        jobId: job.jobId,
+        taskId: job.taskId,
+        stack: err.stack,
+        timestamp: new Date().toISOString(),
+      });
+      if (result.modifiedCount && entry.onFailed) await entry.onFailed(job, err);
+    }
+  }
+}
+
+/**
+ * Claims jobs until all worker slots are busy or nothing is runnable.
+ * @returns {Promise<void>}
+ */
+async function pump() {
+  if (!state.started || state.pumping) return;
+  state.pumping = true;
+  try {
+    while (activeJobs.size < state.concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+      const run = runJob(job)
+        .catch(err => logError(`Job runner crashed: ${err.message}`, 'jobQueue', { jobId: job.jobId, stack: err.stack, timestamp: new Date().toISOString() }))
+        .finally(() => {
+          activeJobs.delete(job.jobId);
+          emitQueueStatus();
+          setImmediate(pump);
+        });
+      activeJobs.set(job.jobId, run);
+      emitQueueStatus();
+    }
+  } catch (err) {
+    await logError(`Queue poll failed: ${err.message}`, 'jobQueue', { stack: err.stack, timestamp: new Date().toISOString() });
+  } finally {
+    state.pumping = false;
+  }
+}
+
+/**
+ * Requeues jobs left running by a previous process.
+ * @returns {Promise<Object>} { requeued, failed } arrays of job documents.
+ */
+async function recoverStuckJobs() {
+  const Job = mongoose.model('Job');
+  const stuck = await Job.find({ status: 'running', lockedBy: { $ne: workerId } });
+  const recovered = { requeued: [], failed: [] };
+  for (const job of stuck) {
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+      job.completedAt = new Date();
+      recovered.failed.push(job);
+    } else {
+      job.status = 'queued';
+      job.runAt = new Date();
+      recovered.requeued.push(job);
+    }
+    job.lastError = `Interrupted by server restart (worker ${job.lockedBy || 'unknown'})`;
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+  }
+  if (stuck.length) {
+    await logWarn('Recovered stuck jobs', 'jobQueue', {
+      requeued: recovered.requeued.map(j => j.jobId),
+      failed: recovered.failed.map(j => j.jobId),
+      timestamp: new Date().toISOString(),
+    });
+  }
+  return recovered;
+}
+
+/**
+ * Recovers stuck jobs and starts polling.
+ * @param {Object} [options] - concurrency (defaults to TASK_QUEUE_CONCURRENCY or 2).
+ * @returns {Promise<void>}
+ */
+async function startQueue({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+  if (state.started) return;
+  state.concurrency = Math.max(1, concurrency);
+  const recovered = await recoverStuckJobs();
+  for (const [type, entry] of handlers) {
+    if (!entry.onRecover) continue;
+    const byType = {
+      requeued: recovered.requeued.filter(j => j.type === type),
+      failed: recovered.failed.filter(j => j.type === type),
+    };
+    await entry.onRecover(byType);
+  }
+  state.started = true;
+  state.timer = setInterval(pump, POLL_INTERVAL);
+  state.timer.unref?.();
+  await logInfo('Job queue started', 'jobQueue', {
+    workerId,
+    concurrency: state.concurrency,
+    pollIntervalMs: POLL_INTERVAL,
+    types: [...handlers.keys()],
+    timestamp: new Date().toISOString(),
+  });
+  emitQueueStatus();
+  setImmediate(pump);
+}
+
+/**
+ * Stops polling; running jobs finish on their own.
+ * @returns {void}
+ */
+function stopQueue() {
+  state.started = false;
+  if (state.timer) clearInterval(state.timer);
+  state.timer = null;
+}
+
+/**
+ * Cancels queued jobs for a task, and optionally running ones.
+ * A cancelled running job keeps its status when the handler returns, so it is neither completed nor retried.
+ * @param {string} taskId - Task ID.
+ * @param {Object} [options] - includeRunning also marks running jobs cancelled (the caller stops the handler).
+ * @returns {Promise<Object>} { cancelled, running } counts; running counts jobs still running or cancelled while running.
+ */
+async function cancelJob(taskId, { includeRunning = false } = {}) {
+  const Job = mongoose.model('Job');
+  const result = await Job.updateMany(
+    { taskId, status: 'queued' },
+    { $set: { status: 'cancelled', completedAt: new Date(), lastError: 'Cancelled' } }
+  );
+  let running;
+  if (includeRunning) {
+    const runningResult = await Job.updateMany(
+      { taskId, status: 'running' },
+      { $set: { status: 'cancelled', completedAt: new Date(), lastError: 'Cancelled while running', lockedAt: null, lockedBy: null } }
+    );
+    running = runningResult.modifiedCount;
+  } else {
+    running = await Job.countDocuments({ taskId, status: 'running' });
+  }
+  if (result.modifiedCount || (includeRunning && running)) {
+    await logInfo('Cancelled jobs', 'jobQueue', { taskId, cancelled: result.modifiedCount, running, timestamp: new Date().toISOString() });
+    emitQueueStatus();
+  }
+  return { cancelled: result.modifiedCount, running };
+}
+
+/**
+ * Returns the most recent active job for a task.
+ * @param {string} taskId - Task ID.
+ * @returns {Promise<Object|null>} Job document or null.
+ */
+async function getActiveJob(taskId) {
+  return mongoose.model('Job').findOne({ taskId, status: { $in: ACTIVE_JOB_STATUSES } }).sort({ createdAt: -1 });
+}
+
+module.exports = {
+  registerHandler,
+  enqueueJob,
+  startQueue,
+  stopQueue,
+  cancelJob,
+  getActiveJob,
+  getQueueStats,
+  backoffDelay,
+};
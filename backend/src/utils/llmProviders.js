@@ -0,0 +1,541 @@
+/*
+ * File Path: backend/src/utils/llmProviders.js
+ * Purpose: Pluggable LLM provider layer for file generation in Allur Space Console.
+ * How It Works:
+ *   - Keeps a registry of providers that turn a parsedPrompt into staged files ({ path, content, testInstructions }).
+ *   - Ships xai (Grok), openai (any OpenAI-compatible endpoint) and local (deterministic offline stub) providers.
+ *   - fileGeneratorV18.js registers its mock templates as the mock provider, which is also the offline fallback.
+ *   - Resolves the provider per task (parsedPrompt.provider), then the llm_provider setting, then LLM_PROVIDER, then mock.
+ *   - Parses structured JSON output from the model into stagedFiles and reports token usage and estimated cost.
+ * Mechanics:
+ *   - `registerProvider`: Adds a provider object ({ name, model, generate(parsedPrompt) }) to the registry.
+ *   - `resolveProviderName`: Picks the provider name for a task from prompt, Setting model, or environment.
+ *   - `generateWithProvider`: Calls the provider with retries, falls back to mock on failure, returns { files, usage }; an aborted signal stops both.
+ *   - `completeWithProvider`: Sends raw chat messages to providers with a complete(messages, { signal }) method (xai, openai).
+ *   - `buildRepairMessages`: Chat messages with the failed test output, console errors, optional screenshot, and staged files.
+ *   - `parseStructuredOutput`: Strips code fences, parses JSON, and validates each file entry.
+ *   - `estimateCost`: Converts token usage to USD using LLM_PRICING or built-in per-million-token prices.
+ * Dependencies:
+ *   - axios@1.8.4: HTTP calls to chat completion endpoints.
+ *   - logUtils.js: MongoDB logging.
+ *   - db.js: getModel for the Setting model.
+ * Dependents:
+ *   - fileGeneratorV18.js: Calls generateWithProvider from generateFiles.
+ *   - promptParser.js: Calls completeWithProvider when rule-based intent extraction is not confident.
+ *   - testRepair.js: Calls completeWithProvider with buildRepairMessages to patch staged files after a failed test.
+ * Why It’s Here:
+ *   - Replaces the hardcoded mockGrokAPI call with selectable providers for Sprint 3 (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created provider registry with xai, openai, local, and mock fallback.
+ *     - Why: fileGeneratorV18.js could only return mock templates, no real generation or cost tracking.
+ *     - How: Added OpenAI-compatible chat client via axios, JSON output parser, usage/cost accounting, mock fallback.
+ *     - Test: POST /api/grok/edit with { prompt: "Create an inventory system", provider: "local" }, verify stagedFiles and llmUsage on the task.
+ *   - 10/19/2026: Added completeWithProvider and intent context in buildMessages.
+ *     - Why: promptParser.js consults the model for intents when its rules are not confident.
+ *     - How: Split chat providers into complete(messages) and generate(parsedPrompt); buildMessages sends affectedFiles and acceptanceCriteria.
+ *     - Test: Set LLM_PROVIDER=xai, POST /api/grok/edit with "make it better", verify an llmCalls entry for the intent request.
+ *   - 10/19/2026: Passed an AbortSignal through generate and complete.
+ *     - Why: Cancelling a task must stop an in-flight LLM request.
+ *     - How: generateWithProvider forwards signal to provider.generate and axios, rethrows without retry or fallback once aborted.
+ *     - Test: Cancel a task while an xai request is pending, verify the request aborts and no mock files are staged.
+ *   - 10/19/2026: Sent retrieved context files in buildMessages.
+ *     - Why: The model only saw the prompt and intent, never the existing code it was changing.
+ *     - How: parsedPrompt.contextFiles from codeIndex.js (path, content within a byte budget) is added to the user message.
+ *     - Test: Set LLM_PROVIDER=xai, POST /api/grok/edit with "Add a search box to SponsorHub", verify the request body includes SponsorHub.jsx content.
+ *   - 10/19/2026: Added buildRepairMessages for the test repair loop.
+ *     - Why: Failed Playwright runs are fed back to the model to patch the staged code instead of the test.
+ *     - How: System prompt asks for changed files only in the usual JSON shape; the screenshot is an image part when LLM_VISION=true.
+ *     - Test: Set LLM_PROVIDER=openai and LLM_VISION=true, fail a test, verify the repair request carries an image_url part.
+ *   - 10/19/2026: completeWithProvider accepts signal.
+ *     - Why: The AbortSignal entry above only covered generate; intent and repair requests kept running after a cancel.
+ *     - How: { signal } is forwarded to provider.complete, which passes it to axios.
+ *     - Test: Set LLM_PROVIDER=xai, cancel a task during its intent request, verify the request aborts.
+ *   - 10/19/2026: Made the retry backoff abortable.
+ *     - Why: A cancel during the wait between attempts still slept up to 2 s before the loop noticed.
+ *     - How: The backoff uses delay(ms, signal), which clears its timer and rejects with signal.reason on abort.
+ *     - Test: Make xai fail with a 500, cancel the task during the backoff, verify the task stops right away with no further attempt.
+ * Test Instructions:
+ *   - Set LLM_PROVIDER=local in backend/.env, run `npm start`, POST /api/grok/edit with "Create an inventory system".
+ *   - Verify idurar_db.tasks has llmProvider "local", llmCalls with one entry, stagedFiles with frontend/src/pages/Inventory.jsx.
+ *   - Set LLM_PROVIDER=xai with XAI_API_KEY, repeat, verify llmUsage.totalTokens > 0 and llmUsage.costUsd populated.
+ *   - Unset XAI_API_KEY, repeat, verify llmCalls entry has fallbackFrom "xai" and mock templates are staged.
+ * Rollback Instructions:
+ *   - Delete llmProviders.js and revert fileGeneratorV18.js to call mockGrokAPI directly.
+ * Future Enhancements:
+ *   - Stream partial files to LiveFeed.jsx (Sprint 4).
+ *   - Per-user budgets based on llmUsage.costUsd (Sprint 5).
+ */
+
+const axios = require('axios');
+const { logInfo, logWarn, logError, logDebug } = require('./logUtils');
+const { getModel } = require('../db');
+
+const FALLBACK_PROVIDER = 'mock';
+const PROVIDER_SETTING_KEY = 'llm_provider';
+
+// USD per million tokens; override with LLM_PRICING='{"model":{"input":1,"output":2}}'
+const DEFAULT_PRICING = {
+  'grok-2-latest': { input: 2, output: 10 },
+  'grok-3': { input: 3, output: 15 },
+  'grok-3-mini': { input: 0.3, output: 0.5 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+};
+
+const providers = new Map();
+
+/**
+ * Registers a provider in the registry.
+ * @param {string} name - Provider name used by tasks and settings.
+ * @param {Object} provider - Provider with model and async generate(parsedPrompt) returning { files, usage }.
+ */
+function registerProvider(name, provider) {
+  if (!name || typeof name !== 'string' || !provider || typeof provider.generate !== 'function') {
+    throw new Error('Invalid provider: name and generate function are required');
+  }
+  providers.set(name.toLowerCase(), { name: name.toLowerCase(), ...provider });
+}
+
+/**
+ * Lists registered provider names.
+ * @returns {Array<string>} Provider names.
+ */
+function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Loads pricing table, merging LLM_PRICING overrides.
+ * @returns {Object} Pricing by model name.
+ */
+function getPricing() {
+  if (!process.env.LLM_PRICING) return DEFAULT_PRICING;
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch (err) {
+    console.warn('llmProviders: Invalid LLM_PRICING, using defaults:', err.message);
+    return DEFAULT_PRICING;
+  }
+}
+
+/**
+ * Estimates request cost in USD from token usage.
+ * @param {string} model - Model name.
+ * @param {Object} usage - Token usage with promptTokens and completionTokens.
+ * @returns {number} Estimated cost in USD.
+ */
+function estimateCost(model, usage = {}) {
+  const price = getPricing()[model];
+  if (!price) return 0;
+  const cost = ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1000000;
+  return Number(cost.toFixed(6));
+}
+
+/**
+ * Builds chat messages asking the model for structured file output.
+ * @param {Object} parsedPrompt - Parsed prompt with action, target, features, and prompt text.
+ * @returns {Array<Object>} Chat messages.
+ */
+function buildMessages(parsedPrompt) {
+  const { action = 'create', target = 'crm', features = [], backendChanges = [], prompt, intent, contextFiles = [] } = parsedPrompt;
+  return [
+    {
+      role: 'system',
+      content: [
+        'You generate source files for the Allur Space Console (React 18 + antd frontend in frontend/src, Express 5 + Mongoose backend in backend/src).',
+        'Respond with JSON only, no prose, matching:',
+        '{"files":[{"path":"frontend/src/pages/Example.jsx","content":"<full file contents>","testInstructions":"<manual test steps>"}]}',
+        'Paths are relative to the repository root. Use data-testid attributes on interactive elements.',
+        'contextFiles holds current contents of related files; when modifying one, return the full updated file and keep its existing exports.',
+      ].join('\n'),
+    },
+    {
+      role: 'user',
+      content: JSON.stringify({
+        prompt: prompt || `${action} ${target}`,
+        action,
+        target,
+        features,
+        backendChanges: backendChanges.length,
+        affectedFiles: intent?.affectedFiles || [],
+        acceptanceCriteria: intent?.acceptanceCriteria || [],
+        contextFiles: contextFiles.map(({ path, content }) => ({ path, content })),
+      }),
+    },
+  ];
+}
+
+/**
+ * Builds chat messages asking the model to patch staged files after a failed test run.
+ * @param {Object} failure - prompt, stagedFiles, failure output, consoleErrors, screenshot (base64 PNG).
+ * @returns {Array<Object>} Chat messages; the screenshot is attached as an image part only when LLM_VISION=true.
+ */
+function buildRepairMessages({ prompt, stagedFiles = [], failure, consoleErrors = [], screenshot }) {
+  const details = JSON.stringify({
+    prompt,
+    failure,
+    consoleErrors,
+    screenshotAttached: !!(screenshot && process.env.LLM_VISION === 'true'),
+    stagedFiles: stagedFiles.map(({ path, content }) => ({ path, content })),
+  });
+  return [
+    {
+      role: 'system',
+      content: [
+        'You repair source files for the Allur Space Console after its Playwright test failed.',
+        'Fix the code in stagedFiles so the test passes; do not weaken or rewrite the test.',
+        'Respond with JSON only, no prose, matching:',
+        '{"files":[{"path":"<a stagedFiles path>","content":"<full fixed file contents>","testInstructions":"<manual test steps>"}]}',
+        'Return only the files you changed, with their full contents.',
+      ].join('\n'),
+    },
+    {
+      role: 'user',
+      content: screenshot && process.env.LLM_VISION === 'true'
+        ? [{ type: 'text', text: details }, { type: 'image_url', image_url: { url: `data:image/png;base64,${screenshot}` } }]
+        : details,
+    },
+  ];
+}
+
+/**
+ * Parses structured model output into staged files.
+ * @param {string} text - Raw model output.
+ * @returns {Array<Object>} Files with path, content, and testInstructions.
+ */
+function parseStructuredOutput(text) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Empty model output');
+  }
+  let body = text.trim();
+  const fenced = body.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) body = fenced[1].trim();
+  if (!body.startsWith('{') && !body.startsWith('[')) {
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('Model output contains no JSON object');
+    }
+    body = body.slice(start, end + 1);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (err) {
+    throw new Error(`Model output is not valid JSON: ${err.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed.files;
+  if (!Array.isArray(entries)) {
+    throw new Error('Model output missing files array');
+  }
+  const files = entries
+    .filter(f => f && typeof f.path === 'string' && f.path.trim() && typeof f.content === 'string' && f.content.trim())
+    .map(f => ({
+      path: f.path.trim().replace(/\\/g, '/').replace(/^\/+/, ''),
+      content: f.content,
+      testInstructions: typeof f.testInstructions === 'string' ? f.testInstructions : '',
+    }));
+  if (!files.length) {
+    throw new Error('Model output contained no valid files');
+  }
+  return files;
+}
+
+/**
+ * Creates a provider backed by an OpenAI-compatible /chat/completions endpoint.
+ * @param {Object} config - baseURL, apiKeyEnv, model, and modelEnv.
+ * @returns {Object} Provider object.
+ */
+function createChatCompletionProvider({ baseURL, apiKeyEnv, model, modelEnv }) {
+  return {
+    get model() {
+      return process.env[modelEnv] || model;
+    },
+    async complete(messages, { signal } = {}) {
+      const apiKey = process.env[apiKeyEnv];
+      if (!apiKey) {
+        throw new Error(`${apiKeyEnv} is not set`);
+      }
+      const activeModel = process.env[modelEnv] || model;
+      const response = await axios.post(
+        `${typeof baseURL === 'function' ? baseURL() : baseURL}/chat/completions`,
+        {
+          model: activeModel,
+          messages,
+          temperature: 0,
+          stream: false,
+        },
+        {
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+          timeout: Number(process.env.LLM_TIMEOUT_MS) || 120000,
+          signal,
+        }
+      );
+      return {
+        text: response.data?.choices?.[0]?.message?.content,
+        usage: {
+          promptTokens: response.data?.usage?.prompt_tokens || 0,
+          completionTokens: response.data?.usage?.completion_tokens || 0,
+        },
+        model: response.data?.model || activeModel,
+      };
+    },
+    async generate(parsedPrompt, { signal } = {}) {
+      const { text, usage, model: usedModel } = await this.complete(buildMessages(parsedPrompt), { signal });
+      return { files: parseStructuredOutput(text), usage, model: usedModel };
+    },
+  };
+}
+
+/**
+ * Converts a target/feature name to a PascalCase component name.
+ * @param {string} name - Raw name.
+ * @returns {string} PascalCase name.
+ */
+function toComponentName(name) {
+  const cleaned = String(name || 'system').replace(/[^a-zA-Z0-9]+/g, ' ').trim();
+  return cleaned.split(/\s+/).map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join('') || 'System';
+}
+
+// Deterministic offline provider: same parsedPrompt always yields the same files
+const localProvider = {
+  model: 'local-stub',
+  async generate(parsedPrompt) {
+    const { target = 'system', features = [] } = parsedPrompt;
+    const names = [...new Set([target, ...features].filter(n => typeof n === 'string' && n.trim()).map(toComponentName))];
+    const files = names.map(name => {
+      const slug = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+      return {
+        path: `frontend/src/pages/${name}.jsx`,
+        content: [
+          "import React from 'react';",
+          "import { Card } from 'antd';",
+          '',
+          `const ${name} = () => (`,
+          `  <Card title="${name}" data-testid="${slug}-card">`,
+          `    <p data-testid="${slug}-body">${name} module</p>`,
+          '  </Card>',
+          ');',
+          '',
+          `export default ${name};`,
+          '',
+        ].join('\n'),
+        testInstructions: [
+          `Test Instructions for ${name}.jsx:`,
+          `- Navigate to http://localhost:3000/${slug}`,
+          `- Verify the card renders with data-testid="${slug}-card"`,
+        ].join('\n'),
+      };
+    });
+    const completionTokens = Math.ceil(files.reduce((sum, f) => sum + f.content.length, 0) / 4);
+    const promptTokens = Math.ceil(JSON.stringify(buildMessages(parsedPrompt)).length / 4);
+    return { files, usage: { promptTokens, completionTokens }, model: 'local-stub' };
+  },
+};
+
+registerProvider('xai', createChatCompletionProvider({
+  baseURL: () => process.env.XAI_BASE_URL || 'https://api.x.ai/v1',
+  apiKeyEnv: 'XAI_API_KEY',
+  model: 'grok-2-latest',
+  modelEnv: 'XAI_MODEL',
+}));
+registerProvider('openai', createChatCompletionProvider({
+  baseURL: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  model: 'gpt-4o-mini',
+  modelEnv: 'OPENAI_MODEL',
+}));
+registerProvider('local', localProvider);
+
+/**
+ * Resolves which provider a task should use.
+ * @param {Object} parsedPrompt - Parsed prompt, may carry provider.
+ * @returns {Promise<string>} Provider name.
+ */
+async function resolveProviderName(parsedPrompt = {}) {
+  const requested = typeof parsedPrompt.provider === 'string' ? parsedPrompt.provider.toLowerCase() : null;
+  if (requested && providers.has(requested)) return requested;
+  if (requested) {
+    await logWarn(`Unknown LLM provider requested: ${requested}`, 'llmProviders', {
+      requested,
+      available: listProviders(),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  try {
+    const Setting = await getModel('Setting');
+    const setting = await Setting.findOne({ settingKey: PROVIDER_SETTING_KEY }).lean();
+    const value = setting?.settingValue?.toLowerCase();
+    if (value && providers.has(value)) return value;
+  } catch (err) {
+    await logWarn(`Failed to read ${PROVIDER_SETTING_KEY} setting: ${err.message}`, 'llmProviders', {
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const envValue = process.env.LLM_PROVIDER?.toLowerCase();
+  if (envValue && providers.has(envValue)) return envValue;
+  return FALLBACK_PROVIDER;
+}
+
+/**
+ * Waits between retries; rejects with the abort reason as soon as the signal fires.
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Generates files with the resolved provider, falling back to mock templates on failure.
+ * @param {Object} parsedPrompt - Parsed prompt with target, features, and optional provider.
+ * @param {Object} [options] - taskId for logging, signal (AbortSignal) to cancel provider requests.
+ * @returns {Promise<Object>} { files, usage } where usage has provider, model, tokens, costUsd, durationMs, fallbackFrom.
+ */
+async function generateWithProvider(parsedPrompt, { taskId, signal } = {}) {
+  const providerName = await resolveProviderName(parsedPrompt);
+  const provider = providers.get(providerName);
+  const maxAttempts = providerName === FALLBACK_PROVIDER || providerName === 'local' ? 1 : 3;
+  const startedAt = Date.now();
+  let attempt = 0;
+  let lastError;
+
+  while (attempt < maxAttempts) {
+    try {
+      const result = await provider.generate(parsedPrompt, { signal });
+      const usage = buildUsage(providerName, result, startedAt);
+      await logInfo('LLM provider generated files', 'llmProviders', {
+        taskId,
+        provider: providerName,
+        model: usage.model,
+        fileCount: result.files.length,
+        totalTokens: usage.totalTokens,
+        costUsd: usage.costUsd,
+        attempt: attempt + 1,
+        timestamp: new Date().toISOString(),
+      });
+      return { files: result.files, usage };
+    } catch (err) {
+      // A cancelled task gets neither retries nor the mock fallback
+      if (signal?.aborted) throw err;
+      attempt++;
+      lastError = err;
+      await logWarn(`LLM provider ${providerName} attempt ${attempt}/${maxAttempts} failed: ${err.message}`, 'llmProviders', {
+        taskId,
+        provider: providerName,
+        status: err.response?.status,
+        attempt,
+        timestamp: new Date().toISOString(),
+      });
+      if (err.response?.status === 401 || /is not set/.test(err.message)) break;
+      if (attempt < maxAttempts) {
+        await delay(1000 * attempt, signal);
+      }
+    }
+  }
+
+  if (providerName === FALLBACK_PROVIDER || !providers.has(FALLBACK_PROVIDER)) {
+    await logError(`LLM generation failed: ${lastError.message}`, 'llmProviders', {
+      taskId,
+      provider: providerName,
+      stack: lastError.stack,
+      timestamp: new Date().toISOString(),
+    });
+    throw lastError;
+  }
+
+  await logWarn(`Falling back to ${FALLBACK_PROVIDER} provider`, 'llmProviders', {
+    taskId,
+    failedProvider: providerName,
+    reason: lastError.message,
+    timestamp: new Date().toISOString(),
+  });
+  const fallbackStart = Date.now();
+  const result = await providers.get(FALLBACK_PROVIDER).generate(parsedPrompt);
+  const usage = { ...buildUsage(FALLBACK_PROVIDER, result, fallbackStart), fallbackFrom: providerName, error: lastError.message };
+  await logDebug('Fallback provider generated files', 'llmProviders', {
+    taskId,
+    fileCount: result.files.length,
+    timestamp: new Date().toISOString(),
+  });
+  return { files: result.files, usage };
+}
+
+/**
+ * Sends raw chat messages to the resolved provider, without retries or fallback.
+ * @param {Array<Object>} messages - Chat messages.
+ * @param {Object} [options] - taskId for logging, provider to override resolution, signal (AbortSignal) to cancel the request.
+ * @returns {Promise<Object>} { text, usage } where usage matches generateWithProvider.
+ */
+async function completeWithProvider(messages, { taskId, provider, signal } = {}) {
+  const providerName = await resolveProviderName({ provider });
+  const selected = providers.get(providerName);
+  if (!selected || typeof selected.complete !== 'function') {
+    throw new Error(`LLM provider ${providerName} does not support completions`);
+  }
+  const startedAt = Date.now();
+  const result = await selected.complete(messages, { signal });
+  if (!result.text || typeof result.text !== 'string') {
+    throw new Error('Empty model output');
+  }
+  const usage = buildUsage(providerName, result, startedAt);
+  await logDebug('LLM provider completed messages', 'llmProviders', {
+    taskId,
+    provider: providerName,
+    model: usage.model,
+    totalTokens: usage.totalTokens,
+    timestamp: new Date().toISOString(),
+  });
+  return { text: result.text, usage };
+}
+
+/**
+ * Normalizes provider usage into the shape stored on Task.llmCalls.
+ * @param {string} providerName - Provider that produced the result.
+ * @param {Object} result - Provider result with usage and model.
+ * @param {number} startedAt - Start time in ms.
+ * @returns {Object} Usage record.
+ */
+function buildUsage(providerName, result, startedAt) {
+  const model = result.model || providers.get(providerName).model || providerName;
+  const promptTokens = result.usage?.promptTokens || 0;
+  const completionTokens = result.usage?.completionTokens || 0;
+  return {
+    provider: providerName,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    costUsd: estimateCost(model, { promptTokens, completionTokens }),
+    durationMs: Date.now() - startedAt,
+    createdAt: new Date(),
+  };
+}
+
+module.exports = {
+  registerProvider,
+  listProviders,
+  resolveProviderName,
+  generateWithProvider,
+  completeWithProvider,
+  buildRepairMessages,
+  parseStructuredOutput,
+  estimateCost,
+  FALLBACK_PROVIDER,
+};
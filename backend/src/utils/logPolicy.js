@@ -0,0 +1,107 @@
+/*
+ * File Path: backend/src/utils/logPolicy.js
+ * Purpose: Retention and redaction rules for the Log and DebugLog collections of Allur Space Console.
+ * How It Works:
+ *   - Each level is kept for a number of days; expiresAtFor stamps the expiry that the Log TTL index acts on.
+ *   - Debug logs go to the capped DebugLog collection, which keeps the newest DEBUG_LOG_CAP_BYTES and drops the oldest.
+ *   - redact removes credentials from log details and messages before they are stored.
+ * Mechanics:
+ *   - Retention defaults: error 90 days, warn 30, info 14, debug 2; LOG_RETENTION_<LEVEL>_DAYS overrides each.
+ *   - Keys matching SENSITIVE_KEY (authorization, cookie, password, secret, token, api key) are replaced with "[REDACTED]".
+ *   - Strings lose bearer tokens, JWTs, and the value of JWT_SECRET; Buffers are replaced with their size.
+ *   - Only plain objects and arrays are walked; ObjectIds and other class instances are stored as they are.
+ *   - Objects deeper than MAX_DEPTH and circular references are cut off instead of being serialized.
+ * Dependencies:
+ *   - None (Node.js only), so db.js can require it without a cycle.
+ * Dependents:
+ *   - db.js: Log/DebugLog pre-validate hook (redaction, expiresAt, taskId) and the DebugLog cap.
+ *   - logUtils.js: applyLogRetention backfill.
+ * Why It’s Here:
+ *   - Every log line, including request headers and bodies, was stored forever with Authorization headers in clear text (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created log retention and redaction policy.
+ *     - Why: Logs need per-level retention, a bounded debug tier, and no credentials at rest.
+ *     - How: Retention days per level, capped DebugLog size, key and value based redaction.
+ *     - Test: logError with details { headers: { authorization: "Bearer x" } }, verify idurar_db.logs stores "[REDACTED]".
+ * Test Instructions:
+ *   - Set LOG_RETENTION_INFO_DAYS=1, run `npm start`, verify new info logs have expiresAt one day after timestamp.
+ *   - POST /api/auth/login, verify no password or token in idurar_db.logs or idurar_db.debuglogs.
+ * Rollback Instructions:
+ *   - Delete logPolicy.js and remove the Log hook and DebugLog model from db.js.
+ * Future Enhancements:
+ *   - Retention per context, e.g. keep taskManager errors longer (Sprint 5).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = { error: 90, warn: 30, info: 14, debug: 2 };
+const DEBUG_LOG_CAP_BYTES = (Number(process.env.DEBUG_LOG_CAP_MB) || 64) * 1024 * 1024;
+const SENSITIVE_KEY = /password|passwd|secret|authorization|cookie|api[-_]?key|^(token|access[-_]?token|refresh[-_]?token|id[-_]?token|jwt)$/i;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+/**
+ * Retention in days per level, with LOG_RETENTION_<LEVEL>_DAYS overrides.
+ * @returns {Object} Days by level.
+ */
+function retentionDays() {
+  return Object.fromEntries(Object.entries(DEFAULT_RETENTION_DAYS).map(([level, days]) => {
+    const override = Number(process.env[`LOG_RETENTION_${level.toUpperCase()}_DAYS`]);
+    return [level, override > 0 ? override : days];
+  }));
+}
+
+/**
+ * Expiry of a log entry; unknown levels are kept as long as info.
+ * @param {string} level - Log level.
+ * @param {Date|string} [from] - Log timestamp, defaults to now.
+ * @returns {Date} Time after which the TTL index removes the entry.
+ */
+function expiresAtFor(level, from = new Date()) {
+  const days = retentionDays();
+  const start = new Date(from);
+  const base = Number.isNaN(start.getTime()) ? Date.now() : start.getTime();
+  return new Date(base + (days[level] || days.info) * DAY_MS);
+}
+
+/**
+ * Removes bearer tokens, JWTs, and the JWT secret from a string.
+ * @param {string} text - Text to clean.
+ * @returns {string} Redacted text.
+ */
+function redactString(text) {
+  let result = text.replace(BEARER_PATTERN, `$1 ${REDACTED}`).replace(JWT_PATTERN, REDACTED);
+  const secret = process.env.JWT_SECRET;
+  if (secret && secret.length >= 8) result = result.split(secret).join(REDACTED);
+  return result;
+}
+
+/**
+ * Copies a value with credentials removed.
+ * @param {*} value - Log details, message, or any nested value.
+ * @param {number} [depth] - Current depth (internal).
+ * @param {WeakSet} [seen] - Objects already visited (internal).
+ * @returns {*} Redacted copy.
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value;
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  const source = typeof value.toObject === 'function' ? value.toObject() : value;
+  const proto = Object.getPrototypeOf(source);
+  if (!Array.isArray(source) && proto !== Object.prototype && proto !== null) return value; // ObjectId, Error, class instances
+  seen.add(value);
+  const result = Array.isArray(source)
+    ? source.map(item => redact(item, depth + 1, seen))
+    : Object.fromEntries(Object.entries(source).map(([key, item]) => (
+      [key, SENSITIVE_KEY.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1, seen)]
+    )));
+  seen.delete(value); // Only ancestors count as circular; the same object may appear twice side by side
+  return result;
+}
+
+module.exports = { DEBUG_LOG_CAP_BYTES, retentionDays, expiresAtFor, redact };
@@ -0,0 +1,134 @@
+/*
+ * File Path: backend/src/utils/logQuery.js
+ * Purpose: Filtered, paginated reads of the Log and DebugLog collections for Allur Space Console.
+ * How It Works:
+ *   - listLogs filters by level, context, taskId, time range, and message text, newest first.
+ *   - Pages are cut by _id: pass nextBefore from one page as `before` for the next, so new logs do not shift pages.
+ * Mechanics:
+ *   - level takes one level or a comma-separated list (e.g. "warn,error"); without it info, warn, and error are listed.
+ *   - level "debug" reads the capped DebugLog collection and cannot be combined with other levels.
+ *   - taskId matches the indexed taskId and, for logs written before it existed, details.taskId.
+ *   - from/to are ISO dates or anything Date parses; invalid values are rejected instead of ignored.
+ *   - Only logs of tasks the requester can see (own, unowned, and admin@idurarapp.com tasks) or of their own requests
+ *     (details.user) are listed, like the per-user scoping of task events.
+ * Dependencies:
+ *   - mongoose: ObjectId validation for the cursor (version 8.13.2).
+ *   - db.js: getModel for the Task, Log, and DebugLog models.
+ * Dependents:
+ *   - logRoutes.js: GET /api/logs.
+ * Why It’s Here:
+ *   - Logs were only readable in MongoDB directly; the "log filtering endpoint" was a Sprint 4 enhancement (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created log query.
+ *     - Why: GET /api/logs with level, context, time, and taskId filters and cursor pagination.
+ *     - How: Filter built from query parameters, sort and cursor on _id, limit + 1 to detect more pages.
+ *     - Test: GET /api/logs?level=error&limit=5, verify five errors and nextBefore; pass it as before, verify older errors.
+ *   - 10/19/2026: Scoped logs to the requester.
+ *     - Why: Any signed-in admin could page through every user's task logs, prompts, and details.
+ *     - How: listLogs takes userEmail; logScopeFilter matches taskId or details.taskId against the user's visible tasks, or
+ *       details.user, and is shared with analytics.js.
+ *     - Test: As user B, GET /api/logs?taskId=<user A's task>, verify an empty page.
+ * Test Instructions:
+ *   - GET /api/logs?taskId=<taskId>, verify only that task's logs.
+ *   - GET /api/logs?level=debug,error, verify 400 "Invalid level: debug cannot be combined with other levels".
+ * Rollback Instructions:
+ *   - Delete logQuery.js and logRoutes.js and remove logRoutes from app.js.
+ * Future Enhancements:
+ *   - Stream matching logs as they are written (Sprint 5).
+ */
+
+const mongoose = require('mongoose');
+const { getModel } = require('../db');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses a date query parameter.
+ * @param {string} value - Date string.
+ * @param {string} field - Parameter name for the error message.
+ * @returns {Date|null} Date, or null when no value was given.
+ */
+function parseDate(value, field) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parses the level parameter.
+ * @param {string} level - One level or a comma-separated list.
+ * @returns {Array<string>} Levels; empty for all persistent levels.
+ */
+function parseLevels(level) {
+  if (!level) return [];
+  const levels = [...new Set(String(level).split(',').map(l => l.trim().toLowerCase()).filter(Boolean))];
+  const unknown = levels.find(l => !LEVELS.includes(l));
+  if (unknown) {
+    throw new Error(`Invalid level: ${unknown}`);
+  }
+  if (levels.includes('debug') && levels.length > 1) {
+    throw new Error('Invalid level: debug cannot be combined with other levels');
+  }
+  return levels;
+}
+
+/**
+ * Builds the filter for the logs a user may read: those of the tasks GET /api/grok/tasks shows them, or of their own requests.
+ * @param {string} userEmail - Requesting user.
+ * @returns {Promise<Object>} MongoDB filter for Log and DebugLog.
+ */
+async function logScopeFilter(userEmail) {
+  const Task = await getModel('Task');
+  const taskIds = await Task.distinct('taskId', { user: { $in: [userEmail, null, undefined, 'admin@idurarapp.com'] } });
+  return { $or: [{ taskId: { $in: taskIds } }, { 'details.taskId': { $in: taskIds } }, { 'details.user': userEmail }] };
+}
+
+/**
+ * Pages through logs, newest first, limited to the requester's tasks and requests.
+ * @param {Object} params - { level, context, taskId, from, to, q, before, limit }.
+ * @param {Object} options - { userEmail } of the requester.
+ * @returns {Promise<Object>} { logs, nextBefore, hasMore }; pass nextBefore as `before` for the next page.
+ */
+async function listLogs({ level, context, taskId, from, to, q, before, limit } = {}, { userEmail } = {}) {
+  if (!userEmail) {
+    throw new Error('userEmail required');
+  }
+  const levels = parseLevels(level);
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = { $and: [await logScopeFilter(userEmail)] };
+  if (levels.length && levels[0] !== 'debug') filter.level = { $in: levels };
+  if (context) filter.context = context;
+  if (taskId) filter.$and.push({ $or: [{ taskId }, { 'details.taskId': taskId }] });
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate || toDate) {
+    filter.timestamp = {};
+    if (fromDate) filter.timestamp.$gte = fromDate;
+    if (toDate) filter.timestamp.$lte = toDate;
+  }
+  if (q && q.trim()) filter.message = new RegExp(escapeRegex(q.trim()), 'i');
+  if (before) {
+    if (!mongoose.isValidObjectId(before)) {
+      throw new Error(`Invalid before cursor: ${before}`);
+    }
+    filter._id = { $lt: new mongoose.Types.ObjectId(String(before)) };
+  }
+
+  const Model = await getModel(levels[0] === 'debug' ? 'DebugLog' : 'Log');
+  const logs = await Model.find(filter).sort({ _id: -1 }).limit(pageSize + 1).lean();
+  const page = logs.slice(0, pageSize);
+  const hasMore = logs.length > pageSize;
+  return { logs: page, nextBefore: hasMore ? String(page[page.length - 1]._id) : null, hasMore };
+}
+
+module.exports = { listLogs, logScopeFilter };
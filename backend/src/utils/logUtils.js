@@ -5,12 +5,17 @@
  *   - Provides functions (logInfo, logDebug, logWarn, logError) to log to idurar_db.logs using Log model.
  *   - Validates Log model, falls back to console if invalid or unavailable.
  *   - Implements retry logic with exponential backoff to handle buffering timeouts.
+ *   - Debug logs go to the capped DebugLog collection; info, warn, and error logs to Log, which expires them per level.
+ *   - Details are redacted (logPolicy.js) before they are stored or printed.
  * Mechanics:
- *   - Uses mongoose.model to access Log model, avoiding circular dependencies.
+ *   - Uses the Log and DebugLog schemas from db.js; db.js requires logUtils.js lazily, so there is no cycle.
+ *   - `applyLogRetention`: Startup backfill of expiresAt for logs written before retention existed.
  *   - Retries failed writes up to 3 times with 1s, 2s, 4s delays.
  *   - Validates inputs (message, context) to prevent invalid logs.
  * Dependencies:
  *   - mongoose: MongoDB ORM (version 8.13.2).
+ *   - db.js: Log and DebugLog schemas.
+ *   - logPolicy.js: Retention days and redaction.
  * Why It's Here:
  *   - Unifies MongoDB logging for Sprint 2, fixing buffering timeout errors (User, 04/30/2025).
  * Change Log:
@@ -24,6 +29,10 @@
  *     - Why: Persistent logs.insertOne() buffering timeouts due to MongoDB connection failure (User, 05/06/2025).
  *     - How: Added mongoose connection status to error logs, improved timeout error details.
  *     - Test: Run `npm start`, simulate MongoDB failure, verify detailed logs in console, no crashes.
+ *   - 10/19/2026: Added per-level retention, the capped debug tier, and redaction.
+ *     - Why: Debug lines with full request headers and bodies were stored in idurar_db.logs forever, tokens included.
+ *     - How: Models from db.js instead of a second Log schema; debug to DebugLog; redact before writing; applyLogRetention at startup.
+ *     - Test: Run `npm start` with NODE_ENV=development, verify request logs in idurar_db.debuglogs with authorization "[REDACTED]".
  * Test Instructions:
  *   - Run `npm start`: Confirm idurar_db.logs shows startup logs (e.g., "Server running on port 8888"), no buffering timeout errors.
  *   - POST /api/grok/edit with "Build CRM system": Verify task creation logs in idurar_db.logs, no timeouts.
@@ -33,7 +42,6 @@
  *   - Revert to logUtils.js.bak (`copy backend\src\utils\logUtils.js.bak backend\src\utils\logUtils.js`).
  *   - Verify logs appear in idurar_db.logs post-rollback.
  * Future Enhancements:
- *   - Add log filtering endpoint (Sprint 4).
  *   - Support log analytics (Sprint 5).
  * Self-Notes:
  *   - Nate: Created unified logging with retry logic (05/01/2025).
@@ -41,40 +49,40 @@
  */
 
 const mongoose = require('mongoose');
+const { schemas } = require('../db');
+const { retentionDays, redact } = require('./logPolicy');
 
-let Log = null;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const logModels = {};
 
-async function initializeLogModel() {
-  if (!Log) {
+// Debug logs go to the capped DebugLog collection; info, warn, and error to Log with per-level expiry
+async function initializeLogModel(level) {
+  const modelName = level === 'debug' ? 'DebugLog' : 'Log';
+  if (!logModels[modelName]) {
     try {
-      const logSchema = new mongoose.Schema({
-        level: String,
-        message: String,
-        context: String,
-        details: Object,
-        timestamp: { type: Date, default: Date.now },
-      });
-      Log = mongoose.model('Log', logSchema, 'logs');
-      console.log('logUtils.js: Log model initialized', { timestamp: new Date().toISOString() });
+      logModels[modelName] = mongoose.models[modelName] || mongoose.model(modelName, schemas[modelName]);
+      console.log(`logUtils.js: ${modelName} model initialized`, { timestamp: new Date().toISOString() });
     } catch (err) {
-      console.error('logUtils.js: Failed to initialize Log model', {
+      console.error(`logUtils.js: Failed to initialize ${modelName} model`, {
         error: err.message,
         stack: err.stack,
         mongooseConnectionState: mongoose.connection.readyState,
         timestamp: new Date().toISOString(),
       });
-      Log = null;
+      logModels[modelName] = null;
     }
   }
-  return Log;
+  return logModels[modelName];
 }
 
-async function log(level, message, context, details) {
+async function log(level, message, context, rawDetails) {
+  // Redacted before any output; the Log schema hook redacts again for direct Log.create calls
+  const details = redact(rawDetails);
   try {
     if (!message || typeof message !== 'string' || !context || typeof context !== 'string') {
       throw new Error('Invalid log message or context');
     }
-    const LogModel = await initializeLogModel();
+    const LogModel = await initializeLogModel(level);
     if (LogModel) {
       let attempt = 0;
       const maxAttempts = 3;
@@ -156,4 +164,31 @@ async function logDebug(message, context, details = {}) {
   }
 }
 
-module.exports = { logInfo, logWarn, logError, logDebug };
+/**
+ * Sets expiresAt on logs stored before retention existed so the TTL index removes them.
+ * @returns {Promise<number>} Number of logs given an expiry.
+ */
+async function applyLogRetention() {
+  const LogModel = await initializeLogModel('info');
+  if (!LogModel) return 0;
+  const days = retentionDays();
+  const levels = Object.keys(days);
+  const groups = [
+    ...levels.map(level => ({ filter: { level }, days: days[level] })),
+    { filter: { level: { $nin: levels } }, days: days.info },
+  ];
+  let updated = 0;
+  for (const group of groups) {
+    const result = await LogModel.updateMany(
+      { ...group.filter, expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: [{ $ifNull: [{ $toDate: '$timestamp' }, '$$NOW'] }, group.days * DAY_MS] } } }]
+    );
+    updated += result.modifiedCount || 0;
+  }
+  if (updated) {
+    await logInfo('Applied log retention to existing logs', 'logUtils', { updated, retentionDays: days, timestamp: new Date().toISOString() });
+  }
+  return updated;
+}
+
+module.exports = { logInfo, logWarn, logError, logDebug, applyLogRetention };
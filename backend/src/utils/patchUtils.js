@@ -0,0 +1,353 @@
+/*
+ * File Path: backend/src/utils/patchUtils.js
+ * Purpose: Unified-diff patch generation and three-way merge for staged files in Allur Space Console.
+ * How It Works:
+ *   - Records the on-disk content hash (baseHash) of each staged file when it is generated.
+ *   - Stores the change as a unified diff against that base instead of relying on whole-file replacement.
+ *   - On apply, writes the staged content directly if the file is unchanged since staging.
+ *   - If the file changed on disk, rebuilds the base from the reversed patch and runs a line-based three-way merge.
+ *   - Overlapping edits are reported as conflicts and nothing is written.
+ * Mechanics:
+ *   - `hashContent`: sha256 of file content ('' for missing files).
+ *   - `stageFilePatches`: Adds baseHash, patch, isNewFile, and hunk stats to staged files; returns base contents.
+ *   - `restageFilePatches`: Re-diffs changed staged files against their original base (reconstructBase), not the disk.
+ *   - `mergeThreeWay`: diff3-style merge of base/ours/theirs, returns { merged, conflicts }.
+ *   - `planPatchApply`: Resolves every staged file to { path, content } or a conflict without touching disk.
+ *   - `applyStagedPatches`: Runs planPatchApply, writes only when all files merge cleanly.
+ * Dependencies:
+ *   - diff@5.2.0: createTwoFilesPatch, applyPatch, parsePatch, reversePatch, diffLines.
+ *   - crypto, fs.promises, path: Hashing and file operations.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - taskManager.js: stageFilePatches and restageFilePatches in processTask, applyStagedPatches in applyApprovedChanges.
+ *   - taskRoutes.js: restageFilePatches for files repaired by POST /test/:taskId.
+ * Why It’s Here:
+ *   - Replaces 10MB originalContent snapshots and wholesale overwrites with base-tracked diffs (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created patch staging, three-way merge, and conflict detection.
+ *     - Why: applyApprovedChanges overwrote files changed on disk since staging, losing edits.
+ *     - How: baseHash + unified diff per staged file, diff3-style merge on apply, conflicts block the write.
+ *     - Test: Stage a task, edit the target file on disk outside the changed lines, approve, verify both edits survive.
+ *   - 10/19/2026: Added restageFilePatches for repaired files.
+ *     - Why: Repaired files were staged again with stageFilePatches, so disk edits made after generation became the base
+ *       and apply overwrote them without a merge.
+ *     - How: The previous patch is reversed to its base (reconstructBase, shared with planPatchApply) and the repaired
+ *       content is diffed against it, keeping baseHash.
+ *     - Test: Stage a task, edit the file on disk, repair it through a failed test, approve, verify the disk edit survives.
+ * Test Instructions:
+ *   - POST /api/grok/edit with "Create an inventory system", verify stagedFiles[0].patch starts with "Index:" and baseHash is set.
+ *   - Edit frontend/src/pages/Inventory.jsx on disk in the same lines the task changed, approve the task.
+ *   - Verify task.status is "conflict", task.mergeConflicts lists the file, and the file on disk is unchanged.
+ * Rollback Instructions:
+ *   - Delete patchUtils.js and revert taskManager.js applyApprovedChanges to write fileObj.content directly.
+ * Future Enhancements:
+ *   - Interactive conflict resolution in the console (Sprint 4).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const Diff = require('diff');
+const { logInfo, logWarn, logDebug } = require('./logUtils');
+
+const repoRoot = path.join(__dirname, '../../../');
+
+/**
+ * Hashes file content for base tracking.
+ * @param {string|null} content - File content, null when the file does not exist.
+ * @returns {string} sha256 hex digest.
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+}
+
+/**
+ * Reads a repo-relative file, returning null if it does not exist.
+ * @param {string} relPath - Path relative to the repository root.
+ * @returns {Promise<string|null>} File content or null.
+ */
+async function readRepoFile(relPath) {
+  try {
+    return await fs.readFile(path.join(repoRoot, relPath), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Splits text into lines, keeping line endings so joins are lossless.
+ * @param {string} text - Text to split.
+ * @returns {Array<string>} Lines with endings.
+ */
+function splitLines(text) {
+  return (text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Builds a unified diff for one file.
+ * @param {string} relPath - Repo-relative path.
+ * @param {string} baseContent - Content on disk at staging time ('' for new files).
+ * @param {string} newContent - Staged content.
+ * @returns {string} Unified diff.
+ */
+function createFilePatch(relPath, baseContent, newContent) {
+  return Diff.createTwoFilesPatch(`a/${relPath}`, `b/${relPath}`, baseContent || '', newContent || '', '', '', { context: 3 });
+}
+
+/**
+ * Counts hunks and changed lines in a unified diff.
+ * @param {string} patch - Unified diff.
+ * @returns {Object} { hunks, additions, deletions }.
+ */
+function patchStats(patch) {
+  const [parsed] = Diff.parsePatch(patch);
+  const stats = { hunks: 0, additions: 0, deletions: 0 };
+  for (const hunk of parsed?.hunks || []) {
+    stats.hunks++;
+    for (const line of hunk.lines) {
+      if (line.startsWith('+')) stats.additions++;
+      else if (line.startsWith('-')) stats.deletions++;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Records base hashes and unified diffs on staged files.
+ * @param {Array} stagedFiles - Staged files with path and content.
+ * @param {Object} [options] - taskId for logging.
+ * @returns {Promise<Object>} { stagedFiles, baseContents } where baseContents maps path to on-disk content.
+ */
+async function stageFilePatches(stagedFiles, { taskId } = {}) {
+  const baseContents = {};
+  const patched = [];
+  for (const file of stagedFiles) {
+    const base = await readRepoFile(file.path);
+    const patch = createFilePatch(file.path, base, file.content);
+    baseContents[file.path] = base || '';
+    patched.push({
+      ...file,
+      baseHash: hashContent(base),
+      isNewFile: base === null,
+      patch,
+      stats: patchStats(patch),
+    });
+  }
+  await logDebug('Staged file patches', 'patchUtils', {
+    taskId,
+    files: patched.map(f => ({ path: f.path, isNewFile: f.isNewFile, ...f.stats })),
+    timestamp: new Date().toISOString(),
+  });
+  return { stagedFiles: patched, baseContents };
+}
+
+/**
+ * Rebuilds the content a staged file was diffed against by reversing its patch.
+ * @param {Object} file - Staged file with content, patch, baseHash.
+ * @returns {string|null} Base content ('' for new files), or null if the patch does not reverse to baseHash.
+ */
+function reconstructBase(file) {
+  const base = Diff.applyPatch(file.content || '', Diff.reversePatch(Diff.parsePatch(file.patch)[0]));
+  return base === false || hashContent(base) !== file.baseHash ? null : base;
+}
+
+/**
+ * Re-diffs changed staged files (e.g. repaired after a failed test) against the base they were first staged on.
+ * Reading the base from disk again would make edits made since staging the new base, and apply would overwrite them.
+ * @param {Array} stagedFiles - Changed staged files with path and content.
+ * @param {Array} previousFiles - The same files as staged before, with baseHash and patch.
+ * @param {Object} [options] - taskId for logging.
+ * @returns {Promise<Object>} { stagedFiles } in input order; files without a usable previous base are staged from disk.
+ */
+async function restageFilePatches(stagedFiles, previousFiles, { taskId } = {}) {
+  const previous = new Map((previousFiles || []).map(f => [f.path, f]));
+  const restaged = new Map();
+  const unbased = [];
+  for (const file of stagedFiles) {
+    const prior = previous.get(file.path);
+    const base = prior?.baseHash && prior.patch ? reconstructBase(prior) : null;
+    if (base === null) {
+      unbased.push(file);
+      continue;
+    }
+    const patch = createFilePatch(file.path, base, file.content);
+    restaged.set(file.path, { ...file, baseHash: prior.baseHash, isNewFile: prior.isNewFile, patch, stats: patchStats(patch) });
+  }
+  if (unbased.length) {
+    await logWarn('No previous base for restaged files, staging them against disk', 'patchUtils', {
+      taskId,
+      files: unbased.map(f => f.path),
+      timestamp: new Date().toISOString(),
+    });
+    const { stagedFiles: fromDisk } = await stageFilePatches(unbased, { taskId });
+    fromDisk.forEach(f => restaged.set(f.path, f));
+  }
+  return { stagedFiles: stagedFiles.map(f => restaged.get(f.path)) };
+}
+
+/**
+ * Converts a diff between base and a side into edit regions over base lines.
+ * @param {string} baseText - Base text.
+ * @param {string} sideText - Changed text.
+ * @returns {Array<Object>} Edits { start, end, lines } where [start, end) is replaced by lines.
+ */
+function collectEdits(baseText, sideText) {
+  const edits = [];
+  let index = 0;
+  let current = null;
+  for (const change of Diff.diffLines(baseText, sideText)) {
+    const lines = splitLines(change.value);
+    if (!change.added && !change.removed) {
+      if (current) edits.push(current);
+      current = null;
+      index += lines.length;
+      continue;
+    }
+    if (!current) current = { start: index, end: index, lines: [] };
+    if (change.removed) {
+      index += lines.length;
+      current.end = index;
+    } else {
+      current.lines.push(...lines);
+    }
+  }
+  if (current) edits.push(current);
+  return edits;
+}
+
+/**
+ * Checks whether two edits touch the same base region.
+ * @param {Object} a - Edit.
+ * @param {Object} b - Edit.
+ * @returns {boolean} True if they overlap.
+ */
+function editsOverlap(a, b) {
+  if (a.start === a.end && b.start === b.end) return a.start === b.start;
+  if (a.start === a.end) return a.start > b.start && a.start < b.end;
+  if (b.start === b.end) return b.start > a.start && b.start < a.end;
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Line-based three-way merge.
+ * @param {string} base - Common ancestor.
+ * @param {string} ours - Current content on disk.
+ * @param {string} theirs - Staged content.
+ * @returns {Object} { merged, conflicts } where conflicts lists overlapping base line ranges (1-based).
+ */
+function mergeThreeWay(base, ours, theirs) {
+  const baseLines = splitLines(base);
+  const oursEdits = collectEdits(base, ours).map(e => ({ ...e, side: 'ours' }));
+  const theirsEdits = collectEdits(base, theirs).map(e => ({ ...e, side: 'theirs' }));
+  const conflicts = [];
+
+  for (const a of oursEdits) {
+    for (const b of theirsEdits) {
+      if (!editsOverlap(a, b)) continue;
+      const same = a.start === b.start && a.end === b.end && a.lines.join('') === b.lines.join('');
+      if (same) {
+        b.duplicate = true;
+      } else {
+        conflicts.push({
+          baseStart: Math.min(a.start, b.start) + 1,
+          baseEnd: Math.max(a.end, b.end),
+          ours: a.lines.join(''),
+          theirs: b.lines.join(''),
+        });
+      }
+    }
+  }
+  if (conflicts.length) return { merged: null, conflicts };
+
+  const edits = [...oursEdits, ...theirsEdits.filter(e => !e.duplicate)].sort((a, b) => a.start - b.start || a.end - b.end);
+  const out = [];
+  let index = 0;
+  for (const edit of edits) {
+    out.push(...baseLines.slice(index, edit.start));
+    out.push(...edit.lines);
+    index = Math.max(index, edit.end);
+  }
+  out.push(...baseLines.slice(index));
+  return { merged: out.join(''), conflicts: [] };
+}
+
+/**
+ * Resolves the content each staged file should have after apply, without writing.
+ * @param {Array} stagedFiles - Staged files with path, content, baseHash, patch, isNewFile.
+ * @returns {Promise<Object>} { writes: [{ path, content, merged }], conflicts: [{ path, reason, hunks }] }.
+ */
+async function planPatchApply(stagedFiles) {
+  const writes = [];
+  const conflicts = [];
+  for (const file of stagedFiles) {
+    const current = await readRepoFile(file.path);
+
+    // Legacy staged files without a recorded base are applied as before
+    if (!file.baseHash || !file.patch) {
+      writes.push({ path: file.path, content: file.content, merged: false });
+      continue;
+    }
+    if (hashContent(current) === file.baseHash && (current !== null || file.isNewFile)) {
+      writes.push({ path: file.path, content: file.content, merged: false });
+      continue;
+    }
+    if (current === null) {
+      conflicts.push({ path: file.path, reason: 'File was deleted on disk since staging', hunks: [] });
+      continue;
+    }
+
+    const base = reconstructBase(file);
+    if (base === null) {
+      conflicts.push({ path: file.path, reason: 'Could not reconstruct base from patch', hunks: [] });
+      continue;
+    }
+    const { merged, conflicts: hunks } = mergeThreeWay(base, current, file.content);
+    if (hunks.length) {
+      conflicts.push({ path: file.path, reason: 'File changed on disk in the same lines since staging', hunks });
+    } else {
+      writes.push({ path: file.path, content: merged, merged: true });
+    }
+  }
+  return { writes, conflicts };
+}
+
+/**
+ * Applies staged patches to the working tree with conflict detection.
+ * @param {Array} stagedFiles - Staged files with patch metadata.
+ * @param {Object} [options] - taskId for logging.
+ * @returns {Promise<Object>} { applied: [{ path, merged }], conflicts }; nothing is written when conflicts exist.
+ */
+async function applyStagedPatches(stagedFiles, { taskId } = {}) {
+  const { writes, conflicts } = await planPatchApply(stagedFiles);
+  if (conflicts.length) {
+    await logWarn('Merge conflicts detected, no files written', 'patchUtils', {
+      taskId,
+      conflicts: conflicts.map(c => ({ path: c.path, reason: c.reason, hunks: c.hunks.length })),
+      timestamp: new Date().toISOString(),
+    });
+    return { applied: [], conflicts };
+  }
+  for (const write of writes) {
+    const targetPath = path.join(repoRoot, write.path);
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, write.content, 'utf8');
+  }
+  await logInfo('Applied staged patches', 'patchUtils', {
+    taskId,
+    files: writes.map(w => ({ path: w.path, merged: w.merged })),
+    timestamp: new Date().toISOString(),
+  });
+  return { applied: writes.map(w => ({ path: w.path, merged: w.merged })), conflicts: [] };
+}
+
+module.exports = {
+  hashContent,
+  createFilePatch,
+  patchStats,
+  stageFilePatches,
+  restageFilePatches,
+  mergeThreeWay,
+  planPatchApply,
+  applyStagedPatches,
+};
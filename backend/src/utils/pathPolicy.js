@@ -0,0 +1,160 @@
+/*
+ * File Path: backend/src/utils/pathPolicy.js
+ * Purpose: Path allowlist and protected-file policy for staged writes in Allur Space Console.
+ * How It Works:
+ *   - Resolves every generated or proposed path against the repo root and rejects paths that escape it or its allowed roots.
+ *   - Rejects protected files (app entry, auth, db, env, package manifests), disallowed extensions, and oversized content.
+ *   - The policy defaults below can be overridden per field with a JSON `path_policy` Setting.
+ * Mechanics:
+ *   - `getPathPolicy`: Defaults merged with the path_policy Setting, cached for POLICY_TTL.
+ *   - `checkPath`: { absolutePath, relativePath, violations: [{ path, rule, message }] } for one path and optional content.
+ *   - `checkFiles`: Splits files into { allowed, violations } with each violation tagged with the stage that found it.
+ *   - Rules: traversal (outside the repo), outside-root, protected, extension, size.
+ *   - Protected entries containing "/" match repo-relative paths, others match the basename; "*" is a wildcard.
+ * Dependencies:
+ *   - path: Path resolution (Node.js built-in).
+ *   - is-path-inside.js: Containment checks.
+ *   - db.js: getModel for the Setting model.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - fileGeneratorV18.js: Drops generated files that violate the policy before saving stagedFiles.
+ *   - taskManager.js: createProposals skips violating proposals; applyApprovedChanges refuses violating files and proposals.
+ *   - proposalRoutes.js: POST /approve-backend refuses proposals targeting a disallowed path.
+ * Why It’s Here:
+ *   - applyApprovedChanges joined generated paths onto the repo root with no containment check, so
+ *     "../../etc/..." or writes to backend/app.js and .env went through (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created path policy.
+ *     - Why: Generated and proposed writes must stay inside allowed roots and leave protected files alone.
+ *     - How: isPathInside containment, protected patterns, extension allowlist, and size limit; violations recorded on Task.policyViolations.
+ *     - Test: Stage a file at "../../etc/passwd", verify a traversal violation on the task and no write.
+ * Test Instructions:
+ *   - POST /api/grok/edit with a provider returning backend/app.js, verify task.policyViolations has a "protected" entry and the file is not staged.
+ *   - Insert Setting { settingKey: "path_policy", settingValue: '{"maxFileBytes":100}' }, verify larger files get a "size" violation.
+ * Rollback Instructions:
+ *   - Delete pathPolicy.js and remove checkFiles/checkPath from fileGeneratorV18.js, taskManager.js, and proposalRoutes.js.
+ * Future Enhancements:
+ *   - Edit the policy from the Settings page (Sprint 5).
+ */
+
+const path = require('path');
+const { isPathInside } = require('./is-path-inside');
+const { getModel } = require('../db');
+const { logWarn } = require('./logUtils');
+
+const repoRoot = path.join(__dirname, '../../../');
+const POLICY_SETTING_KEY = 'path_policy';
+const POLICY_TTL = 30000;
+
+const DEFAULT_POLICY = {
+  allowedRoots: ['frontend/src', 'backend/src'],
+  protectedFiles: [
+    'backend/app.js',
+    'backend/src/db.js',
+    'backend/src/socket.js',
+    'backend/src/handlers/errorHandlers.js',
+    'backend/src/utils/pathPolicy.js',
+    'backend/src/utils/is-path-inside.js',
+    'backend/src/utils/securityReview.js',
+    '.env*',
+    'package.json',
+    'package-lock.json',
+  ],
+  allowedExtensions: ['.js', '.jsx', '.json', '.css', '.scss', '.less', '.html', '.md', '.svg'],
+  maxFileBytes: 200000,
+};
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Loads the path policy, merging the path_policy Setting over the defaults.
+ * @returns {Promise<Object>} { allowedRoots, protectedFiles, allowedExtensions, maxFileBytes }.
+ */
+async function getPathPolicy() {
+  if (cachedPolicy && Date.now() - cachedAt < POLICY_TTL) return cachedPolicy;
+  let overrides = {};
+  try {
+    const Setting = await getModel('Setting');
+    const setting = await Setting.findOne({ settingKey: POLICY_SETTING_KEY }).lean();
+    if (setting?.settingValue) overrides = JSON.parse(setting.settingValue);
+  } catch (err) {
+    await logWarn(`Failed to read ${POLICY_SETTING_KEY} setting, using defaults: ${err.message}`, 'pathPolicy', {
+      timestamp: new Date().toISOString(),
+    });
+  }
+  cachedPolicy = { ...DEFAULT_POLICY, ...overrides };
+  cachedAt = Date.now();
+  return cachedPolicy;
+}
+
+function matchesPattern(relativePath, pattern) {
+  const subject = pattern.includes('/') ? relativePath : path.posix.basename(relativePath);
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return regex.test(subject);
+}
+
+/**
+ * Checks one repo-relative path (and optional content) against the policy.
+ * @param {string} filePath - Generated or proposed path.
+ * @param {Object} options - { content, policy }.
+ * @returns {Object} { absolutePath, relativePath, violations }.
+ */
+function checkPath(filePath, { content, policy = DEFAULT_POLICY } = {}) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    return { absolutePath: null, relativePath: filePath, violations: [{ path: String(filePath), rule: 'traversal', message: 'Missing file path' }] };
+  }
+  const absolutePath = path.resolve(repoRoot, filePath);
+  const relativePath = path.relative(repoRoot, absolutePath).split(path.sep).join('/');
+  const violations = [];
+  const violation = (rule, message) => violations.push({ path: filePath, rule, message });
+
+  if (!isPathInside(absolutePath, repoRoot)) {
+    violation('traversal', `${filePath} resolves outside the repository`);
+    return { absolutePath, relativePath, violations };
+  }
+  if (!policy.allowedRoots.some(root => isPathInside(absolutePath, path.join(repoRoot, root)))) {
+    violation('outside-root', `${relativePath} is outside the allowed roots (${policy.allowedRoots.join(', ')})`);
+  }
+  if (policy.protectedFiles.some(pattern => matchesPattern(relativePath, pattern))) {
+    violation('protected', `${relativePath} is a protected file`);
+  }
+  if (!policy.allowedExtensions.includes(path.extname(relativePath).toLowerCase())) {
+    violation('extension', `${path.extname(relativePath) || 'No extension'} is not an allowed extension`);
+  }
+  if (typeof content === 'string' && Buffer.byteLength(content, 'utf8') > policy.maxFileBytes) {
+    violation('size', `${relativePath} is ${Buffer.byteLength(content, 'utf8')} bytes, over the ${policy.maxFileBytes} byte limit`);
+  }
+  return { absolutePath, relativePath, violations };
+}
+
+/**
+ * Splits files into those the policy allows and the violations of the rest.
+ * @param {Array} files - Files with path (or file) and optional content.
+ * @param {Object} options - { taskId, stage } for logging and tagging violations.
+ * @returns {Promise<Object>} { allowed, violations } where violations carry stage and detectedAt.
+ */
+async function checkFiles(files, { taskId, stage } = {}) {
+  const policy = await getPathPolicy();
+  const allowed = [];
+  const violations = [];
+  for (const file of files || []) {
+    const result = checkPath(file.path ?? file.file, { content: file.content, policy });
+    if (result.violations.length) {
+      violations.push(...result.violations.map(v => ({ ...v, stage, detectedAt: new Date() })));
+    } else {
+      allowed.push(file);
+    }
+  }
+  if (violations.length) {
+    await logWarn(`Path policy rejected ${files.length - allowed.length} file(s) at ${stage}`, 'pathPolicy', {
+      taskId,
+      stage,
+      violations: violations.map(v => `${v.rule}: ${v.path}`),
+      timestamp: new Date().toISOString(),
+    });
+  }
+  return { allowed, violations };
+}
+
+module.exports = { getPathPolicy, checkPath, checkFiles, DEFAULT_POLICY };
@@ -41,7 +41,7 @@
 
 const { runTests } = require('./taskTesterV18');
 const { logInfo, logError } = require('./logUtils');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -75,7 +75,7 @@ async function runPlaywrightTests(taskId, stagedFiles, prompt, manual = false) {
       timestamp: new Date().toISOString(),
     });
 
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'tested',
       message: `Test ${manual ? 'manual' : 'auto'} completed`,
@@ -93,7 +93,7 @@ async function runPlaywrightTests(taskId, stagedFiles, prompt, manual = false) {
       timestamp: new Date().toISOString(),
     });
 
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: `Playwright test failed: ${err.message}`,
@@ -3,21 +3,25 @@
  * Purpose: Parses task prompts into structured data for Allur Space Console, enabling task processing and backend proposal generation.
  * How It Works:
  *   - Takes a task prompt, system memory, file notes, log insights, and uploaded files as input, returning an object with action, target, features, isMultiFile, and backendChanges.
- *   - Uses regular expressions and keyword matching to identify key components (e.g., action verbs, targets, features like MFA, payroll).
- *   - Generates backendChanges with mock changeText for backend modifications.
- *   - Supports uploaded files by extracting relevant features or content.
+ *   - Builds a validated intent (action, targetModule, affectedFiles, entities, acceptanceCriteria) with intentSchema.js.
+ *   - Consults the language model through llmProviders.js when the rules are not confident, and keeps the rule intent if the model fails.
+ *   - Returns clarifying questions for ambiguous prompts alongside the legacy fields.
+ *   - Derives backendChanges from a route table rendered by one stub template.
  *   - Logs parsing details to idurar_db.logs for debugging and traceability.
  * Mechanics:
- *   - `parsePrompt`: Processes prompt string and uploaded files, applying regex patterns to extract components.
- *   - Supports complex prompts (e.g., “Add MFA to login”, “Build inventory system with AI”) by matching keywords and patterns.
+ *   - `parseIntent`: Rule intent, optional model intent (validated), clarifying questions, model usage.
+ *   - `parsePrompt`: Wraps parseIntent and maps the intent to action, target, features, isMultiFile, backendChanges.
  *   - Validates inputs (prompt, taskId) to prevent errors, logging invalid cases to errorLogPath.
  *   - Emits taskUpdate events via Socket.IO for parsing errors, ensuring real-time feedback in GrokUI.jsx.
  * Dependencies:
  *   - winston: Logging to grok.log (version 3.17.0).
  *   - path: File path manipulation (version built-in).
- *   - socket.js: getIO for Socket.IO.
+ *   - socket.js: emitTaskEvent for Socket.IO.
  *   - fileUtils.js: appendLog, errorLogPath for error logging.
  *   - logUtils.js: MongoDB logging.
+ *   - intentSchema.js: Intent extraction, validation, and clarifying questions.
+ *   - llmProviders.js: completeWithProvider and parseStructuredOutput-style JSON handling for model intents.
+ *   - taskControl.js: getTaskSignal to cancel the intent request with its task.
  *   - uuid: Generates eventId (version 11.1.0).
  * Dependents:
  *   - taskManager.js: Uses parsed data to generate files and backend proposals.
@@ -34,13 +38,34 @@
  *     - Why: Prevent duplicate features (e.g., ["inventory", "inventory"]) in parsedData (User, 05/02/2025).
  *     - How: Used Set to unique featureMatches, preserved all parsing logic.
  *     - Test: Submit “Create an inventory system”, verify features=["inventory"].
+ *   - 10/19/2026: Replaced regex parsing with a validated intent schema.
+ *     - Why: One action regex and a fixed feature list produced targets like "datatable usecrudcontext error", no files, and inline route code.
+ *     - How: parseIntent uses intentSchema.js, asks the model below INTENT_CONFIDENCE_THRESHOLD, returns questions; backendChanges come from BACKEND_ROUTES.
+ *     - Test: POST /api/grok/edit with "Fix DataTable useCrudContext error", verify task.intent.affectedFiles has frontend/src/pages/DataTable.jsx.
+ *   - 10/19/2026: Made backendChanges files repo-relative.
+ *     - Why: Bare names like "auth.js" resolved to the repo root, which pathPolicy.js rejects as outside the allowed roots.
+ *     - How: BACKEND_ROUTES and the generic backend change point at backend/src/routes/.
+ *     - Test: Submit “Add MFA to login”, verify backendChanges[0].file is backend/src/routes/auth.js.
+ *   - 10/19/2026: Added a structured insert_route edit to each backend change.
+ *     - Why: Proposals are applied by proposalTransforms.js AST edits instead of appending their text.
+ *     - How: buildRouteEdit renders the same route as buildRouteStub as { kind: 'insert_route', method, route, handler }.
+ *     - Test: Submit “Add MFA to login”, verify backendChanges[0].edit.kind is "insert_route" with route "/mfa".
+ *   - 10/19/2026: Parse events go to the task's rooms.
+ *     - Why: Parse results carry the user's prompt and were broadcast to every client.
+ *     - How: getIO().emit replaced by emitTaskEvent.
+ *     - Test: Submit a prompt, verify only the submitting user's LiveFeed shows the parse event.
+ *   - 10/19/2026: Cancelled the model intent request with its task.
+ *     - Why: A cancelled task waited for the intent request to finish before stopping.
+ *     - How: parseIntent passes getTaskSignal(taskId) to completeWithProvider and rethrows once it is aborted instead of keeping the rule intent.
+ *     - Test: Set LLM_PROVIDER=xai, submit "make it better", cancel while parsing, verify the task is cancelled without an intent warning.
  * Test Instructions:
  *   - Submit “Create an impressive inventory keeping system with AI features” via /grok/edit: Verify parsedData includes action=create, target=inventory, features=["inventory", "ai"], changeText in backendChanges.
- *   - Submit “Add MFA to login” with a file: Confirm backendChanges includes { file: 'auth.js', change: '...', description: 'Add MFA to login' }.
+ *   - Submit “Add MFA to login” with a file: Confirm backendChanges includes { file: 'backend/src/routes/auth.js', change: '...', description: 'Add MFA to login' }.
  *   - Submit invalid prompt: Verify red “Invalid prompt” log in LiveFeed.jsx.
+ *   - Submit “make it better”: Verify task.clarifyingQuestions is populated and status is clarification_needed.
  *   - Check idurar_db.logs: Confirm parsing logs with taskId, prompt, parsedData.
  * Future Enhancements:
- *   - Add NLP-based parsing (Sprint 4).
+ *   - Use the codebase index for affectedFiles instead of name matching (Sprint 4).
  *   - Integrate with taskPrioritizer.js (Sprint 6).
  * Self-Notes:
  *   - Nate: Added default CRM features to fix empty features issue, preserved all functionality (04/29/2025).
@@ -49,9 +74,19 @@
 
 const winston = require('winston');
 const path = require('path');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { appendLog, errorLogPath } = require('./fileUtils');
-const { logInfo, logError } = require('./logUtils');
+const { logInfo, logWarn, logError } = require('./logUtils');
+const {
+  INTENT_CONFIDENCE_THRESHOLD,
+  buildFileIndex,
+  extractIntent,
+  normalizeIntent,
+  validateIntent,
+  clarifyingQuestions,
+} = require('./intentSchema');
+const { completeWithProvider } = require('./llmProviders');
+const { getTaskSignal } = require('./taskControl');
 const { v4: uuidv4 } = require('uuid');
 
 const logger = winston.createLogger({
@@ -63,6 +98,18 @@ const logger = winston.createLogger({
   ],
 });
 
+const FILE_INDEX_TTL = 60000;
+let fileIndexCache = { files: [], builtAt: 0 };
+
+// Backend routes proposed per feature; change text is rendered by buildRouteStub
+const BACKEND_ROUTES = {
+  mfa: { file: 'backend/src/routes/auth.js', method: 'post', route: '/mfa', description: 'Add MFA to login', reason: 'Security enhancement for user authentication' },
+  payroll: { file: 'backend/src/routes/payroll.js', method: 'get', route: '/payroll', description: 'Add payroll endpoint to EmployeeLog', reason: 'Feature addition for employee compensation management' },
+  accounting: { file: 'backend/src/routes/accounting.js', method: 'get', route: '/accounting', description: 'Add accounting endpoint', reason: 'Feature addition for financial management' },
+  ai: { file: 'backend/src/routes/aiFeatures.js', method: 'post', route: '/ai/predict', description: 'Add AI feature endpoints', reason: 'Feature addition for AI-driven functionality' },
+  inventory: { file: 'backend/src/routes/inventory.js', method: 'get', route: '/inventory', description: 'Add inventory management endpoint', reason: 'Feature addition for inventory tracking' },
+};
+
 function isValidTaskId(taskId) {
   const isValid = typeof taskId === 'string' && taskId.length === 36 && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(taskId);
   if (!isValid) {
@@ -71,10 +118,130 @@ function isValidTaskId(taskId) {
   return isValid;
 }
 
-function parsePrompt(prompt, taskId, memory = [], fileNotes = [], logInsights = [], uploadedFiles = []) {
+/**
+ * Returns the cached repo file index used to resolve names in prompts.
+ * @returns {Array<string>} Repo-relative paths.
+ */
+function getFileIndex() {
+  if (Date.now() - fileIndexCache.builtAt > FILE_INDEX_TTL) {
+    fileIndexCache = { files: buildFileIndex(), builtAt: Date.now() };
+  }
+  return fileIndexCache.files;
+}
+
+/**
+ * Renders an Express router stub for a proposed backend route.
+ * @param {Object} spec - method, route, description.
+ * @returns {string} Router module source.
+ */
+function buildRouteStub({ method = 'get', route, description }) {
+  return [
+    "const express = require('express');",
+    'const router = express.Router();',
+    `router.${method}('${route}', (req, res) => res.json({ status: ${JSON.stringify(description)} }));`,
+    'module.exports = router;',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Builds the structured insert_route edit for the same route as buildRouteStub.
+ * @param {Object} spec - method, route, description.
+ * @returns {Object} Edit applied by proposalTransforms.js.
+ */
+function buildRouteEdit({ method = 'get', route, description }) {
+  return { kind: 'insert_route', method, route, handler: `(req, res) => res.json({ status: ${JSON.stringify(description)} })` };
+}
+
+/**
+ * Builds chat messages asking the model for an intent object.
+ * @param {string} prompt - Task prompt.
+ * @param {Object} ruleIntent - Intent from extractIntent, used as a hint.
+ * @returns {Array<Object>} Chat messages.
+ */
+function buildIntentMessages(prompt, ruleIntent) {
+  return [
+    {
+      role: 'system',
+      content: [
+        'You turn change requests for the Allur Space Console (React frontend in frontend/src, Express backend in backend/src) into an intent object.',
+        'Respond with JSON only, no prose, matching:',
+        '{"action":"create|update|delete|fix|enhance|test","targetModule":"sponsor","affectedFiles":[{"path":"frontend/src/pages/SponsorHub.jsx","isNewFile":false}],',
+        '"entities":[{"name":"SponsorHub","kind":"component|hook|model|route|feature|ui"}],"acceptanceCriteria":["..."],"confidence":0.8,',
+        '"ambiguities":["missing_action|missing_target|multiple_targets|missing_files|vague"]}',
+        'Paths are relative to the repository root. List an ambiguity only if the request cannot be implemented without asking.',
+      ].join('\n'),
+    },
+    { role: 'user', content: JSON.stringify({ prompt, draft: ruleIntent }) },
+  ];
+}
+
+/**
+ * Extracts a JSON object from model output.
+ * @param {string} text - Raw model output.
+ * @returns {Object} Parsed object.
+ */
+function parseJsonObject(text) {
+  let body = String(text || '').trim();
+  const fenced = body.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) body = fenced[1].trim();
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Model output contains no JSON object');
+  }
+  return JSON.parse(body.slice(start, end + 1));
+}
+
+/**
+ * Parses a prompt into a validated intent, consulting the model when the rules are not confident.
+ * @param {string} prompt - Task prompt.
+ * @param {Object} [options] - taskId, uploadedFiles, provider.
+ * @returns {Promise<Object>} { intent, questions, llmUsage } where llmUsage is set only if the model was called.
+ */
+async function parseIntent(prompt, { taskId, uploadedFiles = [], provider } = {}) {
+  let intent = extractIntent(prompt, { fileIndex: getFileIndex(), uploadedFiles });
+  let llmUsage = null;
+
+  if (intent.confidence < INTENT_CONFIDENCE_THRESHOLD) {
+    const signal = getTaskSignal(taskId);
+    try {
+      const { text, usage } = await completeWithProvider(buildIntentMessages(prompt, intent), { taskId, provider, signal });
+      llmUsage = usage;
+      const candidate = normalizeIntent(parseJsonObject(text));
+      if (!candidate.affectedFiles.length) candidate.affectedFiles = intent.affectedFiles;
+      if (!candidate.acceptanceCriteria.length) candidate.acceptanceCriteria = intent.acceptanceCriteria;
+      const { valid, errors } = validateIntent(candidate);
+      if (valid) {
+        intent = candidate;
+      } else {
+        await logWarn('Model intent failed validation, keeping rule intent', 'promptParser', {
+          taskId,
+          errors,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      await logWarn(`Model intent unavailable, keeping rule intent: ${err.message}`, 'promptParser', {
+        taskId,
+        confidence: intent.confidence,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  const { valid, errors } = validateIntent(intent);
+  if (!valid) {
+    throw new Error(`Invalid intent: ${errors.join('; ')}`);
+  }
+  return { intent, questions: clarifyingQuestions(intent), llmUsage };
+}
+
+async function parsePrompt(prompt, taskId, memory = [], fileNotes = [], logInsights = [], uploadedFiles = [], { provider } = {}) {
   if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
     logger.error(`Invalid prompt provided`, { taskId, prompt: prompt || 'missing', timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: 'Invalid or empty prompt',
@@ -87,7 +254,7 @@ function parsePrompt(prompt, taskId, memory = [], fileNotes = [], logInsights =
 
   if (!isValidTaskId(taskId)) {
     logger.error(`Invalid taskId provided`, { taskId: taskId || 'missing', timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId: taskId || 'unknown',
       status: 'failed',
       error: `Invalid taskId: ${taskId || 'missing'}`,
@@ -98,184 +265,57 @@ function parsePrompt(prompt, taskId, memory = [], fileNotes = [], logInsights =
     throw new Error('Invalid taskId');
   }
 
-  const lowerPrompt = prompt.toLowerCase().trim();
-  let action = 'create';
-  let target = '';
-  let features = [];
-  let isMultiFile = false;
-  let backendChanges = [];
-
-  // Regex patterns for parsing
-  const actionRegex = /(add|create|update|delete|remove|enhance|improve)\s+([\w\s-]+)/i;
-  const featureRegex = /(login|dashboard|sponsor|employee|payroll|mfa|settings|authentication|security|accounting|ai|inventory)/gi;
-  const mfaRegex = /mfa|multi-factor authentication|2fa|two-factor authentication/i;
-  const payrollRegex = /payroll|salary|compensation/i;
-  const accountingRegex = /accounting|finance|ledger/i;
-  const aiRegex = /ai|artificial intelligence|machine learning/i;
-  const inventoryRegex = /inventory|stock|warehouse/i;
-
-  // Extract action and target
-  const actionMatch = lowerPrompt.match(actionRegex);
-  if (actionMatch) {
-    action = actionMatch[1].toLowerCase();
-    target = actionMatch[2].toLowerCase().trim();
-  } else if (lowerPrompt.includes('build') || lowerPrompt.includes('create')) {
-    action = 'create';
-    if (inventoryRegex.test(lowerPrompt)) {
-      target = 'inventory';
-    } else if (lowerPrompt.includes('crm')) {
-      target = 'crm';
-    } else if (lowerPrompt.includes('employee')) {
-      target = 'employee';
-    } else {
-      target = 'system';
-    }
-  }
-
-  // Extract features and deduplicate
-  const featureMatches = lowerPrompt.match(featureRegex) || [];
-  features = [...new Set(featureMatches.map(f => f.toLowerCase()))]; // Deduplicate features
-
-  // Process uploaded files for additional features
-  if (uploadedFiles && uploadedFiles.length > 0) {
-    uploadedFiles.forEach(file => {
-      const fileName = file.originalname?.toLowerCase() || '';
-      if (fileName.includes('inventory') || fileName.includes('stock')) {
-        features.push('inventory');
-      } else if (fileName.includes('employee') || fileName.includes('staff')) {
-        features.push('employee');
-      } else if (fileName.includes('payroll') || fileName.includes('salary')) {
-        features.push('payroll');
-      }
-      logger.debug(`Extracted features from uploaded file`, {
-        taskId,
-        fileName,
-        features,
-        timestamp: new Date().toISOString(),
-      });
-    });
-  }
+  const { intent, questions, llmUsage } = await parseIntent(prompt, { taskId, uploadedFiles, provider });
+  const lowerPrompt = prompt.toLowerCase();
+  const target = intent.targetModule || 'system';
 
-  // Default features for specific targets
+  // Legacy feature list for fileGeneratorV18.js templates
+  let features = intent.entities.filter(e => e.kind === 'feature').map(e => e.name);
   if (target === 'crm' && features.length === 0) {
     features = ['login', 'dashboard'];
-  } else if (target === 'inventory' && features.length === 0) {
-    features = ['inventory'];
-  } else if (target === 'employee' && features.length === 0) {
-    features = ['employee'];
+  } else if (['inventory', 'employee'].includes(target) && features.length === 0) {
+    features = [target];
   }
-
-  // Ensure unique features after file processing
   features = [...new Set(features)];
 
-  // Determine if multi-file
-  isMultiFile = features.length > 1 || lowerPrompt.includes('system') || lowerPrompt.includes('crm') || lowerPrompt.includes('inventory');
-
-  // Handle specific backend changes
-  if (mfaRegex.test(lowerPrompt)) {
-    backendChanges.push({
-      file: 'auth.js',
-      change: `
-        const express = require('express');
-        const router = express.Router();
-        router.post('/mfa', (req, res) => res.json({ status: 'MFA verified', code: req.body.code }));
-        module.exports = router;
-      `,
-      description: 'Add MFA to login',
-      reason: 'Security enhancement for user authentication',
-    });
-    features.push('mfa');
-  }
-
-  if (payrollRegex.test(lowerPrompt)) {
-    backendChanges.push({
-      file: 'payroll.js',
-      change: `
-        const express = require('express');
-        const router = express.Router();
-        router.get('/payroll', (req, res) => res.json({ employees: [{ id: 1, name: 'John Doe', salary: 5000 }] }));
-        module.exports = router;
-      `,
-      description: 'Add payroll endpoint to EmployeeLog',
-      reason: 'Feature addition for employee compensation management',
-    });
-    features.push('payroll');
-  }
-
-  if (accountingRegex.test(lowerPrompt)) {
-    backendChanges.push({
-      file: 'accounting.js',
-      change: `
-        const express = require('express');
-        const router = express.Router();
-        router.get('/accounting', (req, res) => res.json({ transactions: [{ id: 1, amount: 1000, type: 'credit' }] }));
-        module.exports = router;
-      `,
-      description: 'Add accounting endpoint',
-      reason: 'Feature addition for financial management',
-    });
-    features.push('accounting');
-  }
-
-  if (aiRegex.test(lowerPrompt)) {
-    backendChanges.push({
-      file: 'aiFeatures.js',
-      change: `
-        exports.predictFeature = (data) => ({ result: 'AI-driven prediction', input: data });
-      `,
-      description: 'Add AI feature endpoints',
-      reason: 'Feature addition for AI-driven functionality',
-    });
-    features.push('ai');
-  }
+  const isMultiFile = features.length > 1 || intent.affectedFiles.length > 1 || ['crm', 'inventory'].includes(target) || lowerPrompt.includes('system');
 
-  if (inventoryRegex.test(lowerPrompt)) {
-    backendChanges.push({
-      file: 'inventory.js',
-      change: `
-        const express = require('express');
-        const router = express.Router();
-        router.get('/inventory', (req, res) => res.json({ items: [{ id: 1, name: 'Tickets', quantity: 100 }] }));
-        module.exports = router;
-      `,
-      description: 'Add inventory management endpoint',
-      reason: 'Feature addition for inventory tracking',
+  const backendChanges = features
+    .filter(feature => BACKEND_ROUTES[feature])
+    .map(feature => {
+      const spec = BACKEND_ROUTES[feature];
+      return { file: spec.file, change: buildRouteStub(spec), edit: buildRouteEdit(spec), description: spec.description, reason: spec.reason };
     });
-    features.push('inventory');
-  }
 
   // Default backend change for generic backend tasks
   if (lowerPrompt.includes('backend') && backendChanges.length === 0) {
+    const spec = { method: 'get', route: `/${target}`, description: `Backend endpoint for ${target}` };
     backendChanges.push({
-      file: 'grok.js',
-      change: `
-        const express = require('express');
-        const router = express.Router();
-        router.get('/${target}', (req, res) => res.json({ status: 'Backend endpoint for ${target}' }));
-        module.exports = router;
-      `,
+      file: 'backend/src/routes/grok.js',
+      change: buildRouteStub(spec),
+      edit: buildRouteEdit(spec),
       description: `Update backend for ${target}`,
       reason: `Backend enhancement for task ${taskId}`,
     });
   }
 
-  // Final deduplication of features
-  features = [...new Set(features)];
-
   const parsedData = {
-    action,
+    action: intent.action,
     target,
     features,
     isMultiFile,
     backendChanges,
     uploadedFiles,
+    intent,
+    questions,
+    llmUsage,
   };
 
-  logger.info(`Parsed prompt`, { taskId, prompt, parsedData, timestamp: new Date().toISOString() });
-  logInfo('Parsed prompt', 'promptParser', { taskId, prompt, parsedData, timestamp: new Date().toISOString() });
-  appendLog(errorLogPath, `Parsed prompt for task ${taskId}: ${JSON.stringify(parsedData, null, 2)}`);
+  logger.info(`Parsed prompt`, { taskId, prompt, parsedData: { ...parsedData, backendChanges: backendChanges.length }, timestamp: new Date().toISOString() });
+  logInfo('Parsed prompt', 'promptParser', { taskId, prompt, intent, questions, timestamp: new Date().toISOString() });
+  appendLog(errorLogPath, `Parsed prompt for task ${taskId}: ${JSON.stringify(intent, null, 2)}`);
 
   return parsedData;
 }
 
-module.exports = { parsePrompt };
+module.exports = { parsePrompt, parseIntent };
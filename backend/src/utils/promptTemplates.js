@@ -0,0 +1,340 @@
+/*
+ * File Path: backend/src/utils/promptTemplates.js
+ * Purpose: Reusable prompt templates with variables for Allur Space Console.
+ * How It Works:
+ *   - Templates are PromptTemplate documents with a body like "Create an {{entityName}} page with fields {{fields}} at {{targetPage}}".
+ *   - Each save of a body, variable list, or test instructions bumps the version and keeps the previous one in versions.
+ *   - Private templates are visible to their owner; shared templates are visible to and editable by every admin.
+ *   - Rendering fills the body and the default test instructions; the test instructions are stored on the task and prefixed to Task.testInstructions.
+ * Mechanics:
+ *   - `extractVariables`: Placeholder names in order of first appearance.
+ *   - `renderTemplate`: Fills placeholders from values or defaults, throws on missing required variables.
+ *   - `listTemplates`/`getTemplate`: Owner or shared, non-archived templates.
+ *   - `createTemplate`/`updateTemplate`/`archiveTemplate`: CRUD with versioning; only the owner archives, shares, or edits
+ *     body, variables, and test instructions.
+ *   - `previewTemplate`: Renders without counting a use.
+ *   - `resolveTemplatePrompt`: Renders a template (optionally an older version) for POST /edit and counts the use.
+ * Dependencies:
+ *   - mongoose: PromptTemplate model (version 8.13.2).
+ *   - logUtils.js: MongoDB logging.
+ *   - uuid: templateId (version 11.1.0).
+ * Dependents:
+ *   - templateRoutes.js: /api/grok/templates endpoints.
+ *   - taskRoutes.js: POST /edit with templateId and templateVariables.
+ * Why It’s Here:
+ *   - Users retyped the same prompts; tests/employeelog-v*.spec.js shows dozens of EmployeeLog iterations (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created prompt template library.
+ *     - Why: Saved, versioned, shareable prompts with per-template default test instructions.
+ *     - How: {{variable}} placeholders, version history on update, shared flag, render on POST /edit.
+ *     - Test: Create "CRUD page" with {{entityName}}, submit with entityName "EmployeeLog", verify task.prompt and task.template.version 1.
+ *   - 10/19/2026: Limited content edits to the owner.
+ *     - Why: Any admin who could see a shared template could rewrite its body and variables for everyone.
+ *     - How: updateTemplate refuses a content change from a non-owner (403); they create their own template from it.
+ *     - Test: As a second admin, PUT a new body on a shared template, verify 403 and an unchanged version.
+ * Test Instructions:
+ *   - POST /api/grok/templates with { name: "CRUD page", body: "Create an {{entityName}} page with fields {{fields}}", testInstructions: "Navigate to /{{entityName}}" }.
+ *   - PUT /api/grok/templates/<templateId> with a new body, verify version 2 and versions[0].version 1.
+ *   - POST /api/grok/edit with { templateId, templateVariables: { entityName: "EmployeeLog", fields: "name, hours" } }, verify the rendered prompt.
+ *   - Omit a required variable, verify 400 "Missing template variables: fields".
+ * Rollback Instructions:
+ *   - Delete promptTemplates.js and templateRoutes.js, remove templateId handling from POST /edit.
+ * Future Enhancements:
+ *   - Typed variables (select, number) with validation (Sprint 5).
+ */
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { logInfo, logDebug } = require('./logUtils');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][\w]*)\s*\}\}/g;
+const MAX_VERSIONS = 50;
+
+/**
+ * Lists placeholder names in a template string.
+ * @param {string} text - Template text.
+ * @returns {Array<string>} Unique variable names in order of appearance.
+ */
+function extractVariables(text) {
+  const names = [];
+  for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Merges explicit variable definitions with placeholders found in the body and test instructions.
+ * @param {string} body - Template body.
+ * @param {string} testInstructions - Default test instructions.
+ * @param {Array<Object>} definitions - { name, label, required, defaultValue } entries.
+ * @returns {Array<Object>} Variable definitions, one per placeholder.
+ */
+function normalizeVariables(body, testInstructions, definitions = []) {
+  const byName = new Map((Array.isArray(definitions) ? definitions : []).filter(d => d && d.name).map(d => [d.name, d]));
+  return extractVariables(`${body}\n${testInstructions || ''}`).map(name => {
+    const def = byName.get(name) || {};
+    return {
+      name,
+      label: def.label || name,
+      required: def.required !== false,
+      defaultValue: def.defaultValue ?? undefined,
+    };
+  });
+}
+
+/**
+ * Fills a template's placeholders.
+ * @param {Object} template - { body, variables, testInstructions }.
+ * @param {Object} values - Variable values by name.
+ * @returns {Object} { prompt, testInstructions, variables } with the values used.
+ */
+function renderTemplate(template, values = {}) {
+  const used = {};
+  const missing = [];
+  for (const def of template.variables || []) {
+    const raw = values[def.name];
+    const value = raw === undefined || raw === null || String(raw).trim() === '' ? def.defaultValue : String(raw).trim();
+    if (value === undefined || value === null || value === '') {
+      if (def.required !== false) missing.push(def.name);
+      used[def.name] = '';
+    } else {
+      used[def.name] = value;
+    }
+  }
+  if (missing.length) {
+    throw new Error(`Missing template variables: ${missing.join(', ')}`);
+  }
+  const fill = text => String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => (name in used ? used[name] : match));
+  return { prompt: fill(template.body).trim(), testInstructions: fill(template.testInstructions).trim(), variables: used };
+}
+
+/**
+ * Query for templates a user can see.
+ * @param {string} userEmail - User email.
+ * @returns {Object} Mongo filter.
+ */
+function visibleTo(userEmail) {
+  return { archived: { $ne: true }, $or: [{ shared: true }, { owner: { $in: [userEmail, null, undefined, 'admin@idurarapp.com'] } }] };
+}
+
+/**
+ * Lists templates visible to a user.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Array>} Templates without version history, most used first.
+ */
+async function listTemplates({ user } = {}) {
+  return mongoose.model('PromptTemplate')
+    .find(visibleTo(user?.email))
+    .select('-versions')
+    .sort({ usageCount: -1, updatedAt: -1 })
+    .lean();
+}
+
+/**
+ * Fetches one visible template with its version history.
+ * @param {string} templateId - Template ID.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} Template document.
+ */
+async function getTemplate(templateId, { user } = {}) {
+  const template = await mongoose.model('PromptTemplate').findOne({ templateId, ...visibleTo(user?.email) });
+  if (!template) {
+    throw new Error('Template not found');
+  }
+  return template;
+}
+
+/**
+ * Creates a template.
+ * @param {Object} fields - name, description, body, variables, testInstructions, shared.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} Created template.
+ */
+async function createTemplate({ name, description, body, variables, testInstructions, shared }, { user } = {}) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new Error('Template name is required');
+  }
+  if (!body || typeof body !== 'string' || !body.trim()) {
+    throw new Error('Template body is required');
+  }
+  const template = await mongoose.model('PromptTemplate').create({
+    templateId: uuidv4(),
+    name: name.trim(),
+    description: description || '',
+    body,
+    variables: normalizeVariables(body, testInstructions, variables),
+    testInstructions: testInstructions || '',
+    version: 1,
+    owner: user?.email || 'admin@idurarapp.com',
+    shared: Boolean(shared),
+  });
+  await logInfo('Prompt template created', 'promptTemplates', {
+    templateId: template.templateId,
+    name: template.name,
+    variables: template.variables.map(v => v.name),
+    user: user?.email || 'admin@idurarapp.com',
+    timestamp: new Date().toISOString(),
+  });
+  return template;
+}
+
+/**
+ * Updates a template; body, variable, or test instruction changes create a new version.
+ * @param {string} templateId - Template ID.
+ * @param {Object} fields - Any of name, description, body, variables, testInstructions, shared.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} Updated template.
+ */
+async function updateTemplate(templateId, fields = {}, { user } = {}) {
+  const template = await getTemplate(templateId, { user });
+  const isOwner = [user?.email, 'admin@idurarapp.com'].includes(template.owner) || !template.owner;
+  if ('shared' in fields && !isOwner) {
+    throw new Error('Only the template owner can change sharing');
+  }
+
+  const body = fields.body ?? template.body;
+  const testInstructions = fields.testInstructions ?? template.testInstructions;
+  if (!body || typeof body !== 'string' || !body.trim()) {
+    throw new Error('Template body is required');
+  }
+  const variables = normalizeVariables(body, testInstructions, fields.variables ?? template.variables.map(v => v.toObject?.() || v));
+  const contentChanged = body !== template.body
+    || testInstructions !== template.testInstructions
+    || JSON.stringify(variables) !== JSON.stringify(normalizeVariables(template.body, template.testInstructions, template.variables.map(v => v.toObject?.() || v)));
+  // Shared templates are read-only for other admins; they save a copy as a new template instead
+  if (contentChanged && !isOwner) {
+    throw new Error('Only the template owner can edit its content; save it as a new template instead');
+  }
+
+  if (contentChanged) {
+    template.versions.push({
+      version: template.version,
+      body: template.body,
+      variables: template.variables.map(v => v.toObject?.() || v),
+      testInstructions: template.testInstructions,
+      updatedBy: user?.email || 'admin@idurarapp.com',
+      updatedAt: new Date(),
+    });
+    if (template.versions.length > MAX_VERSIONS) {
+      template.versions.splice(0, template.versions.length - MAX_VERSIONS);
+    }
+    template.version += 1;
+    template.body = body;
+    template.testInstructions = testInstructions;
+    template.variables = variables;
+  }
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) {
+      throw new Error('Template name is required');
+    }
+    template.name = fields.name.trim();
+  }
+  if (fields.description !== undefined) template.description = fields.description;
+  if ('shared' in fields) template.shared = Boolean(fields.shared);
+  await template.save();
+
+  await logInfo('Prompt template updated', 'promptTemplates', {
+    templateId,
+    version: template.version,
+    newVersion: contentChanged,
+    user: user?.email || 'admin@idurarapp.com',
+    timestamp: new Date().toISOString(),
+  });
+  return template;
+}
+
+/**
+ * Archives a template; tasks keep the template fields they were created with.
+ * @param {string} templateId - Template ID.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<void>}
+ */
+async function archiveTemplate(templateId, { user } = {}) {
+  const template = await getTemplate(templateId, { user });
+  if (template.owner && ![user?.email, 'admin@idurarapp.com'].includes(template.owner)) {
+    throw new Error('Only the template owner can delete it');
+  }
+  template.archived = true;
+  await template.save();
+  await logInfo('Prompt template archived', 'promptTemplates', { templateId, user: user?.email || 'admin@idurarapp.com', timestamp: new Date().toISOString() });
+}
+
+/**
+ * Picks the current template or one of its earlier versions.
+ * @param {Object} template - Template document.
+ * @param {number} [version] - Requested version.
+ * @returns {Object} Template or version entry with body, variables, testInstructions, version.
+ */
+function selectVersion(template, version) {
+  if (!version || Number(version) === template.version) return template;
+  const source = template.versions.find(v => v.version === Number(version));
+  if (!source) {
+    throw new Error(`Template version ${version} not found`);
+  }
+  return source;
+}
+
+/**
+ * Renders a template without recording a use, for previews in TaskInput.jsx.
+ * @param {string} templateId - Template ID.
+ * @param {Object} values - Variable values by name.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @param {number} [params.version] - Older version to render.
+ * @returns {Promise<Object>} { prompt, testInstructions, variables, version }.
+ */
+async function previewTemplate(templateId, values = {}, { user, version } = {}) {
+  const source = selectVersion(await getTemplate(templateId, { user }), version);
+  return { ...renderTemplate(source, values), version: source.version };
+}
+
+/**
+ * Renders a template for a new task and records the use.
+ * @param {string} templateId - Template ID.
+ * @param {Object} values - Variable values by name.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @param {number} [params.version] - Older version to render; defaults to the current one.
+ * @returns {Promise<Object>} { prompt, template } where template is the Task.template value.
+ */
+async function resolveTemplatePrompt(templateId, values = {}, { user, version } = {}) {
+  const template = await getTemplate(templateId, { user });
+  const source = selectVersion(template, version);
+  const rendered = renderTemplate(source, values);
+  await mongoose.model('PromptTemplate').updateOne({ templateId }, { $inc: { usageCount: 1 } });
+  await logDebug('Rendered prompt template', 'promptTemplates', {
+    templateId,
+    version: source.version,
+    variables: Object.keys(rendered.variables),
+    user: user?.email || 'admin@idurarapp.com',
+    timestamp: new Date().toISOString(),
+  });
+  return {
+    prompt: rendered.prompt,
+    template: {
+      templateId,
+      name: template.name,
+      version: source.version,
+      variables: rendered.variables,
+      testInstructions: rendered.testInstructions,
+    },
+  };
+}
+
+module.exports = {
+  extractVariables,
+  renderTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate,
+  previewTemplate,
+  resolveTemplatePrompt,
+};
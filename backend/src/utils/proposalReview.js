@@ -0,0 +1,180 @@
+/*
+ * File Path: backend/src/utils/proposalReview.js
+ * Purpose: Review workflow for backend proposals in Allur Space Console: comments, reviewers, required approvals, history.
+ * How It Works:
+ *   - Proposals carry threaded comments (optionally pinned to a line of the diff), assigned reviewers from the Admin
+ *     collection, and a history timeline of everything that happened to them.
+ *   - The number of approvals a proposal needs depends on its target area (backend or frontend), configurable with a
+ *     JSON `review_policy` Setting, and is never lower than what securityReview.js requires.
+ * Mechanics:
+ *   - `getReviewPolicy`: Defaults merged with the review_policy Setting, cached for POLICY_TTL.
+ *   - `areaOf`: "frontend" for paths under frontend/, "backend" otherwise.
+ *   - `approvalsRequiredFor`: max(policy.requiredApprovals[area], 2 for high-risk proposals, 1).
+ *   - `addComment`: Validates body, line, and parentId (replies must point at an existing comment), records "commented".
+ *   - `assignReviewers`: Replaces proposal.reviewers with enabled Admin emails, records "reviewers_assigned".
+ *   - `assertReviewer`: Once reviewers are assigned only they may approve.
+ *   - `addHistory`: Appends { action, actor, details, at } to proposal.history; callers save the proposal.
+ * Dependencies:
+ *   - db.js: getModel for the Setting and Admin models.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - proposalRoutes.js: Comment, reviewer, and approval endpoints.
+ *   - taskManager.js: Records created, applied, reverted, and denied history entries.
+ * Why It’s Here:
+ *   - proposalRoutes only supported approve, rollback, and test; denying set a status with no reason and nobody
+ *     could discuss a proposal or be asked to review it (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created proposal review workflow.
+ *     - Why: Proposals need discussion, assigned reviewers, and per-area approval counts.
+ *     - How: comments, reviewers, approvalsRequired, and history on BackendProposal, review_policy Setting.
+ *     - Test: Set review_policy to {"requiredApprovals":{"backend":2}}, approve a backend proposal once, verify 202 and 1/2 approvals.
+ * Test Instructions:
+ *   - POST /api/grok/backend-proposals/<id>/comments with { body: "Why GET?", line: 4 }, verify the comment and a "commented" history entry.
+ *   - PUT /api/grok/backend-proposals/<id>/reviewers with { reviewers: ["someone@else.com"] }, approve as another admin, verify 403.
+ * Rollback Instructions:
+ *   - Delete proposalReview.js, remove its endpoints from proposalRoutes.js and its history calls from taskManager.js.
+ * Future Enhancements:
+ *   - Notify assigned reviewers by email (Sprint 6).
+ */
+
+const { getModel } = require('../db');
+const { logInfo, logWarn } = require('./logUtils');
+
+const POLICY_SETTING_KEY = 'review_policy';
+const POLICY_TTL = 30000;
+const MAX_COMMENT_LENGTH = 5000;
+
+const DEFAULT_REVIEW_POLICY = {
+  requiredApprovals: { backend: 1, frontend: 1 },
+};
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Loads the review policy, merging the review_policy Setting over the defaults.
+ * @returns {Promise<Object>} { requiredApprovals: { backend, frontend } }.
+ */
+async function getReviewPolicy() {
+  if (cachedPolicy && Date.now() - cachedAt < POLICY_TTL) return cachedPolicy;
+  let overrides = {};
+  try {
+    const Setting = await getModel('Setting');
+    const setting = await Setting.findOne({ settingKey: POLICY_SETTING_KEY }).lean();
+    if (setting?.settingValue) overrides = JSON.parse(setting.settingValue);
+  } catch (err) {
+    await logWarn(`Failed to read ${POLICY_SETTING_KEY} setting, using defaults: ${err.message}`, 'proposalReview', {
+      timestamp: new Date().toISOString(),
+    });
+  }
+  cachedPolicy = {
+    ...DEFAULT_REVIEW_POLICY,
+    ...overrides,
+    requiredApprovals: { ...DEFAULT_REVIEW_POLICY.requiredApprovals, ...overrides.requiredApprovals },
+  };
+  cachedAt = Date.now();
+  return cachedPolicy;
+}
+
+function areaOf(file) {
+  return /^frontend[\\/]/.test(file || '') ? 'frontend' : 'backend';
+}
+
+/**
+ * Number of distinct approvals a proposal needs before it is applied.
+ * @param {Object} proposal - BackendProposal with file and securityReview.
+ * @param {Object} policy - Review policy from getReviewPolicy.
+ * @returns {number} Required approvals.
+ */
+function approvalsRequiredFor(proposal, policy = DEFAULT_REVIEW_POLICY) {
+  const areaRequired = Number(policy.requiredApprovals?.[areaOf(proposal.file)]) || 1;
+  return Math.max(areaRequired, proposal.securityReview?.requiresSecondApproval ? 2 : 1);
+}
+
+function addHistory(proposal, action, actor, details) {
+  proposal.history = proposal.history || [];
+  proposal.history.push({ action, actor: actor || 'system', ...(details && { details }), at: new Date() });
+}
+
+/**
+ * Adds a comment or reply to a proposal.
+ * @param {Object} proposal - BackendProposal document (not saved here).
+ * @param {Object} comment - { author, body, line, parentId }.
+ * @returns {Object} The added comment subdocument.
+ * @throws {Error} If the body is empty or too long, the line is invalid, or parentId is unknown.
+ */
+function addComment(proposal, { author, body, line, parentId } = {}) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) throw new Error('Invalid comment: body is required');
+  if (text.length > MAX_COMMENT_LENGTH) throw new Error(`Invalid comment: body exceeds ${MAX_COMMENT_LENGTH} characters`);
+  if (line !== undefined && line !== null && !(Number.isInteger(line) && line > 0)) {
+    throw new Error(`Invalid comment: line must be a positive integer, got ${line}`);
+  }
+  proposal.comments = proposal.comments || [];
+  if (parentId && !proposal.comments.some((c) => String(c._id) === String(parentId))) {
+    throw new Error(`Invalid comment: parent comment ${parentId} not found`);
+  }
+  proposal.comments.push({
+    author: author || 'anonymous',
+    body: text,
+    ...(line && { line }),
+    ...(parentId && { parentId }),
+    createdAt: new Date(),
+  });
+  const added = proposal.comments[proposal.comments.length - 1];
+  addHistory(proposal, 'commented', author, line ? `Line ${line}: ${text.slice(0, 80)}` : text.slice(0, 80));
+  return added;
+}
+
+/**
+ * Active admins that can be assigned as reviewers.
+ * @returns {Promise<Array>} [{ email, name, role }].
+ */
+async function listReviewers() {
+  const Admin = await getModel('Admin');
+  return Admin.find({ removed: { $ne: true }, enabled: { $ne: false } }).select('email name role').sort({ email: 1 }).lean();
+}
+
+/**
+ * Replaces a proposal's reviewers with the given admin emails.
+ * @param {Object} proposal - BackendProposal document (not saved here).
+ * @param {Array<string>} emails - Reviewer emails.
+ * @param {Object} options - { actor } who assigned them.
+ * @returns {Promise<Array<string>>} Assigned reviewers.
+ * @throws {Error} If an email is not an active admin.
+ */
+async function assignReviewers(proposal, emails, { actor } = {}) {
+  if (!Array.isArray(emails)) throw new Error('Invalid reviewers: expected an array of emails');
+  const requested = [...new Set(emails.filter((email) => typeof email === 'string' && email.trim()).map((email) => email.trim().toLowerCase()))];
+  const known = new Set((await listReviewers()).map((admin) => admin.email.toLowerCase()));
+  const unknown = requested.filter((email) => !known.has(email));
+  if (unknown.length) throw new Error(`Invalid reviewers: ${unknown.join(', ')} not active admins`);
+  proposal.reviewers = requested;
+  addHistory(proposal, 'reviewers_assigned', actor, requested.length ? requested.join(', ') : 'Cleared reviewers');
+  await logInfo('Assigned proposal reviewers', 'proposalReview', {
+    proposalId: proposal._id,
+    reviewers: requested,
+    user: actor,
+    timestamp: new Date().toISOString(),
+  });
+  return requested;
+}
+
+function assertReviewer(proposal, user) {
+  const reviewers = proposal.reviewers || [];
+  if (reviewers.length && !reviewers.includes(String(user || '').toLowerCase())) {
+    throw new Error(`${user || 'Anonymous user'} is not an assigned reviewer of this proposal`);
+  }
+}
+
+module.exports = {
+  getReviewPolicy,
+  areaOf,
+  approvalsRequiredFor,
+  addHistory,
+  addComment,
+  listReviewers,
+  assignReviewers,
+  assertReviewer,
+  DEFAULT_REVIEW_POLICY,
+};
@@ -0,0 +1,485 @@
+/*
+ * File Path: backend/src/utils/proposalTransforms.js
+ * Purpose: Applies BackendProposal structured edits to backend files via AST transforms in Allur Space Console.
+ * How It Works:
+ *   - Each proposal carries an edit: insert_route, add_middleware, modify_function, or add_schema_field.
+ *   - The target file is parsed with @babel/parser; the edit locates its anchor node (router, route call,
+ *     function, or Schema object) and splices code at that node's source range, so untouched code keeps its formatting.
+ *   - The result is re-parsed before anything is written; edits that produce invalid code are refused.
+ *   - Applying records the unified diff and content hashes; reverting reverses that diff, exactly when the file is unchanged since apply.
+ * Mechanics:
+ *   - `applyEditToSource`: Pure source-to-source transform for one edit.
+ *   - `renderEdit`: Code snippet for display and securityReview.js.
+ *   - `deriveEdit`: insert_route edit from legacy route-stub content (router.<method>('/path', handler)).
+ *   - `listRoutes`: { method, route } of each top-level router.<method>() call, for API test generation.
+ *   - `planProposalEdit`: { current, next, isNewFile, baseHash, patch, stats } against the file on disk, for previews.
+ *   - `applyProposalEdit` / `revertProposalEdit`: Write the edit, or restore the pre-apply content from proposal.applied.
+ *   - Missing route files are scaffolded as an express Router module by insert_route.
+ * Dependencies:
+ *   - @babel/parser: Parsing target files and results (version 7.27.0).
+ *   - diff@5.2.0: applyPatch, parsePatch, reversePatch for reverts.
+ *   - patchUtils.js: hashContent, createFilePatch, patchStats.
+ *   - fs.promises, path: File operations (Node.js built-in).
+ * Dependents:
+ *   - taskManager.js: createProposals stores edits and previews; applyBackendProposal/revertBackendProposal write and revert them.
+ *   - proposalRoutes.js: GET /backend-proposals/:proposalId/preview.
+ *   - apiTests.js: listRoutes and applyEditToSource to test staged routes and proposal edits in the task workspace.
+ * Why It’s Here:
+ *   - Approving a proposal appended "// BackendProposal <id>: <content>" to the target file, which never changed behaviour (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created structured proposal edits.
+ *     - Why: Proposals must change the backend the way they describe, show a diff first, and revert exactly.
+ *     - How: Four edit kinds applied at Babel node ranges, result re-parsed, applied patch and hashes stored for revert.
+ *     - Test: Approve an insert_route proposal for backend/src/routes/taskRoutes.js, verify the route before module.exports; deny it, verify the file matches its previous content.
+ *   - 10/19/2026: Exported listRoutes.
+ *     - Why: apiTests.js generates one API test per route a task adds.
+ *     - How: findRouter and routeCallOf over the top-level statements, "use" calls excluded.
+ *     - Test: listRoutes(buildRouteStub({ method: 'post', route: '/mfa' })), verify [{ method: 'post', route: '/mfa' }].
+ * Test Instructions:
+ *   - POST /api/grok/edit with "Add MFA to login", verify the proposal has edit.kind "insert_route" and preview.patch.
+ *   - Approve it, verify backend/src/routes/auth.js is a Router module with router.post('/mfa', ...).
+ *   - Deny it via POST /api/grok/rollback, verify auth.js is removed again and the proposal status is "reverted".
+ * Rollback Instructions:
+ *   - Delete proposalTransforms.js and restore the appendFile loop in taskManager.js applyApprovedChanges.
+ * Future Enhancements:
+ *   - Add remove_route and rename edits (Sprint 5).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const parser = require('@babel/parser');
+const Diff = require('diff');
+const { hashContent, createFilePatch, patchStats } = require('./patchUtils');
+
+const repoRoot = path.join(__dirname, '../../../');
+const EDIT_KINDS = ['insert_route', 'add_middleware', 'modify_function', 'add_schema_field'];
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'all'];
+const ROUTE_PATH_PATTERN = /^\/[\w\-/:.*]*$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const SKIPPED_AST_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+function parseSource(source, file = '') {
+  return parser.parse(source, {
+    sourceType: 'unambiguous',
+    plugins: file.endsWith('.jsx') ? ['jsx'] : [],
+  });
+}
+
+// Visits every node with its parent; returning false from visit skips the node's children
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, parent) === false) return;
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_AST_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) value.forEach(child => walk(child, visit, node));
+    else if (value && typeof value.type === 'string') walk(value, visit, node);
+  }
+}
+
+function keyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function indentAt(source, index) {
+  const lineStart = source.lastIndexOf('\n', index - 1) + 1;
+  return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+function applyInsertions(source, insertions) {
+  return [...insertions]
+    .sort((a, b) => b.index - a.index)
+    .reduce((text, { index, text: inserted, end = index }) => text.slice(0, index) + inserted + text.slice(end), source);
+}
+
+function isRequireCall(node) {
+  return node?.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+}
+
+function isRouterFactory(node) {
+  if (node?.type !== 'CallExpression') return false;
+  const { callee } = node;
+  return (callee.type === 'Identifier' && callee.name === 'Router')
+    || (callee.type === 'MemberExpression' && keyName(callee.property) === 'Router');
+}
+
+function findRouter(ast) {
+  for (const statement of ast.program.body) {
+    if (statement.type !== 'VariableDeclaration') continue;
+    const declarator = statement.declarations.find(d => d.id.type === 'Identifier' && isRouterFactory(d.init));
+    if (declarator) return { name: declarator.id.name, statement };
+  }
+  return null;
+}
+
+function routeCallOf(statement, routerName) {
+  const call = statement.type === 'ExpressionStatement' ? statement.expression : null;
+  if (call?.type !== 'CallExpression' || call.callee.type !== 'MemberExpression') return null;
+  if (call.callee.object.type !== 'Identifier' || call.callee.object.name !== routerName) return null;
+  const method = keyName(call.callee.property);
+  const [first] = call.arguments;
+  const route = first?.type === 'StringLiteral' ? first.value
+    : first?.type === 'TemplateLiteral' && !first.expressions.length ? first.quasis[0].value.cooked : null;
+  if (method === 'use') return { call, method, route };
+  return ROUTE_METHODS.includes(method) && route !== null ? { call, method, route } : null;
+}
+
+function isModuleExports(statement) {
+  const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+  if (expression?.type !== 'AssignmentExpression') return false;
+  const { left } = expression;
+  return left.type === 'MemberExpression' && keyName(left.object) === 'module' && keyName(left.property) === 'exports';
+}
+
+function topLevelBindings(ast) {
+  const names = new Set();
+  for (const statement of ast.program.body) {
+    if (statement.type === 'VariableDeclaration') {
+      for (const declarator of statement.declarations) {
+        if (declarator.id.type === 'Identifier') names.add(declarator.id.name);
+        if (declarator.id.type === 'ObjectPattern') {
+          declarator.id.properties.forEach(p => p.value?.type === 'Identifier' && names.add(p.value.name));
+        }
+      }
+    } else if (statement.type === 'FunctionDeclaration' && statement.id) {
+      names.add(statement.id.name);
+    } else if (statement.type === 'ImportDeclaration') {
+      statement.specifiers.forEach(s => names.add(s.local.name));
+    }
+  }
+  return names;
+}
+
+function importInsertion(ast, source, name, importFrom) {
+  if (!importFrom || topLevelBindings(ast).has(name)) return null;
+  const requires = ast.program.body.filter(s => s.type === 'VariableDeclaration'
+    && s.declarations.some(d => isRequireCall(d.init) || (d.init?.type === 'MemberExpression' && isRequireCall(d.init.object))));
+  const line = `const { ${name} } = require('${importFrom}');`;
+  if (requires.length) return { index: requires[requires.length - 1].end, text: `\n${line}` };
+  const first = ast.program.body[0];
+  return first ? { index: first.start, text: `${line}\n` } : { index: source.length, text: `${line}\n` };
+}
+
+function assertRoute(method, route) {
+  if (!ROUTE_METHODS.includes(method)) {
+    throw new Error(`Cannot apply proposal: unsupported route method "${method}"`);
+  }
+  if (!ROUTE_PATH_PATTERN.test(route || '')) {
+    throw new Error(`Cannot apply proposal: invalid route path "${route}"`);
+  }
+}
+
+function insertRoute(source, ast, edit, file) {
+  const { method, route, handler, middleware = [] } = edit;
+  assertRoute(method, route);
+  if (!handler || typeof handler !== 'string') {
+    throw new Error('Cannot apply proposal: insert_route needs a handler');
+  }
+
+  const router = ast && findRouter(ast);
+  const routerName = router?.name || 'router';
+  const statement = `${routerName}.${method}('${route}', ${[...middleware, handler.trim()].join(', ')});`;
+  if (!ast || !source.trim()) {
+    return `const express = require('express');\nconst router = express.Router();\n\n${statement}\n\nmodule.exports = router;\n`;
+  }
+  if (!router) {
+    throw new Error(`Cannot apply proposal: no express Router found in ${file}`);
+  }
+
+  const routes = ast.program.body.map(s => ({ statement: s, route: routeCallOf(s, routerName) })).filter(r => r.route && r.route.method !== 'use');
+  if (routes.some(r => r.route.method === method && r.route.route === route)) {
+    throw new Error(`Cannot apply proposal: route ${method.toUpperCase()} ${route} already exists in ${file}`);
+  }
+  const last = routes[routes.length - 1]?.statement;
+  if (last) return applyInsertions(source, [{ index: last.end, text: `\n\n${statement}` }]);
+  const exportsStatement = ast.program.body.find(isModuleExports);
+  if (exportsStatement) return applyInsertions(source, [{ index: exportsStatement.start, text: `${statement}\n\n` }]);
+  return applyInsertions(source, [{ index: router.statement.end, text: `\n\n${statement}` }]);
+}
+
+function addMiddleware(source, ast, edit, file) {
+  const { middleware = [], method, route, importFrom } = edit;
+  if (!middleware.length) {
+    throw new Error('Cannot apply proposal: add_middleware needs at least one middleware');
+  }
+  const router = findRouter(ast);
+  if (!router) {
+    throw new Error(`Cannot apply proposal: no express Router found in ${file}`);
+  }
+  const insertions = [];
+  const routes = ast.program.body.map(s => routeCallOf(s, router.name)).filter(Boolean);
+
+  if (route) {
+    assertRoute(method, route);
+    const target = routes.find(r => r.method === method && r.route === route);
+    if (!target) {
+      throw new Error(`Cannot apply proposal: route ${method.toUpperCase()} ${route} not found in ${file}`);
+    }
+    const existing = target.call.arguments.slice(1, -1).map(arg => source.slice(arg.start, arg.end));
+    const added = middleware.filter(mw => !existing.includes(mw));
+    if (!added.length) {
+      throw new Error(`Cannot apply proposal: ${middleware.join(', ')} already applied to ${method.toUpperCase()} ${route}`);
+    }
+    insertions.push({ index: target.call.arguments[1].start, text: `${added.join(', ')}, ` });
+  } else {
+    const used = routes.filter(r => r.method === 'use').flatMap(r => r.call.arguments.map(arg => source.slice(arg.start, arg.end)));
+    const added = middleware.filter(mw => !used.includes(mw));
+    if (!added.length) {
+      throw new Error(`Cannot apply proposal: ${middleware.join(', ')} already used by ${router.name} in ${file}`);
+    }
+    insertions.push({ index: router.statement.end, text: added.map(mw => `\n${router.name}.use(${mw});`).join('') });
+  }
+
+  for (const name of new Set(middleware.map(mw => mw.match(/^[A-Za-z_$][\w$]*/)?.[0]).filter(Boolean))) {
+    const insertion = importInsertion(ast, source, name, importFrom);
+    if (insertion) insertions.push(insertion);
+  }
+  return applyInsertions(source, insertions);
+}
+
+function modifyFunction(source, ast, edit, file) {
+  const { name, code } = edit;
+  if (!name || !code) {
+    throw new Error('Cannot apply proposal: modify_function needs name and code');
+  }
+  const isFunction = node => ['FunctionExpression', 'ArrowFunctionExpression'].includes(node?.type);
+  const matches = [];
+  walk(ast.program, (node) => {
+    if (node.type === 'FunctionDeclaration' && node.id?.name === name) matches.push(node);
+    else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.id.name === name && isFunction(node.init)) matches.push(node.init);
+    else if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' && keyName(node.left.property) === name && isFunction(node.right)) matches.push(node.right);
+    else if (node.type === 'ObjectProperty' && keyName(node.key) === name && isFunction(node.value)) matches.push(node.value);
+    else if (['ObjectMethod', 'ClassMethod'].includes(node.type) && keyName(node.key) === name) matches.push(node);
+  });
+  if (!matches.length) {
+    throw new Error(`Cannot apply proposal: function ${name} not found in ${file}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Cannot apply proposal: function ${name} is defined ${matches.length} times in ${file}`);
+  }
+  const [target] = matches;
+  return applyInsertions(source, [{ index: target.start, end: target.end, text: code.trim() }]);
+}
+
+function schemaNameOf(parent) {
+  if (parent?.type === 'ObjectProperty') return keyName(parent.key);
+  if (parent?.type === 'VariableDeclarator') return keyName(parent.id);
+  if (parent?.type === 'CallExpression' && parent.arguments[0]?.type === 'StringLiteral') return parent.arguments[0].value;
+  return null;
+}
+
+function addSchemaField(source, ast, edit, file) {
+  const { schema, field, definition } = edit;
+  if (!field || !definition) {
+    throw new Error('Cannot apply proposal: add_schema_field needs field and definition');
+  }
+  const schemas = [];
+  walk(ast.program, (node, parent) => {
+    if (node.type !== 'NewExpression' || node.arguments[0]?.type !== 'ObjectExpression') return;
+    const { callee } = node;
+    const isSchema = (callee.type === 'Identifier' && callee.name === 'Schema')
+      || (callee.type === 'MemberExpression' && keyName(callee.property) === 'Schema');
+    if (isSchema) schemas.push({ name: schemaNameOf(parent), object: node.arguments[0] });
+  });
+
+  const wanted = (schema || '').toLowerCase();
+  const candidates = schema
+    ? schemas.filter(s => s.name && [wanted, `${wanted}schema`].includes(s.name.toLowerCase()))
+    : schemas;
+  if (!candidates.length) {
+    throw new Error(`Cannot apply proposal: schema ${schema || ''} not found in ${file}`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`Cannot apply proposal: ${candidates.length} schemas in ${file}, name the one to change`);
+  }
+
+  const { object } = candidates[0];
+  if (object.properties.some(p => keyName(p.key) === field)) {
+    throw new Error(`Cannot apply proposal: field ${field} already exists in ${schema || 'the'} schema`);
+  }
+  const key = IDENTIFIER_PATTERN.test(field) ? field : `'${field}'`;
+  const last = object.properties[object.properties.length - 1];
+  if (!last) {
+    const indent = indentAt(source, object.start);
+    return applyInsertions(source, [{ index: object.start + 1, end: object.end - 1, text: `\n${indent}  ${key}: ${definition},\n${indent}` }]);
+  }
+  const hasTrailingComma = /^\s*,/.test(source.slice(last.end));
+  const insertAt = hasTrailingComma ? last.end + source.slice(last.end).indexOf(',') + 1 : last.end;
+  return applyInsertions(source, [{ index: insertAt, text: `${hasTrailingComma ? '' : ','}\n${indentAt(source, last.start)}${key}: ${definition},` }]);
+}
+
+const TRANSFORMS = {
+  insert_route: insertRoute,
+  add_middleware: addMiddleware,
+  modify_function: modifyFunction,
+  add_schema_field: addSchemaField,
+};
+
+/**
+ * Applies one structured edit to source text.
+ * @param {string} source - Current file content ('' for a missing file).
+ * @param {Object} edit - { kind, ...fields for that kind }.
+ * @param {Object} [options] - file for parser plugins and messages.
+ * @returns {string} Updated source.
+ * @throws {Error} "Cannot apply proposal: ..." when the anchor is missing, the change exists, or the result does not parse.
+ */
+function applyEditToSource(source, edit, { file = 'file.js' } = {}) {
+  const transform = TRANSFORMS[edit?.kind];
+  if (!transform) {
+    throw new Error(`Cannot apply proposal: unknown edit kind "${edit?.kind}"`);
+  }
+  let ast = null;
+  if (source.trim()) {
+    try {
+      ast = parseSource(source, file);
+    } catch (err) {
+      throw new Error(`Cannot apply proposal: ${file} does not parse (${err.message})`);
+    }
+  } else if (edit.kind !== 'insert_route') {
+    throw new Error(`Cannot apply proposal: ${file} does not exist`);
+  }
+  const next = transform(source, ast, edit, file);
+  try {
+    parseSource(next, file);
+  } catch (err) {
+    throw new Error(`Cannot apply proposal: edit produced invalid code in ${file} (${err.message})`);
+  }
+  return next;
+}
+
+/**
+ * Renders the code an edit introduces, for display and security review.
+ * @param {Object} edit - Structured edit.
+ * @returns {string} Code snippet.
+ */
+function renderEdit(edit) {
+  switch (edit?.kind) {
+    case 'insert_route':
+      return `router.${edit.method}('${edit.route}', ${[...(edit.middleware || []), edit.handler].join(', ')});`;
+    case 'add_middleware':
+      return edit.route
+        ? `// ${edit.method?.toUpperCase()} ${edit.route}: add ${edit.middleware.join(', ')}`
+        : edit.middleware.map(mw => `router.use(${mw});`).join('\n');
+    case 'modify_function':
+      return edit.code;
+    case 'add_schema_field':
+      return `// ${edit.schema || 'Schema'}\n${edit.field}: ${edit.definition},`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Lists the routes an express Router module declares at the top level.
+ * @param {string} source - Module source.
+ * @param {string} [file] - File name for parser plugins.
+ * @returns {Array<Object>} [{ method, route }], empty when the module has no Router.
+ */
+function listRoutes(source, file = 'file.js') {
+  const ast = parseSource(source, file);
+  const router = findRouter(ast);
+  if (!router) return [];
+  return ast.program.body
+    .map(statement => routeCallOf(statement, router.name))
+    .filter(r => r && r.method !== 'use')
+    .map(({ method, route }) => ({ method, route }));
+}
+
+/**
+ * Derives an insert_route edit from legacy route-stub content.
+ * @param {string} content - Proposal content such as "router.get('/x', (req, res) => ...)".
+ * @returns {Object|null} insert_route edit, or null if the content has no route call.
+ */
+function deriveEdit(content) {
+  let ast;
+  try {
+    ast = parseSource(content || '');
+  } catch {
+    return null;
+  }
+  const routerName = findRouter(ast)?.name || 'router';
+  for (const statement of ast.program.body) {
+    const route = routeCallOf(statement, routerName);
+    if (!route || route.method === 'use' || route.call.arguments.length < 2) continue;
+    const args = route.call.arguments.slice(1).map(arg => content.slice(arg.start, arg.end));
+    return { kind: 'insert_route', method: route.method, route: route.route, middleware: args.slice(0, -1), handler: args[args.length - 1] };
+  }
+  return null;
+}
+
+async function readTarget(file) {
+  try {
+    return await fs.readFile(path.join(repoRoot, file), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Computes a proposal's edit against the file on disk without writing.
+ * @param {Object} proposal - { file, edit }.
+ * @returns {Promise<Object>} { current, next, isNewFile, baseHash, patch, stats }.
+ */
+async function planProposalEdit(proposal) {
+  const current = await readTarget(proposal.file);
+  const next = applyEditToSource(current || '', proposal.edit, { file: proposal.file });
+  const patch = createFilePatch(proposal.file, current || '', next);
+  return { current, next, isNewFile: current === null, baseHash: hashContent(current), patch, stats: patchStats(patch) };
+}
+
+/**
+ * Applies a proposal's edit to its target file.
+ * @param {Object} proposal - { file, edit }.
+ * @returns {Promise<Object>} { patch, baseHash, appliedHash, isNewFile, appliedAt } for proposal.applied.
+ */
+async function applyProposalEdit(proposal) {
+  const plan = await planProposalEdit(proposal);
+  const targetPath = path.join(repoRoot, proposal.file);
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  await fs.writeFile(targetPath, plan.next, 'utf8');
+  return { patch: plan.patch, baseHash: plan.baseHash, appliedHash: hashContent(plan.next), isNewFile: plan.isNewFile, appliedAt: new Date() };
+}
+
+/**
+ * Reverts an applied proposal by reversing its recorded patch.
+ * @param {Object} proposal - { file, applied: { patch, baseHash, appliedHash, isNewFile } }.
+ * @returns {Promise<Object>} { exact, removed } where exact means the file was unchanged since apply.
+ * @throws {Error} If the file changed in the edited lines since apply.
+ */
+async function revertProposalEdit(proposal) {
+  const { patch, baseHash, appliedHash, isNewFile } = proposal.applied || {};
+  if (!patch) {
+    throw new Error(`Cannot revert proposal: ${proposal.file} has no applied patch`);
+  }
+  const current = await readTarget(proposal.file);
+  if (current === null) {
+    throw new Error(`Cannot revert proposal: ${proposal.file} was deleted since apply`);
+  }
+  const exact = hashContent(current) === appliedHash;
+  const targetPath = path.join(repoRoot, proposal.file);
+  if (exact && isNewFile) {
+    await fs.unlink(targetPath);
+    return { exact, removed: true };
+  }
+  const base = Diff.applyPatch(current, Diff.reversePatch(Diff.parsePatch(patch)[0]));
+  if (base === false || (exact && hashContent(base) !== baseHash)) {
+    throw new Error(`Cannot revert proposal: ${proposal.file} changed in the edited lines since apply`);
+  }
+  await fs.writeFile(targetPath, base, 'utf8');
+  return { exact, removed: false };
+}
+
+module.exports = {
+  EDIT_KINDS,
+  applyEditToSource,
+  renderEdit,
+  deriveEdit,
+  listRoutes,
+  planProposalEdit,
+  applyProposalEdit,
+  revertProposalEdit,
+};
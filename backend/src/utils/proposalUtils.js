@@ -11,7 +11,7 @@
  *   - Validates taskId and change data to prevent errors.
  * Dependencies:
  *   - mongoose: BackendProposal, Log models (version 8.13.2).
- *   - socket.js: getIO for Socket.IO (version 4.8.1).
+ *   - socket.js: emitTaskEvent for Socket.IO (version 4.8.1).
  *   - winston: Console logging (version 3.17.0).
  *   - path: File path manipulation (Node.js built-in).
  *   - fs.promises: File operations (Node.js built-in).
@@ -44,7 +44,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { isValidTaskId } = require('./taskValidator');
 const { getModel } = require('../db');
 const { logInfo, logWarn, logError, logDebug } = require('./logUtils');
@@ -123,7 +123,7 @@ async function createProposals(taskId, backendChanges) {
           path.join(__dirname, '../../../error.log'),
           `# BackendProposal Created\nTask ID: ${taskId}\nProposal ID: ${proposal._id}\nFile: ${file}\nTimestamp: ${new Date().toISOString()}\n`
         );
-        getIO().emit('backendProposal', {
+        emitTaskEvent('backendProposal', {
           taskId,
           proposal: { id: proposal._id, file, content: changeText, status: 'pending' },
         });
@@ -153,7 +153,7 @@ async function createProposals(taskId, backendChanges) {
   }
 
   if (proposals.length > 0) {
-    getIO().emit('backendProposal', { taskId, proposals });
+    emitTaskEvent('backendProposal', { taskId, proposals });
     await logInfo(`Emitted backendProposal event for ${proposals.length} proposals`, 'proposalUtils', {
       taskId,
       timestamp: new Date().toISOString(),
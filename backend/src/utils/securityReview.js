@@ -0,0 +1,213 @@
+/*
+ * File Path: backend/src/utils/securityReview.js
+ * Purpose: Automated security review of AI-generated BackendProposals in Allur Space Console.
+ * How It Works:
+ *   - Scans proposal content line by line for risky patterns before the proposal is saved.
+ *   - Flags new unauthenticated routes, child_process, eval/new Function, filesystem writes outside allowed
+ *     directories, secret literals, and disabled or bypassed auth middleware.
+ *   - Derives a riskLevel (low, medium, high); high-risk proposals need a second, distinct approver.
+ * Mechanics:
+ *   - `reviewProposal`: { riskLevel, findings: [{ rule, severity, message, line }], requiresSecondApproval, reviewedAt }.
+ *   - `recordApproval`: Adds an approval to proposal.approvals and returns whether the proposal may be applied;
+ *     the required count is the larger of the review policy's (proposalReview.js) and the security review's.
+ *   - Routes count as authenticated when the route passes middleware before its handler, or when the
+ *     proposal or its target file calls router.use(verifyToken).
+ *   - SECURITY_REVIEW_ALLOW_SAME_APPROVER=true lets one reviewer give both approvals (single-user setups).
+ * Dependencies:
+ *   - fs.promises, path: Reads the proposal's target file (Node.js built-in).
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - taskManager.js: createProposals reviews every proposal before saving it.
+ *   - proposalRoutes.js: POST /approve-backend records approvals through recordApproval.
+ *   - proposalReview.js: Supplies the per-area approval count passed to recordApproval.
+ * Why It’s Here:
+ *   - createProposals let generated code be appended straight into backend files via applyApprovedChanges
+ *     with a single click and no review of what the code does (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created security review stage.
+ *     - Why: Risky generated backend code needs to be flagged and approved twice.
+ *     - How: Line-based rules with severities; high severity findings require a second approval with acknowledged risks.
+ *     - Test: Create a proposal containing require('child_process'), verify riskLevel "high" and requiresSecondApproval.
+ *   - 10/19/2026: Took the required approval count from the review policy.
+ *     - Why: Backend and frontend proposals can each need a configured number of approvals, not just high-risk ones.
+ *     - How: recordApproval accepts approvalsRequired, keeps the distinct-reviewer rule for any count above one, stores proposal.approvalsRequired.
+ *     - Test: With review_policy {"requiredApprovals":{"backend":3}}, approve a low-risk proposal three times as different admins, verify it applies on the third.
+ * Test Instructions:
+ *   - POST /api/grok/edit with a prompt producing backend changes, verify each BackendProposal has securityReview.
+ *   - Approve a high-risk proposal once, verify 202 and status "awaiting_second_approval"; approve as another admin, verify "approved".
+ * Rollback Instructions:
+ *   - Delete securityReview.js, remove the review from createProposals and recordApproval from proposalRoutes.js.
+ * Future Enhancements:
+ *   - Run the rules on the Babel AST from staticValidator.js instead of line patterns (Sprint 5).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logInfo, logWarn } = require('./logUtils');
+
+const repoRoot = path.join(__dirname, '../../../');
+const ALLOWED_WRITE_DIRS = /\b(tmp|temp|uploads|test-results|screenshots)\b/i;
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const ROUTE_PATTERN = /\b(?:router|app)\.(get|post|put|patch|delete|all)\s*\(\s*(['"`])([^'"`]*)\2\s*,\s*(.*)$/;
+const ROUTER_AUTH_PATTERN = /\b(?:router|app)\.use\s*\(\s*(?:['"`][^'"`]*['"`]\s*,\s*)?(verifyToken|authenticate|requireAuth|isValidAuthToken)\b/;
+const FS_WRITE_PATTERN = /\bfs(?:\.promises)?\.(writeFile|appendFile|createWriteStream|unlink|rm|rmdir|rename|mkdir|copyFile)(Sync)?\s*\((.*)$/;
+const SECRET_ASSIGNMENT_PATTERN = /\b[\w$]*(secret|password|passwd|api_?key|token|private_?key)[\w$]*\s*[:=]\s*(['"`])([^'"`\s]{8,})\2/i;
+const SECRET_VALUE_PATTERNS = [
+  { pattern: /\b(sk|xai)-[A-Za-z0-9_-]{16,}/, message: 'API key literal' },
+  { pattern: /\bAKIA[0-9A-Z]{16}\b/, message: 'AWS access key literal' },
+  { pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\./, message: 'JWT literal' },
+  { pattern: /-----BEGIN (?:RSA |EC )?PRIVATE KEY-----/, message: 'Private key literal' },
+];
+
+const LINE_RULES = [
+  {
+    rule: 'child-process',
+    severity: 'high',
+    pattern: /\brequire\s*\(\s*['"`](?:node:)?child_process['"`]\s*\)|\bfrom\s+['"`](?:node:)?child_process['"`]|\b(execSync|spawnSync|execFile)\s*\(/,
+    message: 'Spawns processes through child_process',
+  },
+  {
+    rule: 'eval',
+    severity: 'high',
+    pattern: /(?<![\w$.])eval\s*\(|\bnew\s+Function\s*\(/,
+    message: 'Executes dynamic code with eval or new Function',
+  },
+  {
+    rule: 'disabled-auth',
+    severity: 'high',
+    pattern: /^\s*\/\/.*\bverifyToken\b|verifyToken\s*=\s*(?:async\s*)?\([^)]*\)\s*=>\s*(?:\{\s*)?next\s*\(\s*\)|ignoreExpiration\s*:\s*true|algorithms\s*:\s*\[\s*['"`]none['"`]/i,
+    message: 'Disables or bypasses authentication middleware',
+  },
+];
+
+/**
+ * Checks whether the proposal's target file already protects its router with auth middleware.
+ * @param {string} file - Repo-relative target file.
+ * @returns {Promise<boolean>} True if the file calls router.use(verifyToken) or similar.
+ */
+async function targetFileUsesAuth(file) {
+  try {
+    const content = await fs.readFile(path.join(repoRoot, file), 'utf8');
+    return content.split('\n').some((line) => ROUTER_AUTH_PATTERN.test(line));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Finds the risky patterns in one line of proposal content.
+ * @param {string} line - Source line.
+ * @param {number} lineNumber - 1-based line number.
+ * @param {boolean} routerAuthenticated - Whether router-level auth middleware covers the routes.
+ * @returns {Array} Findings for the line.
+ */
+function reviewLine(line, lineNumber, routerAuthenticated) {
+  const findings = [];
+  for (const { rule, severity, pattern, message } of LINE_RULES) {
+    if (pattern.test(line)) findings.push({ rule, severity, message, line: lineNumber });
+  }
+
+  const route = line.match(ROUTE_PATTERN);
+  if (route && !routerAuthenticated) {
+    // A handler written inline as the second argument means no middleware runs before it
+    const handlerFirst = /^(?:async\s*)?(?:\(|function\b|[\w$]+\s*=>)/.test(route[4].trim());
+    if (handlerFirst) {
+      findings.push({
+        rule: 'unauthenticated-route',
+        severity: 'high',
+        message: `New ${route[1].toUpperCase()} ${route[3] || '/'} route has no authentication middleware`,
+        line: lineNumber,
+      });
+    }
+  }
+
+  const fsWrite = line.match(FS_WRITE_PATTERN);
+  if (fsWrite) {
+    const allowed = ALLOWED_WRITE_DIRS.test(fsWrite[3]);
+    findings.push({
+      rule: 'fs-write',
+      severity: allowed ? 'medium' : 'high',
+      message: allowed
+        ? `Filesystem ${fsWrite[1]} inside an allowed directory`
+        : `Filesystem ${fsWrite[1]} outside the allowed directories (tmp, uploads, test-results)`,
+      line: lineNumber,
+    });
+  }
+
+  const secretAssignment = line.match(SECRET_ASSIGNMENT_PATTERN);
+  if (secretAssignment && !/process\.env/.test(line)) {
+    findings.push({
+      rule: 'secret-literal',
+      severity: 'high',
+      message: `Hardcoded ${secretAssignment[1].toLowerCase()} literal, use process.env instead`,
+      line: lineNumber,
+    });
+  } else {
+    const secretValue = SECRET_VALUE_PATTERNS.find(({ pattern }) => pattern.test(line));
+    if (secretValue) {
+      findings.push({ rule: 'secret-literal', severity: 'high', message: secretValue.message, line: lineNumber });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Reviews a BackendProposal's content for risky patterns.
+ * @param {Object} proposal - { taskId, file, content }.
+ * @returns {Promise<Object>} { riskLevel, findings, requiresSecondApproval, reviewedAt }.
+ */
+async function reviewProposal({ taskId, file, content }) {
+  const lines = (content || '').split('\n');
+  const routerAuthenticated = lines.some((line) => ROUTER_AUTH_PATTERN.test(line)) || (file ? await targetFileUsesAuth(file) : false);
+  const findings = lines.flatMap((line, index) => reviewLine(line, index + 1, routerAuthenticated));
+
+  const highest = findings.reduce((max, finding) => Math.max(max, SEVERITY_RANK[finding.severity]), 0);
+  const riskLevel = highest >= SEVERITY_RANK.high ? 'high' : highest >= SEVERITY_RANK.medium ? 'medium' : 'low';
+  const review = {
+    riskLevel,
+    findings,
+    requiresSecondApproval: riskLevel === 'high',
+    reviewedAt: new Date(),
+  };
+
+  const log = riskLevel === 'high' ? logWarn : logInfo;
+  await log(`Security review rated ${file} ${riskLevel} risk`, 'securityReview', {
+    taskId,
+    file,
+    riskLevel,
+    rules: [...new Set(findings.map((finding) => finding.rule))],
+    timestamp: new Date().toISOString(),
+  });
+  return review;
+}
+
+/**
+ * Records an approval on a proposal and decides whether it can be applied.
+ * @param {Object} proposal - BackendProposal document (not saved here).
+ * @param {Object} options - { user, acknowledgeRisks, approvalsRequired } where approvalsRequired comes from the review policy.
+ * @returns {Object} { approved, approvalsRequired, approvalCount } where approved means ready to apply.
+ * @throws {Error} If risks are not acknowledged or the same user approves twice.
+ */
+function recordApproval(proposal, { user, acknowledgeRisks = false, approvalsRequired: policyRequired = 1 } = {}) {
+  const review = proposal.securityReview || {};
+  const approvalsRequired = Math.max(policyRequired, review.requiresSecondApproval ? 2 : 1);
+  const approvals = proposal.approvals || [];
+
+  if (review.requiresSecondApproval && !acknowledgeRisks) {
+    throw new Error(`High-risk proposal requires acknowledging ${review.findings?.length || 0} security finding(s)`);
+  }
+  const allowSameApprover = process.env.SECURITY_REVIEW_ALLOW_SAME_APPROVER === 'true';
+  if (approvalsRequired > 1 && !allowSameApprover && approvals.some((approval) => approval.user === user)) {
+    throw new Error(`Each approval must come from a different reviewer, ${user} already approved`);
+  }
+
+  approvals.push({ user, approvedAt: new Date(), acknowledgedRisks: !!acknowledgeRisks });
+  proposal.approvals = approvals;
+  proposal.approvalsRequired = approvalsRequired;
+  const approved = approvals.length >= approvalsRequired;
+  if (!approved) proposal.status = 'awaiting_second_approval';
+  return { approved, approvalsRequired, approvalCount: approvals.length };
+}
+
+module.exports = { reviewProposal, recordApproval };
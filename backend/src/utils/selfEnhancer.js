@@ -14,7 +14,7 @@
  * Dependencies:
  *   - winston: Logging to grok.log for suggestions and errors (version 3.17.0).
  *   - path: File path manipulation for log file (Node.js built-in).
- *   - socket.js: getIO for Socket.IO emissions.
+ *   - socket.js: emitTaskEvent for Socket.IO emissions.
  *   - fileUtils.js: appendLog, errorLogPath for error logging.
  * Dependents:
  *   - taskProcessorV18.js: Calls selfValidateTask to validate tasks before processing.
@@ -38,6 +38,10 @@
  *   - 04/30/2025: Reconfirmed provided version, updated change log for context (Grok).
  *     - Why: Ensure alignment with user-provided files and current error context (User, 04/30/2025).
  *     - How: Used provided logic, updated change log, verified compatibility with fileUtils.js and taskManager.js.
+ *   - 10/19/2026: Validation and proposal events go to the task's rooms.
+ *     - Why: Self-validation events and proposals were broadcast to every admin.
+ *     - How: getIO().emit replaced by emitTaskEvent.
+ *     - Test: Run selfValidateTask for a task, verify a second user's LiveFeed stays empty.
  * Test Instructions:
  *   - Run `npm start`, POST /grok/edit with "Build CRM system": Confirm task validated, no conflicts, green "Task validated" log in LiveFeed.jsx.
  *   - POST /grok/edit with "Add MFA to login" (duplicate prompt): Verify red "Duplicate MFA feature detected" or "MFA feature already implemented" log in LiveFeed.jsx, error in grok.log.
@@ -64,7 +68,7 @@
 
 const winston = require('winston');
 const path = require('path');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { appendLog, errorLogPath } = require('./fileUtils');
 
 const logger = winston.createLogger({
@@ -87,7 +91,7 @@ function isValidTaskId(taskId) {
 async function selfValidateTask(taskId, prompt) {
   if (!isValidTaskId(taskId)) {
     logger.error(`Invalid taskId provided`, { taskId: taskId || 'missing' });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId: taskId || 'unknown',
       status: 'failed',
       error: `Invalid taskId: ${taskId || 'missing'}`,
@@ -102,7 +106,7 @@ async function selfValidateTask(taskId, prompt) {
 
   if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
     logger.error(`Invalid prompt provided`, { taskId, prompt: prompt || 'missing' });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: 'Invalid or empty prompt',
@@ -121,7 +125,7 @@ async function selfValidateTask(taskId, prompt) {
   const featureSet = new Set(features);
   if (featureSet.size < features.length) {
     logger.warn(`Duplicate features detected`, { taskId, features });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: `Duplicate features detected: ${features.join(', ')}`,
@@ -137,7 +141,7 @@ async function selfValidateTask(taskId, prompt) {
   const systemState = { existingFeatures: ['login'] };
   if (features.includes('mfa') && systemState.existingFeatures.includes('mfa')) {
     logger.warn(`MFA feature already exists`, { taskId });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: 'MFA feature already implemented',
@@ -151,7 +155,7 @@ async function selfValidateTask(taskId, prompt) {
   }
 
   logger.info(`Task validated`, { taskId, prompt, features });
-  getIO().emit('taskUpdate', {
+  emitTaskEvent('taskUpdate', {
     taskId,
     status: 'validated',
     message: `Task validated successfully`,
@@ -176,7 +180,7 @@ async function enhanceSelf(taskId, systemState) {
   for (const suggestion of suggestions) {
     logger.info(`System enhancement suggested`, { taskId, suggestion });
     await appendLog(errorLogPath, `# System Enhancement\nTask ID: ${taskId}\nUtility: ${suggestion.utility}\nDescription: ${suggestion.description}\nReason: ${suggestion.reason}`);
-    getIO().emit('backendProposal', {
+    emitTaskEvent('backendProposal', {
       taskId,
       proposals: [{
         file: suggestion.utility,
@@ -3,26 +3,40 @@
  * Purpose: Modularizes Socket.IO logic for Allur Space Console, handling connections and events.
  * How It Works:
  *   - Sets up Socket.IO with CORS, handling taskUpdate, backendProposal, feedback, and clientError events.
+ *   - "feedback" messages are stored as Feedback documents (category "other") and acknowledged with their feedbackId.
  *   - Manages client connections with rate limiting (50 connections per 10s per IP).
  *   - Implements event queuing and acknowledgment to prevent race conditions.
  *   - Logs events to idurar_db.logs for traceability.
+ *   - Authenticates the handshake with the session JWT and scopes task events to rooms: every socket joins its user's
+ *     room, and task rooms on request ("subscribe") once the user may see the task.
  * Mechanics:
  *   - Uses exponential backoff for reconnection (2s, 4s, 8s, max 64s, infinite attempts).
  *   - Validates auth.token (JWT) to ensure authorized connections.
  *   - Queues events with eventId for deduplication, supports acknowledgment callbacks.
  *   - Simulates 100 connections in development for load testing.
+ *   - Rooms: "user:<email>" (joined on connect) and "task:<taskId>" (joined through subscribe/unsubscribe).
+ *   - subscribe { taskIds } joins the tasks the user may see under the same rule as GET /api/grok/tasks
+ *     (own, unowned, or admin@idurarapp.com tasks) and acks { joined, denied }.
+ *   - emitTaskEvent sends an event to the task's room and its owner's room; the owner is looked up once per task and cached.
+ *   - Every event from emitTaskEvent is stored by eventStore.js and carries its sequence number as `seq`. Emits run one
+ *     after another so seq order is emit order.
+ *   - Replay: a handshake with auth.lastSeq receives the user's missed events; subscribe with lastSeq receives the
+ *     missed events of the joined tasks. Replayed events carry replayed: true, followed by "replayComplete".
+ *   - Every event from emitTaskEvent has an eventId (assigned when the caller did not set one); the frontend's
+ *     socketContext drops events whose eventId it has already delivered. The server does not deduplicate.
  * Dependencies:
  *   - socket.io: Real-time communication (version 4.8.1).
  *   - jsonwebtoken: JWT validation (version 9.0.2).
  *   - uuid: Generates eventId (version 11.1.0).
  *   - logUtils.js: MongoDB logging for connection and event logs.
+ *   - db.js: Task model for subscribe authorization and owner lookup.
+ *   - eventStore.js: recordEvent and getEventsSince for sequence numbers and replay.
  * Dependents:
- *   - socket.js: Uses setupSocket and getSocket for initialization.
- *   - taskRoutes.js: Emits taskUpdate events for task operations.
- *   - proposalRoutes.js: Emits backendProposal events for proposal actions.
- *   - useTaskSocket.js: Connects as client for task updates.
- *   - useLiveFeed.js: Connects as client for live feed events.
- *   - FeedbackButton.jsx: Emits feedback events.
+ *   - socket.js: Uses setupSocket and getSocket for initialization, re-exports emitTaskEvent.
+ *   - taskRoutes.js: Emits taskUpdate events for task operations through emitTaskEvent.
+ *   - proposalRoutes.js: Emits backendProposal events for proposal actions through emitTaskEvent.
+ *   - socketContext (frontend): The single client connection of a signed-in session.
+ *   - feedback.js: Stores legacy "feedback" socket messages (required lazily to avoid a require cycle).
  * Why It’s Here:
  *   - Modularizes socket.js for Sprint 2, fixing WebSocket connection failures (04/30/2025).
  * Change Log:
@@ -36,7 +50,29 @@
  *     - Why: Temporary validation bypass hid auth issues; xhr poll error and net::ERR_CONNECTION_REFUSED required debugging (User, 05/08/2025).
  *     - How: Reintroduced JWT validation, added detailed connection logging, preserved rate limiting, event queuing, and load testing.
  *     - Test: Run `npm start`, load /grok, submit task, verify WebSocket connects, idurar_db.logs shows “Socket.IO client connected”, no 400 Bad Request.
+ *   - 10/19/2026: Authenticated handshakes and room-scoped task events.
+ *     - Why: Task events were broadcast with io.emit, so every admin saw every other admin's tasks and prompts.
+ *     - How: io.use middleware verifies the JWT (same secret as verifyToken) and rejects the handshake with "Unauthorized";
+ *       sockets join user:<email>; subscribe/unsubscribe manage task:<taskId> rooms after a Task ownership check;
+ *       emitTaskEvent replaces getIO().emit for task, proposal, and feedback events.
+ *     - Test: Log in as two users in two browsers, submit a task as one, verify the other's LiveFeed stays empty.
+ *   - 10/19/2026: Persisted task events and replayed missed events on reconnect.
+ *     - Why: The per-socket in-memory queue was keyed by socket.id, so a reconnect (new id) or refresh lost every missed event.
+ *     - How: emitTaskEvent records each event with a sequence number before emitting; connection and subscribe replay
+ *       events after the client's lastSeq; the in-memory replay queue is gone.
+ *     - Test: Stop the backend's network for a task's run, reconnect, verify the missed taskUpdate events arrive with replayed: true.
+ *   - 10/19/2026: Guaranteed an eventId on every task event.
+ *     - Why: taskRoutes.js no longer suppresses repeated messages (deduplicateTaskUpdate); clients deduplicate by eventId.
+ *     - How: emitTaskEvent assigns a uuid when the payload has none, before storing and emitting.
+ *     - Test: Connect with auth { token, lastSeq: 0 }, verify replayed events carry the same eventId as their live copies.
+ *   - 10/19/2026: Stored socket feedback instead of rebroadcasting it.
+ *     - Why: Feedback was echoed back to the sender's room and lost; FeedbackButton.jsx now posts to /api/grok/feedback.
+ *     - How: The "feedback" handler calls feedback.createFeedback and acks { success, feedbackId } or { success: false, message }.
+ *     - Test: Emit feedback { message: "Slow diff view" } with an ack, verify a feedbackId and a "new" item in GET /api/grok/feedback.
  * Test Instructions:
+ *   - Connect with socket.io-client without auth.token, verify connect_error "Unauthorized".
+ *   - Emit subscribe { taskIds: [<another user's taskId>] } with an ack, verify { joined: [], denied: [<taskId>] }.
+ *   - Connect with auth { token, lastSeq: 0 }, verify the user's stored events arrive in seq order, then replayComplete.
  *   - Apply updated socketUtils.js, run `npm start` in backend/, `npm run dev` in frontend/.
  *   - Navigate to http://localhost:3000/grok, login, submit “Build CRM system” via TaskInput.jsx.
  *   - Verify single green/yellow/red log in LiveFeed.jsx, no duplicate events.
@@ -59,11 +95,92 @@ const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const { logInfo, logWarn, logError, logDebug } = require('./logUtils');
+const { getModel } = require('../db');
+const { recordEvent, getEventsSince } = require('./eventStore');
 
 let io = null;
 let isInitialized = false;
 const eventQueue = new Map();
 const acknowledgments = new Map();
+const taskOwners = new Map();
+let emitChain = Promise.resolve();
+const MAX_CACHED_OWNERS = 5000;
+const MAX_SUBSCRIPTIONS = 200;
+
+const userRoom = (email) => `user:${email}`;
+const taskRoom = (taskId) => `task:${taskId}`;
+
+function isValidTaskId(taskId) {
+  return typeof taskId === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(taskId);
+}
+
+/**
+ * Tasks a user may follow: the same rule as GET /api/grok/tasks.
+ * @param {string} userEmail - The user's email.
+ * @returns {Object} MongoDB filter on Task.user.
+ */
+function visibleTo(userEmail) {
+  return { $in: [userEmail, null, undefined, 'admin@idurarapp.com'] };
+}
+
+function rememberOwner(taskId, owner) {
+  if (!owner) return;
+  taskOwners.delete(taskId);
+  taskOwners.set(taskId, owner);
+  // Drop the least recently seen task once the cache is full
+  if (taskOwners.size > MAX_CACHED_OWNERS) {
+    taskOwners.delete(taskOwners.keys().next().value);
+  }
+}
+
+async function lookupOwner(taskId) {
+  try {
+    const Task = await getModel('Task');
+    const task = await Task.findOne({ taskId }).select('user').lean();
+    rememberOwner(taskId, task?.user);
+  } catch (err) {
+    await logWarn('Task owner lookup failed', 'socketUtils', { taskId, error: err.message, timestamp: new Date().toISOString() });
+  }
+}
+
+function parseSeq(value) {
+  const seq = Number(value);
+  return Number.isInteger(seq) && seq >= 0 ? seq : null;
+}
+
+/**
+ * Sends a client the stored events it missed, oldest first, then "replayComplete".
+ * @param {Socket} socket - The client socket.
+ * @param {Object} scope - { userEmail, taskIds, afterSeq } for eventStore.getEventsSince.
+ */
+async function replayEvents(socket, scope) {
+  try {
+    const { events, truncated } = await getEventsSince(scope);
+    events.forEach(event => socket.emit(event.type, { ...event.data, seq: event.seq, replayed: true, truncated: event.truncated }));
+    socket.emit('replayComplete', {
+      afterSeq: scope.afterSeq,
+      lastSeq: events.length ? events[events.length - 1].seq : scope.afterSeq,
+      count: events.length,
+      truncated,
+    });
+    await logDebug('Replayed missed events', 'socketUtils', {
+      socketId: socket.id,
+      user: scope.userEmail,
+      taskIds: scope.taskIds,
+      afterSeq: scope.afterSeq,
+      count: events.length,
+      truncated,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    await logError('Event replay failed', 'socketUtils', {
+      socketId: socket.id,
+      error: err.message,
+      stack: err.stack,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
 
 /**
  * Sets up Socket.IO server with CORS, validation, and event handling.
@@ -105,105 +222,135 @@ async function setupSocket(server) {
       allowEIO3: true,
     });
 
-    // Handle client connections
-    io.on('connection', async (socket) => {
+    // Authenticate the handshake; rejected clients get connect_error "Unauthorized"
+    io.use(async (socket, next) => {
       const authToken = socket.handshake.auth?.token;
-      const queryProps = socket.handshake.query?.source;
-      const rawHandshake = JSON.stringify(socket.handshake, null, 2);
-      const clientId = socket.id;
       const clientIp = socket.handshake.address;
-
-      // Log connection attempt for debugging
-      await logDebug('Socket.IO connection attempt', 'socketUtils', {
-        socketId: clientId,
-        clientIp,
-        authToken: authToken ? authToken.slice(0, 10) + '...' : 'missing',
-        queryProps,
-        rawHandshake,
-        timestamp: new Date().toISOString(),
-      });
-
-      // Validate authentication token
       if (!authToken) {
         await logWarn('Socket.IO connection rejected: Missing auth token', 'socketUtils', {
-          socketId: clientId,
+          socketId: socket.id,
           clientIp,
           timestamp: new Date().toISOString(),
         });
-        socket.disconnect(true);
-        return;
+        return next(new Error('Unauthorized'));
       }
-
       try {
-        // Verify JWT token (adjust secret as per your auth setup)
-        const decoded = jwt.verify(authToken, process.env.JWT_SECRET || 'your-secret');
-        await logInfo('Socket.IO client connected', 'socketUtils', {
-          socketId: clientId,
-          clientIp,
-          userId: decoded.userId,
-          timestamp: new Date().toISOString(),
-        });
+        const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
+        const email = decoded.email || decoded.current?.email;
+        if (!email) throw new Error('Token has no email');
+        socket.data.user = { email, role: decoded.role };
+        next();
       } catch (err) {
         await logWarn('Socket.IO connection rejected: Invalid auth token', 'socketUtils', {
-          socketId: clientId,
+          socketId: socket.id,
           clientIp,
           error: err.message,
           timestamp: new Date().toISOString(),
         });
-        socket.disconnect(true);
-        return;
+        next(new Error('Unauthorized'));
+      }
+    });
+
+    // Handle client connections
+    io.on('connection', async (socket) => {
+      const queryProps = socket.handshake.query?.source;
+      const clientId = socket.id;
+      const clientIp = socket.handshake.address;
+      const userEmail = socket.data.user.email;
+
+      // Every socket follows its own user's tasks; other task rooms need a subscribe
+      socket.join(userRoom(userEmail));
+      await logInfo('Socket.IO client connected', 'socketUtils', {
+        socketId: clientId,
+        clientIp,
+        user: userEmail,
+        source: queryProps,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Send the user's events missed since the client's last-seen sequence number
+      const lastSeq = parseSeq(socket.handshake.auth?.lastSeq);
+      if (lastSeq !== null) {
+        await replayEvents(socket, { userEmail, afterSeq: lastSeq });
       }
 
-      // Process queued events for the client
-      const queuedEvents = eventQueue.get(clientId) || [];
-      for (const event of queuedEvents) {
-        socket.emit(event.type, event.data, (ack) => {
-          if (ack) {
-            acknowledgments.set(event.eventId, { status: 'acknowledged', timestamp: new Date().toISOString() });
-            eventQueue.delete(`${clientId}_${event.eventId}`);
-            logDebug('Event acknowledged by client', 'socketUtils', {
-              eventId: event.eventId,
-              clientId,
-              timestamp: new Date().toISOString(),
-            });
+      // Join task rooms the user may see; anything else is denied and logged
+      socket.on('subscribe', async (data, ack) => {
+        const requested = [...new Set(Array.isArray(data?.taskIds) ? data.taskIds : [])];
+        let joined = [];
+        try {
+          const candidates = requested.filter(isValidTaskId).slice(0, MAX_SUBSCRIPTIONS);
+          if (candidates.length) {
+            const Task = await getModel('Task');
+            const tasks = await Task.find({ taskId: { $in: candidates }, user: visibleTo(userEmail) }).select('taskId user').lean();
+            tasks.forEach(task => rememberOwner(task.taskId, task.user));
+            joined = tasks.map(task => task.taskId);
+            socket.join(joined.map(taskRoom));
           }
-        });
-      }
+        } catch (err) {
+          await logError('Socket.IO subscribe failed', 'socketUtils', {
+            socketId: clientId,
+            user: userEmail,
+            error: err.message,
+            stack: err.stack,
+            timestamp: new Date().toISOString(),
+          });
+        }
+        const denied = requested.filter(taskId => !joined.includes(taskId));
+        if (denied.length) {
+          await logWarn('Socket.IO subscribe denied', 'socketUtils', {
+            socketId: clientId,
+            user: userEmail,
+            denied,
+            timestamp: new Date().toISOString(),
+          });
+        }
+        if (typeof ack === 'function') ack({ joined, denied });
+        const afterSeq = parseSeq(data?.lastSeq);
+        if (afterSeq !== null && joined.length) {
+          await replayEvents(socket, { taskIds: joined, afterSeq });
+        }
+      });
 
-      // Handle feedback events
-      socket.on('feedback', async (data) => {
-        const { message, timestamp, eventId = uuidv4() } = data;
+      socket.on('unsubscribe', (data, ack) => {
+        const taskIds = Array.isArray(data?.taskIds) ? data.taskIds.filter(isValidTaskId) : [];
+        taskIds.forEach(taskId => socket.leave(taskRoom(taskId)));
+        if (typeof ack === 'function') ack({ left: taskIds });
+      });
+
+      // Handle feedback events from clients that predate POST /api/grok/feedback: stored as uncategorized feedback
+      socket.on('feedback', async (data, ack) => {
+        const { message, timestamp, eventId = uuidv4() } = data || {};
         const eventKey = `${clientId}_${message}_${eventId}`;
         if (eventQueue.has(eventKey)) {
           console.log('socketUtils: Skipped duplicate feedback event', { eventId });
           return;
         }
         eventQueue.set(eventKey, { type: 'feedback', data, eventId });
-        await logInfo('Feedback received', 'socketUtils', {
-          message,
-          socketId: clientId,
-          timestamp,
-          eventId,
-          clientIp,
-          timestamp: new Date().toISOString(),
-        });
-        io.emit('feedback', {
-          message: `Feedback: ${message}`,
-          color: 'yellow',
-          timestamp,
-          details: JSON.stringify({ details: `User feedback submitted` }),
-          eventId,
-        }, (ack) => {
-          if (ack) {
-            acknowledgments.set(eventId, { status: 'acknowledged', timestamp: new Date().toISOString() });
-            eventQueue.delete(eventKey);
-            logDebug('Feedback event acknowledged', 'socketUtils', {
-              eventId,
-              clientId,
-              timestamp: new Date().toISOString(),
-            });
-          }
-        });
+        try {
+          // Required here: feedback.js loads taskManager.js, which loads socket.js and this module
+          const { createFeedback } = require('./feedback');
+          const feedback = await createFeedback({ message }, { user: { email: userEmail } });
+          await logInfo('Feedback received', 'socketUtils', {
+            feedbackId: feedback.feedbackId,
+            socketId: clientId,
+            sentAt: timestamp,
+            eventId,
+            clientIp,
+            timestamp: new Date().toISOString(),
+          });
+          acknowledgments.set(eventId, { status: 'acknowledged', timestamp: new Date().toISOString() });
+          if (typeof ack === 'function') ack({ success: true, feedbackId: feedback.feedbackId });
+        } catch (err) {
+          await logWarn(`Feedback rejected: ${err.message}`, 'socketUtils', {
+            socketId: clientId,
+            eventId,
+            timestamp: new Date().toISOString(),
+          });
+          if (typeof ack === 'function') ack({ success: false, message: err.message });
+        } finally {
+          eventQueue.delete(eventKey);
+        }
       });
 
       // Handle clientError events
@@ -327,4 +474,40 @@ function getSocket() {
   return io;
 }
 
-module.exports = { setupSocket, getSocket };
+/**
+ * Stores a task event and emits it with its sequence number to the task's room and its owner's room.
+ * Emits are chained so events leave in sequence order; the owner of a task not seen yet is looked up first.
+ * @param {string} event - Event name (taskUpdate, backendProposal, backendProposalUpdate).
+ * @param {Object} data - Event payload with taskId.
+ * @param {Object} [options] - { user }: also send to this user's room (route handlers pass the requester).
+ */
+function emitTaskEvent(event, data, { user } = {}) {
+  const server = getSocket();
+  // Clients deduplicate by eventId; live and replayed copies of an event share it
+  const payload = data?.eventId ? data : { ...data, eventId: uuidv4() };
+  const taskId = payload.taskId;
+  emitChain = emitChain
+    .then(async () => {
+      if (isValidTaskId(taskId) && !taskOwners.has(taskId)) await lookupOwner(taskId);
+      const owner = isValidTaskId(taskId) ? taskOwners.get(taskId) : null;
+      const rooms = [];
+      if (isValidTaskId(taskId)) rooms.push(taskRoom(taskId));
+      if (owner) rooms.push(userRoom(owner));
+      if (user) rooms.push(userRoom(user));
+      if (!rooms.length) {
+        await logDebug('Task event has no recipients', 'socketUtils', { event, taskId, timestamp: new Date().toISOString() });
+        return;
+      }
+      let seq;
+      try {
+        seq = await recordEvent({ type: event, data: payload, users: [owner, user] });
+      } catch (err) {
+        // Live clients still get the event; it just cannot be replayed
+        await logWarn(`Failed to store ${event} event: ${err.message}`, 'socketUtils', { taskId, timestamp: new Date().toISOString() });
+      }
+      server.to([...new Set(rooms)]).emit(event, seq ? { ...payload, seq } : payload);
+    })
+    .catch(err => logError('Task event emit failed', 'socketUtils', { event, taskId, error: err.message, stack: err.stack, timestamp: new Date().toISOString() }));
+}
+
+module.exports = { setupSocket, getSocket, emitTaskEvent };
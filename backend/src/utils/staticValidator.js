@@ -0,0 +1,395 @@
+/*
+ * File Path: backend/src/utils/staticValidator.js
+ * Purpose: Static validation gate for generated staged files in Allur Space Console.
+ * How It Works:
+ *   - Parses every staged JS/JSX file with @babel/parser; JSON files with JSON.parse.
+ *   - Lints parsed files with the frontend's ESLint using the rules from frontend/.eslintrc.js (eslint:recommended for backend files).
+ *   - Resolves each import against staged files, the repo, and the owning package.json (frontend, backend, or root).
+ *   - Scans the AST for forbidden APIs (eval, new Function, process.exit, document.write, child_process) and risky HTML sinks.
+ *   - Returns per-file findings; any error-severity finding fails the task's validation and blocks approval.
+ * Mechanics:
+ *   - `validateStagedFiles`: { status, errorCount, warningCount, files: [{ path, status, findings }], checkedAt } for Task.validation.
+ *   - `validateFile`: Findings for one staged file ({ kind: parse|lint|import|forbidden, rule, severity, message, line, column }).
+ *   - ESLint is loaded from frontend/node_modules; if it is missing, lint is reported as a skipped warning rather than failing.
+ * Dependencies:
+ *   - @babel/parser: JS/JSX parsing (version 7.27.0).
+ *   - eslint: Loaded from frontend/node_modules with eslint-plugin-react, react-hooks, react-refresh (version 8.57.1).
+ *   - fs.promises, path, module: File checks, builtin module list (Node.js built-in).
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - taskManager.js: processTask validates staged files before tests; applyApprovedChanges refuses failed validation.
+ * Why It’s Here:
+ *   - taskValidator.isValidFiles only checked that stagedFiles was a non-empty array, so unparsable files and
+ *     imports like tailwindcss/tailwind.css reached review and Playwright (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created static validation gate.
+ *     - Why: Generated files must parse, lint, and resolve their imports before a reviewer sees them.
+ *     - How: Babel AST for parse, import, and forbidden API checks; ESLint lintText with the project rules.
+ *     - Test: Generate a page importing "tailwindcss/tailwind.css", verify an import error finding and validation.status "failed".
+ * Test Instructions:
+ *   - POST /api/grok/edit with "Create an inventory system", verify task.validation.files has one entry per staged file.
+ *   - Stage a file calling eval("1"), verify a forbidden/no-eval error and the Approve button disabled in TaskList.jsx.
+ *   - Stage a file with an unused variable, verify a lint warning that does not fail validation.
+ * Rollback Instructions:
+ *   - Delete staticValidator.js and remove the validate stage from taskManager.js.
+ * Future Enhancements:
+ *   - Type-check staged files with tsc --checkJs (Sprint 5).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { builtinModules } = require('module');
+const parser = require('@babel/parser');
+const { logInfo, logWarn } = require('./logUtils');
+
+const repoRoot = path.join(__dirname, '../../../');
+const frontendDir = path.join(repoRoot, 'frontend');
+const SCRIPT_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs']);
+const RESOLVE_EXTENSIONS = ['', '.js', '.jsx', '.json', '/index.js', '/index.jsx'];
+const MAX_FINDINGS_PER_FILE = 50;
+const NODE_BUILTINS = new Set(builtinModules);
+const SKIPPED_AST_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+// Mirrors frontend/.eslintrc.js, which ESLint cannot load directly because frontend/package.json is "type": "module"
+const FRONTEND_LINT_CONFIG = {
+  env: { browser: true, es2020: true },
+  extends: ['eslint:recommended', 'plugin:react/recommended', 'plugin:react/jsx-runtime', 'plugin:react-hooks/recommended'],
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'module', ecmaFeatures: { jsx: true } },
+  settings: { react: { version: '18.2' } },
+  plugins: ['react-refresh'],
+  rules: {
+    'react-refresh/only-export-components': ['warn', { allowConstantExport: true }],
+    'react/prop-types': 0,
+    'no-unused-vars': 'warn',
+  },
+};
+
+const BACKEND_LINT_CONFIG = {
+  env: { node: true, es2022: true },
+  extends: ['eslint:recommended'],
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'script' },
+  rules: { 'no-unused-vars': 'warn' },
+};
+
+const FORBIDDEN_MODULES = {
+  child_process: 'Spawning processes from generated code is not allowed',
+  vm: 'Running code in vm contexts is not allowed',
+};
+
+const isMember = (node, objectName, propertyNames) => node?.type === 'MemberExpression'
+  && node.object.type === 'Identifier' && node.object.name === objectName
+  && node.property.type === 'Identifier' && propertyNames.includes(node.property.name);
+
+const FORBIDDEN_APIS = [
+  {
+    rule: 'no-eval',
+    severity: 'error',
+    message: 'eval() executes arbitrary code',
+    match: node => node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'eval',
+  },
+  {
+    rule: 'no-new-function',
+    severity: 'error',
+    message: 'Function constructor executes arbitrary code',
+    match: node => ['NewExpression', 'CallExpression'].includes(node.type) && node.callee.type === 'Identifier' && node.callee.name === 'Function',
+  },
+  {
+    rule: 'no-process-exit',
+    severity: 'error',
+    message: 'process.exit() stops the whole server',
+    match: node => node.type === 'CallExpression' && isMember(node.callee, 'process', ['exit']),
+  },
+  {
+    rule: 'no-document-write',
+    severity: 'error',
+    message: 'document.write() replaces the rendered app',
+    match: node => node.type === 'CallExpression' && isMember(node.callee, 'document', ['write', 'writeln']),
+  },
+  {
+    rule: 'no-inner-html',
+    severity: 'warning',
+    message: 'Assigning innerHTML/outerHTML bypasses React escaping',
+    match: node => node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression'
+      && node.left.property.type === 'Identifier' && ['innerHTML', 'outerHTML'].includes(node.left.property.name),
+  },
+  {
+    rule: 'no-dangerously-set-inner-html',
+    severity: 'warning',
+    message: 'dangerouslySetInnerHTML renders unescaped HTML',
+    match: node => node.type === 'JSXAttribute' && node.name.name === 'dangerouslySetInnerHTML',
+  },
+];
+
+const packageCache = new Map();
+const linters = new Map();
+
+/**
+ * Returns the package directory that owns a repo-relative path.
+ * @param {string} filePath - Repo-relative path.
+ * @returns {string} Absolute package directory (frontend, backend, or repo root).
+ */
+function packageDirFor(filePath) {
+  if (filePath.startsWith('frontend/')) return frontendDir;
+  if (filePath.startsWith('backend/')) return path.join(repoRoot, 'backend');
+  return repoRoot;
+}
+
+/**
+ * Reads declared dependency names from a package.json.
+ * @param {string} packageDir - Absolute package directory.
+ * @returns {Promise<Set<string>>} Dependency, devDependency, and peerDependency names.
+ */
+async function declaredPackages(packageDir) {
+  if (!packageCache.has(packageDir)) {
+    let names = new Set();
+    try {
+      const pkg = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf8'));
+      names = new Set([...Object.keys(pkg.dependencies || {}), ...Object.keys(pkg.devDependencies || {}), ...Object.keys(pkg.peerDependencies || {})]);
+    } catch (err) {
+      await logWarn(`Could not read package.json: ${err.message}`, 'staticValidator', { packageDir, timestamp: new Date().toISOString() });
+    }
+    packageCache.set(packageDir, names);
+  }
+  return packageCache.get(packageDir);
+}
+
+/**
+ * Checks whether a path exists on disk.
+ * @param {string} absolutePath - Absolute path.
+ * @returns {Promise<boolean>} True if it exists.
+ */
+async function exists(absolutePath) {
+  try {
+    await fs.access(absolutePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns a cached ESLint instance for frontend or backend files.
+ * @param {boolean} isFrontend - True for files under frontend/.
+ * @returns {Object|null} ESLint instance, or null when eslint is not installed.
+ */
+function getLinter(isFrontend) {
+  const key = isFrontend ? 'frontend' : 'backend';
+  if (!linters.has(key)) {
+    let linter = null;
+    try {
+      const { ESLint } = require(path.join(frontendDir, 'node_modules/eslint'));
+      linter = new ESLint({
+        cwd: isFrontend ? frontendDir : repoRoot,
+        useEslintrc: false,
+        resolvePluginsRelativeTo: frontendDir,
+        overrideConfig: isFrontend ? FRONTEND_LINT_CONFIG : BACKEND_LINT_CONFIG,
+      });
+    } catch {
+      linter = null;
+    }
+    linters.set(key, linter);
+  }
+  return linters.get(key);
+}
+
+/**
+ * Visits every AST node.
+ * @param {Object} node - Babel AST node.
+ * @param {Function} visit - Called with each node.
+ * @returns {void}
+ */
+function walkAst(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_AST_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => walkAst(child, visit));
+    } else if (value && typeof value.type === 'string') {
+      walkAst(value, visit);
+    }
+  }
+}
+
+/**
+ * Collects import specifiers with their locations from an AST.
+ * @param {Object} ast - Babel File node.
+ * @returns {Array<Object>} [{ specifier, line, column }].
+ */
+function collectImports(ast) {
+  const imports = [];
+  walkAst(ast.program, node => {
+    let source = null;
+    if (['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration'].includes(node.type)) {
+      source = node.source;
+    } else if (node.type === 'CallExpression'
+      && ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import')) {
+      source = node.arguments[0];
+    }
+    if (source?.type === 'StringLiteral') {
+      imports.push({ specifier: source.value, line: source.loc.start.line, column: source.loc.start.column + 1 });
+    }
+  });
+  return imports;
+}
+
+/**
+ * Checks whether an import specifier resolves for a staged file.
+ * @param {string} filePath - Importing file, repo-relative.
+ * @param {string} specifier - Import specifier.
+ * @param {Set<string>} stagedPaths - Repo-relative paths of all staged files.
+ * @returns {Promise<string|null>} Error message or null when the import resolves.
+ */
+async function checkImport(filePath, specifier, stagedPaths) {
+  const isFrontend = filePath.startsWith('frontend/');
+  let base = null;
+  if (specifier.startsWith('.')) {
+    base = path.posix.join(path.posix.dirname(filePath), specifier);
+  } else if (isFrontend && specifier.startsWith('@/')) {
+    base = path.posix.join('frontend/src', specifier.slice(2));
+  }
+  if (base) {
+    for (const ext of RESOLVE_EXTENSIONS) {
+      if (stagedPaths.has(`${base}${ext}`) || await exists(path.join(repoRoot, `${base}${ext}`))) return null;
+    }
+    return `Cannot resolve "${specifier}" (no ${base} in the repo or staged files)`;
+  }
+
+  const moduleName = specifier.replace(/^node:/, '');
+  if (NODE_BUILTINS.has(moduleName.split('/')[0])) {
+    return isFrontend ? `Node built-in "${specifier}" is not available in browser code` : null;
+  }
+
+  const parts = specifier.split('/');
+  const packageName = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  const packageDir = packageDirFor(filePath);
+  const declared = await declaredPackages(packageDir);
+  if (!declared.has(packageName)) {
+    return `Package "${packageName}" is not a dependency in ${path.relative(repoRoot, path.join(packageDir, 'package.json')).split(path.sep).join('/')}`;
+  }
+  // Subpath file imports (e.g. a package's CSS) must exist once the package is installed
+  const installedDir = path.join(packageDir, 'node_modules', packageName);
+  if (specifier !== packageName && path.extname(specifier) && await exists(installedDir)
+    && !await exists(path.join(packageDir, 'node_modules', specifier))) {
+    return `File "${specifier}" does not exist in the installed ${packageName} package`;
+  }
+  return null;
+}
+
+/**
+ * Validates one staged file.
+ * @param {Object} file - Staged file with path and content.
+ * @param {Set<string>} stagedPaths - Repo-relative paths of all staged files.
+ * @returns {Promise<Array<Object>>} Findings { kind, rule, severity, message, line, column }.
+ */
+async function validateFile(file, stagedPaths) {
+  const filePath = file.path.replace(/\\/g, '/').replace(/^\/+/, '');
+  const ext = path.extname(filePath);
+  const findings = [];
+
+  if (ext === '.json') {
+    try {
+      JSON.parse(file.content);
+    } catch (err) {
+      findings.push({ kind: 'parse', rule: 'json', severity: 'error', message: err.message, line: null, column: null });
+    }
+    return findings;
+  }
+  if (!SCRIPT_EXTENSIONS.has(ext)) return findings;
+
+  const isFrontend = filePath.startsWith('frontend/');
+  let ast;
+  try {
+    ast = parser.parse(file.content, {
+      sourceType: 'unambiguous',
+      plugins: isFrontend || ext === '.jsx' ? ['jsx'] : [],
+    });
+  } catch (err) {
+    findings.push({
+      kind: 'parse',
+      rule: 'syntax',
+      severity: 'error',
+      message: err.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: err.loc?.line ?? null,
+      column: err.loc ? err.loc.column + 1 : null,
+    });
+    return findings;
+  }
+
+  for (const { specifier, line, column } of collectImports(ast)) {
+    const moduleName = specifier.replace(/^node:/, '');
+    if (FORBIDDEN_MODULES[moduleName]) {
+      findings.push({ kind: 'forbidden', rule: `no-${moduleName.replace(/_/g, '-')}`, severity: 'error', message: FORBIDDEN_MODULES[moduleName], line, column });
+      continue;
+    }
+    const message = await checkImport(filePath, specifier, stagedPaths);
+    if (message) findings.push({ kind: 'import', rule: 'unresolved-import', severity: 'error', message, line, column });
+  }
+
+  walkAst(ast.program, node => {
+    for (const api of FORBIDDEN_APIS) {
+      if (api.match(node)) {
+        findings.push({ kind: 'forbidden', rule: api.rule, severity: api.severity, message: api.message, line: node.loc.start.line, column: node.loc.start.column + 1 });
+      }
+    }
+  });
+
+  const linter = getLinter(isFrontend);
+  if (!linter) {
+    findings.push({ kind: 'lint', rule: 'eslint-unavailable', severity: 'warning', message: 'ESLint is not installed in frontend/node_modules, lint skipped', line: null, column: null });
+  } else {
+    try {
+      const [result] = await linter.lintText(file.content, { filePath: path.join(repoRoot, filePath) });
+      for (const msg of result?.messages || []) {
+        findings.push({
+          kind: 'lint',
+          rule: msg.ruleId || 'eslint',
+          severity: msg.severity === 2 ? 'error' : 'warning',
+          message: msg.message,
+          line: msg.line ?? null,
+          column: msg.column ?? null,
+        });
+      }
+    } catch (err) {
+      findings.push({ kind: 'lint', rule: 'eslint-crashed', severity: 'warning', message: `Lint failed: ${err.message}`, line: null, column: null });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Validates all staged files of a task.
+ * @param {Array<Object>} stagedFiles - Staged files with path and content.
+ * @param {Object} [options] - taskId for logging.
+ * @returns {Promise<Object>} { status: passed|failed, errorCount, warningCount, files, checkedAt }.
+ */
+async function validateStagedFiles(stagedFiles, { taskId } = {}) {
+  const stagedPaths = new Set((stagedFiles || []).map(f => (f.path || '').replace(/\\/g, '/').replace(/^\/+/, '')));
+  const files = [];
+  for (const file of stagedFiles || []) {
+    if (!file || typeof file.path !== 'string' || typeof file.content !== 'string') continue;
+    const findings = (await validateFile(file, stagedPaths)).slice(0, MAX_FINDINGS_PER_FILE);
+    files.push({ path: file.path, status: findings.some(f => f.severity === 'error') ? 'failed' : 'passed', findings });
+  }
+
+  const all = files.flatMap(f => f.findings);
+  const validation = {
+    status: files.some(f => f.status === 'failed') ? 'failed' : 'passed',
+    errorCount: all.filter(f => f.severity === 'error').length,
+    warningCount: all.filter(f => f.severity === 'warning').length,
+    files,
+    checkedAt: new Date(),
+  };
+  await (validation.status === 'failed' ? logWarn : logInfo)(`Static validation ${validation.status}`, 'staticValidator', {
+    taskId,
+    errorCount: validation.errorCount,
+    warningCount: validation.warningCount,
+    failedFiles: files.filter(f => f.status === 'failed').map(f => f.path),
+    timestamp: new Date().toISOString(),
+  });
+  return validation;
+}
+
+module.exports = { validateStagedFiles, validateFile };
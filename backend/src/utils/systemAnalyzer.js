@@ -2,14 +2,14 @@
  * File Path: backend/src/utils/systemAnalyzer.js
  * Purpose: Analyzes system state and performs maintenance tasks in Allur Space Console, integrating Repomix for codebase analysis.
  * How It Works:
- *   - analyzeSystem: Builds a dependency graph from system files, analyzes logs, and compares Repomix output with idurar_db.memory.
+ *   - analyzeSystem: Builds a dependency graph from the code index, analyzes logs, and compares indexed files with idurar_db.memory.
  *   - maintainSystem: Cleans up old versioned files, prunes logs, and applies optimizations.
- *   - generateSuggestions: Creates BackendProposal entries for Repomix discrepancies.
+ *   - generateSuggestions: Creates BackendProposal entries for index/memory discrepancies.
  *   - Logs to grok.log (file operations) and idurar_db.logs (Repomix analysis) for traceability.
  *   - Emits taskUpdate events via Socket.IO for real-time feedback in GrokUI.jsx.
  * Mechanics:
- *   - Scans files for imports to build dependency graph, detects issues (e.g., circular dependencies).
- *   - Uses repomixUtils.js to execute and parse all-space-codebase.txt, comparing with Memory collection.
+ *   - Reads imports from codeIndex.js (tmp/code-index.json, rebuilt incrementally) to build the dependency graph.
+ *   - Compares indexed file paths with the Memory collection.
  *   - Validates taskId to prevent errors, logs issues to errorLogPath and idurar_db.logs.
  *   - Cleans versioned files (e.g., Login-v1.jsx) and prunes logs exceeding 1MB.
  * Dependencies:
@@ -17,9 +17,9 @@
  *   - path: Path manipulation (Node.js built-in).
  *   - winston: Logging to grok.log (version 3.17.0).
  *   - mongoose: Memory, BackendProposal models (version 8.13.2).
- *   - fileUtils.js: readSystemFiles, appendLog, errorLogPath, siteStructureLogs, updateSiteStructure.
- *   - socket.js: getIO for Socket.IO emissions.
- *   - repomixUtils.js: executeRepomix for codebase analysis.
+ *   - fileUtils.js: appendLog, errorLogPath, siteStructureLogs, updateSiteStructure.
+ *   - socket.js: emitTaskEvent for Socket.IO emissions.
+ *   - codeIndex.js: getCodeIndex, getDependencyGraph, getIndexStats for the import graph and file counts.
  *   - taskDedupeUtils.js: Prevents duplicate suggestions.
  *   - logUtils.js: MongoDB logging for Repomix analysis.
  *   - db.js: getModel for model access.
@@ -36,6 +36,14 @@
  *   - 04/30/2025: Integrated Repomix, updated to use provided fileUtils.js (Grok).
  *     - Why: Enhance analysis with Repomix output, align with advanced file utilities (User, 04/30/2025).
  *     - How: Added executeRepomix, memory comparison, BackendProposal generation, used updateSiteStructure.
+ *   - 10/19/2026: Switched analysis to codeIndex.js.
+ *     - Why: Each analysis read every repo file into memory and reran Repomix.
+ *     - How: dependencyGraph and repomixSummary (fileCount, totalLines, memory comparison) come from the incremental code index; POST /api/system/repomix still runs Repomix on demand.
+ *     - Test: GET /grok/analyze twice, verify the second run logs "Code index built" with reused equal to fileCount.
+ *   - 10/19/2026: Analysis events go to the task's rooms.
+ *     - Why: Every admin received every other admin's analysis events.
+ *     - How: getIO().emit replaced by emitTaskEvent; runs with taskId "system" have no task room and are not sent.
+ *     - Test: Analyze a task, verify only its owner's socket receives the taskUpdate.
  * Test Instructions:
  *   - Run `npm start`: Confirm no errors during analysis or maintenance.
  *   - GET /grok/analyze: Verify response includes dependencyGraph, repomixSummary, LiveFeed.jsx shows green "System analyzed" log.
@@ -56,9 +64,9 @@
 const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
-const { readSystemFiles, appendLog, errorLogPath, siteStructureLogs, updateSiteStructure } = require('./fileUtils');
-const { getIO } = require('../socket');
-const { executeRepomix } = require('./repomixUtils');
+const { appendLog, errorLogPath, siteStructureLogs, updateSiteStructure } = require('./fileUtils');
+const { emitTaskEvent } = require('../socket');
+const { getCodeIndex, getDependencyGraph, getIndexStats } = require('./codeIndex');
 const { hasGeneratedFile, recordGeneratedFile } = require('./taskDedupeUtils');
 const { logInfo, logError } = require('./logUtils');
 const { getModel } = require('../db');
@@ -83,7 +91,7 @@ function isValidTaskId(taskId) {
 async function analyzeSystem(taskId = 'system') {
   if (!isValidTaskId(taskId)) {
     logger.error(`Invalid taskId provided`, { taskId: taskId || 'missing' });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId: taskId || 'unknown',
       status: 'failed',
       error: `Invalid taskId: ${taskId || 'missing'}`,
@@ -100,16 +108,9 @@ async function analyzeSystem(taskId = 'system') {
     await updateSiteStructure();
     await logInfo('Site structure updated', 'systemAnalyzer', { taskId, timestamp: new Date().toISOString() });
 
-    // Build dependency graph
-    const systemFiles = await readSystemFiles();
-    const dependencyGraph = {};
-    for (const [filePath, content] of Object.entries(systemFiles)) {
-      const imports = content.match(/require\(['"]([^'"]+)['"]\)/g) || [];
-      dependencyGraph[path.basename(filePath)] = imports.map(i => {
-        const match = i.match(/require\(['"]([^'"]+)['"]\)/);
-        return match ? path.basename(match[1]) : null;
-      }).filter(Boolean);
-    }
+    // Build dependency graph from the code index instead of reading every file
+    const codeIndex = await getCodeIndex();
+    const dependencyGraph = getDependencyGraph(codeIndex);
 
     // Analyze logs
     const logFiles = await siteStructureLogs();
@@ -121,9 +122,9 @@ async function analyzeSystem(taskId = 'system') {
       }
     }
 
-    // Run Repomix analysis
-    const repomixSummary = await executeRepomix();
-    const repomixFiles = repomixSummary.files.map(file => file.path);
+    // Indexed files replace the Repomix file list; repomixSummary keeps its shape for existing consumers
+    const indexStats = getIndexStats(codeIndex);
+    const repomixFiles = indexStats.files.map(file => file.path);
 
     // Compare with memory
     const Memory = await getModel('Memory');
@@ -157,31 +158,31 @@ async function analyzeSystem(taskId = 'system') {
       dependencyGraph,
       taskCount: 0, // Placeholder for Task.countDocuments
       repomixSummary: {
-        fileCount: repomixSummary.fileCount,
-        totalLines: repomixSummary.totalLines,
+        fileCount: indexStats.fileCount,
+        totalLines: indexStats.totalLines,
         missingInMemory,
         missingInRepomix,
         suggestions: suggestions.length,
       },
     };
 
-    logger.info(`System analyzed`, { taskId, dependencyGraph: JSON.stringify(dependencyGraph, null, 2), logInsightsLength: logInsights.length, repomixSummary });
-    await logInfo('System analysis completed', 'systemAnalyzer', { taskId, repomixSummary, suggestions: suggestions.length, timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    logger.info(`System analyzed`, { taskId, dependencyGraph: JSON.stringify(dependencyGraph, null, 2), logInsightsLength: logInsights.length, repomixSummary: systemState.repomixSummary });
+    await logInfo('System analysis completed', 'systemAnalyzer', { taskId, repomixSummary: systemState.repomixSummary, suggestions: suggestions.length, timestamp: new Date().toISOString() });
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'analyzed',
       message: `System analyzed successfully`,
       logColor: 'green',
       timestamp: new Date().toISOString(),
-      analysisDetails: { dependencyGraph, logInsightsLength: logInsights.length, repomixSummary },
+      analysisDetails: { dependencyGraph, logInsightsLength: logInsights.length, repomixSummary: systemState.repomixSummary },
     });
-    await appendLog(errorLogPath, `# System Analysis\nTask ID: ${taskId}\nDependency Graph: ${JSON.stringify(dependencyGraph, null, 2)}\nLog Insights: ${logInsights.length}\nRepomix Summary: ${JSON.stringify(repomixSummary, null, 2)}`);
+    await appendLog(errorLogPath, `# System Analysis\nTask ID: ${taskId}\nDependency Graph: ${JSON.stringify(dependencyGraph, null, 2)}\nLog Insights: ${logInsights.length}\nRepomix Summary: ${JSON.stringify(systemState.repomixSummary, null, 2)}`);
 
     return systemState;
   } catch (err) {
     logger.error(`System analysis failed: ${err.message}`, { taskId, stack: err.stack });
     await logError(`System analysis failed: ${err.message}`, 'systemAnalyzer', { taskId, stack: err.stack, timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: `System analysis failed: ${err.message}`,
@@ -197,7 +198,7 @@ async function analyzeSystem(taskId = 'system') {
 async function maintainSystem(taskId = 'system') {
   if (!isValidTaskId(taskId)) {
     logger.error(`Invalid taskId provided`, { taskId: taskId || 'missing' });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId: taskId || 'unknown',
       status: 'failed',
       error: `Invalid taskId: ${taskId || 'missing'}`,
@@ -228,7 +229,7 @@ async function maintainSystem(taskId = 'system') {
 
     logger.info(`System maintenance completed`, { taskId, cleanedFiles, prunedLogs });
     await logInfo('System maintenance completed', 'systemAnalyzer', { taskId, cleanedFiles, prunedLogs, timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'maintained',
       message: `System maintenance completed`,
@@ -241,7 +242,7 @@ async function maintainSystem(taskId = 'system') {
   } catch (err) {
     logger.error(`System maintenance failed: ${err.message}`, { taskId, stack: err.stack });
     await logError(`System maintenance failed: ${err.message}`, 'systemAnalyzer', { taskId, stack: err.stack, timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: `System maintenance failed: ${err.message}`,
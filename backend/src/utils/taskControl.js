@@ -0,0 +1,196 @@
+/*
+ * File Path: backend/src/utils/taskControl.js
+ * Purpose: Cooperative cancel and pause/resume for running tasks in Allur Space Console.
+ * How It Works:
+ *   - processTask registers each run here; pipeline stages call checkpoint between steps.
+ *   - Cancel aborts the task's AbortController (passed to LLM requests), closes registered resources such as Playwright browsers,
+ *     and makes the next checkpoint throw a TASK_CANCELLED error.
+ *   - Pause makes the next checkpoint wait until resume or cancel.
+ * Mechanics:
+ *   - `beginTask`/`endTask`: Create and drop the per-task control entry; beginTask returns the AbortSignal.
+ *   - `checkpoint`: Records the current stage, waits while paused, throws when cancelled.
+ *   - `registerResource`: Adds a close callback run on cancel; returns a release function for normal cleanup.
+ *   - `requestCancel`/`requestPause`/`requestResume`: Called by taskManager.js for the cancel, pause, and resume routes.
+ * Dependencies:
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - taskManager.js: processTask checkpoints, cancelTask/pauseTask/resumeTask.
+ *   - taskTesterV18.js: Checkpoints between Playwright attempts, registers launched browsers.
+ *   - fileGeneratorV18.js, llmProviders.js: Receive the AbortSignal for provider requests.
+ * Why It’s Here:
+ *   - Once /edit started a task, generation, staged-file saves, and Playwright attempts always ran to completion (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created task control registry.
+ *     - Why: Console needs to cancel or pause a running task.
+ *     - How: AbortController plus pause gate per taskId, checkpoint between pipeline stages, close callbacks for spawned browsers.
+ *     - Test: Submit a task, POST /api/grok/tasks/<taskId>/cancel during tests, verify no chromium process remains and status "cancelled".
+ * Test Instructions:
+ *   - Submit a task, POST /api/grok/tasks/<taskId>/pause while it is generating, verify status "paused" and no test run starts.
+ *   - POST /api/grok/tasks/<taskId>/resume, verify it continues from the next stage.
+ *   - POST /api/grok/tasks/<taskId>/cancel during Playwright tests, verify the browser closes and tmp/workspaces/<taskId> is removed.
+ * Rollback Instructions:
+ *   - Delete taskControl.js and remove checkpoint calls from taskManager.js and taskTesterV18.js.
+ * Future Enhancements:
+ *   - Persist pause state so a paused task stays paused across restarts (Sprint 5).
+ */
+
+const { logInfo, logWarn } = require('./logUtils');
+
+const TASK_CANCELLED = 'TASK_CANCELLED';
+const controls = new Map();
+
+/**
+ * Registers a running task.
+ * @param {string} taskId - Task ID.
+ * @returns {AbortSignal} Signal aborted when the task is cancelled.
+ */
+function beginTask(taskId) {
+  const entry = { controller: new AbortController(), paused: false, waiters: [], resources: new Set(), stage: 'start' };
+  controls.set(taskId, entry);
+  return entry.controller.signal;
+}
+
+/**
+ * Drops the control entry for a finished task.
+ * @param {string} taskId - Task ID.
+ * @returns {void}
+ */
+function endTask(taskId) {
+  const entry = controls.get(taskId);
+  if (!entry) return;
+  entry.waiters.splice(0).forEach(resolve => resolve());
+  controls.delete(taskId);
+}
+
+/**
+ * Returns the AbortSignal for a running task.
+ * @param {string} taskId - Task ID.
+ * @returns {AbortSignal|undefined} Signal or undefined if the task is not running here.
+ */
+function getTaskSignal(taskId) {
+  return controls.get(taskId)?.controller.signal;
+}
+
+/**
+ * Checks whether a task is running in this process.
+ * @param {string} taskId - Task ID.
+ * @returns {Object|null} { stage, paused, cancelled } or null.
+ */
+function getTaskControl(taskId) {
+  const entry = controls.get(taskId);
+  if (!entry) return null;
+  return { stage: entry.stage, paused: entry.paused, cancelled: entry.controller.signal.aborted };
+}
+
+/**
+ * Checks whether a task has been cancelled.
+ * @param {string} taskId - Task ID.
+ * @returns {boolean} True if cancel was requested for the running task.
+ */
+function isTaskCancelled(taskId) {
+  return Boolean(controls.get(taskId)?.controller.signal.aborted);
+}
+
+/**
+ * Checks whether an error came from a cancelled checkpoint.
+ * @param {Error} err - Error to inspect.
+ * @returns {boolean} True for TASK_CANCELLED errors.
+ */
+function isTaskCancelledError(err) {
+  return err?.code === TASK_CANCELLED;
+}
+
+/**
+ * Marks a pipeline stage; waits while paused and throws if cancelled.
+ * @param {string} taskId - Task ID.
+ * @param {string} stage - Stage name, e.g. "generate", "test".
+ * @returns {Promise<void>}
+ */
+async function checkpoint(taskId, stage) {
+  const entry = controls.get(taskId);
+  if (!entry) return;
+  entry.stage = stage;
+  while (entry.paused && !entry.controller.signal.aborted) {
+    await new Promise(resolve => entry.waiters.push(resolve));
+  }
+  if (entry.controller.signal.aborted) {
+    const err = new Error(`Task cancelled during ${stage}`);
+    err.code = TASK_CANCELLED;
+    throw err;
+  }
+}
+
+/**
+ * Registers a resource to close if the task is cancelled.
+ * @param {string} taskId - Task ID.
+ * @param {Function} close - async () => void.
+ * @returns {Function} Release function; call it once the resource is closed normally.
+ */
+function registerResource(taskId, close) {
+  const entry = controls.get(taskId);
+  if (!entry) return () => {};
+  entry.resources.add(close);
+  return () => entry.resources.delete(close);
+}
+
+/**
+ * Cancels a running task and closes its resources.
+ * @param {string} taskId - Task ID.
+ * @returns {Promise<boolean>} True if the task was running here.
+ */
+async function requestCancel(taskId) {
+  const entry = controls.get(taskId);
+  if (!entry) return false;
+  entry.controller.abort();
+  entry.paused = false;
+  entry.waiters.splice(0).forEach(resolve => resolve());
+  for (const close of [...entry.resources]) {
+    try {
+      await close();
+    } catch (err) {
+      await logWarn(`Failed to close task resource on cancel: ${err.message}`, 'taskControl', { taskId, stage: entry.stage, timestamp: new Date().toISOString() });
+    }
+  }
+  entry.resources.clear();
+  await logInfo('Task cancel requested', 'taskControl', { taskId, stage: entry.stage, timestamp: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Pauses a running task at its next checkpoint.
+ * @param {string} taskId - Task ID.
+ * @returns {boolean} True if the task was running and not cancelled.
+ */
+function requestPause(taskId) {
+  const entry = controls.get(taskId);
+  if (!entry || entry.controller.signal.aborted) return false;
+  entry.paused = true;
+  return true;
+}
+
+/**
+ * Resumes a paused task.
+ * @param {string} taskId - Task ID.
+ * @returns {boolean} True if the task was paused.
+ */
+function requestResume(taskId) {
+  const entry = controls.get(taskId);
+  if (!entry || !entry.paused) return false;
+  entry.paused = false;
+  entry.waiters.splice(0).forEach(resolve => resolve());
+  return true;
+}
+
+module.exports = {
+  beginTask,
+  endTask,
+  getTaskSignal,
+  getTaskControl,
+  isTaskCancelled,
+  isTaskCancelledError,
+  checkpoint,
+  registerResource,
+  requestCancel,
+  requestPause,
+  requestResume,
+};
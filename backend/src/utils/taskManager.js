@@ -16,26 +16,43 @@
  *   - createProposals: Generates BackendProposal entries, handling crypto wallet changes specifically.
  *   - getTasks: Fetches tasks from MongoDB with optional filtering by taskId.
  *   - clearTasks: Deletes all tasks and proposals.
- *   - applyApprovedChanges: Writes staged files and approved proposals to filesystem.
- *   - rollbackChanges: Removes staged files and deletes proposals.
+ *   - applyApprovedChanges: Merges staged patches into the working tree (patchUtils.js), blocks on conflicts, appends approved proposals.
+ *   - rollbackChanges: Reverts the task commit for applied tasks (gitUtils.js) or discards staged files, then deletes proposals.
  *   - deleteTask: Deletes task and associated data.
+ *   - cancelTask/pauseTask/resumeTask: Stop or hold a queued or running task through taskControl.js checkpoints.
  *   - Uses debounce for event emissions to prevent duplicates.
+ *   - Records the duration of each processTask stage in Task.stageTimings for analytics.js.
  * Dependencies:
  *   - mongoose: Task, BackendProposal, Memory models for MongoDB (version 8.13.2).
- *   - socket.js: getIO for Socket.IO emissions (version 4.8.1).
+ *   - socket.js: emitTaskEvent for Socket.IO emissions (version 4.8.1).
  *   - winston: Logging to grok.log (version 3.17.0).
  *   - path, fs.promises: File operations.
  *   - fileGeneratorV18.js: Generates staged files.
  *   - taskTesterV18.js: Runs Playwright tests.
- *   - fileUtils.js: readSystemFiles, appendLog, errorLogPath for file operations.
- *   - promptParser.js: parsePrompt for extracting action, target, features.
+ *   - acceptanceTests.js: removeGeneratedTests, collectStaleTests.
+ *   - visualRegression.js: promoteBaselines on approval, removeVisualCaptures on delete.
+ *   - fileUtils.js: appendLog, errorLogPath for file operations.
+ *   - gitUtils.js: commitTaskChanges, revertTaskCommit for per-task commits and exact reverts.
+ *   - workspaceUtils.js: destroyWorkspace once a task is applied, denied, rolled back, or deleted.
+ *   - patchUtils.js: stageFilePatches, restageFilePatches, planPatchApply, applyStagedPatches for diff-based staging and three-way merge.
+ *   - promptParser.js: parsePrompt for extracting action, target, features, and the validated intent.
+ *   - intentSchema.js: needsClarification to stop ambiguous prompts before generation.
+ *   - taskPlanner.js: shouldPlan/createPlan for large prompts, advancePlan after subtask apply or rollback.
+ *   - codeIndex.js: retrieveContext selects the repo files relevant to a prompt for generation.
+ *   - staticValidator.js: validateStagedFiles parses, lints, and import-checks staged files before tests.
+ *   - securityReview.js: reviewProposal flags risky patterns in backend proposals before they are saved.
+ *   - proposalReview.js: Area, required approvals, and history entries for backend proposals.
+ *   - pathPolicy.js: checkFiles keeps proposals and applied files inside allowed roots and away from protected files.
+ *   - proposalTransforms.js: Structured AST edits for BackendProposals, their diff previews, and exact reverts.
+ *   - jobQueue.js: registerHandler/enqueueJob/cancelJob for background processing with retries and restart recovery.
+ *   - taskControl.js: checkpoint between processTask stages, AbortSignal for generation, cancel/pause/resume requests.
  *   - taskValidator.js: isValidTaskId, isValidTask, isValidFiles for validation.
  *   - lodash/debounce: Debounces event emissions (version 4.17.21).
  *   - emailer.js: Sends email notifications with recipient, subject, taskId, eventType (version 6.9.15).
  *   - uuid: Generates unique eventId (version 11.1.0).
  * Dependents:
  *   - taskRoutes.js: Calls processTask, getTasks, deleteTask, clearTasks for /grok endpoints.
- *   - proposalRoutes.js: Calls applyApprovedChanges, rollbackChanges for proposal actions.
+ *   - proposalRoutes.js: Calls applyBackendProposal, revertBackendProposal, previewEdit for proposal actions.
  *   - taskProcessorV18.js: Calls processTask for task orchestration.
  *   - GrokUI.jsx: Receives taskUpdate events via useTasks.js for UI updates.
  * Why It’s Here:
@@ -64,6 +81,128 @@
  *     - Why: Incorrect user field mapping in getTasks logs (User, 05/08/2025).
  *     - How: Updated getTasks to ensure user field is correctly mapped using toObject(), preserved existing functionality.
  *     - Test: GET /api/grok/tasks, verify user field in logs is 'admin@idurarapp.com'.
+ *   - 10/19/2026: Added per-task LLM provider selection.
+ *     - Why: fileGeneratorV18.js now generates through llmProviders.js, tasks need to choose a provider.
+ *     - How: processTask accepts provider and passes it with the prompt text to generateFiles.
+ *     - Test: POST /api/grok/edit with { prompt: "Create an inventory system", provider: "local" }, verify llmProvider "local".
+ *   - 10/19/2026: Staged changes as unified diffs with three-way merge on apply.
+ *     - Why: originalContent held every system file (up to 10MB) and applyApprovedChanges overwrote files changed since staging.
+ *     - How: Dropped readSystemFiles snapshot, stageFilePatches records baseHash/patch per file, applyApprovedChanges merges or sets status "conflict" with mergeConflicts.
+ *     - Test: Stage a task, edit the same lines on disk, approve, verify status "conflict" and file untouched.
+ *   - 10/19/2026: Git-backed apply and rollback.
+ *     - Why: rollbackChanges unlinked staged paths, destroying existing files an applied task had edited.
+ *     - How: applyApprovedChanges commits task files and stores commitSha/commitBranch/gitHistory; rollbackChanges reverts that commit (status "rolled_back") or only discards staged files for unapplied tasks; deleteTask no longer unlinks staged paths.
+ *     - Test: Approve a task, verify task.commitSha matches `git log -1`, roll back, verify a revert commit and restored file.
+ *   - 10/19/2026: Removed task sandbox workspaces after apply, deny/rollback, and delete.
+ *     - Why: runTests now checks staged files in tmp/workspaces/<taskId>; applyApprovedChanges is the only promotion to the real tree.
+ *     - How: releaseWorkspace wraps destroyWorkspace, logs failures as warnings, sets workspace.status "destroyed".
+ *     - Test: Run tests for a task, approve it, verify tmp/workspaces/<taskId> is gone and the files are in the repo.
+ *   - 10/19/2026: Stored the parsed intent and stopped ambiguous prompts for clarification.
+ *     - Why: promptParser.js now returns a validated intent and clarifying questions.
+ *     - How: processTask saves task.intent/clarifyingQuestions, adds model intent usage to llmUsage, sets status "clarification_needed" when needsClarification.
+ *     - Test: POST /api/grok/edit with "make it better", verify status "clarification_needed" and no stagedFiles.
+ *   - 10/19/2026: Decomposed large prompts into plans of dependent subtasks.
+ *     - Why: Prompts like "Build an inventory system with stock alerts and supplier management" need model, controller, routes, UI, and tests as separate reviewable steps.
+ *     - How: processTask accepts plan and calls taskPlanner.js createPlan when shouldPlan; apply, deny, and rollback of a subtask call continuePlan to advance the parent.
+ *     - Test: POST /api/grok/edit with that prompt, verify a parent with five subtasks and only the model step processing.
+ *   - 10/19/2026: Queued task processing through jobQueue.js.
+ *     - Why: processTask ran inside the /edit request and a restart left tasks stuck in "processing".
+ *     - How: queueTask saves the task as "queued" and enqueues a processTask job; the registered handler requeues with backoff (onRetry), advances plans, and on startup requeues or fails interrupted tasks (onRecover); cancelQueuedTask cancels waiting jobs.
+ *     - Test: POST /api/grok/edit, verify status "queued" then "processing"; restart mid-task, verify it runs again.
+ *   - 10/19/2026: Cancel, pause, and resume running tasks.
+ *     - Why: Once started, generation, the 7-retry staged save loop, and Playwright attempts always ran to completion.
+ *     - How: processTask registers with taskControl.js, checkpoints before parse, generate, each save retry, each test attempt, and proposals, and passes an AbortSignal to generateFiles; a cancel ends with status "cancelled" and a removed workspace without failing the job; cancelTask replaces cancelQueuedTask and also stops running tasks.
+ *     - Test: POST /api/grok/tasks/<taskId>/cancel while tests run, verify status "cancelled", no chromium process, no tmp/workspaces/<taskId>.
+ *   - 10/19/2026: Recorded prompt templates on tasks.
+ *     - Why: Template default test instructions must reach Task.testInstructions.
+ *     - How: queueTask stores template (id, name, version, variables, rendered test instructions); processTask prefixes them to the generated instructions.
+ *     - Test: Submit from a template with test instructions, verify they lead task.testInstructions after generation.
+ *   - 10/19/2026: Passed retrieved context files to generation.
+ *     - Why: Providers generated without seeing existing code, and whole-repo reads do not fit a model request.
+ *     - How: processTask calls codeIndex.js retrieveContext after the intent is recorded, stores paths and scores in task.contextFiles, passes contents to generateFiles; retrieval errors only log a warning.
+ *     - Test: POST /api/grok/edit with "Add a search box to SponsorHub", verify task.contextFiles lists SponsorHub.jsx and no file contents.
+ *   - 10/19/2026: Added a static validation gate before tests and approval.
+ *     - Why: isValidFiles only checked for a non-empty array; unparsable files and unresolved imports reached review.
+ *     - How: processTask runs staticValidator.js after staging (checkpoint "validate"), stores task.validation, skips Playwright when it fails; applyApprovedChanges refuses tasks with failed validation.
+ *     - Test: Stage a file importing "tailwindcss/tailwind.css", verify task.validation.status "failed", no test run, and approve returns 409.
+ *   - 10/19/2026: Ran a security review on every BackendProposal.
+ *     - Why: Generated backend code was appended to backend files after one approval with no check for risky patterns.
+ *     - How: createProposals stores securityReview.js reviewProposal output on the proposal and includes it in the backendProposal event.
+ *     - Test: Create a backend change with an unauthenticated router.post, verify securityReview.riskLevel "high" and requiresSecondApproval.
+ *   - 10/19/2026: Enforced the path policy on proposals and apply.
+ *     - Why: applyApprovedChanges joined generated paths onto the repo root with no containment check.
+ *     - How: createProposals skips proposals violating pathPolicy.js; applyApprovedChanges re-checks staged files and approved proposals, records Task.policyViolations, and throws "Path policy violation".
+ *     - Test: Stage "../../etc/hosts" on a task, approve it, verify 409 and a traversal entry in task.policyViolations.
+ *   - 10/19/2026: Applied BackendProposals as structured edits instead of appending comments.
+ *     - Why: Approving a proposal appended "// BackendProposal <id>: <content>", which never changed behaviour.
+ *     - How: createProposals stores edit (from promptParser.js or deriveEdit) and a diff preview; applyBackendProposal/revertBackendProposal
+ *       apply and exactly revert one proposal with its own commit; applyApprovedChanges no longer touches proposals; rollbackChanges reverts applied ones.
+ *     - Test: Approve the "Add MFA to login" proposal, verify router.post('/mfa') in backend/src/routes/auth.js; roll back the task, verify the file is gone.
+ *   - 10/19/2026: Recorded the proposal review history.
+ *     - Why: ProposalList.jsx shows a review timeline from creation to apply, revert, or denial.
+ *     - How: createProposals sets area, approvalsRequired (proposalReview.js), and a "created" entry; applyBackendProposal and
+ *       revertBackendProposal add "applied", "reverted", or "denied" with the optional denial reason.
+ *     - Test: Deny a proposal with a reason, verify history ends with { action: "denied", details: <reason> }.
+ *   - 10/19/2026: Kept staged files repaired by the test repair loop.
+ *     - Why: runTests now patches the staged code after a failed test (testRepair.js), and approval must apply the fixed code.
+ *     - How: When testResult.repaired, processTask re-runs stageFilePatches on testResult.stagedFiles and updates stagedFiles, newContent, and testInstructions.
+ *     - Test: Fail a test that the provider repairs, verify task.stagedFiles holds the repaired content and a fresh patch.
+ *   - 10/19/2026: Garbage-collected generated tests with their task.
+ *     - Why: Acceptance specs live in tests/generated/<taskId>/ (acceptanceTests.js) and used to pile up after tasks were deleted.
+ *     - How: deleteTask removes the task's and its subtasks' generated tests and repair screenshots; clearTasks sweeps tests
+ *       whose task no longer exists; the test result event carries acceptanceTests.
+ *     - Test: Delete a tested task, verify tests/generated/<taskId>/ is gone; clear tasks, verify no task-<id>.spec.js remains in tests/.
+ *   - 10/19/2026: Tested the routes of backend changes before creating their proposals.
+ *     - Why: runTests runs API tests (apiTests.js), and processTask creates proposals only after testing.
+ *     - How: parsedBackendChanges passed as runTests' backendChanges; the test result event carries apiTests and testReport.
+ *     - Test: Submit "Add MFA to login", verify the tested event has testReport with an "api" suite.
+ *   - 10/19/2026: Promoted visual captures to baselines on approval.
+ *     - Why: Each approved task sets the baseline of the pages it touched (visualRegression.js).
+ *     - How: applyApprovedChanges calls promoteBaselines after applying; deleteTask removes the task's captures, not its baselines;
+ *       the test result event carries visualTests.
+ *     - Test: Approve a tested task for /employee-log, verify test-results/visual/baselines/employee-log/<taskId>.png.
+ *   - 10/19/2026: Recorded stage timings and failure context for analytics.
+ *     - Why: analytics.js reports time per stage and failure reasons by errorDetails.context, which were only emitted.
+ *     - How: createStageTimer wraps the processTask checkpoints and pushes { stage, durationMs, status } to Task.stageTimings
+ *       when the run ends; debounceEmit stores errorDetails of failed events on the task; failed test results carry context "runTests".
+ *     - Test: Run a task to pending_approval, verify six stageTimings; fail its tests, verify errorDetails.context "runTests".
+ *   - 10/19/2026: Task and proposal events go to the task's rooms.
+ *     - Why: getIO().emit sent every task's status and prompt to all connected admins.
+ *     - How: debounced taskUpdate, cancel, and backendProposal events use emitTaskEvent.
+ *     - Test: Submit tasks as two users, verify each LiveFeed shows only its own tasks.
+ *   - 10/19/2026: Deny no longer reverts applied tasks.
+ *     - Why: POST /deny/:taskId called rollbackChanges, which runs git revert for applied tasks; reverting belongs to the rollback route.
+ *     - How: rollbackChanges takes stagedOnly and throws "Task is already applied" for applied tasks when it is set.
+ *     - Test: Approve a task, POST /api/grok/deny/<taskId>, verify 409 and the commit still in place.
+ *   - 10/19/2026: Recorded failed git commits on applied tasks.
+ *     - Why: A failing commitTaskChanges only logged a warning, so the task looked applied normally and rollback failed later.
+ *     - How: applyApprovedChanges stores the git error as task.commitError, logs it as an error, and emits it with an orange
+ *       "roll back manually" message; the rollback error repeats it.
+ *     - Test: Create .git/index.lock, approve a task, verify commitError on the task and the event and no commitSha.
+ *   - 10/19/2026: Approved only tasks with staged changes.
+ *     - Why: Re-approving an applied or rolled back task ran with no staged files, failed its commit, wiped generatedFiles,
+ *       promoted baselines again, and set it back to "applied" with a reverted commitSha.
+ *     - How: applyApprovedChanges throws unless the status is in STAGED_STATUSES (tested, pending_approval, conflict).
+ *     - Test: POST /api/grok/approve/<taskId> twice, verify 409 "Task is already applied" the second time.
+ *   - 10/19/2026: Rolled back only applied or staged tasks.
+ *     - Why: Any other status was marked "denied", so a second rollback turned a rolled back task into a denied one and
+ *       deleted its proposals; a task applied without a commit failed the same way three times with sleeps in between.
+ *     - How: rollbackChanges throws before the retry loop for applied tasks without commitSha and for statuses outside
+ *       applied and STAGED_STATUSES.
+ *     - Test: Roll back a task twice, verify 409 the second time and status still "rolled_back".
+ *   - 10/19/2026: Reviewed the code a proposal applies.
+ *     - Why: The security review and path policy scanned changeText, while approval applies edit; a change with both
+ *       could land code the review never saw.
+ *     - How: createProposals derives the edit first and passes renderEdit(edit) to checkFiles and reviewProposal.
+ *     - Test: Submit a backend change whose edit handler calls eval() and whose change text is harmless, verify a high risk review.
+ *   - 10/19/2026: Kept the original base of repaired files.
+ *     - Why: Re-staging repaired files from disk made edits since generation the new base, bypassing the three-way merge.
+ *     - How: processTask uses restageFilePatches with the files staged before the test run.
+ *     - Test: Edit a staged file's target on disk, let the repair loop fix the task, approve, verify the disk edit is merged.
+ *   - 10/19/2026: Removed visual baselines on rollback.
+ *     - Why: promoteBaselines had no inverse; later tasks were compared with the rolled back UI.
+ *     - How: rollbackChanges calls removeBaselines once the task is "rolled_back"; failures are logged like promotion failures.
+ *     - Test: Approve a task on /employee-log, roll it back, verify no VisualBaseline with its taskId remains.
  * Test Instructions:
  *   - Apply updated taskManager.js, ensure backend/.env uses DATABASE_URI=mongodb://localhost:27017/idurar_db.
  *   - Run `npm install` to ensure lodash@4.17.21 is installed.
@@ -91,20 +230,38 @@
  */
 
 const mongoose = require('mongoose');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs').promises;
 const { generateFiles } = require('./fileGeneratorV18');
 const { runTests } = require('./taskTesterV18');
-const { readSystemFiles, appendLog, errorLogPath } = require('./fileUtils');
+const { removeGeneratedTests, collectStaleTests } = require('./acceptanceTests');
+const { promoteBaselines, removeBaselines, removeVisualCaptures } = require('./visualRegression');
+const { appendLog, errorLogPath } = require('./fileUtils');
+const { stageFilePatches, restageFilePatches, planPatchApply, applyStagedPatches } = require('./patchUtils');
+const { commitTaskChanges, revertTaskCommit } = require('./gitUtils');
+const { destroyWorkspace } = require('./workspaceUtils');
 const { parsePrompt } = require('./promptParser');
+const { needsClarification } = require('./intentSchema');
+const { shouldPlan, createPlan, advancePlan } = require('./taskPlanner');
+const { retrieveContext } = require('./codeIndex');
+const { validateStagedFiles } = require('./staticValidator');
+const { reviewProposal } = require('./securityReview');
+const { checkFiles } = require('./pathPolicy');
+const { renderEdit, deriveEdit, planProposalEdit, applyProposalEdit, revertProposalEdit } = require('./proposalTransforms');
+const { getReviewPolicy, areaOf, approvalsRequiredFor, addHistory } = require('./proposalReview');
+const { registerHandler, enqueueJob, cancelJob } = require('./jobQueue');
+const { beginTask, endTask, checkpoint, isTaskCancelled, getTaskControl, requestCancel, requestPause, requestResume } = require('./taskControl');
 const { isValidTaskId, isValidTask, isValidFiles } = require('./taskValidator');
 const { v4: uuidv4 } = require('uuid');
 const debounce = require('lodash/debounce');
 const { sendEmail } = require('./emailer');
 const { logInfo, logDebug, logWarn, logError } = require('./logUtils');
 
+// Statuses whose staged files may be approved or denied; applied tasks are reverted by rollback instead
+const STAGED_STATUSES = ['tested', 'pending_approval', 'conflict'];
+
 const logger = winston.createLogger({
   level: 'debug',
   format: winston.format.combine(
@@ -118,12 +275,57 @@ const logger = winston.createLogger({
 });
 
 // Define debounceEmit at module scope
-const debounceEmit = debounce((taskId, data) => {
+const emitDebounced = debounce((taskId, data) => {
   const eventId = uuidv4();
   logger.debug(`Emitting taskUpdate`, { taskId, eventId, status: data.status, timestamp: new Date().toISOString() });
-  getIO().emit('taskUpdate', { ...data, eventId });
+  emitTaskEvent('taskUpdate', { ...data, eventId });
 }, 500, { leading: true, trailing: false });
 
+function debounceEmit(taskId, data) {
+  // The failure context is kept on the task for analytics.js; the event itself may be dropped by the debounce
+  if (data.status === 'failed' && data.errorDetails && isValidTaskId(taskId)) {
+    mongoose.model('Task')
+      .updateOne({ taskId }, { $set: { errorDetails: { reason: data.errorDetails.reason, context: data.errorDetails.context, at: new Date() } } })
+      .catch(err => logger.warn('Failed to record errorDetails', { taskId, error: err.message, timestamp: new Date().toISOString() }));
+  }
+  emitDebounced(taskId, data);
+}
+
+/**
+ * Times the stages of one processTask run; a stage lasts until the next one starts or the run ends.
+ * @param {string} taskId - The task ID.
+ * @returns {Object} { enter(stage), finish(status) }; enter also runs the taskControl checkpoint for the stage.
+ */
+function createStageTimer(taskId) {
+  const timings = [];
+  let current = null;
+  const close = (status) => {
+    if (!current) return;
+    const finishedAt = new Date();
+    timings.push({ ...current, finishedAt, durationMs: finishedAt - current.startedAt, status });
+    current = null;
+  };
+  return {
+    async enter(stage) {
+      // Test retries pass the same checkpoint again; they stay one stage
+      if (current?.stage !== stage) {
+        close('completed');
+        current = { stage, startedAt: new Date() };
+      }
+      await checkpoint(taskId, stage);
+    },
+    async finish(status) {
+      close(status);
+      if (!timings.length) return;
+      try {
+        await mongoose.model('Task').updateOne({ taskId }, { $push: { stageTimings: { $each: timings } } });
+      } catch (err) {
+        await logWarn(`Failed to record stage timings: ${err.message}`, 'taskManager', { taskId, timings, timestamp: new Date().toISOString() });
+      }
+    },
+  };
+}
+
 /**
  * Creates BackendProposal entries for backend changes, handling crypto wallet cases.
  * @param {string} taskId - The task ID.
@@ -150,13 +352,16 @@ async function createProposals(taskId, backendChanges, userEmail) {
 
   const proposals = [];
   for (const change of backendChanges) {
-    let { file, change: changeText, reason, description } = change;
+    let { file, change: changeText, reason, description, edit } = change;
+    if ((!changeText || typeof changeText !== 'string') && edit?.kind) {
+      changeText = renderEdit(edit);
+    }
     if (!changeText || typeof changeText !== 'string') {
       changeText = `
         // Mock change for ${description || 'backend enhancement'}
         const express = require('express');
         const router = express.Router();
-        router.get('/${file?.split('.')[0] || 'endpoint'}', (req, res) => res.json({ status: '${description || 'Endpoint active'}' }));
+        router.get('/${file ? path.basename(file, path.extname(file)) : 'endpoint'}', (req, res) => res.json({ status: '${description || 'Endpoint active'}' }));
         module.exports = router;
       `;
       await logDebug('Generated mock changeText for backend change', 'taskManager', {
@@ -181,6 +386,7 @@ async function createProposals(taskId, backendChanges, userEmail) {
       `;
       reason = 'Add initial crypto wallet balance endpoint for Allur Crypto integration';
       description = reason;
+      edit = null;
     }
     if (!file || !changeText || !reason) {
       await logWarn('Skipping invalid backend change: missing required fields', 'taskManager', {
@@ -190,7 +396,26 @@ async function createProposals(taskId, backendChanges, userEmail) {
       });
       continue;
     }
+    edit = edit?.kind ? edit : deriveEdit(changeText);
+    if (!edit) {
+      await logWarn('Skipping backend change without a structured edit', 'taskManager', {
+        taskId,
+        file,
+        timestamp,
+      });
+      continue;
+    }
+    // Approval writes the edit, not changeText, so the policy and security checks look at the edit's code
+    const appliedText = renderEdit(edit) || changeText;
+    const { violations } = await checkFiles([{ path: file, content: appliedText }], { taskId, stage: 'proposal' });
+    if (violations.length) {
+      await mongoose.model('Task').updateOne({ taskId }, { $push: { policyViolations: { $each: violations } } });
+      continue;
+    }
     try {
+      const securityReview = await reviewProposal({ taskId, file, content: appliedText });
+      const preview = await previewEdit({ file, edit });
+      const approvalsRequired = approvalsRequiredFor({ file, securityReview }, await getReviewPolicy());
       const proposal = new mongoose.model('BackendProposal')({
         taskId,
         file,
@@ -199,6 +424,12 @@ async function createProposals(taskId, backendChanges, userEmail) {
         createdAt: new Date(),
         description: description || reason,
         user: userEmail,
+        securityReview,
+        edit,
+        preview,
+        area: areaOf(file),
+        approvalsRequired,
+        history: [{ action: 'created', actor: userEmail, details: description || reason, at: new Date() }],
       });
       await proposal.save();
       proposals.push(proposal);
@@ -217,9 +448,9 @@ async function createProposals(taskId, backendChanges, userEmail) {
         eventId,
         timestamp,
       });
-      getIO().emit('backendProposal', {
+      emitTaskEvent('backendProposal', {
         taskId,
-        proposal: { id: proposal._id, file, content: changeText, status: 'pending', description: description || reason },
+        proposal: { id: proposal._id, file, content: changeText, status: 'pending', description: description || reason, securityReview, edit, preview, approvalsRequired },
         eventId,
       });
     } catch (err) {
@@ -242,11 +473,25 @@ async function createProposals(taskId, backendChanges, userEmail) {
       user: userEmail,
       timestamp,
     });
-    getIO().emit('backendProposal', { taskId, proposals, eventId });
+    emitTaskEvent('backendProposal', { taskId, proposals, eventId });
   }
   return proposals;
 }
 
+/**
+ * Computes a proposal's diff preview against the file on disk.
+ * @param {Object} proposal - { file, edit }.
+ * @returns {Promise<Object>} { baseHash, patch, stats, generatedAt } or { error, generatedAt } if the edit cannot apply.
+ */
+async function previewEdit(proposal) {
+  try {
+    const { baseHash, patch, stats } = await planProposalEdit(proposal);
+    return { baseHash, patch, stats, generatedAt: new Date() };
+  } catch (err) {
+    return { error: err.message, generatedAt: new Date() };
+  }
+}
+
 /**
  * Processes a task by generating files, running tests, and creating proposals.
  * @param {Object} params - Task parameters.
@@ -261,7 +506,7 @@ async function createProposals(taskId, backendChanges, userEmail) {
  * @param {Object} params.user - User object with email.
  * @returns {Promise<Object>} The processed task.
  */
-async function processTask({ taskId, prompt, action = 'create', target = 'crm', features = [], isMultiFile = false, backendChanges = [], uploadedFiles = [], user }) {
+async function processTask({ taskId, prompt, action = 'create', target = 'crm', features = [], isMultiFile = false, backendChanges = [], uploadedFiles = [], user, provider, plan }) {
   const timestamp = new Date().toISOString();
   taskId = taskId || uuidv4();
   console.log('taskManager: processTask called', {
@@ -274,6 +519,8 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
     backendChanges: backendChanges.length,
     uploadedFiles: uploadedFiles.length,
     user: user?.email || 'undefined',
+    provider: provider || 'default',
+    plan,
     timestamp,
   });
 
@@ -292,6 +539,8 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
   let task;
   let attempt = 0;
   const maxAttempts = 3;
+  const signal = beginTask(taskId);
+  const stages = createStageTimer(taskId);
 
   // Create or update task with retry logic
   try {
@@ -350,6 +599,7 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
     }
   } catch (err) {
     await logError(`Task creation failed: ${err.message}`, 'taskManager', { taskId, stack: err.stack, timestamp });
+    endTask(taskId);
     throw err;
   }
 
@@ -391,67 +641,12 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
       throw new Error(task.error);
     }
 
-    // Read and validate system files for originalContent
-    console.log('taskManager: Reading system files for originalContent', { taskId, timestamp });
-    let originalContent = {};
-    try {
-      const systemFiles = await readSystemFiles();
-      const maxSize = 10 * 1024 * 1024; // 10MB total limit
-      const maxFileSize = 1 * 1024 * 1024; // 1MB per file
-      let totalSize = 0;
-      for (const file of Object.keys(systemFiles)) {
-        const content = systemFiles[file];
-        if (typeof content === 'string') {
-          try {
-            Buffer.from(content, 'utf8');
-            const fileSize = Buffer.byteLength(content, 'utf8');
-            if (fileSize <= maxFileSize && totalSize + fileSize <= maxSize) {
-              originalContent[file] = content;
-              totalSize += fileSize;
-            } else {
-              await logWarn('Skipping file in originalContent due to size limit', 'taskManager', {
-                taskId,
-                file,
-                fileSize,
-                totalSize,
-                maxSize,
-                maxFileSize,
-                timestamp,
-              });
-            }
-          } catch (err) {
-            await logWarn('Skipping file in originalContent due to invalid UTF-8', 'taskManager', {
-              taskId,
-              file,
-              error: err.message,
-              timestamp,
-            });
-          }
-        }
-      }
-      await logDebug('Generated originalContent', 'taskManager', {
-        taskId,
-        fileCount: Object.keys(originalContent).length,
-        totalSize,
-        user: user?.email || 'admin@idurarapp.com',
-        timestamp,
-      });
-      JSON.stringify(originalContent); // Validate serialization
-      task.originalContent = originalContent;
-    } catch (err) {
-      await logError(`Failed to read system files: ${err.message}`, 'taskManager', { taskId, stack: err.stack, timestamp });
-      task.status = 'failed';
-      task.error = `Failed to read system files: ${err.message}`;
-      await task.save();
-      debounceEmit(taskId, { taskId, status: 'failed', error: task.error, logColor: 'red', timestamp, errorDetails: { reason: err.message, context: 'processTask' } });
-      throw new Error(task.error);
-    }
-
     // Parse prompt or use provided data
+    await stages.enter('parse');
     console.log('taskManager: Parsing prompt', { taskId, timestamp });
     let parsedData;
     try {
-      parsedData = backendChanges.length ? { action, target, features, isMultiFile, backendChanges } : await parsePrompt(prompt, taskId);
+      parsedData = backendChanges.length ? { action, target, features, isMultiFile, backendChanges } : await parsePrompt(prompt, taskId, [], [], [], uploadedFiles, { provider });
       const { action: parsedAction, target: parsedTarget = 'crm', features: parsedFeatures = [], isMultiFile: parsedIsMultiFile, backendChanges: parsedBackendChanges } = parsedData;
       await logInfo('Parsed prompt', 'taskManager', {
         taskId,
@@ -470,11 +665,74 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
 
     const { action: parsedAction, target: parsedTarget, features: parsedFeatures, isMultiFile: parsedIsMultiFile, backendChanges: parsedBackendChanges } = parsedData;
 
+    // Record the intent; ambiguous prompts wait for clarification instead of generating files
+    if (parsedData.intent) {
+      task.intent = parsedData.intent;
+      task.clarifyingQuestions = parsedData.questions || [];
+      if (parsedData.llmUsage) {
+        task.llmCalls.push(parsedData.llmUsage);
+        for (const key of ['promptTokens', 'completionTokens', 'totalTokens', 'costUsd']) {
+          task.llmUsage[key] = (task.llmUsage[key] || 0) + (parsedData.llmUsage[key] || 0);
+        }
+        task.llmUsage.calls = (task.llmUsage.calls || 0) + 1;
+      }
+      if (needsClarification(parsedData.intent)) {
+        task.status = 'clarification_needed';
+        task.updatedAt = new Date();
+        await task.save();
+        await logInfo('Task needs clarification', 'taskManager', {
+          taskId,
+          questions: task.clarifyingQuestions,
+          user: user?.email || 'admin@idurarapp.com',
+          timestamp,
+        });
+        debounceEmit(taskId, {
+          taskId,
+          status: 'clarification_needed',
+          message: 'Prompt is ambiguous, answer the clarifying questions and resubmit',
+          clarifyingQuestions: task.clarifyingQuestions,
+          logColor: 'yellow',
+          timestamp,
+        });
+        return task.toObject();
+      }
+      await task.save();
+
+      // Large prompts become a parent plan; child tasks run through processTask one step at a time
+      if (!task.parentTaskId && shouldPlan(parsedData.intent, prompt, plan)) {
+        await logInfo('Decomposing task into plan', 'taskManager', {
+          taskId,
+          targetModule: parsedData.intent.targetModule,
+          user: user?.email || 'admin@idurarapp.com',
+          timestamp,
+        });
+        return await createPlan({ task, intent: parsedData.intent, user, provider });
+      }
+    }
+
+    // Retrieve only the files relevant to this prompt as generation context
+    let contextFiles = [];
+    try {
+      const retrieved = await retrieveContext(prompt, { intent: parsedData.intent });
+      contextFiles = retrieved.context;
+      task.contextFiles = retrieved.files;
+      await task.save();
+      await logDebug('Retrieved generation context', 'taskManager', {
+        taskId,
+        contextFiles: retrieved.files.map(f => f.path),
+        indexedFiles: retrieved.indexedFiles,
+        timestamp,
+      });
+    } catch (indexErr) {
+      await logWarn(`Context retrieval failed, generating without file context: ${indexErr.message}`, 'taskManager', { taskId, stack: indexErr.stack, timestamp });
+    }
+
     // Generate staged files
+    await stages.enter('generate');
     console.log('taskManager: Generating staged files', { taskId, timestamp });
     let stagedFiles;
     try {
-      stagedFiles = await generateFiles(taskId, { ...parsedData, target: parsedTarget });
+      stagedFiles = await generateFiles(taskId, { ...parsedData, target: parsedTarget, prompt, provider, contextFiles }, { signal });
       await logDebug('Generated staged files', 'taskManager', {
         taskId,
         fileCount: stagedFiles.length,
@@ -483,6 +741,7 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
         timestamp,
       });
     } catch (generateErr) {
+      if (isTaskCancelled(taskId)) throw generateErr;
       await logError(`Failed to generate stagedFiles: ${generateErr.message}`, 'taskManager', { taskId, parsedData, stack: generateErr.stack, timestamp });
       task.status = 'failed';
       task.error = `File generation failed: ${generateErr.message}`;
@@ -526,15 +785,31 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
       throw new Error(task.error);
     }
 
+    // Record base hashes and unified diffs against the current working tree
+    try {
+      const staged = await stageFilePatches(stagedFiles, { taskId });
+      stagedFiles = staged.stagedFiles;
+      task.originalContent = staged.baseContents;
+    } catch (patchErr) {
+      await logError(`Failed to stage patches: ${patchErr.message}`, 'taskManager', { taskId, stack: patchErr.stack, timestamp });
+      task.status = 'failed';
+      task.error = `Failed to stage patches: ${patchErr.message}`;
+      await task.save();
+      debounceEmit(taskId, { taskId, status: 'failed', error: task.error, logColor: 'red', timestamp, errorDetails: { reason: patchErr.message, context: 'processTask' } });
+      throw new Error(task.error);
+    }
+
     // Save stagedFiles with retry logic
     console.log('taskManager: Saving staged files to MongoDB', { taskId, timestamp });
     let retries = 0;
     const maxRetries = 7;
     while (retries < maxRetries) {
+      await stages.enter('save');
       try {
         task.stagedFiles = stagedFiles;
         task.generatedFiles = stagedFiles.map(f => f.path || '');
-        task.testInstructions = stagedFiles.map(f => f.testInstructions || '').join('\n\n');
+        // Template test instructions come first, then the generated per-file instructions
+        task.testInstructions = [...(task.template?.testInstructions ? [task.template.testInstructions] : []), ...stagedFiles.map(f => f.testInstructions || '')].join('\n\n');
 
         const newContentObj = {};
         stagedFiles.forEach(file => {
@@ -602,15 +877,47 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
       }
     }
 
-    // Run automated tests with retries
+    // Static validation gate: parse, lint, import resolution, forbidden APIs
+    await stages.enter('validate');
+    let validation = null;
+    try {
+      validation = await validateStagedFiles(stagedFiles, { taskId });
+      task.validation = validation;
+      if (validation.status === 'failed') {
+        const failedFiles = validation.files.filter(f => f.status === 'failed').map(f => f.path);
+        task.error = `Static validation failed: ${validation.errorCount} error(s) in ${failedFiles.join(', ')}`;
+      }
+      await task.save();
+      debounceEmit(taskId, {
+        taskId,
+        status: task.status,
+        validation: task.validation,
+        error: task.error,
+        logColor: validation.status === 'failed' ? 'red' : 'green',
+        timestamp,
+      });
+    } catch (validationErr) {
+      await logWarn(`Static validation could not run: ${validationErr.message}`, 'taskManager', { taskId, stack: validationErr.stack, timestamp });
+    }
+
+    // Run automated tests with retries; files that failed static validation are not worth a browser run
     console.log('taskManager: Running automated tests', { taskId, timestamp });
     let testResult = null;
     let testUrl = `http://localhost:8888/api/grok/test/${taskId}/${uuidv4()}`;
     let testAttempts = 0;
     const maxTestAttempts = 3;
-    while (testAttempts < maxTestAttempts) {
+    while (validation?.status !== 'failed' && testAttempts < maxTestAttempts) {
+      await stages.enter('test');
       try {
-        testResult = await runTests(null, stagedFiles, taskId, false);
+        testResult = await runTests(null, stagedFiles, taskId, false, { backendChanges: parsedBackendChanges });
+        // The repair loop may have patched the staged code; keep the repaired version for approval
+        if (testResult.repaired && Array.isArray(testResult.stagedFiles)) {
+          const restaged = await restageFilePatches(testResult.stagedFiles, stagedFiles, { taskId });
+          stagedFiles = restaged.stagedFiles;
+          task.stagedFiles = stagedFiles;
+          task.newContent = Object.fromEntries(stagedFiles.map(f => [f.path, f.content || '']));
+          task.testInstructions = [...(task.template?.testInstructions ? [task.template.testInstructions] : []), ...stagedFiles.map(f => f.testInstructions || '')].join('\n\n');
+        }
         task.testUrl = testUrl;
         task.status = testResult.success ? 'tested' : 'failed';
         task.error = testResult.success ? null : `Automated test failed: ${testResult.error || 'Unknown error'}`;
@@ -624,6 +931,8 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
           user: user?.email || 'admin@idurarapp.com',
           timestamp,
         });
+        const { acceptanceTests, apiTests, testReport, visualTests } = await mongoose.model('Task').findOne({ taskId })
+          .select('acceptanceTests.checks acceptanceTests.results acceptanceTests.specPath apiTests testReport visualTests').lean() || {};
         debounceEmit(taskId, {
           taskId,
           status: task.status,
@@ -631,11 +940,17 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
           testInstructions: task.testInstructions,
           testUrl,
           error: task.error,
+          ...(!testResult.success && { errorDetails: { reason: testResult.error || 'Unknown error', context: 'runTests' } }),
+          acceptanceTests,
+          apiTests,
+          testReport,
+          visualTests,
           logColor: testResult.success ? 'green' : 'red',
           timestamp,
         });
         break;
       } catch (testErr) {
+        if (isTaskCancelled(taskId)) throw testErr;
         testAttempts++;
         await logError(`Test attempt ${testAttempts}/${maxTestAttempts} failed: ${testErr.message}`, 'taskManager', {
           taskId,
@@ -663,6 +978,7 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
     }
 
     // Create backend proposals
+    await stages.enter('proposals');
     console.log('taskManager: Creating backend proposals', { taskId, timestamp });
     let proposals = [];
     try {
@@ -674,6 +990,7 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
         taskId,
         status: 'pending_approval',
         stagedFiles: task.stagedFiles,
+        validation: task.validation,
         proposedChanges: task.proposedChanges,
         testInstructions: task.testInstructions,
         testUrl: task.testUrl,
@@ -738,6 +1055,20 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
     await appendLog(errorLogPath, `# Task Processed\nTask ID: ${taskId}\nStaged Files: ${stagedFiles.map(f => f.path).join(', ')}\nProposals: ${proposals.length}\nTest Instructions: ${task.testInstructions}\nTest URL: ${task.testUrl}\nStatus: ${task.status}\nUser: ${user?.email || 'admin@idurarapp.com'}`);
     return task.toObject();
   } catch (err) {
+    // A cancelled task ends cleanly so the job queue does not retry it
+    if (isTaskCancelled(taskId)) {
+      const stage = getTaskControl(taskId)?.stage;
+      await logInfo(`Task cancelled during ${stage}`, 'taskManager', { taskId, user: user?.email || 'admin@idurarapp.com', timestamp });
+      task.status = 'cancelled';
+      task.error = null;
+      if (await releaseWorkspace(taskId, { user, timestamp })) {
+        task.set('workspace.status', 'destroyed');
+      }
+      await task.save();
+      // Emitted directly: the shared debounce would drop it right after a pause or status update
+      emitTaskEvent('taskUpdate', { taskId, status: 'cancelled', message: `Task cancelled during ${stage}`, logColor: 'orange', timestamp, eventId: uuidv4() });
+      return task.toObject();
+    }
     await logError(`Task processing failed: ${err.message}`, 'taskManager', {
       taskId,
       stack: err.stack,
@@ -756,9 +1087,202 @@ async function processTask({ taskId, prompt, action = 'create', target = 'crm',
       errorDetails: { reason: err.message, context: 'processTask' },
     });
     throw err;
+  } finally {
+    await stages.finish(task?.status === 'failed' || task?.status === 'cancelled' ? task.status : 'completed');
+    endTask(taskId);
+  }
+}
+
+/**
+ * Creates or resets a task and queues it for background processing.
+ * @param {Object} params - Same task fields as processTask (taskId, prompt, uploadedFiles, user, provider, plan, parentTaskId),
+ *   plus template ({ templateId, name, version, variables, testInstructions }) when the prompt came from promptTemplates.js.
+ * @returns {Promise<Object>} { task, jobId }.
+ */
+async function queueTask({ taskId, prompt, uploadedFiles = [], user, provider, plan, parentTaskId, template }) {
+  const timestamp = new Date().toISOString();
+  taskId = taskId || uuidv4();
+  if (!isValidTaskId(taskId)) {
+    await logError('Invalid taskId', 'taskManager', { taskId, timestamp });
+    throw new Error('Invalid taskId');
+  }
+  if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+    await logError('Invalid prompt', 'taskManager', { taskId, prompt, timestamp });
+    throw new Error('Invalid prompt');
+  }
+
+  const Task = mongoose.model('Task');
+  let task = await Task.findOne({ taskId, user: { $in: [user?.email, null, undefined, 'admin@idurarapp.com'] } });
+  if (!task) {
+    task = new Task({ taskId, prompt, user: user?.email || 'admin@idurarapp.com', createdAt: new Date() });
+  }
+  task.prompt = prompt;
+  task.status = 'queued';
+  task.error = null;
+  task.updatedAt = new Date();
+  if (template) {
+    task.template = template;
+    task.testInstructions = template.testInstructions || '';
+  }
+  await task.save();
+
+  // Job payloads are stored in MongoDB, so uploads keep their names only
+  const job = await enqueueJob('processTask', {
+    taskId,
+    prompt,
+    uploadedFiles: (uploadedFiles || []).map(file => ({ originalname: file.originalname || file.name || 'unknown' })),
+    user: user?.email ? { email: user.email } : undefined,
+    provider,
+    plan,
+    parentTaskId,
+  }, { taskId, user: user?.email });
+  task.jobId = job.jobId;
+  await task.save();
+
+  debounceEmit(taskId, { taskId, status: 'queued', message: `Task queued: ${prompt}`, jobId: job.jobId, logColor: 'blue', timestamp });
+  await logInfo('Task queued', 'taskManager', { taskId, jobId: job.jobId, user: user?.email || 'admin@idurarapp.com', timestamp });
+  return { task: task.toObject(), jobId: job.jobId };
+}
+
+/**
+ * Looks up a task for cancel, pause, or resume.
+ * @param {string} taskId - The task ID.
+ * @param {Object} user - User object with email.
+ * @param {string} timestamp - ISO timestamp for logs.
+ * @returns {Promise<Object>} Task document.
+ */
+async function findControllableTask(taskId, user, timestamp) {
+  if (!isValidTaskId(taskId)) {
+    await logError('Invalid taskId', 'taskManager', { taskId, user: user?.email || 'undefined', timestamp });
+    throw new Error('Invalid taskId');
+  }
+  const task = await mongoose.model('Task').findOne({ taskId, user: { $in: [user?.email, null, undefined, 'admin@idurarapp.com'] } });
+  if (!task) {
+    throw new Error('Task not found');
+  }
+  return task;
+}
+
+/**
+ * Cancels a queued or running task. Running tasks stop at their next pipeline checkpoint;
+ * processTask then marks them cancelled and removes the workspace.
+ * @param {string} taskId - The task ID.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} Task, with status "cancelled" or "cancelling" while a running task unwinds.
+ */
+async function cancelTask(taskId, { user } = {}) {
+  const timestamp = new Date().toISOString();
+  const task = await findControllableTask(taskId, user, timestamp);
+  const { cancelled, running } = await cancelJob(taskId, { includeRunning: true });
+  if (await requestCancel(taskId)) {
+    await logInfo('Cancelling running task', 'taskManager', { taskId, user: user?.email || 'admin@idurarapp.com', timestamp });
+    return { ...task.toObject(), status: 'cancelling' };
+  }
+  if (!cancelled && !running) {
+    throw new Error('Task is not queued or running');
+  }
+  // Queued, or a running job whose worker is gone: nothing left to unwind
+  task.status = 'cancelled';
+  task.updatedAt = new Date();
+  await task.save();
+  await releaseWorkspace(taskId, { user, timestamp });
+  debounceEmit(taskId, { taskId, status: 'cancelled', message: 'Task cancelled before processing', logColor: 'orange', timestamp });
+  await logInfo('Cancelled queued task', 'taskManager', { taskId, user: user?.email || 'admin@idurarapp.com', timestamp });
+  continuePlan(task, { user, timestamp });
+  return task.toObject();
+}
+
+/**
+ * Pauses a running task at its next pipeline checkpoint.
+ * @param {string} taskId - The task ID.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} Paused task.
+ */
+async function pauseTask(taskId, { user } = {}) {
+  const timestamp = new Date().toISOString();
+  const task = await findControllableTask(taskId, user, timestamp);
+  if (!requestPause(taskId)) {
+    throw new Error('Task is not running');
+  }
+  task.status = 'paused';
+  task.updatedAt = new Date();
+  await task.save();
+  const stage = getTaskControl(taskId)?.stage;
+  debounceEmit(taskId, { taskId, status: 'paused', message: `Task paused at ${stage}`, logColor: 'yellow', timestamp });
+  await logInfo('Paused task', 'taskManager', { taskId, stage, user: user?.email || 'admin@idurarapp.com', timestamp });
+  return task.toObject();
+}
+
+/**
+ * Resumes a paused task.
+ * @param {string} taskId - The task ID.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} Resumed task.
+ */
+async function resumeTask(taskId, { user } = {}) {
+  const timestamp = new Date().toISOString();
+  const task = await findControllableTask(taskId, user, timestamp);
+  if (!requestResume(taskId)) {
+    throw new Error('Task is not paused');
   }
+  task.status = 'processing';
+  task.updatedAt = new Date();
+  await task.save();
+  debounceEmit(taskId, { taskId, status: 'processing', message: 'Task resumed', logColor: 'blue', timestamp });
+  await logInfo('Resumed task', 'taskManager', { taskId, user: user?.email || 'admin@idurarapp.com', timestamp });
+  return task.toObject();
 }
 
+// Queue handler: processTask runs in a worker; plan subtasks advance their parent when they settle
+registerHandler('processTask', async (payload) => {
+  await processTask(payload);
+  if (payload.parentTaskId) {
+    await advancePlan(payload.parentTaskId, { user: payload.user, provider: payload.provider });
+  }
+}, {
+  onRetry: async (job, err, delayMs) => {
+    const timestamp = new Date().toISOString();
+    await mongoose.model('Task').updateOne({ taskId: job.taskId }, { $set: { status: 'queued', error: `Retrying in ${Math.round(delayMs / 1000)}s: ${err.message}` } });
+    debounceEmit(job.taskId, {
+      taskId: job.taskId,
+      status: 'queued',
+      message: `Attempt ${job.attempts}/${job.maxAttempts} failed, retrying in ${Math.round(delayMs / 1000)}s`,
+      logColor: 'yellow',
+      timestamp,
+    });
+  },
+  onFailed: async (job) => {
+    if (job.payload?.parentTaskId) {
+      await advancePlan(job.payload.parentTaskId, { user: job.payload.user, provider: job.payload.provider });
+    }
+  },
+  onRecover: async ({ requeued, failed }) => {
+    const timestamp = new Date().toISOString();
+    const Task = mongoose.model('Task');
+    for (const job of requeued) {
+      await Task.updateOne({ taskId: job.taskId }, { $set: { status: 'queued', error: null } });
+    }
+    for (const job of failed) {
+      await Task.updateOne({ taskId: job.taskId }, { $set: { status: 'failed', error: job.lastError } });
+    }
+    // Tasks left processing with no job behind them cannot resume
+    const activeTaskIds = (await mongoose.model('Job').find({ status: { $in: ['queued', 'running'] } }).select('taskId').lean()).map(j => j.taskId);
+    const orphaned = await Task.updateMany(
+      { status: { $in: ['processing', 'paused'] }, taskId: { $nin: activeTaskIds } },
+      { $set: { status: 'failed', error: 'Interrupted by server restart' } }
+    );
+    await logInfo('Recovered interrupted tasks', 'taskManager', {
+      requeued: requeued.map(j => j.taskId),
+      failed: failed.map(j => j.taskId),
+      orphaned: orphaned.modifiedCount,
+      timestamp,
+    });
+  },
+});
+
 /**
  * Fetches tasks from MongoDB with optional filtering.
  * @param {Object} params - Filter parameters.
@@ -844,7 +1368,13 @@ async function clearTasks({ user }) {
     await mongoose.model('Task').deleteMany(filter);
     await mongoose.model('BackendProposal').deleteMany(filter);
     await mongoose.model('Memory').deleteMany(filter);
-    await logInfo('Cleared all tasks and proposals', 'taskManager', { user: user?.email || 'undefined', timestamp });
+    let removedTests = [];
+    try {
+      removedTests = await collectStaleTests();
+    } catch (cleanupErr) {
+      await logWarn(`Failed to collect stale generated tests: ${cleanupErr.message}`, 'taskManager', { user: user?.email || 'undefined', timestamp });
+    }
+    await logInfo('Cleared all tasks and proposals', 'taskManager', { user: user?.email || 'undefined', removedTests: removedTests.length, timestamp });
     debounceEmit(null, {
       taskId: null,
       status: 'cleared',
@@ -863,6 +1393,61 @@ async function clearTasks({ user }) {
   }
 }
 
+/**
+ * Records merge conflicts on a task and notifies the console.
+ * @param {Object} task - Task document.
+ * @param {Array} conflicts - Conflicts from patchUtils.planPatchApply.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @param {string} params.timestamp - ISO timestamp.
+ * @returns {Promise<void>}
+ */
+async function recordMergeConflicts(task, conflicts, { user, timestamp }) {
+  const taskId = task.taskId;
+  task.status = 'conflict';
+  task.mergeConflicts = conflicts;
+  task.error = `Merge conflicts in ${conflicts.map(c => c.path).join(', ')}`;
+  task.updatedAt = new Date();
+  await task.save();
+  await logWarn('Apply blocked by merge conflicts', 'taskManager', {
+    taskId,
+    conflicts: conflicts.map(c => ({ path: c.path, reason: c.reason, hunks: c.hunks.length })),
+    user: user?.email || 'admin@idurarapp.com',
+    timestamp,
+  });
+  debounceEmit(taskId, {
+    taskId,
+    status: 'conflict',
+    error: task.error,
+    mergeConflicts: conflicts,
+    logColor: 'red',
+    timestamp,
+    errorDetails: { reason: task.error, context: 'applyApprovedChanges' },
+  });
+}
+
+/**
+ * Removes a task's sandbox workspace; failures are logged and never block the caller.
+ * @param {string} taskId - The task ID.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @param {string} params.timestamp - ISO timestamp.
+ * @returns {Promise<boolean>} True if a workspace was removed.
+ */
+async function releaseWorkspace(taskId, { user, timestamp }) {
+  try {
+    return await destroyWorkspace(taskId);
+  } catch (err) {
+    await logWarn(`Failed to remove task workspace: ${err.message}`, 'taskManager', {
+      taskId,
+      stack: err.stack,
+      user: user?.email || 'admin@idurarapp.com',
+      timestamp,
+    });
+    return false;
+  }
+}
+
 /**
  * Applies approved changes to the filesystem.
  * @param {string} taskId - The task ID.
@@ -870,7 +1455,7 @@ async function clearTasks({ user }) {
  * @param {Object} params.user - User object with email.
  * @returns {Promise<void>}
  */
-async function applyApprovedChanges(taskId, { user }) {
+async function applyApprovedChanges(taskId, { user } = {}) {
   const timestamp = new Date().toISOString();
   console.log('taskManager: applyApprovedChanges called', { taskId, user: user?.email || 'undefined', timestamp });
   if (!isValidTaskId(taskId)) {
@@ -885,54 +1470,115 @@ async function applyApprovedChanges(taskId, { user }) {
     debounceEmit(taskId, { taskId, status: 'failed', error: 'Task not found', logColor: 'red', timestamp, errorDetails: { reason: 'Task not found', context: 'applyApprovedChanges' } });
     throw new Error('Task not found');
   }
+  if (!STAGED_STATUSES.includes(task.status)) {
+    await logWarn(`Approve refused for task in status ${task.status}`, 'taskManager', { taskId, user: user?.email || 'undefined', timestamp });
+    throw new Error(task.status === 'applied' ? 'Task is already applied' : `Cannot approve a task in status "${task.status}"`);
+  }
+
+  if (task.validation?.status === 'failed') {
+    const failedFiles = task.validation.files.filter(f => f.status === 'failed').map(f => f.path);
+    await logWarn('Apply blocked by static validation', 'taskManager', { taskId, failedFiles, user: user?.email || 'admin@idurarapp.com', timestamp });
+    throw new Error(`Static validation failed for ${failedFiles.join(', ')}`);
+  }
+
+  // Detect files changed on disk since staging before touching anything
+  const stagedFiles = (task.stagedFiles || []).map(f => (typeof f.toObject === 'function' ? f.toObject() : f));
+
+  // Re-check every write target; the policy may have changed since generation
+  const { violations } = await checkFiles(stagedFiles, { taskId, stage: 'apply' });
+  if (violations.length) {
+    task.policyViolations.push(...violations);
+    await task.save();
+    debounceEmit(taskId, { taskId, status: task.status, policyViolations: task.policyViolations, logColor: 'red', timestamp });
+    throw new Error(`Path policy violation: ${violations.map(v => v.message).join('; ')}`);
+  }
+
+  const { conflicts } = await planPatchApply(stagedFiles);
+  if (conflicts.length) {
+    await recordMergeConflicts(task, conflicts, { user, timestamp });
+    throw new Error(`Merge conflicts in ${conflicts.map(c => c.path).join(', ')}`);
+  }
 
   let attempt = 0;
   const maxAttempts = 3;
+  let commit = null;
   while (attempt < maxAttempts) {
     try {
-      for (const fileObj of task.stagedFiles || []) {
-        const targetPath = path.join(__dirname, '../../../', fileObj.path);
-        await fs.mkdir(path.dirname(targetPath), { recursive: true });
-        await fs.writeFile(targetPath, fileObj.content, 'utf8');
+      const result = await applyStagedPatches(stagedFiles, { taskId });
+      if (result.conflicts.length) {
+        await recordMergeConflicts(task, result.conflicts, { user, timestamp });
+        throw new Error(`Merge conflicts in ${result.conflicts.map(c => c.path).join(', ')}`);
+      }
+      for (const applied of result.applied) {
         await logDebug('Applied staged file to filesystem', 'taskManager', {
           taskId,
-          file: fileObj.path,
-          contentLength: fileObj.content.length,
+          file: applied.path,
+          merged: applied.merged,
           user: user?.email || 'admin@idurarapp.com',
           timestamp,
         });
       }
 
-      const proposals = await mongoose.model('BackendProposal').find({ taskId, status: 'approved', user: { $in: [user?.email, null, undefined, 'admin@idurarapp.com'] } });
-      for (const proposal of proposals) {
-        const targetFile = path.join(__dirname, '../../../', proposal.file);
-        await fs.appendFile(targetFile, `\n// BackendProposal ${proposal._id}: ${proposal.content}\n`, 'utf8');
-        await logDebug('Applied BackendProposal change', 'taskManager', {
-          taskId,
-          proposalId: proposal._id,
-          file: proposal.file,
-          user: user?.email || 'admin@idurarapp.com',
-          timestamp,
-        });
+      // Backend proposals are applied and committed on their own by applyBackendProposal
+      // Commit exactly the files this task touched so rollback can revert it
+      if (!commit) {
+        try {
+          commit = await commitTaskChanges(taskId, result.applied.map(f => f.path), {
+            message: `[allur] Apply task ${taskId}\n\n${task.prompt}`,
+            user,
+          });
+        } catch (gitErr) {
+          // The files are written either way; without a commit there is nothing for rollbackChanges to revert
+          commit = { sha: null, branch: null, parentSha: null, files: [], error: gitErr.message };
+          await logError(`Git commit failed, task cannot be rolled back: ${gitErr.message}`, 'taskManager', {
+            taskId,
+            files: result.applied.map(f => f.path),
+            user: user?.email || 'admin@idurarapp.com',
+            timestamp,
+          });
+        }
+        task.commitError = commit.error || null;
+        if (commit.sha) {
+          task.commitSha = commit.sha;
+          task.commitBranch = commit.branch;
+          task.baseCommitSha = commit.parentSha;
+          task.gitHistory.push({ action: 'apply', sha: commit.sha, branch: commit.branch, files: commit.files, user: user?.email || 'admin@idurarapp.com' });
+        }
       }
 
+      // Promotion to the real tree is done; the sandbox copy is no longer needed
+      if (await releaseWorkspace(taskId, { user, timestamp })) task.set('workspace.status', 'destroyed');
       task.status = 'applied';
       task.generatedFiles = task.stagedFiles.map(f => f.path);
       task.stagedFiles = [];
+      task.mergeConflicts = [];
       task.updatedAt = new Date();
       await task.save();
 
+      // The approved look of the touched pages becomes their visual baseline
+      try {
+        await promoteBaselines(taskId, { user: user?.email || 'admin@idurarapp.com' });
+      } catch (baselineErr) {
+        await logWarn(`Failed to promote visual baselines: ${baselineErr.message}`, 'taskManager', { taskId, stack: baselineErr.stack, timestamp });
+      }
+
       debounceEmit(taskId, {
         taskId,
         status: 'applied',
-        message: `Task approved and applied`,
-        logColor: 'green',
+        message: commit?.sha
+          ? `Task approved and applied (${commit.sha.slice(0, 8)})`
+          : task.commitError ? `Task applied without a git commit, roll back manually: ${task.commitError}` : `Task approved and applied`,
+        commitSha: commit?.sha || null,
+        commitError: task.commitError,
+        logColor: task.commitError ? 'orange' : 'green',
         timestamp,
       });
       await logInfo('Applied approved changes', 'taskManager', { taskId, user: user?.email || 'admin@idurarapp.com', timestamp });
       await appendLog(errorLogPath, `# Changes Applied\nTask ID: ${taskId}\nUser: ${user?.email || 'admin@idurarapp.com'}`);
+      continuePlan(task, { user, timestamp });
       break;
     } catch (err) {
+      if (task.status === 'conflict') throw err;
       attempt++;
       await logWarn(`Apply changes attempt ${attempt}/${maxAttempts} failed: ${err.message}`, 'taskManager', {
         taskId,
@@ -956,14 +1602,35 @@ async function applyApprovedChanges(taskId, { user }) {
   }
 }
 
+/**
+ * Advances the parent plan after a subtask is applied, denied, or rolled back.
+ * @param {Object} task - Subtask document.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @param {string} params.timestamp - ISO timestamp for logs.
+ * @returns {void}
+ */
+function continuePlan(task, { user, timestamp }) {
+  if (!task.parentTaskId) return;
+  advancePlan(task.parentTaskId, { user, provider: task.llmProvider }).catch(err =>
+    logWarn(`Failed to advance plan: ${err.message}`, 'taskManager', {
+      taskId: task.taskId,
+      parentTaskId: task.parentTaskId,
+      user: user?.email || 'admin@idurarapp.com',
+      timestamp,
+    })
+  );
+}
+
 /**
  * Rolls back changes for a task.
  * @param {string} taskId - The task ID.
  * @param {Object} params - Parameters.
  * @param {Object} params.user - User object with email.
+ * @param {boolean} [params.stagedOnly] - Only discard staged files (deny); applied tasks are refused instead of reverted.
  * @returns {Promise<void>}
  */
-async function rollbackChanges(taskId, { user }) {
+async function rollbackChanges(taskId, { user, stagedOnly = false } = {}) {
   const timestamp = new Date().toISOString();
   console.log('taskManager: rollbackChanges called', { taskId, user: user?.email || 'undefined', timestamp });
   if (!isValidTaskId(taskId)) {
@@ -978,39 +1645,74 @@ async function rollbackChanges(taskId, { user }) {
     debounceEmit(taskId, { taskId, status: 'failed', error: 'Task not found', logColor: 'red', timestamp, errorDetails: { reason: 'Task not found', context: 'rollbackChanges' } });
     throw new Error('Task not found');
   }
+  if (stagedOnly && task.status === 'applied') {
+    await logWarn('Deny refused for applied task', 'taskManager', { taskId, commitSha: task.commitSha, user: user?.email || 'undefined', timestamp });
+    throw new Error('Task is already applied; roll it back instead');
+  }
+  // Retrying cannot fix either of these, so they fail before the retry loop
+  if (task.status === 'applied' && !task.commitSha) {
+    throw new Error(`Task was applied without a commit SHA; roll back manually${task.commitError ? ` (${task.commitError})` : ''}`);
+  }
+  if (task.status !== 'applied' && !STAGED_STATUSES.includes(task.status)) {
+    await logWarn(`Rollback refused for task in status ${task.status}`, 'taskManager', { taskId, stagedOnly, user: user?.email || 'undefined', timestamp });
+    throw new Error(`Cannot ${stagedOnly ? 'deny' : 'roll back'} a task in status "${task.status}"`);
+  }
 
   let attempt = 0;
   const maxAttempts = 3;
   while (attempt < maxAttempts) {
     try {
-      for (const fileObj of task.stagedFiles || []) {
-        const stagedPath = path.join(__dirname, '../../../', fileObj.path);
-        await fs.unlink(stagedPath).catch(() => {});
-        await logDebug('Removed staged file', 'taskManager', {
+      // Applied tasks are reverted by commit; staged-only tasks never touched disk
+      if (task.status === 'applied') {
+        const revert = await revertTaskCommit(taskId, task.commitSha, { user });
+        task.revertCommitSha = revert.sha;
+        task.gitHistory.push({ action: 'rollback', sha: revert.sha, branch: task.commitBranch, files: task.generatedFiles, user: user?.email || 'admin@idurarapp.com' });
+        task.status = 'rolled_back';
+      } else {
+        await logDebug('Discarded staged files', 'taskManager', {
           taskId,
-          file: fileObj.path,
+          files: (task.stagedFiles || []).map(f => f.path),
           user: user?.email || 'admin@idurarapp.com',
           timestamp,
         });
+        task.status = 'denied';
       }
-
-      task.status = 'denied';
+      if (await releaseWorkspace(taskId, { user, timestamp })) task.set('workspace.status', 'destroyed');
       task.stagedFiles = [];
       task.proposedChanges = [];
       task.updatedAt = new Date();
       await task.save();
 
+      // The reverted look of the touched pages is no longer a baseline
+      if (task.status === 'rolled_back') {
+        try {
+          await removeBaselines(taskId);
+        } catch (baselineErr) {
+          await logWarn(`Failed to remove visual baselines: ${baselineErr.message}`, 'taskManager', { taskId, stack: baselineErr.stack, timestamp });
+        }
+      }
+
+      // Applied proposals are reverted newest first so stacked edits to one file unwind cleanly
+      const appliedProposals = await mongoose.model('BackendProposal')
+        .find({ taskId, status: 'approved', 'applied.patch': { $exists: true }, user: { $in: [user?.email, null, undefined, 'admin@idurarapp.com'] } })
+        .sort({ 'applied.appliedAt': -1 });
+      for (const proposal of appliedProposals) {
+        await revertBackendProposal(proposal, { user });
+      }
       await mongoose.model('BackendProposal').deleteMany({ taskId, user: { $in: [user?.email, null, undefined, 'admin@idurarapp.com'] } });
 
       debounceEmit(taskId, {
         taskId,
-        status: 'denied',
-        message: `Task denied and changes rolled back`,
+        status: task.status,
+        message: task.status === 'rolled_back' ? `Task rolled back (${task.revertCommitSha.slice(0, 8)})` : `Task denied and changes rolled back`,
+        commitSha: task.commitSha || null,
+        revertCommitSha: task.revertCommitSha || null,
         logColor: 'red',
         timestamp,
       });
       await logInfo('Rolled back changes', 'taskManager', { taskId, user: user?.email || 'admin@idurarapp.com', timestamp });
       await appendLog(errorLogPath, `# Changes Rolled Back\nTask ID: ${taskId}\nUser: ${user?.email || 'admin@idurarapp.com'}`);
+      continuePlan(task, { user, timestamp });
       break;
     } catch (err) {
       attempt++;
@@ -1036,6 +1738,105 @@ async function rollbackChanges(taskId, { user }) {
   }
 }
 
+/**
+ * Applies an approved BackendProposal's structured edit to its target file and commits it.
+ * @param {Object} proposal - BackendProposal document with file and edit.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @returns {Promise<Object>} The saved proposal with status "approved" and applied set.
+ */
+async function applyBackendProposal(proposal, { user } = {}) {
+  const timestamp = new Date().toISOString();
+  if (!proposal.edit?.kind) {
+    throw new Error(`Cannot apply proposal: ${proposal._id} has no structured edit`);
+  }
+
+  const applied = await applyProposalEdit(proposal);
+  let commit = null;
+  try {
+    commit = await commitTaskChanges(`${proposal.taskId}-proposal-${proposal._id}`, [proposal.file], {
+      message: `[allur] Apply proposal ${proposal._id} for task ${proposal.taskId}\n\n${proposal.description || proposal.edit.kind}`,
+      user,
+    });
+  } catch (gitErr) {
+    await logWarn(`Git commit skipped for proposal: ${gitErr.message}`, 'taskManager', {
+      taskId: proposal.taskId,
+      proposalId: proposal._id,
+      user: user?.email || 'admin@idurarapp.com',
+      timestamp,
+    });
+  }
+
+  proposal.applied = { ...applied, commitSha: commit?.sha || null };
+  proposal.status = 'approved';
+  addHistory(proposal, 'applied', user?.email, commit?.sha ? `Commit ${commit.sha.slice(0, 7)}` : `Edited ${proposal.file}`);
+  proposal.updatedAt = new Date();
+  await proposal.save();
+  await logInfo('Applied BackendProposal edit', 'taskManager', {
+    taskId: proposal.taskId,
+    proposalId: proposal._id,
+    file: proposal.file,
+    kind: proposal.edit.kind,
+    isNewFile: applied.isNewFile,
+    commitSha: commit?.sha || null,
+    user: user?.email || 'admin@idurarapp.com',
+    timestamp,
+  });
+  return proposal;
+}
+
+/**
+ * Reverts an applied BackendProposal, or denies it if it was never applied.
+ * @param {Object} proposal - BackendProposal document.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.user - User object with email.
+ * @param {string} params.reason - Optional reason recorded in the proposal history.
+ * @returns {Promise<Object>} The saved proposal with status "reverted" or "denied".
+ */
+async function revertBackendProposal(proposal, { user, reason } = {}) {
+  const timestamp = new Date().toISOString();
+  if (proposal.status !== 'approved' || !proposal.applied?.patch) {
+    proposal.status = 'denied';
+    proposal.updatedAt = new Date();
+    addHistory(proposal, 'denied', user?.email, reason);
+    await proposal.save();
+    return proposal;
+  }
+
+  const { exact, removed } = await revertProposalEdit(proposal);
+  let commit = null;
+  try {
+    commit = await commitTaskChanges(`${proposal.taskId}-proposal-${proposal._id}`, [proposal.file], {
+      message: `[allur] Revert proposal ${proposal._id} for task ${proposal.taskId}`,
+      user,
+    });
+  } catch (gitErr) {
+    await logWarn(`Git commit skipped for proposal revert: ${gitErr.message}`, 'taskManager', {
+      taskId: proposal.taskId,
+      proposalId: proposal._id,
+      user: user?.email || 'admin@idurarapp.com',
+      timestamp,
+    });
+  }
+
+  proposal.set('applied.revertedAt', new Date());
+  proposal.set('applied.revertCommitSha', commit?.sha || null);
+  proposal.status = 'reverted';
+  proposal.updatedAt = new Date();
+  addHistory(proposal, 'reverted', user?.email, reason || (commit?.sha ? `Commit ${commit.sha.slice(0, 7)}` : undefined));
+  await proposal.save();
+  await logInfo('Reverted BackendProposal edit', 'taskManager', {
+    taskId: proposal.taskId,
+    proposalId: proposal._id,
+    file: proposal.file,
+    exact,
+    removed,
+    user: user?.email || 'admin@idurarapp.com',
+    timestamp,
+  });
+  return proposal;
+}
+
 /**
  * Deletes a task and associated data.
  * @param {string} taskId - The task ID.
@@ -1063,21 +1864,38 @@ async function deleteTask(taskId, { user }) {
         throw new Error('Task not found');
       }
 
-      for (const fileObj of task.stagedFiles || []) {
-        const stagedPath = path.join(__dirname, '../../../', fileObj.path);
-        await fs.unlink(stagedPath).catch(() => {});
-        await logDebug('Removed staged file', 'taskManager', {
-          taskId,
-          file: fileObj.path,
-          user: user?.email || 'admin@idurarapp.com',
-          timestamp,
-        });
-      }
+      // Staged files live in MongoDB and the task workspace; applied files stay in git history
+      await releaseWorkspace(taskId, { user, timestamp });
+      await logDebug('Discarded staged files', 'taskManager', {
+        taskId,
+        files: (task.stagedFiles || []).map(f => f.path),
+        commitSha: task.commitSha || null,
+        user: user?.email || 'admin@idurarapp.com',
+        timestamp,
+      });
 
+      // Deleting a plan parent deletes its subtasks; their workspaces go with them
+      for (const subtaskId of task.subtasks || []) {
+        await releaseWorkspace(subtaskId, { user, timestamp });
+      }
+      if (task.subtasks?.length) {
+        await mongoose.model('Task').deleteMany({ parentTaskId: taskId });
+        await mongoose.model('BackendProposal').deleteMany({ taskId: { $in: task.subtasks } });
+      }
       await mongoose.model('Task').deleteOne({ taskId, user: { $in: [user?.email, null, undefined, 'admin@idurarapp.com'] } });
       await mongoose.model('Memory').deleteMany({ taskId, user: { $in: [user?.email, null, undefined, 'admin@idurarapp.com'] } });
       await mongoose.model('BackendProposal').deleteMany({ taskId, user: { $in: [user?.email, null, undefined, 'admin@idurarapp.com'] } });
 
+      // Generated specs, repair screenshots, and visual captures go with the task
+      for (const id of [taskId, ...(task.subtasks || [])]) {
+        try {
+          await removeGeneratedTests(id);
+          await removeVisualCaptures(id);
+        } catch (cleanupErr) {
+          await logWarn(`Failed to remove generated tests: ${cleanupErr.message}`, 'taskManager', { taskId: id, user: user?.email || 'undefined', timestamp });
+        }
+      }
+
       debounceEmit(taskId, {
         taskId,
         status: 'deleted',
@@ -1114,4 +1932,4 @@ async function deleteTask(taskId, { user }) {
   }
 }
 
-module.exports = { processTask, applyApprovedChanges, rollbackChanges, deleteTask, getTasks, clearTasks };
+module.exports = { processTask, queueTask, cancelTask, pauseTask, resumeTask, applyApprovedChanges, rollbackChanges, applyBackendProposal, revertBackendProposal, previewEdit, deleteTask, getTasks, clearTasks };
@@ -0,0 +1,343 @@
+/*
+ * File Path: backend/src/utils/taskPlanner.js
+ * Purpose: Decomposes large prompts into ordered, dependent subtasks for Allur Space Console.
+ * How It Works:
+ *   - Prompts like "Build an inventory system with stock alerts and supplier management" become a parent Task plus one child Task per step.
+ *   - Steps run in order: model → controller → routes → ui → tests; each child has its own staged files, status, and approval.
+ *   - A child is generated only after every prerequisite is applied; a failed, denied, or rolled back prerequisite blocks its dependents.
+ *   - The parent carries aggregate progress (planProgress) and a derived status shown in the console.
+ * Mechanics:
+ *   - `shouldPlan`: Explicit plan flag, or a create intent for a module with two or more listed sub-features.
+ *   - `buildPlan`: Step prompts and dependencies from the parent intent.
+ *   - `createPlan`: Saves the parent and child Tasks, then starts advancePlan in the background.
+ *   - `advancePlan`: Blocks/unblocks children, queues ready children through taskManager.queueTask, refreshes parent progress.
+ *   - `getPlan`: Parent task with its children in plan order.
+ * Dependencies:
+ *   - mongoose: Task model (version 8.13.2).
+ *   - taskManager.js: queueTask (required lazily to avoid a circular dependency).
+ *   - socket.js: emitTaskEvent for parent progress events.
+ *   - logUtils.js: MongoDB logging.
+ *   - uuid: Child task IDs and eventId.
+ * Dependents:
+ *   - taskManager.js: createPlan from processTask, advancePlan after apply, deny, and rollback of a child.
+ *   - taskRoutes.js: getPlan for GET /api/grok/tasks/:taskId/plan.
+ * Why It’s Here:
+ *   - processTask generated one atomic change per prompt, even for multi-part features (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created multi-step plans with dependent child tasks.
+ *     - Why: Large prompts need model, routes, controller, UI, and tests reviewed and applied step by step.
+ *     - How: Parent/child Tasks linked by parentTaskId/dependsOn, advancePlan gated on applied prerequisites, planProgress on the parent.
+ *     - Test: POST /api/grok/edit with "Build an inventory system with stock alerts and supplier management", verify five child tasks and only the model step processing.
+ *   - 10/19/2026: Queued plan steps through the job queue.
+ *     - Why: processTask now runs in jobQueue.js workers instead of inline.
+ *     - How: advancePlan calls queueTask with parentTaskId; the processTask job handler advances the plan when a step settles.
+ *     - Test: Approve the model step, verify a processTask job is queued for the controller step.
+ * Test Instructions:
+ *   - POST /api/grok/edit with "Build an inventory system with stock alerts and supplier management".
+ *   - Verify the parent task has status "in_progress", subtasks lists five taskIds, and only the model child leaves "waiting".
+ *   - Approve the model child, verify the controller child starts; deny it, verify routes, ui, and tests become "blocked".
+ *   - GET /api/grok/tasks/<parentTaskId>/plan, verify planProgress counts match the child statuses.
+ * Rollback Instructions:
+ *   - Delete taskPlanner.js and remove the plan branch from taskManager.js processTask.
+ * Future Enhancements:
+ *   - Let the model propose the step list for prompts outside the default model/controller/routes/ui/tests shape (Sprint 5).
+ */
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { emitTaskEvent } = require('../socket');
+const { logInfo, logWarn, logError, logDebug } = require('./logUtils');
+
+const PLAN_STEPS = [
+  { step: 'model', dependsOn: [] },
+  { step: 'controller', dependsOn: ['model'] },
+  { step: 'routes', dependsOn: ['controller'] },
+  { step: 'ui', dependsOn: ['routes'] },
+  { step: 'tests', dependsOn: ['ui'] },
+];
+const DONE_STATUSES = ['applied'];
+const FAILED_STATUSES = ['failed', 'denied', 'rolled_back', 'blocked', 'cancelled'];
+const ACTIVE_STATUSES = ['pending', 'queued', 'processing', 'tested', 'pending_approval', 'conflict', 'clarification_needed'];
+
+const runningPlans = new Map();
+
+/**
+ * Converts a name to PascalCase.
+ * @param {string} name - Raw name.
+ * @returns {string} PascalCase name.
+ */
+function toPascalCase(name) {
+  return String(name || '')
+    .replace(/[^a-zA-Z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+    .join('');
+}
+
+/**
+ * Lists sub-features named after "with" or "including" in a prompt.
+ * @param {string} prompt - Task prompt.
+ * @returns {Array<string>} Sub-features, e.g. ['stock alerts', 'supplier management'].
+ */
+function extractSubFeatures(prompt) {
+  const match = String(prompt || '').match(/\b(?:with|including|that has|featuring)\b\s+(.+)$/is);
+  if (!match) return [];
+  return match[1]
+    .replace(/[.!?]+\s*$/, '')
+    .split(/,|;|\band\b|\bplus\b/i)
+    .map(part => part.trim().replace(/^(a|an|the)\s+/i, ''))
+    .filter(part => part && part.split(/\s+/).length <= 6);
+}
+
+/**
+ * Decides whether a prompt should be decomposed into a plan.
+ * @param {Object} intent - Parsed intent.
+ * @param {string} prompt - Task prompt.
+ * @param {boolean} [plan] - Explicit request flag; undefined means auto-detect.
+ * @returns {boolean} True if processTask should create a plan.
+ */
+function shouldPlan(intent, prompt, plan) {
+  if (plan === true) return Boolean(intent?.targetModule);
+  if (plan === false) return false;
+  return intent?.action === 'create' && Boolean(intent?.targetModule) && extractSubFeatures(prompt).length >= 2;
+}
+
+/**
+ * Builds ordered step definitions for a plan.
+ * @param {string} prompt - Parent prompt.
+ * @param {Object} intent - Parent intent.
+ * @returns {Array<Object>} Steps { step, order, prompt, dependsOn } with dependsOn as step names.
+ */
+function buildPlan(prompt, intent) {
+  const name = toPascalCase(intent.targetModule);
+  const camel = name.charAt(0).toLowerCase() + name.slice(1);
+  const subFeatures = extractSubFeatures(prompt);
+  const scope = subFeatures.length ? ` covering ${subFeatures.join(', ')}` : '';
+  const prompts = {
+    model: `Create the Mongoose model ${name} in backend/src/models/appModels/${name}.js${scope}`,
+    controller: `Create the Express controller for ${name} in backend/src/controllers/appControllers/${camel}Controller.js using the ${name} model${scope}`,
+    routes: `Create Express routes for ${name} in backend/src/routes/${camel}Routes.js that call ${camel}Controller`,
+    ui: `Create the ${name} page in frontend/src/pages/${name}.jsx using the /api/${camel} routes${scope}`,
+    tests: `Test the ${name} page in frontend/src/pages/${name}.jsx with Playwright${scope}`,
+  };
+  return PLAN_STEPS.map((step, order) => ({ step: step.step, order, prompt: prompts[step.step], dependsOn: step.dependsOn }));
+}
+
+/**
+ * Summarizes child statuses into parent progress and status.
+ * @param {Array<Object>} children - Child tasks.
+ * @returns {Object} { progress, status }.
+ */
+function summarizePlan(children) {
+  const progress = { total: children.length, applied: 0, pendingApproval: 0, inProgress: 0, waiting: 0, failed: 0, blocked: 0, percent: 0 };
+  for (const child of children) {
+    if (child.status === 'applied') progress.applied++;
+    else if (child.status === 'pending_approval') progress.pendingApproval++;
+    else if (child.status === 'waiting') progress.waiting++;
+    else if (child.status === 'blocked') progress.blocked++;
+    else if (FAILED_STATUSES.includes(child.status)) progress.failed++;
+    else progress.inProgress++;
+  }
+  progress.percent = progress.total ? Math.round((progress.applied / progress.total) * 100) : 0;
+  let status = 'in_progress';
+  if (progress.total && progress.applied === progress.total) status = 'completed';
+  else if (progress.failed || progress.blocked) status = 'blocked';
+  return { progress, status };
+}
+
+/**
+ * Creates the parent plan and its child tasks, then starts processing.
+ * @param {Object} params - Parameters.
+ * @param {Object} params.task - Parent Task document (already saved by processTask).
+ * @param {Object} params.intent - Parent intent.
+ * @param {Object} params.user - User object with email.
+ * @param {string} params.provider - LLM provider for children.
+ * @returns {Promise<Object>} Parent task as a plain object.
+ */
+async function createPlan({ task, intent, user, provider }) {
+  const Task = mongoose.model('Task');
+  const steps = buildPlan(task.prompt, intent);
+  const ids = Object.fromEntries(steps.map(s => [s.step, uuidv4()]));
+  const owner = user?.email || 'admin@idurarapp.com';
+
+  const children = await Task.insertMany(steps.map(s => ({
+    taskId: ids[s.step],
+    prompt: s.prompt,
+    status: 'waiting',
+    user: owner,
+    llmProvider: provider,
+    parentTaskId: task.taskId,
+    planStep: s.step,
+    planOrder: s.order,
+    dependsOn: s.dependsOn.map(step => ids[step]),
+    createdAt: new Date(),
+  })));
+
+  const { progress, status } = summarizePlan(children);
+  task.status = status;
+  task.subtasks = children.map(c => c.taskId);
+  task.planProgress = progress;
+  task.updatedAt = new Date();
+  await task.save();
+
+  await logInfo('Created task plan', 'taskPlanner', {
+    taskId: task.taskId,
+    steps: steps.map(s => ({ step: s.step, taskId: ids[s.step] })),
+    user: owner,
+    timestamp: new Date().toISOString(),
+  });
+  emitTaskEvent('taskUpdate', {
+    taskId: task.taskId,
+    status: task.status,
+    message: `Planned ${children.length} subtasks`,
+    subtasks: task.subtasks,
+    planProgress: progress,
+    logColor: 'blue',
+    timestamp: new Date().toISOString(),
+    eventId: uuidv4(),
+  });
+
+  setImmediate(() => {
+    advancePlan(task.taskId, { user, provider }).catch(err =>
+      logError(`Plan advance failed: ${err.message}`, 'taskPlanner', { taskId: task.taskId, stack: err.stack, timestamp: new Date().toISOString() })
+    );
+  });
+  return task.toObject();
+}
+
+/**
+ * Updates parent progress from its children and notifies the console.
+ * @param {string} parentTaskId - Parent task ID.
+ * @returns {Promise<Object|null>} { progress, status } or null if the parent is gone.
+ */
+async function refreshPlanProgress(parentTaskId) {
+  const Task = mongoose.model('Task');
+  const children = await Task.find({ parentTaskId }).sort({ planOrder: 1 });
+  const parent = await Task.findOne({ taskId: parentTaskId });
+  if (!parent) return null;
+  const summary = summarizePlan(children);
+  parent.planProgress = summary.progress;
+  parent.status = summary.status;
+  parent.updatedAt = new Date();
+  await parent.save();
+  emitTaskEvent('taskUpdate', {
+    taskId: parentTaskId,
+    status: summary.status,
+    planProgress: summary.progress,
+    message: `Plan progress ${summary.progress.applied}/${summary.progress.total}`,
+    logColor: summary.status === 'blocked' ? 'red' : summary.status === 'completed' ? 'green' : 'blue',
+    timestamp: new Date().toISOString(),
+    eventId: uuidv4(),
+  });
+  return summary;
+}
+
+/**
+ * Blocks children with failed prerequisites and queues children whose prerequisites are applied.
+ * @param {string} parentTaskId - Parent task ID.
+ * @param {Object} [options] - user, provider.
+ * @returns {Promise<void>}
+ */
+async function advancePlan(parentTaskId, { user, provider } = {}) {
+  // One runner per plan; a call during a run schedules one more pass
+  if (runningPlans.has(parentTaskId)) {
+    runningPlans.set(parentTaskId, true);
+    return;
+  }
+  runningPlans.set(parentTaskId, false);
+  const { queueTask } = require('./taskManager');
+  const Task = mongoose.model('Task');
+
+  try {
+    const children = await Task.find({ parentTaskId }).sort({ planOrder: 1 });
+    const byId = new Map(children.map(c => [c.taskId, c]));
+
+    for (const child of children) {
+      if (!['waiting', 'blocked'].includes(child.status)) continue;
+      const prerequisites = (child.dependsOn || []).map(id => byId.get(id)).filter(Boolean);
+      const failed = prerequisites.filter(p => FAILED_STATUSES.includes(p.status)).map(p => p.taskId);
+      if (failed.length) {
+        if (child.status !== 'blocked' || String(child.blockedBy) !== String(failed)) {
+          child.status = 'blocked';
+          child.blockedBy = failed;
+          child.error = `Blocked by failed prerequisite: ${failed.map(id => byId.get(id).planStep).join(', ')}`;
+          await child.save();
+          emitTaskEvent('taskUpdate', {
+            taskId: child.taskId,
+            status: 'blocked',
+            error: child.error,
+            parentTaskId,
+            blockedBy: failed,
+            logColor: 'red',
+            timestamp: new Date().toISOString(),
+            eventId: uuidv4(),
+          });
+        }
+        continue;
+      }
+      if (child.status === 'blocked') {
+        child.status = 'waiting';
+        child.blockedBy = [];
+        child.error = null;
+        await child.save();
+      }
+      if (!prerequisites.every(p => DONE_STATUSES.includes(p.status))) continue;
+
+      await logDebug('Queueing plan step', 'taskPlanner', {
+        taskId: parentTaskId,
+        childTaskId: child.taskId,
+        step: child.planStep,
+        timestamp: new Date().toISOString(),
+      });
+      try {
+        // The processTask job handler calls advancePlan again once the step settles
+        await queueTask({ taskId: child.taskId, prompt: child.prompt, user, provider: provider || child.llmProvider, plan: false, parentTaskId });
+      } catch (err) {
+        await logWarn(`Failed to queue plan step ${child.planStep}: ${err.message}`, 'taskPlanner', {
+          taskId: parentTaskId,
+          childTaskId: child.taskId,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+    await refreshPlanProgress(parentTaskId);
+  } finally {
+    const rerun = runningPlans.get(parentTaskId);
+    runningPlans.delete(parentTaskId);
+    if (rerun) {
+      setImmediate(() => {
+        advancePlan(parentTaskId, { user, provider }).catch(err =>
+          logError(`Plan advance failed: ${err.message}`, 'taskPlanner', { taskId: parentTaskId, stack: err.stack, timestamp: new Date().toISOString() })
+        );
+      });
+    }
+  }
+}
+
+/**
+ * Returns a parent task and its children in plan order.
+ * @param {string} taskId - Parent task ID (a child ID resolves to its parent).
+ * @returns {Promise<Object|null>} { parent, subtasks } or null if not found.
+ */
+async function getPlan(taskId) {
+  const Task = mongoose.model('Task');
+  let parent = await Task.findOne({ taskId }).lean();
+  if (parent?.parentTaskId) parent = await Task.findOne({ taskId: parent.parentTaskId }).lean();
+  if (!parent) return null;
+  const subtasks = await Task.find({ parentTaskId: parent.taskId }).sort({ planOrder: 1 }).lean();
+  return { parent, subtasks };
+}
+
+module.exports = {
+  PLAN_STEPS,
+  ACTIVE_STATUSES,
+  extractSubFeatures,
+  shouldPlan,
+  buildPlan,
+  summarizePlan,
+  createPlan,
+  advancePlan,
+  getPlan,
+};
@@ -12,7 +12,7 @@
  *   - Uses UUID regex for taskId validation to prevent errors.
  * Dependencies:
  *   - mongoose: Task model for MongoDB operations (version 8.13.2).
- *   - socket.js: getIO for Socket.IO emissions (version 4.8.1).
+ *   - socket.js: emitTaskEvent for Socket.IO emissions (version 4.8.1).
  *   - winston: Logging to grok.log (version 3.17.0).
  *   - taskManager.js: processTask, applyApprovedChanges, rollbackChanges, deleteTask for task operations.
  *   - testGenerator.js: runTests for Playwright testing.
@@ -46,7 +46,7 @@
  */
 
 const mongoose = require('mongoose');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { parsePrompt } = require('./promptParser');
 const { processTask, applyApprovedChanges, rollbackChanges, deleteTask } = require('./taskManager');
 const { runTests } = require('./testGenerator');
@@ -79,7 +79,7 @@ function isValidTaskId(taskId) {
 async function processTask(taskId) {
   if (!isValidTaskId(taskId)) {
     const eventId = uuidv4();
-    getIO().emit('taskUpdate', { 
+    emitTaskEvent('taskUpdate', { 
       taskId, 
       status: 'failed', 
       error: 'Invalid taskId', 
@@ -93,7 +93,7 @@ async function processTask(taskId) {
   const task = await Task.findOne({ taskId });
   if (!task) {
     const eventId = uuidv4();
-    getIO().emit('taskUpdate', { 
+    emitTaskEvent('taskUpdate', { 
       taskId, 
       status: 'failed', 
       error: 'Task not found', 
@@ -106,7 +106,7 @@ async function processTask(taskId) {
 
   logger.info(`Processing task: ${taskId}, Prompt: ${task.prompt}`, { timestamp: new Date().toISOString() });
   const processingEventId = uuidv4();
-  getIO().emit('taskUpdate', { 
+  emitTaskEvent('taskUpdate', { 
     taskId, 
     status: 'processing', 
     logColor: 'blue', 
@@ -125,7 +125,7 @@ async function processTask(taskId) {
       task.status = 'pending_approval';
       await task.save();
       const pendingEventId = uuidv4();
-      getIO().emit('taskUpdate', {
+      emitTaskEvent('taskUpdate', {
         taskId,
         status: 'pending_approval',
         stagedFiles: task.stagedFiles,
@@ -137,7 +137,7 @@ async function processTask(taskId) {
       task.status = 'failed';
       await task.save();
       const errorEventId = uuidv4();
-      getIO().emit('taskUpdate', {
+      emitTaskEvent('taskUpdate', {
         taskId,
         status: 'failed',
         error: 'Validation failed',
@@ -152,7 +152,7 @@ async function processTask(taskId) {
     task.error = err.message;
     await task.save();
     const errorEventId = uuidv4();
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: `Task processing failed: ${err.message}`,
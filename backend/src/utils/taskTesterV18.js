@@ -4,10 +4,18 @@
  * How It Works:
  *   - Runs Playwright tests generated by testUtils.js in headless (auto) or headed (manual) mode.
  *   - Generates manual test URLs for the "Test with Playwright" button.
- *   - Automatically retries and fixes failed tests until passing or deemed infeasible.
+ *   - On failure, feeds the error, console errors, and a screenshot to the LLM provider to patch the staged files
+ *     (testRepair.js), then reruns, for at most TEST_REPAIR_MAX_ITERATIONS repairs; fixTestFailure is the fallback.
  *   - Logs results to MongoDB Log model with color-coded logs (green: auto, blue: manual).
  * Mechanics:
  *   - Validates taskId and stagedFiles against MongoDB, executes tests using Playwright.
+ *   - Runs the "Navigate to" / "Verify ... data-testid" lines of each staged file's testInstructions; uncaught page errors fail the run.
+ *   - Runs the task's acceptance checks (acceptanceTests.js) after the instructions; any failed criterion fails the run.
+ *   - Runs API tests (apiTests.js) for routes the task adds after the workspace checks; a failed route from a staged file
+ *     fails the run, failed routes from backend changes are only reported. Both suites are merged into Task.testReport.
+ *   - Compares the page the task touches with its approved baseline (visualRegression.js) once the acceptance checks pass;
+ *     visual differences are reported in Task.visualTests and the test report, they do not fail the run.
+ *   - Records every run on Task.repairIterations (result, failure, console errors, screenshot, repair diff).
  *   - Auto-logs in with admin credentials for tests.
  *   - Emits taskUpdate events for test results or errors.
  *   - Generates unique test URLs for manual tests, stored temporarily.
@@ -18,9 +26,15 @@
  *   - path: File path manipulation.
  *   - winston: Console logging (version 3.17.0).
  *   - fileUtils.js: appendLog, errorLogPath for error logging.
- *   - socket.js: getIO for Socket.IO emissions (version 4.8.1).
+ *   - socket.js: emitTaskEvent for Socket.IO emissions (version 4.8.1).
  *   - testUtils.js: generatePlaywrightTest for test file creation.
  *   - logUtils.js: MongoDB logging for test events.
+ *   - workspaceUtils.js: Per-task sandbox workspace, checks, and preview server.
+ *   - taskControl.js: Cancel/pause checkpoint per attempt, closes the browser on cancel.
+ *   - testRepair.js: Failure capture, code repair requests, and iteration records.
+ *   - acceptanceTests.js: runAcceptanceChecks and GENERATED_DIR for the fallback spec.
+ *   - apiTests.js: runApiTests and recordTestReport.
+ *   - visualRegression.js: runVisualChecks against per-route baselines.
  *   - db.js: getModel for model access.
  *   - uuid: Generates eventId (version 11.1.0).
  * Dependents:
@@ -45,6 +59,33 @@
  *     - Why: Login fields not prefilled in Playwright tests (User, 05/08/2025).
  *     - How: Updated selectors to match login form (input[name="email"], input[name="password"]), increased timeouts, added error handling.
  *     - Test: POST /api/grok/test/<taskId> with manual: true, verify login fields prefilled, no 500 errors.
+ *   - 10/19/2026: Ran tests in a per-task sandbox workspace instead of tmp/tests/<taskId>.
+ *     - Why: Staged files were flattened by path.basename, losing directories and breaking imports.
+ *     - How: workspaceUtils mirrors the repo, writes staged files at real paths, runs lint/syntax/build checks, serves a preview for Playwright.
+ *     - Test: POST /api/grok/test/<taskId>, verify task.workspace.checks and task.workspace.previewUrl, real frontend/src unchanged.
+ *   - 10/19/2026: Stopped test runs on task cancel.
+ *     - Why: Up to 5 Playwright attempts ran to completion after the user cancelled the task.
+ *     - How: checkpoint before each attempt, launched browser registered with taskControl.js, auto-run browsers closed after failed attempts too.
+ *     - Test: Cancel a task during its test run, verify no chromium process remains and no further attempts are logged.
+ *   - 10/19/2026: Replaced the retry loop with a bounded code repair loop.
+ *     - Why: Retries mostly rewrote the test (selectors, timeouts) instead of fixing the generated code.
+ *     - How: Each failed run captures console errors and a screenshot, requestRepair patches the staged files, and the run is
+ *       recorded with its diff; test instructions are executed; runTests returns the repaired stagedFiles.
+ *     - Test: Stage a page that throws on render with LLM_PROVIDER=openai, verify repairIterations shows a code fix, then "passed".
+ *   - 10/19/2026: Ran acceptance criteria checks on every test run.
+ *     - Why: Generated tests now assert the prompt's acceptance criteria instead of page loads.
+ *     - How: Checks from Task.acceptanceTests run on the logged-in page, results stored per criterion, failures named in the error
+ *       passed to the repair loop; the fallback spec moved to tests/generated/<taskId>/.
+ *     - Test: Submit "Add a clock-in button that records time to the employee log", verify acceptanceTests.results has that criterion.
+ *   - 10/19/2026: Ran API tests for routes the task adds.
+ *     - Why: Backend routes from promptParser.js (MFA, payroll) were never exercised before approval.
+ *     - How: runApiTests against the workspace after the checks, backendChanges option (pending proposals when omitted),
+ *       testReport recorded after each suite; results returned as apiResults.
+ *     - Test: Submit "Add MFA to login", verify Task.testReport.suites includes "api" with POST /mfa.
+ *   - 10/19/2026: Ran visual regression checks after the acceptance checks.
+ *     - Why: Screenshots of test runs were never compared with the page as last approved.
+ *     - How: runVisualChecks on the route from resolveRoute for tasks staging frontend files; results added to the test report.
+ *     - Test: Approve a task for /employee-log, run another task on it, verify Task.visualTests.results[0].mismatchRatio.
  * Test Instructions:
  *   - Apply updated taskTesterV18.js, run `npm start` in backend/.
  *   - POST /api/grok/edit with { prompt: "Create inventory system" }: Confirm auto test runs headless, idurar_db.logs shows green log, testUrl generated.
@@ -68,10 +109,16 @@ const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
 const { appendLog, errorLogPath } = require('./fileUtils');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { generatePlaywrightTest } = require('./testUtils');
 const { getModel } = require('../db');
 const { logInfo, logDebug, logWarn, logError } = require('./logUtils');
+const { createWorkspace, applyStagedFiles, runWorkspaceChecks, startPreviewServer, stopPreviewServer } = require('./workspaceUtils');
+const { checkpoint, registerResource, isTaskCancelled } = require('./taskControl');
+const { getRepairLimit, captureFailure, requestRepair, recordRepairIteration } = require('./testRepair');
+const { runAcceptanceChecks, resolveRoute, GENERATED_DIR } = require('./acceptanceTests');
+const { runApiTests, recordTestReport } = require('./apiTests');
+const { runVisualChecks } = require('./visualRegression');
 const { v4: uuidv4 } = require('uuid');
 
 const logger = winston.createLogger({
@@ -321,20 +368,51 @@ async function fixTestFailure(taskId, stagedFiles, testFilePath, error) {
 }
 
 /**
- * Runs Playwright tests with retries and self-correction.
+ * Runs the "Navigate to" and "Verify ... data-testid" steps of the staged files' test instructions.
+ * @param {Object} page - Playwright page, already logged in.
+ * @param {Array} stagedFiles - Staged files with testInstructions.
+ * @param {string} baseUrl - Workspace preview or dev server URL that replaces localhost:3000.
+ * @param {string} taskId - The task ID.
+ */
+async function runTestInstructions(page, stagedFiles, baseUrl, taskId) {
+  for (const file of stagedFiles) {
+    if (!file.testInstructions) continue;
+    const instructions = file.testInstructions.split('\n').filter(line => line.trim().startsWith('-'));
+    for (const instruction of instructions) {
+      await logDebug(`Executing test instruction: ${instruction}`, 'taskTester', {
+        taskId,
+        file: file.path,
+        timestamp: new Date().toISOString(),
+      });
+      const navigate = instruction.match(/navigate to\s+(\S+)/i);
+      const testId = instruction.match(/data-testid="([^"]+)"/);
+      if (navigate) {
+        const target = navigate[1].replace(/^https?:\/\/localhost:\d+/, baseUrl);
+        await page.goto(target.startsWith('/') ? `${baseUrl}${target}` : target);
+      } else if (testId && /^\s*-\s*verify/i.test(instruction)) {
+        await page.waitForSelector(`[data-testid="${testId[1]}"]`, { state: 'visible', timeout: 10000 });
+      }
+    }
+  }
+}
+
+/**
+ * Runs Playwright tests with a bounded repair loop.
  * @param {string} testFile - Path to the test file (optional).
  * @param {Array} stagedFiles - Array of staged files to test.
  * @param {string} taskId - The task ID.
  * @param {boolean} manual - Whether to run in manual mode (default: false).
- * @returns {Promise<Object>} Test results with success status and test URL.
+ * @param {Object} options - { backendChanges } from promptParser.js; the task's pending BackendProposals when omitted.
+ * @returns {Promise<Object>} Test results with success status, test URL, the (possibly repaired) stagedFiles, repaired,
+ *   acceptanceResults, and apiResults.
  */
-async function runTests(testFile, stagedFiles, taskId, manual = false) {
+async function runTests(testFile, stagedFiles, taskId, manual = false, { backendChanges } = {}) {
   if (!isValidTaskId(taskId)) {
     await logError('Test execution skipped: Invalid taskId', 'taskTester', {
       taskId: taskId || 'unknown',
       timestamp: new Date().toISOString(),
     });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId: taskId || 'unknown',
       status: 'failed',
       error: `Invalid taskId: ${taskId || 'missing'}`,
@@ -353,7 +431,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
       timestamp: new Date().toISOString(),
     });
     const fallbackUrl = `http://localhost:8888/api/grok/test/fallback/${taskId}`;
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: 'No valid staged files to test',
@@ -374,7 +452,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
       timestamp: new Date().toISOString(),
     });
     const fallbackUrl = `http://localhost:8888/api/grok/test/fallback/${taskId}`;
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: 'Task not found',
@@ -387,24 +465,66 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
     return { success: false, testedFiles: 0, testUrl: fallbackUrl, error: 'Task not found' };
   }
 
+  // One initial run plus at most getRepairLimit() repaired reruns
   let attempt = 0;
-  const maxAttempts = 5;
-  let tempDir;
+  const maxAttempts = getRepairLimit() + 1;
+  const runId = uuidv4();
+  let repaired = false;
+  let acceptanceResults = [];
+  let apiResults = [];
+  let workspaceDir;
+  let baseUrl = 'http://localhost:3000';
   let browserInstance = null;
+  let autoBrowser = null;
+  let releaseBrowser = () => {};
   let testUrl = null;
 
   while (attempt < maxAttempts) {
+    await checkpoint(taskId, 'test');
+    const startedAt = new Date();
+    let page = null;
+    const consoleErrors = [];
+    const pageErrors = [];
+    acceptanceResults = [];
+    apiResults = [];
     try {
-      tempDir = path.join(__dirname, '../../../tmp/tests', taskId);
-      await fs.mkdir(tempDir, { recursive: true });
+      workspaceDir = await createWorkspace(taskId);
+      await applyStagedFiles(workspaceDir, stagedFiles, { taskId });
+      await Task.updateOne({ taskId }, { $set: { 'workspace.path': workspaceDir, 'workspace.status': 'checking', 'workspace.updatedAt': new Date() } });
+
+      const checks = await runWorkspaceChecks(workspaceDir, stagedFiles, { taskId });
+      const failedChecks = checks.filter(c => c.status === 'failed');
+      await Task.updateOne({ taskId }, {
+        $set: {
+          'workspace.status': failedChecks.length ? 'failed' : 'passed',
+          'workspace.checks': checks,
+          'workspace.updatedAt': new Date(),
+        },
+      });
+      if (failedChecks.length) {
+        throw new Error(`Workspace checks failed: ${failedChecks.map(c => `${c.name}: ${c.output.split('\n').slice(0, 3).join(' ')}`).join('; ')}`);
+      }
 
-      for (const file of stagedFiles) {
-        const tempPath = path.join(tempDir, path.basename(file.path));
-        await fs.writeFile(tempPath, file.content, 'utf8');
-        await logDebug(`Wrote temporary test file: ${tempPath}`, 'taskTester', {
-          taskId,
-          timestamp: new Date().toISOString(),
-        });
+      // Routes from staged files can be repaired; routes from backend changes are reviewed as proposals
+      apiResults = await runApiTests(taskId, { workspaceDir, stagedFiles, backendChanges });
+      await recordTestReport(taskId, { api: apiResults });
+      const failedRoutes = apiResults.filter(r => r.status === 'failed' && r.source === 'staged');
+      if (failedRoutes.length) {
+        throw new Error(`API tests failed: ${failedRoutes.map(r => `${r.method.toUpperCase()} ${r.route}: ${r.error}`).join('; ')}`);
+      }
+
+      if (stagedFiles.some(f => f.path.replace(/\\/g, '/').startsWith('frontend/'))) {
+        try {
+          baseUrl = await startPreviewServer(taskId);
+          await Task.updateOne({ taskId }, { $set: { 'workspace.previewUrl': baseUrl } });
+        } catch (previewErr) {
+          baseUrl = 'http://localhost:3000';
+          await logWarn(`Workspace preview server failed, testing against dev server: ${previewErr.message}`, 'taskTester', {
+            taskId,
+            workspaceDir,
+            timestamp: new Date().toISOString(),
+          });
+        }
       }
 
       let testFilePath = testFile;
@@ -417,7 +537,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
             timestamp: new Date().toISOString(),
           });
         } catch (err) {
-          testFilePath = path.join(__dirname, `../../../tests/task-${taskId}.spec.js`);
+          testFilePath = path.join(GENERATED_DIR, taskId, 'acceptance.spec.js');
           await logWarn('Failed to generate test file, using fallback path', 'taskTester', {
             taskId,
             error: err.message,
@@ -425,7 +545,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
             testFilePath,
             timestamp: new Date().toISOString(),
           });
-          await fs.mkdir(path.join(__dirname, '../../../tests'), { recursive: true });
+          await fs.mkdir(path.dirname(testFilePath), { recursive: true });
           const fallbackTestContent = `
             const { test, expect } = require('@playwright/test');
             test('Fallback test for ${taskId}', async ({ page }) => {
@@ -461,26 +581,37 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
 
       const browser = await chromium.launch({ headless: !manual });
       browserInstance = manual ? browser : null;
+      autoBrowser = manual ? null : browser;
+      // Cancelling the task closes the browser mid-test
+      releaseBrowser = registerResource(taskId, () => browser.close());
       const context = await browser.newContext();
-      const page = await context.newPage();
+      page = await context.newPage();
+      page.on('console', msg => {
+        if (msg.type() === 'error') consoleErrors.push(msg.text());
+      });
+      page.on('pageerror', pageErr => {
+        pageErrors.push(pageErr.message);
+        consoleErrors.push(`Uncaught: ${pageErr.message}`);
+      });
 
       await logInfo(`Running ${manual ? 'manual' : 'auto'} test`, 'taskTester', {
         taskId,
         testFilePath,
         stagedFiles: stagedFiles.map(f => f.path),
-        tempDir,
+        workspaceDir,
+        baseUrl,
         headless: !manual,
         attempt: attempt + 1,
         timestamp: new Date().toISOString(),
       });
 
-      await page.goto('http://localhost:3000/login');
+      await page.goto(`${baseUrl}/login`);
       try {
         await page.waitForSelector('input[name="email"]', { timeout: 15000 });
         await page.fill('input[name="email"]', 'admin@idurarapp.com');
         await page.fill('input[name="password"]', 'admin123');
         await page.click('button[type="submit"]');
-        await page.waitForURL('http://localhost:3000/**', { timeout: 15000 });
+        await page.waitForURL(`${baseUrl}/**`, { timeout: 15000 });
         await logDebug('Auto-login completed', 'taskTester', {
           taskId,
           email: 'admin@idurarapp.com',
@@ -495,20 +626,28 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
         throw new Error(`Auto-login failed: ${loginErr.message}`);
       }
 
-      for (const file of stagedFiles) {
-        if (file.testInstructions) {
-          const instructions = file.testInstructions.split('\n').filter(line => line.trim().startsWith('-'));
-          for (const instruction of instructions) {
-            await logDebug(`Executing test instruction: ${instruction}`, 'taskTester', {
-              taskId,
-              file: file.path,
-              timestamp: new Date().toISOString(),
-            });
-            // Implement instruction parsing if needed
-          }
-        }
+      await runTestInstructions(page, stagedFiles, baseUrl, taskId);
+      if (pageErrors.length) {
+        throw new Error(`Uncaught page errors: ${pageErrors.slice(0, 3).join('; ')}`);
+      }
+
+      // One result per acceptance criterion; a failed criterion fails the run and feeds the repair loop
+      const planned = await Task.findOne({ taskId }).select('acceptanceTests.checks').lean();
+      acceptanceResults = await runAcceptanceChecks(page, planned?.acceptanceTests?.checks || [], { taskId, baseUrl, consoleErrors });
+      await Task.updateOne({ taskId }, { $set: { 'acceptanceTests.results': acceptanceResults, 'acceptanceTests.ranAt': new Date() } });
+      await recordTestReport(taskId, { acceptance: acceptanceResults, api: apiResults });
+      const failedCriteria = acceptanceResults.filter(r => r.status === 'failed');
+      if (failedCriteria.length) {
+        throw new Error(`Acceptance criteria failed: ${failedCriteria.map(r => `"${r.criterion}": ${r.error}`).join('; ')}`);
       }
 
+      // Visual changes may be the point of the task, so they are left to the reviewer instead of the repair loop
+      if (stagedFiles.some(f => f.path.replace(/\\/g, '/').startsWith('frontend/'))) {
+        const visualResults = await runVisualChecks(page, { taskId, baseUrl, routes: [resolveRoute(stagedFiles)] });
+        await recordTestReport(taskId, { acceptance: acceptanceResults, api: apiResults, visual: visualResults });
+      }
+      await recordRepairIteration(taskId, { runId, iteration: attempt, status: 'passed', consoleErrors, fix: { kind: 'none' }, startedAt });
+
       testUrl = manual ? await generateTestUrl(taskId, stagedFiles, task.prompt) : `http://localhost:8888/api/grok/test/auto/${taskId}`;
 
       await logInfo(`Test completed`, 'taskTester', {
@@ -534,7 +673,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
         timestamp: new Date().toISOString(),
       });
 
-      getIO().emit('taskUpdate', {
+      emitTaskEvent('taskUpdate', {
         taskId,
         status: 'completed',
         message: `Test ${manual ? 'manual' : 'auto'} completed`,
@@ -547,10 +686,14 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
       if (!manual) {
         await context.close();
         await browser.close();
+        releaseBrowser();
       }
 
-      return { success: true, testedFiles: stagedFiles.length, testUrl };
+      return { success: true, testedFiles: stagedFiles.length, testUrl, stagedFiles, repaired, acceptanceResults, apiResults };
     } catch (err) {
+      if (isTaskCancelled(taskId)) throw err;
+      const iteration = attempt;
+      const { screenshotPath, screenshot } = await captureFailure(page, { taskId, runId, iteration });
       attempt++;
       await logError(`Test execution attempt ${attempt}/${maxAttempts} failed: ${err.message}`, 'taskTester', {
         taskId,
@@ -578,6 +721,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
       });
 
       if (attempt >= maxAttempts) {
+        await recordRepairIteration(taskId, { runId, iteration, status: 'failed', failure: err.message, consoleErrors, screenshotPath, fix: { kind: 'none' }, startedAt });
         testUrl = testUrl || `http://localhost:8888/api/grok/test/fallback/${taskId}`;
         await logError(`Test execution failed after ${maxAttempts} attempts: ${err.message}`, 'taskTester', {
           taskId,
@@ -585,7 +729,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
           testUrl,
           timestamp: new Date().toISOString(),
         });
-        getIO().emit('taskUpdate', {
+        emitTaskEvent('taskUpdate', {
           taskId,
           status: 'failed',
           error: `Test execution failed: ${err.message}`,
@@ -595,10 +739,41 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
           testUrl,
           errorDetails: { reason: err.message, context: 'runTests', stack: err.stack },
         });
-        return { success: false, testedFiles: 0, testUrl, error: err.message };
+        return { success: false, testedFiles: 0, testUrl, error: err.message, stagedFiles, repaired, acceptanceResults, apiResults };
+      }
+
+      // Patch the code from the failure first; rewriting the test is the fallback when the provider cannot
+      let fix = { kind: 'none' };
+      let updatedFiles = null;
+      try {
+        const repair = await requestRepair({
+          taskId,
+          prompt: task.prompt,
+          provider: task.llmProvider,
+          stagedFiles,
+          failure: `${err.message}\n${err.stack || ''}`,
+          consoleErrors,
+          screenshot,
+        });
+        if (repair) {
+          updatedFiles = repair.stagedFiles;
+          repaired = true;
+          fix = { kind: 'code', files: repair.changedFiles, patch: repair.patch, provider: repair.usage.provider, model: repair.usage.model };
+        }
+      } catch (repairErr) {
+        fix.error = repairErr.message;
+        await logWarn(`Code repair unavailable, falling back to test fixes: ${repairErr.message}`, 'taskTester', {
+          taskId,
+          iteration,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (!updatedFiles) {
+        updatedFiles = await fixTestFailure(taskId, stagedFiles, testFile, err.message);
+        if (updatedFiles) fix = { ...fix, kind: 'test' };
       }
+      await recordRepairIteration(taskId, { runId, iteration, status: 'failed', failure: err.message, consoleErrors, screenshotPath, fix, startedAt });
 
-      const updatedFiles = await fixTestFailure(taskId, stagedFiles, testFile, err.message);
       if (!updatedFiles) {
         testUrl = testUrl || `http://localhost:8888/api/grok/test/fallback/${taskId}`;
         await logError('Unfixable test failure', 'taskTester', {
@@ -607,7 +782,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
           testUrl,
           timestamp: new Date().toISOString(),
         });
-        getIO().emit('taskUpdate', {
+        emitTaskEvent('taskUpdate', {
           taskId,
           status: 'failed',
           error: `Unfixable test failure: ${err.message}`,
@@ -617,7 +792,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
           testUrl,
           errorDetails: { reason: err.message, context: 'runTests' },
         });
-        return { success: false, testedFiles: 0, testUrl, error: err.message };
+        return { success: false, testedFiles: 0, testUrl, error: err.message, stagedFiles, repaired, acceptanceResults, apiResults };
       }
       stagedFiles = updatedFiles;
 
@@ -627,15 +802,17 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
       }
       await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
     } finally {
-      if (tempDir) {
+      // Manual runs keep the preview server for the open browser; destroyWorkspace stops it on approve/deny/delete
+      if (!manual) {
+        if (autoBrowser?.isConnected()) {
+          await autoBrowser.close().catch(() => {});
+        }
+        autoBrowser = null;
+        releaseBrowser();
         try {
-          await fs.rm(tempDir, { recursive: true, force: true });
-          await logDebug(`Cleaned up temporary test directory: ${tempDir}`, 'taskTester', {
-            taskId,
-            timestamp: new Date().toISOString(),
-          });
+          await stopPreviewServer(taskId);
         } catch (cleanupErr) {
-          await logWarn(`Failed to clean up temporary directory: ${cleanupErr.message}`, 'taskTester', {
+          await logWarn(`Failed to stop workspace preview server: ${cleanupErr.message}`, 'taskTester', {
             taskId,
             stack: cleanupErr.stack,
             timestamp: new Date().toISOString(),
@@ -651,7 +828,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
     testUrl,
     timestamp: new Date().toISOString(),
   });
-  getIO().emit('taskUpdate', {
+  emitTaskEvent('taskUpdate', {
     taskId,
     status: 'failed',
     error: 'Test execution failed after all attempts',
@@ -661,7 +838,7 @@ async function runTests(testFile, stagedFiles, taskId, manual = false) {
     testUrl,
     errorDetails: { reason: 'All attempts failed', context: 'runTests' },
   });
-  return { success: false, testedFiles: 0, testUrl, error: 'Test execution failed after all attempts' };
+  return { success: false, testedFiles: 0, testUrl, error: 'Test execution failed after all attempts', stagedFiles, repaired, acceptanceResults, apiResults };
 }
 
 module.exports = { runTests };
@@ -12,7 +12,7 @@
  *   - testUtils.js: Generates test files.
  *   - testExecutionUtils.js: Executes tests.
  *   - fileUtils.js: appendLog, errorLogPath.
- *   - socket.js: getIO for Socket.IO.
+ *   - socket.js: emitTaskEvent for Socket.IO.
  *   - mongoose: Task, Log models for logging.
  *   - db.js: getModel for model access.
  *   - uuid: Generates eventId (version 11.1.0).
@@ -45,7 +45,7 @@ const path = require('path');
 const { generatePlaywrightTest } = require('./testUtils');
 const { runTests } = require('./testExecutionUtils');
 const { appendLog, errorLogPath } = require('./fileUtils');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { getModel } = require('../db');
 const { logInfo, logDebug, logError } = require('./logUtils');
 const { v4: uuidv4 } = require('uuid');
@@ -72,7 +72,7 @@ async function runTestsWrapper(testFile, stagedFiles, taskId, manual = false) {
 
   if (!isValidTaskId(taskId)) {
     await logError(`Test execution skipped: Invalid taskId`, 'testGenerator', { taskId: taskId || 'unknown', timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId: taskId || 'unknown',
       status: 'failed',
       error: `Invalid taskId: ${taskId || 'missing'}`,
@@ -85,7 +85,7 @@ async function runTestsWrapper(testFile, stagedFiles, taskId, manual = false) {
 
   if (!stagedFiles || !Array.isArray(stagedFiles) || stagedFiles.length === 0 || !stagedFiles.every(f => f.path && f.content)) {
     await logError('Invalid stagedFiles', 'testGenerator', { taskId, stagedFiles, timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: 'Invalid or missing stagedFiles',
@@ -113,7 +113,7 @@ async function runTestsWrapper(testFile, stagedFiles, taskId, manual = false) {
       testedFiles: stagedFiles.length,
       timestamp: new Date().toISOString(),
     });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'tested',
       message: `Tests completed for ${stagedFiles.length} files`,
@@ -130,7 +130,7 @@ async function runTestsWrapper(testFile, stagedFiles, taskId, manual = false) {
       stack: err.stack,
       timestamp: new Date().toISOString(),
     });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: `Test execution failed: ${err.message}`,
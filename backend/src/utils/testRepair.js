@@ -0,0 +1,187 @@
+/*
+ * File Path: backend/src/utils/testRepair.js
+ * Purpose: Bounded repair loop support for failed task tests in Allur Space Console.
+ * How It Works:
+ *   - After a failed Playwright run, taskTesterV18.js captures the failure output, console errors, and a screenshot.
+ *   - requestRepair sends them with the staged files to the task's LLM provider and merges the files it returns.
+ *   - Every test run is recorded on Task.repairIterations with its result and the diff the repair made.
+ * Mechanics:
+ *   - `getRepairLimit`: TEST_REPAIR_MAX_ITERATIONS (default 3, max 10) repairs per runTests call.
+ *   - `captureFailure`: Screenshot to test-results/repair/<taskId>/<runId>-<iteration>.png, returned as path and base64.
+ *   - `requestRepair`: completeWithProvider(buildRepairMessages(...)); only files already staged and allowed by
+ *     pathPolicy.js are taken; returns { stagedFiles, changedFiles, patch, usage } or null when nothing changed.
+ *     The request is counted in Task.llmUsage and Task.llmCalls like generation requests.
+ *     Repaired files lose patch, baseHash, and stats, which describe the old content; restageFilePatches rebuilds them against the original base.
+ *   - `recordRepairIteration`: $push to Task.repairIterations and a taskUpdate event with the iteration.
+ * Dependencies:
+ *   - fs.promises, path: Screenshot storage (Node.js built-in).
+ *   - llmProviders.js: completeWithProvider, buildRepairMessages, parseStructuredOutput.
+ *   - patchUtils.js: createFilePatch for the per-iteration diff.
+ *   - pathPolicy.js: checkFiles on repaired files.
+ *   - taskControl.js: getTaskSignal to cancel the repair request with its task.
+ *   - db.js: getModel for the Task model.
+ *   - socket.js: emitTaskEvent for taskUpdate events.
+ *   - logUtils.js: MongoDB logging.
+ *   - uuid: Generates eventId (version 11.1.0).
+ * Dependents:
+ *   - taskTesterV18.js: runTests repair loop.
+ *   - taskRoutes.js: Serves iteration screenshots from REPAIR_DIR.
+ *   - acceptanceTests.js: Removes a deleted task's screenshots from REPAIR_DIR.
+ * Why It’s Here:
+ *   - The runTests retry loop mostly rewrote the test (fixTestFailure) and never showed the generator why the code failed (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created test repair loop support.
+ *     - Why: Failed tests should patch the staged code, bounded, with every iteration visible on the task.
+ *     - How: Failure context to the LLM provider, merged repaired files, diff and result per iteration in Task.repairIterations.
+ *     - Test: Set LLM_PROVIDER=openai, stage a page that throws on render, verify a failed iteration with a patch followed by a passed one.
+ *   - 10/19/2026: Dropped stale staging fields from repaired files.
+ *     - Why: Repaired files kept the patch and baseHash of the content they replaced, so an apply could merge the old diff.
+ *     - How: requestRepair strips patch, baseHash, and stats; taskManager.js and POST /test/:taskId re-stage the result.
+ *     - Test: Repair a failed test, verify the returned stagedFiles have no patch until stageFilePatches runs.
+ *   - 10/19/2026: Cancelled repair requests with their task.
+ *     - Why: A cancelled task kept waiting on the provider's repair response.
+ *     - How: requestRepair passes getTaskSignal(taskId) to completeWithProvider.
+ *     - Test: Set LLM_PROVIDER=openai, cancel a task during a repair request, verify the request aborts.
+ * Test Instructions:
+ *   - Set TEST_REPAIR_MAX_ITERATIONS=1, fail a task test twice, verify exactly two repairIterations and status "failed".
+ *   - With LLM_PROVIDER=mock, fail a test, verify the iteration has fix.kind "test" or "none" (mock cannot patch code).
+ * Rollback Instructions:
+ *   - Delete testRepair.js and restore the fixTestFailure-only retry loop in taskTesterV18.js.
+ * Future Enhancements:
+ *   - Feed the Playwright trace, not only a screenshot (Sprint 5).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { completeWithProvider, buildRepairMessages, parseStructuredOutput } = require('./llmProviders');
+const { createFilePatch } = require('./patchUtils');
+const { checkFiles } = require('./pathPolicy');
+const { getTaskSignal } = require('./taskControl');
+const { getModel } = require('../db');
+const { emitTaskEvent } = require('../socket');
+const { logInfo, logWarn } = require('./logUtils');
+
+const REPAIR_DIR = path.join(__dirname, '../../../test-results/repair');
+const DEFAULT_REPAIR_LIMIT = 3;
+const MAX_REPAIR_LIMIT = 10;
+const MAX_FAILURE_CHARS = 8000;
+
+function getRepairLimit() {
+  const configured = Number.parseInt(process.env.TEST_REPAIR_MAX_ITERATIONS, 10);
+  if (!Number.isInteger(configured) || configured < 0) return DEFAULT_REPAIR_LIMIT;
+  return Math.min(configured, MAX_REPAIR_LIMIT);
+}
+
+/**
+ * Saves a screenshot of the failed page.
+ * @param {Object} page - Playwright page, may be null when the failure happened before the browser opened.
+ * @param {Object} options - { taskId, runId, iteration }.
+ * @returns {Promise<Object>} { screenshotPath, screenshot } with a repo-relative path and base64 PNG, or empty.
+ */
+async function captureFailure(page, { taskId, runId, iteration }) {
+  if (!page || page.isClosed()) return {};
+  try {
+    const dir = path.join(REPAIR_DIR, taskId);
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${runId}-${iteration}.png`);
+    const buffer = await page.screenshot({ path: file, fullPage: true, timeout: 10000 });
+    return { screenshotPath: path.relative(path.join(REPAIR_DIR, '../..'), file).split(path.sep).join('/'), screenshot: buffer.toString('base64') };
+  } catch (err) {
+    await logWarn(`Failed to capture failure screenshot: ${err.message}`, 'testRepair', {
+      taskId,
+      iteration,
+      timestamp: new Date().toISOString(),
+    });
+    return {};
+  }
+}
+
+/**
+ * Asks the task's LLM provider to patch staged files from a failed test run.
+ * @param {Object} params - taskId, prompt, provider, stagedFiles, failure, consoleErrors, screenshot.
+ * @returns {Promise<Object|null>} { stagedFiles, changedFiles, patch, usage } or null if the model changed nothing.
+ * @throws {Error} If the provider cannot complete messages or returns unparseable output.
+ */
+async function requestRepair({ taskId, prompt, provider, stagedFiles, failure, consoleErrors = [], screenshot }) {
+  const messages = buildRepairMessages({
+    prompt,
+    stagedFiles,
+    failure: String(failure || '').slice(0, MAX_FAILURE_CHARS),
+    consoleErrors: consoleErrors.slice(-20),
+    screenshot,
+  });
+  const { text, usage } = await completeWithProvider(messages, { taskId, provider, signal: getTaskSignal(taskId) });
+  const Task = await getModel('Task');
+  await Task.updateOne({ taskId }, {
+    $inc: {
+      'llmUsage.promptTokens': usage.promptTokens,
+      'llmUsage.completionTokens': usage.completionTokens,
+      'llmUsage.totalTokens': usage.totalTokens,
+      'llmUsage.costUsd': usage.costUsd,
+      'llmUsage.calls': 1,
+    },
+    $push: { llmCalls: usage },
+  });
+  const returned = parseStructuredOutput(text);
+
+  const stagedPaths = new Set(stagedFiles.map(f => f.path));
+  const unknown = returned.filter(f => !stagedPaths.has(f.path));
+  if (unknown.length) {
+    await logWarn('Repair returned files that are not staged, ignoring them', 'testRepair', {
+      taskId,
+      files: unknown.map(f => f.path),
+      timestamp: new Date().toISOString(),
+    });
+  }
+  const { allowed } = await checkFiles(returned.filter(f => stagedPaths.has(f.path)), { taskId, stage: 'generate' });
+  const byPath = new Map(allowed.map(f => [f.path, f]));
+
+  const changedFiles = [];
+  const patches = [];
+  const repaired = stagedFiles.map(file => {
+    const fix = byPath.get(file.path);
+    if (!fix || fix.content === file.content) return file;
+    changedFiles.push(file.path);
+    patches.push(createFilePatch(file.path, file.content, fix.content));
+    const { patch, baseHash, stats, ...rest } = file; // Staged against the old content; callers re-stage the repaired files
+    return { ...rest, content: fix.content, testInstructions: fix.testInstructions || file.testInstructions };
+  });
+  if (!changedFiles.length) return null;
+
+  await logInfo('Repaired staged files from failed test', 'testRepair', {
+    taskId,
+    changedFiles,
+    provider: usage.provider,
+    totalTokens: usage.totalTokens,
+    timestamp: new Date().toISOString(),
+  });
+  return { stagedFiles: repaired, changedFiles, patch: patches.join('\n'), usage };
+}
+
+/**
+ * Records one test run of the repair loop on the task.
+ * @param {string} taskId - The task ID.
+ * @param {Object} iteration - { runId, iteration, status, failure, consoleErrors, screenshotPath, fix, startedAt }.
+ * @returns {Promise<Object>} The stored iteration.
+ */
+async function recordRepairIteration(taskId, iteration) {
+  const entry = {
+    ...iteration,
+    failure: iteration.failure ? String(iteration.failure).slice(0, MAX_FAILURE_CHARS) : undefined,
+    finishedAt: new Date(),
+  };
+  const Task = await getModel('Task');
+  await Task.updateOne({ taskId }, { $push: { repairIterations: entry } });
+  emitTaskEvent('taskUpdate', {
+    taskId,
+    repairIteration: entry,
+    message: `Test run ${entry.iteration + 1} ${entry.status}${entry.fix?.kind && entry.fix.kind !== 'none' ? `, ${entry.fix.kind} repaired` : ''}`,
+    logColor: entry.status === 'passed' ? 'green' : 'orange',
+    timestamp: new Date().toISOString(),
+    eventId: uuidv4(),
+  });
+  return entry;
+}
+
+module.exports = { getRepairLimit, captureFailure, requestRepair, recordRepairIteration, REPAIR_DIR };
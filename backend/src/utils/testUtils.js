@@ -2,20 +2,20 @@
  * File Path: backend/src/utils/testUtils.js
  * Purpose: Generates Playwright test files for tasks in Allur Space Console.
  * How It Works:
- *   - Creates test files (e.g., task-${taskId}.spec.js) with dynamic assertions based on task prompt and stagedFiles.
+ *   - Creates one spec per task (tests/generated/<taskId>/acceptance.spec.js) asserting the prompt's acceptance criteria.
  *   - Logs assertions to grok.log and MongoDB Log model for debugging.
  * Mechanics:
- *   - Validates taskId and stagedFiles, generates test content tailored to prompt.
- *   - Supports complex tasks (e.g., CRM system) with specific assertions.
+ *   - Validates taskId and stagedFiles, then delegates to acceptanceTests.js generateAcceptanceTests.
+ *   - The spec and its checks are stored on Task.acceptanceTests; the returned path is the spec on disk.
  * Dependencies:
- *   - fs.promises: File operations (Node.js built-in).
  *   - path: File path manipulation (Node.js built-in).
  *   - winston: Logging to grok.log (version 3.17.0).
  *   - fileUtils.js: appendLog, errorLogPath.
- *   - socket.js: getIO for Socket.IO.
+ *   - socket.js: emitTaskEvent for Socket.IO.
  *   - mongoose: Log model for logging.
  *   - logUtils.js: MongoDB logging.
  *   - db.js: getModel for model access.
+ *   - acceptanceTests.js: generateAcceptanceTests for criteria-driven specs.
  * Why It’s Here:
  *   - Modularizes test generation to fix circular dependency for Sprint 2 (04/23/2025).
  * Change Log:
@@ -23,8 +23,12 @@
  *   - 04/30/2025: Aligned with provided version, enhanced logging (Grok).
  *     - Why: Ensure compatibility, improve traceability (User, 04/30/2025).
  *     - How: Incorporated provided logic, added MongoDB logging via logUtils.js.
+ *   - 10/19/2026: Generated tests from acceptance criteria instead of prompt keywords.
+ *     - Why: The keyword templates produced page-load tests and left tests/task-<taskId>.spec.js behind forever.
+ *     - How: generatePlaywrightTest calls acceptanceTests.js, which writes tests/generated/<taskId>/ and stores the checks on the task.
+ *     - Test: Submit "Add a clock-in button that records time to the employee log", verify a test titled with that criterion.
  * Test Instructions:
- *   - Run `npm start`, POST /grok/edit with "Build CRM system with payroll": Confirm test file in tests/, includes CRM and payroll assertions.
+ *   - Run `npm start`, POST /grok/edit with "Build CRM system with payroll": Confirm tests/generated/<taskId>/acceptance.spec.js has one test per acceptance criterion.
  *   - POST /grok/test with { taskId, manual: true }: Verify browser opens, tests run, blue log in LiveFeed.jsx.
  *   - Check idurar_db.logs: Confirm test file generation logs, no filesystem writes.
  * Rollback Instructions:
@@ -34,13 +38,13 @@
  *   - Support custom assertions (Sprint 6).
  */
 
-const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
 const { appendLog, errorLogPath } = require('./fileUtils');
-const { getIO } = require('../socket');
+const { emitTaskEvent } = require('../socket');
 const { getModel } = require('../db');
 const { logInfo, logWarn, logError } = require('./logUtils');
+const { generateAcceptanceTests } = require('./acceptanceTests');
 
 const logger = winston.createLogger({
   level: 'debug',
@@ -61,7 +65,7 @@ async function generatePlaywrightTest(taskId, stagedFiles, prompt) {
   const Log = await getModel('Log');
   if (!isValidTaskId(taskId)) {
     await logError(`Invalid taskId provided`, 'testUtils', { taskId: taskId || 'missing', timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId: taskId || 'unknown',
       status: 'failed',
       error: `Invalid taskId: ${taskId || 'missing'}`,
@@ -74,7 +78,7 @@ async function generatePlaywrightTest(taskId, stagedFiles, prompt) {
 
   if (!stagedFiles || !Array.isArray(stagedFiles) || stagedFiles.length === 0) {
     await logWarn(`No staged files provided`, 'testUtils', { taskId, timestamp: new Date().toISOString() });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: 'No files to test',
@@ -85,95 +89,16 @@ async function generatePlaywrightTest(taskId, stagedFiles, prompt) {
     throw new Error('No files to test');
   }
 
-  const lowerPrompt = prompt.toLowerCase();
-  let assertions = [];
-  let testContent = `
-    const { test, expect } = require('@playwright/test');
-    test('Task ${taskId}', async ({ page }) => {
-  `;
-
-  if (lowerPrompt.includes('crm system') || lowerPrompt.includes('entire crm')) {
-    testContent += `
-      await page.goto('http://localhost:3000/login');
-      await expect(page.locator('form')).toBeVisible();
-      await page.goto('http://localhost:3000/dashboard');
-      await expect(page.locator('nav')).toBeVisible();
-      await page.goto('http://localhost:3000/sponsor/1');
-      await expect(page.locator('.sponsor-profile')).toBeVisible();
-      await page.goto('http://localhost:3000/employee-log');
-      await expect(page.locator('button.add-employee')).toBeVisible();
-      await page.goto('http://localhost:3000/settings');
-      await expect(page.locator('.settings')).toBeVisible();
-    `;
-    assertions = [
-      'Login form visible',
-      'Dashboard navigation visible',
-      'Sponsor profile visible',
-      'Employee log add button visible',
-      'Settings UI visible',
-    ];
-  } else if (lowerPrompt.includes('mfa') && lowerPrompt.includes('login')) {
-    testContent += `
-      await page.goto('http://localhost:3000/login');
-      await expect(page.locator('.mfa-component')).toBeVisible();
-      await page.fill('input[name="mfa-code"]', '123456');
-      await page.click('button.mfa-submit');
-      await expect(page.locator('text=Login successful')).toBeVisible();
-    `;
-    assertions = [
-      'MFA component visible',
-      'MFA code input functional',
-      'Login successful after MFA',
-    ];
-  } else if (lowerPrompt.includes('payroll') && lowerPrompt.includes('employee')) {
-    testContent += `
-      await page.goto('http://localhost:3000/employee-log');
-      await expect(page.locator('button.add-employee')).toBeVisible();
-      await page.click('button.add-employee');
-      await page.fill('input[name="name"]', 'John Doe');
-      await page.fill('input[name="payroll"]', '5000');
-      await page.click('button.clock-in');
-      await expect(page.locator('text=John Doe')).toBeVisible();
-      await expect(page.locator('text=$5000')).toBeVisible();
-    `;
-    assertions = [
-      'Add employee button visible',
-      'Employee name input functional',
-      'Payroll input functional',
-      'Employee and payroll data displayed',
-    ];
-  } else if (lowerPrompt.includes('ai') && lowerPrompt.includes('employee')) {
-    testContent += `
-      await page.goto('http://localhost:3000/employee-log');
-      await expect(page.locator('.ai-prediction')).toBeVisible();
-      await page.click('button.predict-hours');
-      await expect(page.locator('text=Predicted')).toBeVisible();
-    `;
-    assertions = [
-      'AI prediction component visible',
-      'Predict hours button functional',
-      'Prediction output displayed',
-    ];
-  } else {
-    const targetPage = lowerPrompt.includes('login') ? 'login' : 'grok';
-    testContent += `
-      await page.goto('http://localhost:3000/${targetPage}');
-      await expect(page.locator('body')).toBeVisible();
-    `;
-    assertions = ['Page body visible'];
-  }
-
-  testContent += `
-    });
-  `;
-
-  const testFilePath = path.join(__dirname, `../../../tests/task-${taskId}.spec.js`);
+  let testFilePath = null;
   try {
-    await fs.writeFile(testFilePath, testContent, 'utf8');
+    const { specPath, checks } = await generateAcceptanceTests(taskId, stagedFiles);
+    testFilePath = specPath;
+    const assertions = checks.map(check => check.criterion);
     await logInfo(`Generated test file`, 'testUtils', {
       taskId,
       testFilePath,
       assertions,
+      prompt,
       timestamp: new Date().toISOString(),
     });
     await appendLog(errorLogPath, `# Test File Generated\nTask ID: ${taskId}\nFile: ${testFilePath}\nAssertions: ${assertions.join(', ')}`);
@@ -184,7 +109,7 @@ async function generatePlaywrightTest(taskId, stagedFiles, prompt) {
       stack: err.stack,
       timestamp: new Date().toISOString(),
     });
-    getIO().emit('taskUpdate', {
+    emitTaskEvent('taskUpdate', {
       taskId,
       status: 'failed',
       error: `Failed to generate test file: ${err.message}`,
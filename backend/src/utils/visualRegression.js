@@ -0,0 +1,327 @@
+/*
+ * File Path: backend/src/utils/visualRegression.js
+ * Purpose: Visual regression checks for console-generated pages in Allur Space Console.
+ * How It Works:
+ *   - After the acceptance checks pass, taskTesterV18.js captures the page the task touches (screenshot and a DOM outline).
+ *   - The capture is compared with the route's baseline: pixel diff (pixelmatch) plus a structural diff of the outline.
+ *   - A route fails when the share of differing pixels is above the threshold; failures are reported, not repaired,
+ *     since a task may change a page on purpose.
+ *   - Approving a task promotes its captures to the baselines of their routes; each approved task keeps its own baseline file.
+ *   - Rolling a task back removes its baselines, so the previous approved task's baseline applies again.
+ * Mechanics:
+ *   - Captures: test-results/visual/tasks/<taskId>/<routeKey>.png and <routeKey>.diff.png.
+ *   - Baselines: test-results/visual/baselines/<routeKey>/<taskId>.png with a VisualBaseline document; the latest approved one is used.
+ *   - Threshold: Setting "visual_diff_threshold" (0-1), else VISUAL_DIFF_THRESHOLD, default 0.01 (1% of pixels).
+ *   - Screenshots use a 1280x800 viewport, full page, animations disabled; elements with data-visual-ignore are masked.
+ *     Size changes are padded with magenta so they count as differences.
+ *   - Results: { route, routeKey, status passed|failed|new|skipped, mismatchRatio, diffPixels, threshold,
+ *     structure { added, removed }, imagePath, baselinePath, diffPath, baselineTaskId, error } in Task.visualTests.
+ * Dependencies:
+ *   - fs.promises, path: Image storage (Node.js built-in).
+ *   - pngjs: PNG decoding and encoding (version 7.0.0).
+ *   - pixelmatch: Pixel comparison (version 5.3.0).
+ *   - db.js: getModel for the Task, VisualBaseline, and Setting models.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - taskTesterV18.js: runVisualChecks after the acceptance checks.
+ *   - taskManager.js: promoteBaselines on approval, removeBaselines on rollback, removeVisualCaptures on delete.
+ *   - visualRoutes.js: Threshold setting, baselines, and capture images.
+ *   - apiTests.js: buildTestReport adds the "visual" suite.
+ * Why It’s Here:
+ *   - Test runs took screenshots (backend/screenshot-*.png) that nothing ever compared (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created visual regression checks.
+ *     - Why: Tasks touching a page that an approved task already shaped should show what they changed on screen.
+ *     - How: Per-route baselines per approved task, pixelmatch and outline diffs, threshold setting, results in Task.visualTests.
+ *     - Test: Approve a task for /employee-log, run a second task on the same page, verify visualTests.results[0].baselineTaskId.
+ *   - 10/19/2026: Added removeBaselines for rolled back tasks.
+ *     - Why: Baselines of a reverted task stayed the latest, so later tasks were compared with UI that no longer exists.
+ *     - How: Deletes the task's VisualBaseline documents and baseline files; the lookup falls back to the previous approval.
+ *     - Test: Approve two tasks on /employee-log, roll back the second, run a third, verify baselineTaskId is the first.
+ * Test Instructions:
+ *   - Run a task on a page without a baseline, verify status "new"; approve it, verify a VisualBaseline for the route.
+ *   - Set the threshold to 0 through PUT /api/grok/visual/settings, rerun a task on that page, verify status "failed" when any pixel changed.
+ * Rollback Instructions:
+ *   - Delete visualRegression.js and visualRoutes.js, remove runVisualChecks from taskTesterV18.js and the calls in taskManager.js.
+ * Future Enhancements:
+ *   - Capture several viewport sizes per route (Sprint 5).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { getModel } = require('../db');
+const { logInfo, logWarn } = require('./logUtils');
+
+const repoRoot = path.join(__dirname, '../../..');
+const VISUAL_DIR = path.join(repoRoot, 'test-results/visual');
+const CAPTURE_DIR = path.join(VISUAL_DIR, 'tasks');
+const BASELINE_DIR = path.join(VISUAL_DIR, 'baselines');
+const THRESHOLD_KEY = 'visual_diff_threshold';
+const DEFAULT_THRESHOLD = 0.01;
+const VIEWPORT = { width: 1280, height: 800 };
+const MAX_OUTLINE = 300;
+
+function toRelative(file) {
+  return path.relative(repoRoot, file).split(path.sep).join('/');
+}
+
+/**
+ * File-safe key for a route: /employee-log -> employee-log, / -> root.
+ * @param {string} route - Route path.
+ * @returns {string} Route key.
+ */
+function routeKey(route) {
+  return String(route || '').replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9-]+/g, '_') || 'root';
+}
+
+function isValidThreshold(value) {
+  return Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+async function getThreshold() {
+  const Setting = await getModel('Setting');
+  const setting = await Setting.findOne({ settingKey: THRESHOLD_KEY }).lean();
+  const value = Number.parseFloat(setting?.settingValue ?? process.env.VISUAL_DIFF_THRESHOLD);
+  return isValidThreshold(value) ? value : DEFAULT_THRESHOLD;
+}
+
+/**
+ * Stores the visual diff threshold.
+ * @param {number} value - Share of differing pixels (0-1) above which a route fails.
+ * @param {Object} options - { user } for the log.
+ * @returns {Promise<number>} The stored threshold.
+ * @throws {Error} If the value is not between 0 and 1.
+ */
+async function setThreshold(value, { user } = {}) {
+  const threshold = Number(value);
+  if (value === null || value === '' || !isValidThreshold(threshold)) {
+    throw new Error('Threshold must be a number between 0 and 1');
+  }
+  const Setting = await getModel('Setting');
+  await Setting.findOneAndUpdate(
+    { settingKey: THRESHOLD_KEY },
+    { $set: { settingCategory: 'grok', settingValue: String(threshold) } },
+    { upsert: true }
+  );
+  await logInfo('Updated visual diff threshold', 'visualRegression', {
+    threshold,
+    user,
+    timestamp: new Date().toISOString(),
+  });
+  return threshold;
+}
+
+// Pads an image to the given size with opaque magenta so added or removed area always counts as changed
+function padTo(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+  const padded = new PNG({ width, height });
+  for (let i = 0; i < padded.data.length; i += 4) {
+    padded.data[i] = 255;
+    padded.data[i + 1] = 0;
+    padded.data[i + 2] = 255;
+    padded.data[i + 3] = 255;
+  }
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Pixel-diffs two PNG screenshots.
+ * @param {Buffer} actual - New screenshot.
+ * @param {Buffer} baseline - Baseline screenshot.
+ * @param {Object} options - { pixelThreshold } per-pixel color tolerance for pixelmatch (default 0.1).
+ * @returns {Object} { diffPixels, totalPixels, mismatchRatio, width, height, diff } with the diff image as a PNG buffer.
+ */
+function compareImages(actual, baseline, { pixelThreshold = 0.1 } = {}) {
+  const after = PNG.sync.read(actual);
+  const before = PNG.sync.read(baseline);
+  const width = Math.max(after.width, before.width);
+  const height = Math.max(after.height, before.height);
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(padTo(before, width, height).data, padTo(after, width, height).data, diff.data, width, height, { threshold: pixelThreshold });
+  const totalPixels = width * height;
+  return { diffPixels, totalPixels, mismatchRatio: totalPixels ? diffPixels / totalPixels : 0, width, height, diff: PNG.sync.write(diff) };
+}
+
+/**
+ * Outline entries added and removed between two captures (order-insensitive, duplicates counted).
+ * @param {Array<string>} before - Baseline outline.
+ * @param {Array<string>} after - New outline.
+ * @returns {Object} { added, removed }.
+ */
+function diffStructure(before = [], after = []) {
+  const remaining = new Map();
+  for (const line of before) remaining.set(line, (remaining.get(line) || 0) + 1);
+  const added = [];
+  for (const line of after) {
+    if (remaining.get(line)) remaining.set(line, remaining.get(line) - 1);
+    else added.push(line);
+  }
+  const removed = [...remaining].flatMap(([line, count]) => Array(count).fill(line));
+  return { added, removed };
+}
+
+/**
+ * Opens a route and captures its screenshot and DOM outline.
+ * @param {Object} page - Logged-in Playwright page.
+ * @param {Object} params - { taskId, baseUrl, route }.
+ * @returns {Promise<Object>} { file, buffer, outline }.
+ */
+async function capturePage(page, { taskId, baseUrl, route }) {
+  await page.setViewportSize(VIEWPORT);
+  await page.goto(`${baseUrl}${route}`, { waitUntil: 'networkidle', timeout: 30000 });
+  const file = path.join(CAPTURE_DIR, taskId, `${routeKey(route)}.png`);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const buffer = await page.screenshot({
+    path: file,
+    fullPage: true,
+    animations: 'disabled',
+    caret: 'hide',
+    mask: [page.locator('[data-visual-ignore]')],
+    timeout: 15000,
+  });
+  // Headings, controls, tables, and test ids of visible elements; enough to spot moved or missing parts
+  const outline = await page.evaluate((max) => Array.from(document.querySelectorAll('h1, h2, h3, h4, button, a, input, select, textarea, table, form, [data-testid]'))
+    .filter(el => el.offsetParent !== null)
+    .slice(0, max)
+    .map(el => {
+      const testId = el.getAttribute('data-testid');
+      const label = /^(H\d|BUTTON|A)$/.test(el.tagName) ? ` "${el.textContent.trim().slice(0, 40)}"` : '';
+      return `${el.tagName.toLowerCase()}${testId ? `[data-testid=${testId}]` : ''}${label}`;
+    }), MAX_OUTLINE);
+  return { file, buffer, outline };
+}
+
+/**
+ * Captures each route and compares it with its latest approved baseline.
+ * @param {Object} page - Logged-in Playwright page.
+ * @param {Object} params - { taskId, baseUrl, routes }.
+ * @returns {Promise<Array<Object>>} One result per route, also stored in Task.visualTests.
+ */
+async function runVisualChecks(page, { taskId, baseUrl, routes = [] }) {
+  const threshold = await getThreshold();
+  const VisualBaseline = await getModel('VisualBaseline');
+  const results = [];
+  for (const route of [...new Set(routes)]) {
+    const key = routeKey(route);
+    try {
+      const { file, buffer, outline } = await capturePage(page, { taskId, baseUrl, route });
+      const result = { route, routeKey: key, imagePath: toRelative(file), outline, threshold };
+      const baseline = await VisualBaseline.findOne({ route, taskId: { $ne: taskId } }).sort({ approvedAt: -1 }).lean();
+      if (!baseline) {
+        results.push({ ...result, status: 'new' });
+        continue;
+      }
+      const comparison = compareImages(buffer, await fs.readFile(path.join(repoRoot, baseline.imagePath)));
+      const diffFile = path.join(CAPTURE_DIR, taskId, `${key}.diff.png`);
+      await fs.writeFile(diffFile, comparison.diff);
+      results.push({
+        ...result,
+        status: comparison.mismatchRatio > threshold ? 'failed' : 'passed',
+        mismatchRatio: comparison.mismatchRatio,
+        diffPixels: comparison.diffPixels,
+        structure: diffStructure(baseline.outline, outline),
+        baselinePath: baseline.imagePath,
+        diffPath: toRelative(diffFile),
+        baselineTaskId: baseline.taskId,
+      });
+    } catch (err) {
+      await logWarn(`Visual check failed to run: ${err.message}`, 'visualRegression', {
+        taskId,
+        route,
+        stack: err.stack,
+        timestamp: new Date().toISOString(),
+      });
+      results.push({ route, routeKey: key, status: 'skipped', threshold, error: err.message });
+    }
+  }
+
+  const Task = await getModel('Task');
+  await Task.updateOne({ taskId }, { $set: { visualTests: { threshold, results, ranAt: new Date() } } });
+  await logInfo('Ran visual checks', 'visualRegression', {
+    taskId,
+    results: results.map(r => ({ route: r.route, status: r.status, mismatchRatio: r.mismatchRatio })),
+    timestamp: new Date().toISOString(),
+  });
+  return results;
+}
+
+/**
+ * Makes an approved task's captures the baselines of their routes.
+ * @param {string} taskId - The approved task.
+ * @param {Object} options - { user } who approved.
+ * @returns {Promise<Array<string>>} Routes whose baseline was updated.
+ */
+async function promoteBaselines(taskId, { user } = {}) {
+  const Task = await getModel('Task');
+  const task = await Task.findOne({ taskId }).select('visualTests').lean();
+  const VisualBaseline = await getModel('VisualBaseline');
+  const promoted = [];
+  for (const result of (task?.visualTests?.results || []).filter(r => r.imagePath)) {
+    const target = path.join(BASELINE_DIR, result.routeKey, `${taskId}.png`);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(path.join(repoRoot, result.imagePath), target);
+    const { width, height } = PNG.sync.read(await fs.readFile(target));
+    await VisualBaseline.findOneAndUpdate(
+      { route: result.route, taskId },
+      { $set: { routeKey: result.routeKey, imagePath: toRelative(target), width, height, outline: result.outline || [], approvedBy: user, approvedAt: new Date() } },
+      { upsert: true }
+    );
+    promoted.push(result.route);
+  }
+  if (promoted.length) {
+    await logInfo('Promoted visual baselines', 'visualRegression', {
+      taskId,
+      routes: promoted,
+      user,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  return promoted;
+}
+
+/**
+ * Drops the baselines a rolled back task promoted, so its routes fall back to the previous approved baseline.
+ * @param {string} taskId - The rolled back task.
+ * @returns {Promise<Array<string>>} Routes whose baseline was removed.
+ */
+async function removeBaselines(taskId) {
+  const VisualBaseline = await getModel('VisualBaseline');
+  const baselines = await VisualBaseline.find({ taskId }).select('route imagePath').lean();
+  for (const baseline of baselines) {
+    await fs.rm(path.join(repoRoot, baseline.imagePath), { force: true });
+  }
+  await VisualBaseline.deleteMany({ taskId });
+  if (baselines.length) {
+    await logInfo('Removed visual baselines of rolled back task', 'visualRegression', {
+      taskId,
+      routes: baselines.map(b => b.route),
+      timestamp: new Date().toISOString(),
+    });
+  }
+  return baselines.map(b => b.route);
+}
+
+/**
+ * Removes a task's captures; baselines of approved tasks are kept.
+ * @param {string} taskId - The task ID.
+ * @returns {Promise<void>}
+ */
+async function removeVisualCaptures(taskId) {
+  await fs.rm(path.join(CAPTURE_DIR, taskId), { recursive: true, force: true });
+}
+
+module.exports = {
+  routeKey,
+  getThreshold,
+  setThreshold,
+  compareImages,
+  diffStructure,
+  runVisualChecks,
+  promoteBaselines,
+  removeBaselines,
+  removeVisualCaptures,
+  VISUAL_DIR,
+};
@@ -0,0 +1,414 @@
+/*
+ * File Path: backend/src/utils/workspaceUtils.js
+ * Purpose: Per-task sandbox workspaces for generated code in Allur Space Console.
+ * How It Works:
+ *   - Mirrors the repo layout (frontend/, backend/, root configs) into tmp/workspaces/<taskId>.
+ *   - Writes staged files at their real repo-relative paths so relative imports resolve as they will after apply.
+ *   - Runs lint, syntax, and build checks inside the workspace, and can start a Vite dev server on a free port for Playwright.
+ *   - The real tree is only written by applyApprovedChanges after approval; the workspace is destroyed on apply, deny, rollback, or delete.
+ * Mechanics:
+ *   - `createWorkspace`: fs.cp with COPYFILE_FICLONE (copy-on-write where the filesystem supports it), skipping node_modules/.git/build output.
+ *     node_modules directories are symlinked to the real ones instead of copied.
+ *   - `applyStagedFiles`: Writes staged content under the workspace, rejecting paths that escape it (isPathInside).
+ *   - `runWorkspaceChecks`: eslint and `vite build` for staged frontend files, `node --check` for staged backend files.
+ *   - `startPreviewServer`/`stopPreviewServer`: Spawns Vite with vite.sandbox.config.js, tracks the child by taskId, stops it by PID.
+ *   - `destroyWorkspace`: Stops any preview server and removes the workspace directory.
+ * Dependencies:
+ *   - child_process.execFile/spawn, util.promisify: Runs eslint, node, and vite (Node.js built-in).
+ *   - fs, fs.promises, net, path: Copying, port probing, and file operations (Node.js built-in).
+ *   - is-path-inside.js: Containment check for staged paths.
+ *   - logUtils.js: MongoDB logging.
+ * Dependents:
+ *   - taskTesterV18.js: Creates the workspace, runs checks, and points Playwright at the preview server in runTests.
+ *   - fileGeneratorV18.js: persistFilesToDisk writes generated files into the workspace.
+ *   - taskManager.js: destroyWorkspace after apply, rollback/deny, and delete.
+ * Why It’s Here:
+ *   - runTests flattened staged files into tmp/tests/<taskId> by basename, losing directories and breaking imports (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created copy-on-write task workspaces with checks and preview server.
+ *     - Why: Generated code was tested outside the repo layout and only reached a real build after approval.
+ *     - How: Mirror repo into tmp/workspaces/<taskId>, write staged files at real paths, run eslint/node --check/vite build there.
+ *     - Test: POST /api/grok/test/<taskId>, verify tmp/workspaces/<taskId>/frontend/src/pages/<File>.jsx exists and task.workspace.checks is populated.
+ * Test Instructions:
+ *   - POST /api/grok/edit with "Create an inventory system", then POST /api/grok/test/<taskId>.
+ *   - Verify tmp/workspaces/<taskId> mirrors frontend/ and backend/, and frontend/node_modules is a symlink.
+ *   - Verify task.workspace.checks lists lint and build results and the real frontend/src is unchanged until approval.
+ *   - Approve or deny the task, verify tmp/workspaces/<taskId> is removed.
+ * Rollback Instructions:
+ *   - Delete workspaceUtils.js and revert taskTesterV18.js runTests to write into tmp/tests/<taskId>.
+ * Future Enhancements:
+ *   - Run generated backend routes in a sandboxed Express instance (Sprint 5).
+ */
+
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const { isPathInside } = require('./is-path-inside');
+const { logInfo, logWarn, logDebug } = require('./logUtils');
+
+const execFileAsync = promisify(execFile);
+const repoRoot = path.join(__dirname, '../../../');
+const workspacesRoot = process.env.ALLUR_WORKSPACE_ROOT || path.join(repoRoot, 'tmp/workspaces');
+const MIRRORED_DIRS = ['frontend', 'backend'];
+const MIRRORED_FILES = ['package.json', 'playwright.config.js'];
+const SKIPPED_NAMES = new Set(['node_modules', '.git', 'tmp', 'dist', 'coverage', 'test-results', 'playwright-report', 'uploads']);
+const CHECK_OUTPUT_LIMIT = 4000;
+const PREVIEW_START_TIMEOUT = 60000;
+const SANDBOX_VITE_CONFIG = 'vite.sandbox.config.js';
+
+// Standalone eslint rules so sandbox linting does not depend on the project .eslintrc.js loading
+const SANDBOX_ESLINT_ARGS = [
+  '--no-eslintrc',
+  '--env', 'browser,es2022',
+  '--parser-options', 'ecmaVersion:latest,sourceType:module,ecmaFeatures:{jsx:true}',
+  '--plugin', 'react',
+  '--rule', 'react/jsx-uses-vars:error',
+  '--rule', 'react/jsx-uses-react:error',
+  '--rule', 'react/jsx-no-undef:error',
+  '--rule', 'no-undef:error',
+  '--rule', 'no-unused-vars:warn',
+];
+
+const SANDBOX_VITE_CONFIG_CONTENT = `// Generated by Allur Space Console for task workspaces, do not commit
+import baseConfig from './vite.config.js';
+
+export default (env) => {
+  const config = baseConfig(env);
+  return {
+    ...config,
+    cacheDir: '.vite-sandbox',
+    server: { ...config.server, port: Number(process.env.SANDBOX_PORT) || 3100, strictPort: true, host: '127.0.0.1' },
+    build: { ...config.build, outDir: 'dist-sandbox', emptyOutDir: true },
+  };
+};
+`;
+
+const previewServers = new Map();
+
+/**
+ * Returns the workspace directory for a task.
+ * @param {string} taskId - The task ID.
+ * @returns {string} Absolute workspace path.
+ */
+function getWorkspacePath(taskId) {
+  const workspaceDir = path.join(workspacesRoot, taskId);
+  if (!isPathInside(workspaceDir, workspacesRoot)) {
+    throw new Error(`Invalid workspace path for task: ${taskId}`);
+  }
+  return workspaceDir;
+}
+
+/**
+ * Checks whether a task workspace exists.
+ * @param {string} taskId - The task ID.
+ * @returns {Promise<boolean>} True if the workspace directory exists.
+ */
+async function workspaceExists(taskId) {
+  try {
+    await fs.access(getWorkspacePath(taskId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Creates (or reuses) a task workspace mirroring the repo layout.
+ * @param {string} taskId - The task ID.
+ * @param {Object} [options] - fresh: true to discard an existing workspace first.
+ * @returns {Promise<string>} Absolute workspace path.
+ */
+async function createWorkspace(taskId, { fresh = false } = {}) {
+  const workspaceDir = getWorkspacePath(taskId);
+  if (fresh) {
+    await destroyWorkspace(taskId);
+  } else if (await workspaceExists(taskId)) {
+    return workspaceDir;
+  }
+
+  const start = Date.now();
+  await fs.mkdir(workspaceDir, { recursive: true });
+  for (const dir of MIRRORED_DIRS) {
+    const source = path.join(repoRoot, dir);
+    try {
+      await fs.access(source);
+    } catch {
+      continue;
+    }
+    await fs.cp(source, path.join(workspaceDir, dir), {
+      recursive: true,
+      mode: fsSync.constants.COPYFILE_FICLONE,
+      filter: src => !SKIPPED_NAMES.has(path.basename(src)),
+    });
+    const modules = path.join(source, 'node_modules');
+    try {
+      await fs.access(modules);
+      await fs.symlink(modules, path.join(workspaceDir, dir, 'node_modules'), 'dir');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  for (const file of MIRRORED_FILES) {
+    try {
+      await fs.copyFile(path.join(repoRoot, file), path.join(workspaceDir, file), fsSync.constants.COPYFILE_FICLONE);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  try {
+    await fs.writeFile(path.join(workspaceDir, 'frontend', SANDBOX_VITE_CONFIG), SANDBOX_VITE_CONFIG_CONTENT, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  await logInfo('Created task workspace', 'workspaceUtils', {
+    taskId,
+    workspaceDir,
+    durationMs: Date.now() - start,
+    timestamp: new Date().toISOString(),
+  });
+  return workspaceDir;
+}
+
+/**
+ * Writes staged files into a workspace at their repo-relative paths.
+ * @param {string} workspaceDir - Absolute workspace path.
+ * @param {Array} stagedFiles - Staged files with path and content.
+ * @param {Object} [options] - taskId for logging.
+ * @returns {Promise<Array<string>>} Repo-relative paths written.
+ */
+async function applyStagedFiles(workspaceDir, stagedFiles, { taskId } = {}) {
+  const written = [];
+  for (const file of stagedFiles || []) {
+    if (!file || typeof file.path !== 'string' || typeof file.content !== 'string') continue;
+    const relPath = file.path.replace(/\\/g, '/').replace(/^\/+/, '');
+    const targetPath = path.join(workspaceDir, relPath);
+    if (!isPathInside(targetPath, workspaceDir)) {
+      throw new Error(`Staged file path escapes workspace: ${file.path}`);
+    }
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, file.content, 'utf8');
+    written.push(relPath);
+  }
+  await logDebug('Applied staged files to workspace', 'workspaceUtils', {
+    taskId,
+    workspaceDir,
+    files: written,
+    timestamp: new Date().toISOString(),
+  });
+  return written;
+}
+
+/**
+ * Runs a command for a check and records its outcome.
+ * @param {string} name - Check name.
+ * @param {string} command - Executable.
+ * @param {Array<string>} args - Arguments.
+ * @param {Object} options - execFile options (cwd, timeout).
+ * @returns {Promise<Object>} { name, status, output, durationMs }.
+ */
+async function runCheck(name, command, args, options) {
+  const start = Date.now();
+  try {
+    const { stdout, stderr } = await execFileAsync(command, args, {
+      maxBuffer: 10 * 1024 * 1024,
+      env: { ...process.env, NODE_ENV: 'development', FORCE_COLOR: '0' },
+      ...options,
+    });
+    return { name, status: 'passed', output: `${stdout}${stderr}`.trim().slice(-CHECK_OUTPUT_LIMIT), durationMs: Date.now() - start };
+  } catch (err) {
+    const output = err.killed ? `Timed out after ${options.timeout}ms` : `${err.stdout || ''}${err.stderr || ''}`.trim() || err.message;
+    return { name, status: 'failed', output: output.slice(-CHECK_OUTPUT_LIMIT), durationMs: Date.now() - start };
+  }
+}
+
+/**
+ * Runs lint, syntax, and build checks for the staged files inside a workspace.
+ * @param {string} workspaceDir - Absolute workspace path.
+ * @param {Array} stagedFiles - Staged files with path.
+ * @param {Object} [options] - taskId for logging, build: false to skip vite build.
+ * @returns {Promise<Array<Object>>} Checks { name, status: passed|failed|skipped, output, durationMs }.
+ */
+async function runWorkspaceChecks(workspaceDir, stagedFiles, { taskId, build = true } = {}) {
+  const paths = (stagedFiles || []).map(f => (f.path || '').replace(/\\/g, '/'));
+  const frontendFiles = paths.filter(p => p.startsWith('frontend/') && /\.(js|jsx)$/.test(p)).map(p => p.slice('frontend/'.length));
+  const backendFiles = paths.filter(p => p.startsWith('backend/') && /\.js$/.test(p));
+  const frontendDir = path.join(workspaceDir, 'frontend');
+  const checks = [];
+
+  if (frontendFiles.length) {
+    checks.push(await runCheck('lint', path.join(frontendDir, 'node_modules/.bin/eslint'), [...SANDBOX_ESLINT_ARGS, ...frontendFiles], {
+      cwd: frontendDir,
+      timeout: 120000,
+    }));
+  } else {
+    checks.push({ name: 'lint', status: 'skipped', output: 'No staged frontend files', durationMs: 0 });
+  }
+
+  if (backendFiles.length) {
+    const results = [];
+    for (const file of backendFiles) {
+      results.push(await runCheck(`syntax:${file}`, process.execPath, ['--check', file], { cwd: workspaceDir, timeout: 30000 }));
+    }
+    const failed = results.filter(r => r.status === 'failed');
+    checks.push({
+      name: 'syntax',
+      status: failed.length ? 'failed' : 'passed',
+      output: failed.map(r => `${r.name}\n${r.output}`).join('\n').slice(-CHECK_OUTPUT_LIMIT),
+      durationMs: results.reduce((sum, r) => sum + r.durationMs, 0),
+    });
+  } else {
+    checks.push({ name: 'syntax', status: 'skipped', output: 'No staged backend files', durationMs: 0 });
+  }
+
+  if (frontendFiles.length && build) {
+    checks.push(await runCheck('build', path.join(frontendDir, 'node_modules/.bin/vite'), ['build', '--config', SANDBOX_VITE_CONFIG, '--logLevel', 'warn'], {
+      cwd: frontendDir,
+      timeout: 300000,
+    }));
+  } else {
+    checks.push({ name: 'build', status: 'skipped', output: frontendFiles.length ? 'Build disabled' : 'No staged frontend files', durationMs: 0 });
+  }
+
+  const failed = checks.filter(c => c.status === 'failed').map(c => c.name);
+  await (failed.length ? logWarn : logInfo)(`Workspace checks ${failed.length ? 'failed' : 'passed'}`, 'workspaceUtils', {
+    taskId,
+    workspaceDir,
+    checks: checks.map(c => ({ name: c.name, status: c.status, durationMs: c.durationMs })),
+    timestamp: new Date().toISOString(),
+  });
+  return checks;
+}
+
+/**
+ * Finds a free TCP port on localhost.
+ * @returns {Promise<number>} Port number.
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts a Vite dev server for the workspace frontend, reusing a running one for the task.
+ * @param {string} taskId - The task ID.
+ * @returns {Promise<string>} Base URL of the preview server.
+ */
+async function startPreviewServer(taskId) {
+  const existing = previewServers.get(taskId);
+  if (existing && existing.child.exitCode === null) return existing.url;
+
+  const frontendDir = path.join(getWorkspacePath(taskId), 'frontend');
+  const port = await findFreePort();
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(path.join(frontendDir, 'node_modules/.bin/vite'), ['--config', SANDBOX_VITE_CONFIG], {
+    cwd: frontendDir,
+    env: { ...process.env, SANDBOX_PORT: String(port), FORCE_COLOR: '0' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => finish(new Error(`Preview server did not start within ${PREVIEW_START_TIMEOUT}ms`)), PREVIEW_START_TIMEOUT);
+    const onData = chunk => {
+      output = `${output}${chunk}`.slice(-CHECK_OUTPUT_LIMIT);
+      if (output.includes(`:${port}`)) finish();
+    };
+    const onExit = code => finish(new Error(`Preview server exited with code ${code}: ${output.trim()}`));
+    function finish(err) {
+      clearTimeout(timer);
+      child.stdout.off('data', onData);
+      child.stderr.off('data', onData);
+      child.off('exit', onExit);
+      if (err) {
+        if (child.exitCode === null) child.kill('SIGTERM');
+        reject(err);
+      } else {
+        resolve();
+      }
+    }
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', onExit);
+  });
+
+  // Keep draining output so the child never blocks on a full pipe
+  child.stdout.resume();
+  child.stderr.resume();
+  previewServers.set(taskId, { child, url });
+  child.on('exit', () => previewServers.delete(taskId));
+  await logInfo('Started workspace preview server', 'workspaceUtils', {
+    taskId,
+    url,
+    pid: child.pid,
+    timestamp: new Date().toISOString(),
+  });
+  return url;
+}
+
+/**
+ * Stops the preview server for a task, if one is running.
+ * @param {string} taskId - The task ID.
+ * @returns {Promise<void>}
+ */
+async function stopPreviewServer(taskId) {
+  const server = previewServers.get(taskId);
+  if (!server) return;
+  previewServers.delete(taskId);
+  if (server.child.exitCode !== null) return;
+  await new Promise(resolve => {
+    const timer = setTimeout(() => {
+      server.child.kill('SIGKILL');
+      resolve();
+    }, 5000);
+    server.child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    server.child.kill('SIGTERM');
+  });
+  await logDebug('Stopped workspace preview server', 'workspaceUtils', {
+    taskId,
+    pid: server.child.pid,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Stops the preview server and removes a task workspace.
+ * @param {string} taskId - The task ID.
+ * @returns {Promise<boolean>} True if a workspace was removed.
+ */
+async function destroyWorkspace(taskId) {
+  await stopPreviewServer(taskId);
+  if (!(await workspaceExists(taskId))) return false;
+  const workspaceDir = getWorkspacePath(taskId);
+  await fs.rm(workspaceDir, { recursive: true, force: true });
+  await logInfo('Destroyed task workspace', 'workspaceUtils', {
+    taskId,
+    workspaceDir,
+    timestamp: new Date().toISOString(),
+  });
+  return true;
+}
+
+module.exports = {
+  getWorkspacePath,
+  workspaceExists,
+  createWorkspace,
+  applyStagedFiles,
+  runWorkspaceChecks,
+  startPreviewServer,
+  stopPreviewServer,
+  destroyWorkspace,
+};
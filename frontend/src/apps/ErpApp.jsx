@@ -5,10 +5,13 @@
  *   - Wraps the app in AppContextProvider and ConfigProvider for theme and context.
  *   - Renders Layout with Header, Sider (navigation), and Content for dashboard and routes.
  *   - Uses antd App component to enable dynamic theming for message API.
+ *   - Opens the session's single Socket.IO connection (SocketProvider) and shows its state in the header.
  * Dependencies:
  *   - React: Core library (version 18.3.1).
  *   - antd: ConfigProvider, App, Layout, Menu for UI and theming (version 5.24.6).
  *   - AppContextProvider: Application context.
+ *   - SocketProvider: Shared Socket.IO connection for the signed-in session.
+ *   - ConnectionStatus: Connection state in the header.
  *   - AppRouter: Routing component.
  * Why It’s Here:
  *   - Serves as the top-level app component for Sprint 2 (04/07/2025).
@@ -20,6 +23,10 @@
  *     - Why: Updates stripped navigation and header, dashboard content failed to load (User, 04/29/2025).
  *     - How: Reintroduced Layout with Header, Sider, and Content, ensured AppRouter renders dashboard, fixed antd warning, preserved context and theming.
  *     - Test: Load /grok and /dashboard, verify navigation, header, and content render, no antd warnings.
+ *   - 10/19/2026: Shared the Socket.IO connection and showed its state in the header.
+ *     - Why: Each socket hook opened its own connection; the header had no sign of a dropped connection.
+ *     - How: SocketProvider wraps the authenticated layout; ConnectionStatus.jsx sits next to the title.
+ *     - Test: Load /grok, verify "Live" in the header; stop the backend, verify "Reconnecting".
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok and /dashboard: Verify navigation bar, header, and content load, no antd message warnings.
  *   - Submit "Build CRM system": Confirm task appears, error messages display without warnings.
@@ -33,6 +40,8 @@
 import React from 'react';
 import { ConfigProvider, App, Layout, Menu } from 'antd';
 import AppContextProvider from '../context/appContext';
+import SocketProvider from '../context/socketContext';
+import ConnectionStatus from '../components/ConnectionStatus';
 import AppRouter from '../router/AppRouter';
 import { useNavigate } from 'react-router-dom';
 
@@ -43,43 +52,46 @@ const ErpApp = () => {
 
   return (
     <AppContextProvider>
-      <ConfigProvider
-        theme={{
-          token: {
-            colorPrimary: '#339393',
-            colorLink: '#1640D6',
-            borderRadius: 0,
-          },
-        }}
-      >
-        <App>
-          <Layout style={{ minHeight: '100vh' }}>
-            <Sider collapsible>
-              <Menu
-                theme="dark"
-                mode="inline"
-                defaultSelectedKeys={['dashboard']}
-                items={[
-                  { key: 'dashboard', label: 'Dashboard', link: '/dashboard' },
-                  { key: 'grok', label: 'Grok', link: '/grok' },
-                  { key: 'settings', label: 'Settings', link: '/settings' },
-                  { key: 'sponsor', label: 'Sponsor', link: '/sponsor/:id' },
-                  { key: 'employee-log', label: 'Employee Log', link: '/employee-log' },
-                ]}
-                onClick={({ key }) => navigate(key)}
-              />
-            </Sider>
-            <Layout>
-              <Header style={{ background: '#fff', padding: 0, textAlign: 'center' }}>
-                <h1>Allur Space Console</h1>
-              </Header>
-              <Content style={{ margin: '24px 16px', padding: 24, background: '#fff' }}>
-                <AppRouter />
-              </Content>
+      <SocketProvider>
+        <ConfigProvider
+          theme={{
+            token: {
+              colorPrimary: '#339393',
+              colorLink: '#1640D6',
+              borderRadius: 0,
+            },
+          }}
+        >
+          <App>
+            <Layout style={{ minHeight: '100vh' }}>
+              <Sider collapsible>
+                <Menu
+                  theme="dark"
+                  mode="inline"
+                  defaultSelectedKeys={['dashboard']}
+                  items={[
+                    { key: 'dashboard', label: 'Dashboard', link: '/dashboard' },
+                    { key: 'grok', label: 'Grok', link: '/grok' },
+                    { key: 'settings', label: 'Settings', link: '/settings' },
+                    { key: 'sponsor', label: 'Sponsor', link: '/sponsor/:id' },
+                    { key: 'employee-log', label: 'Employee Log', link: '/employee-log' },
+                  ]}
+                  onClick={({ key }) => navigate(key)}
+                />
+              </Sider>
+              <Layout>
+                <Header style={{ background: '#fff', padding: '0 24px', display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                  <h1 style={{ margin: 0 }}>Allur Space Console</h1>
+                  <ConnectionStatus />
+                </Header>
+                <Content style={{ margin: '24px 16px', padding: 24, background: '#fff' }}>
+                  <AppRouter />
+                </Content>
+              </Layout>
             </Layout>
-          </Layout>
-        </App>
-      </ConfigProvider>
+          </App>
+        </ConfigProvider>
+      </SocketProvider>
     </AppContextProvider>
   );
 };
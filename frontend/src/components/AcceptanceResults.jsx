@@ -0,0 +1,93 @@
+/*
+ * File Path: frontend/src/components/AcceptanceResults.jsx
+ * Purpose: Lists a task's acceptance criteria and their latest test results for Allur Space Console.
+ * How It Works:
+ *   - Renders task.acceptanceTests from acceptanceTests.js: one row per criterion with its result and error.
+ *   - Criteria without a specific rule ran as a generic page-load check and are tagged "generic".
+ *   - Shows where the generated spec lives so it can be run with `npx playwright test`.
+ * Dependencies:
+ *   - React: Component rendering (version 18.3.1).
+ *   - antd: List, Tag, Typography (version 5.24.6).
+ * Dependents:
+ *   - TaskList.jsx: Checks modal.
+ * Why It’s Here:
+ *   - Generated tests assert the prompt's acceptance criteria; reviewers need to see which ones passed (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created acceptance criteria results.
+ *     - Why: Task.acceptanceTests stores planned checks and per-criterion results.
+ *     - How: Results are matched to checks by criterion; criteria not yet run show "not run".
+ *     - Test: Open Checks for a tested task, verify one row per criterion with PASSED, FAILED, or SKIPPED.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, click the CRITERIA tag of a tested task, verify the criteria list and spec path.
+ * Rollback Instructions:
+ *   - Delete AcceptanceResults.jsx and remove it from the Checks modal in TaskList.jsx.
+ * Future Enhancements:
+ *   - Show the generated spec source inline (Sprint 5).
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { List, Tag, Typography } from 'antd';
+
+const { Text } = Typography;
+
+const STATUS_COLORS = {
+  passed: 'green',
+  failed: 'red',
+  skipped: 'default',
+};
+
+const AcceptanceResults = ({ acceptanceTests }) => {
+  const checks = acceptanceTests?.checks || [];
+  if (!checks.length) return null;
+  const results = acceptanceTests.results || [];
+
+  return (
+    <div style={{ marginBottom: 16 }} data-testid="acceptance-results">
+      <Text strong style={{ display: 'block', marginBottom: 4 }}>Acceptance criteria</Text>
+      <List
+        size="small"
+        bordered
+        dataSource={checks}
+        renderItem={(check) => {
+          const result = results.find((r) => r.criterion === check.criterion);
+          return (
+            <List.Item>
+              <div>
+                <Tag color={STATUS_COLORS[result?.status] || 'blue'}>{result ? result.status.toUpperCase() : 'NOT RUN'}</Tag>
+                {check.generic && <Tag>generic</Tag>}
+                <Text>{check.criterion}</Text>
+                {result?.error && result.status === 'failed' && (
+                  <div><Text type="danger">{result.error}</Text></div>
+                )}
+              </div>
+            </List.Item>
+          );
+        }}
+      />
+      {acceptanceTests.specPath && (
+        <Text type="secondary" style={{ display: 'block', marginTop: 4 }}>
+          Spec: <Text code>{acceptanceTests.specPath}</Text>
+        </Text>
+      )}
+    </div>
+  );
+};
+
+AcceptanceResults.propTypes = {
+  acceptanceTests: PropTypes.shape({
+    specPath: PropTypes.string,
+    checks: PropTypes.arrayOf(PropTypes.shape({
+      criterion: PropTypes.string,
+      kind: PropTypes.string,
+      generic: PropTypes.bool,
+    })),
+    results: PropTypes.arrayOf(PropTypes.shape({
+      criterion: PropTypes.string,
+      status: PropTypes.string,
+      error: PropTypes.string,
+    })),
+  }),
+};
+
+export default AcceptanceResults;
@@ -0,0 +1,237 @@
+/*
+ * File Path: frontend/src/components/AnalyticsDashboard.jsx
+ * Purpose: Analytics tab of Allur Space Console with charts over the AI task pipeline.
+ * How It Works:
+ *   - Loads metrics from useAnalytics.js (GET /api/grok/analytics) for the selected window (7, 30, or 90 days).
+ *   - Summary cards: tasks, success rate, average test attempts, task approval rate, proposal approval rate.
+ *   - Bar charts: average time per stage, failure reasons, tasks created and failed per day, proposal decisions,
+ *     and the log contexts with the most errors.
+ * Mechanics:
+ *   - Charts are plain divs scaled to the largest value of each chart; no chart library is needed.
+ *   - Rates are null when there is nothing to divide by and show as "–".
+ * Dependencies:
+ *   - React: useState for the window (version 18.3.1).
+ *   - antd: Card, Row, Col, Statistic, Select, Button, Space, Typography, Empty, Tooltip (version 5.24.6).
+ *   - useAnalytics.js: Analytics loading.
+ * Dependents:
+ *   - GrokUI.jsx: Analytics tab.
+ * Why It’s Here:
+ *   - Shows how the pipeline performs: where tasks fail, how long stages take, and how reviewers decide (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created analytics dashboard.
+ *     - Why: analytics.js aggregates Task, BackendProposal, and Log; the console had no view of it.
+ *     - How: Statistic cards and div bar charts per metric, window Select and refresh Button.
+ *     - Test: Open /grok, switch to Analytics, verify the cards and a "Time per stage" chart.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, switch to Analytics, pick "Last 7 days", verify the charts reload.
+ *   - Fail a task on its tests, refresh, verify "runTests" under Failure reasons.
+ * Rollback Instructions:
+ *   - Delete AnalyticsDashboard.jsx and useAnalytics.js and remove the tab from GrokUI.jsx.
+ * Future Enhancements:
+ *   - Click a failure reason to filter the task list (Sprint 5).
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Card, Row, Col, Statistic, Select, Button, Space, Typography, Empty, Tooltip } from 'antd';
+import useAnalytics from '../hooks/useAnalytics';
+
+const { Text } = Typography;
+
+const WINDOW_OPTIONS = [
+  { label: 'Last 7 days', value: 7 },
+  { label: 'Last 30 days', value: 30 },
+  { label: 'Last 90 days', value: 90 },
+];
+
+const STAGE_LABELS = {
+  parse: 'Parse prompt',
+  generate: 'Generate code',
+  save: 'Save files',
+  validate: 'Validate',
+  test: 'Test',
+  proposals: 'Backend proposals',
+};
+
+const formatPercent = (rate) => (rate === null || rate === undefined ? '–' : `${(rate * 100).toFixed(1)}%`);
+
+const formatDuration = (ms) => {
+  if (ms < 1000) return `${ms} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  return `${(ms / 60000).toFixed(1)} min`;
+};
+
+const BarChart = ({ items, format = (value) => value }) => {
+  if (!items.length) return <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No data in this window" />;
+  const max = Math.max(...items.flatMap((item) => item.bars.map((bar) => bar.value)), 1);
+
+  return (
+    <div>
+      {items.map((item) => (
+        <div key={item.key} style={{ display: 'flex', alignItems: 'center', marginBottom: 6 }}>
+          <Tooltip title={item.tooltip}>
+            <Text ellipsis style={{ width: 140, flexShrink: 0 }}>{item.label}</Text>
+          </Tooltip>
+          <div style={{ flex: 1 }}>
+            {item.bars.map((bar) => (
+              <div key={bar.name} style={{ display: 'flex', alignItems: 'center' }}>
+                <div style={{ width: `${(bar.value / max) * 100}%`, minWidth: bar.value ? 2 : 0, height: 12, background: bar.color }} />
+                <Text type="secondary" style={{ marginLeft: 6, fontSize: 12, whiteSpace: 'nowrap' }}>{format(bar.value)}</Text>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+BarChart.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string,
+    tooltip: PropTypes.string,
+    bars: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      value: PropTypes.number,
+      color: PropTypes.string,
+    })),
+  })).isRequired,
+  format: PropTypes.func,
+};
+
+const Legend = ({ entries }) => (
+  <Space size="small">
+    {entries.map(({ name, color }) => (
+      <Space key={name} size={4}>
+        <span style={{ display: 'inline-block', width: 10, height: 10, background: color }} />
+        <Text type="secondary" style={{ fontSize: 12 }}>{name}</Text>
+      </Space>
+    ))}
+  </Space>
+);
+
+Legend.propTypes = {
+  entries: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string, color: PropTypes.string })).isRequired,
+};
+
+const AnalyticsDashboard = ({ messageApi }) => {
+  const [days, setDays] = useState(30);
+  const { analytics, loading, refresh } = useAnalytics({ messageApi, days });
+
+  if (!analytics) {
+    return <Card loading={loading} data-testid="analytics-dashboard">{!loading && <Empty description="Analytics unavailable" />}</Card>;
+  }
+
+  const { tasks, stages, approvals, logs } = analytics;
+
+  const stageItems = stages.map((stage) => ({
+    key: stage.stage,
+    label: STAGE_LABELS[stage.stage] || stage.stage,
+    tooltip: `${stage.count} runs, max ${formatDuration(stage.maxMs)}, ${stage.failed} failed`,
+    bars: [{ name: 'average', value: stage.averageMs, color: '#1677ff' }],
+  }));
+
+  const failureItems = tasks.failureReasons.map((reason) => ({
+    key: reason.context,
+    label: reason.context,
+    tooltip: reason.example || reason.context,
+    bars: [{ name: 'failed', value: reason.count, color: '#ff4d4f' }],
+  }));
+
+  const dailyItems = tasks.daily.map((day) => ({
+    key: day.date,
+    label: day.date,
+    bars: [
+      { name: 'created', value: day.created, color: '#1677ff' },
+      { name: 'failed', value: day.failed, color: '#ff4d4f' },
+    ],
+  }));
+
+  const decisionItems = [
+    { key: 'approved', label: 'Approved', bars: [{ name: 'approved', value: approvals.proposals.approved, color: '#52c41a' }] },
+    { key: 'denied', label: 'Denied', bars: [{ name: 'denied', value: approvals.proposals.denied, color: '#ff4d4f' }] },
+    { key: 'pending', label: 'Pending', bars: [{ name: 'pending', value: approvals.proposals.pending, color: '#faad14' }] },
+    { key: 'reverted', label: 'Reverted', bars: [{ name: 'reverted', value: approvals.proposals.reverted, color: '#8c8c8c' }] },
+  ].filter((item) => item.bars[0].value > 0);
+
+  const errorItems = logs.topErrorContexts.map((entry) => ({
+    key: entry.context,
+    label: entry.context,
+    bars: [{ name: 'errors', value: entry.count, color: '#ff7a45' }],
+  }));
+
+  return (
+    <div data-testid="analytics-dashboard">
+      <Space style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+        <Text strong>Pipeline analytics</Text>
+        <Space>
+          <Select size="small" value={days} onChange={setDays} options={WINDOW_OPTIONS} style={{ width: 140 }} />
+          <Button size="small" loading={loading} onClick={refresh}>Refresh</Button>
+        </Space>
+      </Space>
+      <Row gutter={[16, 16]} style={{ marginBottom: 16 }}>
+        <Col xs={12} md={6}>
+          <Card size="small"><Statistic title="Tasks" value={tasks.total} /></Card>
+        </Col>
+        <Col xs={12} md={6}>
+          <Card size="small"><Statistic title="Success rate" value={formatPercent(tasks.successRate)} /></Card>
+        </Col>
+        <Col xs={12} md={6}>
+          <Card size="small">
+            <Statistic
+              title="Average test attempts"
+              value={tasks.averageAttempts === null ? '–' : tasks.averageAttempts.toFixed(2)}
+              suffix={<Text type="secondary" style={{ fontSize: 12 }}>{tasks.testedTasks} tested</Text>}
+            />
+          </Card>
+        </Col>
+        <Col xs={12} md={6}>
+          <Card size="small">
+            <Statistic
+              title="Approval rate (tasks / proposals)"
+              value={`${formatPercent(approvals.tasks.rate)} / ${formatPercent(approvals.proposals.rate)}`}
+            />
+          </Card>
+        </Col>
+      </Row>
+      <Row gutter={[16, 16]}>
+        <Col xs={24} lg={12}>
+          <Card size="small" title="Time per stage (average)">
+            <BarChart items={stageItems} format={formatDuration} />
+          </Card>
+        </Col>
+        <Col xs={24} lg={12}>
+          <Card size="small" title="Failure reasons">
+            <BarChart items={failureItems} />
+          </Card>
+        </Col>
+        <Col xs={24} lg={12}>
+          <Card size="small" title="Tasks per day" extra={<Legend entries={[{ name: 'created', color: '#1677ff' }, { name: 'failed', color: '#ff4d4f' }]} />}>
+            <BarChart items={dailyItems} />
+          </Card>
+        </Col>
+        <Col xs={24} lg={12}>
+          <Card
+            size="small"
+            title="Backend proposal decisions"
+            extra={<Text type="secondary" style={{ fontSize: 12 }}>Tasks: {approvals.tasks.approved} applied, {approvals.tasks.denied} denied</Text>}
+          >
+            <BarChart items={decisionItems} />
+          </Card>
+        </Col>
+        <Col xs={24}>
+          <Card size="small" title="Most frequent error log contexts" extra={<Text type="secondary" style={{ fontSize: 12 }}>{logs.byLevel.error || 0} errors, {logs.byLevel.warn || 0} warnings</Text>}>
+            <BarChart items={errorItems} />
+          </Card>
+        </Col>
+      </Row>
+    </div>
+  );
+};
+
+AnalyticsDashboard.propTypes = {
+  messageApi: PropTypes.object,
+};
+
+export default AnalyticsDashboard;
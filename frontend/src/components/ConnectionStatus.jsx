@@ -0,0 +1,63 @@
+/*
+ * File Path: frontend/src/components/ConnectionStatus.jsx
+ * Purpose: Header indicator for the shared Socket.IO connection of Allur Space Console.
+ * How It Works:
+ *   - Reads connection from socketContext: Live, Connecting, Reconnecting (with the attempt number), Offline,
+ *     or Session expired.
+ *   - Offers "Retry now" once socket.io stopped retrying (Offline), and a login link when the session expired.
+ * Dependencies:
+ *   - antd: Badge, Button, Space, Tooltip, Typography (version 5.24.6).
+ *   - react-router-dom: Link to /logout (version 6).
+ *   - socketContext: useSocket, CONNECTION_STATUS.
+ * Dependents:
+ *   - ErpApp.jsx: Rendered in the header.
+ * Why It’s Here:
+ *   - Every socket hook used to report connection problems on its own; the header now shows one shared state (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created connection status indicator.
+ *     - Why: One shared socket connection with one reconnect state.
+ *     - How: Badge per status, the last connection error as tooltip, retry through socketContext.reconnect.
+ *     - Test: Stop the backend, verify "Reconnecting (attempt 1)" in the header.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, verify a green "Live" badge in the header.
+ *   - Stop the backend, verify "Reconnecting"; start it, verify "Live" after the next attempt.
+ * Rollback Instructions:
+ *   - Delete ConnectionStatus.jsx and remove it from ErpApp.jsx.
+ * Future Enhancements:
+ *   - Show the time of the last received event (Sprint 5).
+ */
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Badge, Button, Space, Tooltip, Typography } from 'antd';
+import { useSocket, CONNECTION_STATUS } from '../context/socketContext';
+
+const { Text } = Typography;
+
+const STATUS_BADGES = {
+  [CONNECTION_STATUS.CONNECTING]: { status: 'processing', text: 'Connecting' },
+  [CONNECTION_STATUS.CONNECTED]: { status: 'success', text: 'Live' },
+  [CONNECTION_STATUS.RECONNECTING]: { status: 'warning', text: 'Reconnecting' },
+  [CONNECTION_STATUS.DISCONNECTED]: { status: 'error', text: 'Offline' },
+  [CONNECTION_STATUS.UNAUTHORIZED]: { status: 'error', text: 'Session expired' },
+};
+
+const ConnectionStatus = () => {
+  const { connection, reconnect } = useSocket();
+  const { status, attempt, error } = connection;
+  const badge = STATUS_BADGES[status] || STATUS_BADGES[CONNECTION_STATUS.CONNECTING];
+  const text = status === CONNECTION_STATUS.RECONNECTING && attempt ? `${badge.text} (attempt ${attempt})` : badge.text;
+
+  return (
+    <Space size="small" data-testid="connection-status">
+      <Tooltip title={status === CONNECTION_STATUS.CONNECTED ? 'Real-time updates active' : error}>
+        <Badge status={badge.status} text={<Text type="secondary">{text}</Text>} />
+      </Tooltip>
+      {status === CONNECTION_STATUS.DISCONNECTED && (
+        <Button type="link" size="small" onClick={reconnect}>Retry now</Button>
+      )}
+      {status === CONNECTION_STATUS.UNAUTHORIZED && <Link to="/logout">Log in again</Link>}
+    </Space>
+  );
+};
+
+export default ConnectionStatus;
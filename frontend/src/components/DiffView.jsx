@@ -26,19 +26,80 @@
  * Change Log:
  *   - 04/07/2025: Created by user.
  *   - 04/07/2025: Fixed export to default.
+ *   - 10/19/2026: Rendered unified-diff hunks instead of full files.
+ *     - Why: Staged files carry a unified diff against a recorded base hash; full-file dumps hid the actual change.
+ *     - How: Accepts hunks from useTaskDiff.jsx (or computes them from original/modified with jsdiff), renders +/- lines per hunk, highlights conflict ranges.
+ *     - Test: Click "View Changes" in TaskList, verify @@ headers with green/red lines per file.
+ *   - 10/19/2026: Added optional line comments.
+ *     - Why: Proposal reviewers comment on individual lines of the preview diff (ProposalPreview.jsx).
+ *     - How: onLineClick receives the new-file line number of a context or added line; lineComments maps line numbers to comment counts.
+ *     - Test: Click a green line in a proposal preview, verify the line comment form opens for that line.
  * Future Enhancements:
- *   - Add react-diff-viewer for proper diff rendering.
+ *   - Add syntax highlighting inside hunks.
  */
 
 import React from 'react';
+import * as Diff from 'diff';
 
-const DiffView = ({ original, modified }) => (
-  <div>
-    <h3>Original:</h3>
-    <pre>{original || 'No original content'}</pre>
-    <h3>Modified:</h3>
-    <pre>{modified || 'No modified content'}</pre>
-  </div>
-);
+const lineStyles = {
+  '+': { background: '#e6ffed', color: '#22863a' },
+  '-': { background: '#ffeef0', color: '#b31d28' },
+  ' ': { color: '#24292e' },
+  '\\': { color: '#6a737d', fontStyle: 'italic' },
+};
+
+// New-file line number of each hunk line; removed lines and "\ No newline" markers have none
+const numberLines = (hunk) => {
+  let newLine = hunk.newStart;
+  return hunk.lines.map((line) => ({ line, lineNumber: line[0] === '-' || line[0] === '\\' ? null : newLine++ }));
+};
+
+const DiffView = ({ path, original, modified, hunks, conflicts = [], lineComments = {}, onLineClick }) => {
+  const fileHunks = hunks || Diff.structuredPatch(path || 'file', path || 'file', original || '', modified || '', '', '', { context: 3 }).hunks;
+
+  if (!fileHunks.length) {
+    return <pre>No changes</pre>;
+  }
+
+  const inConflict = (hunk) =>
+    conflicts.some(c => c.baseStart <= hunk.oldStart + hunk.oldLines && c.baseEnd >= hunk.oldStart);
+
+  return (
+    <div style={{ fontFamily: 'monospace', fontSize: 12 }}>
+      {path && <h4 style={{ margin: '8px 0' }}>{path}</h4>}
+      {fileHunks.map((hunk, i) => (
+        <div
+          key={`${hunk.oldStart}-${hunk.newStart}-${i}`}
+          style={{ border: `1px solid ${inConflict(hunk) ? '#ff4d4f' : '#e1e4e8'}`, marginBottom: 8 }}
+          data-testid="diff-hunk"
+        >
+          <div style={{ background: '#f1f8ff', color: '#0366d6', padding: '2px 8px' }}>
+            {`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`}
+            {inConflict(hunk) && <span style={{ color: '#ff4d4f', marginLeft: 8 }}>conflict</span>}
+          </div>
+          {numberLines(hunk).map(({ line, lineNumber }, j) => (
+            <pre
+              key={j}
+              style={{
+                margin: 0,
+                padding: '0 8px',
+                whiteSpace: 'pre-wrap',
+                ...(lineStyles[line[0]] || {}),
+                ...(onLineClick && lineNumber && { cursor: 'pointer' }),
+              }}
+              onClick={onLineClick && lineNumber ? () => onLineClick(lineNumber) : undefined}
+              data-line={lineNumber || undefined}
+            >
+              {line}
+              {lineComments[lineNumber] > 0 && (
+                <span style={{ float: 'right', color: '#1677ff' }}>{lineComments[lineNumber]} comment(s)</span>
+              )}
+            </pre>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
 
 export default DiffView;
@@ -1,13 +1,17 @@
 /*
  * File Path: frontend/src/components/FeedbackButton.jsx
- * Purpose: Provides a quick feedback submission button for Allur Space Console, sending feedback via WebSocket.
+ * Purpose: Feedback form for Allur Space Console with category, severity, screenshot, and the task or proposal being viewed.
  * How It Works:
- *   - Renders a button that opens a prompt for user feedback.
- *   - Sends feedback to the backend via Socket.IO taskSocket.
+ *   - Renders a button that opens a modal form: category, severity, message, and an optional screenshot.
+ *   - Sends the current page URL and the taskId/proposalId props with the feedback through useFeedback.submitFeedback.
  *   - Displays success/error messages using antd message.
  * Dependencies:
- *   - React: useCallback (version 18.3.1).
- *   - antd: Button, message for UI and notifications (version 5.24.6).
+ *   - React: useState (version 18.3.1).
+ *   - antd: Button, Modal, Form, Input, Select, Upload, Tag, Space for UI (version 5.24.6).
+ *   - useFeedback.js: submitFeedback, category and severity options.
+ * Dependents:
+ *   - GrokUI.jsx: General feedback next to the tabs.
+ *   - TaskList.jsx, ProposalList.jsx: Feedback about one task or proposal.
  * Why It’s Here:
  *   - Enables user feedback for Sprint 2 (04/07/2025).
  * Change Log:
@@ -17,43 +21,132 @@
  *     - Why: Vite error showed failed import of uuid (User, 04/29/2025).
  *     - How: Replaced uuid with browser-native crypto.randomUUID(), preserved all feedback functionality.
  *     - Test: Click feedback button, submit feedback, verify yellow log in LiveFeed.jsx, no import errors.
+ *   - 10/19/2026: Replaced the prompt() and socket message with a feedback form.
+ *     - Why: The server only rebroadcast the text; feedback is now stored with category, severity, page, screenshot, and context.
+ *     - How: Modal form posting multipart data to /api/grok/feedback; taskId/proposalId props link the feedback.
+ *     - Test: Click Feedback on a task row, attach a PNG, submit, verify the item in the Feedback tab with the task linked.
  * Test Instructions:
- *   - Run `npm run dev`, navigate to /grok: Click feedback button, submit "Test feedback", verify yellow log in LiveFeed.jsx.
- *   - Check browser console: Confirm no uuid import errors, valid JWT used.
+ *   - Run `npm run dev`, navigate to /grok: Click Feedback, submit "Diff view is blank" as a high severity bug, verify "Feedback submitted".
+ *   - Attach a PDF, verify the upload is refused; submit without a message, verify the form error.
  * Future Enhancements:
- *   - Add feedback form UI (Sprint 4).
- *   - Support feedback categories (Sprint 5).
+ *   - Capture the current page as the screenshot (Sprint 5).
  * Self-Notes:
  *   - Nate: Fixed uuid import with crypto.randomUUID(), preserved all functionality (04/29/2025).
  */
-import React, { useCallback } from 'react';
-import { Button, message } from 'antd';
-
-const FeedbackButton = ({ token, socketTasks, messageApi }) => {
-  const handleFeedback = useCallback(() => {
-    const feedback = prompt('Enter your feedback:');
-    if (feedback) {
-      if (!socketTasks) {
-        console.error('FeedbackButton: No socket instance available');
-        messageApi.error('Feedback submission failed: No socket connection');
-        return;
-      }
-      const eventId = crypto.randomUUID(); // Use browser-native UUID generator
-      socketTasks.emit('feedback', {
-        message: feedback,
-        timestamp: new Date().toISOString(),
-        eventId,
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button, Modal, Form, Input, Select, Upload, Tag, Space } from 'antd';
+import { UploadOutlined } from '@ant-design/icons';
+import { submitFeedback, FEEDBACK_CATEGORIES, FEEDBACK_SEVERITIES } from '../hooks/useFeedback';
+import { logClientError } from '../utils/logClientError';
+
+const SCREENSHOT_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const MAX_SCREENSHOT_MB = 5;
+
+const FeedbackButton = ({ taskId = null, proposalId = null, messageApi = null, buttonProps = {} }) => {
+  const [open, setOpen] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [screenshots, setScreenshots] = useState([]);
+  const [form] = Form.useForm();
+
+  const close = () => {
+    setOpen(false);
+    setScreenshots([]);
+    form.resetFields();
+  };
+
+  const beforeUpload = (file) => {
+    if (!SCREENSHOT_TYPES.includes(file.type)) {
+      messageApi?.error('Screenshot must be a PNG, JPEG, or WebP image');
+      return Upload.LIST_IGNORE;
+    }
+    if (file.size > MAX_SCREENSHOT_MB * 1024 * 1024) {
+      messageApi?.error(`Screenshot exceeds ${MAX_SCREENSHOT_MB} MB`);
+      return Upload.LIST_IGNORE;
+    }
+    setScreenshots([file]);
+    return false; // Uploaded with the form, not on selection
+  };
+
+  const handleSubmit = async (values) => {
+    setSubmitting(true);
+    try {
+      const feedback = await submitFeedback(
+        { ...values, pageUrl: window.location.href, taskId, proposalId },
+        screenshots[0] || null
+      );
+      console.log('FeedbackButton: Feedback submitted', { feedbackId: feedback.feedbackId, taskId, proposalId });
+      messageApi?.success('Feedback submitted');
+      close();
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error('FeedbackButton: Submission failed', { error: errorMessage });
+      messageApi?.error(`Feedback submission failed: ${errorMessage}`);
+      logClientError({
+        message: `FeedbackButton: submission error: ${errorMessage}`,
+        context: 'FeedbackButton',
+        details: { taskId, proposalId, stack: error.stack, timestamp: new Date().toISOString() },
       });
-      messageApi.success('Feedback submitted');
+    } finally {
+      setSubmitting(false);
     }
-  }, [socketTasks, messageApi]);
+  };
 
-  console.log('FeedbackButton: Initializing with token:', token ? 'present' : 'missing');
   return (
-    <Button type="primary" onClick={handleFeedback} style={{ marginTop: '20px' }}>
-      Quick Feedback
-    </Button>
+    <>
+      <Button onClick={() => setOpen(true)} data-testid="feedback-button" {...buttonProps}>
+        Feedback
+      </Button>
+      <Modal
+        title="Send feedback"
+        open={open}
+        onCancel={close}
+        onOk={() => form.submit()}
+        okText="Submit"
+        confirmLoading={submitting}
+        destroyOnClose
+      >
+        {(taskId || proposalId) && (
+          <Space style={{ marginBottom: 12 }}>
+            {taskId && <Tag>Task {taskId.slice(0, 8)}</Tag>}
+            {proposalId && <Tag>Proposal {proposalId.slice(-6)}</Tag>}
+          </Space>
+        )}
+        <Form form={form} layout="vertical" onFinish={handleSubmit} initialValues={{ category: 'bug', severity: 'medium' }}>
+          <Space style={{ display: 'flex' }} align="start">
+            <Form.Item name="category" label="Category" style={{ minWidth: 180 }}>
+              <Select options={FEEDBACK_CATEGORIES.map(({ value, label }) => ({ value, label }))} />
+            </Form.Item>
+            <Form.Item name="severity" label="Severity" style={{ minWidth: 140 }}>
+              <Select options={FEEDBACK_SEVERITIES.map(({ value, label }) => ({ value, label }))} />
+            </Form.Item>
+          </Space>
+          <Form.Item name="message" label="What happened?" rules={[{ required: true, whitespace: true, message: 'Please describe the feedback' }]}>
+            <Input.TextArea rows={4} maxLength={5000} showCount placeholder="Steps, expected and actual behavior" />
+          </Form.Item>
+          <Form.Item label="Screenshot">
+            <Upload
+              accept={SCREENSHOT_TYPES.join(',')}
+              beforeUpload={beforeUpload}
+              onRemove={() => setScreenshots([])}
+              fileList={screenshots}
+              maxCount={1}
+              listType="picture"
+            >
+              <Button icon={<UploadOutlined />}>Attach image</Button>
+            </Upload>
+          </Form.Item>
+        </Form>
+      </Modal>
+    </>
   );
 };
 
+FeedbackButton.propTypes = {
+  taskId: PropTypes.string,
+  proposalId: PropTypes.string,
+  messageApi: PropTypes.object,
+  buttonProps: PropTypes.object,
+};
+
 export default FeedbackButton;
@@ -0,0 +1,242 @@
+/*
+ * File Path: frontend/src/components/FeedbackTriage.jsx
+ * Purpose: Feedback tab of Allur Space Console for triaging feedback and turning it into tasks.
+ * How It Works:
+ *   - Lists feedback from useFeedback.js, newest first, filtered by status and category.
+ *   - Status is changed inline; expanding a row shows the full message, page, linked task/proposal, screenshot, and triage note.
+ *   - "Create task" opens the prefilled task prompt (GET /feedback/:feedbackId/task-draft) for editing before it is queued.
+ * Mechanics:
+ *   - Screenshots are fetched as blobs through apiClient (GET /grok/feedback/:feedbackId/screenshot) so the request
+ *     carries the session token; the object URL is revoked on unmount.
+ *   - Converted feedback shows the new task's ID instead of the button; the server refuses a second conversion.
+ * Dependencies:
+ *   - React: useState, useEffect (version 18.3.1).
+ *   - antd: Table, Tag, Select, Button, Space, Modal, Input, Typography, Descriptions (version 5.24.6).
+ *   - serverApiConfig.js: apiClient for screenshots.
+ *   - useFeedback.js: Feedback queue, triage, task drafts, conversion.
+ * Dependents:
+ *   - GrokUI.jsx: Feedback tab.
+ * Why It’s Here:
+ *   - Stored feedback needs a queue where admins triage it and hand it to the pipeline (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created feedback triage view.
+ *     - Why: Feedback carries category, severity, and context; reviewers triage it and create tasks from it.
+ *     - How: Table with inline status Select, expandable details, and a task draft modal.
+ *     - Test: Open the Feedback tab, click Create task on a bug, edit the prompt, verify a queued task and the Task tag.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, switch to Feedback, set an item to "Triaged", verify the tag after a refresh.
+ *   - Expand an item with a screenshot, verify the image loads.
+ * Rollback Instructions:
+ *   - Delete FeedbackTriage.jsx and remove the tab from GrokUI.jsx.
+ * Future Enhancements:
+ *   - Bulk triage of several items (Sprint 5).
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Table, Tag, Select, Button, Space, Modal, Input, Typography, Descriptions } from 'antd';
+import apiClient from '../config/serverApiConfig';
+import useFeedback, { FEEDBACK_CATEGORIES, FEEDBACK_SEVERITIES, FEEDBACK_STATUSES } from '../hooks/useFeedback';
+
+const { Text, Paragraph } = Typography;
+
+const byValue = (options) => Object.fromEntries(options.map((option) => [option.value, option]));
+const CATEGORIES = byValue(FEEDBACK_CATEGORIES);
+const SEVERITIES = byValue(FEEDBACK_SEVERITIES);
+
+const Screenshot = ({ feedbackId }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    apiClient.get(`/grok/feedback/${feedbackId}/screenshot`, { responseType: 'blob' })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch((error) => console.warn('FeedbackTriage: screenshot unavailable', { feedbackId, error: error.message }));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [feedbackId]);
+
+  if (!src) return <Text type="secondary">Loading screenshot…</Text>;
+  return <img src={src} alt="Feedback screenshot" style={{ maxWidth: '100%', border: '1px solid #d9d9d9' }} />;
+};
+
+Screenshot.propTypes = {
+  feedbackId: PropTypes.string.isRequired,
+};
+
+const FeedbackDetails = ({ item, onSaveNote }) => {
+  const [note, setNote] = useState(item.triageNote || '');
+
+  return (
+    <Descriptions size="small" column={1} bordered>
+      <Descriptions.Item label="Message"><Paragraph style={{ whiteSpace: 'pre-wrap', margin: 0 }}>{item.message}</Paragraph></Descriptions.Item>
+      <Descriptions.Item label="Page">{item.pageUrl ? <Text code>{item.pageUrl}</Text> : '–'}</Descriptions.Item>
+      <Descriptions.Item label="Linked">
+        {item.taskId ? <Tag>Task {item.taskId.slice(0, 8)}</Tag> : null}
+        {item.proposalId ? <Tag>Proposal {item.proposalId.slice(-6)}</Tag> : null}
+        {!item.taskId && !item.proposalId && '–'}
+      </Descriptions.Item>
+      <Descriptions.Item label="Reported by">{item.user} · {new Date(item.createdAt).toLocaleString()}</Descriptions.Item>
+      {item.screenshot?.path && (
+        <Descriptions.Item label="Screenshot"><Screenshot feedbackId={item.feedbackId} /></Descriptions.Item>
+      )}
+      <Descriptions.Item label="Triage note">
+        <Space.Compact style={{ width: '100%' }}>
+          <Input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Repro steps, owner, duplicate of…" />
+          <Button onClick={() => onSaveNote(item.feedbackId, note)} disabled={note === (item.triageNote || '')}>Save</Button>
+        </Space.Compact>
+      </Descriptions.Item>
+    </Descriptions>
+  );
+};
+
+FeedbackDetails.propTypes = {
+  item: PropTypes.object.isRequired,
+  onSaveNote: PropTypes.func.isRequired,
+};
+
+const FeedbackTriage = ({ messageApi = null }) => {
+  const [filters, setFilters] = useState({ status: undefined, category: undefined });
+  const { feedback, loading, refresh, triageFeedback, getTaskDraft, convertToTask } = useFeedback({ messageApi, filters });
+  const [draft, setDraft] = useState(null);
+  const [converting, setConverting] = useState(false);
+
+  const openDraft = async (feedbackId) => {
+    const prompt = await getTaskDraft(feedbackId);
+    if (prompt !== null) setDraft({ feedbackId, prompt });
+  };
+
+  const submitDraft = async () => {
+    setConverting(true);
+    const task = await convertToTask(draft.feedbackId, draft.prompt);
+    setConverting(false);
+    if (task) setDraft(null);
+  };
+
+  const columns = [
+    {
+      title: 'Received',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 170,
+      render: (createdAt) => new Date(createdAt).toLocaleString(),
+    },
+    {
+      title: 'Category',
+      dataIndex: 'category',
+      key: 'category',
+      render: (category) => <Tag color={CATEGORIES[category]?.color}>{CATEGORIES[category]?.label || category}</Tag>,
+    },
+    {
+      title: 'Severity',
+      dataIndex: 'severity',
+      key: 'severity',
+      render: (severity) => <Tag color={SEVERITIES[severity]?.color}>{SEVERITIES[severity]?.label || severity}</Tag>,
+    },
+    {
+      title: 'Feedback',
+      dataIndex: 'message',
+      key: 'message',
+      render: (message, item) => (
+        <Space direction="vertical" size={0}>
+          <Text ellipsis style={{ maxWidth: 420 }}>{message}</Text>
+          {item.pageUrl && <Text type="secondary" style={{ fontSize: 12 }}>{item.pageUrl.replace(window.location.origin, '')}</Text>}
+        </Space>
+      ),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status, item) => (
+        <Select
+          size="small"
+          value={status}
+          style={{ width: 130 }}
+          onChange={(value) => triageFeedback(item.feedbackId, { status: value })}
+          options={FEEDBACK_STATUSES.map(({ value, label }) => ({ value, label }))}
+          data-testid={`feedback-status-${item.feedbackId}`}
+        />
+      ),
+    },
+    {
+      title: 'Task',
+      key: 'task',
+      render: (_, item) => (item.convertedTaskId ? (
+        <Tag color="green">Task {item.convertedTaskId.slice(0, 8)}</Tag>
+      ) : (
+        <Button size="small" onClick={() => openDraft(item.feedbackId)} disabled={item.status === 'dismissed'}>
+          Create task
+        </Button>
+      )),
+    },
+  ];
+
+  return (
+    <div data-testid="feedback-triage">
+      <Space style={{ marginBottom: 16 }}>
+        <Select
+          allowClear
+          placeholder="All statuses"
+          style={{ width: 160 }}
+          value={filters.status}
+          onChange={(status) => setFilters((prev) => ({ ...prev, status }))}
+          options={FEEDBACK_STATUSES.map(({ value, label }) => ({ value, label }))}
+        />
+        <Select
+          allowClear
+          placeholder="All categories"
+          style={{ width: 180 }}
+          value={filters.category}
+          onChange={(category) => setFilters((prev) => ({ ...prev, category }))}
+          options={FEEDBACK_CATEGORIES.map(({ value, label }) => ({ value, label }))}
+        />
+        <Button onClick={refresh} loading={loading}>Refresh</Button>
+      </Space>
+      <Table
+        rowKey="feedbackId"
+        size="small"
+        loading={loading}
+        columns={columns}
+        dataSource={feedback}
+        expandable={{
+          expandedRowRender: (item) => (
+            <FeedbackDetails item={item} onSaveNote={(feedbackId, triageNote) => triageFeedback(feedbackId, { triageNote })} />
+          ),
+        }}
+        pagination={{ pageSize: 20 }}
+      />
+      <Modal
+        title="Create task from feedback"
+        open={Boolean(draft)}
+        onCancel={() => setDraft(null)}
+        onOk={submitDraft}
+        okText="Queue task"
+        okButtonProps={{ disabled: !draft?.prompt?.trim() }}
+        confirmLoading={converting}
+        width={720}
+      >
+        <Text type="secondary">The prompt is prefilled from the feedback and the task or proposal it was sent from.</Text>
+        <Input.TextArea
+          rows={10}
+          value={draft?.prompt}
+          onChange={(e) => setDraft((prev) => ({ ...prev, prompt: e.target.value }))}
+          style={{ marginTop: 8 }}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+FeedbackTriage.propTypes = {
+  messageApi: PropTypes.object,
+};
+
+export default FeedbackTriage;
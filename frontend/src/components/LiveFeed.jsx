@@ -5,10 +5,17 @@
  *   - Uses useLiveFeed.js to receive taskUpdate, backendProposal, and feedback events.
  *   - Renders events in a scrollable list with color-coded status and timestamps.
  *   - Limits display to 50 events, with a button to clear all events.
+ *   - Below the live events, shows the stored history from useEventHistory.js with search, type and status filters,
+ *     and a "Load older" button.
+ * Mechanics:
+ *   - Live and stored events are merged by seq (live copy wins) and shown newest first; live events are filtered
+ *     on the client with the same rules the server applies to history.
+ *   - Clear hides everything up to the newest seq shown; changing a filter shows the full history again.
  * Dependencies:
  *   - React: Core library (version 18.3.1).
- *   - antd: Button, List for UI (version 5.24.6).
+ *   - antd: Button, List, Input, Select, Space for UI (version 5.24.6).
  *   - useLiveFeed.js: Provides WebSocket events.
+ *   - useEventHistory.js: Stored event history.
  *   - logClientError.js: Logs skipped duplicate events.
  * Why It’s Here:
  *   - Provides real-time feedback for Sprint 2 (04/07/2025).
@@ -23,6 +30,10 @@
  *     - Why: Events not rendering despite useLiveFeed.js processing (User, 05/04/2025).
  *     - How: Added detailed logging for event validation failures, preserved functionality.
  *     - Test: Load /grok, submit task, verify events render in LiveFeed.jsx, check logs for validation failures.
+ *   - 10/19/2026: Added event history, search, and filters.
+ *     - Why: A page refresh emptied the feed, and older events could not be found.
+ *     - How: useEventHistory.js pages through GET /api/grok/events; search box, type and status selects, "Load older".
+ *     - Test: Submit a task, refresh /grok, verify its events are still listed; filter by status "failed".
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, submit multiple tasks.
  *   - Verify events render with colors (green/yellow/red/blue), max 50 displayed.
@@ -32,37 +43,68 @@
  *   - Revert to LiveFeed.jsx.bak (`mv frontend/src/components/LiveFeed.jsx.bak frontend/src/components/LiveFeed.jsx`).
  *   - Verify /grok loads (may have rendering issues).
  * Future Enhancements:
- *   - Add event filtering by type (Sprint 3).
- *   - Support event persistence (Sprint 4).
+ *   - Filter by task from the TaskList row (Sprint 5).
  */
 
-import React, { useState } from 'react';
-import { List, Button } from 'antd';
+import React, { useState, useMemo } from 'react';
+import { List, Button, Input, Select, Space } from 'antd';
 import useLiveFeed from '../hooks/useLiveFeed';
+import useEventHistory from '../hooks/useEventHistory';
 import { logClientError } from '../utils/logClientError';
 import PropTypes from 'prop-types';
 
+const TYPE_OPTIONS = [
+  { label: 'Task updates', value: 'taskUpdate' },
+  { label: 'Proposals', value: 'backendProposal' },
+  { label: 'Proposal decisions', value: 'backendProposalUpdate' },
+];
+
+const STATUS_OPTIONS = ['queued', 'running', 'tested', 'pending_approval', 'applied', 'denied', 'failed', 'cancelled', 'deleted']
+  .map((status) => ({ label: status, value: status }));
+
+// Same fields the server searches: message, error, taskId
+const matchesFilters = (event, { q, type, status }) => {
+  if (type && event.type !== type) return false;
+  if (status && event.data?.status !== status) return false;
+  if (!q) return true;
+  const needle = q.toLowerCase();
+  return [event.data?.message, event.data?.error, event.data?.taskId].some((value) => typeof value === 'string' && value.toLowerCase().includes(needle));
+};
+
 const LiveFeed = ({ token }) => {
   const { feed: events = [] } = useLiveFeed({
     singletonFlag: 'livefeed',
     token,
     maxEvents: 50,
   });
-  const [displayEvents, setDisplayEvents] = useState([]);
+  const [filters, setFilters] = useState({});
+  const [cleared, setCleared] = useState(null);
+  const history = useEventHistory({ filters });
 
-  // Limit to 50 events
-  React.useEffect(() => {
-    const limitedEvents = (events || []).slice(-50);
-    setDisplayEvents(limitedEvents);
+  const displayEvents = useMemo(() => {
+    const live = (events || []).filter((event) => matchesFilters(event, filters));
+    const liveSeqs = new Set(live.map((event) => event.seq).filter(Boolean));
+    const merged = [...live, ...history.events.filter((event) => !liveSeqs.has(event.seq))]
+      .filter((event) => !cleared || (event.seq ? event.seq > cleared.seq : new Date(event.timestamp) > cleared.at))
+      // Local events without seq (connection errors) stay on top
+      .sort((a, b) => (b.seq || Number.MAX_SAFE_INTEGER) - (a.seq || Number.MAX_SAFE_INTEGER));
     console.log('LiveFeed: Updated displayEvents', {
-      eventCount: limitedEvents.length,
-      eventIds: limitedEvents.map(event => event.id),
+      liveCount: live.length,
+      historyCount: history.events.length,
+      eventCount: merged.length,
       timestamp: new Date().toISOString(),
     });
-  }, [events]);
+    return merged;
+  }, [events, history.events, filters, cleared]);
+
+  const updateFilter = (key, value) => {
+    setCleared(null);
+    setFilters((prev) => ({ ...prev, [key]: value || undefined }));
+  };
 
   const clearEvents = () => {
-    setDisplayEvents([]);
+    const seqs = displayEvents.map((event) => event.seq).filter(Boolean);
+    setCleared({ seq: seqs.length ? Math.max(...seqs) : 0, at: new Date() });
     console.log('LiveFeed: Cleared events', { timestamp: new Date().toISOString() });
   };
 
@@ -76,9 +118,14 @@ const LiveFeed = ({ token }) => {
 
   return (
     <div className="mt-4">
-      <Button type="primary" onClick={clearEvents} style={{ marginBottom: 10 }}>
-        Clear Live Feed
-      </Button>
+      <Space wrap style={{ marginBottom: 10 }}>
+        <Button type="primary" onClick={clearEvents}>
+          Clear Live Feed
+        </Button>
+        <Input.Search allowClear placeholder="Search events" onSearch={(value) => updateFilter('q', value.trim())} style={{ width: 240 }} />
+        <Select allowClear placeholder="Type" options={TYPE_OPTIONS} value={filters.type} onChange={(value) => updateFilter('type', value)} style={{ width: 180 }} />
+        <Select allowClear placeholder="Status" options={STATUS_OPTIONS} value={filters.status} onChange={(value) => updateFilter('status', value)} style={{ width: 180 }} />
+      </Space>
       <List
         bordered
         dataSource={displayEvents}
@@ -113,6 +160,12 @@ const LiveFeed = ({ token }) => {
             </List.Item>
           );
         }}
+        loading={history.loading && !displayEvents.length}
+        loadMore={history.hasMore && !cleared && (
+          <div style={{ textAlign: 'center', margin: '8px 0' }}>
+            <Button size="small" loading={history.loading} onClick={history.loadMore}>Load older</Button>
+          </div>
+        )}
         style={{ maxHeight: '400px', overflowY: 'auto', background: '#fff' }}
       />
     </div>
@@ -7,8 +7,13 @@
  *   - Calls action handlers from useProposals.js for bulk approve/deny, testing, and individual approval/denial.
  *   - Includes bulk action buttons (Bulk Approve, Bulk Deny) above the table.
  * Dependencies:
- *   - antd: Table, Checkbox, Button, Tag, Space, Icons (CheckOutlined, CloseOutlined, PlayCircleOutlined), Empty for UI components and styling.
+ *   - antd: Table, Checkbox, Button, Tag, Space, Popover, Icons (CheckOutlined, CloseOutlined, PlayCircleOutlined), Empty for UI components and styling.
  *   - React: Core library for rendering.
+ *   - SecurityFindings.jsx: Security review findings in the Risk column popover.
+ *   - ProposalPreview.jsx: Diff preview of a proposal's structured edit, with line comments.
+ *   - ProposalReview.jsx: Expanded row with reviewers, threaded comments, and the review timeline.
+ *   - useProposalReview.js: Comment and reviewer actions.
+ *   - FeedbackButton.jsx: Feedback linked to a proposal.
  * Dependents:
  *   - GrokUI.jsx: Renders ProposalList within a Card to display backend proposals.
  *   - useProposals.js: Provides backendProposals, selectedProposals, and action handlers (handleBulkApprove, handleBulkDeny, showProposalModal, handleTestProposal, handleDenyProposal).
@@ -22,22 +27,48 @@
  *     - Why: Fix empty ProposalList.jsx display (User, 04/25/2025).
  *     - How: Added antd Empty component for zero proposals, strengthened prop validation.
  *     - Test: Run `npm run dev`, navigate to /grok, verify empty state or proposals, check console for props logs.
+ *   - 10/19/2026: Added Risk column and second approval state.
+ *     - Why: Backend proposals carry a securityReview; high-risk ones need two approvals.
+ *     - How: Risk tag with a findings popover, Approve/Deny also shown for "awaiting_second_approval", orange status tag.
+ *     - Test: Create a proposal with require('child_process'), verify a red HIGH tag, approve once, verify status "awaiting_second_approval".
+ *   - 10/19/2026: Added diff preview and revert for applied proposals.
+ *     - Why: Approved proposals are applied as structured edits and can be reverted exactly.
+ *     - How: ProposalPreview.jsx in every row, Revert (handleDenyProposal) for approved proposals with an applied patch, purple "reverted" tag.
+ *     - Test: Approve a proposal, click Preview, verify the applied diff; click Revert, verify status "reverted".
+ *   - 10/19/2026: Added the review workflow.
+ *     - Why: Proposals need threaded and per-line comments, assigned reviewers, required approvals, and a review timeline.
+ *     - How: Expandable rows render ProposalReview.jsx; Preview takes addComment for line comments; updated proposals from
+ *       useProposalReview.js are merged over backendProposals.
+ *     - Test: Expand a proposal, comment, verify the comment and a "commented" timeline entry.
+ *   - 10/19/2026: Added a Feedback link per proposal.
+ *     - Why: Reviewers report problems with a proposal without retyping which file and task it was.
+ *     - How: FeedbackButton.jsx with the proposal's _id; the server links the proposal's task as well.
+ *     - Test: Click Feedback on a proposal, submit, verify the item shows both the proposal and task tags.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok: Verify ProposalList shows proposals or Empty component with “No proposals available” message.
  *   - Submit "Add payroll to EmployeeLog": Confirm proposals in ProposalList, yellow log in LiveFeed.
  *   - Select proposals, click "Bulk Approve": Verify oldest pending included, status=approved, live feed green log.
  * Future Enhancements:
  *   - Add proposal filtering by status, task ID, or file (Sprint 4).
- *   - Support proposal comments for collaboration (Sprint 6).
  * Self-Notes:
  *   - Nate: Added null checks and debug logs to fix runtime error (04/23/2025).
  *   - Nate: Added Empty component for empty state (04/25/2025).
  */
-import React from 'react';
-import { Table, Checkbox, Button, Tag, Space, Empty } from 'antd';
-import { PlayCircleOutlined, CheckOutlined, CloseOutlined } from '@ant-design/icons';
+import React, { useState, useCallback } from 'react';
+import { Table, Checkbox, Button, Tag, Space, Empty, Popover } from 'antd';
+import { PlayCircleOutlined, CheckOutlined, CloseOutlined, UndoOutlined } from '@ant-design/icons';
+import SecurityFindings from './SecurityFindings';
+import ProposalPreview from './ProposalPreview';
+import ProposalReview from './ProposalReview';
+import FeedbackButton from './FeedbackButton';
+import useProposalReview from '../hooks/useProposalReview';
+
+const RISK_COLORS = { high: 'red', medium: 'gold', low: 'green' };
+const STATUS_COLORS = { approved: 'green', denied: 'red', awaiting_second_approval: 'orange', reverted: 'purple' };
 
 const ProposalList = ({
+  token = null,
+  messageApi = null,
   backendProposals = [],
   selectedProposals = [],
   setSelectedProposals = () => console.warn('setSelectedProposals not defined'),
@@ -48,6 +79,13 @@ const ProposalList = ({
   handleTestProposal = () => console.warn('handleTestProposal not defined'),
   handleDenyProposal = () => console.warn('handleDenyProposal not defined'),
 }) => {
+  // Review actions return the updated proposal; keep it until backendProposals catches up
+  const [reviewUpdates, setReviewUpdates] = useState({});
+  const onProposalUpdate = useCallback((proposal) => {
+    if (proposal?._id) setReviewUpdates((prev) => ({ ...prev, [proposal._id]: proposal }));
+  }, []);
+  const { reviewers, saving, addComment, assignReviewers } = useProposalReview({ token, messageApi, onProposalUpdate });
+
   console.log('ProposalList rendering, props:', {
     backendProposalsLength: backendProposals?.length,
     selectedProposalsLength: selectedProposals?.length,
@@ -109,17 +147,32 @@ const ProposalList = ({
       dataIndex: 'status',
       key: 'status',
       render: (status) => (
-        <Tag color={status === 'approved' ? 'green' : status === 'denied' ? 'red' : 'yellow'}>
+        <Tag color={STATUS_COLORS[status] || 'yellow'}>
           {status || 'Unknown'}
         </Tag>
       ),
     },
+    {
+      title: 'Risk',
+      key: 'risk',
+      render: (_, record) => (record.securityReview?.riskLevel ? (
+        <Popover
+          title="Security review"
+          content={<div style={{ maxWidth: 420 }}><SecurityFindings securityReview={record.securityReview} approvals={record.approvals} /></div>}
+        >
+          <Tag color={RISK_COLORS[record.securityReview.riskLevel]} style={{ cursor: 'pointer' }}>
+            {record.securityReview.riskLevel.toUpperCase()}
+          </Tag>
+        </Popover>
+      ) : 'N/A'),
+    },
     {
       title: 'Actions',
       key: 'actions',
       render: (_, record) => (
         <Space size="middle">
-          {record.status === 'pending' && (
+          <ProposalPreview proposal={record} addComment={addComment} saving={saving} />
+          {['pending', 'awaiting_second_approval'].includes(record.status) && (
             <>
               <Button
                 type="link"
@@ -150,6 +203,19 @@ const ProposalList = ({
               </Button>
             </>
           )}
+          {record.status === 'approved' && record.applied?.patch && !record.applied?.revertedAt && (
+            <Button
+              type="link"
+              icon={<UndoOutlined />}
+              onClick={() => handleDenyProposal(record._id)}
+              loading={buttonLoading[`deny_proposal_${record._id}`]}
+            >
+              Revert
+            </Button>
+          )}
+          {record._id && (
+            <FeedbackButton proposalId={record._id} messageApi={messageApi} buttonProps={{ type: 'link' }} />
+          )}
         </Space>
       ),
     },
@@ -174,9 +240,21 @@ const ProposalList = ({
       </Space>
       <Table
         columns={columns}
-        dataSource={backendProposals}
+        dataSource={backendProposals.map((p) => (reviewUpdates[p._id] ? { ...p, ...reviewUpdates[p._id] } : p))}
         rowKey="_id"
         pagination={{ pageSize: 10 }}
+        expandable={{
+          expandedRowRender: (record) => (
+            <ProposalReview
+              proposal={record}
+              reviewers={reviewers}
+              saving={saving}
+              addComment={addComment}
+              assignReviewers={assignReviewers}
+            />
+          ),
+          rowExpandable: (record) => !!record._id,
+        }}
       />
     </>
   );
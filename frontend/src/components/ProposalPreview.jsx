@@ -0,0 +1,152 @@
+/*
+ * File Path: frontend/src/components/ProposalPreview.jsx
+ * Purpose: Diff preview of a backend proposal's structured edit in Allur Space Console.
+ * How It Works:
+ *   - A "Preview" link button opens a modal and fetches GET /grok/backend-proposals/:proposalId/preview.
+ *   - Pending proposals are diffed against the target file as it is now; applied ones show the patch that was written.
+ *   - The unified patch is parsed with diff's parsePatch and rendered by DiffView.jsx.
+ *   - Clicking a diff line opens a comment form for that line; existing line comments are listed under the diff.
+ * Dependencies:
+ *   - React: useState for modal and preview state (version 18.3.1).
+ *   - antd: Button, Modal, Alert, Spin, Tag, Input, Typography (version 5.24.6).
+ *   - diff: parsePatch for the unified patch.
+ *   - axios: apiClient for API calls (serverApiConfig.js).
+ *   - DiffView.jsx: Hunk rendering.
+ * Dependents:
+ *   - ProposalList.jsx: Actions column.
+ * Why It’s Here:
+ *   - Proposals are applied as AST edits to existing backend files, so reviewers need the exact diff before approving (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created proposal diff preview.
+ *     - Why: Approving a proposal now edits the target file instead of appending a comment.
+ *     - How: Fetches the preview endpoint on open, renders DiffView with parsed hunks, shows edit errors as an Alert.
+ *     - Test: Click Preview on a pending insert_route proposal, verify the added router line in green.
+ *   - 10/19/2026: Added per-line comments.
+ *     - Why: Reviewers discuss specific lines of a proposal's diff.
+ *     - How: DiffView onLineClick selects a line, addComment (useProposalReview.js) posts { body, line }, lineComments marks commented lines.
+ *     - Test: Click an added line, comment, verify "1 comment(s)" on that line and the comment in the expanded row.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, click Preview on a proposal, verify the diff; edit the target file and reopen, verify the diff follows it.
+ * Rollback Instructions:
+ *   - Delete ProposalPreview.jsx and remove it from ProposalList.jsx.
+ * Future Enhancements:
+ *   - Side-by-side view for modify_function edits (Sprint 5).
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button, Modal, Alert, Spin, Tag, Input, Typography } from 'antd';
+import { EyeOutlined } from '@ant-design/icons';
+import * as Diff from 'diff';
+import apiClient from '../config/serverApiConfig';
+import DiffView from './DiffView';
+
+const { Text } = Typography;
+
+const ProposalPreview = ({ proposal, addComment, saving = false }) => {
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [commentLine, setCommentLine] = useState(null);
+  const [commentBody, setCommentBody] = useState('');
+
+  const loadPreview = async () => {
+    setOpen(true);
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await apiClient.get(`/grok/backend-proposals/${proposal._id}/preview`);
+      console.log('ProposalPreview: preview response:', { proposalId: proposal._id, applied: res.data.applied });
+      setPreview(res.data);
+    } catch (err) {
+      console.error('ProposalPreview: preview error:', err);
+      setPreview(null);
+      setError(err.response?.data?.error || 'Failed to load proposal preview');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const patch = preview?.preview?.patch;
+  const hunks = patch ? Diff.parsePatch(patch)[0]?.hunks || [] : [];
+  const lineComments = (proposal.comments || []).filter((comment) => comment.line);
+  const lineCounts = lineComments.reduce((counts, comment) => ({ ...counts, [comment.line]: (counts[comment.line] || 0) + 1 }), {});
+
+  const submitLineComment = async () => {
+    const added = await addComment(proposal._id, { body: commentBody, line: commentLine });
+    if (added) {
+      setCommentBody('');
+      setCommentLine(null);
+    }
+  };
+
+  return (
+    <>
+      <Button type="link" icon={<EyeOutlined />} onClick={loadPreview} disabled={!proposal._id}>
+        Preview
+      </Button>
+      <Modal
+        title={`Preview: ${proposal.file || 'Unknown'}`}
+        open={open}
+        onCancel={() => setOpen(false)}
+        footer={null}
+        width={900}
+      >
+        {loading ? <Spin /> : (
+          <div data-testid="proposal-preview">
+            {preview?.edit?.kind && (
+              <p>
+                <Tag color="blue">{preview.edit.kind}</Tag>
+                {preview.applied && <Tag color="green">applied</Tag>}
+              </p>
+            )}
+            {(error || preview?.preview?.error) && (
+              <Alert type="error" showIcon message={error || preview.preview.error} style={{ marginBottom: 8 }} />
+            )}
+            {patch && (
+              <DiffView
+                path={preview.file}
+                hunks={hunks}
+                lineComments={lineCounts}
+                onLineClick={addComment ? setCommentLine : undefined}
+              />
+            )}
+            {commentLine && (
+              <div style={{ marginTop: 8 }}>
+                <Text strong>Comment on line {commentLine}</Text>
+                <Input.TextArea rows={2} value={commentBody} onChange={(e) => setCommentBody(e.target.value)} style={{ margin: '4px 0' }} />
+                <Button onClick={submitLineComment} loading={saving} disabled={!commentBody.trim()} style={{ marginRight: 8 }}>
+                  Comment
+                </Button>
+                <Button onClick={() => setCommentLine(null)}>Cancel</Button>
+              </div>
+            )}
+            {lineComments.length > 0 && (
+              <ul style={{ marginTop: 8, paddingLeft: 18 }}>
+                {lineComments.map((comment) => (
+                  <li key={comment._id}>
+                    <Tag>Line {comment.line}</Tag>
+                    <Text strong>{comment.author}</Text>: {comment.body}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+ProposalPreview.propTypes = {
+  proposal: PropTypes.shape({
+    _id: PropTypes.string,
+    file: PropTypes.string,
+    comments: PropTypes.arrayOf(PropTypes.object),
+  }).isRequired,
+  addComment: PropTypes.func,
+  saving: PropTypes.bool,
+};
+
+export default ProposalPreview;
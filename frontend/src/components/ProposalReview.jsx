@@ -0,0 +1,152 @@
+/*
+ * File Path: frontend/src/components/ProposalReview.jsx
+ * Purpose: Review panel for a backend proposal in Allur Space Console: reviewers, approvals, comments, timeline.
+ * How It Works:
+ *   - Rendered as the expanded row of ProposalList.jsx.
+ *   - Reviewer select lists active admins; changing it assigns reviewers through useProposalReview.js.
+ *   - Comments are threaded: replies (parentId) are indented under their parent, line comments are tagged with their line.
+ *   - The timeline lists proposal.history (created, commented, reviewers_assigned, approved, applied, denied, reverted).
+ * Dependencies:
+ *   - React: useState for the comment form (version 18.3.1).
+ *   - antd: Timeline, Select, Input, Button, Tag, Typography, Space (version 5.24.6).
+ *   - moment: Timestamp formatting.
+ * Dependents:
+ *   - ProposalList.jsx: Expanded row.
+ * Why It’s Here:
+ *   - Proposals had no discussion, reviewers, or record of who did what (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created proposal review panel.
+ *     - Why: Review workflow for BackendProposal (proposalReview.js).
+ *     - How: Reviewer select, approvals tag, threaded comments with replies, history timeline.
+ *     - Test: Expand a proposal, reply to a comment, verify the reply is indented under it and the timeline shows "commented".
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, expand a proposal, assign a reviewer, verify a "reviewers_assigned" timeline entry.
+ * Rollback Instructions:
+ *   - Delete ProposalReview.jsx and remove the expandable row from ProposalList.jsx.
+ * Future Enhancements:
+ *   - Resolve and collapse comment threads (Sprint 5).
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Timeline, Select, Input, Button, Tag, Typography, Space } from 'antd';
+import moment from 'moment';
+
+const { Text } = Typography;
+
+const HISTORY_COLORS = {
+  created: 'gray',
+  commented: 'blue',
+  reviewers_assigned: 'blue',
+  approved: 'green',
+  applied: 'green',
+  denied: 'red',
+  reverted: 'red',
+};
+
+const formatTime = (time) => moment(time).format('MMM D YYYY, h:mm a');
+
+const ProposalReview = ({ proposal, reviewers = [], saving = false, addComment, assignReviewers }) => {
+  const [body, setBody] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+
+  const comments = proposal.comments || [];
+  const threads = comments.filter((comment) => !comment.parentId);
+  const repliesOf = (comment) => comments.filter((reply) => String(reply.parentId) === String(comment._id));
+  const history = [...(proposal.history || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  const submitComment = async () => {
+    const added = await addComment(proposal._id, { body, ...(replyTo && { parentId: replyTo._id }) });
+    if (added) {
+      setBody('');
+      setReplyTo(null);
+    }
+  };
+
+  const renderComment = (comment, depth = 0) => (
+    <div key={comment._id} style={{ marginLeft: depth * 24, marginBottom: 8 }} data-testid="proposal-comment">
+      <Text strong>{comment.author}</Text>
+      <Text type="secondary" style={{ marginLeft: 8 }}>{formatTime(comment.createdAt)}</Text>
+      {comment.line && <Tag style={{ marginLeft: 8 }}>Line {comment.line}</Tag>}
+      <div style={{ whiteSpace: 'pre-wrap' }}>{comment.body}</div>
+      <Button type="link" size="small" style={{ padding: 0 }} onClick={() => setReplyTo(comment)}>
+        Reply
+      </Button>
+      {repliesOf(comment).map((reply) => renderComment(reply, depth + 1))}
+    </div>
+  );
+
+  return (
+    <div style={{ display: 'flex', gap: 24 }} data-testid="proposal-review">
+      <div style={{ flex: 2 }}>
+        <Space style={{ marginBottom: 12 }} wrap>
+          <Text>Reviewers:</Text>
+          <Select
+            mode="multiple"
+            style={{ minWidth: 280 }}
+            placeholder="Anyone can approve"
+            value={proposal.reviewers || []}
+            options={reviewers.map((admin) => ({ value: admin.email.toLowerCase(), label: admin.name ? `${admin.name} (${admin.email})` : admin.email }))}
+            onChange={(emails) => assignReviewers(proposal._id, emails)}
+            disabled={saving || !['pending', 'awaiting_second_approval'].includes(proposal.status)}
+          />
+          <Tag color={(proposal.approvals || []).length >= (proposal.approvalsRequired || 1) ? 'green' : 'orange'}>
+            {(proposal.approvals || []).length}/{proposal.approvalsRequired || 1} approvals
+          </Tag>
+        </Space>
+        {threads.length === 0 && <Text type="secondary" style={{ display: 'block', marginBottom: 8 }}>No comments yet</Text>}
+        {threads.map((comment) => renderComment(comment))}
+        {replyTo && (
+          <Text type="secondary" style={{ display: 'block' }}>
+            Replying to {replyTo.author}
+            <Button type="link" size="small" onClick={() => setReplyTo(null)}>Cancel</Button>
+          </Text>
+        )}
+        <Input.TextArea
+          rows={2}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder="Add a comment"
+          style={{ marginBottom: 8 }}
+        />
+        <Button onClick={submitComment} loading={saving} disabled={!body.trim()}>
+          {replyTo ? 'Reply' : 'Comment'}
+        </Button>
+      </div>
+      <div style={{ flex: 1 }}>
+        <Text strong style={{ display: 'block', marginBottom: 8 }}>Review history</Text>
+        <Timeline
+          items={history.map((entry, index) => ({
+            key: `${entry.action}-${index}`,
+            color: HISTORY_COLORS[entry.action] || 'gray',
+            children: (
+              <>
+                <Text>{entry.action.replace(/_/g, ' ')} by {entry.actor || 'system'}</Text>
+                <div><Text type="secondary">{formatTime(entry.at)}</Text></div>
+                {entry.details && <div><Text type="secondary">{entry.details}</Text></div>}
+              </>
+            ),
+          }))}
+        />
+      </div>
+    </div>
+  );
+};
+
+ProposalReview.propTypes = {
+  proposal: PropTypes.shape({
+    _id: PropTypes.string,
+    status: PropTypes.string,
+    reviewers: PropTypes.arrayOf(PropTypes.string),
+    approvals: PropTypes.arrayOf(PropTypes.object),
+    approvalsRequired: PropTypes.number,
+    comments: PropTypes.arrayOf(PropTypes.object),
+    history: PropTypes.arrayOf(PropTypes.object),
+  }).isRequired,
+  reviewers: PropTypes.arrayOf(PropTypes.object),
+  saving: PropTypes.bool,
+  addComment: PropTypes.func.isRequired,
+  assignReviewers: PropTypes.func.isRequired,
+};
+
+export default ProposalReview;
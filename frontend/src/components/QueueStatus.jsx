@@ -0,0 +1,80 @@
+/*
+ * File Path: frontend/src/components/QueueStatus.jsx
+ * Purpose: Shows task job queue depth and worker status in Allur Space Console.
+ * How It Works:
+ *   - Fetches GET /api/grok/queue on mount, then follows queueStatus events from useTaskSocket.js.
+ *   - Renders queued, running (of concurrency), failed, and cancelled counts as tags.
+ * Dependencies:
+ *   - React: useState, useEffect (version 18.3.1).
+ *   - antd: Space, Tag, Typography (version 5.24.6).
+ *   - useTaskSocket.js: queueStatus events.
+ *   - serverApiConfig.js: apiClient for the initial fetch.
+ *   - logClientError.js: Client-side error logging.
+ * Dependents:
+ *   - GrokUI.jsx: Rendered above TaskList.jsx.
+ * Why It’s Here:
+ *   - Task processing moved to a backend job queue; the console needs to show what is waiting (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created queue status bar.
+ *     - Why: Tasks now wait in jobQueue.js before processing.
+ *     - How: Initial GET /grok/queue, live updates from useTaskSocket queueStatus.
+ *     - Test: Submit three tasks with TASK_QUEUE_CONCURRENCY=1, verify "Queued 2" and "Running 1/1".
+ * Test Instructions:
+ *   - Run `npm run dev`, navigate to /grok, verify the queue bar shows "Queued 0".
+ *   - Submit several tasks, verify queued and running counts change without a reload.
+ * Rollback Instructions:
+ *   - Delete QueueStatus.jsx and remove it from GrokUI.jsx.
+ * Future Enhancements:
+ *   - Per-user queue position on each queued task (Sprint 5).
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Space, Tag, Typography } from 'antd';
+import PropTypes from 'prop-types';
+import useTaskSocket from '../hooks/useTaskSocket';
+import apiClient from '../config/serverApiConfig';
+import { logClientError } from '../utils/logClientError';
+
+const { Text } = Typography;
+
+const QueueStatus = ({ token }) => {
+  const [socketError, setSocketError] = useState(null);
+  const { queueStatus: liveStatus } = useTaskSocket({ token, setSocketError });
+  const [initialStatus, setInitialStatus] = useState(null);
+
+  useEffect(() => {
+    apiClient.get('/grok/queue')
+      .then((response) => setInitialStatus(response.data.queue))
+      .catch((error) => {
+        const errorMessage = error.response?.data?.message || error.message;
+        console.error('QueueStatus: Fetch queue failed', { error: errorMessage });
+        logClientError({
+          message: `QueueStatus: fetch error: ${errorMessage}`,
+          context: 'QueueStatus',
+          details: { stack: error.stack, timestamp: new Date().toISOString() },
+        });
+      });
+  }, [token]);
+
+  const status = liveStatus || initialStatus;
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Space style={{ margin: '16px 0' }} data-testid="queue-status">
+      <Text strong>Queue</Text>
+      <Tag color={status.queued ? 'blue' : 'default'}>Queued {status.queued}</Tag>
+      <Tag color={status.running ? 'processing' : 'default'}>Running {status.running}/{status.concurrency}</Tag>
+      {status.failed > 0 && <Tag color="red">Failed {status.failed}</Tag>}
+      {status.cancelled > 0 && <Tag>Cancelled {status.cancelled}</Tag>}
+      {socketError && <Text type="warning">Live updates unavailable</Text>}
+    </Space>
+  );
+};
+
+QueueStatus.propTypes = {
+  token: PropTypes.string,
+};
+
+export default QueueStatus;
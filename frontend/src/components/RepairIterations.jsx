@@ -0,0 +1,162 @@
+/*
+ * File Path: frontend/src/components/RepairIterations.jsx
+ * Purpose: Lists the test repair loop iterations of a task for Allur Space Console.
+ * How It Works:
+ *   - Renders task.repairIterations from testRepair.js as a timeline, one entry per Playwright run.
+ *   - Failed runs show the failure output, console errors, and the screenshot taken when they failed.
+ *   - The fix applied after a failed run (code repair or rewritten test) shows its files and the diff it made.
+ * Mechanics:
+ *   - Screenshots are fetched as blobs through apiClient (GET /grok/tasks/:taskId/repairs/:runId/:iteration/screenshot)
+ *     so the Authorization header is sent; object URLs are revoked on unmount.
+ *   - fix.patch holds one unified patch per changed file; parsePatch splits it and DiffView renders each file.
+ * Dependencies:
+ *   - React: useState, useEffect for screenshot loading (version 18.3.1).
+ *   - antd: Timeline, Tag, Typography, Collapse, Empty (version 5.24.6).
+ *   - diff: parsePatch for fix patches.
+ *   - moment: Timestamp formatting.
+ *   - axios: apiClient for screenshots (serverApiConfig.js).
+ *   - DiffView.jsx: Hunk rendering.
+ * Dependents:
+ *   - TaskList.jsx: Test runs modal in the Checks column.
+ * Why It’s Here:
+ *   - Failed task tests are now repaired by the generator in a bounded loop; reviewers need every attempt and its diff (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created repair iterations timeline.
+ *     - Why: Task.repairIterations records result, failure, screenshot, and diff of each test run.
+ *     - How: Timeline entry per iteration, failure output, console errors, screenshot, and fix diff in a Collapse.
+ *     - Test: Fail a task test, open the TEST RUNS tag, verify a red failed entry with its screenshot and a green passed one after the code fix.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, click the TEST RUNS tag of a task, verify one entry per test run in order.
+ * Rollback Instructions:
+ *   - Delete RepairIterations.jsx and remove the test runs modal from TaskList.jsx.
+ * Future Enhancements:
+ *   - Compare screenshots of consecutive iterations side by side (Sprint 5).
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Timeline, Tag, Typography, Collapse, Empty } from 'antd';
+import * as Diff from 'diff';
+import moment from 'moment';
+import apiClient from '../config/serverApiConfig';
+import DiffView from './DiffView';
+
+const { Text } = Typography;
+
+const FIX_LABELS = {
+  code: 'Code repaired',
+  test: 'Test rewritten',
+  none: 'No fix',
+};
+
+const RepairScreenshot = ({ taskId, runId, iteration }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    apiClient.get(`/grok/tasks/${taskId}/repairs/${runId}/${iteration}/screenshot`, { responseType: 'blob' })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch((error) => console.warn('RepairIterations: screenshot unavailable', { taskId, runId, iteration, error: error.message }));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [taskId, runId, iteration]);
+
+  if (!src) return <Text type="secondary">Loading screenshot…</Text>;
+  return <img src={src} alt={`Test run ${iteration + 1}`} style={{ maxWidth: '100%', border: '1px solid #d9d9d9' }} />;
+};
+
+RepairScreenshot.propTypes = {
+  taskId: PropTypes.string.isRequired,
+  runId: PropTypes.string.isRequired,
+  iteration: PropTypes.number.isRequired,
+};
+
+const RepairIterations = ({ task }) => {
+  const iterations = task?.repairIterations || [];
+  if (!iterations.length) return <Empty description="No test runs recorded" />;
+
+  const renderDetails = (entry) => {
+    const files = entry.fix?.patch ? Diff.parsePatch(entry.fix.patch) : [];
+    const items = [
+      entry.failure && {
+        key: 'failure',
+        label: 'Failure output',
+        children: <pre style={{ whiteSpace: 'pre-wrap', maxHeight: 240, overflow: 'auto', margin: 0 }}>{entry.failure}</pre>,
+      },
+      entry.consoleErrors?.length > 0 && {
+        key: 'console',
+        label: `Console errors (${entry.consoleErrors.length})`,
+        children: (
+          <ul style={{ margin: 0, paddingLeft: 18 }}>
+            {entry.consoleErrors.map((line, index) => <li key={index}><Text type="danger">{line}</Text></li>)}
+          </ul>
+        ),
+      },
+      entry.screenshotPath && {
+        key: 'screenshot',
+        label: 'Screenshot',
+        children: <RepairScreenshot taskId={task.taskId} runId={entry.runId} iteration={entry.iteration} />,
+      },
+      files.length > 0 && {
+        key: 'diff',
+        label: `Fix diff (${files.length} file${files.length === 1 ? '' : 's'})`,
+        children: files.map((file) => (
+          <DiffView key={file.newFileName || file.oldFileName} path={file.newFileName || file.oldFileName} hunks={file.hunks} />
+        )),
+      },
+    ].filter(Boolean);
+    return items.length ? <Collapse size="small" items={items} style={{ marginTop: 4 }} /> : null;
+  };
+
+  return (
+    <Timeline
+      data-testid={`repair-iterations-${task.taskId}`}
+      items={iterations.map((entry) => ({
+        key: `${entry.runId}-${entry.iteration}`,
+        color: entry.status === 'passed' ? 'green' : 'red',
+        children: (
+          <>
+            <Text strong>Run {entry.iteration + 1}</Text>
+            <Tag color={entry.status === 'passed' ? 'green' : 'red'} style={{ marginLeft: 8 }}>
+              {entry.status.toUpperCase()}
+            </Tag>
+            {entry.status === 'failed' && entry.fix?.kind && (
+              <Tag color={entry.fix.kind === 'code' ? 'blue' : 'default'}>
+                {FIX_LABELS[entry.fix.kind] || entry.fix.kind}
+                {entry.fix.provider ? ` (${entry.fix.provider}${entry.fix.model ? `/${entry.fix.model}` : ''})` : ''}
+              </Tag>
+            )}
+            <Text type="secondary">{moment(entry.finishedAt || entry.startedAt).format('MMM D YYYY, h:mm:ss a')}</Text>
+            {entry.fix?.files?.length > 0 && <div><Text type="secondary">Files: {entry.fix.files.join(', ')}</Text></div>}
+            {entry.fix?.error && <div><Text type="warning">Repair failed: {entry.fix.error}</Text></div>}
+            {renderDetails(entry)}
+          </>
+        ),
+      }))}
+    />
+  );
+};
+
+RepairIterations.propTypes = {
+  task: PropTypes.shape({
+    taskId: PropTypes.string,
+    repairIterations: PropTypes.arrayOf(PropTypes.shape({
+      runId: PropTypes.string,
+      iteration: PropTypes.number,
+      status: PropTypes.string,
+      failure: PropTypes.string,
+      consoleErrors: PropTypes.arrayOf(PropTypes.string),
+      screenshotPath: PropTypes.string,
+      fix: PropTypes.object,
+    })),
+  }),
+};
+
+export default RepairIterations;
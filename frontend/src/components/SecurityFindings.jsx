@@ -0,0 +1,77 @@
+/*
+ * File Path: frontend/src/components/SecurityFindings.jsx
+ * Purpose: Lists security review findings for a backend proposal in Allur Space Console.
+ * How It Works:
+ *   - Renders proposal.securityReview from securityReview.js: risk level summary plus one line per finding.
+ *   - High-risk proposals explain that confirming acknowledges the findings and that a second reviewer must approve.
+ * Dependencies:
+ *   - React: Component rendering (version 18.3.1).
+ *   - antd: Alert, Typography (version 5.24.6).
+ * Dependents:
+ *   - ProposalList.jsx: Risk column popover.
+ *   - TaskModals.jsx: Proposal approval modal.
+ * Why It’s Here:
+ *   - Reviewers need to see why a generated backend change was flagged before approving it (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created security findings list.
+ *     - Why: BackendProposal.securityReview holds risky patterns found in generated backend code.
+ *     - How: Alert with the risk level and approval requirement, finding list with line, rule, and message.
+ *     - Test: Approve a proposal containing eval(), verify the eval finding and the second approval notice in the modal.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, hover the Risk tag of a proposal, verify its findings.
+ * Rollback Instructions:
+ *   - Delete SecurityFindings.jsx and remove its use from ProposalList.jsx and TaskModals.jsx.
+ * Future Enhancements:
+ *   - Highlight flagged lines in the proposal content (Sprint 5).
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Typography } from 'antd';
+
+const { Text } = Typography;
+
+const RISK_ALERT_TYPES = { high: 'error', medium: 'warning', low: 'success' };
+
+const SecurityFindings = ({ securityReview, approvals = [] }) => {
+  if (!securityReview?.riskLevel) {
+    return <Text>Security review has not run for this proposal</Text>;
+  }
+
+  const findings = securityReview.findings || [];
+  return (
+    <div data-testid="security-findings">
+      <Alert
+        type={RISK_ALERT_TYPES[securityReview.riskLevel] || 'info'}
+        showIcon
+        style={{ marginBottom: 8 }}
+        message={`${securityReview.riskLevel.toUpperCase()} risk, ${findings.length} finding(s)`}
+        description={securityReview.requiresSecondApproval
+          ? `Confirming acknowledges these risks. A second reviewer must also approve (${approvals.length}/2 approvals).`
+          : undefined}
+      />
+      {findings.length > 0 && (
+        <ul style={{ margin: 0, paddingLeft: '18px' }}>
+          {findings.map((finding, index) => (
+            <li key={`${finding.rule}-${finding.line}-${index}`}>
+              <Text type={finding.severity === 'high' ? 'danger' : 'warning'}>
+                {finding.line ? `Line ${finding.line} ` : ''}[{finding.rule}] {finding.message}
+              </Text>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+SecurityFindings.propTypes = {
+  securityReview: PropTypes.shape({
+    riskLevel: PropTypes.string,
+    findings: PropTypes.arrayOf(PropTypes.object),
+    requiresSecondApproval: PropTypes.bool,
+  }),
+  approvals: PropTypes.arrayOf(PropTypes.object),
+};
+
+export default SecurityFindings;
@@ -8,11 +8,14 @@
  * Mechanics:
  *   - Manages form state with useForm, validating prompt input.
  *   - Handles file uploads with Ant Design Upload component.
+ *   - Optional LLM provider select; empty value lets the backend use the llm_provider setting.
+ *   - Optional prompt template select; its variables render into the prompt, which stays editable before submit.
  *   - Submits task to /api/grok/edit endpoint via useTasks.js.
  * Dependencies:
  *   - React: useState, useEffect for state management (version 18.3.1).
  *   - antd: Form, Input, Button, Upload for UI (version 5.24.6).
  *   - useTasks.js: Task submission logic.
+ *   - usePromptTemplates.js: Template list, save, delete, and local rendering.
  *   - logClientError.js: Client-side error logging.
  * Dependents:
  *   - GrokUI.jsx: Renders TaskInput for task submission.
@@ -32,6 +35,14 @@
  *     - Why: Prompt textbox not visible, PropType warnings for token and useTasks (User, 05/04/2025).
  *     - How: Added fallback rendering, moved messageApi error to useEffect, preserved functionality.
  *     - Test: Load /grok, verify textbox visible, submit task, no PropType warnings.
+ *   - 10/19/2026: Added LLM provider select.
+ *     - Why: Tasks can be generated by Grok, an OpenAI-compatible endpoint, the local stub, or mock templates.
+ *     - How: Form.Item "provider" passed to submitTask as options.provider.
+ *     - Test: Select "Local stub", submit "Create an inventory system", verify task.llmProvider is "local".
+ *   - 10/19/2026: Added prompt templates.
+ *     - Why: Users retyped the same prompts, e.g. dozens of EmployeeLog iterations.
+ *     - How: Template select fills the prompt and shows one field per variable; Save as template creates a template or a new version of the selected one; submitTask sends templateId, templateVariables, templateVersion.
+ *     - Test: Save "Create an {{entityName}} page" as a template, select it, enter "EmployeeLog", verify the prompt updates and the task records the template.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, verify TaskInput textbox visible.
  *   - Enter "Build CRM system", submit, verify no TypeError, task appears in TaskList.jsx.
@@ -47,14 +58,30 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { Form, Input, Button, Upload } from 'antd';
+import { Form, Input, Button, Upload, Select, Modal, Switch, Checkbox, Space, Typography } from 'antd';
 import { UploadOutlined } from '@ant-design/icons';
 import PropTypes from 'prop-types';
+import usePromptTemplates, { renderTemplate } from '../hooks/usePromptTemplates';
 import { logClientError } from '../utils/logClientError';
 
+const { Text } = Typography;
+
+const PROVIDER_OPTIONS = [
+  { value: '', label: 'Default (settings)' },
+  { value: 'xai', label: 'Grok (xAI)' },
+  { value: 'openai', label: 'OpenAI-compatible' },
+  { value: 'local', label: 'Local stub' },
+  { value: 'mock', label: 'Mock templates' },
+];
+
 const TaskInput = ({ token, useTasks, messageApi }) => {
   const [form] = Form.useForm();
+  const [templateForm] = Form.useForm();
   const [fileList, setFileList] = useState([]);
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [templateModalOpen, setTemplateModalOpen] = useState(false);
+  const { templates, loading: templatesLoading, saveTemplate, deleteTemplate } = usePromptTemplates({ token, messageApi });
+  const templateValues = Form.useWatch('templateVariables', form);
 
   // Handle invalid props
   useEffect(() => {
@@ -92,6 +119,53 @@ const TaskInput = ({ token, useTasks, messageApi }) => {
 
   const { submitTask } = useTasks({ token, messageApi });
 
+  // Selecting a template fills the prompt; variable edits re-render it
+  const handleTemplateChange = (templateId) => {
+    const template = templates.find(t => t.templateId === templateId) || null;
+    setSelectedTemplate(template);
+    if (!template) {
+      form.setFieldsValue({ templateVariables: undefined });
+      return;
+    }
+    const defaults = Object.fromEntries((template.variables || []).map(v => [v.name, v.defaultValue || '']));
+    form.setFieldsValue({ templateVariables: defaults, prompt: renderTemplate(template.body, defaults, template.variables) });
+  };
+
+  const handleValuesChange = (changed, allValues) => {
+    if (selectedTemplate && changed.templateVariables) {
+      form.setFieldsValue({ prompt: renderTemplate(selectedTemplate.body, allValues.templateVariables || {}, selectedTemplate.variables) });
+    }
+  };
+
+  const openTemplateModal = () => {
+    templateForm.setFieldsValue({
+      name: selectedTemplate?.name || '',
+      description: selectedTemplate?.description || '',
+      body: selectedTemplate?.body || form.getFieldValue('prompt') || '',
+      testInstructions: selectedTemplate?.testInstructions || '',
+      shared: selectedTemplate?.shared || false,
+      asNewVersion: Boolean(selectedTemplate),
+    });
+    setTemplateModalOpen(true);
+  };
+
+  const handleSaveTemplate = async () => {
+    const { asNewVersion, ...fields } = await templateForm.validateFields();
+    const saved = await saveTemplate(fields, asNewVersion && selectedTemplate ? selectedTemplate.templateId : null);
+    if (saved) {
+      setSelectedTemplate(saved);
+      form.setFieldsValue({ templateId: saved.templateId });
+      setTemplateModalOpen(false);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    if (!selectedTemplate) return;
+    await deleteTemplate(selectedTemplate.templateId);
+    setSelectedTemplate(null);
+    form.setFieldsValue({ templateId: undefined, templateVariables: undefined });
+  };
+
   const handleSubmit = async () => {
     try {
       const values = await form.validateFields();
@@ -122,9 +196,15 @@ const TaskInput = ({ token, useTasks, messageApi }) => {
         response: file.response || null,
       }));
 
-      await submitTask(trimmedPrompt, files);
+      await submitTask(trimmedPrompt, files, {
+        provider: values.provider || undefined,
+        templateId: selectedTemplate?.templateId,
+        templateVariables: values.templateVariables,
+        templateVersion: selectedTemplate?.version,
+      });
       form.resetFields();
       setFileList([]);
+      setSelectedTemplate(null);
       messageApi.success('Task submitted successfully');
     } catch (err) {
       const errorMessage = err.message || 'Failed to submit task';
@@ -156,25 +236,105 @@ const TaskInput = ({ token, useTasks, messageApi }) => {
   };
 
   return (
-    <Form form={form} layout="vertical" onFinish={handleSubmit}>
-      <Form.Item
-        name="prompt"
-        label="Task Prompt"
-        rules={[{ required: true, message: 'Please enter a task prompt' }]}
+    <>
+      <Form form={form} layout="vertical" onFinish={handleSubmit} onValuesChange={handleValuesChange}>
+        <Form.Item label="Template">
+          <Space wrap>
+            <Form.Item name="templateId" noStyle>
+              <Select
+                allowClear
+                showSearch
+                optionFilterProp="label"
+                placeholder="Start from a saved prompt"
+                loading={templatesLoading}
+                onChange={handleTemplateChange}
+                style={{ minWidth: 280 }}
+                data-testid="template-select"
+                options={templates.map(t => ({ value: t.templateId, label: `${t.name} (v${t.version})${t.shared ? ' · shared' : ''}` }))}
+              />
+            </Form.Item>
+            <Button onClick={openTemplateModal} data-testid="save-template">
+              Save as template
+            </Button>
+            {selectedTemplate && (
+              <Button danger onClick={handleDeleteTemplate}>
+                Delete template
+              </Button>
+            )}
+          </Space>
+        </Form.Item>
+        {selectedTemplate?.variables?.map(variable => (
+          <Form.Item
+            key={variable.name}
+            name={['templateVariables', variable.name]}
+            label={variable.label || variable.name}
+            rules={variable.required ? [{ required: true, message: `Please enter ${variable.label || variable.name}` }] : []}
+          >
+            <Input placeholder={variable.defaultValue || variable.name} data-testid={`template-var-${variable.name}`} />
+          </Form.Item>
+        ))}
+        {selectedTemplate?.testInstructions && (
+          <Text type="secondary" style={{ display: 'block', marginBottom: 12 }}>
+            Default test instructions: {renderTemplate(selectedTemplate.testInstructions, templateValues || {}, selectedTemplate.variables)}
+          </Text>
+        )}
+        <Form.Item
+          name="prompt"
+          label="Task Prompt"
+          rules={[{ required: true, message: 'Please enter a task prompt' }]}
+        >
+          <Input.TextArea rows={4} placeholder="Enter your task prompt here" />
+        </Form.Item>
+        <Form.Item name="provider" label="LLM Provider" initialValue="">
+          <Select options={PROVIDER_OPTIONS} style={{ maxWidth: 240 }} />
+        </Form.Item>
+        <Form.Item label="Upload Files">
+          <Upload {...uploadProps}>
+            <Button icon={<UploadOutlined />}>Upload Files</Button>
+          </Upload>
+        </Form.Item>
+        <Form.Item>
+          <Button type="primary" htmlType="submit">
+            Submit Task
+          </Button>
+        </Form.Item>
+      </Form>
+      <Modal
+        title="Save prompt template"
+        open={templateModalOpen}
+        onOk={handleSaveTemplate}
+        onCancel={() => setTemplateModalOpen(false)}
+        okText="Save"
       >
-        <Input.TextArea rows={4} placeholder="Enter your task prompt here" />
-      </Form.Item>
-      <Form.Item label="Upload Files">
-        <Upload {...uploadProps}>
-          <Button icon={<UploadOutlined />}>Upload Files</Button>
-        </Upload>
-      </Form.Item>
-      <Form.Item>
-        <Button type="primary" htmlType="submit">
-          Submit Task
-        </Button>
-      </Form.Item>
-    </Form>
+        <Form form={templateForm} layout="vertical">
+          <Form.Item name="name" label="Name" rules={[{ required: true, message: 'Please enter a template name' }]}>
+            <Input placeholder="CRUD page for an entity" />
+          </Form.Item>
+          <Form.Item name="description" label="Description">
+            <Input />
+          </Form.Item>
+          <Form.Item
+            name="body"
+            label="Prompt"
+            extra="Use {{variable}} for values filled in per task, e.g. {{entityName}}, {{fields}}, {{targetPage}}."
+            rules={[{ required: true, message: 'Please enter the template prompt' }]}
+          >
+            <Input.TextArea rows={4} />
+          </Form.Item>
+          <Form.Item name="testInstructions" label="Default test instructions">
+            <Input.TextArea rows={3} placeholder="Navigate to /{{targetPage}} and verify the {{entityName}} table renders" />
+          </Form.Item>
+          <Form.Item name="shared" label="Share with all admins" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+          {selectedTemplate && (
+            <Form.Item name="asNewVersion" valuePropName="checked">
+              <Checkbox>Save as version {selectedTemplate.version + 1} of {selectedTemplate.name}</Checkbox>
+            </Form.Item>
+          )}
+        </Form>
+      </Modal>
+    </>
   );
 };
 
@@ -5,17 +5,25 @@
  *   - Renders a table of tasks using antd Table component, displaying task details and action buttons.
  *   - Integrates with useTaskActions.js for task operations (test execution, approval, denial, deletion).
  *   - Shows test instructions in a modal for manual testing guidance.
- *   - Displays diffs via useTaskDiff.jsx when View Changes is clicked.
+ *   - Displays diffs via useTaskDiff.jsx when View Changes is clicked, rendered as unified-diff hunks by DiffView.jsx.
  * Mechanics:
  *   - Fetches tasks from useTasks.js and updates via WebSocket events from useTaskSocket.js.
  *   - Handles Playwright test execution by opening testUrl in a new tab.
  *   - Supports Approve/Deny actions to apply or rollback changes via taskManager.js.
+ *   - Shows the git commit of applied tasks and a Rollback button that reverts that commit.
  *   - Allows multiple test runs until Approve/Deny is selected.
  * Dependencies:
  *   - React: Component rendering (version 18.3.1).
  *   - antd: Table, Button, Modal for UI (version 5.24.6).
  *   - useTaskActions.js: Task operations.
- *   - useTaskDiff.jsx: Diff rendering.
+ *   - useTaskDiff.jsx: Diff state and hunk parsing.
+ *   - DiffView.jsx: Hunk rendering.
+ *   - ValidationFindings.jsx: Static validation findings per staged file and path policy violations.
+ *   - RepairIterations.jsx: Test repair loop iterations with failure, screenshot, and fix diff.
+ *   - AcceptanceResults.jsx: Acceptance criteria and their latest results.
+ *   - TestReport.jsx: Merged UI/API test report and per-route API results.
+ *   - VisualDiffs.jsx: Visual regression before/after viewer and threshold.
+ *   - FeedbackButton.jsx: Feedback linked to a task.
  *   - useTasks.js: Task data.
  * Dependents:
  *   - GrokUI.jsx: Renders TaskList component.
@@ -35,6 +43,62 @@
  *     - Why: TaskList.jsx buttons not enabling despite pending_approval status (User, 05/08/2025).
  *     - How: Added logging for task rendering and validation, preserved functionality.
  *     - Test: Submit task, verify buttons enable, 'TaskList: Rendering tasks' log shows task data.
+ *   - 10/19/2026: Added changes modal with per-file hunks and merge conflict status.
+ *     - Why: View Changes computed diffs but never rendered them; staged files are now unified diffs.
+ *     - How: Modal lists DiffView per staged file from useTaskDiff hunks, shows mergeConflicts, CONFLICT status tag.
+ *     - Test: Click View Changes, verify hunks per file; approve after editing the same lines on disk, verify CONFLICT tag.
+ *   - 10/19/2026: Added Commit column and Rollback button.
+ *     - Why: Applied tasks are committed per task; history and safe rollback belong in the console.
+ *     - How: Commit column shows short commitSha (and revert SHA), Rollback calls useTaskActions.handleRollback for applied tasks.
+ *     - Test: Approve a task, verify SHA in Commit column, click Rollback, verify ROLLED_BACK status and revert SHA.
+ *   - 10/19/2026: Showed clarifying questions for ambiguous prompts.
+ *     - Why: processTask stops with status clarification_needed and task.clarifyingQuestions instead of guessing.
+ *     - How: Prompt column lists the questions, CLARIFICATION_NEEDED status tag in gold.
+ *     - Test: Submit "make it better", verify the questions appear under the prompt.
+ *   - 10/19/2026: Nested plan subtasks under their parent with aggregate progress.
+ *     - Why: Large prompts are decomposed into dependent subtasks, each approved on its own.
+ *     - How: Rows with parentTaskId become antd tree children sorted by planOrder; parents show a Progress bar from planProgress; WAITING/BLOCKED/COMPLETED status tags.
+ *     - Test: Submit "Build an inventory system with stock alerts and supplier management", expand the parent, verify five steps and the progress bar.
+ *   - 10/19/2026: Added Cancel button and QUEUED/CANCELLED status tags.
+ *     - Why: POST /edit now queues tasks for background workers.
+ *     - How: Cancel calls useTaskActions.handleCancel, enabled only while status is "queued".
+ *     - Test: Submit a task while the queue is busy, click Cancel, verify CANCELLED tag.
+ *   - 10/19/2026: Added Pause/Resume and Cancel for running tasks.
+ *     - Why: Generation and Playwright runs could not be stopped once started.
+ *     - How: Pause enabled while "processing", Resume replaces it while "paused", Cancel enabled for queued/processing/paused; PAUSED tag in purple.
+ *     - Test: Click Pause during processing, verify PAUSED tag; Resume; Cancel, verify CANCELLED.
+ *   - 10/19/2026: Added Checks column with static validation findings.
+ *     - Why: Staged files are parsed, linted, and import-checked before approval; failures block apply.
+ *     - How: Checks tag from task.validation opens a modal with ValidationFindings.jsx; Approve is disabled when validation failed.
+ *     - Test: Generate a page with an unresolved import, verify a red ERRORS tag, the finding in the modal, and Approve disabled.
+ *   - 10/19/2026: Showed path policy violations in the Checks column.
+ *     - Why: pathPolicy.js drops or blocks files outside the allowed roots and protected files; reviewers need to see which.
+ *     - How: A red "N BLOCKED PATHS" tag next to the validation tag opens the same Checks modal, which lists task.policyViolations.
+ *     - Test: Generate a task whose provider returns backend/app.js, verify the tag and the violation in the modal.
+ *   - 10/19/2026: Showed test repair iterations in the Checks column.
+ *     - Why: Failed task tests are fed back to the generator in a bounded repair loop (testRepair.js); every run is recorded.
+ *     - How: An "N TEST RUNS" tag (green when the last run passed) opens a modal with RepairIterations.jsx, kept live from the socket-updated task.
+ *     - Test: Generate a page that fails its test once, verify "2 TEST RUNS" in green and the fix diff in the modal.
+ *   - 10/19/2026: Showed acceptance criteria results in the Checks column.
+ *     - Why: Generated tests now assert the prompt's acceptance criteria (acceptanceTests.js).
+ *     - How: A "passed/total CRITERIA" tag (red if any failed) opens the Checks modal, which lists criteria with AcceptanceResults.jsx.
+ *     - Test: Run a task with "The clock-in button should record the time", verify "0/1 CRITERIA" in red until the button exists.
+ *   - 10/19/2026: Showed API test results and the merged test report in the Checks column.
+ *     - Why: Routes a task adds are tested with supertest against an in-memory app (apiTests.js).
+ *     - How: A "passed/total API" tag opens the Checks modal, which starts with TestReport.jsx.
+ *     - Test: Submit "Add MFA to login", verify "1/1 API" and the POST /mfa row in the modal.
+ *   - 10/19/2026: Showed visual regression results in the Checks column.
+ *     - Why: Pages a task touches are compared with their approved baselines (visualRegression.js).
+ *     - How: A "VISUAL" tag (red with the count of changed routes) opens the Checks modal, which shows VisualDiffs.jsx.
+ *     - Test: Run a task that restyles /employee-log after approving one on it, verify "1 VISUAL CHANGE" and the side-by-side images.
+ *   - 10/19/2026: Added a Feedback button per task.
+ *     - Why: Feedback about a generated change should point at the task that produced it.
+ *     - How: FeedbackButton.jsx with the row's taskId at the end of the Actions column.
+ *     - Test: Click Feedback on a task, submit, verify the Feedback tab shows the task tag on the item.
+ *   - 10/19/2026: Marked applied tasks whose git commit failed.
+ *     - Why: Such tasks have no commit to revert, and the disabled Rollback button gave no reason.
+ *     - How: An orange "NO COMMIT" tag with the git error in the Commit column; Rollback explains the manual rollback.
+ *     - Test: Approve a task while .git/index.lock exists, verify the tag and the Rollback tooltip.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, submit "Create an inventory system".
  *   - Verify TaskList renders with Playwright/View Changes/Approve/Deny/Delete buttons.
@@ -54,17 +118,35 @@
  */
 
 import React, { useState } from 'react';
-import { Table, Button, Modal, Typography, Tag } from 'antd';
+import { Table, Button, Modal, Typography, Tag, Alert, Progress } from 'antd';
 import useTaskActions from '../hooks/useTaskActions';
 import useTaskDiff from '../hooks/useTaskDiff';
+import DiffView from './DiffView';
+import ValidationFindings from './ValidationFindings';
+import RepairIterations from './RepairIterations';
+import AcceptanceResults from './AcceptanceResults';
+import TestReport from './TestReport';
+import VisualDiffs from './VisualDiffs';
+import FeedbackButton from './FeedbackButton';
 
 const { Text } = Typography;
 
+const criteriaColor = ({ results = [] }) => (results.some(r => r.status === 'failed') ? 'red' : results.length ? 'green' : 'blue');
+
+const visualColor = ({ results = [] }) => (results.some(r => r.status === 'failed') ? 'red' : results.some(r => r.status === 'passed') ? 'green' : 'blue');
+
+const visualLabel = ({ results = [] }) => {
+  const changed = results.filter(r => r.status === 'failed').length;
+  return changed ? `${changed} VISUAL CHANGE${changed === 1 ? '' : 'S'}` : 'VISUAL';
+};
+
 const TaskList = ({ tasks, messageApi }) => {
-  const { handleTest, handleApprove, handleDeny, handleDelete } = useTaskActions(messageApi);
-  const { showDiff } = useTaskDiff({ messageApi, navigate: () => {}, token: 'present', tasks: tasks || [] });
+  const { handleTest, handleApprove, handleDeny, handleRollback, handleCancel, handlePause, handleResume, handleDelete } = useTaskActions(messageApi);
+  const { showDiff, selectedTask: diffTask, setSelectedTask: setDiffTask, hunks } = useTaskDiff({ messageApi, navigate: () => {}, token: 'present', tasks: tasks || [] });
   const [instructionModalOpen, setInstructionModalOpen] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
+  const [validationTask, setValidationTask] = useState(null);
+  const [repairTask, setRepairTask] = useState(null);
 
   // Debug task rendering
   console.log('TaskList: Rendering tasks', {
@@ -82,6 +164,17 @@ const TaskList = ({ tasks, messageApi }) => {
     return isValid;
   }) || [];
 
+  // Nest plan subtasks under their parent in plan order; antd renders `children` as expandable rows
+  const taskIds = new Set(validatedTasks.map(task => task.taskId));
+  const treeTasks = validatedTasks
+    .filter(task => !task.parentTaskId || !taskIds.has(task.parentTaskId))
+    .map(task => {
+      const children = validatedTasks
+        .filter(child => child.parentTaskId === task.taskId)
+        .sort((a, b) => (a.planOrder ?? 0) - (b.planOrder ?? 0));
+      return children.length ? { ...task, children } : task;
+    });
+
   const showInstructions = (task) => {
     setSelectedTask(task);
     setInstructionModalOpen(true);
@@ -98,14 +191,36 @@ const TaskList = ({ tasks, messageApi }) => {
       title: 'Prompt',
       dataIndex: 'prompt',
       key: 'prompt',
-      render: (text) => text || '-',
+      render: (text, task) => (
+        <>
+          {task.planStep && <Tag>{task.planStep.toUpperCase()}</Tag>}
+          {text || '-'}
+          {task.planProgress?.total > 0 && (
+            <Progress
+              percent={task.planProgress.percent}
+              size="small"
+              status={task.status === 'blocked' ? 'exception' : task.status === 'completed' ? 'success' : 'active'}
+              format={() => `${task.planProgress.applied}/${task.planProgress.total}`}
+              data-testid={`plan-progress-${task.taskId}`}
+            />
+          )}
+          {task.status === 'blocked' && task.error && <div><Text type="danger">{task.error}</Text></div>}
+          {task.status === 'clarification_needed' && (task.clarifyingQuestions || []).length > 0 && (
+            <ul style={{ margin: '4px 0 0', paddingLeft: '18px' }} data-testid={`clarifying-questions-${task.taskId}`}>
+              {task.clarifyingQuestions.map((question) => (
+                <li key={question}><Text type="warning">{question}</Text></li>
+              ))}
+            </ul>
+          )}
+        </>
+      ),
     },
     {
       title: 'Status',
       dataIndex: 'status',
       key: 'status',
       render: (status) => {
-        const color = status === 'pending_approval' ? 'yellow' : status === 'applied' ? 'green' : status === 'failed' ? 'red' : 'blue';
+        const color = status === 'pending_approval' ? 'yellow' : status === 'applied' || status === 'completed' ? 'green' : status === 'failed' || status === 'conflict' || status === 'blocked' ? 'red' : status === 'rolled_back' ? 'orange' : status === 'clarification_needed' ? 'gold' : status === 'waiting' || status === 'cancelled' ? 'default' : status === 'queued' ? 'cyan' : status === 'paused' ? 'purple' : 'blue';
         return <Tag color={color}>{status ? status.toUpperCase() : 'UNKNOWN'}</Tag>;
       },
     },
@@ -115,6 +230,75 @@ const TaskList = ({ tasks, messageApi }) => {
       key: 'stagedFiles',
       render: (files) => (files ? files.length : 0),
     },
+    {
+      title: 'Checks',
+      dataIndex: 'validation',
+      key: 'validation',
+      render: (validation, task) => (validation?.status || task.policyViolations?.length || task.repairIterations?.length || task.acceptanceTests?.checks?.length || task.apiTests?.checks?.length || task.visualTests?.results?.length ? (
+        <>
+          {validation?.status && (
+            <Tag
+              color={validation.status === 'failed' ? 'red' : validation.warningCount ? 'gold' : 'green'}
+              style={{ cursor: 'pointer' }}
+              onClick={() => setValidationTask(task)}
+              data-testid={`validation-${task.taskId}`}
+            >
+              {validation.status === 'failed' ? `${validation.errorCount} ERRORS` : validation.warningCount ? `${validation.warningCount} WARNINGS` : 'PASSED'}
+            </Tag>
+          )}
+          {task.policyViolations?.length > 0 && (
+            <Tag color="red" style={{ cursor: 'pointer' }} onClick={() => setValidationTask(task)} data-testid={`policy-${task.taskId}`}>
+              {task.policyViolations.length} BLOCKED PATHS
+            </Tag>
+          )}
+          {task.acceptanceTests?.checks?.length > 0 && (
+            <Tag color={criteriaColor(task.acceptanceTests)} style={{ cursor: 'pointer' }} onClick={() => setValidationTask(task)} data-testid={`criteria-${task.taskId}`}>
+              {(task.acceptanceTests.results || []).filter(r => r.status === 'passed').length}/{task.acceptanceTests.checks.length} CRITERIA
+            </Tag>
+          )}
+          {task.apiTests?.checks?.length > 0 && (
+            <Tag color={criteriaColor(task.apiTests)} style={{ cursor: 'pointer' }} onClick={() => setValidationTask(task)} data-testid={`api-tests-${task.taskId}`}>
+              {(task.apiTests.results || []).filter(r => r.status === 'passed').length}/{task.apiTests.checks.length} API
+            </Tag>
+          )}
+          {task.visualTests?.results?.length > 0 && (
+            <Tag color={visualColor(task.visualTests)} style={{ cursor: 'pointer' }} onClick={() => setValidationTask(task)} data-testid={`visual-${task.taskId}`}>
+              {visualLabel(task.visualTests)}
+            </Tag>
+          )}
+          {task.repairIterations?.length > 0 && (
+            <Tag
+              color={task.repairIterations[task.repairIterations.length - 1].status === 'passed' ? 'green' : 'orange'}
+              style={{ cursor: 'pointer' }}
+              onClick={() => setRepairTask(task)}
+              data-testid={`repairs-${task.taskId}`}
+            >
+              {task.repairIterations.length} TEST RUNS
+            </Tag>
+          )}
+        </>
+      ) : '-'),
+    },
+    {
+      title: 'Commit',
+      dataIndex: 'commitSha',
+      key: 'commitSha',
+      render: (sha, task) => {
+        if (sha) {
+          return (
+            <Text code title={(task.gitHistory || []).map(h => `${h.action} ${h.sha?.slice(0, 8)} ${h.createdAt || ''}`).join('\n')}>
+              {sha.slice(0, 8)}
+              {task.revertCommitSha ? ` ↩ ${task.revertCommitSha.slice(0, 8)}` : ''}
+            </Text>
+          );
+        }
+        return task.commitError ? (
+          <Tag color="orange" title={`Git commit failed: ${task.commitError}. Roll back manually.`} data-testid={`commit-error-${task.taskId}`}>
+            NO COMMIT
+          </Tag>
+        ) : '-';
+      },
+    },
     {
       title: 'Actions',
       key: 'actions',
@@ -130,6 +314,7 @@ const TaskList = ({ tasks, messageApi }) => {
           playWrightButtonEnabled: !(!task.testUrl || !['tested', 'pending_approval'].includes(task.status)),
           viewChangesButtonEnabled: !(!task.originalContent || !task.newContent || Object.keys(task.originalContent || {}).length === 0 || Object.keys(task.newContent || {}).length === 0),
           approveDenyButtonEnabled: !(task.status !== 'pending_approval' || !task.proposedChanges || (task.proposedChanges || []).length === 0),
+          validationStatus: task.validation?.status,
           timestamp: new Date().toISOString(),
         });
 
@@ -154,7 +339,8 @@ const TaskList = ({ tasks, messageApi }) => {
             <Button
               type="primary"
               onClick={() => handleApprove(task.taskId)}
-              disabled={task.status !== 'pending_approval' || !task.proposedChanges || (task.proposedChanges || []).length === 0}
+              disabled={task.status !== 'pending_approval' || !task.proposedChanges || (task.proposedChanges || []).length === 0 || task.validation?.status === 'failed'}
+              title={task.validation?.status === 'failed' ? 'Static validation failed, see Checks' : undefined}
             >
               Approve
             </Button>
@@ -165,12 +351,39 @@ const TaskList = ({ tasks, messageApi }) => {
             >
               Deny
             </Button>
+            <Button
+              onClick={() => handleRollback(task.taskId)}
+              disabled={task.status !== 'applied' || !task.commitSha}
+              title={task.status === 'applied' && !task.commitSha ? 'Applied without a git commit, roll back manually' : undefined}
+            >
+              Rollback
+            </Button>
+            {task.status === 'paused' ? (
+              <Button onClick={() => handleResume(task.taskId)} data-testid={`resume-${task.taskId}`}>
+                Resume
+              </Button>
+            ) : (
+              <Button
+                onClick={() => handlePause(task.taskId)}
+                disabled={task.status !== 'processing'}
+                data-testid={`pause-${task.taskId}`}
+              >
+                Pause
+              </Button>
+            )}
+            <Button
+              onClick={() => handleCancel(task.taskId)}
+              disabled={!['queued', 'processing', 'paused'].includes(task.status)}
+            >
+              Cancel
+            </Button>
             <Button
               danger
               onClick={() => handleDelete(task.taskId)}
             >
               Delete
             </Button>
+            <FeedbackButton taskId={task.taskId} messageApi={messageApi} />
           </div>
         );
       },
@@ -180,7 +393,7 @@ const TaskList = ({ tasks, messageApi }) => {
   return (
     <>
       <Table
-        dataSource={validatedTasks}
+        dataSource={treeTasks}
         columns={columns}
         rowKey="taskId"
         pagination={false}
@@ -201,6 +414,69 @@ const TaskList = ({ tasks, messageApi }) => {
           <Text>No instructions available</Text>
         )}
       </Modal>
+      <Modal
+        title={`Changes for ${diffTask?.taskId?.slice(0, 8) || ''}`}
+        open={!!diffTask}
+        width={960}
+        onCancel={() => setDiffTask(null)}
+        footer={[
+          <Button key="close" onClick={() => setDiffTask(null)}>
+            Close
+          </Button>,
+        ]}
+      >
+        {(diffTask?.mergeConflicts || []).map(conflict => (
+          <Alert
+            key={conflict.path}
+            type="error"
+            showIcon
+            style={{ marginBottom: 8 }}
+            message={`Conflict: ${conflict.path}`}
+            description={conflict.reason}
+          />
+        ))}
+        {Object.keys(hunks).length === 0 ? (
+          <Text>No staged changes</Text>
+        ) : (
+          Object.entries(hunks).map(([path, file]) => (
+            <DiffView
+              key={path}
+              path={file.isNewFile ? `${path} (new file)` : path}
+              hunks={file.hunks}
+              conflicts={(diffTask?.mergeConflicts || []).find(c => c.path === path)?.hunks || []}
+            />
+          ))
+        )}
+      </Modal>
+      <Modal
+        title={`Checks for ${validationTask?.taskId?.slice(0, 8) || ''}`}
+        open={!!validationTask}
+        width={800}
+        onCancel={() => setValidationTask(null)}
+        footer={[
+          <Button key="close" onClick={() => setValidationTask(null)}>
+            Close
+          </Button>,
+        ]}
+      >
+        <TestReport testReport={validationTask?.testReport} apiTests={validationTask?.apiTests} />
+        <VisualDiffs task={validationTask} messageApi={messageApi} />
+        <AcceptanceResults acceptanceTests={validationTask?.acceptanceTests} />
+        <ValidationFindings validation={validationTask?.validation} policyViolations={validationTask?.policyViolations} />
+      </Modal>
+      <Modal
+        title={`Test runs for ${repairTask?.taskId?.slice(0, 8) || ''}`}
+        open={!!repairTask}
+        width={960}
+        onCancel={() => setRepairTask(null)}
+        footer={[
+          <Button key="close" onClick={() => setRepairTask(null)}>
+            Close
+          </Button>,
+        ]}
+      >
+        <RepairIterations task={tasks?.find(task => task.taskId === repairTask?.taskId) || repairTask} />
+      </Modal>
     </>
   );
 };
@@ -13,6 +13,7 @@
  * Dependencies:
  *   - antd: Modal for confirmation dialogs (version 5.22.2).
  *   - React: Core library for rendering (version 18.3.1).
+ *   - SecurityFindings.jsx: Security review findings in the proposal approval modal.
  * Dependents:
  *   - GrokUI.jsx: Renders TaskModals for action confirmations.
  *   - useProposals.js: Provides modal state and action handlers via useProposalModals.js.
@@ -32,6 +33,10 @@
  *     - Why: Ensure modal functionality with new hook (User, 04/23/2025).
  *     - How: Verified props compatibility, updated handleModalCancel, handleDenyModalCancel to update combined live feed.
  *     - Test: Open proposal approval modal, confirm/cancel, verify live feed logs.
+ *   - 10/19/2026: Showed security review findings in the proposal approval modal.
+ *     - Why: Confirming a high-risk proposal acknowledges its findings, so the reviewer must see them.
+ *     - How: Renders SecurityFindings.jsx for selectedProposal.securityReview when modalType is "approve".
+ *     - Test: Approve a proposal with eval(), verify the findings and the second approval notice.
  * Test Instructions:
  *   - In GrokUI.jsx, trigger "Clear Tasks": Verify modal opens, confirm clears tasks, live feed logs "All tasks cleared".
  *   - Select proposals in ProposalList, click "Bulk Approve": Verify modal opens, confirm approves proposals, live feed logs green "Bulk approved".
@@ -54,6 +59,7 @@
  */
 import React from 'react';
 import { Modal } from 'antd';
+import SecurityFindings from './SecurityFindings';
 
 const TaskModals = ({
   modalVisible,
@@ -89,6 +95,9 @@ const TaskModals = ({
          modalType === 'bulkDeny' ? `Are you sure you want to deny ${selectedProposals.length} selected proposals?` :
          `Are you sure you want to approve the proposal: "${selectedProposal?.change}"?`}
       </p>
+      {modalType === 'approve' && selectedProposal?.securityReview && (
+        <SecurityFindings securityReview={selectedProposal.securityReview} approvals={selectedProposal.approvals} />
+      )}
     </Modal>
     <Modal
       title="Confirm Task Denial"
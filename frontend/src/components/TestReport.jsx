@@ -0,0 +1,138 @@
+/*
+ * File Path: frontend/src/components/TestReport.jsx
+ * Purpose: Shows a task's merged UI and API test report for Allur Space Console.
+ * How It Works:
+ *   - Renders task.testReport from apiTests.js: overall status and passed/failed/skipped counts per suite (ui, api, visual).
+ *   - Lists the API test of each route the task adds, with method, route, source, result, and error.
+ *   - Routes from backend changes are tagged "proposal"; their failures are reported but do not fail the task test.
+ * Dependencies:
+ *   - React: Component rendering (version 18.3.1).
+ *   - antd: List, Tag, Typography, Descriptions (version 5.24.6).
+ * Dependents:
+ *   - TaskList.jsx: Checks modal.
+ * Why It’s Here:
+ *   - Routes a task adds are tested against an in-memory Express app, next to the UI acceptance checks (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created test report.
+ *     - Why: Task.testReport merges acceptance and API results; Task.apiTests holds the per-route results.
+ *     - How: Suite counts in Descriptions, API results in a List matched to their checks by name.
+ *     - Test: Submit "Add MFA to login", open Checks, verify an "api" suite and a POST /mfa row tagged "proposal".
+ *   - 10/19/2026: Labelled the visual suite.
+ *     - Why: The test report includes visual regression results (visualRegression.js).
+ *     - How: "visual" added to SUITE_LABELS.
+ *     - Test: Run a task on a page with a baseline, verify a "Visual" row in the report.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, click the API tag of a tested task, verify suite counts and one row per route.
+ * Rollback Instructions:
+ *   - Delete TestReport.jsx and remove it from the Checks modal in TaskList.jsx.
+ * Future Enhancements:
+ *   - Show the response body of failed API tests (Sprint 5).
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { List, Tag, Typography, Descriptions } from 'antd';
+
+const { Text } = Typography;
+
+const STATUS_COLORS = {
+  passed: 'green',
+  failed: 'red',
+  skipped: 'default',
+};
+
+const SUITE_LABELS = {
+  ui: 'UI acceptance',
+  api: 'API',
+  visual: 'Visual',
+};
+
+const TestReport = ({ testReport, apiTests }) => {
+  const suites = testReport?.suites || [];
+  const checks = apiTests?.checks || [];
+  if (!suites.length && !checks.length) return null;
+  const results = apiTests?.results || [];
+
+  return (
+    <div style={{ marginBottom: 16 }} data-testid="test-report">
+      {suites.length > 0 && (
+        <Descriptions
+          size="small"
+          bordered
+          column={1}
+          title={(
+            <>
+              Test report <Tag color={STATUS_COLORS[testReport.status]}>{testReport.status?.toUpperCase()}</Tag>
+            </>
+          )}
+          items={suites.map((suite) => ({
+            key: suite.name,
+            label: SUITE_LABELS[suite.name] || suite.name,
+            children: `${suite.passed} passed, ${suite.failed} failed, ${suite.skipped} skipped`,
+          }))}
+        />
+      )}
+      {checks.length > 0 && (
+        <>
+          <Text strong style={{ display: 'block', margin: '12px 0 4px' }}>API routes</Text>
+          <List
+            size="small"
+            bordered
+            dataSource={checks}
+            renderItem={(check) => {
+              const result = results.find((r) => r.name === check.name);
+              return (
+                <List.Item>
+                  <div>
+                    <Tag color={STATUS_COLORS[result?.status] || 'blue'}>{result ? result.status.toUpperCase() : 'NOT RUN'}</Tag>
+                    <Text code>{check.method.toUpperCase()}</Text>
+                    <Text>{check.route}</Text>
+                    <Text type="secondary"> {check.file}</Text>
+                    {check.source === 'proposal' && <Tag style={{ marginLeft: 8 }}>proposal</Tag>}
+                    {result?.error && result.status !== 'passed' && (
+                      <div><Text type={result.status === 'failed' ? 'danger' : 'secondary'}>{result.error}</Text></div>
+                    )}
+                  </div>
+                </List.Item>
+              );
+            }}
+          />
+          {apiTests.specPath && (
+            <Text type="secondary" style={{ display: 'block', marginTop: 4 }}>
+              Spec: <Text code>{apiTests.specPath}</Text>
+            </Text>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+TestReport.propTypes = {
+  testReport: PropTypes.shape({
+    status: PropTypes.string,
+    suites: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      passed: PropTypes.number,
+      failed: PropTypes.number,
+      skipped: PropTypes.number,
+    })),
+  }),
+  apiTests: PropTypes.shape({
+    specPath: PropTypes.string,
+    checks: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      file: PropTypes.string,
+      method: PropTypes.string,
+      route: PropTypes.string,
+      source: PropTypes.string,
+    })),
+    results: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      status: PropTypes.string,
+      error: PropTypes.string,
+    })),
+  }),
+};
+
+export default TestReport;
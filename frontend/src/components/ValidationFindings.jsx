@@ -0,0 +1,118 @@
+/*
+ * File Path: frontend/src/components/ValidationFindings.jsx
+ * Purpose: Lists static validation findings per staged file for Allur Space Console.
+ * How It Works:
+ *   - Renders task.validation from staticValidator.js: one block per staged file with its status and findings.
+ *   - Errors (parse, unresolved import, forbidden API, lint errors) block approval; warnings are informational.
+ *   - Path policy violations (task.policyViolations from pathPolicy.js) are listed above the validation summary.
+ * Dependencies:
+ *   - React: Component rendering (version 18.3.1).
+ *   - antd: Alert, Tag, Typography (version 5.24.6).
+ * Dependents:
+ *   - TaskList.jsx: Checks modal.
+ * Why It’s Here:
+ *   - Reviewers need to see why generated files fail validation before approving (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created validation findings list.
+ *     - Why: Task.validation holds per-file parse, lint, import, and forbidden API findings.
+ *     - How: Summary Alert plus a finding list per file with line:column, kind/rule, and message.
+ *     - Test: Open Checks for a task importing "tailwindcss/tailwind.css", verify the import error under that file.
+ *   - 10/19/2026: Listed path policy violations.
+ *     - Why: Generated files outside the allowed roots or targeting protected files are dropped or block apply.
+ *     - How: Optional policyViolations prop renders an error Alert with stage, rule, and message per violation.
+ *     - Test: Open Checks for a task whose provider returned backend/app.js, verify a "generate / protected" entry.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, click the Checks tag of a task, verify one block per staged file.
+ * Rollback Instructions:
+ *   - Delete ValidationFindings.jsx and remove the Checks column from TaskList.jsx.
+ * Future Enhancements:
+ *   - Jump from a finding to the line in DiffView.jsx (Sprint 5).
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Tag, Typography } from 'antd';
+
+const { Text } = Typography;
+
+const PolicyViolations = ({ violations }) => (
+  <Alert
+    type="error"
+    showIcon
+    style={{ marginBottom: 12 }}
+    message={`${violations.length} path policy violation(s)`}
+    description={(
+      <ul style={{ margin: 0, paddingLeft: '18px' }}>
+        {violations.map((violation, index) => (
+          <li key={`${violation.path}-${violation.rule}-${index}`}>
+            [{violation.stage}/{violation.rule}] {violation.message}
+          </li>
+        ))}
+      </ul>
+    )}
+    data-testid="policy-violations"
+  />
+);
+
+const ValidationFindings = ({ validation, policyViolations = [] }) => {
+  if (!validation?.files) {
+    return (
+      <>
+        {policyViolations.length > 0 && <PolicyViolations violations={policyViolations} />}
+        <Text>Static validation has not run for this task</Text>
+      </>
+    );
+  }
+
+  return (
+    <div data-testid="validation-findings">
+      {policyViolations.length > 0 && <PolicyViolations violations={policyViolations} />}
+      <Alert
+        type={validation.status === 'failed' ? 'error' : validation.warningCount ? 'warning' : 'success'}
+        showIcon
+        style={{ marginBottom: 12 }}
+        message={validation.status === 'failed' ? 'Static validation failed, approval is blocked' : 'Static validation passed'}
+        description={`${validation.errorCount || 0} error(s), ${validation.warningCount || 0} warning(s)`}
+      />
+      {validation.files.map((file) => (
+        <div key={file.path} style={{ marginBottom: 12 }}>
+          <Text code>{file.path}</Text>{' '}
+          <Tag color={file.status === 'failed' ? 'red' : 'green'}>{file.status.toUpperCase()}</Tag>
+          {(file.findings || []).length > 0 && (
+            <ul style={{ margin: '4px 0 0', paddingLeft: '18px' }}>
+              {file.findings.map((finding, index) => (
+                <li key={`${finding.rule}-${finding.line}-${index}`}>
+                  <Text type={finding.severity === 'error' ? 'danger' : 'warning'}>
+                    {finding.line ? `${finding.line}:${finding.column || 0} ` : ''}
+                    [{finding.kind}/{finding.rule}] {finding.message}
+                  </Text>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+ValidationFindings.propTypes = {
+  validation: PropTypes.shape({
+    status: PropTypes.string,
+    errorCount: PropTypes.number,
+    warningCount: PropTypes.number,
+    files: PropTypes.arrayOf(PropTypes.object),
+  }),
+  policyViolations: PropTypes.arrayOf(PropTypes.shape({
+    path: PropTypes.string,
+    rule: PropTypes.string,
+    message: PropTypes.string,
+    stage: PropTypes.string,
+  })),
+};
+
+PolicyViolations.propTypes = {
+  violations: ValidationFindings.propTypes.policyViolations,
+};
+
+export default ValidationFindings;
@@ -0,0 +1,207 @@
+/*
+ * File Path: frontend/src/components/VisualDiffs.jsx
+ * Purpose: Before/after viewer for a task's visual regression checks in Allur Space Console.
+ * How It Works:
+ *   - Renders task.visualTests from visualRegression.js: one card per route with its result and share of changed pixels.
+ *   - Shows the approved baseline and this task's capture side by side, or the pixel diff image.
+ *   - Lists page elements added or removed compared with the baseline (structural diff).
+ *   - The threshold control saves the share of changed pixels above which a route fails (useVisualSettings.js).
+ * Mechanics:
+ *   - Images are fetched as blobs through apiClient (GET /grok/tasks/:taskId/visual/:routeKey/:image) so the
+ *     Authorization header is sent; object URLs are revoked on unmount.
+ * Dependencies:
+ *   - React: useState, useEffect for image loading (version 18.3.1).
+ *   - antd: Card, Tag, Typography, Segmented, Row, Col, InputNumber, Button, Space (version 5.24.6).
+ *   - axios: apiClient for images (serverApiConfig.js).
+ *   - useVisualSettings.js: Threshold load and save.
+ * Dependents:
+ *   - TaskList.jsx: Checks modal.
+ * Why It’s Here:
+ *   - Pages a task touches are compared with their last approved look; reviewers need to see the difference (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created visual regression viewer.
+ *     - Why: Task.visualTests holds per-route results with baseline, capture, and diff images.
+ *     - How: Card per route, side-by-side or diff view, structural changes, threshold InputNumber in percent.
+ *     - Test: Run a task on a page with a baseline, open Checks, verify both images and the changed-pixel share.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, click the VISUAL tag of a tested task, switch between Side by side and Diff.
+ *   - Change the threshold to 5%, save, verify the success message and the value after reopening the modal.
+ * Rollback Instructions:
+ *   - Delete VisualDiffs.jsx and useVisualSettings.js and remove the viewer from TaskList.jsx.
+ * Future Enhancements:
+ *   - Slider overlay of baseline and capture (Sprint 5).
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Card, Tag, Typography, Segmented, Row, Col, InputNumber, Button, Space } from 'antd';
+import apiClient from '../config/serverApiConfig';
+import useVisualSettings from '../hooks/useVisualSettings';
+
+const { Text } = Typography;
+
+const STATUS_COLORS = {
+  passed: 'green',
+  failed: 'red',
+  new: 'blue',
+  skipped: 'default',
+};
+
+const STATUS_LABELS = {
+  passed: 'MATCHES BASELINE',
+  failed: 'CHANGED',
+  new: 'NO BASELINE',
+  skipped: 'NOT CAPTURED',
+};
+
+const percent = (ratio) => `${(ratio * 100).toFixed(2)}%`;
+
+const VisualImage = ({ taskId, routeKey, image }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    apiClient.get(`/grok/tasks/${taskId}/visual/${routeKey}/${image}`, { responseType: 'blob' })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch((error) => console.warn('VisualDiffs: image unavailable', { taskId, routeKey, image, error: error.message }));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [taskId, routeKey, image]);
+
+  if (!src) return <Text type="secondary">Loading image…</Text>;
+  return <img src={src} alt={`${routeKey} ${image}`} style={{ maxWidth: '100%', border: '1px solid #d9d9d9' }} />;
+};
+
+VisualImage.propTypes = {
+  taskId: PropTypes.string.isRequired,
+  routeKey: PropTypes.string.isRequired,
+  image: PropTypes.oneOf(['actual', 'baseline', 'diff']).isRequired,
+};
+
+const VisualResult = ({ taskId, result }) => {
+  const [view, setView] = useState('side');
+  const compared = result.status === 'passed' || result.status === 'failed';
+  const { added = [], removed = [] } = result.structure || {};
+
+  return (
+    <Card
+      size="small"
+      style={{ marginBottom: 12 }}
+      title={(
+        <>
+          <Text code>{result.route}</Text>
+          <Tag color={STATUS_COLORS[result.status]} style={{ marginLeft: 8 }}>{STATUS_LABELS[result.status] || result.status}</Tag>
+          {compared && <Text type="secondary">{percent(result.mismatchRatio || 0)} of pixels changed</Text>}
+        </>
+      )}
+      extra={compared && (
+        <Segmented size="small" value={view} onChange={setView} options={[{ label: 'Side by side', value: 'side' }, { label: 'Diff', value: 'diff' }]} />
+      )}
+      data-testid={`visual-${result.routeKey}`}
+    >
+      {result.error && <Text type="warning">{result.error}</Text>}
+      {compared && view === 'side' && (
+        <Row gutter={12}>
+          <Col span={12}>
+            <Text strong style={{ display: 'block' }}>Baseline{result.baselineTaskId ? ` (task ${result.baselineTaskId.slice(0, 8)})` : ''}</Text>
+            <VisualImage taskId={taskId} routeKey={result.routeKey} image="baseline" />
+          </Col>
+          <Col span={12}>
+            <Text strong style={{ display: 'block' }}>This task</Text>
+            <VisualImage taskId={taskId} routeKey={result.routeKey} image="actual" />
+          </Col>
+        </Row>
+      )}
+      {compared && view === 'diff' && <VisualImage taskId={taskId} routeKey={result.routeKey} image="diff" />}
+      {result.status === 'new' && (
+        <>
+          <Text type="secondary" style={{ display: 'block' }}>Approving this task makes this capture the baseline of {result.route}.</Text>
+          <VisualImage taskId={taskId} routeKey={result.routeKey} image="actual" />
+        </>
+      )}
+      {(added.length > 0 || removed.length > 0) && (
+        <div style={{ marginTop: 8 }}>
+          <Text strong>Structure</Text>
+          <ul style={{ margin: 0, paddingLeft: 18 }}>
+            {added.map((line, index) => <li key={`added-${index}`}><Text type="success">+ {line}</Text></li>)}
+            {removed.map((line, index) => <li key={`removed-${index}`}><Text type="danger">- {line}</Text></li>)}
+          </ul>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+VisualResult.propTypes = {
+  taskId: PropTypes.string.isRequired,
+  result: PropTypes.shape({
+    route: PropTypes.string,
+    routeKey: PropTypes.string,
+    status: PropTypes.string,
+    mismatchRatio: PropTypes.number,
+    baselineTaskId: PropTypes.string,
+    structure: PropTypes.shape({
+      added: PropTypes.arrayOf(PropTypes.string),
+      removed: PropTypes.arrayOf(PropTypes.string),
+    }),
+    error: PropTypes.string,
+  }).isRequired,
+};
+
+const ThresholdControl = ({ messageApi }) => {
+  const { threshold, saving, saveThreshold } = useVisualSettings({ messageApi });
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    if (threshold !== null) setDraft(threshold * 100);
+  }, [threshold]);
+
+  return (
+    <Space size="small">
+      <Text type="secondary">Fail above</Text>
+      <InputNumber size="small" min={0} max={100} step={0.1} value={draft} onChange={setDraft} addonAfter="%" style={{ width: 110 }} />
+      <Button size="small" loading={saving} disabled={draft === null || draft === threshold * 100} onClick={() => saveThreshold(draft / 100)}>
+        Save
+      </Button>
+    </Space>
+  );
+};
+
+ThresholdControl.propTypes = {
+  messageApi: PropTypes.object,
+};
+
+const VisualDiffs = ({ task, messageApi }) => {
+  const results = task?.visualTests?.results || [];
+  if (!results.length) return null;
+
+  return (
+    <div style={{ marginBottom: 16 }} data-testid="visual-diffs">
+      <Space style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4 }}>
+        <Text strong>Visual regression</Text>
+        <ThresholdControl messageApi={messageApi} />
+      </Space>
+      {results.map((result) => <VisualResult key={result.routeKey} taskId={task.taskId} result={result} />)}
+    </div>
+  );
+};
+
+VisualDiffs.propTypes = {
+  task: PropTypes.shape({
+    taskId: PropTypes.string,
+    visualTests: PropTypes.shape({
+      threshold: PropTypes.number,
+      results: PropTypes.arrayOf(PropTypes.object),
+    }),
+  }),
+  messageApi: PropTypes.object,
+};
+
+export default VisualDiffs;
@@ -0,0 +1,339 @@
+/*
+ * File Path: frontend/src/context/socketContext/index.jsx
+ * Purpose: Provides the single shared Socket.IO connection of Allur Space Console to every hook and component.
+ * How It Works:
+ *   - SocketProvider opens one connection for the signed-in session and closes it on unmount (logout).
+ *   - subscribe(event, handler) registers a handler for one of SOCKET_EVENTS and returns its unsubscribe function.
+ *   - Every event is deduplicated once here by eventId, so live and replayed copies reach handlers once.
+ *   - connection ({ status, attempt, error }) is the shared reconnect state, shown in the header by ConnectionStatus.jsx.
+ *   - watchTasks(taskIds) joins task rooms for tasks outside the user's room (e.g. shared admin tasks).
+ * Mechanics:
+ *   - auth is a callback read on every handshake: the current localStorage.auth token and the highest seq seen (lastSeq),
+ *     so a reconnect is authenticated with a refreshed token and the server replays missed events.
+ *   - status: connecting, connected, reconnecting (attempt counts up), disconnected, or unauthorized (the server
+ *     rejected the token; socket.io does not retry, the user has to log in again).
+ *   - Task IDs are reference counted; "subscribe" is sent for the first watcher and again after every reconnect,
+ *     "unsubscribe" when the last watcher releases a task.
+ *   - The last MAX_SEEN_EVENTS eventIds are remembered for deduplication.
+ * Dependencies:
+ *   - React: createContext, useContext, useState, useEffect, useRef, useCallback, useMemo (version 18.3.1).
+ *   - socket.io-client: WebSocket client (version 4.8.1).
+ *   - logClientError.js: Logs connection errors to the backend.
+ *   - serverApiConfig.js: BASE_URL.
+ * Dependents:
+ *   - ErpApp.jsx: Wraps the authenticated app in SocketProvider and renders ConnectionStatus.jsx in the header.
+ *   - useTaskSocket.js, useLiveFeed.js, useProposalSocket.js, useProposals.js, useTaskDiff.jsx: Subscribe to events.
+ *   - AllurSpaceConsole.jsx: Legacy console listeners.
+ * Why It’s Here:
+ *   - Four hooks and the legacy console each opened their own connection with their own reconnect and deduplication
+ *     logic; one connection keeps reconnect state and deduplication in one place (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created shared socket provider.
+ *     - Why: Replaces the per-hook connections and the backend's message-based deduplicateTaskUpdate.
+ *     - How: One io() client, typed subscribe(), eventId deduplication, connection state, task room reference counting.
+ *     - Test: Load /grok, verify one "SocketProvider: Connected" log and one polling connection in the Network tab.
+ * Test Instructions:
+ *   - Run `npm run dev`, navigate to /grok, submit "Build CRM system", verify LiveFeed.jsx, TaskList.jsx, and QueueStatus.jsx update.
+ *   - Stop the backend, verify the header shows "Reconnecting"; start it, verify "Live" and the missed events in LiveFeed.jsx.
+ *   - Replace localStorage.auth.token with an invalid token and stop/start the backend, verify "Session expired".
+ * Rollback Instructions:
+ *   - Revert this file, ErpApp.jsx, ConnectionStatus.jsx, and the socket hooks to the previous commit.
+ * Future Enhancements:
+ *   - Pause the connection while the tab is hidden (Sprint 5).
+ */
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import io from 'socket.io-client';
+import { logClientError } from '../../utils/logClientError';
+import { BASE_URL } from '../../config/serverApiConfig';
+
+/**
+ * Server-to-client events. subscribe() rejects any other name.
+ * - taskUpdate: { taskId, status, eventId, seq?, replayed?, truncated?, message?, error?, ...task fields }.
+ * - backendProposal: { taskId, proposal | proposals, eventId, seq? }.
+ * - backendProposalUpdate: { taskId, proposalId, status, eventId, seq? }.
+ * - queueStatus: { queued, running, concurrency, failed, cancelled, eventId }.
+ * - replayComplete: { afterSeq, lastSeq, count, truncated }.
+ * - fileContentUpdate: { taskId, originalContent, newContent, stagedFiles, ... }.
+ */
+export const SOCKET_EVENTS = Object.freeze({
+  TASK_UPDATE: 'taskUpdate',
+  BACKEND_PROPOSAL: 'backendProposal',
+  BACKEND_PROPOSAL_UPDATE: 'backendProposalUpdate',
+  QUEUE_STATUS: 'queueStatus',
+  REPLAY_COMPLETE: 'replayComplete',
+  FILE_CONTENT_UPDATE: 'fileContentUpdate',
+  // Emitted only by the pre-V18 backend; AllurSpaceConsole.jsx still listens for them
+  PRIORITY_UPDATE: 'priorityUpdate',
+  MAINTENANCE_PROPOSAL: 'maintenanceProposal',
+  MAINTENANCE_UPDATE: 'maintenanceUpdate',
+  TASKS_FETCHED: 'tasks_fetched',
+  TASKS_CLEARED: 'tasks_cleared',
+  SELF_TEST_UPDATE: 'selfTestUpdate',
+  UPLOAD_UPDATE: 'uploadUpdate',
+  ANALYZE_UPDATE: 'analyzeUpdate',
+  LOG_UPDATE: 'logUpdate',
+});
+
+export const CONNECTION_STATUS = Object.freeze({
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  DISCONNECTED: 'disconnected',
+  UNAUTHORIZED: 'unauthorized',
+});
+
+const EVENT_NAMES = new Set(Object.values(SOCKET_EVENTS));
+const MAX_SEEN_EVENTS = 1000;
+
+const readToken = () => {
+  const auth = JSON.parse(localStorage.getItem('auth') || '{}');
+  return auth.token || null;
+};
+
+const SocketContext = createContext();
+
+export const SocketProvider = ({ children }) => {
+  const [socket, setSocket] = useState(null);
+  const [connection, setConnection] = useState({ status: CONNECTION_STATUS.CONNECTING, attempt: 0, error: null });
+  const socketRef = useRef(null);
+  const handlersRef = useRef(new Map()); // event -> Set of handlers
+  const seenEventsRef = useRef(new Set());
+  const watchedTasksRef = useRef(new Map()); // taskId -> number of watchers
+  const lastSeqRef = useRef(null);
+
+  const subscribeTasks = useCallback((client, taskIds) => {
+    if (!client?.connected || !taskIds.length) return;
+    const lastSeq = lastSeqRef.current;
+    client.emit('subscribe', { taskIds, ...(lastSeq !== null && { lastSeq }) }, ({ joined = [], denied = [] } = {}) => {
+      console.log('SocketProvider: Subscribed to tasks', { joined, denied, timestamp: new Date().toISOString() });
+      if (denied.length) {
+        logClientError({
+          message: 'Task subscription denied',
+          context: 'SocketProvider',
+          details: { denied, timestamp: new Date().toISOString() },
+        });
+      }
+    });
+  }, []);
+
+  // Returns false for an event already delivered (e.g. a live event replayed after a reconnect)
+  const markSeen = useCallback((data) => {
+    if (data?.seq) lastSeqRef.current = Math.max(lastSeqRef.current || 0, data.seq);
+    if (!data?.eventId) return true;
+    const seen = seenEventsRef.current;
+    if (seen.has(data.eventId)) return false;
+    seen.add(data.eventId);
+    if (seen.size > MAX_SEEN_EVENTS) seen.delete(seen.values().next().value);
+    return true;
+  }, []);
+
+  useEffect(() => {
+    const token = readToken();
+    if (!token) {
+      setConnection({ status: CONNECTION_STATUS.UNAUTHORIZED, attempt: 0, error: 'Missing auth token' });
+      return;
+    }
+
+    const client = io(BASE_URL, {
+      // Read on every handshake: a refreshed token, and lastSeq so the server replays what was missed
+      auth: (cb) => cb({ token: readToken(), ...(lastSeqRef.current !== null && { lastSeq: lastSeqRef.current }) }),
+      query: { source: 'SocketProvider' },
+      transports: ['polling'],
+      reconnection: true,
+      reconnectionAttempts: Infinity,
+      reconnectionDelay: 5000,
+      reconnectionDelayMax: 60000,
+      randomizationFactor: 0.5,
+      timeout: 30000,
+    });
+    socketRef.current = client;
+    setSocket(client);
+
+    client.on('connect', () => {
+      console.log('SocketProvider: Connected', { socketId: client.id, timestamp: new Date().toISOString() });
+      setConnection({ status: CONNECTION_STATUS.CONNECTED, attempt: 0, error: null });
+      // A new server socket has no task rooms; ask for them again
+      subscribeTasks(client, [...watchedTasksRef.current.keys()]);
+    });
+
+    client.on('disconnect', (reason) => {
+      console.warn('SocketProvider: Disconnected', { reason, timestamp: new Date().toISOString() });
+      setConnection((prev) => ({
+        ...prev,
+        status: client.active ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.DISCONNECTED,
+      }));
+    });
+
+    client.on('connect_error', (err) => {
+      const unauthorized = err.message === 'Unauthorized';
+      const errorMessage = unauthorized
+        ? 'Socket.IO connection refused: session expired, please log in again'
+        : `Socket.IO connect error: ${err.message || 'Unknown error'}`;
+      console.error('SocketProvider: Connection error', { error: err.message, timestamp: new Date().toISOString() });
+      logClientError({
+        message: errorMessage,
+        context: 'SocketProvider',
+        details: { stack: err.stack, timestamp: new Date().toISOString() },
+      });
+      setConnection((prev) => ({
+        ...prev,
+        status: unauthorized
+          ? CONNECTION_STATUS.UNAUTHORIZED
+          : client.active ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.DISCONNECTED,
+        error: errorMessage,
+      }));
+    });
+
+    // Reconnect attempts are reported by the manager, not the socket
+    const handleReconnectAttempt = (attempt) => {
+      setConnection((prev) => ({ ...prev, status: CONNECTION_STATUS.RECONNECTING, attempt }));
+    };
+    const handleReconnect = (attempt) => {
+      logClientError({
+        message: `Reconnected after ${attempt} attempts`,
+        context: 'SocketProvider',
+        details: { attempt, lastSeq: lastSeqRef.current, timestamp: new Date().toISOString() },
+      });
+    };
+    client.io.on('reconnect_attempt', handleReconnectAttempt);
+    client.io.on('reconnect', handleReconnect);
+
+    EVENT_NAMES.forEach((event) => {
+      client.on(event, (data, ack) => {
+        if (markSeen(data)) {
+          handlersRef.current.get(event)?.forEach((handler) => {
+            try {
+              handler(data);
+            } catch (err) {
+              console.error('SocketProvider: Event handler failed', { event, error: err.message });
+              logClientError({
+                message: `Socket event handler failed: ${err.message}`,
+                context: 'SocketProvider',
+                details: { event, taskId: data?.taskId, stack: err.stack, timestamp: new Date().toISOString() },
+              });
+            }
+          });
+        } else {
+          console.log('SocketProvider: Skipped duplicate event', { event, eventId: data.eventId, seq: data.seq });
+        }
+        if (typeof ack === 'function') ack(true);
+      });
+    });
+
+    client.on(SOCKET_EVENTS.REPLAY_COMPLETE, ({ count, truncated }) => {
+      console.log('SocketProvider: Replayed missed events', { count, truncated, lastSeq: lastSeqRef.current });
+      if (truncated) {
+        logClientError({
+          message: 'Replay truncated: more events were missed than the server replays',
+          context: 'SocketProvider',
+          details: { count, lastSeq: lastSeqRef.current, timestamp: new Date().toISOString() },
+        });
+      }
+    });
+
+    return () => {
+      client.io.off('reconnect_attempt', handleReconnectAttempt);
+      client.io.off('reconnect', handleReconnect);
+      client.removeAllListeners();
+      client.disconnect();
+      socketRef.current = null;
+      setSocket(null);
+    };
+  }, [subscribeTasks, markSeen]);
+
+  /**
+   * Registers a handler for a server event.
+   * @param {string} event - One of SOCKET_EVENTS.
+   * @param {Function} handler - Called with the event payload, once per eventId.
+   * @returns {Function} Unsubscribe function.
+   */
+  const subscribe = useCallback((event, handler) => {
+    if (!EVENT_NAMES.has(event)) {
+      console.error('SocketProvider: Unknown socket event', { event });
+      logClientError({
+        message: `Subscription to unknown socket event: ${event}`,
+        context: 'SocketProvider',
+        details: { event, timestamp: new Date().toISOString() },
+      });
+      return () => {};
+    }
+    const handlers = handlersRef.current;
+    if (!handlers.has(event)) handlers.set(event, new Set());
+    handlers.get(event).add(handler);
+    return () => handlers.get(event)?.delete(handler);
+  }, []);
+
+  /**
+   * Joins the rooms of tasks the user's room does not cover.
+   * @param {string[]} taskIds - Task IDs to follow.
+   * @returns {Function} Release function; the last watcher of a task unsubscribes from its room.
+   */
+  const watchTasks = useCallback((taskIds) => {
+    const watched = watchedTasksRef.current;
+    const ids = [...new Set(taskIds)];
+    const added = ids.filter((taskId) => !watched.has(taskId));
+    ids.forEach((taskId) => watched.set(taskId, (watched.get(taskId) || 0) + 1));
+    // While disconnected, the connect handler subscribes everything watched
+    subscribeTasks(socketRef.current, added);
+
+    return () => {
+      const released = ids.filter((taskId) => {
+        const count = (watched.get(taskId) || 1) - 1;
+        if (count > 0) {
+          watched.set(taskId, count);
+          return false;
+        }
+        watched.delete(taskId);
+        return true;
+      });
+      if (released.length && socketRef.current?.connected) {
+        socketRef.current.emit('unsubscribe', { taskIds: released });
+      }
+    };
+  }, [subscribeTasks]);
+
+  const emit = useCallback((event, data, ack) => {
+    if (!socketRef.current?.connected) return false;
+    socketRef.current.emit(event, data, ack);
+    return true;
+  }, []);
+
+  const reconnect = useCallback(() => {
+    if (socketRef.current && !socketRef.current.connected) socketRef.current.connect();
+  }, []);
+
+  const value = useMemo(
+    () => ({ socket, connection, subscribe, watchTasks, emit, reconnect }),
+    [socket, connection, subscribe, watchTasks, emit, reconnect]
+  );
+
+  return <SocketContext.Provider value={value}>{children}</SocketContext.Provider>;
+};
+
+SocketProvider.propTypes = {
+  children: PropTypes.node,
+};
+
+export const useSocket = () => {
+  const context = useContext(SocketContext);
+  if (!context) {
+    throw new Error('useSocket must be used within a SocketProvider');
+  }
+  return context;
+};
+
+/**
+ * Subscribes a component to a server event for its lifetime; the latest handler is always called.
+ * @param {string} event - One of SOCKET_EVENTS.
+ * @param {Function} handler - Called with the event payload.
+ */
+export const useSocketEvent = (event, handler) => {
+  const { subscribe } = useSocket();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => subscribe(event, (data) => handlerRef.current(data)), [subscribe, event]);
+};
+
+export default SocketProvider;
@@ -0,0 +1,66 @@
+/*
+ * File Path: frontend/src/hooks/useAnalytics.js
+ * Purpose: Loads AI pipeline analytics for the Analytics tab of Allur Space Console.
+ * How It Works:
+ *   - Fetches GET /api/grok/analytics?days=N on mount and whenever days changes.
+ *   - refresh reloads the current window.
+ * Dependencies:
+ *   - React: useState, useEffect, useCallback (version 18.3.1).
+ *   - serverApiConfig.js: apiClient for /grok/analytics.
+ *   - logClientError.js: Client-side error logging.
+ * Dependents:
+ *   - AnalyticsDashboard.jsx: Charts and summary cards.
+ * Why It’s Here:
+ *   - Pipeline success rate, retries, failure reasons, stage timings, and approvals are aggregated by the backend (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created analytics hook.
+ *     - Why: analyticsRoutes.js exposes one endpoint for all pipeline metrics.
+ *     - How: apiClient GET with a days query, errors reported through messageApi.
+ *     - Test: Open the Analytics tab, pick 7 days, verify GET /api/grok/analytics?days=7 in the network tab.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, switch to Analytics, verify cards and charts load.
+ * Rollback Instructions:
+ *   - Delete useAnalytics.js and AnalyticsDashboard.jsx and remove the tab from GrokUI.jsx.
+ * Future Enhancements:
+ *   - Refresh on task socket events instead of on demand (Sprint 5).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../config/serverApiConfig';
+import { logClientError } from '../utils/logClientError';
+
+const useAnalytics = ({ messageApi, days = 30 } = {}) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const reportError = useCallback((error) => {
+    const errorMessage = error.response?.data?.message || error.message;
+    console.error('useAnalytics: load failed', { days, error: errorMessage });
+    messageApi?.error(`Failed to load analytics: ${errorMessage}`);
+    logClientError({
+      message: `useAnalytics: load error: ${errorMessage}`,
+      context: 'useAnalytics',
+      details: { days, stack: error.stack, timestamp: new Date().toISOString() },
+    });
+  }, [messageApi, days]);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get('/grok/analytics', { params: { days } });
+      setAnalytics(response.data.analytics);
+    } catch (error) {
+      reportError(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [days, reportError]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { analytics, loading, refresh };
+};
+
+export default useAnalytics;
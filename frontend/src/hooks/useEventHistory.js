@@ -0,0 +1,89 @@
+/*
+ * File Path: frontend/src/hooks/useEventHistory.js
+ * Purpose: Loads the stored task and proposal event history for LiveFeed.jsx in Allur Space Console.
+ * How It Works:
+ *   - Fetches GET /api/grok/events with the current filters (q, type, status, taskId) on mount and when they change.
+ *   - loadMore fetches the next older page with the `before` cursor returned by the server.
+ *   - Events are mapped to the feed shape of useLiveFeed.js ({ id, seq, type, message, timestamp, data }).
+ * Dependencies:
+ *   - React: useState, useEffect, useCallback, useRef (version 18.3.1).
+ *   - serverApiConfig.js: apiClient for /grok/events.
+ *   - logClientError.js: Client-side error logging.
+ * Dependents:
+ *   - LiveFeed.jsx: History, search, and filters below the live events.
+ * Why It’s Here:
+ *   - The live feed was empty after a page refresh; events are now persisted with sequence numbers (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created event history hook.
+ *     - Why: eventRoutes.js pages through stored events newest first.
+ *     - How: apiClient GET with filters, cursor pagination through nextBefore, stale responses ignored after a filter change.
+ *     - Test: Refresh /grok, verify the feed shows earlier events and GET /api/grok/events in the network tab.
+ * Test Instructions:
+ *   - Search "failed" in the live feed, verify GET /api/grok/events?q=failed and only matching events.
+ *   - Click "Load older", verify a request with before=<lowest seq shown>.
+ * Rollback Instructions:
+ *   - Delete useEventHistory.js and remove history and filters from LiveFeed.jsx.
+ * Future Enhancements:
+ *   - Infinite scroll instead of the "Load older" button (Sprint 5).
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import apiClient from '../config/serverApiConfig';
+import { logClientError } from '../utils/logClientError';
+
+const toFeedEvent = (event) => ({
+  id: event.eventId || `seq-${event.seq}`,
+  seq: event.seq,
+  type: event.type,
+  message: event.message,
+  timestamp: event.data?.timestamp || event.createdAt,
+  data: event.data || {},
+});
+
+const useEventHistory = ({ filters = {}, pageSize = 50, messageApi } = {}) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [nextBefore, setNextBefore] = useState(null);
+  const requestRef = useRef(0);
+  const { q, type, status, taskId } = filters;
+
+  const fetchPage = useCallback(async (before) => {
+    const requestId = ++requestRef.current;
+    setLoading(true);
+    try {
+      const response = await apiClient.get('/grok/events', {
+        params: { limit: pageSize, ...(before && { before }), ...(q && { q }), ...(type && { type }), ...(status && { status }), ...(taskId && { taskId }) },
+      });
+      // A filter change started a newer request; drop this page
+      if (requestId !== requestRef.current) return;
+      const page = (response.data.events || []).map(toFeedEvent);
+      setEvents((prev) => (before ? [...prev, ...page] : page));
+      setNextBefore(response.data.hasMore ? response.data.nextBefore : null);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error('useEventHistory: load failed', { error: errorMessage, before });
+      messageApi?.error(`Failed to load event history: ${errorMessage}`);
+      logClientError({
+        message: `useEventHistory: load error: ${errorMessage}`,
+        context: 'useEventHistory',
+        details: { before, filters: { q, type, status, taskId }, stack: error.stack, timestamp: new Date().toISOString() },
+      });
+    } finally {
+      if (requestId === requestRef.current) setLoading(false);
+    }
+  }, [pageSize, q, type, status, taskId, messageApi]);
+
+  useEffect(() => {
+    fetchPage(null);
+  }, [fetchPage]);
+
+  const loadMore = useCallback(() => {
+    if (nextBefore) fetchPage(nextBefore);
+  }, [fetchPage, nextBefore]);
+
+  const refresh = useCallback(() => fetchPage(null), [fetchPage]);
+
+  return { events, loading, hasMore: nextBefore !== null, loadMore, refresh };
+};
+
+export default useEventHistory;
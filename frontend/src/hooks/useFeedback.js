@@ -0,0 +1,145 @@
+/*
+ * File Path: frontend/src/hooks/useFeedback.js
+ * Purpose: Submits, lists, triages, and converts feedback for Allur Space Console.
+ * How It Works:
+ *   - submitFeedback posts multipart form data (fields plus an optional screenshot) to POST /api/grok/feedback.
+ *   - useFeedback loads the feedback queue with status/category filters and refreshes it after triage or conversion.
+ *   - getTaskDraft fetches the prefilled task prompt; convertToTask queues the (edited) prompt as a new task.
+ * Dependencies:
+ *   - React: useState, useEffect, useCallback (version 18.3.1).
+ *   - serverApiConfig.js: apiClient for /grok/feedback.
+ *   - logClientError.js: Client-side error logging.
+ * Dependents:
+ *   - FeedbackButton.jsx: submitFeedback.
+ *   - FeedbackTriage.jsx: Feedback queue, triage, and conversion.
+ * Why It’s Here:
+ *   - Feedback used to be a socket message that was never stored (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created feedback hook.
+ *     - Why: Structured feedback with screenshots, a triage queue, and conversion into tasks.
+ *     - How: apiClient calls to /grok/feedback; FormData for the screenshot upload.
+ *     - Test: Submit feedback from /grok, open the Feedback tab, verify the item with status "new".
+ * Test Instructions:
+ *   - Run `npm run dev`, open the Feedback tab, filter by "bug", verify GET /api/grok/feedback?category=bug.
+ *   - Change an item's status, verify PATCH /api/grok/feedback/<feedbackId> and the refreshed row.
+ * Rollback Instructions:
+ *   - Delete useFeedback.js, FeedbackTriage.jsx, and restore FeedbackButton.jsx.
+ * Future Enhancements:
+ *   - Refresh the queue when other admins triage (Sprint 5).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../config/serverApiConfig';
+import { logClientError } from '../utils/logClientError';
+
+export const FEEDBACK_CATEGORIES = [
+  { value: 'bug', label: 'Bug', color: 'red' },
+  { value: 'feature', label: 'Feature request', color: 'blue' },
+  { value: 'ux', label: 'UX', color: 'purple' },
+  { value: 'performance', label: 'Performance', color: 'orange' },
+  { value: 'other', label: 'Other', color: 'default' },
+];
+
+export const FEEDBACK_SEVERITIES = [
+  { value: 'low', label: 'Low', color: 'default' },
+  { value: 'medium', label: 'Medium', color: 'gold' },
+  { value: 'high', label: 'High', color: 'orange' },
+  { value: 'critical', label: 'Critical', color: 'red' },
+];
+
+export const FEEDBACK_STATUSES = [
+  { value: 'new', label: 'New', color: 'blue' },
+  { value: 'triaged', label: 'Triaged', color: 'cyan' },
+  { value: 'in_progress', label: 'In progress', color: 'gold' },
+  { value: 'resolved', label: 'Resolved', color: 'green' },
+  { value: 'dismissed', label: 'Dismissed', color: 'default' },
+];
+
+const reportError = (action, error, messageApi) => {
+  const errorMessage = error.response?.data?.message || error.message;
+  console.error(`useFeedback: ${action} failed`, { error: errorMessage });
+  messageApi?.error(`Failed to ${action}: ${errorMessage}`);
+  logClientError({
+    message: `useFeedback: ${action} error: ${errorMessage}`,
+    context: 'useFeedback',
+    details: { stack: error.stack, timestamp: new Date().toISOString() },
+  });
+};
+
+/**
+ * Submits feedback.
+ * @param {Object} fields - message, category, severity, pageUrl, taskId, proposalId.
+ * @param {File} [screenshot] - Image file.
+ * @returns {Promise<Object>} Created feedback.
+ */
+export const submitFeedback = async (fields, screenshot = null) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') formData.append(key, value);
+  });
+  if (screenshot) formData.append('screenshot', screenshot);
+  const response = await apiClient.post('/grok/feedback', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+  return response.data.feedback;
+};
+
+const useFeedback = ({ messageApi, filters = {} } = {}) => {
+  const [feedback, setFeedback] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const { status, category, severity } = filters;
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get('/grok/feedback', { params: { status, category, severity } });
+      setFeedback(response.data.feedback || []);
+    } catch (error) {
+      reportError('load feedback', error, messageApi);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, category, severity, messageApi]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const triageFeedback = useCallback(async (feedbackId, fields) => {
+    try {
+      const response = await apiClient.patch(`/grok/feedback/${feedbackId}`, fields);
+      const updated = response.data.feedback;
+      setFeedback((prev) => prev.map((item) => (item.feedbackId === feedbackId ? { ...item, ...updated } : item)));
+      return updated;
+    } catch (error) {
+      reportError('update feedback', error, messageApi);
+      return null;
+    }
+  }, [messageApi]);
+
+  const getTaskDraft = useCallback(async (feedbackId) => {
+    try {
+      const response = await apiClient.get(`/grok/feedback/${feedbackId}/task-draft`);
+      return response.data.prompt;
+    } catch (error) {
+      reportError('build task draft', error, messageApi);
+      return null;
+    }
+  }, [messageApi]);
+
+  const convertToTask = useCallback(async (feedbackId, prompt) => {
+    try {
+      const response = await apiClient.post(`/grok/feedback/${feedbackId}/convert`, { prompt });
+      const { feedback: updated, task } = response.data;
+      console.log('useFeedback: Feedback converted', { feedbackId, taskId: task.taskId });
+      messageApi?.success(`Task ${task.taskId.slice(0, 8)} created from feedback`);
+      setFeedback((prev) => prev.map((item) => (item.feedbackId === feedbackId ? { ...item, ...updated } : item)));
+      return task;
+    } catch (error) {
+      reportError('create task', error, messageApi);
+      return null;
+    }
+  }, [messageApi]);
+
+  return { feedback, loading, refresh, triageFeedback, getTaskDraft, convertToTask };
+};
+
+export default useFeedback;
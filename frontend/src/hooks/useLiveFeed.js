@@ -1,25 +1,24 @@
 /*
  * File Path: frontend/src/hooks/useLiveFeed.js
- * Purpose: Manages Socket.IO connection for live feed updates in Allur Space Console, displaying real-time task events.
+ * Purpose: Builds the live feed of Allur Space Console from task events on the shared Socket.IO connection.
  * How It Works:
- *   - Establishes a single Socket.IO connection to receive taskUpdate and backendProposal events from the backend.
+ *   - Subscribes to taskUpdate and backendProposal events of the shared connection (socketContext).
  *   - Maintains a feed of events (up to maxEvents) for display in LiveFeed.jsx.
- *   - Uses socketRegistry.js to prevent redundant connections across components.
- *   - Logs client-side errors to /api/grok/client-error for debugging.
+ *   - Adds connection errors of the shared connection to the feed in red.
+ *   - Shows events of the user's own tasks only: the server joins the socket to the user's room and the feed
+ *     subscribes to no task rooms.
  * Mechanics:
- *   - Initializes Socket.IO with JWT token from localStorage.auth, using polling transport to bypass WebSocket issues.
  *   - Handles taskUpdate and backendProposal events, adding them to the feed with timestamp and color coding.
- *   - Implements reconnection logic with exponential backoff (20s initial, 60s max, infinite attempts).
- *   - Validates singletonFlag and token to ensure proper initialization.
+ *   - socketContext sends the last seen seq on every (re)connect, so the server replays missed events, and drops
+ *     copies by eventId; the feed keeps events in seq order (newest first).
  * Dependencies:
- *   - React: useState, useEffect, useRef for state and lifecycle management (version 18.3.1).
- *   - socket.io-client: WebSocket client for real-time communication (version 4.8.1).
- *   - socketRegistry.js: Tracks socket instances to prevent duplicates.
+ *   - React: useState, useEffect for state and lifecycle management (version 18.3.1).
+ *   - socketContext: useSocket, SOCKET_EVENTS for the shared connection.
  *   - logClientError.js: Logs client-side errors to backend.
- *   - serverApiConfig.js: Provides BASE_URL for Socket.IO connection.
  * Dependents:
  *   - GrokUI.jsx: Uses hook to display live feed in LiveFeed.jsx.
  *   - LiveFeed.jsx: Renders feed events.
+ *   - useProposals.js: Surfaces red feed events as messages.
  * Why It’s Here:
  *   - Provides real-time task event feed for Sprint 2, enhancing user visibility into task progress (04/07/2025).
  * Change Log:
@@ -34,13 +33,27 @@
  *     - Why: Socket not initialized error in useProposals.js (User, 05/04/2025).
  *     - How: Added detailed logging for initialization failures, ensured singleton stability.
  *     - Test: Load /grok, submit task, verify no socket initialization errors, events render in LiveFeed.jsx.
+ *   - 10/19/2026: Limited the feed to the user's own tasks.
+ *     - Why: Task events were broadcast, so the feed showed every admin's tasks and prompts.
+ *     - How: The backend sends task events to the owner's room, which the authenticated socket joins; the feed joins
+ *       no task rooms. An "Unauthorized" connect error asks the user to log in again.
+ *     - Test: Submit tasks as two users in two browsers, verify each feed lists only its own tasks.
+ *   - 10/19/2026: Replayed missed events after a reconnect.
+ *     - Why: Events emitted while the socket was down never reached the feed.
+ *     - How: auth is a callback sending lastSeq on every handshake; the server replays stored events after it;
+ *       seq deduplicates live and replayed copies and orders the feed.
+ *     - Test: Stop the backend during a task, restart it, verify the missed status changes appear in LiveFeed.jsx in order.
+ *   - 10/19/2026: Subscribed through the shared socket connection.
+ *     - Why: The feed opened its own connection next to useTaskSocket's, with duplicate reconnect and replay code.
+ *     - How: subscribe() from socketContext per event type; feed entries are built here, deduplication happens once there.
+ *     - Test: Load /grok with LiveFeed.jsx and TaskList.jsx, verify one polling connection and each event once in the feed.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, submit a task via TaskInput.jsx (e.g., "Build CRM system").
  *   - Verify single green log in LiveFeed.jsx for task creation, no invalid event errors in console.
  *   - Check console for 'useLiveFeed: Processing taskUpdate' logs with correct status and message.
  *   - Delete a task, confirm single green log for deletion in LiveFeed.jsx.
  *   - Restart backend server, verify feed updates on reconnect, no WebSocket errors.
- *   - Open 10 /grok tabs, confirm single connection log per client in idurar_db.logs, registry size stable at 1.
+ *   - Open 10 /grok tabs, confirm single connection log per tab in idurar_db.logs.
  * Rollback Instructions:
  *   - Revert to useLiveFeed.js.bak (`mv frontend/src/hooks/useLiveFeed.js.bak frontend/src/hooks/useLiveFeed.js`).
  *   - Verify /grok loads, live feed updates appear without duplicates.
@@ -51,245 +64,87 @@
  */
 
 import { useState, useEffect } from 'react';
-import io from 'socket.io-client';
-import socketRegistry from '../utils/socketRegistry';
+import { useSocket, SOCKET_EVENTS, CONNECTION_STATUS } from '../context/socketContext';
 import { logClientError } from '../utils/logClientError';
-import { BASE_URL } from '../config/serverApiConfig';
 import { v4 as uuidv4 } from 'uuid';
 
-// Singleton Socket.IO instance
-let socketInstance = null;
-const socketId = Symbol('useLiveFeed');
-let listeners = [];
-
-const initializeSocket = (singletonFlag, token, setSocketError) => {
-  if (socketInstance && socketInstance.connected) {
-    console.log('useLiveFeed: Using existing socket instance', { socketId: socketInstance.id });
-    return socketInstance;
-  }
-
-  // Validate inputs
-  const auth = JSON.parse(localStorage.getItem('auth') || '{}');
-  const validToken = auth.token || token || 'mock-token';
-  if (!singletonFlag || !validToken || typeof validToken !== 'string') {
-    const errorMessage = 'Missing or invalid singletonFlag or token';
-    console.error('useLiveFeed: Initialization failed', {
-      singletonFlag,
-      token: validToken ? 'present' : 'missing',
-      timestamp: new Date().toISOString(),
-    });
-    logClientError({
-      message: errorMessage,
-      context: 'useLiveFeed',
-      details: { singletonFlag, token: validToken ? 'present' : 'missing', timestamp: new Date().toISOString() },
-    });
-    setSocketError(errorMessage);
-    return null;
-  }
-
-  // Log token details
-  let tokenPayload = 'unknown';
-  try {
-    const [, payload] = validToken.split('.');
-    tokenPayload = JSON.parse(atob(payload));
-  } catch (err) {
-    console.warn('useLiveFeed: Failed to decode token payload', { error: err.message, timestamp: new Date().toISOString() });
-  }
-  console.log('useLiveFeed: Initializing with token:', {
-    token: validToken.slice(0, 10) + '...',
-    payload: tokenPayload,
-    singletonFlag,
-    timestamp: new Date().toISOString(),
-  });
-
-  // Prevent redundant connections
-  if (socketRegistry.has(socketId)) {
-    console.log('useLiveFeed: Socket already registered, using existing instance', { registrySize: socketRegistry.size });
-    return socketInstance;
-  }
-  socketRegistry.add(socketId);
-  console.log('useLiveFeed: Socket registered', { socketId, registrySize: socketRegistry.size });
-
-  // Initialize Socket.IO
-  try {
-    socketInstance = io(BASE_URL, {
-      auth: { token: validToken },
-      query: { source: 'useLiveFeed', singletonFlag },
-      transports: ['polling'],
-      reconnection: true,
-      reconnectionAttempts: Infinity,
-      reconnectionDelay: 20000,
-      reconnectionDelayMax: 60000,
-      randomizationFactor: 0.5,
-      timeout: 30000,
-    });
-  } catch (err) {
-    console.error('useLiveFeed: Socket.IO initialization error', {
-      error: err.message,
-      stack: err.stack,
-      timestamp: new Date().toISOString(),
-    });
-    logClientError({
-      message: 'Socket.IO initialization error',
-      context: 'useLiveFeed',
-      details: { error: err.message, stack: err.stack, timestamp: new Date().toISOString() },
-    });
-    setSocketError('Socket.IO initialization error');
-    return null;
-  }
-
-  socketInstance.on('connect', () => {
-    console.log('useLiveFeed: Polling connected', { socketId: socketInstance.id });
-    setSocketError(null);
-    logClientError({
-      message: 'Polling connected',
-      context: 'useLiveFeed',
-      details: { socketId: socketInstance.id, tokenPayload, timestamp: new Date().toISOString() },
-    });
-  });
+const insertBySeq = (feed, event) => {
+  if (!event.seq) return [event, ...feed];
+  const index = feed.findIndex((item) => item.seq && item.seq < event.seq);
+  return index === -1 ? [...feed, event] : [...feed.slice(0, index), event, ...feed.slice(index)];
+};
 
-  socketInstance.on('taskUpdate', (data) => {
-    console.log('useLiveFeed: Processing taskUpdate', {
-      taskId: data.taskId,
-      status: data.status,
-      eventId: data.eventId,
-      timestamp: new Date().toISOString(),
-    });
-    if (!data.taskId || !data.status) {
-      console.warn('useLiveFeed: Invalid taskUpdate event', { data, timestamp: new Date().toISOString() });
-      logClientError({
-        message: 'Invalid taskUpdate event: missing taskId or status',
-        context: 'useLiveFeed',
-        details: { data, timestamp: new Date().toISOString() },
-      });
-      return;
-    }
-    const event = {
+const toFeedEvent = (type, data) => {
+  if (type === SOCKET_EVENTS.TASK_UPDATE) {
+    if (!data.taskId || !data.status) return null;
+    return {
       id: data.eventId || uuidv4(),
-      type: 'taskUpdate',
+      seq: data.seq,
+      type,
       message: `Task ${data.taskId} updated to ${data.status}`,
-      timestamp: new Date().toISOString(),
+      timestamp: data.timestamp || new Date().toISOString(),
       color: data.status === 'failed' ? 'red' : 'green',
       data,
     };
-    listeners.forEach((listener) => listener(event));
-  });
-
-  socketInstance.on('backendProposal', (data) => {
-    console.log('useLiveFeed: Processing backendProposal', {
-      taskId: data.taskId,
-      proposalCount: data.proposals?.length || data.proposal ? 1 : 0,
-      eventId: data.eventId,
-      timestamp: new Date().toISOString(),
-    });
-    if (!data.taskId) {
-      console.warn('useLiveFeed: Invalid backendProposal event', { data, timestamp: new Date().toISOString() });
-      logClientError({
-        message: 'Invalid backendProposal event: missing taskId',
-        context: 'useLiveFeed',
-        details: { data, timestamp: new Date().toISOString() },
-      });
-      return;
-    }
-    const event = {
-      id: data.eventId || uuidv4(),
-      type: 'backendProposal',
-      message: `Proposal created for task ${data.taskId}`,
-      timestamp: new Date().toISOString(),
-      color: 'blue',
-      data,
-    };
-    listeners.forEach((listener) => listener(event));
-  });
-
-  socketInstance.on('connect_error', (err) => {
-    const errorMessage = err.message ? `Socket.IO connect error: ${err.message}` : 'Socket.IO connect error: Unknown error';
-    console.error('useLiveFeed: Connection error', {
-      error: err.message,
-      stack: err.stack,
-      tokenPayload,
-      timestamp: new Date().toISOString(),
-    });
-    logClientError({
-      message: errorMessage,
-      context: 'useLiveFeed',
-      details: { stack: err.stack, token: validToken.slice(0, 10) + '...', tokenPayload, timestamp: new Date().toISOString() },
-    });
-    setSocketError(errorMessage);
-  });
-
-  socketInstance.on('reconnect_attempt', (attempt) => {
-    console.log('useLiveFeed: Reconnection attempt', { attempt, tokenPayload, timestamp: new Date().toISOString() });
-    logClientError({
-      message: `Reconnection attempt ${attempt}`,
-      context: 'useLiveFeed',
-      details: { attempt, timestamp: new Date().toISOString() },
-    });
-  });
-
-  socketInstance.on('reconnect', (attempt) => {
-    console.log('useLiveFeed: Reconnected successfully', { attempt, tokenPayload, timestamp: new Date().toISOString() });
-    logClientError({
-      message: `Reconnected after ${attempt} attempts`,
-      context: 'useLiveFeed',
-      details: { attempt, timestamp: new Date().toISOString() },
-    });
-    setSocketError(null);
-  });
-
-  socketInstance.onAny((event, ...args) => {
-    console.log('useLiveFeed: Raw socket event', { event, args, timestamp: new Date().toISOString() });
-  });
-
-  return socketInstance;
+  }
+  if (!data.taskId) return null;
+  return {
+    id: data.eventId || uuidv4(),
+    seq: data.seq,
+    type,
+    message: `Proposal created for task ${data.taskId}`,
+    timestamp: data.timestamp || new Date().toISOString(),
+    color: 'blue',
+    data,
+  };
 };
 
-const useLiveFeed = ({ singletonFlag, token, maxEvents = 100 }) => {
+const useLiveFeed = ({ maxEvents = 100 } = {}) => {
+  const { socket, connection, subscribe } = useSocket();
   const [feed, setFeed] = useState([]);
 
   useEffect(() => {
-    const socket = initializeSocket(singletonFlag, token, (error) => {
-      if (error && typeof error === 'string') {
-        setFeed((prev) => [
-          {
-            id: uuidv4(),
-            message: error,
-            timestamp: new Date().toISOString(),
-            color: 'red',
-            type: 'error',
-            data: { error },
-          },
-          ...prev.slice(0, maxEvents - 1),
-        ]);
-      }
-    });
-    if (!socket) {
-      console.warn('useLiveFeed: Socket initialization failed, returning empty feed', {
-        singletonFlag,
-        token: token ? 'present' : 'missing',
+    if (connection.status === CONNECTION_STATUS.CONNECTED || !connection.error) return;
+    setFeed((prev) => [
+      {
+        id: uuidv4(),
+        message: connection.error,
         timestamp: new Date().toISOString(),
-      });
-      return;
-    }
-
-    const updateFeed = (event) => {
-      setFeed((prev) => [event, ...prev.slice(0, maxEvents - 1)]);
-    };
-
-    listeners.push(updateFeed);
+        color: 'red',
+        type: 'error',
+        data: { error: connection.error },
+      },
+      ...prev.slice(0, maxEvents - 1),
+    ]);
+  }, [connection.status, connection.error, maxEvents]);
 
-    return () => {
-      listeners = listeners.filter((listener) => listener !== updateFeed);
-      if (listeners.length === 0 && socketInstance) {
-        socketInstance.disconnect();
-        socketRegistry.delete(socketId);
-        socketInstance = null;
-        console.log('useLiveFeed: Socket unregistered', { socketId, registrySize: socketRegistry.size });
+  useEffect(() => {
+    const handle = (type) => (data) => {
+      console.log(`useLiveFeed: Processing ${type}`, {
+        taskId: data.taskId,
+        status: data.status,
+        eventId: data.eventId,
+        seq: data.seq,
+        timestamp: new Date().toISOString(),
+      });
+      const event = toFeedEvent(type, data);
+      if (!event) {
+        console.warn(`useLiveFeed: Invalid ${type} event`, { data, timestamp: new Date().toISOString() });
+        logClientError({
+          message: `Invalid ${type} event: missing taskId${type === SOCKET_EVENTS.TASK_UPDATE ? ' or status' : ''}`,
+          context: 'useLiveFeed',
+          details: { data, timestamp: new Date().toISOString() },
+        });
+        return;
       }
+      setFeed((prev) => insertBySeq(prev, event).slice(0, maxEvents));
     };
-  }, [singletonFlag, token, maxEvents]);
 
-  return { feed, socket: socketInstance };
+    const unsubscribers = [SOCKET_EVENTS.TASK_UPDATE, SOCKET_EVENTS.BACKEND_PROPOSAL].map((type) => subscribe(type, handle(type)));
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [subscribe, maxEvents]);
+
+  return { feed, socket };
 };
 
 export default useLiveFeed;
@@ -0,0 +1,113 @@
+/*
+ * File Path: frontend/src/hooks/usePromptTemplates.js
+ * Purpose: Loads and saves prompt templates for Allur Space Console.
+ * How It Works:
+ *   - Fetches GET /api/grok/templates on mount; templates include own and shared ones.
+ *   - saveTemplate creates a template or, with a templateId, saves a new version of it.
+ *   - renderTemplate fills {{variable}} placeholders locally so TaskInput.jsx can preview the prompt.
+ * Dependencies:
+ *   - React: useState, useEffect, useCallback (version 18.3.1).
+ *   - serverApiConfig.js: apiClient for /grok/templates.
+ *   - logClientError.js: Client-side error logging.
+ * Dependents:
+ *   - TaskInput.jsx: Template select, variable fields, Save as template.
+ * Why It’s Here:
+ *   - Users retyped the same prompts for every task (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created prompt template hook.
+ *     - Why: TaskInput.jsx needs the template library.
+ *     - How: apiClient CRUD on /grok/templates, local placeholder rendering matching promptTemplates.js.
+ *     - Test: Save a template from TaskInput.jsx, reload /grok, verify it appears in the template select.
+ * Test Instructions:
+ *   - Run `npm run dev`, navigate to /grok, verify GET /api/grok/templates in the network tab.
+ *   - Save a template, verify it is selectable without a reload.
+ * Rollback Instructions:
+ *   - Delete usePromptTemplates.js and remove the template controls from TaskInput.jsx.
+ * Future Enhancements:
+ *   - Version history browser with diffs between versions (Sprint 5).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../config/serverApiConfig';
+import { logClientError } from '../utils/logClientError';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][\w]*)\s*\}\}/g;
+
+/**
+ * Fills template placeholders, leaving unfilled ones visible.
+ * @param {string} text - Template text.
+ * @param {Object} values - Variable values by name.
+ * @param {Array<Object>} variables - Variable definitions with defaultValue.
+ * @returns {string} Rendered text.
+ */
+export const renderTemplate = (text, values = {}, variables = []) => {
+  const defaults = Object.fromEntries(variables.map((v) => [v.name, v.defaultValue]));
+  return String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = values[name] ?? defaults[name];
+    return value === undefined || value === null || String(value).trim() === '' ? match : String(value).trim();
+  });
+};
+
+const usePromptTemplates = ({ token, messageApi }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const reportError = useCallback((action, error) => {
+    const errorMessage = error.response?.data?.message || error.message;
+    console.error(`usePromptTemplates: ${action} failed`, { error: errorMessage });
+    messageApi?.error(`Failed to ${action} template: ${errorMessage}`);
+    logClientError({
+      message: `usePromptTemplates: ${action} error: ${errorMessage}`,
+      context: 'usePromptTemplates',
+      details: { stack: error.stack, timestamp: new Date().toISOString() },
+    });
+  }, [messageApi]);
+
+  const fetchTemplates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get('/grok/templates');
+      setTemplates(response.data.templates || []);
+    } catch (error) {
+      reportError('load', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportError]);
+
+  useEffect(() => {
+    if (token) {
+      fetchTemplates();
+    }
+  }, [token, fetchTemplates]);
+
+  const saveTemplate = useCallback(async (fields, templateId = null) => {
+    try {
+      const response = templateId
+        ? await apiClient.put(`/grok/templates/${templateId}`, fields)
+        : await apiClient.post('/grok/templates', fields);
+      const saved = response.data.template;
+      console.log('usePromptTemplates: Template saved', { templateId: saved.templateId, version: saved.version });
+      messageApi?.success(templateId ? `Template saved as version ${saved.version}` : 'Template saved');
+      await fetchTemplates();
+      return saved;
+    } catch (error) {
+      reportError('save', error);
+      return null;
+    }
+  }, [fetchTemplates, messageApi, reportError]);
+
+  const deleteTemplate = useCallback(async (templateId) => {
+    try {
+      await apiClient.delete(`/grok/templates/${templateId}`);
+      messageApi?.success('Template deleted');
+      setTemplates((prev) => prev.filter((t) => t.templateId !== templateId));
+    } catch (error) {
+      reportError('delete', error);
+    }
+  }, [messageApi, reportError]);
+
+  return { templates, loading, fetchTemplates, saveTemplate, deleteTemplate };
+};
+
+export default usePromptTemplates;
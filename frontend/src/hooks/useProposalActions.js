@@ -10,7 +10,7 @@
  *   - handleBulkApprove: Initiates bulk approval, enforces oldest pending proposal inclusion.
  *   - handleBulkDeny: Initiates bulk denial for selected proposals.
  *   - handleTestProposal: Runs manual Playwright test for a proposal’s task.
- *   - handleDenyProposal: Rolls back a proposal, updates status to denied.
+ *   - handleDenyProposal: Rolls back a proposal, updates status to denied (pending) or reverted (applied).
  *   - Maintains live feed capped at 50 entries with color-coded logs.
  * Dependencies:
  *   - React: useState for loading states (version 18.3.1).
@@ -30,6 +30,10 @@
  *     - Why: Fix 500 errors causing empty ProposalList.jsx (User, 04/25/2025).
  *     - How: Added array validation, detailed error logging, fallback empty state handling.
  *     - Test: Run `npm run dev`, navigate to /grok, verify proposals load or empty state, check console for fetchBackendProposals errors.
+ *   - 10/19/2026: Took the rolled back proposal status from the /grok/rollback response.
+ *     - Why: Rolling back an applied proposal reverts its edit and sets status "reverted" instead of "denied".
+ *     - How: Merges res.data.proposal into backendProposals, shows 409 revert conflicts from the server.
+ *     - Test: Approve a proposal, click Revert, verify status "reverted"; edit the target lines first, verify the 409 error message.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok: Verify ProposalList.jsx shows proposals or empty state, console logs fetchBackendProposals.
  *   - Submit “Add payroll to EmployeeLog”: Confirm proposals in ProposalList.jsx, yellow log in LiveFeed.jsx.
@@ -259,20 +263,21 @@ const useProposalActions = ({ messageApi, backendProposals, setBackendProposals,
       setButtonLoading((prev) => ({ ...prev, [`deny_proposal_${proposalId}`]: true }));
       const res = await apiClient.post('/grok/rollback', { proposalId });
       console.log('useProposalActions: handleDenyProposal response:', res.data);
-      setBackendProposals((prev) => prev.map((p) => (p._id === proposalId ? { ...p, status: 'denied' } : p)));
-      messageApi.success('Proposal denied');
+      const status = res.data.proposal?.status || 'denied';
+      setBackendProposals((prev) => prev.map((p) => (p._id === proposalId ? { ...p, status, ...res.data.proposal } : p)));
+      messageApi.success(status === 'reverted' ? 'Proposal reverted' : 'Proposal denied');
       setLiveFeed((prev) => [
         ...prev,
         {
-          message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - Proposal ${proposalId} denied`,
+          message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - Proposal ${proposalId} ${status}`,
           color: 'red',
-          details: 'Proposal rolled back via UI',
+          details: status === 'reverted' ? `Applied edit reverted in ${res.data.proposal?.file}` : 'Proposal rolled back via UI',
           timestamp: new Date().toISOString(),
         },
       ].slice(-50));
     } catch (err) {
       const errorMessage = err.response?.status === 401 ? 'Authentication failed: Invalid token' :
-                          err.response?.status === 400 ? err.response.data.error : 'Failed to deny proposal';
+                          [400, 409].includes(err.response?.status) ? err.response.data.error : 'Failed to deny proposal';
       console.error('useProposalActions: handleDenyProposal error:', errorMessage, err);
       messageApi.error(errorMessage);
       setLiveFeed((prev) => [
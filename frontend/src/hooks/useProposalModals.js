@@ -4,6 +4,8 @@
  * How It Works:
  *   - Handles modal visibility, confirmation, and cancellation for proposal actions (approve, bulkApprove, bulkDeny).
  *   - Updates backendProposals and live feed on action completion.
+ *   - High-risk proposals (securityReview.requiresSecondApproval) are approved one at a time with acknowledgeRisks;
+ *     a 202 response means the proposal awaits a second reviewer.
  * Mechanics:
  *   - Validates proposalId to prevent errors.
  *   - Uses apiClient for API calls (/grok/approve-backend, /grok/rollback).
@@ -28,6 +30,18 @@
  *     - Why: Address /grok runtime error from API 401 errors (User, 04/23/2025).
  *     - How: Strengthened handleModalOk error handling for 401/400/500, added debug logs for API failures, ensured safe proposalId validation.
  *     - Test: Run `npm run dev`, approve proposal, simulate 401, verify error in LiveFeed, check console for handleModalOk errors.
+ *   - 10/19/2026: Supported second approval for high-risk proposals.
+ *     - Why: /grok/approve-backend now requires acknowledged risks and a second reviewer for high-risk proposals.
+ *     - How: Single approve sends acknowledgeRisks and handles 202 as "awaiting_second_approval"; bulk approve skips high-risk proposals; 409 errors are shown.
+ *     - Test: Approve a high-risk proposal, verify orange "awaiting second approval" log and status; bulk approve it, verify it is skipped.
+ *   - 10/19/2026: Merged the returned proposal after approve and bulk deny.
+ *     - Why: Approval now applies a structured edit and rollback may revert it, so the server's applied/status fields are authoritative.
+ *     - How: Spreads res.data.proposal over the local proposal.
+ *     - Test: Approve a proposal, verify its Revert button appears; bulk deny, verify statuses match the server.
+ *   - 10/19/2026: Showed approval progress and assigned-reviewer refusals.
+ *     - Why: Proposals can need more than two approvals per the review policy, and only assigned reviewers may approve.
+ *     - How: 202 messages use the server message and approvals/approvalsRequired; 403 errors are shown.
+ *     - Test: Assign another reviewer, approve, verify the "not an assigned reviewer" error.
  * Test Instructions:
  *   - Run `npm run dev`, click “Approve” in ProposalList: Verify modal opens, confirm updates status, green log in LiveFeed.
  *   - Click “Bulk Deny”: Verify modal, red log in LiveFeed.
@@ -80,7 +94,12 @@ const useProposalModals = ({ messageApi, backendProposals, setBackendProposals,
       ].slice(-50));
       return;
     }
-    setSelectedProposal({ id: proposal._id, change: proposal.change });
+    setSelectedProposal({
+      id: proposal._id,
+      change: proposal.change || proposal.content,
+      securityReview: proposal.securityReview,
+      approvals: proposal.approvals,
+    });
     setModalVisible(true);
     setModalType('approve');
     setLiveFeed((prev) => [
@@ -100,23 +119,29 @@ const useProposalModals = ({ messageApi, backendProposals, setBackendProposals,
       setButtonLoading((prev) => ({ ...prev, modal: true }));
       if (modalType === 'bulkApprove') {
         console.log('useProposalModals: Processing bulk approve for proposals:', selectedProposals);
+        const highRiskIds = selectedProposals.filter((proposalId) =>
+          backendProposals.find((p) => p._id === proposalId)?.securityReview?.requiresSecondApproval);
         for (const proposalId of selectedProposals) {
           if (!isValidProposalId(proposalId)) {
             console.warn('useProposalModals: Invalid proposal ID in bulk approve:', proposalId);
             continue;
           }
+          if (highRiskIds.includes(proposalId)) continue;
           const res = await apiClient.post('/grok/approve-backend', { proposalId });
           console.log('useProposalModals: Bulk approve response for proposal:', proposalId, res.data);
-          setBackendProposals((prev) => prev.map((p) => (p._id === proposalId ? { ...p, status: 'approved' } : p)));
+          setBackendProposals((prev) => prev.map((p) => (p._id === proposalId ? { ...p, status: 'approved', ...res.data.proposal } : p)));
         }
         setSelectedProposals([]);
         messageApi.success('Selected proposals approved');
+        if (highRiskIds.length > 0) {
+          messageApi.warning(`${highRiskIds.length} high-risk proposal(s) skipped, approve them individually`);
+        }
         setLiveFeed((prev) => [
           ...prev,
           {
-            message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - Bulk approved ${selectedProposals.length} proposals`,
+            message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - Bulk approved ${selectedProposals.length - highRiskIds.length} proposals`,
             color: 'green',
-            details: `Proposal IDs: ${selectedProposals.join(', ')}`,
+            details: `Proposal IDs: ${selectedProposals.filter((id) => !highRiskIds.includes(id)).join(', ')}${highRiskIds.length ? `, skipped high-risk: ${highRiskIds.join(', ')}` : ''}`,
             timestamp: new Date().toISOString(),
           },
         ].slice(-50));
@@ -129,7 +154,7 @@ const useProposalModals = ({ messageApi, backendProposals, setBackendProposals,
           }
           const res = await apiClient.post('/grok/rollback', { proposalId });
           console.log('useProposalModals: Bulk deny response for proposal:', proposalId, res.data);
-          setBackendProposals((prev) => prev.map((p) => (p._id === proposalId ? { ...p, status: 'denied' } : p)));
+          setBackendProposals((prev) => prev.map((p) => (p._id === proposalId ? { ...p, status: 'denied', ...res.data.proposal } : p)));
         }
         setSelectedProposals([]);
         messageApi.success('Selected proposals denied');
@@ -158,9 +183,26 @@ const useProposalModals = ({ messageApi, backendProposals, setBackendProposals,
           ].slice(-50));
           return;
         }
-        const res = await apiClient.post('/grok/approve-backend', { proposalId: selectedProposal.id });
+        const res = await apiClient.post('/grok/approve-backend', {
+          proposalId: selectedProposal.id,
+          acknowledgeRisks: !!selectedProposal.securityReview?.requiresSecondApproval,
+        });
         console.log('useProposalModals: Single approve response:', res.data);
-        setBackendProposals((prev) => prev.map((p) => (p._id === selectedProposal.id ? { ...p, status: 'approved' } : p)));
+        if (res.status === 202) {
+          setBackendProposals((prev) => prev.map((p) => (p._id === selectedProposal.id ? { ...p, ...res.data.proposal } : p)));
+          messageApi.info(`Approval recorded, ${res.data.message || 'another reviewer must approve this proposal'}`);
+          setLiveFeed((prev) => [
+            ...prev,
+            {
+              message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - Proposal ${selectedProposal.id} awaiting approval (${res.data.proposal?.approvals?.length || 1}/${res.data.proposal?.approvalsRequired || 2})`,
+              color: 'orange',
+              details: `Risk: ${selectedProposal.securityReview?.riskLevel}, Change: ${selectedProposal.change}`,
+              timestamp: new Date().toISOString(),
+            },
+          ].slice(-50));
+          return;
+        }
+        setBackendProposals((prev) => prev.map((p) => (p._id === selectedProposal.id ? { ...p, status: 'approved', ...res.data.proposal } : p)));
         messageApi.success('Proposal approved');
         setLiveFeed((prev) => [
           ...prev,
@@ -174,7 +216,7 @@ const useProposalModals = ({ messageApi, backendProposals, setBackendProposals,
       }
     } catch (err) {
       const errorMessage = err.response?.status === 401 ? 'Authentication failed: Invalid token' :
-                          err.response?.status === 400 ? err.response.data.error : `Failed to ${modalType} proposals`;
+                          [400, 403, 409].includes(err.response?.status) ? err.response.data.error : `Failed to ${modalType} proposals`;
       console.error('useProposalModals: handleModalOk error:', errorMessage, err);
       messageApi.error(errorMessage);
       setLiveFeed((prev) => [
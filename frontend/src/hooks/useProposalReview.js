@@ -0,0 +1,87 @@
+/*
+ * File Path: frontend/src/hooks/useProposalReview.js
+ * Purpose: Review workflow actions for backend proposals in Allur Space Console: comments and reviewers.
+ * How It Works:
+ *   - Fetches GET /api/grok/reviewers (active admins) once a token is present.
+ *   - addComment posts a proposal comment, line comment, or reply; assignReviewers replaces the assigned reviewers.
+ *   - Both hand the updated proposal from the server to onProposalUpdate so the list shows the new comments and history.
+ * Dependencies:
+ *   - React: useState, useEffect, useCallback (version 18.3.1).
+ *   - serverApiConfig.js: apiClient for /grok/reviewers and /grok/backend-proposals.
+ *   - logClientError.js: Client-side error logging.
+ * Dependents:
+ *   - ProposalList.jsx: Passes the actions to ProposalReview.jsx and ProposalPreview.jsx.
+ * Why It’s Here:
+ *   - Proposals could only be approved, rolled back, or tested; reviewers had nowhere to discuss them (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created proposal review hook.
+ *     - Why: ProposalList.jsx needs comments, reviewer assignment, and the review timeline.
+ *     - How: apiClient calls to the review endpoints in proposalRoutes.js, errors shown with messageApi.
+ *     - Test: Comment on a proposal from its expanded row, verify the comment and a "commented" timeline entry.
+ * Test Instructions:
+ *   - Run `npm run dev`, open /grok, expand a proposal, verify the reviewer select lists admins.
+ * Rollback Instructions:
+ *   - Delete useProposalReview.js and remove its use from ProposalList.jsx.
+ * Future Enhancements:
+ *   - Apply backendProposalUpdate comment events from the socket (Sprint 5).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../config/serverApiConfig';
+import { logClientError } from '../utils/logClientError';
+
+const useProposalReview = ({ token, messageApi, onProposalUpdate = () => {} }) => {
+  const [reviewers, setReviewers] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const reportError = useCallback((action, error) => {
+    const errorMessage = error.response?.data?.error || error.message;
+    console.error(`useProposalReview: ${action} failed`, { error: errorMessage });
+    messageApi?.error(`Failed to ${action}: ${errorMessage}`);
+    logClientError({
+      message: `useProposalReview: ${action} error: ${errorMessage}`,
+      context: 'useProposalReview',
+      details: { stack: error.stack, timestamp: new Date().toISOString() },
+    });
+  }, [messageApi]);
+
+  useEffect(() => {
+    if (!token) return;
+    apiClient.get('/grok/reviewers')
+      .then((response) => setReviewers(Array.isArray(response.data) ? response.data : []))
+      .catch((error) => reportError('load reviewers', error));
+  }, [token, reportError]);
+
+  const addComment = useCallback(async (proposalId, { body, line, parentId } = {}) => {
+    setSaving(true);
+    try {
+      const response = await apiClient.post(`/grok/backend-proposals/${proposalId}/comments`, { body, line, parentId });
+      onProposalUpdate(response.data.proposal);
+      return response.data.comment;
+    } catch (error) {
+      reportError('add comment', error);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [onProposalUpdate, reportError]);
+
+  const assignReviewers = useCallback(async (proposalId, emails) => {
+    setSaving(true);
+    try {
+      const response = await apiClient.put(`/grok/backend-proposals/${proposalId}/reviewers`, { reviewers: emails });
+      onProposalUpdate(response.data.proposal);
+      messageApi?.success('Reviewers updated');
+      return response.data.reviewers;
+    } catch (error) {
+      reportError('assign reviewers', error);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [messageApi, onProposalUpdate, reportError]);
+
+  return { reviewers, saving, addComment, assignReviewers };
+};
+
+export default useProposalReview;
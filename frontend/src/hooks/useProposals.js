@@ -2,15 +2,16 @@
  * File Path: frontend/src/hooks/useProposals.js
  * Purpose: Manages backend proposal state and Socket.IO events for Allur Space Console, updating proposals in real-time.
  * How It Works:
- *   - Uses useLiveFeed.js to listen for backendProposal events from the backend.
+ *   - Subscribes to backendProposal events of the shared Socket.IO connection (socketContext).
  *   - Maintains a state of proposals for display in GrokUI.jsx or other components.
  *   - Logs errors to logClientError.js for debugging.
  * Mechanics:
- *   - Initializes useLiveFeed with singletonFlag, token, and maxEvents to receive backendProposal events.
  *   - Updates proposals state when new backendProposal events are received.
+ *   - Shows red useLiveFeed events (e.g. connection errors) through messageApi.
  * Dependencies:
  *   - React: useState, useEffect for state and lifecycle management (version 18.3.1).
- *   - useLiveFeed.js: Socket.IO event handling (version 4.8.1).
+ *   - socketContext: useSocket, SOCKET_EVENTS for backendProposal events.
+ *   - useLiveFeed.js: Feed errors.
  *   - logClientError.js: Client-side error logging.
  * Dependents:
  *   - GrokUI.jsx: Uses hook to display proposals alongside tasks.
@@ -26,6 +27,10 @@
  *     - Why: Socket not initialized error (User, 05/04/2025).
  *     - How: Added detailed logging for socket initialization failure, ensured token validation, preserved functionality.
  *     - Test: Load /grok, submit task, verify no socket initialization errors, proposals update in ProposalList.jsx.
+ *   - 10/19/2026: Subscribed to backendProposal through the shared socket connection.
+ *     - Why: Listeners were attached to useLiveFeed's socket, which was null until it connected ("Socket not initialized").
+ *     - How: subscribe() from socketContext; handlers are registered before the connection opens.
+ *     - Test: Load /grok, verify no "Socket not initialized" error, proposals update on backendProposal events.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, submit a task via TaskInput.jsx (e.g., "Build CRM system").
  *   - Verify no TypeError or socket errors, proposals update in GrokUI.jsx on backendProposal events.
@@ -42,6 +47,7 @@
 
 import { useState, useEffect } from 'react';
 import useLiveFeed from './useLiveFeed';
+import { useSocket, SOCKET_EVENTS } from '../context/socketContext';
 import { logClientError } from '../utils/logClientError';
 
 const useProposals = (params = {}) => {
@@ -75,41 +81,10 @@ const useProposals = (params = {}) => {
     return { proposals: [] };
   }
 
-  // Initialize useLiveFeed with correct parameters
-  const { feed, socket } = useLiveFeed({
-    singletonFlag: 'proposals',
-    token,
-    maxEvents: 100,
-  });
+  const { subscribe } = useSocket();
+  const { feed } = useLiveFeed({ maxEvents: 100 });
 
   useEffect(() => {
-    if (!socket) {
-      console.warn('useProposals: Socket not initialized', {
-        singletonFlag: 'proposals',
-        token: token.slice(0, 10) + '...',
-        timestamp: new Date().toISOString(),
-      });
-      if (messageApi) {
-        messageApi.error('Failed to initialize proposal socket');
-      }
-      logClientError({
-        message: 'Socket not initialized',
-        context: 'useProposals',
-        details: {
-          singletonFlag: 'proposals',
-          token: token ? 'present' : 'missing',
-          timestamp: new Date().toISOString(),
-        },
-      });
-      return;
-    }
-
-    console.log('useProposals: Socket initialized', {
-      socketId: socket.id || 'pending',
-      connected: socket.connected,
-      timestamp: new Date().toISOString(),
-    });
-
     const handleBackendProposal = (data) => {
       console.log('useProposals: Processing backendProposal', {
         taskId: data.taskId,
@@ -157,13 +132,8 @@ const useProposals = (params = {}) => {
       }
     };
 
-    socket.on('backendProposal', handleBackendProposal);
-
-    return () => {
-      socket.off('backendProposal', handleBackendProposal);
-      console.log('useProposals: Cleaned up socket listener', { timestamp: new Date().toISOString() });
-    };
-  }, [socket, messageApi]);
+    return subscribe(SOCKET_EVENTS.BACKEND_PROPOSAL, handleBackendProposal);
+  }, [subscribe]);
 
   // Error handling for feed events
   useEffect(() => {
@@ -30,6 +30,18 @@
  *     - Why: Task submission failing due to submitTask error, clearTasks not used (User, 05/08/2025).
  *     - How: Removed clearTasks, preserved core functionality.
  *     - Test: Verify TaskList.jsx buttons work, no clearTasks references.
+ *   - 10/19/2026: Added handleRollback for applied tasks.
+ *     - Why: Approved tasks are committed to git and can be reverted by commit.
+ *     - How: POST /grok/tasks/:taskId/rollback, surfaces the revert SHA or the server error.
+ *     - Test: Approve a task, click Rollback in TaskList.jsx, verify status ROLLED_BACK.
+ *   - 10/19/2026: Added handleCancel for queued tasks.
+ *     - Why: Tasks wait in the backend job queue and can be cancelled before a worker picks them up.
+ *     - How: POST /grok/tasks/:taskId/cancel, surfaces 409 "already running" from the server.
+ *     - Test: Submit a task while the queue is busy, click Cancel in TaskList.jsx, verify status CANCELLED.
+ *   - 10/19/2026: Added handlePause/handleResume, handleCancel for running tasks.
+ *     - Why: Running tasks can now be paused, resumed, and cancelled.
+ *     - How: POST /grok/tasks/:taskId/pause and /resume; handleCancel reports "Cancelling task" while a running task stops.
+ *     - Test: Click Pause on a processing task, verify PAUSED; click Resume, verify PROCESSING.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, submit a task.
  *   - Click Playwright button in TaskList.jsx, verify testUrl opens, button stays enabled.
@@ -121,6 +133,107 @@ const useTaskActions = (messageApi) => {
     }
   }, [messageApi]);
 
+  const handleRollback = useCallback(async (taskId) => {
+    try {
+      const response = await apiClient.post(`/grok/tasks/${taskId}/rollback`);
+      if (response.data.success) {
+        const revertSha = response.data.task?.revertCommitSha;
+        console.log('useTaskActions: Task rolled back', { taskId, revertSha });
+        messageApi.success(revertSha ? `Task rolled back (${revertSha.slice(0, 8)})` : 'Task rolled back');
+      } else {
+        throw new Error(response.data.message || 'Failed to roll back task');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error('useTaskActions: Rollback failed', { taskId, error: errorMessage });
+      messageApi.error(`Failed to roll back task: ${errorMessage}`);
+      logClientError({
+        message: `useTaskActions: handleRollback error: ${errorMessage}`,
+        context: 'useTaskActions',
+        details: {
+          taskId,
+          stack: error.stack,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  }, [messageApi]);
+
+  const handleCancel = useCallback(async (taskId) => {
+    try {
+      const response = await apiClient.post(`/grok/tasks/${taskId}/cancel`);
+      if (response.data.success) {
+        console.log('useTaskActions: Task cancelled', { taskId, status: response.data.task?.status });
+        messageApi.success(response.data.task?.status === 'cancelling' ? 'Cancelling task' : 'Task cancelled');
+      } else {
+        throw new Error(response.data.message || 'Failed to cancel task');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error('useTaskActions: Cancel failed', { taskId, error: errorMessage });
+      messageApi.error(`Failed to cancel task: ${errorMessage}`);
+      logClientError({
+        message: `useTaskActions: handleCancel error: ${errorMessage}`,
+        context: 'useTaskActions',
+        details: {
+          taskId,
+          stack: error.stack,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  }, [messageApi]);
+
+  const handlePause = useCallback(async (taskId) => {
+    try {
+      const response = await apiClient.post(`/grok/tasks/${taskId}/pause`);
+      if (response.data.success) {
+        console.log('useTaskActions: Task paused', { taskId });
+        messageApi.success('Task paused');
+      } else {
+        throw new Error(response.data.message || 'Failed to pause task');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error('useTaskActions: Pause failed', { taskId, error: errorMessage });
+      messageApi.error(`Failed to pause task: ${errorMessage}`);
+      logClientError({
+        message: `useTaskActions: handlePause error: ${errorMessage}`,
+        context: 'useTaskActions',
+        details: {
+          taskId,
+          stack: error.stack,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  }, [messageApi]);
+
+  const handleResume = useCallback(async (taskId) => {
+    try {
+      const response = await apiClient.post(`/grok/tasks/${taskId}/resume`);
+      if (response.data.success) {
+        console.log('useTaskActions: Task resumed', { taskId });
+        messageApi.success('Task resumed');
+      } else {
+        throw new Error(response.data.message || 'Failed to resume task');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error('useTaskActions: Resume failed', { taskId, error: errorMessage });
+      messageApi.error(`Failed to resume task: ${errorMessage}`);
+      logClientError({
+        message: `useTaskActions: handleResume error: ${errorMessage}`,
+        context: 'useTaskActions',
+        details: {
+          taskId,
+          stack: error.stack,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  }, [messageApi]);
+
   const handleDelete = useCallback(async (taskId) => {
     try {
       const response = await apiClient.delete(`/grok/task/${taskId}`);
@@ -145,7 +258,7 @@ const useTaskActions = (messageApi) => {
     }
   }, [messageApi]);
 
-  return { handleTest, handleApprove, handleDeny, handleDelete };
+  return { handleTest, handleApprove, handleDeny, handleRollback, handleCancel, handlePause, handleResume, handleDelete };
 };
 
 export default useTaskActions;
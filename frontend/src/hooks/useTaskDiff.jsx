@@ -4,17 +4,18 @@
  * How It Works:
  *   - Fetches task content (/grok/file-content) and computes granular diffs using jsdiff.
  *   - Displays diffs, test instructions, staged/generated files, and uploaded files in a modal.
- *   - Listens to Socket.IO fileContentUpdate events for real-time updates.
+ *   - Listens to fileContentUpdate events of the shared Socket.IO connection for the open task.
  * Mechanics:
  *   - Uses jsdiff for line-by-line diff computation.
+ *   - Parses stagedFiles[].patch (unified diff) into hunks per file, falling back to original/new content for older tasks.
  *   - Validates taskId and handles API errors (401/500).
  *   - Initializes selectedTask with safe defaults to prevent null errors.
  * Dependencies:
- *   - React: useState, useEffect, useRef for state and lifecycle (version 18.3.1).
+ *   - React: useState, useEffect for state and lifecycle (version 18.3.1).
  *   - antd: message for notifications (version 5.22.2).
  *   - diff: Computes text differences (version 5.2.0).
  *   - axios: apiClient for API calls (version 1.8.4).
- *   - socket.io-client: Real-time updates (version 4.8.1).
+ *   - socketContext: useSocket, SOCKET_EVENTS for fileContentUpdate events.
  * Dependents:
  *   - TaskList.jsx: Uses showDiff for “View Changes” action.
  *   - GrokUI.jsx: Provides token and navigate.
@@ -29,6 +30,14 @@
  *     - Why: Resolve SyntaxError due to default import of diff (User, 05/03/2025).
  *     - How: Changed `import diff from 'diff'` to `import * as Diff from 'diff'`.
  *     - Test: Load /grok, click “View Changes”, verify modal renders without errors.
+ *   - 10/19/2026: Added hunk parsing from staged unified diffs and merge conflicts.
+ *     - Why: Backend stores staged changes as patches against a base hash; console should render hunks.
+ *     - How: getTaskHunks parses stagedFiles[].patch with Diff.parsePatch, exposes hunks and mergeConflicts.
+ *     - Test: Click “View Changes”, verify DiffView shows @@ hunks per staged file.
+ *   - 10/19/2026: Listened on the shared socket connection.
+ *     - Why: The hook connected to localhost:8888 with the placeholder token from TaskList.jsx, which the authenticated handshake rejects.
+ *     - How: subscribe() from socketContext while a task is open; the handler compares against the current task instead of a stale one.
+ *     - Test: Open “View Changes”, verify no extra polling connection or "Task diff feed connection lost" message.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, submit “Create inventory system”.
  *   - Click “View Changes” in TaskList: Verify modal shows granular diffs, test instructions, staged/generated/uploaded files.
@@ -43,11 +52,11 @@
  *   - Support file-specific diffs (Sprint 5).
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect } from 'react';
 import { message } from 'antd';
 import * as Diff from 'diff'; // Use named imports instead of default
 import apiClient from '../config/serverApiConfig';
-import io from 'socket.io-client';
+import { useSocket, SOCKET_EVENTS } from '../context/socketContext';
 
 const useTaskDiff = ({ token = null, navigate = () => {}, messageApi = null, tasks = [], setTasks = () => {} } = {}) => {
   console.log('useTaskDiff: Initializing with parameters:', {
@@ -59,49 +68,31 @@ const useTaskDiff = ({ token = null, navigate = () => {}, messageApi = null, tas
 
   const [selectedTask, setSelectedTask] = useState(null);
   const [diffs, setDiffs] = useState({});
-  const socketRef = useRef(null);
+  const [hunks, setHunks] = useState({});
+  const { subscribe } = useSocket();
+  const selectedTaskId = selectedTask?.taskId;
 
   useEffect(() => {
-    if (!token) {
-      console.warn('useTaskDiff: No token provided, skipping Socket.IO setup');
-      return;
-    }
-
-    console.log('useTaskDiff: Setting up Socket.IO');
-    socketRef.current = io('http://localhost:8888', {
-      auth: { token },
-      reconnection: true,
-      reconnectionAttempts: 5,
-      reconnectionDelay: 1000,
-    });
-    socketRef.current.on('fileContentUpdate', ({ taskId, originalContent, newContent, stagedFiles, generatedFiles, proposedChanges, testInstructions, uploadedFiles }) => {
+    if (!selectedTaskId) return undefined;
+    return subscribe(SOCKET_EVENTS.FILE_CONTENT_UPDATE, ({ taskId, originalContent, newContent, stagedFiles, generatedFiles, proposedChanges, testInstructions, uploadedFiles, mergeConflicts }) => {
+      if (taskId !== selectedTaskId) return;
       console.log('useTaskDiff: fileContentUpdate received:', { taskId, stagedFilesLength: stagedFiles?.length });
-      if (selectedTask?.taskId === taskId) {
-        const newDiffs = getTaskDiff(originalContent || {}, newContent || {});
-        setSelectedTask((prev) => ({
-          ...prev,
-          originalContent: originalContent || prev?.originalContent || {},
-          newContent: newContent || prev?.newContent || {},
-          stagedFiles: Array.isArray(stagedFiles) ? stagedFiles : prev?.stagedFiles || [],
-          generatedFiles: Array.isArray(generatedFiles) ? generatedFiles : prev?.generatedFiles || [],
-          proposedChanges: Array.isArray(proposedChanges) ? proposedChanges : prev?.proposedChanges || [],
-          testInstructions: testInstructions || prev?.testInstructions || 'No test instructions available',
-          uploadedFiles: Array.isArray(uploadedFiles) ? uploadedFiles : prev?.uploadedFiles || [],
-        }));
-        setDiffs(newDiffs);
-      }
-    });
-    socketRef.current.on('connect_error', (err) => {
-      console.error('useTaskDiff: Socket.IO connection error:', err.message);
-      if (messageApi) messageApi.error('Task diff feed connection lost');
+      const newDiffs = getTaskDiff(originalContent || {}, newContent || {});
+      setSelectedTask((prev) => ({
+        ...prev,
+        originalContent: originalContent || prev?.originalContent || {},
+        newContent: newContent || prev?.newContent || {},
+        stagedFiles: Array.isArray(stagedFiles) ? stagedFiles : prev?.stagedFiles || [],
+        generatedFiles: Array.isArray(generatedFiles) ? generatedFiles : prev?.generatedFiles || [],
+        proposedChanges: Array.isArray(proposedChanges) ? proposedChanges : prev?.proposedChanges || [],
+        testInstructions: testInstructions || prev?.testInstructions || 'No test instructions available',
+        uploadedFiles: Array.isArray(uploadedFiles) ? uploadedFiles : prev?.uploadedFiles || [],
+        mergeConflicts: Array.isArray(mergeConflicts) ? mergeConflicts : prev?.mergeConflicts || [],
+      }));
+      setDiffs(newDiffs);
+      if (Array.isArray(stagedFiles)) setHunks(getTaskHunks(stagedFiles, originalContent || {}));
     });
-    return () => {
-      if (socketRef.current) {
-        console.log('useTaskDiff: Disconnecting Socket.IO');
-        socketRef.current.disconnect();
-      }
-    };
-  }, [token, messageApi]);
+  }, [subscribe, selectedTaskId]);
 
   /**
    * Computes granular diffs between original and new content.
@@ -125,6 +116,29 @@ const useTaskDiff = ({ token = null, navigate = () => {}, messageApi = null, tas
     return diffs;
   };
 
+  /**
+   * Parses staged unified diffs into hunks by file path.
+   * @param {Array} stagedFiles - Staged files with patch or content.
+   * @param {Object} originalContent - Base contents for staged files without a patch.
+   * @returns {Object} { [path]: { hunks, isNewFile, stats } }.
+   */
+  const getTaskHunks = (stagedFiles = [], originalContent = {}) => {
+    const result = {};
+    stagedFiles.forEach(file => {
+      if (!file?.path) return;
+      try {
+        const parsed = file.patch
+          ? Diff.parsePatch(file.patch)[0]
+          : Diff.structuredPatch(file.path, file.path, originalContent[file.path] || '', file.content || '', '', '', { context: 3 });
+        result[file.path] = { hunks: parsed?.hunks || [], isNewFile: !!file.isNewFile, stats: file.stats || null };
+      } catch (err) {
+        console.warn('useTaskDiff: Failed to parse patch', { path: file.path, error: err.message });
+        result[file.path] = { hunks: [], isNewFile: !!file.isNewFile, stats: null };
+      }
+    });
+    return result;
+  };
+
   const showDiff = async (taskId) => {
     console.log('useTaskDiff: showDiff called with taskId:', taskId);
     if (!taskId || typeof taskId !== 'string') {
@@ -156,8 +170,10 @@ const useTaskDiff = ({ token = null, navigate = () => {}, messageApi = null, tas
         proposedChanges: Array.isArray(taskData.proposedChanges) ? taskData.proposedChanges : [],
         testInstructions: taskData.testInstructions || task.testInstructions || 'No test instructions available',
         uploadedFiles: Array.isArray(taskData.uploadedFiles) ? taskData.uploadedFiles : [],
+        mergeConflicts: Array.isArray(taskData.mergeConflicts) ? taskData.mergeConflicts : [],
       });
       setDiffs(diffs);
+      setHunks(getTaskHunks(taskData.stagedFiles || [], taskData.originalContent || {}));
       console.log('useTaskDiff: Diff computed for taskId:', taskId);
     } catch (err) {
       const errorMessage = err.response?.status === 401 ? 'Authentication failed: Invalid token' : 'Failed to load task content';
@@ -177,6 +193,8 @@ const useTaskDiff = ({ token = null, navigate = () => {}, messageApi = null, tas
     diffs,
     setDiffs,
     getTaskDiff,
+    hunks,
+    getTaskHunks,
   };
 };
 
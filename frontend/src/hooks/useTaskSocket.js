@@ -1,23 +1,19 @@
 /*
  * File Path: frontend/src/hooks/useTaskSocket.js
- * Purpose: Manages Socket.IO connection for task updates in Allur Space Console, updating task state in real-time.
+ * Purpose: Follows task updates over the shared Socket.IO connection in Allur Space Console, updating task state in real-time.
  * How It Works:
- *   - Establishes a single Socket.IO connection to receive taskUpdate events from the backend, updating tasks state in real-time.
- *   - Deduplicates events using eventId to prevent duplicate UI updates.
- *   - Acknowledges events via callbacks to ensure reliable delivery and prevent race conditions.
- *   - Uses socketRegistry.js to track connection instance.
- *   - Logs client-side errors to /api/grok/client-error for debugging.
+ *   - Subscribes to taskUpdate and queueStatus events of the shared connection (socketContext), updating tasks state in real-time.
+ *   - socketContext deduplicates events by eventId and acknowledges them.
+ *   - Reports the shared connection error through setSocketError.
+ *   - Receives events of the user's own tasks; other tasks (e.g. shared admin tasks) are followed by passing taskIds.
  * Mechanics:
- *   - Initializes Socket.IO with JWT token from localStorage.auth, using polling transport to bypass WebSocket issues.
  *   - Handles taskUpdate events, updating tasks state with status, files, and errors.
- *   - Implements exponential backoff for reconnection (20s initial, 60s max, infinite attempts).
- *   - Validates token to ensure proper initialization.
+ *   - The server joins the socket to the user's room on connect; taskIds are passed to socketContext.watchTasks,
+ *     which subscribes to their rooms, re-subscribes after every reconnect, and reference counts them across hooks.
+ *   - Replayed events stored without file contents (truncated) are not merged, the next fetch brings the full task.
  * Dependencies:
- *   - React: useState, useEffect, useRef for state and lifecycle management (version 18.3.1).
- *   - socket.io-client: WebSocket client for real-time communication (version 4.8.1).
- *   - socketRegistry.js: Tracks socket instances to prevent duplicates.
- *   - logClientError.js: Logs client-side errors to backend.
- *   - serverApiConfig.js: Provides BASE_URL for Socket.IO connection.
+ *   - React: useState, useEffect for state and lifecycle management (version 18.3.1).
+ *   - socketContext: useSocket, SOCKET_EVENTS for the shared connection.
  * Dependents:
  *   - GrokUI.jsx: Uses hook to update tasks in TaskList.jsx.
  *   - TaskList.jsx: Displays updated tasks based on socket events.
@@ -44,13 +40,62 @@
  *     - Why: Socket not initialized error in useProposals.js affecting task updates (User, 05/04/2025).
  *     - How: Added detailed logging for initialization failures, ensured singleton stability.
  *     - Test: Load /grok, submit task, verify no socket initialization errors, tasks update in TaskList.jsx.
+ *   - 10/19/2026: Passed plan fields (parentTaskId, subtasks, planProgress, blockedBy) through taskUpdate.
+ *     - Why: Plan parents report aggregate progress and blocked subtasks over Socket.IO.
+ *     - How: Fields are added to the task update only when present, so the merge keeps fetched values.
+ *     - Test: Submit "Build an inventory system with stock alerts and supplier management", verify the parent progress updates without a reload.
+ *   - 10/19/2026: Tracked queueStatus events from the backend job queue.
+ *     - Why: Tasks are processed by jobQueue.js workers; the console shows queue depth and running jobs.
+ *     - How: queueStatus events are deduplicated by eventId and returned as queueStatus from the hook.
+ *     - Test: Submit three tasks with TASK_QUEUE_CONCURRENCY=1, verify queueStatus.queued counts down.
+ *   - 10/19/2026: Passed static validation results through taskUpdate.
+ *     - Why: TaskList.jsx shows per-file validation findings before approval.
+ *     - How: validation is added to the task update only when present, like the plan fields.
+ *     - Test: Submit a task, verify the Checks tag appears in TaskList.jsx without a reload.
+ *   - 10/19/2026: Passed path policy violations through taskUpdate.
+ *     - Why: applyApprovedChanges records violations on the task when apply is refused.
+ *     - How: policyViolations is added only when present, like validation.
+ *     - Test: Approve a task staging backend/app.js, verify the BLOCKED PATHS tag in TaskList.jsx without a reload.
+ *   - 10/19/2026: Appended test repair iterations from taskUpdate.
+ *     - Why: testRepair.js emits each test run of the repair loop with its result and diff.
+ *     - How: Events with repairIteration append to task.repairIterations without merging the other (empty) fields.
+ *     - Test: Fail a task test, verify the TEST RUNS tag in TaskList.jsx counts up without a reload.
+ *   - 10/19/2026: Passed acceptance criteria results through taskUpdate.
+ *     - Why: The test result event carries acceptanceTests for the CRITERIA tag in TaskList.jsx.
+ *     - How: acceptanceTests is added only when present, like validation.
+ *     - Test: Run a task test, verify the CRITERIA tag updates without a reload.
+ *   - 10/19/2026: Passed API test results and the test report through taskUpdate.
+ *     - Why: The test result event carries apiTests and testReport for the API tag in TaskList.jsx.
+ *     - How: Both are added only when present, like acceptanceTests.
+ *     - Test: Submit "Add MFA to login", verify the API tag appears without a reload.
+ *   - 10/19/2026: Passed visual regression results through taskUpdate.
+ *     - Why: The test result event carries visualTests for the VISUAL tag in TaskList.jsx.
+ *     - How: visualTests is added only when present, like apiTests.
+ *     - Test: Run a task on a page with a baseline, verify the VISUAL tag appears without a reload.
+ *   - 10/19/2026: Subscribed to task rooms instead of receiving every task event.
+ *     - Why: The backend authenticates the handshake and sends task events only to the task's and owner's rooms.
+ *     - How: Optional taskIds are subscribed on connect and when they change, unsubscribed on cleanup;
+ *       an "Unauthorized" connect error asks the user to log in again.
+ *     - Test: Pass the taskId of a shared admin task, verify its taskUpdate events arrive and { denied: [] } in the console.
+ *   - 10/19/2026: Resumed from the last event sequence number after a reconnect.
+ *     - Why: The backend persists task events and replays those after a client's lastSeq.
+ *     - How: auth callback and subscribe send lastSeq; eventId deduplication drops copies; truncated replays are skipped.
+ *     - Test: Restart the backend while a task runs, verify its final status reaches QueueStatus/TaskList without a reload.
+ *   - 10/19/2026: Moved onto the shared socket connection.
+ *     - Why: useTaskSocket, useLiveFeed, and useProposalSocket each opened a connection with their own reconnect and dedupe code.
+ *     - How: Subscribes through socketContext; connection, lastSeq, task rooms, and eventId deduplication live there.
+ *     - Test: Load /grok, verify one polling connection in the Network tab and TaskList.jsx updates while a task runs.
+ *   - 10/19/2026: Passed commitSha and commitError through taskUpdate.
+ *     - Why: The applied event says whether the task was committed; without a commit TaskList.jsx marks it as not revertible.
+ *     - How: Both are added only when present, like visualTests.
+ *     - Test: Approve a task while its git commit fails, verify the NO COMMIT tag without a reload.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, submit a task via TaskInput.jsx (e.g., "Build CRM system").
  *   - Verify single green log in LiveFeed.jsx for task creation, no WebSocket errors in console.
  *   - Check console for 'useTaskSocket: Processing taskUpdate' logs with correct status/testUrl/stagedFiles/proposedChanges/originalContent/newContent.
  *   - Delete a task, confirm single green log for deletion in LiveFeed.jsx.
  *   - Restart backend server, verify tasks update on reconnect, no WebSocket errors.
- *   - Open 10 /grok tabs, confirm single connection log per client in idurar_db.logs, registry size stable at 1.
+ *   - Open 10 /grok tabs, confirm single connection log per tab in idurar_db.logs.
  * Rollback Instructions:
  *   - Revert to useTaskSocket.js.bak (`mv frontend/src/hooks/useTaskSocket.js.bak frontend/src/hooks/useTaskSocket.js`).
  *   - Verify /grok loads, task updates appear in LiveFeed.jsx without duplicates.
@@ -61,278 +106,136 @@
  */
 
 import { useState, useEffect } from 'react';
-import io from 'socket.io-client';
-import socketRegistry from '../utils/socketRegistry';
-import { logClientError } from '../utils/logClientError';
-import { BASE_URL } from '../config/serverApiConfig';
-
-// Singleton Socket.IO instance
-let socketInstance = null;
-const socketId = Symbol('useTaskSocket');
-const seenEvents = new Set();
-let listeners = [];
-
-const initializeSocket = (token, setSocketError) => {
-  if (socketInstance && socketInstance.connected) {
-    console.log('useTaskSocket: Using existing socket instance', { socketId: socketInstance.id });
-    return socketInstance;
-  }
-
-  // Validate inputs
-  const auth = JSON.parse(localStorage.getItem('auth') || '{}');
-  const validToken = auth.token || token || 'mock-token';
-  if (!validToken || typeof validToken !== 'string') {
-    const errorMessage = 'Missing or invalid token';
-    console.error('useTaskSocket: Initialization failed', {
-      token: validToken ? 'present' : 'missing',
-      timestamp: new Date().toISOString(),
-    });
-    logClientError({
-      message: errorMessage,
-      context: 'useTaskSocket',
-      details: { token: validToken ? 'present' : 'missing', timestamp: new Date().toISOString() },
-    });
-    setSocketError(errorMessage);
-    return null;
-  }
-
-  // Log token details
-  let tokenPayload = 'unknown';
-  try {
-    const [, payload] = validToken.split('.');
-    tokenPayload = JSON.parse(atob(payload));
-  } catch (err) {
-    console.warn('useTaskSocket: Failed to decode token payload', {
-      error: err.message,
-      timestamp: new Date().toISOString(),
-    });
-  }
-  console.log('useTaskSocket: Initializing with token:', {
-    token: validToken.slice(0, 10) + '...',
-    payload: tokenPayload,
-    timestamp: new Date().toISOString(),
-  });
-
-  // Prevent redundant connections
-  if (socketRegistry.has(socketId)) {
-    console.log('useTaskSocket: Socket already registered, using existing instance', {
-      registrySize: socketRegistry.size,
-    });
-    return socketInstance;
-  }
-  socketRegistry.add(socketId);
-  console.log('useTaskSocket: Socket registered', { socketId, registrySize: socketRegistry.size });
-
-  // Initialize Socket.IO
-  try {
-    socketInstance = io(BASE_URL, {
-      auth: { token: validToken },
-      query: { source: 'useTaskSocket' },
-      transports: ['polling'],
-      reconnection: true,
-      reconnectionAttempts: Infinity,
-      reconnectionDelay: 20000,
-      reconnectionDelayMax: 60000,
-      randomizationFactor: 0.5,
-      timeout: 30000,
-    });
-  } catch (err) {
-    console.error('useTaskSocket: Socket.IO initialization error', {
-      error: err.message,
-      stack: err.stack,
-      timestamp: new Date().toISOString(),
-    });
-    logClientError({
-      message: 'Socket.IO initialization error',
-      context: 'useTaskSocket',
-      details: { error: err.message, stack: err.stack, timestamp: new Date().toISOString() },
-    });
-    setSocketError('Socket.IO initialization error');
-    return null;
-  }
-
-  socketInstance.on('connect', () => {
-    console.log('useTaskSocket: Polling connected', { socketId: socketInstance.id });
-    setSocketError(null);
-    logClientError({
-      message: 'Polling connected',
-      context: 'useTaskSocket',
-      details: { socketId: socketInstance.id, tokenPayload, timestamp: new Date().toISOString() },
-    });
-  });
-
-  socketInstance.on('taskUpdate', (data, callback) => {
-    console.log('useTaskSocket: Raw taskUpdate event', { data });
-    const {
-      taskId,
-      status,
-      files,
-      stagedFiles,
-      stagedFilesCount,
-      error,
-      eventId,
-      testUrl,
-      testInstructions,
-      proposedChanges,
-      originalContent,
-      newContent,
-      message,
-      logColor,
-    } = data;
-    if (!eventId || seenEvents.has(eventId)) {
-      console.log('useTaskSocket: Skipped duplicate taskUpdate', { taskId, eventId });
-      logClientError({
-        message: 'Skipped duplicate taskUpdate event',
-        context: 'useTaskSocket',
-        details: { taskId, eventId, status, timestamp: new Date().toISOString() },
-      });
-      return;
-    }
-    seenEvents.add(eventId);
-
-    console.log('useTaskSocket: Processing taskUpdate', {
-      taskId,
-      status,
-      testUrl,
-      stagedFilesCount: stagedFiles?.length || stagedFilesCount,
-      proposedChangesCount: proposedChanges?.length,
-      originalContentKeys: originalContent ? Object.keys(originalContent).length : 0,
-      newContentKeys: newContent ? Object.keys(newContent).length : 0,
-      eventId,
-      timestamp: new Date().toISOString(),
-    });
-
-    const updatedTask = {
-      taskId,
-      status,
-      files: files || [],
-      stagedFiles: stagedFiles || [],
-      stagedFilesCount: stagedFiles?.length || stagedFilesCount || 0,
-      error,
-      testUrl,
-      testInstructions,
-      proposedChanges: proposedChanges || [],
-      originalContent: originalContent || {},
-      newContent: newContent || {},
-      message,
-      logColor,
-    };
-
-    listeners.forEach((listener) => {
-      listener(updatedTask);
-    });
-
-    if (callback && typeof callback === 'function') {
-      callback(true);
-      console.log('useTaskSocket: Acknowledged taskUpdate', { taskId, eventId });
-    }
-  });
-
-  socketInstance.on('connect_error', (err) => {
-    const errorMessage = err.message ? `Socket.IO connect error: ${err.message}` : 'Socket.IO connect error: Unknown error';
-    console.error('useTaskSocket: Connection error', {
-      error: err.message,
-      stack: err.stack,
-      tokenPayload,
-      timestamp: new Date().toISOString(),
-    });
-    logClientError({
-      message: errorMessage,
-      context: 'useTaskSocket',
-      details: { stack: err.stack, token: validToken.slice(0, 10) + '...', tokenPayload, timestamp: new Date().toISOString() },
-    });
-    setSocketError(errorMessage);
-  });
-
-  socketInstance.on('reconnect_attempt', (attempt) => {
-    console.log('useTaskSocket: Reconnection attempt', { attempt, tokenPayload, timestamp: new Date().toISOString() });
-    logClientError({
-      message: `Reconnection attempt ${attempt}`,
-      context: 'useTaskSocket',
-      details: { attempt, timestamp: new Date().toISOString() },
-    });
-  });
-
-  socketInstance.on('reconnect', (attempt) => {
-    console.log('useTaskSocket: Reconnected successfully', { attempt, tokenPayload, timestamp: new Date().toISOString() });
-    logClientError({
-      message: `Reconnected after ${attempt} attempts`,
-      context: 'useTaskSocket',
-      details: { attempt, timestamp: new Date().toISOString() },
-    });
-    setSocketError(null);
-  });
-
-  socketInstance.onAny((event, ...args) => {
-    console.log('useTaskSocket: Raw socket event', { event, args, timestamp: new Date().toISOString() });
-  });
-
-  return socketInstance;
+import { useSocket, SOCKET_EVENTS, CONNECTION_STATUS } from '../context/socketContext';
+
+const toTaskUpdate = (data) => {
+  const {
+    taskId,
+    status,
+    files,
+    stagedFiles,
+    stagedFilesCount,
+    error,
+    testUrl,
+    testInstructions,
+    proposedChanges,
+    originalContent,
+    newContent,
+    message,
+    logColor,
+    parentTaskId,
+    subtasks,
+    planProgress,
+    blockedBy,
+    validation,
+    policyViolations,
+    repairIteration,
+    acceptanceTests,
+    apiTests,
+    testReport,
+    visualTests,
+    commitSha,
+    commitError,
+  } = data;
+
+  return {
+    taskId,
+    status,
+    files: files || [],
+    stagedFiles: stagedFiles || [],
+    stagedFilesCount: stagedFiles?.length || stagedFilesCount || 0,
+    error,
+    testUrl,
+    testInstructions,
+    proposedChanges: proposedChanges || [],
+    originalContent: originalContent || {},
+    newContent: newContent || {},
+    message,
+    logColor,
+    // Plan fields only arrive on plan events; omit them so a merge keeps the fetched values
+    ...(parentTaskId && { parentTaskId }),
+    ...(subtasks && { subtasks }),
+    ...(planProgress && { planProgress }),
+    ...(blockedBy && { blockedBy }),
+    ...(validation && { validation }),
+    ...(policyViolations && { policyViolations }),
+    ...(repairIteration && { repairIteration }),
+    ...(acceptanceTests && { acceptanceTests }),
+    ...(apiTests && { apiTests }),
+    ...(testReport && { testReport }),
+    ...(visualTests && { visualTests }),
+    ...(commitSha && { commitSha }),
+    ...(commitError && { commitError }),
+  };
 };
 
-const useTaskSocket = ({ token, setSocketError }) => {
+const useTaskSocket = ({ setSocketError, taskIds = [] } = {}) => {
+  const { socket, connection, subscribe, watchTasks } = useSocket();
   const [tasks, setTasks] = useState([]);
+  const [queueStatus, setQueueStatus] = useState(null);
+  const watchKey = [...new Set(taskIds)].sort().join(',');
 
   useEffect(() => {
-    const socket = initializeSocket(token, setSocketError);
-    if (!socket) {
-      console.warn('useTaskSocket: Socket initialization failed', {
-        token: token ? 'present' : 'missing',
+    if (typeof setSocketError !== 'function') return;
+    setSocketError(connection.status === CONNECTION_STATUS.CONNECTED ? null : connection.error);
+  }, [connection.status, connection.error, setSocketError]);
+
+  useEffect(() => {
+    const updateTasks = (data) => {
+      if (data.truncated) {
+        console.log('useTaskSocket: Skipped truncated replayed taskUpdate', { taskId: data.taskId, seq: data.seq });
+        return;
+      }
+      const updatedTask = toTaskUpdate(data);
+      console.log('useTaskSocket: Processing taskUpdate', {
+        taskId: updatedTask.taskId,
+        status: updatedTask.status,
+        testUrl: updatedTask.testUrl,
+        stagedFilesCount: updatedTask.stagedFilesCount,
+        proposedChangesCount: updatedTask.proposedChanges.length,
+        originalContentKeys: Object.keys(updatedTask.originalContent).length,
+        newContentKeys: Object.keys(updatedTask.newContent).length,
+        eventId: data.eventId,
         timestamp: new Date().toISOString(),
       });
-      return;
-    }
 
-    const updateTasks = (updatedTask) => {
       setTasks((prev) => {
         if (updatedTask.status === 'deleted') {
           console.log('useTaskSocket: Task deleted', { taskId: updatedTask.taskId });
           return prev.filter((task) => task.taskId !== updatedTask.taskId);
         }
         const existingTask = prev.find((task) => task.taskId === updatedTask.taskId);
+        if (existingTask && updatedTask.repairIteration) {
+          // Repair events carry one test run only; append it instead of merging the partial task
+          return prev.map((task) =>
+            task.taskId === updatedTask.taskId
+              ? { ...task, repairIterations: [...(task.repairIterations || []), updatedTask.repairIteration] }
+              : task
+          );
+        }
         if (existingTask) {
-          console.log('useTaskSocket: Updated existing task', {
-            taskId: updatedTask.taskId,
-            status: updatedTask.status,
-            testUrl: updatedTask.testUrl,
-            stagedFilesCount: updatedTask.stagedFilesCount,
-            proposedChangesCount: updatedTask.proposedChanges.length,
-            originalContentKeys: Object.keys(updatedTask.originalContent).length,
-            newContentKeys: Object.keys(updatedTask.newContent).length,
-            timestamp: new Date().toISOString(),
-          });
           return prev.map((task) =>
             task.taskId === updatedTask.taskId ? { ...task, ...updatedTask } : task
           );
         }
-        console.log('useTaskSocket: Added new task', {
-          taskId: updatedTask.taskId,
-          status: updatedTask.status,
-          testUrl: updatedTask.testUrl,
-          stagedFilesCount: updatedTask.stagedFilesCount,
-          proposedChangesCount: updatedTask.proposedChanges.length,
-          originalContentKeys: Object.keys(updatedTask.originalContent).length,
-          newContentKeys: Object.keys(updatedTask.newContent).length,
-          timestamp: new Date().toISOString(),
-        });
         return [updatedTask, ...prev];
       });
     };
 
-    listeners.push(updateTasks);
-
+    const unsubscribeTasks = subscribe(SOCKET_EVENTS.TASK_UPDATE, updateTasks);
+    const unsubscribeQueue = subscribe(SOCKET_EVENTS.QUEUE_STATUS, setQueueStatus);
     return () => {
-      listeners = listeners.filter((listener) => listener !== updateTasks);
-      if (listeners.length === 0 && socketInstance) {
-        socketInstance.disconnect();
-        socketRegistry.delete(socketId);
-        socketInstance = null;
-        console.log('useTaskSocket: Socket unregistered', { socketId, registrySize: socketRegistry.size });
-      }
+      unsubscribeTasks();
+      unsubscribeQueue();
     };
-  }, [token, setSocketError]);
+  }, [subscribe]);
+
+  useEffect(() => {
+    if (!watchKey) return undefined;
+    return watchTasks(watchKey.split(','));
+  }, [watchKey, watchTasks]);
 
-  return { tasks, socket: socketInstance };
+  return { tasks, queueStatus, socket };
 };
 
 export default useTaskSocket;
@@ -30,6 +30,14 @@
  *     - Why: 404 Not Found for GET /tasks and POST /edit (User, 05/04/2025).
  *     - How: Updated endpoints to /api/grok/tasks and /api/grok/edit, preserved functionality.
  *     - Test: Load /grok, submit task, verify no 404 errors, task appears in TaskList.jsx.
+ *   - 10/19/2026: Added optional LLM provider to submitTask.
+ *     - Why: Backend supports per-task provider selection (xai, openai, local, mock).
+ *     - How: submitTask accepts options.provider and appends it to the FormData.
+ *     - Test: Pick "Local stub" in TaskInput.jsx, submit, verify provider in the /edit request body.
+ *   - 10/19/2026: Added template fields to submitTask.
+ *     - Why: Tasks can start from saved prompt templates.
+ *     - How: options.templateId, templateVariables (JSON), and templateVersion appended to the FormData.
+ *     - Test: Submit from a template in TaskInput.jsx, verify templateId and templateVariables in the /edit request body.
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, submit "Create an inventory system".
  *   - Verify task appears in TaskList.jsx, no 404 errors, socket tasks sync.
@@ -85,7 +93,7 @@ const useTasks = ({ token, messageApi }) => {
   );
 
   const submitTask = useCallback(
-    async (prompt, files = []) => {
+    async (prompt, files = [], options = {}) => {
       if (!token) {
         const errorMessage = 'Authentication token is missing';
         console.error('useTasks: Submit task failed', {
@@ -106,6 +114,16 @@ const useTasks = ({ token, messageApi }) => {
         const formData = new FormData();
         formData.append('prompt', prompt);
         formData.append('requestId', Math.random().toString(36).substring(2));
+        if (options.provider) {
+          formData.append('provider', options.provider);
+        }
+        if (options.templateId) {
+          formData.append('templateId', options.templateId);
+          formData.append('templateVariables', JSON.stringify(options.templateVariables || {}));
+          if (options.templateVersion) {
+            formData.append('templateVersion', String(options.templateVersion));
+          }
+        }
         files.forEach((file) => {
           if (file.originFileObj) {
             formData.append('files', file.originFileObj, file.name);
@@ -123,6 +141,8 @@ const useTasks = ({ token, messageApi }) => {
           taskId: response.data.task?.taskId,
           prompt,
           fileCount: files.length,
+          provider: options.provider || 'default',
+          templateId: options.templateId || null,
           timestamp: new Date().toISOString(),
         });
         fetchTasks();
@@ -0,0 +1,69 @@
+/*
+ * File Path: frontend/src/hooks/useVisualSettings.js
+ * Purpose: Loads and saves the visual regression threshold for Allur Space Console.
+ * How It Works:
+ *   - Fetches GET /api/grok/visual/settings on mount.
+ *   - saveThreshold sends PUT /api/grok/visual/settings; the next task test run uses the new value.
+ * Dependencies:
+ *   - React: useState, useEffect, useCallback (version 18.3.1).
+ *   - serverApiConfig.js: apiClient for /grok/visual/settings.
+ *   - logClientError.js: Client-side error logging.
+ * Dependents:
+ *   - VisualDiffs.jsx: Threshold control above the before/after viewer.
+ * Why It’s Here:
+ *   - Reviewers tune how many changed pixels fail a visual check without editing the backend .env (10/19/2026).
+ * Change Log:
+ *   - 10/19/2026: Created visual settings hook.
+ *     - Why: visualRegression.js reads the threshold from the "visual_diff_threshold" setting.
+ *     - How: apiClient GET/PUT on /grok/visual/settings, errors reported through messageApi.
+ *     - Test: Save 0.05 in the Checks modal, reload /grok, verify the control shows 5%.
+ * Test Instructions:
+ *   - Run `npm run dev`, open the Checks modal of a task with visual results, verify GET /api/grok/visual/settings in the network tab.
+ * Rollback Instructions:
+ *   - Delete useVisualSettings.js and remove the threshold control from VisualDiffs.jsx.
+ * Future Enhancements:
+ *   - Per-route thresholds (Sprint 5).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../config/serverApiConfig';
+import { logClientError } from '../utils/logClientError';
+
+const useVisualSettings = ({ messageApi } = {}) => {
+  const [threshold, setThreshold] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const reportError = useCallback((action, error) => {
+    const errorMessage = error.response?.data?.message || error.message;
+    console.error(`useVisualSettings: ${action} failed`, { error: errorMessage });
+    messageApi?.error(`Failed to ${action} visual threshold: ${errorMessage}`);
+    logClientError({
+      message: `useVisualSettings: ${action} error: ${errorMessage}`,
+      context: 'useVisualSettings',
+      details: { stack: error.stack, timestamp: new Date().toISOString() },
+    });
+  }, [messageApi]);
+
+  useEffect(() => {
+    apiClient.get('/grok/visual/settings')
+      .then((response) => setThreshold(response.data.threshold))
+      .catch((error) => reportError('load', error));
+  }, [reportError]);
+
+  const saveThreshold = useCallback(async (value) => {
+    setSaving(true);
+    try {
+      const response = await apiClient.put('/grok/visual/settings', { threshold: value });
+      setThreshold(response.data.threshold);
+      messageApi?.success('Visual threshold saved; it applies to the next test run');
+    } catch (error) {
+      reportError('save', error);
+    } finally {
+      setSaving(false);
+    }
+  }, [messageApi, reportError]);
+
+  return { threshold, saving, saveThreshold };
+};
+
+export default useVisualSettings;
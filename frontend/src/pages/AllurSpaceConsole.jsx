@@ -2,7 +2,7 @@
  * File Path: C:\Users\nthorpe\Desktop\crm\idurar-erp-crm\frontend\src\pages\GrokUI.jsx
  * Purpose: UI for Allur Space Console with task management, diff view, and backend proposal review.
  * How It Works: Displays tasks/proposals, handles submissions, approvals, and tests, with real-time updates via Socket.IO.
- * Dependencies: React (UI), antd (components), socket.io-client (real-time), lodash (debounce), axios (API), react-diff-viewer-continued (diff), moment (timestamps).
+ * Dependencies: React (UI), antd (components), socketContext (shared Socket.IO connection), lodash (debounce), axios (API), react-diff-viewer-continued (diff), moment (timestamps).
  * Dependents: Called via /grok route in routes.jsx, displays taskProcessorV18.js/taskTesterV18.js results.
  * Why It’s Here: Central interface for user interaction, key to Sprint 2 usability and our autonomous system vision.
  * Key Info: Manages task lifecycle, integrates testing, and shows live feed—vital for oversight and control.
@@ -37,6 +37,10 @@
  *       - Trigger 401 error: Expect red log with "Authentication failed", token refresh attempt.
  *       - Search live feed for "failed": Verify only relevant entries shown.
  *       - Export live feed: Verify JSON file contains all entries with details.
+ *   - 10/19/2026: Moved onto the shared socket connection.
+ *     - Why: The console opened its own unauthenticated connection to localhost:8888, which the backend now rejects.
+ *     - How: Listeners go through socketContext.subscribe; connect/error entries in the live feed follow its connection state.
+ *     - Test: Render the console, stop the backend, verify a red "Attempt n" entry, then a green "Live feed connected".
  * Future Enhancements:
  *   - Task Filtering: Add status/date/priority filters (Sprint 4).
  *   - Collaboration: Enable multi-user task editing (Sprint 6).
@@ -52,7 +56,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Button, Input, List, Card, message, Modal, Space, Descriptions, Spin, App, Table, Checkbox, Drawer, Tag, Alert } from 'antd';
 import { DeleteOutlined, CheckOutlined, CloseOutlined, PlayCircleOutlined, ClearOutlined, SearchOutlined, DownloadOutlined } from '@ant-design/icons';
 import apiClient from '../config/serverApiConfig';
-import io from 'socket.io-client';
+import { useSocket, SOCKET_EVENTS, CONNECTION_STATUS } from '../context/socketContext';
 import DiffViewer from 'react-diff-viewer-continued';
 import debounce from 'lodash/debounce';
 import moment from 'moment';
@@ -131,9 +135,7 @@ const GrokUI = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const taskPromptsRef = useRef({});
   const pendingPromptRef = useRef(null);
-  const socketRef = useRef(null);
-  const reconnectAttemptsRef = useRef(0);
-  const maxReconnectAttempts = 5;
+  const { subscribe, connection } = useSocket();
   const [messageApi, contextHolder] = message.useMessage();
 
   // Handle live feed search
@@ -163,83 +165,39 @@ const GrokUI = () => {
   *   - Nate: Token refresh is a placeholder, needs auth flow integration (Sprint 4) (04/19/2025).
   */
 
+  // Connection state comes from the shared socket (socketContext); log its changes to the live feed
   useEffect(() => {
-    socketRef.current = io('http://localhost:8888', {
-      reconnection: true,
-      reconnectionAttempts: maxReconnectAttempts,
-      reconnectionDelay: 1000,
-    });
-
-    socketRef.current.on('connect', () => {
-      console.log('Socket.IO connected');
-      reconnectAttemptsRef.current = 0;
-      setLiveFeed((prev) => {
-        const newFeed = [
-          ...prev,
-          {
-            message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - Live feed connected`,
-            color: 'green',
-            details: 'Real-time updates active',
-          },
-        ].slice(-50);
-        setFilteredFeed(searchQuery ? newFeed.filter(
-          (item) =>
-            item.message.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            (item.details && item.details.toLowerCase().includes(searchQuery.toLowerCase()))
-        ) : newFeed);
-        return newFeed;
-      });
-    });
-
-    socketRef.current.on('connect_error', (err) => {
-      reconnectAttemptsRef.current += 1;
-      const errorMsg = `Socket.IO connection error: ${err.message} (Attempt ${reconnectAttemptsRef.current}/${maxReconnectAttempts})`;
-      console.error(errorMsg);
-      messageApi.error(reconnectAttemptsRef.current < maxReconnectAttempts ? 'Live feed connection lost. Retrying...' : 'Live feed connection failed.');
-      setLiveFeed((prev) => {
-        const newFeed = [
-          ...prev,
-          {
-            message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - ${errorMsg}`,
-            color: 'red',
-            details: `Error stack: ${err.stack || 'None'}`,
-          },
-        ].slice(-50);
-        setFilteredFeed(searchQuery ? newFeed.filter(
-          (item) =>
-            item.message.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            (item.details && item.details.toLowerCase().includes(searchQuery.toLowerCase()))
-        ) : newFeed);
-        return newFeed;
-      });
+    const { status, attempt, error } = connection;
+    let entry = null;
+    if (status === CONNECTION_STATUS.CONNECTED) {
+      entry = { message: 'Live feed connected', color: 'green', details: 'Real-time updates active' };
+    } else if (error && status !== CONNECTION_STATUS.CONNECTING) {
+      messageApi.error(status === CONNECTION_STATUS.RECONNECTING ? 'Live feed connection lost. Retrying...' : 'Live feed connection failed.');
+      entry = { message: `${error}${attempt ? ` (Attempt ${attempt})` : ''}`, color: 'red', details: `Connection status: ${status}` };
+    }
+    if (!entry) return;
+    setLiveFeed((prev) => {
+      const newFeed = [
+        ...prev,
+        { ...entry, message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - ${entry.message}` },
+      ].slice(-50);
+      setFilteredFeed(searchQuery ? newFeed.filter(
+        (item) =>
+          item.message.toLowerCase().includes(searchQuery.toLowerCase()) ||
+          (item.details && item.details.toLowerCase().includes(searchQuery.toLowerCase()))
+      ) : newFeed);
+      return newFeed;
     });
+  }, [connection.status, connection.attempt]);
 
-    socketRef.current.on('reconnect', () => {
-      console.log('Socket.IO reconnected');
-      messageApi.success('Live feed reconnected!');
-      setLiveFeed((prev) => {
-        const newFeed = [
-          ...prev,
-          {
-            message: `${moment().format('MMMM Do YYYY, h:mm:ss a')} - Live feed reconnected`,
-            color: 'green',
-            details: 'Real-time updates restored',
-          },
-        ].slice(-50);
-        setFilteredFeed(searchQuery ? newFeed.filter(
-          (item) =>
-            item.message.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            (item.details && item.details.toLowerCase().includes(searchQuery.toLowerCase()))
-        ) : newFeed);
-        return newFeed;
-      });
-    });
+  useEffect(() => {
+    const unsubscribers = [];
 
     fetchTasks();
     fetchFiles();
     fetchBackendProposals();
 
-    socketRef.current.on('taskUpdate', (updatedTask) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.TASK_UPDATE, (updatedTask) => {
       if (!updatedTask || !updatedTask.taskId || !isValidTaskId(updatedTask.taskId)) {
         setLiveFeed((prev) => {
           const newFeed = [
@@ -333,9 +291,9 @@ const GrokUI = () => {
         messageApi.warning('Authentication error detected. Please log in again.');
         // Placeholder: Implement actual token refresh logic in Sprint 4
       }
-    });
+    }));
 
-    socketRef.current.on('priorityUpdate', ({ taskId, priority }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.PRIORITY_UPDATE, ({ taskId, priority }) => {
       setTasks((prev) => prev.map((t) => (t.taskId === taskId ? { ...t, priority } : t)));
       setLiveFeed((prev) => {
         const newFeed = [
@@ -353,9 +311,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('backendProposal', ({ taskId, proposals }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.BACKEND_PROPOSAL, ({ taskId, proposals }) => {
       if (!isValidTaskId(taskId)) {
         setLiveFeed((prev) => {
           const newFeed = [
@@ -397,9 +355,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('backendProposalUpdate', ({ proposalId, status }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.BACKEND_PROPOSAL_UPDATE, ({ proposalId, status }) => {
       setBackendProposals((prev) => prev.map((p) => (p._id === proposalId ? { ...p, status } : p)));
       setLiveFeed((prev) => {
         const newFeed = [
@@ -418,9 +376,9 @@ const GrokUI = () => {
         return newFeed;
       });
       fetchBackendProposals();
-    });
+    }));
 
-    socketRef.current.on('maintenanceProposal', ({ taskId, report }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.MAINTENANCE_PROPOSAL, ({ taskId, report }) => {
       if (!isValidTaskId(taskId)) {
         setLiveFeed((prev) => {
           const newFeed = [
@@ -458,9 +416,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('tasks_fetched', ({ tasks }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.TASKS_FETCHED, ({ tasks }) => {
       setTasks(tasks.map(t => ({
         ...t,
         prompt: taskPromptsRef.current[t.taskId] || t.prompt || 'Untitled'
@@ -481,9 +439,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('tasks_cleared', () => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.TASKS_CLEARED, () => {
       setTasks([]);
       setBackendProposals([]);
       taskPromptsRef.current = {};
@@ -503,9 +461,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('fileContentUpdate', ({ taskId, originalContent, newContent, stagedFiles, generatedFiles, proposedChanges }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.FILE_CONTENT_UPDATE, ({ taskId, originalContent, newContent, stagedFiles, generatedFiles, proposedChanges }) => {
       setLiveFeed((prev) => {
         const newFeed = [
           ...prev,
@@ -522,9 +480,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('selfTestUpdate', ({ taskId, result, stagedFiles, generatedFiles, proposedChanges }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.SELF_TEST_UPDATE, ({ taskId, result, stagedFiles, generatedFiles, proposedChanges }) => {
       setLiveFeed((prev) => {
         const newFeed = [
           ...prev,
@@ -541,9 +499,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('uploadUpdate', ({ filename, result }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.UPLOAD_UPDATE, ({ filename, result }) => {
       setLiveFeed((prev) => {
         const newFeed = [
           ...prev,
@@ -560,9 +518,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('analyzeUpdate', ({ data, result }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.ANALYZE_UPDATE, ({ data, result }) => {
       setLiveFeed((prev) => {
         const newFeed = [
           ...prev,
@@ -579,9 +537,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('logUpdate', ({ event, logs }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.LOG_UPDATE, ({ event, logs }) => {
       setLiveFeed((prev) => {
         const newFeed = [
           ...prev,
@@ -598,9 +556,9 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    socketRef.current.on('maintenanceUpdate', ({ taskId, status, report }) => {
+    unsubscribers.push(subscribe(SOCKET_EVENTS.MAINTENANCE_UPDATE, ({ taskId, status, report }) => {
       setLiveFeed((prev) => {
         const newFeed = [
           ...prev,
@@ -617,10 +575,10 @@ const GrokUI = () => {
         ) : newFeed);
         return newFeed;
       });
-    });
+    }));
 
-    return () => socketRef.current.disconnect();
-  }, [messageApi, searchQuery]);
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [subscribe, messageApi, searchQuery]);
 
   const fetchTasks = async () => {
     setLoadingTasks(true);
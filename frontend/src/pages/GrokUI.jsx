@@ -5,11 +5,14 @@
  *   - Renders TaskInput.jsx for task submission, TaskList.jsx for task display, LiveFeed.jsx for real-time events, and ProposalList.jsx for proposals.
  *   - Manages authentication token and messageApi for UI feedback.
  *   - Uses useTasks.js for task management and socket connections.
+ *   - Tasks, Analytics, and Feedback tabs; the Analytics tab renders AnalyticsDashboard.jsx, the Feedback tab FeedbackTriage.jsx.
+ *   - FeedbackButton.jsx next to the tabs sends feedback about the console itself.
  * Dependencies:
  *   - React: useState, useEffect for state management (version 18.3.1).
- *   - antd: Layout, message for UI (version 5.24.6).
+ *   - antd: Layout, message, Tabs for UI (version 5.24.6).
  *   - useTasks.js: Task management hook.
- *   - TaskInput.jsx, TaskList.jsx, LiveFeed.jsx, ProposalList.jsx: UI components.
+ *   - TaskInput.jsx, QueueStatus.jsx, TaskList.jsx, LiveFeed.jsx, ProposalList.jsx, AnalyticsDashboard.jsx: UI components.
+ *   - FeedbackButton.jsx, FeedbackTriage.jsx: Feedback capture and triage.
  *   - logClientError.js: Client-side error logging.
  * Why It’s Here:
  *   - Centralizes UI for Sprint 2, providing task management and real-time updates (04/07/2025).
@@ -24,6 +27,18 @@
  *     - Why: Prompt textbox not visible, PropType warnings for token and useTasks (User, 05/04/2025).
  *     - How: Updated GrokUIContent to pass token and useTasks correctly, preserved functionality.
  *     - Test: Load /grok, verify TaskInput textbox visible, submit task, no PropType warnings.
+ *   - 10/19/2026: Added QueueStatus above TaskList.
+ *     - Why: Tasks are processed by a backend job queue; queue depth belongs in the console.
+ *     - How: Renders QueueStatus.jsx with the session token.
+ *     - Test: Load /grok, verify "Queue" tags above the task list.
+ *   - 10/19/2026: Added Tasks and Analytics tabs.
+ *     - Why: Pipeline analytics (success rate, stage timings, approvals) get their own console view.
+ *     - How: antd Tabs; existing components under "Tasks", AnalyticsDashboard.jsx under "Analytics".
+ *     - Test: Load /grok, switch to Analytics, verify the summary cards.
+ *   - 10/19/2026: Added the Feedback tab and button.
+ *     - Why: Feedback is stored and triaged in the console instead of being rebroadcast over the socket.
+ *     - How: FeedbackButton.jsx as the Tabs' extra content, FeedbackTriage.jsx under "Feedback".
+ *     - Test: Click Feedback, submit a bug, switch to the Feedback tab, verify it is listed as "New".
  * Test Instructions:
  *   - Run `npm run dev`, navigate to /grok, login, submit task via TaskInput.
  *   - Verify TaskInput textbox visible, no PropType warnings, UI renders TaskInput, TaskList, LiveFeed, ProposalList.
@@ -38,12 +53,16 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { Layout, message } from 'antd';
+import { Layout, message, Tabs } from 'antd';
 import useTasks from '../hooks/useTasks';
 import TaskInput from '../components/TaskInput';
 import TaskList from '../components/TaskList';
+import QueueStatus from '../components/QueueStatus';
 import LiveFeed from '../components/LiveFeed';
 import ProposalList from '../components/ProposalList';
+import AnalyticsDashboard from '../components/AnalyticsDashboard';
+import FeedbackButton from '../components/FeedbackButton';
+import FeedbackTriage from '../components/FeedbackTriage';
 import { logClientError } from '../utils/logClientError';
 
 const { Content } = Layout;
@@ -85,10 +104,35 @@ const GrokUIContent = ({ token }) => {
   return (
     <>
       {contextHolder}
-      <TaskInput token={token} useTasks={useTasksHook} messageApi={messageApi} />
-      <TaskList token={token} messageApi={messageApi} />
-      <LiveFeed token={token} />
-      <ProposalList token={token} messageApi={messageApi} />
+      <Tabs
+        defaultActiveKey="tasks"
+        tabBarExtraContent={<FeedbackButton messageApi={messageApi} />}
+        items={[
+          {
+            key: 'tasks',
+            label: 'Tasks',
+            children: (
+              <>
+                <TaskInput token={token} useTasks={useTasksHook} messageApi={messageApi} />
+                <QueueStatus token={token} />
+                <TaskList token={token} messageApi={messageApi} />
+                <LiveFeed token={token} />
+                <ProposalList token={token} messageApi={messageApi} />
+              </>
+            ),
+          },
+          {
+            key: 'analytics',
+            label: 'Analytics',
+            children: <AnalyticsDashboard messageApi={messageApi} />,
+          },
+          {
+            key: 'feedback',
+            label: 'Feedback',
+            children: <FeedbackTriage messageApi={messageApi} />,
+          },
+        ]}
+      />
     </>
   );
 };